@@ -0,0 +1,45 @@
+/**
+ * CONFIGURACIÓN DEL ALMACENAMIENTO
+ * ================================
+ *
+ * Determina qué backend se usa para guardar las tareas.
+ *
+ * Backends disponibles:
+ * - mongodb: Servidor MongoDB (ver config/database.js). Opción por defecto.
+ * - json: Archivo JSON local, no necesita ningún servidor
+ * - memoria: Sin persistencia, útil para pruebas
+ *
+ * Los valores salen de la configuración por capas (ver config/configuracion.js):
+ * archivo ~/.gestor-tareas.json, variables GESTOR_ALMACENAMIENTO,
+ * GESTOR_ARCHIVO_JSON y GESTOR_DIRECTORIO_ESTADO, u opciones
+ * --almacenamiento y --archivo-json.
+ *
+ * El directorio de estado guarda los archivos locales del modo sin conexión
+ * (diario de cambios, instantánea y conflictos). Por defecto es
+ * ~/.gestor-tareas/<perfil>, de modo que cada perfil tiene los suyos.
+ */
+
+import { BACKENDS, obtenerConfiguracion, validarConfiguracion } from './configuracion.js';
+
+export { BACKENDS };
+
+/**
+ * FUNCIÓN: OBTENER CONFIGURACIÓN DE ALMACENAMIENTO
+ * ================================================
+ *
+ * No se intenta conectar con una configuración inválida
+ * (backend desconocido, URL mal escrita, certificado inexistente...).
+ *
+ * @returns {{ tipo: string, archivoJson: string, directorioEstado: string }}
+ * @throws {Error} - Si la configuración tiene errores
+ */
+export function obtenerConfiguracionAlmacenamiento() {
+  const configuracion = obtenerConfiguracion();
+
+  const { errores } = validarConfiguracion(configuracion);
+  if (errores.length > 0) {
+    throw new Error(`Configuración inválida: ${errores.join('; ')} (revisa "gestor config")`);
+  }
+
+  return { ...configuracion.almacenamiento };
+}
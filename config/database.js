@@ -5,23 +5,73 @@
  * Este módulo maneja la conexión a MongoDB utilizando el driver nativo.
  * Proporciona una conexión simple y directa sin abstracciones adicionales.
  *
- * Configuración:
- * - URL de conexión: mongodb://localhost:27017/
- * - Base de datos: gestor-tareas
- * - Colección: tareas
+ * Configuración (sección "mongodb" de config/configuracion.js):
+ * - URL de conexión: por defecto mongodb://localhost:27017
+ * - Base de datos: por defecto gestor-tareas
+ * - Colección: por defecto tareas
+ * - Autenticación, TLS y tiempos de espera opcionales
  */
 
 import { MongoClient } from 'mongodb';
-
-// Configuración de conexión
-const URL_MONGODB = 'mongodb://localhost:27017';
-const NOMBRE_DB = 'gestor-tareas';
-const NOMBRE_COLECCION = 'tareas';
+import { obtenerConfiguracion } from './configuracion.js';
 
 // Variable global para mantener la conexión
 let client = null;
 let db = null;
 
+// Indica si se deben mostrar los mensajes informativos de conexión.
+// Los comandos no interactivos los desactivan para no mezclarlos con su salida.
+let mensajesActivos = true;
+
+/**
+ * FUNCIÓN: ACTIVAR/DESACTIVAR MENSAJES DE CONEXIÓN
+ * ================================================
+ *
+ * Los mensajes de error se siguen mostrando siempre (por stderr).
+ *
+ * @param {boolean} activos - true para mostrar los mensajes informativos
+ */
+export function configurarMensajes(activos) {
+  mensajesActivos = activos;
+}
+
+/**
+ * FUNCIÓN: CONSTRUIR OPCIONES DEL CLIENTE
+ * =======================================
+ *
+ * Traduce la sección "mongodb" de la configuración a las opciones
+ * que espera el driver de MongoDB. Solo se incluyen las que tienen valor,
+ * para no pisar lo que venga indicado en la propia URL.
+ *
+ * @param {Object} mongodb - Sección mongodb de la configuración efectiva
+ * @returns {Object} - Opciones para new MongoClient()
+ */
+export function construirOpcionesCliente(mongodb) {
+  const opciones = {
+    // Un tiempo de espera corto permite detectar pronto que no hay servidor
+    // y pasar al modo sin conexión en lugar de bloquear la aplicación
+    serverSelectionTimeoutMS: mongodb.tiempos.seleccionServidorMS,
+    connectTimeoutMS: mongodb.tiempos.conexionMS,
+    socketTimeoutMS: mongodb.tiempos.socketMS
+  };
+
+  if (mongodb.usuario) {
+    opciones.auth = { username: mongodb.usuario, password: mongodb.password ?? undefined };
+  }
+  if (mongodb.authSource) {
+    opciones.authSource = mongodb.authSource;
+  }
+
+  if (mongodb.tls.activo) {
+    opciones.tls = true;
+    if (mongodb.tls.archivoCA) opciones.tlsCAFile = mongodb.tls.archivoCA;
+    if (mongodb.tls.archivoCertificado) opciones.tlsCertificateKeyFile = mongodb.tls.archivoCertificado;
+    if (mongodb.tls.permitirCertificadosInvalidos) opciones.tlsAllowInvalidCertificates = true;
+  }
+
+  return opciones;
+}
+
 /**
  * FUNCIÓN: CONECTAR A MONGODB
  * ===========================
@@ -38,17 +88,22 @@ export async function conectarDB() {
       return db;
     }
 
-    // Crear nueva conexión
-    client = new MongoClient(URL_MONGODB);
+    // Crear nueva conexión con la configuración efectiva (perfil incluido)
+    const { mongodb } = obtenerConfiguracion();
+    client = new MongoClient(mongodb.url, construirOpcionesCliente(mongodb));
     await client.connect();
 
     // Obtener referencia a la base de datos
-    db = client.db(NOMBRE_DB);
+    db = client.db(mongodb.baseDatos);
 
-    console.log('✅ Conectado a MongoDB');
+    if (mensajesActivos) console.log('✅ Conectado a MongoDB');
     return db;
 
   } catch (error) {
+    // Descartar el cliente fallido para que el siguiente intento empiece de cero
+    await client?.close().catch(() => {});
+    client = null;
+    db = null;
     console.error('❌ Error conectando a MongoDB:', error.message);
     throw error;
   }
@@ -65,7 +120,23 @@ export async function conectarDB() {
  */
 export async function obtenerColeccionTareas() {
   const database = await conectarDB();
-  return database.collection(NOMBRE_COLECCION);
+  return database.collection(obtenerConfiguracion().mongodb.coleccion);
+}
+
+/**
+ * FUNCIÓN: OBTENER COLECCIÓN AUXILIAR
+ * ===================================
+ *
+ * Retorna una colección que se guarda junto a la de tareas (por ejemplo,
+ * el historial de cambios). Su nombre lleva como prefijo el de la colección
+ * de tareas: con la configuración por defecto, "tareas.historial".
+ *
+ * @param {string} nombre - Nombre de la colección auxiliar
+ * @returns {Promise<Collection>}
+ */
+export async function obtenerColeccionAuxiliar(nombre) {
+  const database = await conectarDB();
+  return database.collection(`${obtenerConfiguracion().mongodb.coleccion}.${nombre}`);
 }
 
 /**
@@ -80,6 +151,6 @@ export async function cerrarConexion() {
     await client.close();
     client = null;
     db = null;
-    console.log('✅ Conexión a MongoDB cerrada');
+    if (mensajesActivos) console.log('✅ Conexión a MongoDB cerrada');
   }
 }
\ No newline at end of file
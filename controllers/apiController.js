@@ -0,0 +1,547 @@
+/**
+ * CONTROLADOR DE LA API REST - MODO SERVIDOR
+ * ==========================================
+ *
+ * Expone las tareas como API JSON (`gestor serve`) para que otras
+ * herramientas puedan leerlas y crearlas sin pasar por el menú:
+ *
+ *   GET    /tareas                    Lista (filtros y paginación por query: por
+ *                                     número de página o, con ?cursor=, por cursor)
+ *   POST   /tareas                    Crea una tarea
+ *   GET    /tareas/:id                Obtiene una tarea
+ *   PATCH  /tareas/:id                Cambia los campos indicados
+ *   DELETE /tareas/:id                Envía la tarea a la papelera
+ *   POST   /tareas/:id/completar      Marca la tarea como completada
+ *   POST   /tareas/:id/reabrir        Vuelve a dejar pendiente una tarea completada
+ *   GET    /estadisticas              Resumen del estado de las tareas y analítica
+ *                                     de productividad (?desde=&hasta=)
+ *   GET    /informe                   Informe del periodo en Markdown o HTML
+ *                                     (?formato=&periodo=&desde=&hasta=)
+ *   GET    /openapi.json              Descripción OpenAPI (ver utils/openapi.js)
+ *
+ * Usa las mismas operaciones de negocio que el menú y la línea de comandos
+ * (services/tareasService.js): mismas validaciones, historial para deshacer
+ * y auditoría. Los errores de negocio se traducen a su código HTTP con el
+ * cuerpo { error, codigo }, igual que los errores de la CLI con --json.
+ *
+ * Las peticiones se atienden de una en una y cada una recarga las tareas
+ * del almacenamiento: así ve los cambios hechos desde otros procesos
+ * (el menú, la CLI u otra instancia del servidor).
+ *
+ * La API no tiene autenticación: por defecto solo escucha en 127.0.0.1
+ * (ver servidor.host en config/configuracion.js). Con cuentas de usuario,
+ * trabaja con la sesión de quien ejecutó `gestor serve` y solo ve sus tareas
+ * (o las de todos, con --todos si es administrador).
+ *
+ * Mientras está en marcha, envía cada pocos segundos los eventos pendientes
+ * de los webhooks (ver services/webhooksService.js).
+ */
+
+// http: Servidor HTTP incluido en Node.js (sin dependencias extra)
+import http from 'node:http';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Operaciones de negocio compartidas con el menú y la CLI
+import {
+  filtrarTareas,
+  paginarTareas,
+  buscarPorConsulta,
+  obtenerTareaPorId,
+  registrarTarea,
+  actualizarTarea,
+  completarTareaPorId,
+  reabrirTareaPorId,
+  eliminarTareaPorId,
+  calcularEstadisticas,
+  FILTROS,
+  CRITERIOS_ORDEN
+} from '../services/tareasService.js';
+// Analítica de productividad
+import { calcularAnalitica } from '../services/analiticaService.js';
+// Informes
+import { generarInforme } from '../services/informeService.js';
+// Recarga de las tareas en cada petición
+import { inicializarTareas, obtenerEstadoConexion } from '../data/tareas.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+// Descripción OpenAPI
+import { DOCUMENTO_OPENAPI, POR_PAGINA_POR_DEFECTO, POR_PAGINA_MAXIMO } from '../utils/openapi.js';
+// Reparto de los eventos a los webhooks mientras el servidor está en marcha
+import { iniciarRepartoWebhooks } from './webhooksController.js';
+
+// Tamaño máximo del cuerpo de una petición (en bytes)
+const TAMANO_MAXIMO_CUERPO = 1024 * 1024;
+
+// Campos que admite cada operación en el cuerpo
+const CAMPOS_EDITABLES = ['descripcion', 'fechaLimite', 'prioridad', 'etiquetas', 'proyecto', 'recurrencia'];
+const CAMPOS_NUEVA_TAREA = [...CAMPOS_EDITABLES, 'padreId'];
+
+// Parámetros que admite GET /tareas
+const PARAMETROS_LISTA = ['estado', 'orden', 'etiqueta', 'proyecto', 'q', 'pagina', 'porPagina', 'cursor'];
+
+// Parámetros que admite GET /estadisticas (periodo de la analítica)
+const PARAMETROS_ESTADISTICAS = ['desde', 'hasta'];
+
+// Parámetros que admite GET /informe (la plantilla es la de la configuración)
+const PARAMETROS_INFORME = ['formato', 'periodo', 'desde', 'hasta'];
+
+// Tipo de contenido de cada formato de informe
+const TIPOS_INFORME = Object.freeze({
+  markdown: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+});
+
+/**
+ * ESTADO HTTP DE CADA ERROR DE DOMINIO
+ * ====================================
+ */
+const ESTADOS_HTTP = Object.freeze({
+  [CODIGOS_ERROR.VALIDACION]: 400,
+  [CODIGOS_ERROR.AMBIGUA]: 400,
+  [CODIGOS_ERROR.NO_ENCONTRADA]: 404,
+  [CODIGOS_ERROR.DUPLICADA]: 409,
+  [CODIGOS_ERROR.CONFLICTO]: 409,
+  [CODIGOS_ERROR.SUBTAREAS_PENDIENTES]: 409,
+  [CODIGOS_ERROR.NO_AUTORIZADO]: 403,
+  [CODIGOS_ERROR.RECHAZADA]: 422,
+  [CODIGOS_ERROR.PERSISTENCIA]: 503
+});
+
+/**
+ * CLASE INTERNA: ERROR HTTP
+ * =========================
+ *
+ * Errores del propio protocolo (ruta desconocida, cuerpo que no es JSON...),
+ * que no pasan por la lógica de negocio.
+ */
+class ErrorHttp extends Error {
+  constructor(estado, mensaje, codigo, cabeceras = {}) {
+    super(mensaje);
+    this.name = 'ErrorHttp';
+    this.estado = estado;
+    this.codigo = codigo;
+    this.cabeceras = cabeceras;
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RESPONDER
+ * ===========================
+ */
+function responder(respuesta, estado, cuerpo, cabeceras = {}) {
+  // Un cuerpo de texto (los informes) se envía tal cual, con su Content-Type en cabeceras
+  const texto = _.isString(cuerpo) ? cuerpo : JSON.stringify(cuerpo);
+  respuesta.writeHead(estado, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(texto),
+    ...cabeceras
+  });
+  respuesta.end(texto);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER CUERPO JSON
+ * ==================================
+ *
+ * @returns {Promise<Object>} - El objeto enviado ({} si no hay cuerpo)
+ * @throws {ErrorHttp} - Tipo de contenido no admitido o cuerpo demasiado grande
+ * @throws {ErrorTarea} - VALIDACION si no es un objeto JSON
+ */
+async function leerCuerpo(peticion) {
+  const partes = [];
+  let tamano = 0;
+  for await (const parte of peticion) {
+    tamano += parte.length;
+    if (tamano > TAMANO_MAXIMO_CUERPO) {
+      throw new ErrorHttp(413, `El cuerpo supera el máximo de ${TAMANO_MAXIMO_CUERPO} bytes`, 'CUERPO_DEMASIADO_GRANDE');
+    }
+    partes.push(parte);
+  }
+  if (tamano === 0) return {};
+
+  const tipo = peticion.headers['content-type'] ?? '';
+  if (!/^application\/json\b/i.test(tipo)) {
+    throw new ErrorHttp(415, 'El cuerpo debe ser JSON (Content-Type: application/json)', 'TIPO_NO_ADMITIDO');
+  }
+
+  let cuerpo;
+  try {
+    cuerpo = JSON.parse(Buffer.concat(partes).toString('utf8'));
+  } catch (error) {
+    throw new ErrorTarea(`El cuerpo no es un JSON válido: ${error.message}`, CODIGOS_ERROR.VALIDACION);
+  }
+  if (!_.isPlainObject(cuerpo)) {
+    throw new ErrorTarea('El cuerpo debe ser un objeto JSON', CODIGOS_ERROR.VALIDACION);
+  }
+  return cuerpo;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR CAMPOS DEL CUERPO
+ * ==========================================
+ *
+ * Rechaza los campos desconocidos y los de tipo incorrecto (los valores
+ * los valida después la lógica de negocio, como en la CLI).
+ * null quita el valor, salvo en la descripción.
+ */
+function exigirCampos(cuerpo, admitidos) {
+  const desconocidos = _.difference(Object.keys(cuerpo), admitidos);
+  if (!_.isEmpty(desconocidos)) {
+    throw new ErrorTarea(
+      `Campo(s) desconocido(s): ${desconocidos.join(', ')}. Se admiten: ${admitidos.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+
+  for (const [campo, valor] of Object.entries(cuerpo)) {
+    const valido = campo === 'etiquetas'
+      ? valor === null || (Array.isArray(valor) && valor.every(_.isString))
+      : _.isString(valor) || (valor === null && campo !== 'descripcion');
+    if (!valido) {
+      const tipo = campo === 'etiquetas' ? 'una lista de textos' : 'un texto';
+      throw new ErrorTarea(`El campo "${campo}" debe ser ${tipo}`, CODIGOS_ERROR.VALIDACION);
+    }
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR PARÁMETROS DE LA QUERY
+ * ===============================================
+ */
+function exigirParametros(parametros, admitidos) {
+  const desconocidos = _.difference([...new Set(parametros.keys())], admitidos);
+  if (!_.isEmpty(desconocidos)) {
+    throw new ErrorTarea(
+      `Parámetro(s) desconocido(s): ${desconocidos.join(', ')}. Se admiten: ${admitidos.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ENTERO POSITIVO DE LA QUERY
+ * =============================================
+ */
+function enteroDeQuery(parametros, nombre, porDefecto, maximo = Infinity) {
+  const texto = parametros.get(nombre);
+  if (texto === null) return porDefecto;
+  const numero = Number(texto);
+  if (!Number.isInteger(numero) || numero < 1 || numero > maximo) {
+    const limite = maximo === Infinity ? '' : ` (máximo ${maximo})`;
+    throw new ErrorTarea(`"${nombre}" debe ser un entero positivo${limite}, no "${texto}"`, CODIGOS_ERROR.VALIDACION);
+  }
+  return numero;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VALOR PERMITIDO DE LA QUERY
+ * =============================================
+ */
+function valorDeQuery(parametros, nombre, validos) {
+  const valor = parametros.get(nombre) ?? undefined;
+  if (valor !== undefined && !validos.includes(valor)) {
+    throw new ErrorTarea(`"${nombre}" admite: ${validos.join(', ')}`, CODIGOS_ERROR.VALIDACION);
+  }
+  return valor;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DOCUMENTOS
+ * ============================
+ */
+const documentos = lista => lista.map(t => t.toDocumento());
+
+/**
+ * MANEJADORES DE CADA RUTA
+ * ========================
+ *
+ * Reciben { parametros (query), ruta (grupos de la ruta), peticion }
+ * y devuelven { estado?, cuerpo, cabeceras? }.
+ */
+const MANEJADORES = {
+  async listar({ parametros }) {
+    exigirParametros(parametros, PARAMETROS_LISTA);
+
+    // PASO 1: Filtrar y ordenar, como "gestor list" y "gestor search"
+    const estado = valorDeQuery(parametros, 'estado', FILTROS);
+    const orden = valorDeQuery(parametros, 'orden', Object.keys(CRITERIOS_ORDEN));
+    const organizacion = _.omitBy({
+      etiquetas: _.isEmpty(parametros.getAll('etiqueta')) ? undefined : parametros.getAll('etiqueta'),
+      proyecto: parametros.get('proyecto') ?? undefined
+    }, _.isUndefined);
+    const porPagina = enteroDeQuery(parametros, 'porPagina', POR_PAGINA_POR_DEFECTO, POR_PAGINA_MAXIMO);
+
+    // Por cursor (?cursor= vacío pide la primera página): el almacenamiento
+    // filtra y corta la página, sin contar ni recorrer las anteriores
+    if (parametros.has('cursor')) {
+      if (parametros.has('pagina')) {
+        throw new ErrorTarea('Usa "pagina" o "cursor", no los dos', CODIGOS_ERROR.VALIDACION);
+      }
+      const { tareas, siguiente } = await paginarTareas(estado, orden, organizacion, {
+        limite: porPagina,
+        cursor: parametros.get('cursor'),
+        consulta: parametros.get('q') ?? undefined
+      });
+      return { cuerpo: { tareas: documentos(tareas), porPagina, siguiente } };
+    }
+
+    let lista = await filtrarTareas(estado, orden, organizacion);
+    if (parametros.has('q')) {
+      const coincidencias = new Set(await buscarPorConsulta(parametros.get('q'), organizacion));
+      lista = lista.filter(t => coincidencias.has(t));
+    }
+
+    // PASO 2: Paginar
+    const pagina = enteroDeQuery(parametros, 'pagina', 1);
+    const inicio = (pagina - 1) * porPagina;
+
+    return {
+      cuerpo: {
+        tareas: documentos(lista.slice(inicio, inicio + porPagina)),
+        total: lista.length,
+        pagina,
+        porPagina,
+        paginas: Math.ceil(lista.length / porPagina)
+      }
+    };
+  },
+
+  async crear({ peticion }) {
+    const cuerpo = await leerCuerpo(peticion);
+    exigirCampos(cuerpo, CAMPOS_NUEVA_TAREA);
+    if (cuerpo.descripcion === undefined) {
+      throw new ErrorTarea('Falta el campo "descripcion"', CODIGOS_ERROR.VALIDACION);
+    }
+    const { descripcion, ...opcionales } = cuerpo;
+    const tarea = await registrarTarea(descripcion, opcionales);
+    return { estado: 201, cuerpo: tarea.toDocumento(), cabeceras: { Location: `/tareas/${tarea._id}` } };
+  },
+
+  async obtener({ ruta }) {
+    const tarea = await obtenerTareaPorId(ruta.id);
+    return { cuerpo: tarea.toDocumento() };
+  },
+
+  async editar({ peticion, ruta }) {
+    const cuerpo = await leerCuerpo(peticion);
+    exigirCampos(cuerpo, CAMPOS_EDITABLES);
+    if (_.isEmpty(cuerpo)) {
+      throw new ErrorTarea(`Indica algo que cambiar: ${CAMPOS_EDITABLES.join(', ')}`, CODIGOS_ERROR.VALIDACION);
+    }
+    const tarea = await actualizarTarea(ruta.id, cuerpo);
+    return { cuerpo: tarea.toDocumento() };
+  },
+
+  async eliminar({ parametros, ruta }) {
+    const { tarea, subtareasEliminadas, subtareasConservadas } =
+      await eliminarTareaPorId(ruta.id, { subtareas: parametros.get('subtareas') ?? undefined });
+    return {
+      cuerpo: {
+        tarea: tarea.toDocumento(),
+        subtareasEliminadas: documentos(subtareasEliminadas),
+        subtareasConservadas: documentos(subtareasConservadas)
+      }
+    };
+  },
+
+  async completar({ parametros, ruta }) {
+    const { tarea, subtareasCompletadas, padresCompletados, siguienteOcurrencia, siguientesOcurrencias } =
+      await completarTareaPorId(ruta.id, { subtareas: parametros.get('subtareas') ?? undefined });
+    return {
+      cuerpo: {
+        tarea: tarea.toDocumento(),
+        subtareasCompletadas: documentos(subtareasCompletadas),
+        padresCompletados: documentos(padresCompletados),
+        siguienteOcurrencia: siguienteOcurrencia?.toDocumento() ?? null,
+        siguientesOcurrencias: documentos(siguientesOcurrencias)
+      }
+    };
+  },
+
+  async reabrir({ ruta }) {
+    const tarea = await reabrirTareaPorId(ruta.id);
+    return { cuerpo: tarea.toDocumento() };
+  },
+
+  async estadisticas({ parametros }) {
+    exigirParametros(parametros, PARAMETROS_ESTADISTICAS);
+    const periodo = { desde: parametros.get('desde') ?? undefined, hasta: parametros.get('hasta') ?? undefined };
+    return { cuerpo: { ...await calcularEstadisticas(), analitica: await calcularAnalitica(periodo) } };
+  },
+
+  async informe({ parametros }) {
+    exigirParametros(parametros, PARAMETROS_INFORME);
+    const { contenido, formato } = await generarInforme({
+      formato: parametros.get('formato') ?? undefined,
+      periodo: parametros.get('periodo') ?? undefined,
+      desde: parametros.get('desde') ?? undefined,
+      hasta: parametros.get('hasta') ?? undefined
+    });
+    return { cuerpo: contenido, cabeceras: { 'Content-Type': TIPOS_INFORME[formato] } };
+  },
+
+  openapi() {
+    return { cuerpo: DOCUMENTO_OPENAPI };
+  }
+};
+
+/**
+ * RUTAS
+ * =====
+ *
+ * Cada ruta: patrón (con grupos con nombre) y manejador de cada método.
+ * Las rutas que no recargan tareas lo indican con sinDatos.
+ */
+const RUTAS = [
+  { patron: /^\/tareas\/?$/, metodos: { GET: 'listar', POST: 'crear' } },
+  { patron: /^\/tareas\/(?<id>[^/]+)\/?$/, metodos: { GET: 'obtener', PATCH: 'editar', DELETE: 'eliminar' } },
+  { patron: /^\/tareas\/(?<id>[^/]+)\/completar\/?$/, metodos: { POST: 'completar' } },
+  { patron: /^\/tareas\/(?<id>[^/]+)\/reabrir\/?$/, metodos: { POST: 'reabrir' } },
+  { patron: /^\/estadisticas\/?$/, metodos: { GET: 'estadisticas' } },
+  { patron: /^\/informe\/?$/, metodos: { GET: 'informe' } },
+  { patron: /^\/openapi\.json$/, metodos: { GET: 'openapi' }, sinDatos: true }
+];
+
+/**
+ * FUNCIÓN AUXILIAR: RESOLVER RUTA
+ * ===============================
+ *
+ * @returns {Object} - { manejador, ruta: grupos del patrón, sinDatos }
+ * @throws {ErrorHttp} - 404 si la ruta no existe, 405 si no admite el método,
+ *                       400 si un segmento trae un escape % mal formado
+ */
+function resolverRuta(metodo, camino) {
+  for (const { patron, metodos, sinDatos = false } of RUTAS) {
+    const coincidencia = camino.match(patron);
+    if (!coincidencia) continue;
+
+    const nombre = metodos[metodo];
+    if (!nombre) {
+      const permitidos = Object.keys(metodos).join(', ');
+      throw new ErrorHttp(405, `Método ${metodo} no permitido en ${camino} (admite: ${permitidos})`,
+        'METODO_NO_PERMITIDO', { Allow: permitidos });
+    }
+    let ruta;
+    try {
+      ruta = _.mapValues(coincidencia.groups ?? {}, decodeURIComponent);
+    } catch {
+      throw new ErrorHttp(400, `La ruta ${camino} tiene un escape % mal formado`, CODIGOS_ERROR.VALIDACION);
+    }
+    return { manejador: MANEJADORES[nombre], ruta, sinDatos };
+  }
+  throw new ErrorHttp(404, `No existe la ruta ${camino}`, 'RUTA_DESCONOCIDA');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RECARGAR TAREAS
+ * =================================
+ *
+ * @throws {ErrorTarea} - PERSISTENCIA si no se pudieron cargar (y no se
+ *                        aceptó trabajar sin conexión)
+ */
+async function recargarTareas(offline) {
+  const cargadas = await inicializarTareas();
+  if (!cargadas && !(offline && !obtenerEstadoConexion().enLinea)) {
+    throw new ErrorTarea('No se pudieron cargar las tareas', CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ATENDER PETICIÓN
+ * ==================================
+ */
+async function atenderPeticion(peticion, respuesta, { offline }) {
+  const inicio = Date.now();
+  const url = new URL(peticion.url, 'http://localhost');
+  let estado;
+
+  try {
+    const { manejador, ruta, sinDatos } = resolverRuta(peticion.method, url.pathname);
+    if (!sinDatos) await recargarTareas(offline);
+    const resultado = await manejador({ peticion, parametros: url.searchParams, ruta });
+    estado = resultado.estado ?? 200;
+    responder(respuesta, estado, resultado.cuerpo, resultado.cabeceras);
+
+  } catch (error) {
+    if (error instanceof ErrorHttp) {
+      estado = error.estado;
+      responder(respuesta, estado, { error: error.message, codigo: error.codigo }, error.cabeceras);
+    } else if (error instanceof ErrorTarea) {
+      estado = ESTADOS_HTTP[error.codigo] ?? 400;
+      responder(respuesta, estado, { error: error.message, codigo: error.codigo });
+    } else {
+      // Error inesperado: el detalle queda en el registro del servidor, no en la respuesta
+      console.error(`❌ Error inesperado en ${peticion.method} ${url.pathname}:`, error);
+      estado = 500;
+      responder(respuesta, estado, { error: 'Error interno del servidor', codigo: 'INTERNO' });
+    }
+  }
+
+  console.log(`🌐 ${peticion.method} ${url.pathname}${url.search} → ${estado} (${Date.now() - inicio} ms)`);
+}
+
+/**
+ * FUNCIÓN: CREAR SERVIDOR DE LA API
+ * =================================
+ *
+ * Las peticiones se encadenan: cada una empieza cuando termina la anterior,
+ * porque comparten el estado en memoria de data/tareas.js (y el registro
+ * de cambios de cada operación para el historial).
+ *
+ * @param {Object} opciones - { offline: seguir con la copia local si no hay conexión }
+ * @returns {http.Server} - Servidor sin arrancar
+ */
+export function crearServidorApi({ offline = false } = {}) {
+  let cola = Promise.resolve();
+  return http.createServer((peticion, respuesta) => {
+    cola = cola
+      .then(() => atenderPeticion(peticion, respuesta, { offline }))
+      // Un fallo al responder (el cliente cerró la conexión) no detiene la cola
+      .catch(error => console.error(`❌ Error respondiendo a ${peticion.method} ${peticion.url}:`, error.message));
+  });
+}
+
+/**
+ * FUNCIÓN: EJECUTAR SERVIDOR DE LA API
+ * ====================================
+ *
+ * Arranca el servidor y espera hasta que se detiene con Ctrl+C (SIGINT)
+ * o SIGTERM.
+ *
+ * @param {Object} opciones - { host, puerto, offline }
+ * @returns {Promise<void>} - Se resuelve cuando el servidor se ha cerrado
+ * @throws {ErrorTarea} - VALIDACION si no se puede escuchar en esa dirección
+ */
+export async function ejecutarServidorApi({ host, puerto, offline = false }) {
+  const servidor = crearServidorApi({ offline });
+
+  // PASO 1: Escuchar (un puerto ocupado es un error de configuración)
+  await new Promise((resolve, reject) => {
+    servidor.once('error', error =>
+      reject(new ErrorTarea(`No se pudo escuchar en ${host}:${puerto}: ${error.message}`, CODIGOS_ERROR.VALIDACION))
+    );
+    servidor.listen(puerto, host, resolve);
+  });
+  const { port } = servidor.address();
+  console.log(`🌐 API REST escuchando en http://${host}:${port} (descripción en /openapi.json)`);
+  console.log('   Pulsa Ctrl+C para detenerla.');
+  const detenerReparto = iniciarRepartoWebhooks({
+    alRepartir: ({ entregadas, reintentos, fallidas }) => console.log(
+      `🪝 Webhooks: ${entregadas.length} entregada(s), ${reintentos.length} por reintentar, ${fallidas.length} fallida(s)`
+    )
+  });
+
+  // PASO 2: Esperar la señal de parada y cerrar las conexiones abiertas
+  await new Promise(resolve => {
+    const detener = () => {
+      process.off('SIGINT', detener);
+      process.off('SIGTERM', detener);
+      detenerReparto();
+      console.log('🛑 Deteniendo la API REST...');
+      servidor.close(resolve);
+      servidor.closeIdleConnections();
+    };
+    process.on('SIGINT', detener);
+    process.on('SIGTERM', detener);
+  });
+}
@@ -0,0 +1,1866 @@
+/**
+ * CONTROLADOR DE LA LÍNEA DE COMANDOS - MODO NO INTERACTIVO
+ * ========================================================
+ *
+ * Permite usar el gestor desde scripts sin pasar por el menú de inquirer:
+ *
+ *   gestor add "texto" [--vence fecha] [--prioridad alta|media|baja] [-t etiqueta] [--proyecto p]
+ *              [--padre id] [--repite regla]
+ *   gestor list [--pendientes|--completadas|--vencidas|--hoy|--semana] [--orden criterio]
+ *               [-t etiqueta] [--proyecto p] [--limite N] [--cursor c]
+ *   gestor done <id> [--subtareas completar|mantener]
+ *                                 Marca una tarea como completada
+ *   gestor reopen <id>            Vuelve a dejar pendiente una tarea completada
+ *   gestor edit <id> ["nuevo"] [--vence fecha|--sin-fecha] [--prioridad p]
+ *               [-t etiqueta|--sin-etiquetas] [--proyecto p|--sin-proyecto]
+ *               [--repite regla|--sin-repeticion]
+ *   gestor rm <id> --yes [--subtareas eliminar|conservar]
+ *                                 Envía una tarea a la papelera (requiere --yes)
+ *   gestor bulk <accion> [id...] [--consulta q] [--pendientes|...] [-t etiqueta] [--proyecto p]
+ *               [--subtareas a] [--agregar e] [--quitar e] [--prioridad p] --yes|--simular
+ *                                 Completa, reabre, elimina, etiqueta o prioriza varias
+ *                                 tareas en una sola escritura (requiere --yes)
+ *   gestor trash [restore <id> | purge <id> --yes | empty --yes]
+ *                                 Lista, restaura o borra definitivamente las
+ *                                 tareas de la papelera
+ *   gestor search <consulta>      Busca con el lenguaje de consulta (ver utils/consulta.js;
+ *                                 admite -t, --proyecto, --limite y --cursor)
+ *   gestor tags [rename|merge]    Lista, renombra o fusiona etiquetas
+ *   gestor projects [rename|merge] Lista, renombra o fusiona proyectos
+ *   gestor log [id] [--limite N]  Historial de cambios de una tarea o de todas
+ *   gestor export [--formato f] [--salida archivo] [--delimitador c]
+ *                                 Exporta las tareas (json, csv, markdown, todotxt, ics)
+ *   gestor import <archivo> [--formato f] [--duplicadas omitir|fusionar|renombrar]
+ *                 [--delimitador c] [--simular]
+ *                                 Importa tareas de un archivo
+ *   gestor undo                   Deshace la última operación
+ *   gestor redo                   Rehace la última operación deshecha
+ *   gestor stats [--desde f] [--hasta f]
+ *                                 Muestra estadísticas y la analítica de productividad
+ *   gestor report [--periodo p | --desde f --hasta f] [--formato markdown|html]
+ *                 [--plantilla archivo] [--salida archivo]
+ *                                 Genera un informe del periodo en Markdown o HTML
+ *   gestor tiempo [iniciar <id> | detener | registros <id> |
+ *                 agregar <id> --desde h --hasta h | editar <id> <n> [--desde h] [--hasta h] |
+ *                 borrar <id> <n> --yes | hoja [--periodo p | --desde f --hasta f]
+ *                 [--formato csv] [--salida archivo] [--delimitador c]]
+ *                                 Temporizador de tareas, registros de tiempo y hoja de horas
+ *   gestor sync                   Sincroniza los cambios hechos sin conexión
+ *   gestor recordatorios [--una-vez] [--intervalo N]
+ *                                 Avisa de las tareas que vencen (hasta pulsar Ctrl+C)
+ *   gestor recordatorios [posponer <id> <duración> | reactivar <id> | pospuestos | probar]
+ *                                 Pospone avisos, los lista o prueba los canales
+ *   gestor serve [--puerto N] [--host h]
+ *                                 Sirve la API REST hasta que se detiene con Ctrl+C
+ *   gestor config [validar]       Muestra y valida la configuración efectiva
+ *   gestor plugins                Lista los plugins cargados y los que fallaron
+ *   gestor webhooks [add <url> -e evento... [--secreto s] | rm <id> | probar <id> |
+ *                   entregas [--estado e] | reintentar [id] | entregar]
+ *                                 Registra webhooks y consulta o reintenta sus entregas
+ *   gestor login <usuario>        Inicia sesión (la contraseña se pide o se lee de stdin)
+ *   gestor logout                 Cierra la sesión guardada
+ *   gestor whoami                 Muestra el usuario de la sesión
+ *   gestor users [add <nombre> [--admin] | passwd]
+ *                                 Lista o crea cuentas, o cambia la contraseña
+ *
+ * Todos los comandos aceptan --json para producir una salida legible por máquinas.
+ * Con cuentas de usuario hay que haber iniciado sesión (gestor login) y cada
+ * comando trabaja solo con las tareas propias; un administrador puede usar
+ * --todos para trabajar con las de todos los usuarios.
+ * Las opciones globales de configuración (--perfil, --mongo-url, ...) las
+ * separa index.js antes de llegar aquí (ver config/configuracion.js).
+ * Los IDs pueden abreviarse con cualquier prefijo único.
+ * El listado humano muestra las subtareas indentadas bajo su padre;
+ * con --json la lista es plana y cada subtarea lleva su padreId.
+ *
+ * Códigos de salida:
+ * - 0: Operación correcta
+ * - 1: Error de validación, duplicado, fallo al guardar o configuración inválida
+ *      (también si alguna fila de una importación no se pudo importar,
+ *      si un plugin rechazó la operación o si gestor webhooks entregar
+ *      no pudo entregar algún evento)
+ * - 2: Uso incorrecto (comando u opciones desconocidas, argumentos faltantes,
+ *      perfil inexistente, archivo de configuración ilegible o falta
+ *      --subtareas al completar/eliminar una tarea con subtareas)
+ * - 3: La tarea indicada no existe o el ID es ambiguo
+ * - 4: Conflicto: otro proceso modificó la tarea mientras tanto, o (undo/redo)
+ *      la tarea cambió después de la operación que se quiere deshacer
+ * - 5: No autorizado: falta iniciar sesión, la contraseña no es correcta o
+ *      el comando es solo para administradores
+ */
+
+// parseArgs: Analizador de argumentos incluido en Node.js (sin dependencias extra)
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Inquirer: solo para pedir contraseñas cuando hay una terminal
+import inquirer from 'inquirer';
+// Operaciones de negocio compartidas con el menú interactivo
+import {
+  filtrarTareas,
+  paginarTareas,
+  registrarTarea,
+  actualizarTarea,
+  completarTareaPorId,
+  reabrirTareaPorId,
+  eliminarTareaPorId,
+  planificarEnBloque,
+  aplicarEnBloque,
+  buscarPorConsulta,
+  calcularEstadisticas,
+  construirArbol,
+  CRITERIOS_ORDEN,
+  ACCIONES_SUBTAREAS,
+  ACCIONES_EN_BLOQUE
+} from '../services/tareasService.js';
+// Carga inicial de tareas y gestión de la conexión
+import { inicializarTareas, cerrarAlmacenamiento, obtenerEstadoConexion } from '../data/tareas.js';
+import { rutaConflictos } from '../data/diarioOffline.js';
+import { configurarMensajes } from '../config/database.js';
+import {
+  obtenerConfiguracion,
+  validarConfiguracion,
+  configuracionVisible
+} from '../config/configuracion.js';
+// Errores de dominio y formato de salida
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+import {
+  formatearLineaTarea,
+  formatearNodoArbol,
+  formatearEvento,
+  formatearTareaEliminada,
+  formatearFilaImportada,
+  describirResumenImportacion,
+  describirFiltro,
+  describirOrganizacion,
+  describirOperacionEnBloque,
+  formatearAnalitica,
+  formatearWebhook,
+  formatearEntrega,
+  formatearEntregasEnEspera,
+  formatearTiempo,
+  formatearRegistroTiempo,
+  formatearHojaHoras
+} from '../utils/formato.js';
+import { escribirArchivoAtomico } from '../utils/archivos.js';
+// Operaciones sobre etiquetas y proyectos
+import {
+  listarEtiquetas,
+  listarProyectos,
+  renombrarEtiqueta,
+  fusionarEtiquetas,
+  renombrarProyecto,
+  fusionarProyectos
+} from '../services/organizacionService.js';
+// Deshacer y rehacer
+import { deshacer, rehacer } from '../services/historialService.js';
+// Papelera
+import {
+  listarPapelera,
+  fechaDeVaciado,
+  restaurarTareaPorId,
+  vaciarTareaPorId,
+  vaciarPapelera,
+  vaciarTareasCaducadas
+} from '../services/papeleraService.js';
+// Auditoría de cambios
+import { consultarHistorialTarea, consultarUltimosCambios } from '../services/auditoriaService.js';
+// Exportación e importación
+import { exportarTareas, importarTareas, MODOS_DUPLICADAS } from '../services/intercambioService.js';
+// Analítica de productividad
+import { calcularAnalitica } from '../services/analiticaService.js';
+// Informes
+import { generarInforme, PERIODOS_INFORME } from '../services/informeService.js';
+import { FORMATOS_INFORME, formatoInformeDeArchivo } from '../utils/informe.js';
+import { FORMATOS_INTERCAMBIO, formatoDeArchivo, interpretarDelimitador } from '../utils/intercambio.js';
+// Control de tiempo
+import {
+  obtenerTemporizadorEnMarcha,
+  iniciarTemporizador,
+  detenerTemporizador,
+  listarRegistros,
+  agregarRegistro,
+  editarRegistro,
+  borrarRegistro,
+  calcularHojaHoras,
+  exportarHojaHorasCsv
+} from '../services/tiempoService.js';
+// API REST
+import { ejecutarServidorApi } from './apiController.js';
+// Recordatorios
+import { ejecutarRecordatorios } from './recordatoriosController.js';
+import {
+  posponerRecordatorio,
+  reactivarRecordatorio,
+  listarPospuestos,
+  probarCanales
+} from '../services/recordatoriosService.js';
+import { crearCanales } from '../services/canales/index.js';
+// Cuentas de usuario y sesión
+import {
+  restaurarSesion,
+  iniciarSesion,
+  cerrarSesion,
+  crearUsuario,
+  listarUsuarios,
+  cambiarContrasena,
+  verTareasDeTodos
+} from '../services/usuariosService.js';
+import { obtenerSesion } from '../data/sesion.js';
+// Plugins
+import { cargarPlugins } from '../services/pluginsService.js';
+// Webhooks
+import {
+  activarWebhooks,
+  registrarWebhook,
+  listarWebhooks,
+  eliminarWebhook,
+  probarWebhook,
+  listarEntregas,
+  reintentarEntregas,
+  entregarPendientes,
+  ESTADOS_ENTREGA
+} from '../services/webhooksService.js';
+
+/**
+ * CÓDIGOS DE SALIDA DEL PROCESO
+ * =============================
+ */
+export const CODIGOS_SALIDA = Object.freeze({
+  OK: 0,
+  ERROR: 1,
+  USO: 2,
+  NO_ENCONTRADA: 3,
+  CONFLICTO: 4,
+  NO_AUTORIZADO: 5
+});
+
+/**
+ * OPCIONES RECONOCIDAS
+ * ====================
+ *
+ * Definición para util.parseArgs(). Las opciones que un comando no usa
+ * simplemente se ignoran.
+ */
+const OPCIONES = {
+  json: { type: 'boolean', default: false },
+  pendientes: { type: 'boolean', default: false },
+  completadas: { type: 'boolean', default: false },
+  vencidas: { type: 'boolean', default: false },
+  hoy: { type: 'boolean', default: false },
+  semana: { type: 'boolean', default: false },
+  orden: { type: 'string' },
+  vence: { type: 'string' },
+  'sin-fecha': { type: 'boolean', default: false },
+  prioridad: { type: 'string' },
+  etiqueta: { type: 'string', short: 't', multiple: true },
+  'sin-etiquetas': { type: 'boolean', default: false },
+  proyecto: { type: 'string' },
+  'sin-proyecto': { type: 'boolean', default: false },
+  padre: { type: 'string' },
+  repite: { type: 'string' },
+  'sin-repeticion': { type: 'boolean', default: false },
+  subtareas: { type: 'string' },
+  limite: { type: 'string' },
+  cursor: { type: 'string' },
+  desde: { type: 'string' },
+  hasta: { type: 'string' },
+  periodo: { type: 'string' },
+  plantilla: { type: 'string' },
+  formato: { type: 'string' },
+  salida: { type: 'string', short: 'o' },
+  delimitador: { type: 'string' },
+  duplicadas: { type: 'string' },
+  simular: { type: 'boolean', default: false },
+  consulta: { type: 'string' },
+  agregar: { type: 'string', multiple: true },
+  quitar: { type: 'string', multiple: true },
+  puerto: { type: 'string' },
+  intervalo: { type: 'string' },
+  'una-vez': { type: 'boolean', default: false },
+  host: { type: 'string' },
+  evento: { type: 'string', short: 'e', multiple: true },
+  secreto: { type: 'string' },
+  estado: { type: 'string' },
+  admin: { type: 'boolean', default: false },
+  todos: { type: 'boolean', default: false },
+  yes: { type: 'boolean', short: 'y', default: false },
+  offline: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * FILTROS DEL COMANDO list
+ * ========================
+ *
+ * Cada uno corresponde a una opción booleana (--pendientes, --vencidas, ...).
+ */
+const FILTROS_LISTA = ['pendientes', 'completadas', 'vencidas', 'hoy', 'semana'];
+
+/**
+ * TEXTO DE AYUDA
+ * ==============
+ */
+const AYUDA = `Uso: gestor <comando> [argumentos] [opciones]
+
+Sin comando se abre el menú interactivo.
+
+Comandos:
+  add <descripcion> [--vence <fecha>] [--prioridad <p>] [-t <etiqueta>...] [--proyecto <p>]
+      [--padre <id>] [--repite <regla>]
+                             Crea una nueva tarea (o una subtarea de <id>)
+  list [--pendientes|--completadas|--vencidas|--hoy|--semana] [--orden <criterio>]
+       [-t <etiqueta>...] [--proyecto <p>] [--limite <n>] [--cursor <c>]
+                             Lista las tareas (todas por defecto); con --limite o
+                             --cursor, de página en página
+  done <id> [--subtareas completar|mantener]
+                             Marca una tarea como completada
+  reopen <id>                Vuelve a dejar pendiente una tarea completada
+  edit <id> [descripcion] [--vence <fecha>|--sin-fecha] [--prioridad <p>]
+       [-t <etiqueta>...|--sin-etiquetas] [--proyecto <p>|--sin-proyecto]
+       [--repite <regla>|--sin-repeticion]
+                             Cambia los datos indicados de una tarea
+  rm <id> --yes [--subtareas eliminar|conservar]
+                             Envía una tarea a la papelera
+  bulk <accion> [id...] [--consulta <q>] [--pendientes|--completadas|--vencidas|--hoy|--semana]
+       [-t <etiqueta>...] [--proyecto <p>] [--subtareas <a>] [--agregar <e>...]
+       [--quitar <e>...] [--prioridad <p>] --yes|--simular
+                             Aplica una acción (completar, reabrir, eliminar, etiquetar
+                             o priorizar) a varias tareas: las de los IDs, o todas las
+                             que cumplen la búsqueda, el filtro, las etiquetas y/o el
+                             proyecto. Se guarda todo de una vez y se deshace entero
+  trash                      Lista las tareas de la papelera
+  trash restore <id>         Restaura una tarea (y sus subtareas eliminadas con ella)
+  trash purge <id> --yes     Borra definitivamente una tarea de la papelera
+  trash empty --yes          Vacía la papelera
+  search <consulta> [-t <etiqueta>...] [--proyecto <p>] [--limite <n>] [--cursor <c>]
+                             Busca tareas. La consulta combina texto, "frases exactas",
+                             campos (estado:pendiente prioridad:alta etiqueta:casa
+                             proyecto:Hogar creada>2026-01-01 completada<7d vence<=+3),
+                             exclusiones (-palabra), OR y paréntesis. Escríbela entre
+                             comillas simples; si empieza por "-", pon -- delante:
+                             gestor search -- '-etiqueta:casa vence<7d'
+  tags                       Lista las etiquetas y cuántas tareas las usan
+  tags rename <actual> <nueva>
+  tags merge <destino> <origen>...
+  projects                   Lista los proyectos con su avance
+  projects rename <actual> <nuevo>
+  projects merge <destino> <origen>...
+  log [id] [--limite <n>]    Muestra quién cambió qué y cuándo: los cambios de una
+                             tarea (también eliminada) o los últimos de todas
+  export [--formato <f>] [--salida <archivo>] [--delimitador <c>]
+                             Exporta las tareas activas (a la salida estándar si no
+                             se indica archivo)
+  import <archivo> [--formato <f>] [--duplicadas <modo>] [--delimitador <c>] [--simular]
+                             Importa tareas de un archivo e informa de cada fila
+  undo                       Deshace la última operación (también de otra ejecución)
+  redo                       Rehace la última operación deshecha
+  stats [--desde <fecha>] [--hasta <fecha>]
+                             Muestra estadísticas y la productividad del periodo
+                             (por defecto, los últimos 30 días) con gráficos de texto
+  report [--periodo <p>|--desde <fecha> --hasta <fecha>] [--formato markdown|html]
+         [--plantilla <archivo>] [--salida <archivo>]
+                             Genera un informe del periodo (completadas, creadas,
+                             pendientes, vencidas y resumen) en un solo documento;
+                             a la salida estándar si no se indica archivo
+  tiempo                     Muestra el temporizador en marcha (si lo hay)
+  tiempo iniciar <id>        Empieza a medir el tiempo de una tarea (y detiene el
+                             temporizador que estuviera en marcha)
+  tiempo detener             Detiene el temporizador en marcha
+  tiempo registros <id>      Lista los registros de tiempo de una tarea, numerados
+  tiempo agregar <id> --desde <momento> --hasta <momento>
+                             Agrega a mano tiempo que no se midió
+  tiempo editar <id> <n> [--desde <momento>] [--hasta <momento>]
+                             Corrige el inicio y/o el fin del registro <n>
+  tiempo borrar <id> <n> --yes
+                             Borra el registro <n> de una tarea
+  tiempo hoja [--periodo <p>|--desde <fecha> --hasta <fecha>] [--formato csv]
+              [--salida <archivo>] [--delimitador <c>]
+                             Hoja de horas del periodo (por defecto, esta semana) por
+                             día, tarea y proyecto; en CSV con --formato csv o --salida
+  sync                       Sincroniza los cambios hechos sin conexión
+  recordatorios [--una-vez] [--intervalo <min>]
+                             Revisa cada pocos minutos las tareas que vencen hoy o
+                             pronto y las vencidas, y avisa por los canales
+                             configurados (cada aviso, una sola vez) hasta Ctrl+C
+  recordatorios posponer <id> <duración>
+                             Silencia los avisos de una tarea durante 30min, 2h, 1d...
+  recordatorios reactivar <id>
+                             Anula el aplazamiento de los avisos de una tarea
+  recordatorios pospuestos   Lista las tareas con avisos pospuestos
+  recordatorios probar       Envía un aviso de prueba por cada canal
+  serve [--puerto <n>] [--host <h>]
+                             Sirve la API REST (JSON) hasta pulsar Ctrl+C; la
+                             descripción OpenAPI está en /openapi.json
+  config [validar]           Muestra la configuración efectiva (sin contraseñas)
+                             o solo la valida
+  plugins                    Lista los plugins del directorio plugins.directorio:
+                             cargados (con sus ganchos y opciones de menú),
+                             desactivados y los que no se pudieron cargar
+  webhooks                   Lista los webhooks registrados
+  webhooks add <url> -e <evento>... [--secreto <s>]
+                             Envía a <url> los eventos indicados (creada, editada,
+                             completada, reabierta, eliminada), firmados con HMAC
+  webhooks rm <id>           Elimina un webhook y sus entregas pendientes
+  webhooks probar <id>       Envía un evento "ping" firmado para comprobar el receptor
+  webhooks entregas [--estado <e>] [--limite <n>]
+                             Lista las entregas (pendiente, entregada o fallida)
+  webhooks reintentar [id]   Vuelve a intentar una entrega fallida (o todas)
+  webhooks entregar          Envía ya las entregas pendientes que tocan (para cron)
+  login <usuario>            Inicia sesión y la recuerda en este equipo (la contraseña
+                             se pide, o se lee de la entrada estándar)
+  logout                     Cierra la sesión
+  whoami                     Muestra con qué usuario se ha iniciado sesión
+  users                      Lista las cuentas de usuario (administradores)
+  users add <nombre> [--admin]
+                             Crea una cuenta; la primera es de administrador y se
+                             queda con las tareas existentes
+  users passwd               Cambia la contraseña (actual y nueva, una por línea si
+                             se leen de la entrada estándar)
+  help                       Muestra esta ayuda
+
+Opciones:
+  --json                     Salida en formato JSON
+  --vence <fecha>            Fecha límite: AAAA-MM-DD, hoy, mañana o +N (días)
+  --sin-fecha                Quita la fecha límite (edit)
+  --prioridad <p>            alta, media o baja ("" la quita en edit y bulk priorizar)
+  --orden <criterio>         prioridad (por defecto), vencimiento o creacion
+  -t, --etiqueta <e>         Etiqueta (repetible; también "a,b"). En list/search
+                             filtra por tareas que tengan todas las indicadas
+  --sin-etiquetas            Quita todas las etiquetas (edit)
+  --proyecto <p>             Proyecto de la tarea, o filtro en list/search
+  --sin-proyecto             Quita el proyecto (edit)
+  --padre <id>               Crea la tarea como subtarea de otra (add)
+  --repite <regla>           Repetición: diaria, diaria:N, semanal:lun,jue, mensual:D
+                             o tras:N (N días después de completarla)
+  --sin-repeticion           Deja de repetir la tarea (edit)
+  --subtareas <accion>       Qué hacer con las subtareas de la tarea:
+                             completar o mantener (done), eliminar o conservar (rm)
+                             (en bulk, según la acción)
+  --consulta <q>             Elige las tareas que cumplen la búsqueda (bulk)
+  --agregar <e>              Etiqueta a agregar (bulk etiquetar, repetible; también "a,b")
+  --quitar <e>               Etiqueta a quitar (bulk etiquetar, repetible; también "a,b")
+  --limite <n>               Cantidad de cambios a mostrar (log, por defecto 20) o
+                             tareas por página (list y search, por defecto tareas.tamanoPagina)
+  --cursor <c>               Pide la página siguiente de list o search: el cursor que
+                             indicó la página anterior (con las mismas opciones)
+  --desde <fecha>            Inicio del periodo (stats, report y tiempo hoja): AAAA-MM-DD,
+                             hoy, ayer o una antigüedad como 30d, 2s o 6m. En tiempo
+                             agregar/editar, inicio del registro: una hora (09:30), con
+                             el día delante si no es hoy (ayer 18:00, 2026-10-01 08:15)
+                             o "ahora"
+  --hasta <fecha>            Fin del periodo (stats, report y tiempo hoja, por defecto hoy).
+                             En tiempo agregar/editar, fin del registro (como --desde)
+  --periodo <p>              Periodo del informe (report y tiempo hoja): semana (por
+                             defecto, desde el lunes), semana-pasada, mes o mes-pasado
+  --formato <f>              json, csv, markdown, todotxt o ics (por defecto, según la
+                             extensión del archivo; json al exportar sin archivo).
+                             En report, markdown (por defecto) o html; en tiempo hoja, csv
+  --plantilla <archivo>      Plantilla propia del informe (report, ver README)
+  -o, --salida <archivo>     Archivo donde exportar o guardar el informe o la hoja de horas
+  --delimitador <c>          Separador de columnas del CSV (por defecto ","; "tab" = tabulador)
+  --duplicadas <modo>        Tareas que ya existen al importar: omitir (por defecto),
+                             fusionar o renombrar
+  --simular                  Muestra qué haría la importación o la operación en
+                             bloque sin guardar nada
+  --puerto <n>               Puerto de la API REST (serve, por defecto servidor.puerto: 3000)
+  --host <h>                 Dirección de la API REST (serve, por defecto servidor.host: 127.0.0.1)
+  --intervalo <min>          Minutos entre revisiones (recordatorios, por defecto
+                             recordatorios.intervaloMinutos: 5)
+  --una-vez                  Revisa una sola vez y termina (recordatorios, para cron)
+  -e, --evento <evento>      Evento que se envía al webhook (webhooks add, repetible)
+  --secreto <s>              Secreto para firmar los eventos (webhooks add; por
+                             defecto se genera uno)
+  --estado <e>               Estado de las entregas a listar (webhooks entregas)
+  --admin                    Crea la cuenta como administrador (users add)
+  --todos                    Trabaja con las tareas de todos los usuarios (solo administradores)
+  --offline                  Si no hay conexión, trabaja con la copia local
+                             y guarda los cambios en el diario
+  -y, --yes                  Confirma operaciones destructivas y en bloque
+  -h, --help                 Muestra esta ayuda
+
+Opciones de configuración (valen también para el menú interactivo):
+  --perfil <nombre>          Usa un perfil del archivo de configuración
+  --config <ruta>            Archivo de configuración (por defecto ~/.gestor-tareas.json)
+  --almacenamiento <tipo>    mongodb, json o memoria
+  --archivo-json <ruta>      Archivo del backend json
+  --mongo-url <url>          URL de conexión a MongoDB
+  --db <nombre>              Base de datos de MongoDB
+  --coleccion <nombre>       Colección de MongoDB`;
+
+/**
+ * CLASE INTERNA: ERROR DE USO
+ * ===========================
+ *
+ * Se lanza cuando la invocación es incorrecta (faltan argumentos, etc.).
+ * Se traduce al código de salida USO.
+ */
+class ErrorUso extends Error {
+  constructor(mensaje) {
+    super(mensaje);
+    this.name = 'ErrorUso';
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR ARGUMENTOS POSICIONALES
+ * ================================================
+ *
+ * Verifica que el comando haya recibido la cantidad mínima de argumentos.
+ */
+function exigirArgumentos(argumentos, cantidad, uso) {
+  if (argumentos.length < cantidad || argumentos.slice(0, cantidad).some(a => _.isEmpty(a?.trim()))) {
+    throw new ErrorUso(`Uso: gestor ${uso}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPRIMIR RESULTADO
+ * ====================================
+ *
+ * Con --json escribe el valor serializado; si no, ejecuta el formateador humano.
+ * Las tareas se serializan con toDocumento() (los ObjectId se convierten a texto).
+ */
+function imprimir(opciones, valor, formateadorHumano) {
+  if (opciones.json) {
+    console.log(JSON.stringify(valor, null, 2));
+  } else {
+    formateadorHumano();
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPRIMIR LISTA DE TAREAS
+ * ==========================================
+ *
+ * @param {Object} arbol - Si se indica ({ criterio }), la salida humana
+ *                         muestra las subtareas indentadas bajo su padre
+ */
+function imprimirTareas(opciones, lista, mensajeVacio, titulo, arbol = null) {
+  imprimir(opciones, lista.map(t => t.toDocumento()), () => {
+    if (_.isEmpty(lista)) {
+      console.log(mensajeVacio);
+      return;
+    }
+    console.log(titulo);
+    if (arbol) {
+      construirArbol(lista, arbol.criterio).forEach(nodo => console.log(formatearNodoArbol(nodo, { conId: true })));
+    } else {
+      lista.forEach((tarea, i) => console.log(formatearLineaTarea(tarea, i, { conId: true })));
+    }
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PAGINACIÓN PEDIDA
+ * ===================================
+ *
+ * list y search muestran todas las tareas salvo que se pida una página
+ * con --limite y/o --cursor.
+ *
+ * @returns {Object|null} - { limite, cursor } para paginarTareas, o null sin paginación
+ */
+function paginacionDesde(opciones) {
+  if (opciones.limite === undefined && opciones.cursor === undefined) return null;
+  const limite = opciones.limite === undefined ? obtenerConfiguracion().tareas.tamanoPagina : Number(opciones.limite);
+  if (!Number.isInteger(limite) || limite < 1) {
+    throw new ErrorUso(`--limite debe ser un número entero positivo, no "${opciones.limite}"`);
+  }
+  return { limite, cursor: opciones.cursor ?? null };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPRIMIR PÁGINA DE TAREAS
+ * ===========================================
+ *
+ * Como imprimirTareas, más el cursor de la página siguiente. Con --json
+ * escribe { tareas, siguiente } (siguiente es null en la última página).
+ */
+function imprimirPagina(opciones, { tareas: lista, siguiente }, mensajeVacio, titulo, arbol = null) {
+  if (opciones.json) {
+    imprimir(opciones, { tareas: lista.map(t => t.toDocumento()), siguiente }, null);
+    return;
+  }
+  imprimirTareas(opciones, lista, mensajeVacio, titulo, arbol);
+  if (siguiente) console.log(`\n➡️ Hay más tareas. Página siguiente: las mismas opciones y --cursor ${siguiente}`);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ACCIÓN SOBRE SUBTAREAS
+ * ========================================
+ *
+ * Valida --subtareas para done (completar|mantener) o rm (eliminar|conservar).
+ */
+function accionSubtareasDesde(opciones, operacion) {
+  const validas = ACCIONES_SUBTAREAS[operacion];
+  if (opciones.subtareas !== undefined && !validas.includes(opciones.subtareas)) {
+    throw new ErrorUso(`--subtareas admite: ${validas.join(', ')}`);
+  }
+  return opciones.subtareas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TAREAS DE UNA OPERACIÓN EN BLOQUE
+ * ===================================================
+ *
+ * Las de los IDs indicados o, sin IDs, todas las que cumplen --consulta
+ * o un filtro de list (--pendientes, --vencidas...), -t y --proyecto.
+ *
+ * @returns {Promise<Array<ObjectId|string>>} - IDs elegidos
+ */
+async function tareasEnBloqueDesde(ids, opciones, uso) {
+  const filtros = FILTROS_LISTA.filter(f => opciones[f]);
+  const organizacion = organizacionDesde(opciones);
+  const conCriterios = opciones.consulta !== undefined || !_.isEmpty(filtros) || !_.isEmpty(organizacion);
+  if (_.isEmpty(ids) === !conCriterios) {
+    throw new ErrorUso(`Indica las tareas con sus IDs o con criterios de selección, no ambos. Uso: gestor ${uso}`);
+  }
+  if (!_.isEmpty(ids)) return ids;
+
+  if (filtros.length > 1 || (filtros.length === 1 && opciones.consulta !== undefined)) {
+    throw new ErrorUso(`Usa solo uno de --consulta, ${FILTROS_LISTA.map(f => `--${f}`).join(', ')}`);
+  }
+  const lista = opciones.consulta !== undefined
+    ? await buscarPorConsulta(opciones.consulta, organizacion)
+    : await filtrarTareas(filtros[0] ?? 'todas', 'prioridad', organizacion);
+  return lista.map(tarea => tarea._id);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: OPERACIÓN EN BLOQUE COMO JSON
+ * ===============================================
+ *
+ * Plan o resultado de una operación en bloque para --json: las tareas
+ * como documentos y las omitidas, solo con su ID.
+ */
+function operacionEnBloqueComoJson({ accion, cambios, tareas, omitidas, subtareas, subtareasSinDecidir, padres, siguientesOcurrencias = [] }) {
+  const documentos = lista => lista.map(tarea => tarea.toDocumento());
+  return {
+    accion,
+    cambios,
+    tareas: documentos(tareas),
+    omitidas: omitidas.map(tarea => String(tarea._id)),
+    subtareas: documentos(subtareas),
+    subtareasSinDecidir,
+    padres: documentos(padres),
+    siguientesOcurrencias: documentos(siguientesOcurrencias)
+  };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CRITERIOS DE ORGANIZACIÓN
+ * ===========================================
+ *
+ * Traduce -t/--etiqueta y --proyecto al formato de filtrarPorOrganizacion().
+ */
+function organizacionDesde(opciones) {
+  return _.omitBy({ etiquetas: opciones.etiqueta, proyecto: opciones.proyecto }, _.isUndefined);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: OPCIÓN EXCLUYENTE
+ * ===================================
+ *
+ * Impide combinar una opción con la que la anula (--vence y --sin-fecha, ...).
+ */
+function exigirExcluyentes(opciones, opcion, contraria) {
+  if (opciones[opcion] !== undefined && opciones[contraria]) {
+    throw new ErrorUso(`Usa solo uno de --${opcion} o --${contraria}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: OPCIONES DE INTERCAMBIO
+ * =========================================
+ *
+ * Valida --formato (o lo deduce de la extensión del archivo), --delimitador
+ * y --duplicadas para export e import.
+ */
+function intercambioDesde(opciones, archivo, formatoPorDefecto = null) {
+  const formato = opciones.formato ?? formatoDeArchivo(archivo) ?? formatoPorDefecto;
+  if (!formato) {
+    throw new ErrorUso(`No se reconoce el formato de "${archivo}": indícalo con --formato (${FORMATOS_INTERCAMBIO.join(', ')})`);
+  }
+  if (!FORMATOS_INTERCAMBIO.includes(formato)) {
+    throw new ErrorUso(`--formato admite: ${FORMATOS_INTERCAMBIO.join(', ')}`);
+  }
+  if (opciones.delimitador !== undefined && !interpretarDelimitador(opciones.delimitador)) {
+    throw new ErrorUso('--delimitador debe ser un solo carácter (o "tab")');
+  }
+  if (opciones.duplicadas !== undefined && !MODOS_DUPLICADAS.includes(opciones.duplicadas)) {
+    throw new ErrorUso(`--duplicadas admite: ${MODOS_DUPLICADAS.join(', ')}`);
+  }
+  return { formato, delimitador: opciones.delimitador, duplicadas: opciones.duplicadas };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SUBCOMANDO DE ORGANIZACIÓN
+ * ============================================
+ *
+ * Lógica común de "tags" y "projects": listar (sin subcomando),
+ * rename <actual> <nuevo> y merge <destino> <origen>...
+ */
+async function ejecutarOrganizacion(argumentos, opciones, { comando, listar, renombrar, fusionar, imprimirElemento, vacio }) {
+  const [subcomando, ...resto] = argumentos;
+
+  switch (subcomando) {
+    case undefined: {
+      const lista = await listar();
+      imprimir(opciones, lista, () => {
+        if (_.isEmpty(lista)) return console.log(vacio);
+        lista.forEach(elemento => console.log(imprimirElemento(elemento)));
+      });
+      return;
+    }
+    case 'rename': {
+      exigirArgumentos(resto, 2, `${comando} rename <actual> <nuevo>`);
+      const modificadas = await renombrar(resto[0], resto[1]);
+      imprimir(opciones, { modificadas }, () =>
+        console.log(`✏️ Renombrado en ${modificadas} tarea(s).`)
+      );
+      return;
+    }
+    case 'merge': {
+      exigirArgumentos(resto, 2, `${comando} merge <destino> <origen>...`);
+      const [destino, ...origenes] = resto;
+      const modificadas = await fusionar(origenes, destino);
+      imprimir(opciones, { modificadas }, () =>
+        console.log(`🔗 Fusionado en ${modificadas} tarea(s).`)
+      );
+      return;
+    }
+    default:
+      throw new ErrorUso(`Uso: gestor ${comando} [rename <actual> <nuevo> | merge <destino> <origen>...]`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: INFORMAR SINCRONIZACIÓN
+ * =========================================
+ *
+ * Si al cargar se reprodujo el diario sin conexión, lo indica por stderr
+ * (para no mezclarlo con la salida del comando, que puede ser JSON).
+ */
+function informarSincronizacion(sincronizacion) {
+  if (!sincronizacion) return;
+
+  console.error(`🔄 Sincronizados ${sincronizacion.aplicadas} cambio(s) hechos sin conexión.`);
+  if (!_.isEmpty(sincronizacion.conflictos)) {
+    console.error(`⚠️ ${sincronizacion.conflictos.length} cambio(s) en conflicto guardados en ${rutaConflictos()}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LIMPIAR PAPELERA
+ * ==================================
+ *
+ * Borra las tareas caducadas de la papelera e informa por stderr.
+ * Un fallo aquí no impide ejecutar el comando.
+ */
+async function limpiarPapelera() {
+  try {
+    const borradas = await vaciarTareasCaducadas();
+    if (borradas.length > 0) {
+      const { diasPapelera } = obtenerConfiguracion().tareas;
+      console.error(`🧹 Se borraron definitivamente ${borradas.length} tarea(s) con más de ${diasPapelera} días en la papelera.`);
+    }
+  } catch (error) {
+    console.error(`⚠️  No se pudo vaciar la papelera: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CARGAR PLUGINS
+ * ================================
+ *
+ * Informa por stderr de los plugins que no se pudieron cargar.
+ * Un plugin roto no impide ejecutar el comando.
+ */
+async function cargarPluginsDeComando() {
+  const { fallidos } = await cargarPlugins();
+  fallidos.forEach(({ archivo, error }) => console.error(`⚠️  No se pudo cargar el plugin ${archivo}: ${error}`));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REPARTIR WEBHOOKS
+ * ===================================
+ *
+ * Al terminar un comando, intenta enviar lo que haya pendiente en la bandeja
+ * (los eventos del propio comando y los reintentos que ya tocan). Lo que no
+ * se pudo enviar queda en la bandeja y se informa por stderr; nunca cambia
+ * el código de salida del comando.
+ */
+async function repartirWebhooks() {
+  try {
+    const { reintentos, fallidas } = await entregarPendientes();
+    if (!_.isEmpty(reintentos)) {
+      console.error(`⚠️  ${reintentos.length} evento(s) no llegaron a su webhook; se reintentarán (gestor webhooks entregas)`);
+    }
+    if (!_.isEmpty(fallidas)) {
+      console.error(`⚠️  ${fallidas.length} evento(s) no se pudieron entregar a su webhook (gestor webhooks reintentar)`);
+    }
+  } catch (error) {
+    console.error(`⚠️  No se pudieron enviar los eventos a los webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPRIMIR RESULTADO DEL REPARTO
+ * ================================================
+ */
+function imprimirReparto(opciones, resultado) {
+  imprimir(opciones, resultado, () => {
+    const { entregadas, reintentos, fallidas, enEspera } = resultado;
+    const espera = formatearEntregasEnEspera(enEspera);
+    if (_.isEmpty(entregadas) && _.isEmpty(reintentos) && _.isEmpty(fallidas)) {
+      return console.log(espera ? `📭 No tocaba enviar ninguna entrega. ${espera}` : '📭 No había entregas pendientes.');
+    }
+    console.log(`📬 ${entregadas.length} entregada(s), ${reintentos.length} por reintentar, ${fallidas.length} fallida(s).`);
+    [...reintentos, ...fallidas].forEach(entrega => console.log(`   ${formatearEntrega(entrega)}`));
+    if (espera) console.log(espera);
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPRIMIR HOJA DE HORAS
+ * ========================================
+ *
+ * En pantalla (o JSON), o en CSV con --formato csv o --salida: a la salida
+ * estándar si no se indica archivo, como export y report.
+ */
+async function imprimirHojaHoras(opciones) {
+  const formato = opciones.formato ?? (opciones.salida ? 'csv' : null);
+  if (formato !== null && formato !== 'csv') throw new ErrorUso('--formato admite en tiempo hoja: csv');
+  if (opciones.periodo !== undefined && !PERIODOS_INFORME.includes(opciones.periodo)) {
+    throw new ErrorUso(`--periodo admite: ${PERIODOS_INFORME.join(', ')}`);
+  }
+  const periodo = { periodo: opciones.periodo, desde: opciones.desde, hasta: opciones.hasta };
+
+  if (!formato) {
+    const hoja = await calcularHojaHoras(periodo);
+    imprimir(opciones, hoja, () => formatearHojaHoras(hoja).forEach(linea => console.log(linea)));
+    return;
+  }
+
+  const { contenido, desde, hasta, filas } = await exportarHojaHorasCsv({ ...periodo, delimitador: opciones.delimitador });
+  if (!opciones.salida) {
+    process.stdout.write(contenido);
+    return;
+  }
+  try {
+    await escribirArchivoAtomico(opciones.salida, contenido);
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo escribir "${opciones.salida}": ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+  imprimir(opciones, { archivo: opciones.salida, desde, hasta, filas: filas.length }, () =>
+    console.log(`📤 Hoja de horas del ${desde} al ${hasta} guardada en ${opciones.salida} (${filas.length} fila(s))`)
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPRIMIR VALIDACIÓN
+ * =====================================
+ */
+function imprimirValidacion({ errores, advertencias }) {
+  errores.forEach(error => console.log(`❌ ${error}`));
+  advertencias.forEach(advertencia => console.log(`⚠️ ${advertencia}`));
+  if (_.isEmpty(errores)) console.log('✅ La configuración es válida.');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER CONTRASEÑAS
+ * ==================================
+ *
+ * En una terminal las pide sin mostrarlas; si la entrada estándar viene de
+ * una tubería o un archivo (scripts), lee una contraseña por línea.
+ *
+ * @param {string[]} mensajes - Texto de cada contraseña a pedir
+ * @returns {Promise<string[]>} - Una contraseña por mensaje
+ */
+async function leerContrasenas(mensajes) {
+  if (process.stdin.isTTY) {
+    const contrasenas = [];
+    for (const mensaje of mensajes) {
+      const { contrasena } = await inquirer.prompt([
+        { type: 'password', name: 'contrasena', message: mensaje, mask: '*' }
+      ]);
+      contrasenas.push(contrasena);
+    }
+    return contrasenas;
+  }
+
+  const trozos = [];
+  for await (const trozo of process.stdin) trozos.push(trozo);
+  const lineas = Buffer.concat(trozos).toString('utf8').split(/\r?\n/);
+  return mensajes.map((mensaje, i) => lineas[i] ?? '');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER CONTRASEÑA NUEVA
+ * =======================================
+ *
+ * En una terminal la pide dos veces para evitar erratas.
+ */
+async function leerContrasenaNueva(mensaje) {
+  const [contrasena, repetida = contrasena] = await leerContrasenas(
+    process.stdin.isTTY ? [mensaje, 'Repite la contraseña:'] : [mensaje]
+  );
+  if (contrasena !== repetida) {
+    throw new ErrorTarea('Las contraseñas no coinciden', CODIGOS_ERROR.VALIDACION);
+  }
+  return contrasena;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DESCRIBIR USUARIO
+ * ===================================
+ */
+function describirUsuario(usuario) {
+  return `${usuario.nombre}${usuario.admin ? ' (administrador)' : ''}`;
+}
+
+/**
+ * COMANDOS QUE NO NECESITAN CARGAR LAS TAREAS
+ * ===========================================
+ *
+ * Funcionan aunque el almacenamiento no esté disponible
+ * (precisamente sirven para diagnosticar la configuración).
+ */
+const COMANDOS_SIN_CARGA = ['config', 'plugins'];
+
+/**
+ * COMANDOS QUE NO NECESITAN SESIÓN
+ * ================================
+ *
+ * Con cuentas de usuario, el resto exige haber iniciado sesión.
+ */
+const COMANDOS_SIN_SESION = ['login', 'logout', 'whoami'];
+
+/**
+ * COMANDOS DISPONIBLES
+ * ====================
+ *
+ * Cada comando recibe los argumentos posicionales (sin el nombre del comando)
+ * y las opciones ya analizadas.
+ */
+const COMANDOS = {
+  async add(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'add <descripcion> [--vence <fecha>] [--prioridad <p>] [--padre <id>]');
+    const tarea = await registrarTarea(argumentos.join(' '), {
+      padreId: opciones.padre,
+      recurrencia: opciones.repite,
+      fechaLimite: opciones.vence,
+      prioridad: opciones.prioridad,
+      etiquetas: opciones.etiqueta,
+      proyecto: opciones.proyecto
+    });
+    imprimir(opciones, tarea.toDocumento(), () =>
+      console.log(`✅ Tarea agregada exitosamente. {${tarea._id}}`)
+    );
+  },
+
+  async list(argumentos, opciones) {
+    const filtros = FILTROS_LISTA.filter(f => opciones[f]);
+    if (filtros.length > 1) {
+      throw new ErrorUso(`Usa solo uno de ${FILTROS_LISTA.map(f => `--${f}`).join(', ')}`);
+    }
+    if (opciones.orden !== undefined && !CRITERIOS_ORDEN[opciones.orden]) {
+      throw new ErrorUso(`--orden admite: ${Object.keys(CRITERIOS_ORDEN).join(', ')}`);
+    }
+    const filtro = filtros[0] ?? 'todas';
+    const organizacion = organizacionDesde(opciones);
+    const titulo = `${describirFiltro(filtro)}${describirOrganizacion(organizacion)}`;
+    const paginacion = paginacionDesde(opciones);
+    if (paginacion) {
+      const pagina = await paginarTareas(filtro, opciones.orden, organizacion, paginacion);
+      imprimirPagina(opciones, pagina, `📭 No hay (más) tareas ${titulo}.`, `📋 Lista de tareas ${titulo}:`, {
+        criterio: opciones.orden
+      });
+      return;
+    }
+    const lista = await filtrarTareas(filtro, opciones.orden, organizacion);
+    imprimirTareas(opciones, lista, `📭 No hay tareas ${titulo}.`, `📋 Lista de tareas ${titulo}:`, {
+      criterio: opciones.orden
+    });
+  },
+
+  async done(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'done <id> [--subtareas completar|mantener]');
+    const subtareas = accionSubtareasDesde(opciones, 'completar');
+    const { tarea, subtareasCompletadas, padresCompletados, siguientesOcurrencias } =
+      await completarTareaPorId(argumentos[0], { subtareas });
+    imprimir(opciones, tarea.toDocumento(), () => {
+      console.log(`🎉 ¡Tarea completada exitosamente! ${tarea.descripcion}`);
+      if (subtareasCompletadas.length > 0) {
+        console.log(`☑️ También se completaron ${subtareasCompletadas.length} subtarea(s).`);
+      }
+      padresCompletados.forEach(padre => console.log(`🏁 Completada automáticamente: ${padre.descripcion}`));
+      siguientesOcurrencias.forEach(ocurrencia => {
+        const fecha = ocurrencia.fechaLimite ? ` (vence ${ocurrencia.fechaLimite})` : '';
+        const cual = ocurrencia.serieId.equals(tarea.serieId ?? tarea._id) ? '' : ` de "${ocurrencia.descripcion}"`;
+        console.log(`🔁 Próxima repetición${cual}${fecha} {${ocurrencia._id}}`);
+      });
+    });
+  },
+
+  async reopen(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'reopen <id>');
+    const tarea = await reabrirTareaPorId(argumentos[0]);
+    imprimir(opciones, tarea.toDocumento(), () =>
+      console.log(`↩️ Tarea reabierta: ${tarea.descripcion}`)
+    );
+  },
+
+  async edit(argumentos, opciones) {
+    const uso = 'edit <id> [descripcion] [--vence <fecha>|--sin-fecha] [--prioridad <p>] ' +
+      '[-t <etiqueta>...|--sin-etiquetas] [--proyecto <p>|--sin-proyecto] [--repite <regla>|--sin-repeticion]';
+    exigirArgumentos(argumentos, 1, uso);
+    const [id, ...resto] = argumentos;
+    exigirExcluyentes(opciones, 'vence', 'sin-fecha');
+    exigirExcluyentes(opciones, 'etiqueta', 'sin-etiquetas');
+    exigirExcluyentes(opciones, 'proyecto', 'sin-proyecto');
+    exigirExcluyentes(opciones, 'repite', 'sin-repeticion');
+
+    // Solo se cambia lo que se indica (-t sustituye todas las etiquetas)
+    const cambios = _.omitBy({
+      descripcion: _.isEmpty(resto) ? undefined : resto.join(' '),
+      fechaLimite: opciones['sin-fecha'] ? null : opciones.vence,
+      prioridad: opciones.prioridad,
+      etiquetas: opciones['sin-etiquetas'] ? [] : opciones.etiqueta,
+      proyecto: opciones['sin-proyecto'] ? null : opciones.proyecto,
+      recurrencia: opciones['sin-repeticion'] ? null : opciones.repite
+    }, _.isUndefined);
+    if (_.isEmpty(cambios)) {
+      throw new ErrorUso(`Indica algo que cambiar. Uso: gestor ${uso}`);
+    }
+
+    const tarea = await actualizarTarea(id, cambios);
+    imprimir(opciones, tarea.toDocumento(), () =>
+      console.log('✏️ Tarea actualizada exitosamente.')
+    );
+  },
+
+  async rm(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'rm <id> --yes [--subtareas eliminar|conservar]');
+    // Sin menú no podemos pedir confirmación: debe ser explícita
+    if (!opciones.yes) {
+      throw new ErrorUso('La eliminación requiere confirmación explícita con --yes');
+    }
+    const subtareas = accionSubtareasDesde(opciones, 'eliminar');
+    const { tarea, subtareasEliminadas, subtareasConservadas } =
+      await eliminarTareaPorId(argumentos[0], { subtareas });
+    imprimir(opciones, tarea.toDocumento(), () => {
+      console.log(`🗑️ Tarea enviada a la papelera. ${tarea.descripcion}`);
+      if (subtareasEliminadas.length > 0) {
+        console.log(`🗑️ También se enviaron ${subtareasEliminadas.length} subtarea(s).`);
+      }
+      if (subtareasConservadas.length > 0) {
+        console.log(`↪️ ${subtareasConservadas.length} subtarea(s) subieron un nivel.`);
+      }
+    });
+  },
+
+  async bulk(argumentos, opciones) {
+    const uso = 'bulk <accion> [id...] [--consulta <q>|--pendientes|...] [-t <etiqueta>...] [--proyecto <p>] ' +
+      '[--subtareas <a>] [--agregar <e>...] [--quitar <e>...] [--prioridad <p>] --yes|--simular';
+    exigirArgumentos(argumentos, 1, uso);
+    const [accion, ...ids] = argumentos;
+    if (!ACCIONES_EN_BLOQUE.includes(accion)) {
+      throw new ErrorUso(`Acción en bloque desconocida: "${accion}". Valores válidos: ${ACCIONES_EN_BLOQUE.join(', ')}`);
+    }
+    if (accion === 'etiquetar' && _.isEmpty(opciones.agregar) && _.isEmpty(opciones.quitar)) {
+      throw new ErrorUso('bulk etiquetar necesita --agregar y/o --quitar');
+    }
+    if (accion === 'priorizar' && opciones.prioridad === undefined) {
+      throw new ErrorUso('bulk priorizar necesita --prioridad (alta, media, baja o "" para quitarla)');
+    }
+    // Sin menú no podemos pedir confirmación: debe ser explícita
+    if (!opciones.yes && !opciones.simular) {
+      throw new ErrorUso('Las operaciones en bloque requieren confirmación explícita con --yes (o --simular para ver su efecto)');
+    }
+
+    // PASO 1: Elegir las tareas y reunir los datos de la acción
+    const elegidas = await tareasEnBloqueDesde(ids, opciones, uso);
+    if (_.isEmpty(elegidas)) {
+      imprimir(opciones, { accion, tareas: [] }, () => console.log('📭 Ninguna tarea cumple los criterios.'));
+      return;
+    }
+    const datos = _.omitBy({
+      subtareas: ACCIONES_SUBTAREAS[accion] ? accionSubtareasDesde(opciones, accion) : undefined,
+      agregar: opciones.agregar,
+      quitar: opciones.quitar,
+      prioridad: opciones.prioridad
+    }, _.isUndefined);
+
+    // PASO 2: Con --simular, solo se muestra el efecto
+    if (opciones.simular) {
+      const plan = await planificarEnBloque(accion, elegidas, datos);
+      imprimir(opciones, operacionEnBloqueComoJson(plan), () => {
+        plan.tareas.forEach((tarea, i) => console.log(formatearLineaTarea(tarea, i, { conId: true })));
+        describirOperacionEnBloque(plan).forEach(linea => console.log(linea));
+        if (plan.subtareasSinDecidir > 0) {
+          console.log(`⚠️ Indica qué hacer con ${plan.subtareasSinDecidir} subtarea(s): ` +
+            `--subtareas ${ACCIONES_SUBTAREAS[accion].join('|')}`);
+        }
+        console.log('💡 Simulación: no se ha guardado nada.');
+      });
+      return;
+    }
+
+    // PASO 3: Aplicarla en una sola escritura
+    const resultado = await aplicarEnBloque(accion, elegidas, datos);
+    imprimir(opciones, operacionEnBloqueComoJson(resultado), () => {
+      describirOperacionEnBloque(resultado, { hecho: true }).forEach(linea => console.log(linea));
+      resultado.siguientesOcurrencias.forEach(tarea => {
+        const fecha = tarea.fechaLimite ? ` (vence ${tarea.fechaLimite})` : '';
+        console.log(`🔁 Próxima repetición de "${tarea.descripcion}"${fecha} {${tarea._id}}`);
+      });
+    });
+  },
+
+  async search(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'search <consulta> [-t <etiqueta>...] [--proyecto <p>]');
+    const consulta = argumentos.join(' ');
+    const organizacion = organizacionDesde(opciones);
+    const paginacion = paginacionDesde(opciones);
+    if (paginacion) {
+      const pagina = await paginarTareas('todas', 'prioridad', organizacion, { ...paginacion, consulta });
+      imprimirPagina(
+        opciones,
+        pagina,
+        `🔍 No se encontraron (más) tareas para "${consulta}"${describirOrganizacion(organizacion)}`,
+        `🔍 Tareas encontradas (${pagina.tareas.length}${pagina.siguiente ? ', hay más' : ''}):`
+      );
+      return;
+    }
+    const lista = await buscarPorConsulta(consulta, organizacion);
+    imprimirTareas(
+      opciones,
+      lista,
+      `🔍 No se encontraron tareas para "${consulta}"${describirOrganizacion(organizacion)}`,
+      `🔍 Tareas encontradas (${lista.length}):`
+    );
+  },
+
+  async tags(argumentos, opciones) {
+    await ejecutarOrganizacion(argumentos, opciones, {
+      comando: 'tags',
+      listar: listarEtiquetas,
+      renombrar: renombrarEtiqueta,
+      fusionar: fusionarEtiquetas,
+      imprimirElemento: e => `🏷️ #${e.etiqueta}: ${e.total} tarea(s), ${e.pendientes} pendiente(s)`,
+      vacio: '🏷️ No hay etiquetas.'
+    });
+  },
+
+  async projects(argumentos, opciones) {
+    await ejecutarOrganizacion(argumentos, opciones, {
+      comando: 'projects',
+      listar: listarProyectos,
+      renombrar: renombrarProyecto,
+      fusionar: fusionarProyectos,
+      imprimirElemento: p => `📁 ${p.proyecto}: ${p.completadas}/${p.total} completadas (${p.porcentajeCompletadas}%)`,
+      vacio: '📁 No hay proyectos.'
+    });
+  },
+
+  async sync(argumentos, opciones) {
+    // La sincronización ya ocurrió al cargar; aquí solo se informa
+    const estado = obtenerEstadoConexion();
+    const resultado = {
+      enLinea: estado.enLinea,
+      pendientes: estado.pendientes,
+      aplicadas: estado.ultimaSincronizacion?.aplicadas ?? 0,
+      conflictos: estado.ultimaSincronizacion?.conflictos ?? []
+    };
+    imprimir(opciones, resultado, () => {
+      console.log(resultado.aplicadas > 0 || !_.isEmpty(resultado.conflictos)
+        ? '✅ Sincronización completada.'
+        : '✅ No había cambios pendientes de sincronizar.');
+    });
+    if (!_.isEmpty(resultado.conflictos)) {
+      throw new ErrorTarea(
+        `${resultado.conflictos.length} cambio(s) no se aplicaron por conflicto`,
+        CODIGOS_ERROR.CONFLICTO
+      );
+    }
+  },
+
+  async config(argumentos, opciones) {
+    const [accion = 'mostrar'] = argumentos;
+    if (!['mostrar', 'validar'].includes(accion)) {
+      throw new ErrorUso('Uso: gestor config [mostrar|validar]');
+    }
+
+    const configuracion = obtenerConfiguracion();
+    const validacion = validarConfiguracion(configuracion);
+    const resultado = accion === 'validar'
+      ? { valida: _.isEmpty(validacion.errores), ...validacion }
+      : { configuracion: configuracionVisible(configuracion), valida: _.isEmpty(validacion.errores), ...validacion };
+
+    imprimir(opciones, resultado, () => {
+      if (accion === 'mostrar') {
+        const { origen, ...valores } = resultado.configuracion;
+        console.log('⚙️ Configuración efectiva:');
+        console.log(`   Archivo: ${origen.archivo ?? '(ninguno, valores por defecto)'}`);
+        console.log(`   Perfil: ${origen.perfil}`);
+        if (!_.isEmpty(origen.perfilesDisponibles)) {
+          console.log(`   Perfiles disponibles: ${origen.perfilesDisponibles.join(', ')}`);
+        }
+        console.log(JSON.stringify(valores, null, 2));
+        console.log('');
+      }
+      imprimirValidacion(validacion);
+    });
+
+    if (!resultado.valida) {
+      throw new ErrorTarea('La configuración no es válida', CODIGOS_ERROR.VALIDACION);
+    }
+  },
+
+  async plugins(argumentos, opciones) {
+    if (argumentos.length > 0) throw new ErrorUso('Uso: gestor plugins');
+    const { menu, ...carga } = await cargarPlugins();
+    imprimir(opciones, carga, () => {
+      console.log(`🧩 Plugins de ${carga.directorio}:`);
+      if (_.isEmpty(carga.cargados) && _.isEmpty(carga.desactivados) && _.isEmpty(carga.fallidos)) {
+        console.log('   (ninguno)');
+      }
+      carga.cargados.forEach(plugin => {
+        console.log(`✅ ${plugin.nombre}${plugin.descripcion ? `: ${plugin.descripcion}` : ''}`);
+        console.log(`   ${plugin.archivo} · ${plugin.ganchos} gancho(s) · ${plugin.opcionesMenu} opción(es) de menú`);
+      });
+      carga.desactivados.forEach(nombre => console.log(`⏸️ ${nombre} (desactivado)`));
+      carga.fallidos.forEach(({ archivo, error }) => console.log(`❌ ${archivo}: ${error}`));
+    });
+  },
+
+  async webhooks(argumentos, opciones) {
+    const [accion, id] = argumentos;
+    const uso = 'Uso: gestor webhooks [add <url> -e <evento>... [--secreto <s>] | rm <id> | probar <id> | ' +
+      'entregas [--estado <e>] [--limite <n>] | reintentar [id] | entregar]';
+
+    switch (accion) {
+      case undefined: {
+        const webhooks = await listarWebhooks();
+        imprimir(opciones, webhooks, () => {
+          if (_.isEmpty(webhooks)) return console.log('🪝 No hay webhooks registrados.');
+          console.log(`🪝 Webhooks (${webhooks.length}):`);
+          webhooks.forEach(webhook => console.log(`   ${formatearWebhook(webhook)}`));
+        });
+        return;
+      }
+      case 'add': {
+        if (!id) throw new ErrorUso('Uso: gestor webhooks add <url> -e <evento>... [--secreto <s>]');
+        const webhook = await registrarWebhook(id, opciones.evento, { secreto: opciones.secreto });
+        imprimir(opciones, webhook, () => {
+          console.log(`✅ Webhook registrado: ${formatearWebhook(webhook)}`);
+          console.log(`🔑 Secreto para verificar la firma (X-Gestor-Firma): ${webhook.secreto}`);
+        });
+        return;
+      }
+      case 'rm': {
+        if (!id) throw new ErrorUso('Uso: gestor webhooks rm <id>');
+        const webhook = await eliminarWebhook(id);
+        imprimir(opciones, webhook, () => console.log(`🗑️ Webhook eliminado: ${webhook.url}`));
+        return;
+      }
+      case 'probar': {
+        if (!id) throw new ErrorUso('Uso: gestor webhooks probar <id>');
+        const resultado = await probarWebhook(id);
+        imprimir(opciones, resultado, () =>
+          console.log(`📡 ${resultado.webhook.url} respondió ${resultado.codigo} al evento de prueba.`)
+        );
+        return;
+      }
+      case 'entregas': {
+        if (opciones.estado !== undefined && !ESTADOS_ENTREGA.includes(opciones.estado)) {
+          throw new ErrorUso(`--estado admite: ${ESTADOS_ENTREGA.join(', ')}`);
+        }
+        const limite = opciones.limite === undefined ? 20 : Number(opciones.limite);
+        if (!Number.isInteger(limite) || limite < 1) {
+          throw new ErrorUso(`--limite debe ser un número entero positivo, no "${opciones.limite}"`);
+        }
+        const entregas = await listarEntregas({ estado: opciones.estado, limite });
+        imprimir(opciones, entregas, () => {
+          if (_.isEmpty(entregas)) return console.log('📭 No hay entregas.');
+          console.log(`📬 Entregas (${entregas.length}):`);
+          entregas.forEach(entrega => console.log(`   ${formatearEntrega(entrega)}`));
+        });
+        return;
+      }
+      case 'reintentar': {
+        const cantidad = await reintentarEntregas(id);
+        if (cantidad === 0) {
+          imprimir(opciones, { reintentadas: 0 }, () => console.log('✅ No hay entregas fallidas.'));
+          return;
+        }
+        console.error(`🔁 ${cantidad} entrega(s) vuelven a estar pendientes.`);
+        imprimirReparto(opciones, await entregarPendientes());
+        return;
+      }
+      case 'entregar': {
+        const resultado = await entregarPendientes();
+        imprimirReparto(opciones, resultado);
+        const sinEntregar = resultado.reintentos.length + resultado.fallidas.length;
+        if (sinEntregar > 0) {
+          throw new ErrorTarea(`${sinEntregar} evento(s) no se pudieron entregar`, CODIGOS_ERROR.PERSISTENCIA);
+        }
+        return;
+      }
+      default:
+        throw new ErrorUso(uso);
+    }
+  },
+
+  async tiempo(argumentos, opciones) {
+    const [accion, id, numero] = argumentos;
+    const uso = 'Uso: gestor tiempo [iniciar <id> | detener | registros <id> | agregar <id> --desde <m> --hasta <m> | ' +
+      'editar <id> <n> [--desde <m>] [--hasta <m>] | borrar <id> <n> --yes | hoja [--periodo <p>] [--formato csv]]';
+
+    switch (accion) {
+      case undefined: {
+        const enMarcha = await obtenerTemporizadorEnMarcha();
+        const segundos = enMarcha ? Math.round((Date.now() - Date.parse(enMarcha.inicio)) / 1000) : 0;
+        imprimir(opciones, enMarcha ? { tarea: enMarcha.tarea.toDocumento(), inicio: enMarcha.inicio, segundos } : null, () => {
+          if (!enMarcha) return console.log('⏱️ No hay ningún temporizador en marcha.');
+          console.log(`▶️ En marcha: ${enMarcha.tarea.descripcion} {${enMarcha.tarea._id}} desde ` +
+            `${new Date(enMarcha.inicio).toLocaleString()} (${formatearTiempo(segundos)})`);
+        });
+        return;
+      }
+      case 'iniciar': {
+        if (!id) throw new ErrorUso('Uso: gestor tiempo iniciar <id>');
+        const { tarea, detenida } = await iniciarTemporizador(id);
+        imprimir(opciones, { tarea: tarea.toDocumento(), detenida: detenida?.toDocumento() ?? null }, () => {
+          if (detenida) {
+            console.log(`⏹️ Detenido: ${detenida.descripcion} (${formatearTiempo(detenida.segundosRegistrados())} en total)`);
+          }
+          console.log(`▶️ Temporizador en marcha. ${tarea.descripcion} {${tarea._id}}`);
+        });
+        return;
+      }
+      case 'detener': {
+        const { tarea, segundos } = await detenerTemporizador();
+        imprimir(opciones, { tarea: tarea.toDocumento(), segundos }, () =>
+          console.log(`⏹️ Temporizador detenido. ${tarea.descripcion} +${formatearTiempo(segundos)} ` +
+            `(${formatearTiempo(tarea.segundosRegistrados())} en total)`)
+        );
+        return;
+      }
+      case 'registros': {
+        if (!id) throw new ErrorUso('Uso: gestor tiempo registros <id>');
+        const { tarea, registros, segundos } = await listarRegistros(id);
+        imprimir(opciones, { tareaId: tarea._id, tarea: tarea.descripcion, registros, segundos }, () => {
+          if (_.isEmpty(registros)) return console.log(`📭 "${tarea.descripcion}" no tiene tiempo registrado.`);
+          console.log(`⏱️ Tiempo de "${tarea.descripcion}": ${formatearTiempo(segundos)}`);
+          registros.forEach(registro => console.log(`   ${formatearRegistroTiempo(registro)}`));
+        });
+        return;
+      }
+      case 'agregar': {
+        if (!id || !opciones.desde || !opciones.hasta) {
+          throw new ErrorUso('Uso: gestor tiempo agregar <id> --desde <momento> --hasta <momento>');
+        }
+        const tarea = await agregarRegistro(id, { inicio: opciones.desde, fin: opciones.hasta });
+        imprimir(opciones, tarea.toDocumento(), () =>
+          console.log(`✅ Tiempo agregado. ${tarea.descripcion}: ${formatearTiempo(tarea.segundosRegistrados())} en total`)
+        );
+        return;
+      }
+      case 'editar': {
+        if (!id || !numero || (opciones.desde === undefined && opciones.hasta === undefined)) {
+          throw new ErrorUso('Uso: gestor tiempo editar <id> <n> [--desde <momento>] [--hasta <momento>]');
+        }
+        const tarea = await editarRegistro(id, numero, { inicio: opciones.desde, fin: opciones.hasta });
+        imprimir(opciones, tarea.toDocumento(), () =>
+          console.log(`✅ Registro corregido. ${tarea.descripcion}: ${formatearTiempo(tarea.segundosRegistrados())} en total`)
+        );
+        return;
+      }
+      case 'borrar': {
+        if (!id || !numero) throw new ErrorUso('Uso: gestor tiempo borrar <id> <n> --yes');
+        if (!opciones.yes) throw new ErrorUso('Borrar un registro de tiempo requiere confirmación explícita con --yes');
+        const tarea = await borrarRegistro(id, numero);
+        imprimir(opciones, tarea.toDocumento(), () =>
+          console.log(`🗑️ Registro borrado. ${tarea.descripcion}: ${formatearTiempo(tarea.segundosRegistrados())} en total`)
+        );
+        return;
+      }
+      case 'hoja':
+        await imprimirHojaHoras(opciones);
+        return;
+      default:
+        throw new ErrorUso(uso);
+    }
+  },
+
+  async trash(argumentos, opciones) {
+    const [accion, id] = argumentos;
+    const uso = 'Uso: gestor trash [restore <id> | purge <id> --yes | empty --yes]';
+
+    switch (accion) {
+      case undefined: {
+        const lista = await listarPapelera();
+        imprimir(opciones, lista.map(t => t.toDocumento()), () => {
+          if (_.isEmpty(lista)) return console.log('🗑️ La papelera está vacía.');
+          console.log(`🗑️ Papelera (${lista.length}):`);
+          lista.forEach((tarea, i) =>
+            console.log(formatearTareaEliminada(tarea, i, { vaciado: fechaDeVaciado(tarea), conId: true }))
+          );
+        });
+        return;
+      }
+      case 'restore': {
+        if (!id) throw new ErrorUso(uso);
+        const { tarea, subtareasRestauradas } = await restaurarTareaPorId(id);
+        imprimir(opciones, tarea.toDocumento(), () => {
+          console.log(`♻️ Tarea restaurada. ${tarea.descripcion} {${tarea._id}}`);
+          if (subtareasRestauradas.length > 0) {
+            console.log(`♻️ También se restauraron ${subtareasRestauradas.length} subtarea(s).`);
+          }
+        });
+        return;
+      }
+      case 'purge':
+      case 'empty': {
+        if (accion === 'purge' && !id) throw new ErrorUso(uso);
+        if (!opciones.yes) {
+          throw new ErrorUso('El borrado definitivo requiere confirmación explícita con --yes');
+        }
+        const borradas = accion === 'purge' ? await vaciarTareaPorId(id) : await vaciarPapelera();
+        imprimir(opciones, { borradas: borradas.length }, () =>
+          console.log(`❌ Borrada(s) definitivamente ${borradas.length} tarea(s).`)
+        );
+        return;
+      }
+      default:
+        throw new ErrorUso(uso);
+    }
+  },
+
+  async log(argumentos, opciones) {
+    const [id] = argumentos;
+
+    if (id) {
+      const eventos = await consultarHistorialTarea(id);
+      imprimir(opciones, eventos, () => {
+        console.log(`📜 Historial de "${_.last(eventos).tarea}":`);
+        eventos.forEach(evento => console.log(`   ${formatearEvento(evento)}`));
+      });
+      return;
+    }
+
+    const limite = opciones.limite === undefined ? 20 : Number(opciones.limite);
+    if (!Number.isInteger(limite) || limite < 1) {
+      throw new ErrorUso(`--limite debe ser un número entero positivo, no "${opciones.limite}"`);
+    }
+    const eventos = await consultarUltimosCambios(limite);
+    imprimir(opciones, eventos, () => {
+      if (_.isEmpty(eventos)) return console.log('📭 Todavía no hay cambios registrados.');
+      console.log(`📰 Últimos cambios (${eventos.length}):`);
+      eventos.forEach(evento => console.log(`   ${formatearEvento(evento, { conTarea: true })}`));
+    });
+  },
+
+  async export(argumentos, opciones) {
+    const { formato, delimitador } = intercambioDesde(opciones, opciones.salida, 'json');
+    const { contenido, exportadas } = await exportarTareas({ formato, delimitador });
+
+    // Sin archivo, el contenido es la salida del comando (para redirigirla)
+    if (!opciones.salida) {
+      process.stdout.write(contenido);
+      return;
+    }
+    try {
+      await escribirArchivoAtomico(opciones.salida, contenido);
+    } catch (error) {
+      throw new ErrorTarea(`No se pudo escribir "${opciones.salida}": ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+    }
+    imprimir(opciones, { archivo: opciones.salida, formato, exportadas }, () =>
+      console.log(`📤 Exportadas ${exportadas} tarea(s) a ${opciones.salida}`)
+    );
+  },
+
+  async import(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'import <archivo> [--formato <f>] [--duplicadas <modo>] [--delimitador <c>] [--simular]');
+    const [archivo] = argumentos;
+    const intercambio = intercambioDesde(opciones, archivo);
+
+    let texto;
+    try {
+      texto = await readFile(archivo, 'utf8');
+    } catch (error) {
+      throw new ErrorTarea(`No se pudo leer "${archivo}": ${error.message}`, CODIGOS_ERROR.VALIDACION);
+    }
+
+    const resultado = await importarTareas(texto, {
+      ...intercambio,
+      simular: opciones.simular,
+      origen: path.basename(archivo)
+    });
+    imprimir(opciones, resultado, () => {
+      console.log(opciones.simular
+        ? `🔎 Simulación de la importación de ${archivo} (no se guardó nada):`
+        : `📥 Importación de ${archivo}:`);
+      resultado.filas.forEach(fila => console.log(`   ${formatearFilaImportada(fila)}`));
+      console.log(`📊 ${describirResumenImportacion(resultado.resumen)}`);
+    });
+
+    if (resultado.resumen.errores > 0) {
+      const consecuencia = opciones.simular ? 'no se podrían importar' : 'no se importaron';
+      throw new ErrorTarea(`${resultado.resumen.errores} fila(s) con errores ${consecuencia}`, CODIGOS_ERROR.VALIDACION);
+    }
+  },
+
+  async undo(argumentos, opciones) {
+    const descripcion = await deshacer();
+    imprimir(opciones, { descripcion }, () => console.log(`↩️ Deshecho: ${descripcion}`));
+  },
+
+  async redo(argumentos, opciones) {
+    const descripcion = await rehacer();
+    imprimir(opciones, { descripcion }, () => console.log(`↪️ Rehecho: ${descripcion}`));
+  },
+
+  async serve(argumentos, opciones) {
+    const { servidor } = obtenerConfiguracion();
+    const puerto = opciones.puerto === undefined ? servidor.puerto : Number(opciones.puerto);
+    if (!Number.isInteger(puerto) || puerto < 0 || puerto > 65535) {
+      throw new ErrorUso(`--puerto debe ser un entero entre 0 y 65535, no "${opciones.puerto ?? puerto}"`);
+    }
+    const host = opciones.host ?? servidor.host;
+    if (_.isEmpty(host.trim())) throw new ErrorUso('--host no puede estar vacío');
+
+    await ejecutarServidorApi({ host, puerto, offline: opciones.offline });
+  },
+
+  async recordatorios(argumentos, opciones) {
+    const [accion, id, duracion] = argumentos;
+    const uso = 'Uso: gestor recordatorios [--una-vez] [--intervalo <min>] | ' +
+      'posponer <id> <duración> | reactivar <id> | pospuestos | probar';
+
+    switch (accion) {
+      case undefined: {
+        const { recordatorios } = obtenerConfiguracion();
+        const intervaloMinutos = opciones.intervalo === undefined
+          ? recordatorios.intervaloMinutos
+          : Number(opciones.intervalo);
+        if (!(intervaloMinutos > 0)) {
+          throw new ErrorUso(`--intervalo debe ser un número de minutos mayor que 0, no "${opciones.intervalo}"`);
+        }
+
+        const resultado = await ejecutarRecordatorios({
+          intervaloMinutos,
+          unaVez: opciones['una-vez'],
+          offline: opciones.offline
+        });
+        if (!resultado) return;
+
+        imprimir(opciones, resultado, () => {
+          if (_.isEmpty(resultado.enviados) && _.isEmpty(resultado.fallos)) {
+            console.log('🔕 No hay avisos nuevos' +
+              (resultado.pospuestos > 0 ? ` (${resultado.pospuestos} pospuesto(s))` : '') + '.');
+          }
+        });
+        if (!_.isEmpty(resultado.fallos)) {
+          throw new ErrorTarea(`${resultado.fallos.length} aviso(s) no se pudieron enviar`, CODIGOS_ERROR.PERSISTENCIA);
+        }
+        return;
+      }
+      case 'posponer': {
+        if (!id || !duracion) throw new ErrorUso('Uso: gestor recordatorios posponer <id> <duración> (30min, 2h, 1d)');
+        const { tarea, hasta } = await posponerRecordatorio(id, duracion);
+        imprimir(opciones, { tarea: tarea.toDocumento(), hasta }, () =>
+          console.log(`💤 Avisos de "${tarea.descripcion}" pospuestos hasta ${new Date(hasta).toLocaleString()}.`)
+        );
+        return;
+      }
+      case 'reactivar': {
+        if (!id) throw new ErrorUso('Uso: gestor recordatorios reactivar <id>');
+        const tarea = await reactivarRecordatorio(id);
+        imprimir(opciones, tarea.toDocumento(), () =>
+          console.log(`🔔 Los avisos de "${tarea.descripcion}" vuelven a estar activos.`)
+        );
+        return;
+      }
+      case 'pospuestos': {
+        const lista = await listarPospuestos();
+        imprimir(opciones, lista.map(({ tarea, hasta }) => ({ tarea: tarea.toDocumento(), hasta })), () => {
+          if (_.isEmpty(lista)) return console.log('🔔 No hay avisos pospuestos.');
+          console.log(`💤 Avisos pospuestos (${lista.length}):`);
+          lista.forEach(({ tarea, hasta }) =>
+            console.log(`   ${tarea.descripcion} {${tarea._id}} hasta ${new Date(hasta).toLocaleString()}`)
+          );
+        });
+        return;
+      }
+      case 'probar': {
+        const resultados = await probarCanales(crearCanales(obtenerConfiguracion().recordatorios));
+        imprimir(opciones, resultados, () =>
+          resultados.forEach(({ canal, error }) =>
+            console.log(error ? `❌ ${canal}: ${error}` : `✅ ${canal}: aviso enviado`)
+          )
+        );
+        const fallidos = resultados.filter(r => r.error);
+        if (!_.isEmpty(fallidos)) {
+          throw new ErrorTarea(`${fallidos.length} canal(es) no funcionan`, CODIGOS_ERROR.PERSISTENCIA);
+        }
+        return;
+      }
+      default:
+        throw new ErrorUso(uso);
+    }
+  },
+
+  async login(argumentos, opciones) {
+    exigirArgumentos(argumentos, 1, 'login <usuario>');
+    const [contrasena] = await leerContrasenas([`Contraseña de ${argumentos[0]}:`]);
+    const usuario = await iniciarSesion(argumentos[0], contrasena);
+    imprimir(opciones, usuario, () =>
+      console.log(`👤 Sesión iniciada como ${describirUsuario(usuario)}.`)
+    );
+  },
+
+  async logout(argumentos, opciones) {
+    const nombre = await cerrarSesion();
+    imprimir(opciones, { usuario: nombre }, () =>
+      console.log(nombre ? `👋 Sesión de ${nombre} cerrada.` : '👤 No había ninguna sesión iniciada.')
+    );
+  },
+
+  async whoami(argumentos, opciones) {
+    const { cuentas, usuario, verTodas } = obtenerSesion();
+    imprimir(opciones, { cuentas, usuario, verTodas }, () => {
+      if (!cuentas) return console.log('👥 No hay cuentas de usuario: todas las tareas son compartidas.');
+      if (!usuario) return console.log('👤 No has iniciado sesión. Usa "gestor login <usuario>".');
+      console.log(`👤 ${describirUsuario(usuario)}`);
+    });
+  },
+
+  async users(argumentos, opciones) {
+    const [accion, nombre] = argumentos;
+    const uso = 'Uso: gestor users [add <nombre> [--admin] | passwd]';
+
+    switch (accion) {
+      case undefined: {
+        const usuarios = await listarUsuarios();
+        imprimir(opciones, usuarios, () => {
+          console.log(`👥 Cuentas de usuario (${usuarios.length}):`);
+          usuarios.forEach(u => console.log(`   ${describirUsuario(u)} {${u._id}}`));
+        });
+        return;
+      }
+      case 'add': {
+        if (!nombre) throw new ErrorUso(uso);
+        const contrasena = await leerContrasenaNueva(`Contraseña para ${nombre}:`);
+        const { usuario, primera, asignadas } = await crearUsuario(nombre, contrasena, { admin: opciones.admin });
+        imprimir(opciones, { usuario, primera, asignadas }, () => {
+          console.log(`✅ Cuenta creada: ${describirUsuario(usuario)} {${usuario._id}}`);
+          if (primera) {
+            console.log(`👤 Es la primera cuenta: sesión iniciada y ${asignadas} tarea(s) existente(s) asignada(s).`);
+          }
+        });
+        return;
+      }
+      case 'passwd': {
+        // Sin terminal: la actual en la primera línea y la nueva en la segunda
+        const [actual, nueva] = process.stdin.isTTY
+          ? [...await leerContrasenas(['Contraseña actual:']), await leerContrasenaNueva('Contraseña nueva:')]
+          : await leerContrasenas(['Contraseña actual:', 'Contraseña nueva:']);
+        await cambiarContrasena(actual, nueva);
+        imprimir(opciones, { cambiada: true }, () =>
+          console.log('🔑 Contraseña cambiada. Se cerraron las sesiones de otros equipos.')
+        );
+        return;
+      }
+      default:
+        throw new ErrorUso(uso);
+    }
+  },
+
+  async stats(argumentos, opciones) {
+    const stats = await calcularEstadisticas();
+    const analitica = await calcularAnalitica({ desde: opciones.desde, hasta: opciones.hasta });
+    imprimir(opciones, { ...stats, analitica }, () => {
+      console.log('📊 Estadísticas de tareas:');
+      console.log(`   Total: ${stats.total}`);
+      console.log(`   Completadas: ${stats.completadas} (${stats.porcentajeCompletadas}%)`);
+      console.log(`   Pendientes: ${stats.pendientes}`);
+      if (stats.vencidas > 0) console.log(`   Vencidas: ${stats.vencidas} ⏰`);
+      if (stats.diaMasProductivo) {
+        const fecha = new Date(stats.diaMasProductivo.fecha).toLocaleDateString();
+        console.log(`   Día más productivo: ${fecha} (${stats.diaMasProductivo.cantidad} tareas)`);
+      }
+      if (stats.porProyecto.some(p => p.proyecto !== null)) {
+        console.log('📁 Avance por proyecto:');
+        stats.porProyecto.forEach(p =>
+          console.log(`   ${p.proyecto ?? '(sin proyecto)'}: ${p.completadas}/${p.total} completadas (${p.porcentajeCompletadas}%)`)
+        );
+      }
+      if (stats.tiempo.segundos > 0) {
+        console.log('⏱️ Tiempo registrado:');
+        console.log(`   Total: ${formatearTiempo(stats.tiempo.segundos)}`);
+        if (stats.tiempo.segundosPorCompletada !== null) {
+          console.log(`   Por tarea completada: ${formatearTiempo(stats.tiempo.segundosPorCompletada)} de media ` +
+            `(${stats.tiempo.completadasConTiempo} tarea(s) con tiempo)`);
+        }
+      }
+      console.log('');
+      formatearAnalitica(analitica).forEach(linea => console.log(linea));
+    });
+  },
+
+  async report(argumentos, opciones) {
+    const formato = opciones.formato ?? formatoInformeDeArchivo(opciones.salida) ?? 'markdown';
+    if (!FORMATOS_INFORME.includes(formato)) {
+      throw new ErrorUso(`--formato admite en report: ${FORMATOS_INFORME.join(', ')}`);
+    }
+    if (opciones.periodo !== undefined && !PERIODOS_INFORME.includes(opciones.periodo)) {
+      throw new ErrorUso(`--periodo admite: ${PERIODOS_INFORME.join(', ')}`);
+    }
+
+    const informe = await generarInforme({
+      formato,
+      periodo: opciones.periodo,
+      desde: opciones.desde,
+      hasta: opciones.hasta,
+      plantilla: opciones.plantilla
+    });
+
+    // Sin archivo, el informe es la salida del comando (para redirigirla)
+    if (!opciones.salida) {
+      process.stdout.write(informe.contenido);
+      return;
+    }
+    try {
+      await escribirArchivoAtomico(opciones.salida, informe.contenido);
+    } catch (error) {
+      throw new ErrorTarea(`No se pudo escribir "${opciones.salida}": ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+    }
+    imprimir(opciones, { archivo: opciones.salida, formato, desde: informe.desde, hasta: informe.hasta }, () =>
+      console.log(`📰 Informe del ${informe.desde} al ${informe.hasta} guardado en ${opciones.salida}`)
+    );
+  }
+};
+
+/**
+ * FUNCIÓN AUXILIAR: CÓDIGO DE SALIDA PARA UN ERROR
+ * ================================================
+ */
+function codigoSalidaPara(error) {
+  if (error instanceof ErrorUso) return CODIGOS_SALIDA.USO;
+  // Falta --subtareas: la invocación está incompleta
+  if (error instanceof ErrorTarea && error.codigo === CODIGOS_ERROR.SUBTAREAS_PENDIENTES) {
+    return CODIGOS_SALIDA.USO;
+  }
+  if (error instanceof ErrorTarea &&
+      [CODIGOS_ERROR.NO_ENCONTRADA, CODIGOS_ERROR.AMBIGUA].includes(error.codigo)) {
+    return CODIGOS_SALIDA.NO_ENCONTRADA;
+  }
+  if (error instanceof ErrorTarea && error.codigo === CODIGOS_ERROR.CONFLICTO) {
+    return CODIGOS_SALIDA.CONFLICTO;
+  }
+  if (error instanceof ErrorTarea && error.codigo === CODIGOS_ERROR.NO_AUTORIZADO) {
+    return CODIGOS_SALIDA.NO_AUTORIZADO;
+  }
+  return CODIGOS_SALIDA.ERROR;
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: EJECUTAR COMANDO
+ * ===================================
+ *
+ * Analiza los argumentos, carga las tareas, ejecuta el comando y
+ * devuelve el código de salida. Nunca llama a process.exit():
+ * esa decisión queda en manos de index.js.
+ *
+ * @param {string[]} argv - Argumentos de la línea de comandos (sin node ni el script)
+ * @returns {Promise<number>} - Código de salida
+ */
+export async function ejecutarComando(argv) {
+  let opciones = { json: argv.includes('--json') };
+  // Aunque el comando falle puede haber cambiado tareas (una importación con errores)
+  let webhooksActivos = false;
+
+  try {
+    // PASO 1: Analizar argumentos (las opciones desconocidas son error de uso)
+    let analisis;
+    try {
+      analisis = parseArgs({ args: argv, options: OPCIONES, allowPositionals: true });
+    } catch (error) {
+      throw new ErrorUso(error.message);
+    }
+    opciones = analisis.values;
+    const [nombre, ...argumentos] = analisis.positionals;
+
+    // PASO 2: Ayuda (no necesita conexión)
+    if (opciones.help || nombre === 'help' || !nombre) {
+      console.log(AYUDA);
+      return CODIGOS_SALIDA.OK;
+    }
+
+    const comando = COMANDOS[nombre];
+    if (!comando) {
+      throw new ErrorUso(`Comando desconocido: "${nombre}". Usa "gestor help" para ver los disponibles.`);
+    }
+
+    // PASO 3: Calcular la configuración efectiva
+    // Un perfil inexistente o un archivo ilegible es un error de uso
+    try {
+      obtenerConfiguracion();
+    } catch (error) {
+      throw new ErrorUso(error.message);
+    }
+
+    if (COMANDOS_SIN_CARGA.includes(nombre)) {
+      await comando(argumentos, opciones);
+      return CODIGOS_SALIDA.OK;
+    }
+
+    // PASO 4: Cargar tareas sin mensajes informativos de conexión
+    // Si la carga falla no seguimos: operar sobre una lista vacía
+    // daría resultados falsos o sobrescribiría los datos reales
+    configurarMensajes(false);
+    // Con --offline se acepta trabajar sobre la copia local y el diario
+    const cargadas = await inicializarTareas();
+    const estado = obtenerEstadoConexion();
+    if (!cargadas && !(opciones.offline && !estado.enLinea && nombre !== 'sync')) {
+      const sugerencia = estado.enLinea ? '' : ' (usa --offline para trabajar sin conexión)';
+      throw new ErrorTarea(`No se pudieron cargar las tareas${sugerencia}`, CODIGOS_ERROR.PERSISTENCIA);
+    }
+    informarSincronizacion(estado.ultimaSincronizacion);
+
+    // PASO 5: Recuperar la sesión guardada (con cuentas de usuario es obligatoria)
+    const { cuentas, usuario } = await restaurarSesion();
+    if (cuentas && !usuario && !COMANDOS_SIN_SESION.includes(nombre)) {
+      throw new ErrorTarea('No has iniciado sesión. Usa "gestor login <usuario>".', CODIGOS_ERROR.NO_AUTORIZADO);
+    }
+    if (opciones.todos) verTareasDeTodos(true);
+    await limpiarPapelera();
+    await cargarPluginsDeComando();
+    activarWebhooks();
+    webhooksActivos = true;
+
+    // PASO 6: Ejecutar el comando (sus eventos se envían a los webhooks al final)
+    await comando(argumentos, opciones);
+    return CODIGOS_SALIDA.OK;
+
+  } catch (error) {
+    // Errores inesperados (no de negocio ni de uso) se propagan tal cual
+    if (!(error instanceof ErrorTarea) && !(error instanceof ErrorUso)) throw error;
+
+    if (opciones.json) {
+      console.error(JSON.stringify({ error: error.message, codigo: error.codigo || 'USO' }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    return codigoSalidaPara(error);
+
+  } finally {
+    if (webhooksActivos) await repartirWebhooks();
+    await cerrarAlmacenamiento();
+  }
+}
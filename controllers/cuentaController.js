@@ -0,0 +1,187 @@
+/**
+ * CONTROLADOR DE CUENTA - INICIO DE SESIÓN Y USUARIOS
+ * ===================================================
+ *
+ * Parte interactiva de las cuentas de usuario:
+ * - Iniciar sesión al arrancar el menú (si no hay una sesión guardada válida)
+ * - Pantalla "Cuenta": cambiar la contraseña, cerrar la sesión y, para los
+ *   administradores, crear cuentas, verlas y alternar entre las tareas
+ *   propias y las de todos
+ * - Sin cuentas todavía, crear la primera (administrador)
+ *
+ * Las operaciones las realiza services/usuariosService.js.
+ */
+
+// Inquirer: Para crear interfaces interactivas de línea de comandos
+import inquirer from 'inquirer';
+// Operaciones sobre cuentas y sesiones
+import {
+  restaurarSesion,
+  iniciarSesion,
+  cerrarSesion,
+  crearUsuario,
+  listarUsuarios,
+  cambiarContrasena,
+  verTareasDeTodos,
+  validarContrasena
+} from '../services/usuariosService.js';
+import { obtenerSesion } from '../data/sesion.js';
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Intentos de inicio de sesión antes de salir
+const INTENTOS_INICIO_SESION = 3;
+
+/**
+ * FUNCIÓN AUXILIAR: DESCRIBIR USUARIO
+ * ===================================
+ */
+function describirUsuario(usuario) {
+  return `${usuario.nombre}${usuario.admin ? ' (administrador)' : ''}`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PEDIR CONTRASEÑA NUEVA
+ * ========================================
+ *
+ * La pide dos veces para evitar erratas.
+ */
+async function pedirContrasenaNueva(mensaje) {
+  const { contrasena, repetida } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'contrasena',
+      message: mensaje,
+      mask: '*',
+      validate: valor => validarContrasena(valor) ?? true
+    },
+    { type: 'password', name: 'repetida', message: 'Repite la contraseña:', mask: '*' }
+  ]);
+  if (contrasena !== repetida) {
+    throw new ErrorTarea('Las contraseñas no coinciden', CODIGOS_ERROR.VALIDACION);
+  }
+  return contrasena;
+}
+
+/**
+ * FUNCIÓN: INICIAR SESIÓN INTERACTIVA
+ * ===================================
+ *
+ * Se ejecuta al arrancar, con las tareas ya cargadas. Sin cuentas de
+ * usuario no pide nada; con una sesión guardada válida, tampoco.
+ *
+ * @returns {Promise<boolean>} - false si no se pudo iniciar sesión (hay que salir)
+ */
+export async function iniciarSesionInteractiva() {
+  const { cuentas, usuario } = await restaurarSesion();
+  if (!cuentas) return true;
+  if (usuario) {
+    console.log(`👤 Sesión de ${describirUsuario(usuario)}`);
+    return true;
+  }
+
+  console.log('🔐 Inicia sesión para ver tus tareas.');
+  for (let intento = 1; intento <= INTENTOS_INICIO_SESION; intento++) {
+    const { nombre, contrasena } = await inquirer.prompt([
+      { type: 'input', name: 'nombre', message: 'Usuario:' },
+      { type: 'password', name: 'contrasena', message: 'Contraseña:', mask: '*' }
+    ]);
+    try {
+      const actual = await iniciarSesion(nombre, contrasena);
+      console.log(`👤 Sesión iniciada como ${describirUsuario(actual)}`);
+      return true;
+    } catch (error) {
+      console.log(`❌ Error: ${error.message}`);
+      // Sin conexión no tiene sentido reintentar
+      if (error.codigo !== CODIGOS_ERROR.NO_AUTORIZADO) return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: GESTIONAR CUENTA
+ * ===================================
+ *
+ * @returns {Promise<boolean>} - true si se cerró la sesión (hay que salir del menú)
+ */
+export async function gestionarCuenta() {
+  const { cuentas, usuario, verTodas } = obtenerSesion();
+
+  // PASO 1: Elegir la operación según haya cuentas y el tipo de usuario
+  const opciones = !cuentas
+    ? [{ name: '👑 Crear la primera cuenta (administrador, se queda con las tareas actuales)', value: 'primera' }]
+    : [
+      { name: '🔑 Cambiar mi contraseña', value: 'contrasena' },
+      ...(usuario?.admin ? [
+        { name: verTodas ? '👤 Ver solo mis tareas' : '👥 Ver las tareas de todos', value: 'verTodas' },
+        { name: '➕ Crear una cuenta', value: 'crear' },
+        { name: '📋 Ver las cuentas', value: 'listar' }
+      ] : []),
+      { name: '🚪 Cerrar sesión y salir', value: 'cerrar' }
+    ];
+
+  if (usuario) console.log(`\n👤 ${describirUsuario(usuario)}${verTodas ? ' · viendo las tareas de todos' : ''}`);
+  const { accion } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'accion',
+      message: '¿Qué deseas hacer?',
+      choices: [...opciones, { name: '↩️ Volver', value: 'volver' }]
+    }
+  ]);
+
+  // PASO 2: Ejecutar la operación elegida
+  try {
+    switch (accion) {
+      case 'primera':
+      case 'crear': {
+        const { nombre, admin } = await inquirer.prompt([
+          { type: 'input', name: 'nombre', message: 'Nombre de usuario:' },
+          ...(accion === 'crear'
+            ? [{ type: 'confirm', name: 'admin', message: '¿Es administrador?', default: false }]
+            : [])
+        ]);
+        const contrasena = await pedirContrasenaNueva('Contraseña:');
+        const resultado = await crearUsuario(nombre, contrasena, { admin });
+        console.log(`✅ Cuenta creada: ${describirUsuario(resultado.usuario)}`);
+        if (resultado.primera) {
+          console.log(`👤 Sesión iniciada. Se te asignaron ${resultado.asignadas} tarea(s) existente(s).`);
+        }
+        break;
+      }
+
+      case 'contrasena': {
+        const { actual } = await inquirer.prompt([
+          { type: 'password', name: 'actual', message: 'Contraseña actual:', mask: '*' }
+        ]);
+        const nueva = await pedirContrasenaNueva('Contraseña nueva:');
+        await cambiarContrasena(actual, nueva);
+        console.log('🔑 Contraseña cambiada. Se cerraron las sesiones de otros equipos.');
+        break;
+      }
+
+      case 'verTodas':
+        verTareasDeTodos(!verTodas);
+        console.log(verTodas ? '👤 Ahora ves solo tus tareas.' : '👥 Ahora ves las tareas de todos los usuarios.');
+        break;
+
+      case 'listar': {
+        const usuarios = await listarUsuarios();
+        console.log(`\n👥 Cuentas de usuario (${usuarios.length}):`);
+        usuarios.forEach(u => console.log(`   ${describirUsuario(u)}`));
+        break;
+      }
+
+      case 'cerrar': {
+        const nombre = await cerrarSesion();
+        console.log(`👋 Sesión de ${nombre} cerrada.`);
+        return true;
+      }
+
+      // 'volver': no hace nada
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+  return false;
+}
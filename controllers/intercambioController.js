@@ -0,0 +1,234 @@
+/**
+ * CONTROLADOR DE INTERCAMBIO - EXPORTAR E IMPORTAR
+ * ================================================
+ *
+ * Pantalla de exportación e importación del menú interactivo:
+ * - Exportar las tareas a JSON, CSV, Markdown, todo.txt o iCalendar
+ * - Importar un archivo: primero se muestra qué pasaría con cada fila
+ *   (sin guardar nada) y se pide confirmación
+ * - Generar un informe de un periodo en Markdown o HTML
+ *
+ * Las operaciones las realizan services/intercambioService.js y
+ * services/informeService.js.
+ */
+
+// Inquirer: Para crear interfaces interactivas de línea de comandos
+import inquirer from 'inquirer';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+// Exportación e importación
+import { exportarTareas, importarTareas, MODOS_DUPLICADAS } from '../services/intercambioService.js';
+import {
+  FORMATOS_INTERCAMBIO,
+  extensionDeFormato,
+  formatoDeArchivo,
+  interpretarDelimitador
+} from '../utils/intercambio.js';
+// Informes
+import { generarInforme, PERIODOS_INFORME } from '../services/informeService.js';
+import { FORMATOS_INFORME, extensionDeInforme } from '../utils/informe.js';
+import { escribirArchivoAtomico } from '../utils/archivos.js';
+import { formatearFilaImportada, describirResumenImportacion } from '../utils/formato.js';
+
+// Nombres de los formatos para las listas de selección
+const NOMBRES_FORMATO = Object.freeze({
+  json: 'JSON (completo, para copias de seguridad)',
+  csv: 'CSV (hojas de cálculo)',
+  markdown: 'Markdown (lista de casillas)',
+  todotxt: 'todo.txt',
+  ics: 'iCalendar (.ics, para aplicaciones de calendario)'
+});
+
+// Descripción de cada forma de tratar las duplicadas
+const NOMBRES_DUPLICADAS = Object.freeze({
+  omitir: '⏭️ Omitirlas',
+  fusionar: '🔗 Fusionarlas con la tarea existente',
+  renombrar: '✏️ Importarlas con otro nombre ("Tarea (2)")'
+});
+
+// Nombres de los periodos y formatos del informe
+const NOMBRES_PERIODO = Object.freeze({
+  semana: '📅 Esta semana (desde el lunes)',
+  'semana-pasada': '⏪ La semana pasada',
+  mes: '🗓️ Este mes',
+  'mes-pasado': '⏮️ El mes pasado'
+});
+const NOMBRES_FORMATO_INFORME = Object.freeze({
+  markdown: 'Markdown (.md)',
+  html: 'HTML (página autocontenida)'
+});
+
+/**
+ * FUNCIÓN AUXILIAR: PEDIR DELIMITADOR
+ * ===================================
+ *
+ * Solo para CSV.
+ */
+async function pedirDelimitador(formato) {
+  if (formato !== 'csv') return undefined;
+  const { delimitador } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'delimitador',
+      message: 'Delimitador de columnas ("tab" para tabulador):',
+      default: ',',
+      validate: texto => Boolean(interpretarDelimitador(texto)) || 'Escribe un solo carácter (o "tab")'
+    }
+  ]);
+  return delimitador;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXPORTAR
+ * ==========================
+ */
+async function exportar() {
+  const { formato } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'formato',
+      message: 'Formato:',
+      choices: FORMATOS_INTERCAMBIO.map(f => ({ name: NOMBRES_FORMATO[f], value: f }))
+    }
+  ]);
+  const delimitador = await pedirDelimitador(formato);
+  const { archivo } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'archivo',
+      message: 'Archivo de destino:',
+      default: `tareas${extensionDeFormato(formato)}`,
+      validate: texto => !_.isEmpty(texto.trim()) || 'Indica el archivo'
+    }
+  ]);
+
+  const { contenido, exportadas } = await exportarTareas({ formato, delimitador });
+  await escribirArchivoAtomico(path.resolve(archivo.trim()), contenido);
+  console.log(`📤 Exportadas ${exportadas} tarea(s) a ${archivo.trim()}`);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: IMPORTAR
+ * ==========================
+ *
+ * Simula la importación, muestra el informe y solo guarda si se confirma.
+ */
+async function importar() {
+  // PASO 1: Elegir el archivo y cómo leerlo
+  const { archivo } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'archivo',
+      message: 'Archivo a importar:',
+      validate: texto => !_.isEmpty(texto.trim()) || 'Indica el archivo'
+    }
+  ]);
+  const ruta = archivo.trim();
+  const texto = await readFile(ruta, 'utf8');
+
+  const { formato, duplicadas } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'formato',
+      message: 'Formato:',
+      choices: FORMATOS_INTERCAMBIO.map(f => ({ name: NOMBRES_FORMATO[f], value: f })),
+      default: formatoDeArchivo(ruta) ?? 'json'
+    },
+    {
+      type: 'list',
+      name: 'duplicadas',
+      message: 'Tareas que ya existen:',
+      choices: MODOS_DUPLICADAS.map(m => ({ name: NOMBRES_DUPLICADAS[m], value: m }))
+    }
+  ]);
+  const opciones = { formato, duplicadas, delimitador: await pedirDelimitador(formato), origen: path.basename(ruta) };
+
+  // PASO 2: Vista previa
+  const { filas, resumen } = await importarTareas(texto, { ...opciones, simular: true });
+  console.log('\n🔎 Vista previa (todavía no se guardó nada):');
+  filas.forEach(fila => console.log(`   ${formatearFilaImportada(fila)}`));
+  console.log(`📊 ${describirResumenImportacion(resumen)}`);
+
+  if (resumen.creadas + resumen.renombradas + resumen.fusionadas === 0) {
+    return console.log('📭 No hay nada que importar.');
+  }
+
+  // PASO 3: Confirmar e importar
+  const { confirmar } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmar',
+      message: resumen.errores > 0 ? '¿Importar las filas válidas?' : '¿Importar?',
+      default: true
+    }
+  ]);
+  if (!confirmar) return console.log('❌ Importación cancelada.');
+
+  const resultado = await importarTareas(texto, opciones);
+  console.log(`📥 Importación terminada: ${describirResumenImportacion(resultado.resumen)}`);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: GENERAR INFORME
+ * =================================
+ */
+async function informe() {
+  const { periodo, formato } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'periodo',
+      message: 'Periodo:',
+      choices: PERIODOS_INFORME.map(p => ({ name: NOMBRES_PERIODO[p], value: p }))
+    },
+    {
+      type: 'list',
+      name: 'formato',
+      message: 'Formato:',
+      choices: FORMATOS_INFORME.map(f => ({ name: NOMBRES_FORMATO_INFORME[f], value: f }))
+    }
+  ]);
+
+  const { contenido, desde, hasta } = await generarInforme({ periodo, formato });
+  const { archivo } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'archivo',
+      message: 'Archivo de destino:',
+      default: `informe-${desde}-${hasta}${extensionDeInforme(formato)}`,
+      validate: texto => !_.isEmpty(texto.trim()) || 'Indica el archivo'
+    }
+  ]);
+
+  await escribirArchivoAtomico(path.resolve(archivo.trim()), contenido);
+  console.log(`📰 Informe del ${desde} al ${hasta} guardado en ${archivo.trim()}`);
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: GESTIONAR INTERCAMBIO
+ * ========================================
+ */
+export async function gestionarIntercambio() {
+  const { accion } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'accion',
+      message: '¿Qué deseas hacer?',
+      choices: [
+        { name: '📤 Exportar las tareas', value: 'exportar' },
+        { name: '📥 Importar tareas de un archivo', value: 'importar' },
+        { name: '📰 Generar un informe', value: 'informe' },
+        { name: '↩️ Volver', value: 'volver' }
+      ]
+    }
+  ]);
+
+  try {
+    if (accion === 'exportar') await exportar();
+    if (accion === 'importar') await importar();
+    if (accion === 'informe') await informe();
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * CONTROLADOR DE ORGANIZACIÓN - ETIQUETAS Y PROYECTOS
+ * ===================================================
+ *
+ * Pantalla de gestión de etiquetas y proyectos del menú interactivo:
+ * - Ver las tareas agrupadas por proyecto, con su avance
+ * - Ver las tareas de un proyecto o de una etiqueta
+ * - Renombrar y fusionar etiquetas o proyectos
+ *
+ * Las operaciones las realiza services/organizacionService.js.
+ */
+
+// Inquirer: Para crear interfaces interactivas de línea de comandos
+import inquirer from 'inquirer';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Operaciones sobre etiquetas y proyectos
+import {
+  listarEtiquetas,
+  listarProyectos,
+  agruparPorProyecto,
+  renombrarEtiqueta,
+  fusionarEtiquetas,
+  renombrarProyecto,
+  fusionarProyectos
+} from '../services/organizacionService.js';
+// Reutilizamos el listado estándar para ver un proyecto o una etiqueta
+import { listarTareas } from './tareasController.js';
+import { formatearLineaTarea } from '../utils/formato.js';
+
+/**
+ * FUNCIÓN AUXILIAR: ELEGIR ETIQUETA(S)
+ * ====================================
+ *
+ * @param {string} mensaje - Pregunta a mostrar
+ * @param {boolean} varias - true para permitir seleccionar varias (checkbox)
+ * @returns {Promise<string|string[]>}
+ */
+async function elegirEtiquetas(mensaje, varias = false) {
+  const { eleccion } = await inquirer.prompt([
+    {
+      type: varias ? 'checkbox' : 'list',
+      name: 'eleccion',
+      message: mensaje,
+      choices: (await listarEtiquetas()).map(e => ({
+        name: `#${e.etiqueta} (${e.total} tarea(s))`,
+        value: e.etiqueta
+      })),
+      ...(varias && { validate: elegidas => !_.isEmpty(elegidas) || 'Selecciona al menos una' })
+    }
+  ]);
+  return eleccion;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ELEGIR PROYECTO(S)
+ * ====================================
+ */
+async function elegirProyectos(mensaje, varias = false) {
+  const { eleccion } = await inquirer.prompt([
+    {
+      type: varias ? 'checkbox' : 'list',
+      name: 'eleccion',
+      message: mensaje,
+      choices: (await listarProyectos()).map(p => ({
+        name: `📁 ${p.proyecto} (${p.total} tarea(s))`,
+        value: p.proyecto
+      })),
+      ...(varias && { validate: elegidos => !_.isEmpty(elegidos) || 'Selecciona al menos uno' })
+    }
+  ]);
+  return eleccion;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PREGUNTAR NOMBRE
+ * ==================================
+ */
+async function preguntarNombre(mensaje) {
+  const { nombre } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'nombre',
+      message: mensaje,
+      validate: input => _.isEmpty(input?.trim()) ? 'El nombre no puede estar vacío' : true
+    }
+  ]);
+  return nombre;
+}
+
+/**
+ * FUNCIÓN: MOSTRAR TAREAS POR PROYECTO
+ * ====================================
+ *
+ * Lista todas las tareas agrupadas por proyecto, con el avance de cada uno.
+ */
+export async function mostrarTareasPorProyecto() {
+  const grupos = await agruparPorProyecto();
+  if (_.isEmpty(grupos)) return console.log('📭 No hay tareas registradas.');
+
+  grupos.forEach(grupo => {
+    console.log(`\n📁 ${grupo.proyecto ?? '(sin proyecto)'} — ${grupo.completadas}/${grupo.total} completadas (${grupo.porcentajeCompletadas}%)`);
+    grupo.tareas.forEach((tarea, i) => console.log(`   ${formatearLineaTarea(tarea, i)}`));
+  });
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: GESTIONAR ETIQUETAS Y PROYECTOS
+ * ==================================================
+ *
+ * Submenú con las operaciones de organización. Solo se ofrecen las que
+ * tienen sentido (por ejemplo, fusionar requiere al menos dos etiquetas).
+ */
+export async function gestionarOrganizacion() {
+  const etiquetas = await listarEtiquetas();
+  const proyectos = await listarProyectos();
+
+  if (_.isEmpty(etiquetas) && _.isEmpty(proyectos)) {
+    console.log('🏷️ Todavía no hay etiquetas ni proyectos. Asígnalos al agregar o editar una tarea.');
+    return;
+  }
+
+  // PASO 1: Elegir la operación
+  const { accion } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'accion',
+      message: '🏷️ Etiquetas y proyectos:',
+      choices: [
+        { name: '📁 Ver tareas por proyecto', value: 'porProyecto' },
+        ...(proyectos.length ? [{ name: '📂 Ver tareas de un proyecto', value: 'verProyecto' }] : []),
+        ...(etiquetas.length ? [{ name: '🏷️ Ver tareas con una etiqueta', value: 'verEtiqueta' }] : []),
+        ...(proyectos.length ? [{ name: '✏️ Renombrar proyecto', value: 'renombrarProyecto' }] : []),
+        ...(proyectos.length > 1 ? [{ name: '🔗 Fusionar proyectos', value: 'fusionarProyectos' }] : []),
+        ...(etiquetas.length ? [{ name: '✏️ Renombrar etiqueta', value: 'renombrarEtiqueta' }] : []),
+        ...(etiquetas.length > 1 ? [{ name: '🔗 Fusionar etiquetas', value: 'fusionarEtiquetas' }] : []),
+        { name: '↩️ Volver', value: 'volver' }
+      ]
+    }
+  ]);
+
+  // PASO 2: Ejecutar la operación elegida
+  try {
+    switch (accion) {
+      case 'porProyecto':
+        await mostrarTareasPorProyecto();
+        break;
+
+      case 'verProyecto': {
+        const proyecto = await elegirProyectos('Selecciona un proyecto:');
+        await listarTareas('todas', 'prioridad', { proyecto });
+        break;
+      }
+
+      case 'verEtiqueta': {
+        const etiqueta = await elegirEtiquetas('Selecciona una etiqueta:');
+        await listarTareas('todas', 'prioridad', { etiquetas: [etiqueta] });
+        break;
+      }
+
+      case 'renombrarProyecto': {
+        const actual = await elegirProyectos('Proyecto a renombrar:');
+        const nuevo = await preguntarNombre('Nuevo nombre del proyecto:');
+        const cantidad = await renombrarProyecto(actual, nuevo);
+        console.log(`✏️ Proyecto renombrado (${cantidad} tarea(s) actualizadas).`);
+        break;
+      }
+
+      case 'fusionarProyectos': {
+        const origenes = await elegirProyectos('Proyectos a fusionar:', true);
+        const destino = await preguntarNombre('Proyecto resultante (existente o nuevo):');
+        const cantidad = await fusionarProyectos(origenes, destino);
+        console.log(`🔗 Proyectos fusionados (${cantidad} tarea(s) movidas).`);
+        break;
+      }
+
+      case 'renombrarEtiqueta': {
+        const actual = await elegirEtiquetas('Etiqueta a renombrar:');
+        const nueva = await preguntarNombre('Nuevo nombre de la etiqueta:');
+        const cantidad = await renombrarEtiqueta(actual, nueva);
+        console.log(`✏️ Etiqueta renombrada (${cantidad} tarea(s) actualizadas).`);
+        break;
+      }
+
+      case 'fusionarEtiquetas': {
+        const origenes = await elegirEtiquetas('Etiquetas a fusionar:', true);
+        const destino = await preguntarNombre('Etiqueta resultante (existente o nueva):');
+        const cantidad = await fusionarEtiquetas(origenes, destino);
+        console.log(`🔗 Etiquetas fusionadas (${cantidad} tarea(s) actualizadas).`);
+        break;
+      }
+
+      // 'volver': no hace nada
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
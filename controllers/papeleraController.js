@@ -0,0 +1,144 @@
+/**
+ * CONTROLADOR DE PAPELERA - TAREAS ELIMINADAS
+ * ===========================================
+ *
+ * Pantalla de la papelera del menú interactivo:
+ * - Ver las tareas eliminadas y cuándo se borrarán solas
+ * - Restaurar una tarea (con las subtareas que se eliminaron con ella)
+ * - Borrar definitivamente una tarea o vaciar la papelera
+ *
+ * También informa de la limpieza automática al arrancar.
+ * Las operaciones las realiza services/papeleraService.js.
+ */
+
+// Inquirer: Para crear interfaces interactivas de línea de comandos
+import inquirer from 'inquirer';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Operaciones sobre la papelera
+import {
+  listarPapelera,
+  fechaDeVaciado,
+  restaurarTareaPorId,
+  vaciarTareaPorId,
+  vaciarPapelera,
+  vaciarTareasCaducadas
+} from '../services/papeleraService.js';
+import { obtenerConfiguracion } from '../config/configuracion.js';
+import { formatearTareaEliminada, formatearOpcionTarea } from '../utils/formato.js';
+
+/**
+ * FUNCIÓN AUXILIAR: ELEGIR TAREA DE LA PAPELERA
+ * =============================================
+ */
+async function elegirTareaEliminada(mensaje) {
+  const { eleccion } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'eleccion',
+      message: mensaje,
+      choices: (await listarPapelera()).map(tarea => ({ name: formatearOpcionTarea(tarea), value: tarea._id }))
+    }
+  ]);
+  return eleccion;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONFIRMAR BORRADO DEFINITIVO
+ * ==============================================
+ */
+async function confirmarBorrado(mensaje) {
+  const { confirmar } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirmar', message: `${mensaje} No se podrá deshacer.`, default: false }
+  ]);
+  return confirmar;
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: GESTIONAR PAPELERA
+ * =====================================
+ *
+ * Muestra el contenido de la papelera y ofrece restaurar o borrar.
+ */
+export async function gestionarPapelera() {
+  const eliminadas = await listarPapelera();
+  if (_.isEmpty(eliminadas)) return console.log('🗑️ La papelera está vacía.');
+
+  // PASO 1: Mostrar el contenido
+  console.log(`\n🗑️ Papelera (${eliminadas.length}):`);
+  eliminadas.forEach((tarea, i) =>
+    console.log(formatearTareaEliminada(tarea, i, { vaciado: fechaDeVaciado(tarea) }))
+  );
+
+  // PASO 2: Elegir la operación
+  const { accion } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'accion',
+      message: '¿Qué deseas hacer?',
+      choices: [
+        { name: '♻️ Restaurar una tarea', value: 'restaurar' },
+        { name: '❌ Borrar definitivamente una tarea', value: 'borrar' },
+        { name: '🧹 Vaciar la papelera', value: 'vaciar' },
+        { name: '↩️ Volver', value: 'volver' }
+      ]
+    }
+  ]);
+
+  // PASO 3: Ejecutar la operación elegida
+  try {
+    switch (accion) {
+      case 'restaurar': {
+        const id = await elegirTareaEliminada('Tarea a restaurar:');
+        const { tarea, subtareasRestauradas } = await restaurarTareaPorId(id);
+        console.log(`♻️ Tarea restaurada: ${tarea.descripcion}`);
+        if (subtareasRestauradas.length > 0) {
+          console.log(`   También se restauraron ${subtareasRestauradas.length} subtarea(s).`);
+        }
+        break;
+      }
+
+      case 'borrar': {
+        const id = await elegirTareaEliminada('Tarea a borrar definitivamente:');
+        if (!await confirmarBorrado('¿Borrar definitivamente la tarea?')) {
+          return console.log('❌ Borrado cancelado.');
+        }
+        const borradas = await vaciarTareaPorId(id);
+        console.log(`❌ Borrada(s) definitivamente ${borradas.length} tarea(s).`);
+        break;
+      }
+
+      case 'vaciar': {
+        if (!await confirmarBorrado(`¿Borrar definitivamente las ${eliminadas.length} tarea(s) de la papelera?`)) {
+          return console.log('❌ Borrado cancelado.');
+        }
+        const borradas = await vaciarPapelera();
+        console.log(`🧹 Papelera vaciada (${borradas.length} tarea(s) borradas).`);
+        break;
+      }
+
+      // 'volver': no hace nada
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN: LIMPIEZA AUTOMÁTICA DE LA PAPELERA
+ * ===========================================
+ *
+ * Se ejecuta al arrancar: borra las tareas que llevan en la papelera más
+ * días de los configurados (tareas.diasPapelera). Un fallo no impide arrancar.
+ */
+export async function limpiarPapeleraAlArrancar() {
+  try {
+    const borradas = await vaciarTareasCaducadas();
+    if (borradas.length > 0) {
+      const { diasPapelera } = obtenerConfiguracion().tareas;
+      console.log(`🧹 Se borraron definitivamente ${borradas.length} tarea(s) con más de ${diasPapelera} días en la papelera.`);
+    }
+  } catch (error) {
+    console.log(`⚠️  No se pudo vaciar la papelera: ${error.message}`);
+  }
+}
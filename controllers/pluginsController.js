@@ -0,0 +1,77 @@
+/**
+ * CONTROLADOR DE PLUGINS - CARGA Y OPCIONES DE MENÚ
+ * =================================================
+ *
+ * Carga los plugins al arrancar el menú interactivo (informando de los
+ * que no se pudieron cargar) y ejecuta las opciones que agregan al menú
+ * principal. La carga y la API de los plugins están en
+ * services/pluginsService.js.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Carga de plugins y sus opciones de menú
+import { cargarPlugins, opcionesMenuPlugins } from '../services/pluginsService.js';
+// Errores de dominio
+import { ErrorTarea } from '../utils/errores.js';
+
+// Prefijo del valor de las opciones de menú de los plugins ('plugin:0', 'plugin:1'...)
+const PREFIJO_OPCION = 'plugin:';
+
+/**
+ * FUNCIÓN: CARGAR PLUGINS AL ARRANCAR
+ * ===================================
+ *
+ * Un plugin que falla no impide usar la aplicación: solo se informa.
+ */
+export async function cargarPluginsAlArrancar() {
+  const { cargados, fallidos } = await cargarPlugins();
+  if (!_.isEmpty(cargados)) {
+    console.log(`🧩 Plugins: ${cargados.map(plugin => plugin.nombre).join(', ')}`);
+  }
+  fallidos.forEach(({ archivo, error }) => console.log(`⚠️ No se pudo cargar el plugin ${archivo}: ${error}`));
+}
+
+/**
+ * FUNCIÓN: OPCIONES DE MENÚ DE LOS PLUGINS
+ * ========================================
+ *
+ * @returns {Array<{ name: string, value: string }>} - Opciones para utils/menu.js
+ */
+export function opcionesMenuDePlugins() {
+  return opcionesMenuPlugins().map((opcion, i) => ({ name: opcion.nombre, value: `${PREFIJO_OPCION}${i}` }));
+}
+
+/**
+ * FUNCIÓN: ¿ES UNA OPCIÓN DE UN PLUGIN?
+ * =====================================
+ */
+export function esOpcionDePlugin(valor) {
+  return String(valor).startsWith(PREFIJO_OPCION);
+}
+
+/**
+ * FUNCIÓN: EJECUTAR OPCIÓN DE UN PLUGIN
+ * =====================================
+ *
+ * Los errores del plugin se muestran y se vuelve al menú.
+ *
+ * @param {string} valor - Valor elegido en el menú ('plugin:N')
+ */
+export async function ejecutarOpcionDePlugin(valor) {
+  const opcion = opcionesMenuPlugins()[Number(String(valor).slice(PREFIJO_OPCION.length))];
+  if (!opcion) {
+    console.log('❌ Opción no válida');
+    return;
+  }
+
+  try {
+    await opcion.accion();
+  } catch (error) {
+    if (error instanceof ErrorTarea) {
+      console.log(`❌ Error: ${error.message}`);
+    } else {
+      console.log(`❌ Error en el plugin "${opcion.plugin}": ${error?.message ?? error}`);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * CONTROLADOR DE RECORDATORIOS - MODO DE SEGUNDO PLANO
+ * ====================================================
+ *
+ * `gestor recordatorios` se queda en marcha revisando cada pocos minutos
+ * (recordatorios.intervaloMinutos) las tareas que vencen pronto o ya
+ * vencieron, y avisa por los canales configurados (terminal, escritorio,
+ * correo, webhook). Las reglas de qué avisar y cuándo están en
+ * services/recordatoriosService.js.
+ *
+ * Cada revisión recarga las tareas del almacenamiento, como la API REST:
+ * así ve las tareas creadas, completadas o pospuestas desde otros procesos.
+ * Un fallo al cargar o al avisar no detiene el proceso: se informa y se
+ * vuelve a intentar en la siguiente revisión. Se detiene con Ctrl+C.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Recarga de las tareas en cada revisión
+import { inicializarTareas, obtenerEstadoConexion } from '../data/tareas.js';
+// Configuración de los canales
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Revisión de avisos
+import { revisarRecordatorios } from '../services/recordatoriosService.js';
+import { crearCanales } from '../services/canales/index.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * FUNCIÓN AUXILIAR: HORA ACTUAL
+ * =============================
+ */
+function hora() {
+  return new Date().toTimeString().slice(0, 5);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REVISAR UNA VEZ
+ * =================================
+ *
+ * @returns {Promise<Object>} - Resultado de revisarRecordatorios()
+ * @throws {ErrorTarea} - PERSISTENCIA si no se pudieron cargar las tareas
+ */
+async function revisar(canales, offline) {
+  const cargadas = await inicializarTareas();
+  if (!cargadas && !(offline && !obtenerEstadoConexion().enLinea)) {
+    throw new ErrorTarea('No se pudieron cargar las tareas', CODIGOS_ERROR.PERSISTENCIA);
+  }
+
+  const resultado = await revisarRecordatorios(canales);
+  if (!_.isEmpty(resultado.enviados)) {
+    console.log(`🕐 ${hora()} ${resultado.enviados.length} aviso(s) enviado(s)`);
+  }
+  resultado.fallos.forEach(({ aviso, canal, error }) =>
+    console.log(`⚠️ ${hora()} No se pudo avisar de "${aviso.tarea.descripcion}" por ${canal}: ${error}`)
+  );
+  return resultado;
+}
+
+/**
+ * FUNCIÓN: EJECUTAR RECORDATORIOS
+ * ===============================
+ *
+ * @param {Object} opciones - {
+ *     intervaloMinutos: minutos entre revisiones,
+ *     unaVez: revisar una sola vez y terminar (para cron o pruebas),
+ *     offline: aceptar la copia local si no hay conexión
+ *   }
+ * @returns {Promise<Object|null>} - Con unaVez, el resultado de la revisión
+ * @throws {ErrorTarea} - Con unaVez, si no se pudieron cargar las tareas
+ */
+export async function ejecutarRecordatorios({ intervaloMinutos, unaVez = false, offline = false }) {
+  const canales = crearCanales(obtenerConfiguracion().recordatorios);
+  if (unaVez) return revisar(canales, offline);
+
+  console.log(`🔔 Recordatorios en marcha: ${canales.map(c => c.nombre).join(', ')}, ` +
+    `revisión cada ${intervaloMinutos} minuto(s).`);
+  console.log('   Pulsa Ctrl+C para detenerlos.');
+
+  // PASO 1: Preparar la parada con Ctrl+C (o SIGTERM)
+  let detenido = false;
+  let despertar = () => {};
+  const detener = () => {
+    detenido = true;
+    despertar();
+  };
+  process.on('SIGINT', detener);
+  process.on('SIGTERM', detener);
+
+  // PASO 2: Revisar y esperar hasta la siguiente revisión
+  try {
+    while (!detenido) {
+      try {
+        await revisar(canales, offline);
+      } catch (error) {
+        if (error instanceof ErrorTarea) {
+          console.log(`⚠️ ${hora()} ${error.message}; se volverá a intentar`);
+        } else {
+          // Error inesperado: se registra con su detalle, pero el proceso sigue en marcha
+          console.error(`❌ ${hora()} Error inesperado en la revisión:`, error);
+        }
+      }
+      await new Promise(resolve => {
+        const temporizador = setTimeout(resolve, intervaloMinutos * 60 * 1000);
+        despertar = () => {
+          clearTimeout(temporizador);
+          resolve();
+        };
+        if (detenido) despertar();
+      });
+    }
+  } finally {
+    process.off('SIGINT', detener);
+    process.off('SIGTERM', detener);
+  }
+
+  console.log('🛑 Recordatorios detenidos.');
+  return null;
+}
@@ -1,80 +1,250 @@
 /**
- * CONTROLADOR DE TAREAS - LÓGICA DE NEGOCIO
- * ========================================
+ * CONTROLADOR DE TAREAS - INTERFAZ INTERACTIVA
+ * ===========================================
  *
- * Este archivo contiene toda la lógica de negocio para el manejo de tareas.
- * Utiliza extensivamente la librería Lodash para operaciones eficientes con datos.
+ * Este archivo contiene los flujos interactivos (inquirer) para el manejo de tareas.
+ * Las reglas de negocio viven en services/tareasService.js; aquí solo se
+ * capturan los datos del usuario y se muestran los resultados.
  *
  * Funcionalidades implementadas:
- * - Crear tareas con validación de duplicados
- * - Listar tareas con filtros y ordenamiento
+ * - Crear tareas con validación de duplicados, fecha límite, prioridad, etiquetas y proyecto
+ * - Listar tareas con filtros (incluidas vencidas, para hoy y esta semana) y ordenamiento,
+ *   de página en página
+ * - Elegir una tarea escribiendo parte de su descripción (selector con búsqueda)
+ * - Buscar tareas, opcionalmente dentro de un proyecto o etiqueta
+ * - Subtareas: alta bajo otra tarea, listado en árbol con progreso y
+ *   decisión sobre las subtareas abiertas al completar o eliminar
+ * - Tareas recurrentes: al completarlas se genera la siguiente ocurrencia
+ * - Deshacer y rehacer la última operación
+ * - Ver el historial de cambios de una tarea y los últimos cambios de todas
  * - Editar tareas existentes
- * - Completar tareas pendientes
- * - Eliminar tareas con confirmación
+ * - Completar tareas pendientes (una o varias, marcándolas en una lista)
+ * - Eliminar tareas con confirmación (van a la papelera, ver papeleraController.js)
+ * - Operaciones en bloque: completar, reabrir, eliminar, etiquetar o cambiar la
+ *   prioridad de varias tareas (marcadas, o todas las de un filtro o búsqueda)
+ *   con una sola confirmación
  * - Buscar tareas por palabras clave
  * - Mostrar estadísticas completas
+ * - Informar del estado de conexión y reintentar la conexión
  */
 
 // Inquirer: Para crear interfaces interactivas de línea de comandos
 import inquirer from 'inquirer';
 // Lodash: Librería de utilidades para manipulación de datos
 import _ from 'lodash';
-// Importamos el array de tareas y la función para persistir cambios
-import { tareas, persistirTareas } from '../data/tareas.js';
-// Importamos la clase Tarea que define la estructura y comportamiento
-import { Tarea } from '../models/tarea.js';
+// Importamos las funciones de estado de conexión
+import { reconectar, obtenerEstadoConexion } from '../data/tareas.js';
+// Ruta donde se guardan los cambios sin conexión que no se pudieron aplicar
+import { rutaConflictos } from '../data/diarioOffline.js';
+// Importamos las operaciones de negocio compartidas con la CLI
+import {
+  filtrarTareas,
+  hayTareas,
+  paginarTareas,
+  construirArbol,
+  validarDescripcionTarea,
+  validarFechaLimite,
+  validarRecurrencia,
+  registrarTarea,
+  actualizarTarea,
+  planificarEnBloque,
+  aplicarEnBloque,
+  buscarPorConsulta,
+  calcularEstadisticas,
+  interpretarEtiquetas,
+  FILTROS
+} from '../services/tareasService.js';
+// Importamos deshacer y rehacer
+import { consultarHistorial, deshacer, rehacer } from '../services/historialService.js';
+// Importamos la consulta de la auditoría
+import { consultarHistorialTarea, consultarUltimosCambios } from '../services/auditoriaService.js';
+// Importamos los listados de etiquetas y proyectos existentes
+import { listarEtiquetas, listarProyectos } from '../services/organizacionService.js';
+// Importamos la analítica de productividad
+import { calcularAnalitica } from '../services/analiticaService.js';
+// Importamos las prioridades disponibles
+import { PRIORIDADES } from '../models/tarea.js';
+// Importamos el tamaño de página configurado
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Importamos el texto editable de las reglas de repetición
+import { reglaComoTexto } from '../utils/recurrencia.js';
+// Importamos el lenguaje de consulta para validar la búsqueda
+import { analizarConsulta } from '../utils/consulta.js';
+// Importamos la lectura de los límites del periodo de la analítica
+import { interpretarDiaPasado } from '../utils/fechas.js';
+// Importamos el formato común de las líneas de tarea
+import {
+  formatearLineaTarea,
+  formatearNodoArbol,
+  formatearOpcionArbol,
+  formatearEvento,
+  describirFiltro,
+  describirOrganizacion,
+  describirOperacionEnBloque,
+  formatearAnalitica,
+  formatearTiempo
+} from '../utils/formato.js';
+
+// Tareas que se listan al confirmar una operación en bloque
+const TAREAS_A_MOSTRAR_EN_BLOQUE = 10;
+
+/**
+ * FUNCIÓN AUXILIAR: OPCIONES EN ÁRBOL
+ * ===================================
+ *
+ * Convierte una lista de tareas en opciones de inquirer mostradas como árbol,
+ * para que se distinga a qué tarea pertenece cada subtarea.
+ *
+ * @param {Tarea[]} lista - Tareas a ofrecer
+ * @returns {Object[]} - Opciones { name, value: _id }
+ */
+function opcionesEnArbol(lista) {
+  return construirArbol(lista).map(nodo => ({
+    name: formatearOpcionArbol(nodo),
+    value: nodo.tarea._id
+  }));
+}
+
+/**
+ * FUNCIÓN: ELEGIR TAREA
+ * =====================
+ *
+ * Selector con búsqueda: muestra la primera página de tareas y, según se
+ * escribe, solo las que contienen ese texto en la descripción. Cada pulsación
+ * pide una página nueva (al servidor, si lo hay), así que no necesita tener
+ * todas las tareas a mano aunque haya miles. También lo usa el control de
+ * tiempo (controllers/tiempoController.js).
+ *
+ * @param {string} mensaje - Pregunta
+ * @param {Object} opciones - { filtro: uno de FILTROS (por defecto todas),
+ *                              adicionales: opciones fijas que se ofrecen antes de las tareas
+ *                              mientras no se escribe nada }
+ * @returns {Promise<*>} - La tarea elegida, tal como vino en la página (o el valor
+ *   de la opción adicional); puede no estar entre las cargadas si otro proceso la creó
+ */
+export async function elegirTarea(mensaje, { filtro = 'todas', adicionales = [] } = {}) {
+  const limite = obtenerConfiguracion().tareas.tamanoPagina;
+  const { elegida } = await inquirer.prompt([
+    {
+      type: 'search',
+      name: 'elegida',
+      message: `${mensaje} (escribe para buscar)`,
+      source: async (texto) => {
+        const pagina = await paginarTareas(filtro, 'prioridad', {}, { limite, texto });
+        return [
+          ...(texto ? [] : adicionales),
+          ...pagina.tareas.map((tarea, i) => ({ name: formatearLineaTarea(tarea, i), value: tarea })),
+          ...(pagina.siguiente ? [new inquirer.Separator(`   … hay más de ${limite}: escribe parte de la descripción para acotar`)] : [])
+        ];
+      }
+    }
+  ]);
+  return elegida;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PREGUNTAR CAMPOS OPCIONALES
+ * =============================================
+ *
+ * Solicita la prioridad, la fecha límite, la repetición, el proyecto y las
+ * etiquetas (todos opcionales). Al editar, los valores actuales aparecen por defecto.
+ *
+ * @param {Tarea|null} tarea - Tarea que se edita, o null al crear
+ * @returns {Promise<Object>} - { prioridad, fechaLimite, recurrencia, proyecto, etiquetas } para el servicio
+ */
+async function preguntarCamposOpcionales(tarea = null) {
+  // Los nombres existentes se muestran como ayuda para no crear variantes
+  const proyectos = (await listarProyectos()).map(p => p.proyecto);
+  const etiquetas = (await listarEtiquetas()).map(e => e.etiqueta);
+
+  return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'prioridad',
+      message: 'Prioridad:',
+      choices: [
+        { name: 'Sin prioridad', value: null },
+        ...PRIORIDADES.map(p => ({ name: _.capitalize(p), value: p }))
+      ],
+      default: tarea?.prioridad ?? null
+    },
+    {
+      type: 'input',
+      name: 'fechaLimite',
+      message: 'Fecha límite (AAAA-MM-DD, hoy, mañana, +N días; vacío = sin fecha):',
+      default: tarea?.fechaLimite ?? undefined,
+      validate: (input) => validarFechaLimite(input)
+    },
+    {
+      type: 'input',
+      name: 'recurrencia',
+      message: 'Repetir (diaria, diaria:N, semanal:lun,jue, mensual:D, tras:N días; vacío = no se repite):',
+      default: reglaComoTexto(tarea?.recurrencia) || undefined,
+      validate: (input) => validarRecurrencia(input)
+    },
+    {
+      type: 'input',
+      name: 'proyecto',
+      message: 'Proyecto (vacío = sin proyecto)' +
+        (_.isEmpty(proyectos) ? ':' : ` [existentes: ${proyectos.join(', ')}]:`),
+      default: tarea?.proyecto ?? undefined
+    },
+    {
+      type: 'input',
+      name: 'etiquetas',
+      message: 'Etiquetas separadas por comas' +
+        (_.isEmpty(etiquetas) ? ':' : ` [existentes: ${etiquetas.join(', ')}]:`),
+      default: _.isEmpty(tarea?.etiquetas) ? undefined : tarea.etiquetas.join(', '),
+      // Validación reutilizando la normalización del servicio
+      validate: (input) => {
+        try {
+          interpretarEtiquetas(input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    }
+  ]);
+}
 
 /**
  * FUNCIÓN: AGREGAR NUEVA TAREA
  * ============================
  *
- *
  * Esta función permite al usuario crear una nueva tarea con validaciones robustas.
- * Utiliza Lodash para:
- * - _.isEmpty(): Validar que la descripción no esté vacía
- * - _.find(): Buscar duplicados en el array de tareas
- * - _.toLower(): Comparación insensible a mayúsculas
+ * Si hay tareas pendientes, primero se puede elegir una como padre para crear
+ * una subtarea. La validación en tiempo real reutiliza validarDescripcionTarea()
+ * del servicio: descripción no vacía y sin duplicados (insensible a mayúsculas)
+ * entre las tareas con el mismo padre.
  */
 export async function agregarTarea() {
   try {
-    // PASO 1: Solicitar descripción con validaciones en tiempo real
+    // PASO 1: Elegir si es una tarea principal o una subtarea de una pendiente
+    let padreId = null;
+    if (await hayTareas('pendientes')) {
+      const padre = await elegirTarea('¿Dónde agregar la tarea?', {
+        filtro: 'pendientes',
+        adicionales: [{ name: '📌 Como tarea principal', value: null }]
+      });
+      padreId = padre?._id ?? null;
+    }
+
+    // PASO 2: Solicitar descripción con validaciones en tiempo real
     const { descripcion } = await inquirer.prompt([
       {
         type: 'input',
         name: 'descripcion',
-        message: 'Descripción de la tarea:',
-        validate: (input) => {
-          // VALIDACIÓN 1: Verificar que no esté vacía o solo contenga espacios
-          // _.isEmpty() es más robusto que solo verificar .length
-          if (_.isEmpty(input?.trim())) {
-            return 'La descripción no puede estar vacía';
-          }
-
-          // VALIDACIÓN 2: Buscar tareas duplicadas (insensible a mayúsculas)
-          // _.find() busca la primera coincidencia que cumple la condición
-          // _.toLower() convierte ambas cadenas a minúsculas para comparar
-          const duplicada = _.find(tareas, t =>
-            _.toLower(t.descripcion) === _.toLower(input.trim())
-          );
-          if (duplicada) {
-            return 'Ya existe una tarea con esa descripción';
-          }
-
-          // Si pasa todas las validaciones, retorna true
-          return true;
-        }
+        message: padreId ? 'Descripción de la subtarea:' : 'Descripción de la tarea:',
+        validate: (input) => validarDescripcionTarea(input, null, padreId)
       }
     ]);
 
-    // PASO 2: Crear nueva instancia de Tarea usando el método estático
-    // Este método ya incluye validación adicional y genera ID único
-    const nuevaTarea = Tarea.crearTarea(descripcion);
-
-    // PASO 3: Agregar la tarea al array global
-    tareas.push(nuevaTarea);
+    // PASO 3: Solicitar prioridad, fecha límite, proyecto y etiquetas opcionales
+    const opcionales = await preguntarCamposOpcionales();
 
-    // PASO 4: Persistir cambios al archivo JSON
-    await persistirTareas();
+    // PASO 4: Registrar la tarea (crea la instancia, la agrega y persiste)
+    await registrarTarea(descripcion, { ...opcionales, padreId });
     console.log('✅ Tarea agregada exitosamente.');
   } catch (error) {
     // MANEJO DE ERRORES: Captura cualquier error del proceso
@@ -87,339 +257,772 @@ export async function agregarTarea() {
  * ==================================
  *
  * Esta función muestra las tareas aplicando diferentes filtros.
- * Utiliza Lodash para:
- * - _.isEmpty(): Verificar si hay tareas disponibles
- * - _.filter(): Filtrar tareas según criterios específicos
- * - _.orderBy(): Ordenamiento multi-criterio inteligente
+ * El filtrado y el ordenamiento inteligente (pendientes primero,
+ * luego por prioridad o fecha límite) los resuelve paginarTareas() del servicio,
+ * de tareas.tamanoPagina en tareas.tamanoPagina: tras cada página se puede
+ * pasar a la siguiente, volver a la anterior o terminar.
  *
- * @param {string} filtro - Tipo de filtro: 'todas', 'completadas', 'pendientes'
+ * @param {string} filtro - 'todas', 'completadas', 'pendientes', 'vencidas', 'hoy' o 'semana'
+ * @param {string} criterio - Criterio de ordenamiento: 'prioridad', 'vencimiento' o 'creacion'
+ * @param {Object} organizacion - { etiquetas?, proyecto? } para limitar el listado
  */
-export async function listarTareas(filtro = 'todas') {
+export async function listarTareas(filtro = 'todas', criterio = 'prioridad', organizacion = {}) {
   // VALIDACIÓN INICIAL: Verificar si existen tareas
   // _.isEmpty() es más confiable que tareas.length === 0
-  if (_.isEmpty(tareas)) {
+  if (!await hayTareas()) {
     console.log('📭 No hay tareas registradas.');
     return;
   }
 
-  // PASO 1: Empezar con todas las tareas disponibles
-  let tareasAMostrar = tareas;
+  const titulo = `${describirFiltro(filtro)}${describirOrganizacion(organizacion)}`;
+  const limite = obtenerConfiguracion().tareas.tamanoPagina;
+  // Cursor con el que empieza cada página vista (la primera, sin cursor)
+  const cursores = [null];
 
-  // PASO 2: Aplicar filtros según el parámetro recibido
-  switch (filtro) {
-    case 'completadas':
-      // _.filter() con string 'completada' es equivalente a t => t.completada
-      // Esta sintaxis de Lodash es más concisa y legible
-      tareasAMostrar = _.filter(tareas, 'completada');
-      break;
-    case 'pendientes':
-      // Para condiciones más complejas, usamos función callback
-      tareasAMostrar = _.filter(tareas, t => !t.completada);
-      break;
-    // 'todas': no necesita filtro, ya está asignado arriba
-  }
+  try {
+    while (true) {
+      // PASO 1: Obtener la página actual, ya filtrada y ordenada
+      const { tareas: pagina, siguiente } = await paginarTareas(filtro, criterio, organizacion,
+        { limite, cursor: _.last(cursores) });
+      const numeroPagina = cursores.length;
 
-  // VALIDACIÓN DESPUÉS DEL FILTRO: Verificar si hay resultados
-  if (_.isEmpty(tareasAMostrar)) {
-    console.log(`📭 No hay tareas ${filtro}.`);
-    return;
+      // VALIDACIÓN DESPUÉS DEL FILTRO: Verificar si hay resultados
+      if (_.isEmpty(pagina)) {
+        console.log(`📭 No hay tareas ${titulo}.`);
+        return;
+      }
+
+      // PASO 2: Mostrar las tareas como árbol: cada subtarea indentada bajo su
+      // padre, con el progreso de las que tienen subtareas (las vencidas se destacan)
+      const enPaginas = siguiente || numeroPagina > 1 ? ` (página ${numeroPagina})` : '';
+      console.log(`\n📋 Lista de tareas ${titulo}${enPaginas}:`);
+      construirArbol(pagina, criterio).forEach(nodo => console.log(formatearNodoArbol(nodo)));
+      if (!siguiente && numeroPagina === 1) return;
+
+      // PASO 3: Moverse entre páginas
+      const { accion } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'accion',
+          message: 'Páginas:',
+          choices: [
+            ...(siguiente ? [{ name: '➡️ Página siguiente', value: 'siguiente' }] : []),
+            ...(numeroPagina > 1 ? [{ name: '⬅️ Página anterior', value: 'anterior' }] : []),
+            { name: '↩️ Volver', value: 'volver' }
+          ]
+        }
+      ]);
+      if (accion === 'volver') return;
+      if (accion === 'siguiente') cursores.push(siguiente);
+      else cursores.pop();
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
   }
+}
 
-  // PASO 3: ORDENAMIENTO INTELIGENTE CON LODASH
-  // _.orderBy() permite ordenar por múltiples criterios:
-  // 1. Por 'completada': false primero (pendientes arriba)
-  // 2. Por 'fechaCreacion': más recientes primero
-  // ['asc', 'desc'] define el orden para cada criterio
-  const tareasOrdenadas = _.orderBy(tareasAMostrar, ['completada', 'fechaCreacion'], ['asc', 'desc']);
-
-  // PASO 4: Mostrar las tareas formateadas
-  console.log(`\n📋 Lista de tareas ${filtro}:`);
-  tareasOrdenadas.forEach((tarea, i) => {
-    // Símbolos visuales según el estado
-    const estado = tarea.completada ? '✅' : '❌';
-    // Formatear fecha para mejor legibilidad
-    const fecha = new Date(tarea.fechaCreacion).toLocaleDateString();
-    console.log(`${i + 1}. [${estado}] ${tarea.descripcion} (${fecha})`);
-  });
+/**
+ * FUNCIÓN: LISTAR TAREAS POR VENCIMIENTO
+ * ======================================
+ *
+ * Pregunta qué vista de fechas límite mostrar (vencidas, para hoy
+ * o esta semana) y la lista ordenada por fecha límite.
+ */
+export async function listarPorVencimiento() {
+  const { filtro } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'filtro',
+      message: '¿Qué tareas quieres ver?',
+      choices: [
+        { name: '⏰ Vencidas', value: 'vencidas' },
+        { name: '📅 Para hoy', value: 'hoy' },
+        { name: '🗓️ Para esta semana', value: 'semana' }
+      ]
+    }
+  ]);
+
+  await listarTareas(filtro, 'vencimiento');
 }
 
 /**
  * FUNCIÓN: EDITAR TAREA EXISTENTE
  * ===============================
  *
- * Permite modificar la descripción de una tarea existente.
- * Utiliza Lodash para:
- * - _.isEmpty(): Verificar disponibilidad de tareas
- * - _.orderBy(): Ordenar tareas para mejor UX
- * - _.find(): Localizar tarea específica por ID
- * - _.toLower(): Validación insensible a mayúsculas
+ * Permite modificar la descripción, la prioridad, la fecha límite,
+ * el proyecto y las etiquetas de una tarea.
+ * Muestra las tareas ordenadas (pendientes primero) y valida la nueva
+ * descripción contra duplicados excluyendo la tarea que se edita.
  */
 export async function editarTarea() {
   // VALIDACIÓN INICIAL: Verificar que existan tareas para editar
-  if (_.isEmpty(tareas)) return console.log('⚠️ No hay tareas para editar.');
+  if (!await hayTareas()) return console.log('⚠️ No hay tareas para editar.');
 
-  // PASO 1: Ordenar tareas para mostrar pendientes primero
-  // Esto mejora la UX al mostrar las más relevantes arriba
-  const tareasOrdenadas = _.orderBy(tareas, ['completada', 'fechaCreacion'], ['asc', 'desc']);
+  // PASO 1: Permitir al usuario seleccionar una tarea
+  const tarea = await elegirTarea('Selecciona una tarea para editar:');
 
-  // PASO 2: Permitir al usuario seleccionar una tarea
-  const { tareaSeleccionada } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'tareaSeleccionada',
-      message: 'Selecciona una tarea para editar:',
-      choices: tareasOrdenadas.map(t => ({
-        // Mostrar estado visual y descripción
-        name: `[${t.completada ? '✅' : '❌'}] ${t.descripcion}`,
-        // El valor será el ID único para búsqueda posterior
-        value: t._id
-      }))
-    }
-  ]);
-
-  // PASO 3: Encontrar la tarea seleccionada usando Lodash
-  // Para ObjectIds necesitamos usar equals() para comparación
-  const tarea = _.find(tareas, t => t._id.equals(tareaSeleccionada));
-
-  // PASO 4: Solicitar nueva descripción con validaciones
+  // PASO 2: Solicitar nueva descripción con validaciones
   const { nuevaDescripcion } = await inquirer.prompt([
     {
       type: 'input',
       name: 'nuevaDescripcion',
       message: 'Nueva descripción:',
       default: tarea.descripcion, // Mostrar descripción actual como default
-      validate: (input) => {
-        // VALIDACIÓN 1: No permitir descripciones vacías
-        if (_.isEmpty(input?.trim())) {
-          return 'La descripción no puede estar vacía';
-        }
+      // Evitar duplicados entre sus hermanas, excluyendo la tarea que editamos
+      validate: (input) => validarDescripcionTarea(input, tarea._id, tarea.padreId)
+    }
+  ]);
 
-        // VALIDACIÓN 2: Evitar duplicados (excluyendo la tarea actual)
-        // Comparamos con todas las tareas EXCEPTO la que estamos editando
-        const duplicada = _.find(tareas, t =>
-          !t._id.equals(tareaSeleccionada) &&
-          _.toLower(t.descripcion) === _.toLower(input.trim())
-        );
-        if (duplicada) {
-          return 'Ya existe otra tarea con esa descripción';
-        }
+  // PASO 3: Solicitar los campos opcionales (valores actuales por defecto)
+  const opcionales = await preguntarCamposOpcionales(tarea);
 
-        return true;
-      }
+  // PASO 4: Actualizar la tarea y persistir cambios
+  // (NO_ENCONTRADA si otro proceso la eliminó mientras tanto)
+  try {
+    await actualizarTarea(tarea._id, { descripcion: nuevaDescripcion, ...opcionales });
+    console.log('✏️ Tarea actualizada exitosamente.');
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: MARCAR TAREAS
+ * ===============================
+ *
+ * Lista con casillas (en árbol) para elegir varias tareas a la vez.
+ *
+ * @param {Tarea[]} lista - Tareas a ofrecer
+ * @param {string} mensaje - Pregunta
+ * @returns {Promise<ObjectId[]>} - IDs marcados (vacío si no se marcó ninguna)
+ */
+async function marcarTareas(lista, mensaje) {
+  const { ids } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'ids',
+      message: `${mensaje} (espacio para marcar, "a" para marcarlas todas)`,
+      choices: opcionesEnArbol(lista)
     }
   ]);
+  return ids;
+}
 
-  // PASO 5: Actualizar la tarea y persistir cambios
-  tarea.descripcion = nuevaDescripcion.trim();
-  await persistirTareas();
-  console.log('✏️ Tarea actualizada exitosamente.');
+/**
+ * FUNCIÓN AUXILIAR: PREGUNTAR QUÉ HACER CON LAS SUBTAREAS
+ * =======================================================
+ *
+ * @param {string} accion - 'completar' o 'eliminar'
+ * @param {number} cantidad - Subtareas afectadas que no se eligieron
+ * @returns {Promise<string|null>} - Una de ACCIONES_SUBTAREAS, o null si se cancela
+ */
+async function preguntarAccionSubtareas(accion, cantidad) {
+  const opciones = accion === 'completar'
+    ? [
+      { name: '✅ Completarlas también', value: 'completar' },
+      { name: '⏳ Dejarlas pendientes', value: 'mantener' }
+    ]
+    : [
+      { name: '⬆️ Conservarlas (suben un nivel)', value: 'conservar' },
+      { name: '🗑️ Eliminarlas también', value: 'eliminar' }
+    ];
+  const detalle = accion === 'completar' ? 'subtarea(s) pendiente(s)' : 'subtarea(s)';
+
+  const { subtareas } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'subtareas',
+      message: `Hay ${cantidad} ${detalle} que no elegiste. ¿Qué hacer con ellas?`,
+      choices: [...opciones, { name: '❌ Cancelar', value: null }]
+    }
+  ]);
+  return subtareas;
 }
 
 /**
- * FUNCIÓN: MARCAR TAREA COMO COMPLETADA
- * ====================================
- *
- * Permite al usuario marcar una tarea pendiente como completada.
- * Utiliza Lodash para:
- * - _.filter(): Obtener solo tareas pendientes
- * - _.isEmpty(): Verificar disponibilidad
- * - _.orderBy(): Ordenar por fecha de creación
- * - _.find(): Localizar la tarea seleccionada
+ * FUNCIÓN AUXILIAR: EJECUTAR OPERACIÓN EN BLOQUE
+ * ==============================================
+ *
+ * Flujo común de las operaciones sobre varias tareas: decidir qué hacer con
+ * las subtareas (si hace falta), mostrar el efecto y pedir una sola
+ * confirmación, y aplicarla con aplicarEnBloque() en una sola escritura.
+ * Completar, reabrir o cambiar una sola tarea no pide confirmación;
+ * eliminar, siempre.
+ *
+ * @param {string} accion - Una de ACCIONES_EN_BLOQUE
+ * @param {ObjectId[]} ids - Tareas elegidas
+ * @param {Object} opciones - Las de la acción (ver ACCIONES_EN_BLOQUE)
+ */
+async function ejecutarEnBloque(accion, ids, opciones = {}) {
+  try {
+    // PASO 1: Calcular el efecto (y decidir sobre las subtareas si hace falta)
+    let plan = await planificarEnBloque(accion, ids, opciones);
+    if (plan.subtareasSinDecidir > 0) {
+      const subtareas = await preguntarAccionSubtareas(accion, plan.subtareasSinDecidir);
+      if (!subtareas) return console.log('❌ Operación cancelada.');
+      opciones = { ...opciones, subtareas };
+      plan = await planificarEnBloque(accion, ids, opciones);
+    }
+    if (_.isEmpty(plan.tareas)) {
+      return console.log('ℹ️ No hay nada que cambiar en las tareas elegidas.');
+    }
+
+    // PASO 2: Una sola confirmación con el resumen de todo lo que cambia
+    const afectadas = plan.tareas.length + plan.subtareas.length + plan.padres.length;
+    if (accion === 'eliminar' || afectadas > 1) {
+      console.log('');
+      plan.tareas.slice(0, TAREAS_A_MOSTRAR_EN_BLOQUE)
+        .forEach((tarea, i) => console.log(`   ${formatearLineaTarea(tarea, i)}`));
+      if (plan.tareas.length > TAREAS_A_MOSTRAR_EN_BLOQUE) {
+        console.log(`   ... y ${plan.tareas.length - TAREAS_A_MOSTRAR_EN_BLOQUE} más`);
+      }
+      describirOperacionEnBloque(plan).forEach(linea => console.log(linea));
+
+      const { confirmar } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmar',
+          message: '¿Continuar?',
+          // Por defecto "No" al eliminar, para mayor seguridad
+          default: accion !== 'eliminar'
+        }
+      ]);
+      if (!confirmar) return console.log('❌ Operación cancelada.');
+    }
+
+    // PASO 3: Aplicar todos los cambios de una vez
+    const resultado = await aplicarEnBloque(accion, ids, opciones);
+    describirOperacionEnBloque(resultado, { hecho: true }).forEach(linea => console.log(linea));
+    resultado.siguientesOcurrencias.forEach(tarea =>
+      console.log(`   🔁 Próxima repetición de "${tarea.descripcion}"${tarea.fechaLimite ? ` (vence ${tarea.fechaLimite})` : ''}.`)
+    );
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN: MARCAR TAREAS COMO COMPLETADAS
+ * =======================================
+ *
+ * Permite marcar una o varias tareas pendientes como completadas.
+ * Muestra solo las pendientes, las más importantes y urgentes primero.
+ * Si tienen subtareas pendientes que no se marcaron, pregunta qué hacer con
+ * ellas; las recurrentes generan su siguiente ocurrencia.
  */
 export async function completarTarea() {
-  // PASO 1: Filtrar solo las tareas pendientes
-  // _.filter() con callback para obtener las no completadas
-  const tareasPendientes = _.filter(tareas, t => !t.completada);
+  // PASO 1: Obtener solo las tareas pendientes, ya ordenadas
+  const tareasPendientes = await filtrarTareas('pendientes');
 
   // VALIDACIÓN: Verificar si hay tareas pendientes
   if (_.isEmpty(tareasPendientes)) {
     return console.log('🎉 ¡No hay tareas pendientes! Todas están completadas.');
   }
 
-  // PASO 2: Ordenar tareas pendientes por fecha (más recientes primero)
-  // Esto ayuda al usuario a encontrar las tareas más relevantes
-  const tareasOrdenadas = _.orderBy(tareasPendientes, 'fechaCreacion', 'desc');
+  // PASO 2: Marcar las tareas a completar (las vencidas se destacan)
+  const ids = await marcarTareas(tareasPendientes, 'Marca las tareas a completar:');
+  if (_.isEmpty(ids)) return console.log('❌ No marcaste ninguna tarea.');
+
+  // PASO 3: Completarlas (con confirmación si son varias)
+  await ejecutarEnBloque('completar', ids);
+}
 
-  // PASO 3: Permitir selección de tarea a completar
-  const { tareaSeleccionada } = await inquirer.prompt([
+/**
+ * FUNCIÓN: ELIMINAR TAREAS CON CONFIRMACIÓN
+ * =========================================
+ *
+ * Envía una o varias tareas a la papelera después de confirmar la acción.
+ * Si tienen subtareas que no se marcaron, pregunta si eliminarlas también
+ * o conservarlas. La confirmación se pide aquí; el borrado lo realiza el servicio.
+ */
+export async function eliminarTarea() {
+  // VALIDACIÓN INICIAL: Verificar que existan tareas
+  if (!await hayTareas()) return console.log('⚠️ No hay tareas para eliminar.');
+
+  // PASO 1: Marcar las tareas a eliminar en el árbol
+  const ids = await marcarTareas(await filtrarTareas('todas'), 'Marca las tareas a eliminar:');
+  if (_.isEmpty(ids)) return console.log('❌ Eliminación cancelada.');
+
+  // PASO 2: Decidir sobre las subtareas, confirmar y enviarlas a la papelera
+  await ejecutarEnBloque('eliminar', ids);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ELEGIR TAREAS PARA UNA OPERACIÓN EN BLOQUE
+ * ============================================================
+ *
+ * Marcándolas en una lista, o todas las que cumplen un filtro o una búsqueda
+ * (opcionalmente dentro de un proyecto o una etiqueta).
+ *
+ * @param {string} accion - Una de ACCIONES_EN_BLOQUE
+ * @returns {Promise<ObjectId[]>} - IDs elegidos (vacío si no hay ninguno)
+ */
+async function elegirTareasEnBloque(accion) {
+  const { modo } = await inquirer.prompt([
     {
       type: 'list',
-      name: 'tareaSeleccionada',
-      message: 'Selecciona una tarea para marcar como completada:',
-      choices: tareasOrdenadas.map(t => ({
-        // Solo mostramos la descripción (sin estado, ya son pendientes)
-        name: t.descripcion,
-        value: t._id
-      }))
+      name: 'modo',
+      message: '¿Qué tareas?',
+      choices: [
+        { name: '☑️ Marcarlas en una lista', value: 'marcar' },
+        { name: '🗂️ Todas las de un filtro', value: 'filtro' },
+        { name: '🔍 Todas las de una búsqueda', value: 'busqueda' }
+      ]
     }
   ]);
 
-  // PASO 4: Encontrar y marcar la tarea como completada
-  const tarea = _.find(tareas, t => t._id.equals(tareaSeleccionada));
-  tarea.marcarCompletada(); // Método del modelo que actualiza estado y fecha
+  let elegidas;
+  switch (modo) {
+    case 'marcar': {
+      // Solo se ofrecen las que la acción puede cambiar
+      const filtro = { completar: 'pendientes', reabrir: 'completadas' }[accion] ?? 'todas';
+      const candidatas = await filtrarTareas(filtro);
+      if (_.isEmpty(candidatas)) {
+        console.log(`📭 No hay tareas ${describirFiltro(filtro)}.`);
+        return [];
+      }
+      return marcarTareas(candidatas, 'Marca las tareas:');
+    }
+
+    case 'filtro': {
+      const { filtro } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'filtro',
+          message: 'Filtro:',
+          choices: FILTROS.map(f => ({ name: _.capitalize(describirFiltro(f)), value: f }))
+        }
+      ]);
+      const organizacion = await preguntarAmbito();
+      elegidas = await filtrarTareas(filtro, 'prioridad', organizacion);
+      if (_.isEmpty(elegidas)) console.log(`📭 No hay tareas ${describirFiltro(filtro)}${describirOrganizacion(organizacion)}.`);
+      break;
+    }
 
-  // PASO 5: Persistir cambios al archivo
-  await persistirTareas();
-  console.log('🎉 ¡Tarea completada exitosamente!');
+    case 'busqueda': {
+      const { consulta } = await inquirer.prompt([
+        { type: 'input', name: 'consulta', message: 'Búsqueda:', validate: validarConsulta }
+      ]);
+      const organizacion = await preguntarAmbito();
+      elegidas = await buscarPorConsulta(consulta, organizacion);
+      if (_.isEmpty(elegidas)) console.log(`🔍 No se encontraron tareas para "${consulta}"${describirOrganizacion(organizacion)}.`);
+      break;
+    }
+  }
+  return elegidas.map(tarea => tarea._id);
 }
 
 /**
- * FUNCIÓN: ELIMINAR TAREA CON CONFIRMACIÓN
- * =======================================
+ * FUNCIÓN AUXILIAR: PREGUNTAR DATOS DE LA OPERACIÓN EN BLOQUE
+ * ===========================================================
  *
- * Elimina una tarea del sistema después de confirmar la acción.
- * Utiliza Lodash para:
- * - _.isEmpty(): Verificar disponibilidad de tareas
- * - _.orderBy(): Ordenar para mejor visualización
- * - _.remove(): Eliminar elemento del array de forma segura
+ * Las etiquetas a agregar y quitar, o la nueva prioridad.
+ *
+ * @returns {Promise<Object|null>} - Opciones para aplicarEnBloque(), o null si no hay nada que hacer
  */
-export async function eliminarTarea() {
-  // VALIDACIÓN INICIAL: Verificar que existan tareas
-  if (_.isEmpty(tareas)) return console.log('⚠️ No hay tareas para eliminar.');
+async function preguntarDatosEnBloque(accion) {
+  if (accion === 'priorizar') {
+    return inquirer.prompt([
+      {
+        type: 'list',
+        name: 'prioridad',
+        message: 'Nueva prioridad:',
+        choices: [
+          ...PRIORIDADES.map(p => ({ name: _.capitalize(p), value: p })),
+          { name: 'Sin prioridad', value: null }
+        ]
+      }
+    ]);
+  }
+  if (accion !== 'etiquetar') return {};
 
-  // PASO 1: Ordenar tareas (pendientes primero, luego por fecha)
-  const tareasOrdenadas = _.orderBy(tareas, ['completada', 'fechaCreacion'], ['asc', 'desc']);
+  const existentes = (await listarEtiquetas()).map(e => e.etiqueta);
+  const validarEtiquetas = (input) => {
+    try {
+      interpretarEtiquetas(input);
+      return true;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  const { agregar, quitar } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'agregar',
+      message: 'Etiquetas a agregar, separadas por comas' +
+        (_.isEmpty(existentes) ? ':' : ` [existentes: ${existentes.join(', ')}]:`),
+      validate: validarEtiquetas
+    },
+    {
+      type: 'input',
+      name: 'quitar',
+      message: 'Etiquetas a quitar, separadas por comas:',
+      validate: validarEtiquetas
+    }
+  ]);
+  return _.isEmpty(agregar.trim()) && _.isEmpty(quitar.trim()) ? null : { agregar, quitar };
+}
 
-  // PASO 2: Permitir selección de tarea a eliminar
-  const { tareaSeleccionada } = await inquirer.prompt([
+/**
+ * FUNCIÓN: OPERACIONES EN BLOQUE
+ * ==============================
+ *
+ * Completar, reabrir, eliminar, etiquetar o cambiar la prioridad de varias
+ * tareas a la vez: marcadas en una lista o todas las que cumplen un filtro
+ * o una búsqueda. Se pide una sola confirmación con el resumen del efecto y
+ * se guarda todo de una vez (ver aplicarEnBloque en el servicio).
+ */
+export async function operarEnBloque() {
+  // VALIDACIÓN INICIAL: Verificar que existan tareas
+  if (!await hayTareas()) return console.log('📭 No hay tareas registradas.');
+
+  // PASO 1: Elegir la acción
+  const { accion } = await inquirer.prompt([
     {
       type: 'list',
-      name: 'tareaSeleccionada',
-      message: 'Selecciona una tarea para eliminar:',
-      choices: tareasOrdenadas.map(t => ({
-        // Mostrar estado visual para facilitar identificación
-        name: `[${t.completada ? '✅' : '❌'}] ${t.descripcion}`,
-        value: t._id
-      }))
+      name: 'accion',
+      message: '🧺 ¿Qué hacer con varias tareas?',
+      choices: [
+        { name: '✅ Completarlas', value: 'completar' },
+        { name: '↩️ Reabrirlas', value: 'reabrir' },
+        { name: '🏷️ Agregar o quitar etiquetas', value: 'etiquetar' },
+        { name: '🎯 Cambiar la prioridad', value: 'priorizar' },
+        { name: '🗑️ Enviarlas a la papelera', value: 'eliminar' },
+        { name: '↩️ Volver', value: null }
+      ]
     }
   ]);
+  if (!accion) return;
+
+  // PASO 2: Elegir las tareas
+  let ids;
+  try {
+    ids = await elegirTareasEnBloque(accion);
+  } catch (error) {
+    return console.log(`❌ Error: ${error.message}`);
+  }
+  if (_.isEmpty(ids)) return;
+
+  // PASO 3: Datos de la acción (etiquetas o prioridad)
+  const opciones = await preguntarDatosEnBloque(accion);
+  if (!opciones) return console.log('❌ No indicaste ninguna etiqueta.');
+
+  // PASO 4: Resumen, confirmación y una sola escritura
+  await ejecutarEnBloque(accion, ids, opciones);
+}
 
-  // PASO 3: CONFIRMACIÓN DE SEGURIDAD
-  // Importante para prevenir eliminaciones accidentales
-  const { confirmar } = await inquirer.prompt([
+/**
+ * FUNCIÓN AUXILIAR: PREGUNTAR ÁMBITO
+ * ==================================
+ *
+ * Ofrece limitar una operación a un proyecto o a una etiqueta.
+ * Si no existe ninguno de los dos, no pregunta nada.
+ *
+ * @returns {Promise<Object>} - {} (todas), { proyecto } o { etiquetas }
+ */
+async function preguntarAmbito() {
+  const proyectos = await listarProyectos();
+  const etiquetas = await listarEtiquetas();
+  if (_.isEmpty(proyectos) && _.isEmpty(etiquetas)) return {};
+
+  const { ambito } = await inquirer.prompt([
     {
-      type: 'confirm',
-      name: 'confirmar',
-      message: '¿Estás seguro de que deseas eliminar esta tarea?',
-      default: false // Por defecto "No" para mayor seguridad
+      type: 'list',
+      name: 'ambito',
+      message: '¿Dónde buscar?',
+      choices: [
+        { name: '🌐 En todas las tareas', value: {} },
+        ...proyectos.map(p => ({ name: `📁 Proyecto ${p.proyecto}`, value: { proyecto: p.proyecto } })),
+        ...etiquetas.map(e => ({ name: `🏷️ Etiqueta #${e.etiqueta}`, value: { etiquetas: [e.etiqueta] } }))
+      ]
     }
   ]);
+  return ambito;
+}
 
-  // PASO 4: Procesar confirmación
-  if (confirmar) {
-    // _.remove() modifica el array original eliminando elementos
-    // Para ObjectIds necesitamos usar una función de comparación
-    _.remove(tareas, t => t._id.equals(tareaSeleccionada));
-    await persistirTareas();
-    console.log('🗑️ Tarea eliminada exitosamente.');
-  } else {
-    console.log('❌ Eliminación cancelada.');
+/**
+ * FUNCIÓN AUXILIAR: VALIDAR CONSULTA
+ * ==================================
+ *
+ * Validador al estilo inquirer: muestra los errores de sintaxis al escribir la búsqueda.
+ */
+function validarConsulta(input) {
+  try {
+    analizarConsulta(input);
+    return true;
+  } catch (error) {
+    return error.message;
   }
 }
 
 /**
- * FUNCIÓN: BUSCAR TAREAS POR PALABRA CLAVE
- * =======================================
+ * FUNCIÓN: BUSCAR TAREAS
+ * ======================
  *
- * Permite buscar tareas que contengan un término específico.
- * Utiliza Lodash para:
- * - _.isEmpty(): Validaciones múltiples
- * - _.filter(): Filtrar resultados de búsqueda
- * - _.includes(): Búsqueda de subcadena
- * - _.toLower(): Búsqueda insensible a mayúsculas
+ * Permite buscar tareas con el lenguaje de consulta (texto, "frases",
+ * campos como estado:pendiente o vence<7d, -exclusiones y OR), en todas
+ * las tareas o solo dentro de un proyecto o una etiqueta.
+ * La búsqueda la realiza buscarPorConsulta().
  */
 export async function buscarTareas() {
   // VALIDACIÓN INICIAL: Verificar que existan tareas
-  if (_.isEmpty(tareas)) return console.log('📭 No hay tareas registradas.');
+  if (!await hayTareas()) return console.log('📭 No hay tareas registradas.');
 
-  // PASO 1: Solicitar término de búsqueda
-  const { termino } = await inquirer.prompt([
+  // PASO 1: Solicitar la consulta (los errores de sintaxis se muestran al escribirla)
+  console.log('💡 Ejemplos: pan · "pan integral" · estado:pendiente vence<7d · prioridad:alta OR etiqueta:casa · -proyecto:Hogar');
+  const { consulta } = await inquirer.prompt([
     {
       type: 'input',
-      name: 'termino',
-      message: 'Ingresa el término de búsqueda:',
-      // Validación inline usando operador ternario y _.isEmpty()
-      validate: input => _.isEmpty(input?.trim()) ? 'Debes ingresar un término de búsqueda' : true
+      name: 'consulta',
+      message: 'Ingresa la búsqueda:',
+      validate: validarConsulta
     }
   ]);
 
-  // PASO 2: ALGORITMO DE BÚSQUEDA CON LODASH
-  // Combinamos _.filter() e _.includes() para búsqueda eficiente
-  const tareasEncontradas = _.filter(tareas, tarea =>
-    // _.includes() verifica si una cadena contiene otra
-    // _.toLower() hace la comparación insensible a mayúsculas
-    _.includes(_.toLower(tarea.descripcion), _.toLower(termino.trim()))
-  );
+  // PASO 2: Elegir dónde buscar (solo si hay proyectos o etiquetas)
+  const organizacion = await preguntarAmbito();
 
-  // PASO 3: Verificar si se encontraron resultados
+  // PASO 3: Ejecutar la búsqueda
+  let tareasEncontradas;
+  try {
+    tareasEncontradas = await buscarPorConsulta(consulta, organizacion);
+  } catch (error) {
+    return console.log(`❌ Error: ${error.message}`);
+  }
+
+  // PASO 4: Verificar si se encontraron resultados
   if (_.isEmpty(tareasEncontradas)) {
-    console.log(`🔍 No se encontraron tareas que contengan "${termino}"`);
+    console.log(`🔍 No se encontraron tareas para "${consulta}"${describirOrganizacion(organizacion)}`);
     return;
   }
 
-  // PASO 4: Mostrar resultados encontrados
+  // PASO 5: Mostrar resultados encontrados
   console.log(`\n🔍 Tareas encontradas (${tareasEncontradas.length}):`);
-  tareasEncontradas.forEach((tarea, i) => {
-    const estado = tarea.completada ? '✅' : '❌';
-    const fecha = new Date(tarea.fechaCreacion).toLocaleDateString();
-    console.log(`${i + 1}. [${estado}] ${tarea.descripcion} (${fecha})`);
-  });
+  tareasEncontradas.forEach((tarea, i) => console.log(formatearLineaTarea(tarea, i)));
+}
+
+/**
+ * FUNCIÓN: VER HISTORIAL DE CAMBIOS
+ * =================================
+ *
+ * Muestra la línea de tiempo de una tarea (quién la creó, editó, completó...)
+ * o los últimos cambios de todas las tareas, incluidas las eliminadas.
+ */
+export async function verHistorial() {
+  // PASO 1: Elegir qué historial ver
+  const { alcance } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'alcance',
+      message: '📜 ¿Qué historial quieres ver?',
+      choices: [
+        ...(await hayTareas() ? [{ name: '📌 El de una tarea', value: 'tarea' }] : []),
+        { name: '📰 Los últimos cambios de todas las tareas', value: 'global' }
+      ]
+    }
+  ]);
+
+  try {
+    // PASO 2A: Línea de tiempo de una tarea, del cambio más antiguo al más reciente
+    if (alcance === 'tarea') {
+      const tarea = await elegirTarea('Selecciona una tarea:');
+      const eventos = await consultarHistorialTarea(tarea._id);
+      console.log(`\n📜 Historial de "${tarea.descripcion}":`);
+      eventos.forEach(evento => console.log(`   ${formatearEvento(evento)}`));
+      return;
+    }
+
+    // PASO 2B: Últimos cambios de todas las tareas, el más reciente primero
+    const eventos = await consultarUltimosCambios();
+    if (_.isEmpty(eventos)) return console.log('📭 Todavía no hay cambios registrados.');
+    console.log(`\n📰 Últimos cambios (${eventos.length}):`);
+    eventos.forEach(evento => console.log(`   ${formatearEvento(evento, { conTarea: true })}`));
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
 }
 
+/**
+ * PERIODOS DE LA ANALÍTICA
+ * ========================
+ *
+ * Opciones del menú; cada una es el periodo que recibe calcularAnalitica().
+ */
+const PERIODOS_ANALITICA = [
+  { name: 'Últimos 7 días', value: { desde: '6d' } },
+  { name: 'Últimos 30 días', value: { desde: '29d' } },
+  { name: 'Últimos 90 días', value: { desde: '89d' } },
+  { name: 'Último año', value: { desde: '364d' } },
+  { name: '🗓️ Elegir fechas', value: 'personalizado' },
+  { name: '↩️ No, volver', value: null }
+];
+
 /**
  * FUNCIÓN: MOSTRAR ESTADÍSTICAS COMPLETAS
  * =====================================
  *
- * Presenta un análisis completo del estado de las tareas.
- * Utiliza Lodash para:
- * - _.isEmpty(): Verificar disponibilidad de datos
- * - _.filter(): Contar tareas por estado
- * - _.groupBy(): Agrupar tareas por fecha
- * - _.maxBy(): Encontrar el día más productivo
+ * Presenta un análisis completo del estado de las tareas y, si se pide,
+ * la analítica de productividad de un periodo con gráficos de texto.
+ * Los cálculos los realizan calcularEstadisticas() y calcularAnalitica().
  */
-export function mostrarEstadisticas() {
+export async function mostrarEstadisticas() {
   // VALIDACIÓN INICIAL: Verificar que existan tareas
-  if (_.isEmpty(tareas)) return console.log('📭 No hay tareas registradas.');
-
-  // PASO 1: CALCULAR ESTADÍSTICAS BÁSICAS
-  const stats = {
-    total: tareas.length,
-    // _.filter() con string es más conciso para propiedades booleanas
-    completadas: _.filter(tareas, 'completada').length,
-    // Para lógica negativa, usamos callback
-    pendientes: _.filter(tareas, t => !t.completada).length
-  };
+  if (!await hayTareas()) return console.log('📭 No hay tareas registradas.');
 
-  // PASO 2: Calcular porcentaje de completadas
-  const porcentajeCompletadas = stats.total > 0
-    ? Math.round((stats.completadas / stats.total) * 100)
-    : 0;
+  // PASO 1: Calcular estadísticas
+  const stats = await calcularEstadisticas();
 
-  // PASO 3: Mostrar estadísticas básicas
+  // PASO 2: Mostrar estadísticas básicas
   console.log('\n📊 Estadísticas de tareas:');
   console.log(`   Total: ${stats.total}`);
-  console.log(`   Completadas: ${stats.completadas} (${porcentajeCompletadas}%)`);
+  console.log(`   Completadas: ${stats.completadas} (${stats.porcentajeCompletadas}%)`);
   console.log(`   Pendientes: ${stats.pendientes}`);
+  if (stats.vencidas > 0) {
+    console.log(`   Vencidas: ${stats.vencidas} ⏰`);
+  }
 
-  // PASO 4: ESTADÍSTICAS AVANZADAS (solo si hay tareas)
-  if (stats.total > 0) {
-    // _.groupBy() agrupa elementos según el resultado de la función
-    // Agrupamos por fecha de creación (como string para comparación)
-    const tareasPorFecha = _.groupBy(tareas, tarea =>
-      new Date(tarea.fechaCreacion).toDateString()
-    );
+  // PASO 3: Mostrar día más productivo (en que más tareas se completaron)
+  if (stats.diaMasProductivo) {
+    const fecha = new Date(stats.diaMasProductivo.fecha).toLocaleDateString();
+    console.log(`   Día más productivo: ${fecha} (${stats.diaMasProductivo.cantidad} tareas)`);
+  }
 
-    // _.maxBy() encuentra el elemento con el valor máximo según el criterio
-    // Object.entries() convierte el objeto en array de [clave, valor]
-    const fechasConMasTareas = _.maxBy(
-      Object.entries(tareasPorFecha),
-      ([fecha, tareas]) => tareas.length // Criterio: cantidad de tareas
+  // PASO 4: Mostrar el avance por proyecto (si se usan proyectos)
+  if (stats.porProyecto.some(p => p.proyecto !== null)) {
+    console.log('\n📁 Avance por proyecto:');
+    stats.porProyecto.forEach(p =>
+      console.log(`   ${p.proyecto ?? '(sin proyecto)'}: ${p.completadas}/${p.total} completadas (${p.porcentajeCompletadas}%)`)
     );
+  }
 
-    // MOSTRAR DÍA MÁS PRODUCTIVO
-    if (fechasConMasTareas) {
-      const fecha = new Date(fechasConMasTareas[0]).toLocaleDateString();
-      console.log(`   Día más productivo: ${fecha} (${fechasConMasTareas[1].length} tareas)`);
+  // PASO 5: Mostrar el tiempo registrado (si se usa el control de tiempo)
+  if (stats.tiempo.segundos > 0) {
+    console.log('\n⏱️ Tiempo registrado:');
+    console.log(`   Total: ${formatearTiempo(stats.tiempo.segundos)}`);
+    if (stats.tiempo.segundosPorCompletada !== null) {
+      console.log(`   Por tarea completada: ${formatearTiempo(stats.tiempo.segundosPorCompletada)} de media ` +
+        `(${stats.tiempo.completadasConTiempo} tarea(s) con tiempo)`);
     }
   }
-}
\ No newline at end of file
+
+  // PASO 6: Ofrecer la analítica de productividad de un periodo
+  console.log('');
+  let { periodo } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'periodo',
+      message: '📈 ¿Ver la analítica de productividad?',
+      choices: PERIODOS_ANALITICA
+    }
+  ]);
+  if (!periodo) return;
+
+  if (periodo === 'personalizado') {
+    const validarDia = input => _.isEmpty(input?.trim()) || interpretarDiaPasado(input)
+      ? true
+      : 'Usa AAAA-MM-DD, hoy, ayer o una antigüedad como 30d, 2s o 6m';
+    periodo = await inquirer.prompt([
+      { type: 'input', name: 'desde', message: 'Desde (AAAA-MM-DD, ayer, 30d, 6m...):', validate: validarDia },
+      { type: 'input', name: 'hasta', message: 'Hasta (vacío = hoy):', validate: validarDia }
+    ]);
+  }
+
+  // PASO 7: Calcular y dibujar la analítica
+  try {
+    console.log('');
+    formatearAnalitica(await calcularAnalitica(periodo)).forEach(linea => console.log(linea));
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN: MOSTRAR ESTADO DE CONEXIÓN
+ * ==================================
+ *
+ * Informa si se está trabajando sin conexión y, si acaba de haber una
+ * sincronización, cuántos cambios se aplicaron y cuáles quedaron en conflicto.
+ */
+export function mostrarEstadoConexion() {
+  const estado = obtenerEstadoConexion();
+  const sincronizacion = estado.ultimaSincronizacion;
+
+  if (sincronizacion) {
+    console.log(`🔄 Sincronizados ${sincronizacion.aplicadas} cambio(s) hechos sin conexión.`);
+
+    if (!_.isEmpty(sincronizacion.conflictos)) {
+      console.log(`⚠️ ${sincronizacion.conflictos.length} cambio(s) no se aplicaron por conflicto:`);
+      sincronizacion.conflictos.forEach(({ descripcion, motivo }) =>
+        console.log(`   - ${descripcion}: ${motivo}`)
+      );
+      console.log(`   Detalle guardado en ${rutaConflictos()}`);
+    }
+  }
+
+  if (!estado.enLinea) {
+    console.log('📴 Modo sin conexión: se muestran las últimas tareas conocidas.');
+    console.log('   Los cambios se guardan en un diario local y se sincronizarán al reconectar.');
+  }
+}
+
+/**
+ * FUNCIÓN: REINTENTAR CONEXIÓN
+ * ============================
+ *
+ * Intenta reconectar con el almacenamiento y sincronizar los cambios pendientes.
+ */
+export async function reintentarConexion() {
+  console.log('🔌 Reintentando conexión...');
+  const estado = await reconectar();
+
+  if (estado.enLinea) {
+    console.log('✅ Conexión restablecida.');
+  }
+  mostrarEstadoConexion();
+}
+
+/**
+ * FUNCIÓN: CONSULTAR HISTORIAL PARA EL MENÚ
+ * =========================================
+ *
+ * Qué operación se desharía y cuál se reharía, para mostrarlas en el menú.
+ * Si el historial no se puede leer (por ejemplo, sin conexión), no se ofrece nada.
+ *
+ * @returns {Promise<{ deshacer: string|null, rehacer: string|null }>}
+ */
+export async function consultarDeshacerRehacer() {
+  try {
+    return await consultarHistorial();
+  } catch {
+    return { deshacer: null, rehacer: null };
+  }
+}
+
+/**
+ * FUNCIÓN: DESHACER ÚLTIMA OPERACIÓN
+ * ==================================
+ *
+ * Revierte la última operación (agregar, editar, completar, eliminar...).
+ * Se conserva entre ejecuciones: el historial se guarda junto a las tareas.
+ */
+export async function deshacerOperacion() {
+  try {
+    const descripcion = await deshacer();
+    console.log(`↩️ Deshecho: ${descripcion}`);
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN: REHACER OPERACIÓN DESHECHA
+ * ===================================
+ */
+export async function rehacerOperacion() {
+  try {
+    const descripcion = await rehacer();
+    console.log(`↪️ Rehecho: ${descripcion}`);
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
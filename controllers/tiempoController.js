@@ -0,0 +1,256 @@
+/**
+ * CONTROLADOR DE CONTROL DE TIEMPO - TEMPORIZADOR Y HOJA DE HORAS
+ * ===============================================================
+ *
+ * Pantalla "Control de tiempo" del menú:
+ * - Iniciar el temporizador de una tarea o detener el que está en marcha
+ * - Ver los registros de tiempo de una tarea y corregirlos o borrarlos
+ * - Agregar a mano el tiempo que no se midió
+ * - Ver la hoja de horas de un periodo y exportarla a CSV
+ *
+ * Las operaciones las realiza services/tiempoService.js.
+ */
+
+// Módulo path: rutas de los archivos exportados
+import path from 'node:path';
+// Inquirer: Para crear interfaces interactivas de línea de comandos
+import inquirer from 'inquirer';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Operaciones de control de tiempo
+import {
+  obtenerTemporizadorEnMarcha,
+  iniciarTemporizador,
+  detenerTemporizador,
+  listarRegistros,
+  agregarRegistro,
+  editarRegistro,
+  borrarRegistro,
+  calcularHojaHoras,
+  exportarHojaHorasCsv
+} from '../services/tiempoService.js';
+import { PERIODOS_INFORME } from '../services/informeService.js';
+// Selector de tareas con búsqueda (el mismo que al editar)
+import { elegirTarea } from './tareasController.js';
+import { interpretarMomento } from '../utils/fechas.js';
+import { interpretarDelimitador } from '../utils/intercambio.js';
+import { escribirArchivoAtomico } from '../utils/archivos.js';
+import { formatearTiempo, formatearRegistroTiempo, formatearHojaHoras } from '../utils/formato.js';
+
+// Nombres de los periodos de la hoja de horas
+const NOMBRES_PERIODO = Object.freeze({
+  semana: '📅 Esta semana (desde el lunes)',
+  'semana-pasada': '⏪ La semana pasada',
+  mes: '🗓️ Este mes',
+  'mes-pasado': '⏮️ El mes pasado'
+});
+
+/**
+ * FUNCIÓN AUXILIAR: VALIDAR MOMENTO
+ * =================================
+ *
+ * @param {boolean} opcional - Si se puede dejar vacío
+ */
+function validarMomento(opcional) {
+  return texto => (opcional && _.isEmpty(texto.trim())) || Boolean(interpretarMomento(texto)) ||
+    'Usa una hora (09:30), con el día delante si no es hoy (ayer 18:00, 2026-10-01 08:15), o "ahora"';
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DESCRIBIR TEMPORIZADOR EN MARCHA
+ * ==================================================
+ */
+function describirEnMarcha({ tarea, inicio }) {
+  const desde = new Date(inicio);
+  const segundos = Math.round((Date.now() - desde.getTime()) / 1000);
+  return `▶️ En marcha: "${tarea.descripcion}" desde las ` +
+    `${desde.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (${formatearTiempo(segundos)})`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: INICIAR DESDE EL MENÚ
+ * =======================================
+ */
+async function iniciarDesdeMenu() {
+  const elegida = await elegirTarea('¿Qué tarea vas a hacer?', { filtro: 'pendientes' });
+  const { tarea, detenida } = await iniciarTemporizador(elegida._id);
+  if (detenida) {
+    console.log(`⏹️ Detenido el temporizador de "${detenida.descripcion}" (${formatearTiempo(detenida.segundosRegistrados())} en total)`);
+  }
+  console.log(`▶️ Temporizador en marcha: "${tarea.descripcion}"`);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: AGREGAR TIEMPO DESDE EL MENÚ
+ * ==============================================
+ */
+async function agregarDesdeMenu() {
+  const elegida = await elegirTarea('¿A qué tarea agregar tiempo?');
+  const momentos = await inquirer.prompt([
+    { type: 'input', name: 'inicio', message: 'Desde (09:30, ayer 18:00, 2026-10-01 08:15):', validate: validarMomento(false) },
+    { type: 'input', name: 'fin', message: 'Hasta (09:30, ahora...):', default: 'ahora', validate: validarMomento(false) }
+  ]);
+  const tarea = await agregarRegistro(elegida._id, momentos);
+  console.log(`✅ Tiempo agregado a "${tarea.descripcion}": ${formatearTiempo(tarea.segundosRegistrados())} en total`);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REGISTROS DE UNA TAREA
+ * ========================================
+ *
+ * Muestra los registros de la tarea elegida y permite corregir o borrar uno.
+ */
+async function gestionarRegistros() {
+  // PASO 1: Elegir la tarea y mostrar sus registros
+  const elegida = await elegirTarea('¿De qué tarea?');
+  const { tarea, registros, segundos } = await listarRegistros(elegida._id);
+  if (_.isEmpty(registros)) return console.log(`📭 "${tarea.descripcion}" no tiene tiempo registrado.`);
+
+  console.log(`\n⏱️ Tiempo de "${tarea.descripcion}": ${formatearTiempo(segundos)}`);
+  registros.forEach(registro => console.log(`   ${formatearRegistroTiempo(registro)}`));
+
+  // PASO 2: Elegir qué hacer con uno de ellos
+  const { accion, numero } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'accion',
+      message: '¿Qué deseas hacer?',
+      choices: [
+        { name: '✏️ Corregir un registro', value: 'editar' },
+        { name: '🗑️ Borrar un registro', value: 'borrar' },
+        { name: '↩️ Volver', value: 'volver' }
+      ]
+    },
+    {
+      type: 'list',
+      name: 'numero',
+      message: 'Registro:',
+      choices: registros.map(registro => ({ name: formatearRegistroTiempo(registro), value: registro.numero })),
+      when: respuestas => respuestas.accion !== 'volver'
+    }
+  ]);
+
+  // PASO 3: Aplicar el cambio
+  if (accion === 'editar') {
+    const momentos = await inquirer.prompt([
+      { type: 'input', name: 'inicio', message: 'Nuevo inicio (vacío = sin cambios):', validate: validarMomento(true) },
+      { type: 'input', name: 'fin', message: 'Nuevo fin (vacío = sin cambios):', validate: validarMomento(true) }
+    ]);
+    const actualizada = await editarRegistro(tarea._id, numero, momentos);
+    console.log(`✅ Registro corregido: ${formatearTiempo(actualizada.segundosRegistrados())} en total`);
+  } else if (accion === 'borrar') {
+    const { confirmar } = await inquirer.prompt([
+      { type: 'confirm', name: 'confirmar', message: `¿Borrar el registro ${numero}?`, default: false }
+    ]);
+    if (!confirmar) return console.log('❌ Borrado cancelado.');
+    const actualizada = await borrarRegistro(tarea._id, numero);
+    console.log(`🗑️ Registro borrado: ${formatearTiempo(actualizada.segundosRegistrados())} en total`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: HOJA DE HORAS
+ * ===============================
+ */
+async function hojaDeHoras() {
+  // PASO 1: Elegir el periodo y mostrar la hoja
+  const { periodo } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'periodo',
+      message: 'Periodo:',
+      choices: PERIODOS_INFORME.map(p => ({ name: NOMBRES_PERIODO[p], value: p }))
+    }
+  ]);
+  const hoja = await calcularHojaHoras({ periodo });
+  console.log('');
+  formatearHojaHoras(hoja).forEach(linea => console.log(linea));
+  if (_.isEmpty(hoja.filas)) return;
+
+  // PASO 2: Ofrecer la exportación a CSV
+  const { exportar } = await inquirer.prompt([
+    { type: 'confirm', name: 'exportar', message: '¿Exportar la hoja de horas a CSV?', default: false }
+  ]);
+  if (!exportar) return;
+
+  const { delimitador, archivo } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'delimitador',
+      message: 'Delimitador de columnas ("tab" para tabulador):',
+      default: ',',
+      validate: texto => Boolean(interpretarDelimitador(texto)) || 'Escribe un solo carácter (o "tab")'
+    },
+    {
+      type: 'input',
+      name: 'archivo',
+      message: 'Archivo de destino:',
+      default: `horas-${hoja.desde}-${hoja.hasta}.csv`,
+      validate: texto => !_.isEmpty(texto.trim()) || 'Indica el archivo'
+    }
+  ]);
+  const { contenido, filas } = await exportarHojaHorasCsv({ periodo, delimitador });
+  await escribirArchivoAtomico(path.resolve(archivo.trim()), contenido);
+  console.log(`📤 Hoja de horas exportada a ${archivo.trim()} (${filas.length} fila(s))`);
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: GESTIONAR CONTROL DE TIEMPO
+ * ==============================================
+ *
+ * Muestra el temporizador en marcha (si lo hay) y ofrece las operaciones.
+ */
+export async function gestionarTiempo() {
+  try {
+    // PASO 1: Mostrar el temporizador en marcha
+    const enMarcha = await obtenerTemporizadorEnMarcha();
+    console.log(enMarcha ? `\n${describirEnMarcha(enMarcha)}` : '\n⏱️ No hay ningún temporizador en marcha.');
+
+    // PASO 2: Elegir la operación
+    const { accion } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'accion',
+        message: '¿Qué deseas hacer?',
+        choices: [
+          ...(enMarcha ? [{ name: `⏹️ Detener "${enMarcha.tarea.descripcion}"`, value: 'detener' }] : []),
+          { name: enMarcha ? '▶️ Cambiar a otra tarea' : '▶️ Iniciar el temporizador de una tarea', value: 'iniciar' },
+          { name: '📋 Ver y corregir el tiempo de una tarea', value: 'registros' },
+          { name: '➕ Agregar tiempo a mano', value: 'agregar' },
+          { name: '🗓️ Hoja de horas', value: 'hoja' },
+          { name: '↩️ Volver', value: 'volver' }
+        ]
+      }
+    ]);
+
+    // PASO 3: Ejecutar la operación elegida
+    switch (accion) {
+      case 'detener': {
+        const { tarea, segundos } = await detenerTemporizador();
+        console.log(`⏹️ Temporizador detenido: "${tarea.descripcion}" +${formatearTiempo(segundos)} ` +
+          `(${formatearTiempo(tarea.segundosRegistrados())} en total)`);
+        break;
+      }
+
+      case 'iniciar':
+        await iniciarDesdeMenu();
+        break;
+
+      case 'registros':
+        await gestionarRegistros();
+        break;
+
+      case 'agregar':
+        await agregarDesdeMenu();
+        break;
+
+      case 'hoja':
+        await hojaDeHoras();
+        break;
+
+      // 'volver': no hace nada
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
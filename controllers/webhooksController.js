@@ -0,0 +1,215 @@
+/**
+ * CONTROLADOR DE WEBHOOKS - REGISTRO, REPARTO Y ENTREGAS
+ * ======================================================
+ *
+ * Parte interactiva de los webhooks:
+ * - Pantalla "Webhooks" del menú: registrar, probar y eliminar webhooks,
+ *   ver las entregas (con las fallidas destacadas) y reintentar las fallidas
+ * - Reparto periódico de la bandeja de salida mientras el menú o la API REST
+ *   están abiertos, para que los reintentos no esperen al siguiente comando
+ *
+ * Las operaciones las realiza services/webhooksService.js.
+ */
+
+// Inquirer: Para crear interfaces interactivas de línea de comandos
+import inquirer from 'inquirer';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Operaciones sobre los webhooks y su bandeja de salida
+import {
+  registrarWebhook,
+  listarWebhooks,
+  eliminarWebhook,
+  probarWebhook,
+  listarEntregas,
+  reintentarEntregas,
+  entregarPendientes
+} from '../services/webhooksService.js';
+import { EVENTOS_TAREA } from '../services/eventosService.js';
+import { obtenerConfiguracion } from '../config/configuracion.js';
+import { formatearWebhook, formatearEntrega, formatearEntregasEnEspera } from '../utils/formato.js';
+
+// Entregas que se muestran en "Ver entregas"
+const ENTREGAS_A_MOSTRAR = 20;
+
+/**
+ * FUNCIÓN: INICIAR REPARTO PERIÓDICO
+ * ==================================
+ *
+ * Revisa la bandeja cada webhooks.intervaloSegundos. No mantiene vivo el
+ * proceso (el temporizador no cuenta para que Node siga en marcha) y nunca
+ * interrumpe lo que se está haciendo: los fallos quedan en la bandeja.
+ *
+ * @param {Object} opciones - { alRepartir: recibe el resultado de cada reparto con algún intento }
+ * @returns {Function} - Detiene el reparto
+ */
+export function iniciarRepartoWebhooks({ alRepartir = () => {} } = {}) {
+  let repartiendo = false;
+  const repartir = async () => {
+    if (repartiendo) return;
+    repartiendo = true;
+    try {
+      const resultado = await entregarPendientes();
+      const { entregadas, reintentos, fallidas } = resultado;
+      if ([entregadas, reintentos, fallidas].some(lista => !_.isEmpty(lista))) alRepartir(resultado);
+    } catch {
+      // Bandeja ilegible o disco lleno: se volverá a intentar en el siguiente reparto
+    } finally {
+      repartiendo = false;
+    }
+  };
+
+  const temporizador = setInterval(repartir, obtenerConfiguracion().webhooks.intervaloSegundos * 1000);
+  temporizador.unref();
+  repartir();
+  return () => clearInterval(temporizador);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ELEGIR WEBHOOK
+ * ================================
+ */
+async function elegirWebhook(webhooks, mensaje) {
+  const { id } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'id',
+      message: mensaje,
+      choices: webhooks.map(webhook => ({ name: formatearWebhook(webhook), value: webhook.id }))
+    }
+  ]);
+  return id;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REGISTRAR WEBHOOK DESDE EL MENÚ
+ * =================================================
+ */
+async function registrarDesdeMenu() {
+  const { url, eventos, secreto } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'url',
+      message: 'URL del webhook (http:// o https://):',
+      validate: valor => /^https?:\/\/\S+$/.test(valor.trim()) || 'Indica una URL que empiece por http:// o https://'
+    },
+    {
+      type: 'checkbox',
+      name: 'eventos',
+      message: 'Eventos que se le envían:',
+      choices: EVENTOS_TAREA.map(evento => ({ name: evento, value: evento })),
+      validate: elegidos => !_.isEmpty(elegidos) || 'Elige al menos un evento'
+    },
+    {
+      type: 'input',
+      name: 'secreto',
+      message: 'Secreto para firmar (vacío = generar uno):'
+    }
+  ]);
+
+  const webhook = await registrarWebhook(url, eventos, { secreto: _.isEmpty(secreto.trim()) ? undefined : secreto });
+  console.log(`✅ Webhook registrado: ${formatearWebhook(webhook)}`);
+  console.log(`🔑 Secreto para verificar la firma (X-Gestor-Firma): ${webhook.secreto}`);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VER ENTREGAS
+ * ==============================
+ */
+async function verEntregas() {
+  const entregas = await listarEntregas();
+  if (_.isEmpty(entregas)) return console.log('📭 Todavía no hay entregas.');
+
+  const cuenta = _.countBy(entregas, 'estado');
+  console.log(`\n📬 Entregas: ${cuenta.entregada ?? 0} entregada(s), ${cuenta.pendiente ?? 0} pendiente(s), ` +
+    `${cuenta.fallida ?? 0} fallida(s)`);
+  const fallidas = entregas.filter(e => e.estado === 'fallida');
+  if (!_.isEmpty(fallidas)) {
+    console.log('\n❌ Fallidas:');
+    fallidas.slice(0, ENTREGAS_A_MOSTRAR).forEach(entrega => console.log(`   ${formatearEntrega(entrega)}`));
+  }
+  console.log(`\n🕐 Últimas ${Math.min(entregas.length, ENTREGAS_A_MOSTRAR)}:`);
+  entregas.slice(0, ENTREGAS_A_MOSTRAR).forEach(entrega => console.log(`   ${formatearEntrega(entrega)}`));
+}
+
+/**
+ * FUNCIÓN PRINCIPAL: GESTIONAR WEBHOOKS
+ * =====================================
+ *
+ * Muestra los webhooks registrados y ofrece las operaciones.
+ */
+export async function gestionarWebhooks() {
+  try {
+    // PASO 1: Mostrar los webhooks registrados
+    const webhooks = await listarWebhooks();
+    if (_.isEmpty(webhooks)) {
+      console.log('\n🪝 No hay webhooks registrados.');
+    } else {
+      console.log(`\n🪝 Webhooks (${webhooks.length}):`);
+      webhooks.forEach(webhook => console.log(`   ${formatearWebhook(webhook)}`));
+    }
+    const hayFallidas = webhooks.some(webhook => webhook.fallidas > 0);
+
+    // PASO 2: Elegir la operación
+    const { accion } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'accion',
+        message: '¿Qué deseas hacer?',
+        choices: [
+          { name: '➕ Registrar un webhook', value: 'registrar' },
+          { name: '📬 Ver entregas', value: 'entregas' },
+          ...(hayFallidas ? [{ name: '🔁 Reintentar las entregas fallidas', value: 'reintentar' }] : []),
+          ...(_.isEmpty(webhooks) ? [] : [
+            { name: '📡 Probar un webhook', value: 'probar' },
+            { name: '🗑️ Eliminar un webhook', value: 'eliminar' }
+          ]),
+          { name: '↩️ Volver', value: 'volver' }
+        ]
+      }
+    ]);
+
+    // PASO 3: Ejecutar la operación elegida
+    switch (accion) {
+      case 'registrar':
+        await registrarDesdeMenu();
+        break;
+
+      case 'entregas':
+        await verEntregas();
+        break;
+
+      case 'reintentar': {
+        const cantidad = await reintentarEntregas();
+        const { entregadas, fallidas, reintentos, enEspera } = await entregarPendientes();
+        console.log(`🔁 ${cantidad} entrega(s) reintentada(s): ${entregadas.length} entregada(s), ` +
+          `${reintentos.length + fallidas.length} siguen fallando.`);
+        const espera = formatearEntregasEnEspera(enEspera);
+        if (espera) console.log(espera);
+        break;
+      }
+
+      case 'probar': {
+        const id = await elegirWebhook(webhooks, 'Webhook a probar:');
+        const { webhook, codigo } = await probarWebhook(id);
+        console.log(`📡 ${webhook.url} respondió ${codigo} al evento de prueba.`);
+        break;
+      }
+
+      case 'eliminar': {
+        const id = await elegirWebhook(webhooks, 'Webhook a eliminar:');
+        const { confirmar } = await inquirer.prompt([
+          { type: 'confirm', name: 'confirmar', message: '¿Eliminar el webhook y sus entregas pendientes?', default: false }
+        ]);
+        if (!confirmar) return console.log('❌ Eliminación cancelada.');
+        const webhook = await eliminarWebhook(id);
+        console.log(`🗑️ Webhook eliminado: ${webhook.url}`);
+        break;
+      }
+
+      // 'volver': no hace nada
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * REGISTRO DE AUDITORÍA - QUIÉN CAMBIÓ QUÉ Y CUÁNDO
+ * =================================================
+ *
+ * Cada cambio en una tarea (creación, edición, completado, reapertura, envío
+ * a la papelera, restauración y borrado definitivo) deja un evento con la
+ * fecha y el usuario: la cuenta de la sesión o, sin cuentas de usuario,
+ * el usuario del sistema operativo.
+ * A diferencia del historial de deshacer (data/historial.js), los eventos
+ * no se recortan ni se borran: son el registro de lo que pasó.
+ *
+ * Se guardan en la colección auxiliar "auditoria" del almacenamiento
+ * (tareas.auditoria en MongoDB, tareas.auditoria.json con el backend json).
+ *
+ * Cada evento tiene la forma:
+ *   { _id, tareaId,
+ *     tarea,                      // Descripción de la tarea en ese momento
+ *     tipo: 'creacion' | 'edicion' | 'completado' | 'reapertura' |
+ *           'papelera' | 'restauracion' | 'eliminacion',
+ *     campos: [{ campo, antes, despues }],  // Campos editados
+ *     operacion,                  // Operación que lo produjo: 'Editar "Comprar pan"'
+ *     usuario,                    // Nombre de la cuenta o del usuario del sistema
+ *     usuarioId,                  // _id de la cuenta (null sin cuentas de usuario)
+ *     fecha, version }
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Repositorio activo y estado de conexión
+import { obtenerRepositorio, obtenerEstadoConexion } from './tareas.js';
+// Diario sin conexión: los eventos esperan en él hasta sincronizar
+import { registrarEntrada } from './diarioOffline.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Colección auxiliar del almacenamiento donde vive la auditoría
+const COLECCION_AUDITORIA = 'auditoria';
+
+/**
+ * FUNCIÓN AUXILIAR: REPOSITORIO DE AUDITORÍA
+ * ==========================================
+ */
+function repositorioAuditoria() {
+  return obtenerRepositorio().auxiliar(COLECCION_AUDITORIA);
+}
+
+/**
+ * FUNCIÓN: CARGAR EVENTOS
+ * =======================
+ *
+ * @returns {Promise<Object[]>} - Eventos en orden cronológico
+ * @throws {ErrorTarea} - PERSISTENCIA sin conexión o si no se pueden leer
+ */
+export async function cargarEventos() {
+  if (!obtenerEstadoConexion().enLinea) {
+    throw new ErrorTarea('La auditoría no está disponible sin conexión', CODIGOS_ERROR.PERSISTENCIA);
+  }
+  try {
+    const eventos = await repositorioAuditoria().cargarTodas();
+    return _.sortBy(eventos, ['fecha', e => String(e._id)]);
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo leer la auditoría: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN: GUARDAR EVENTOS
+ * ========================
+ *
+ * Igual que el historial de deshacer, un fallo aquí no deshace la operación
+ * (ya está guardada): solo se avisa de que no quedó registrada.
+ *
+ * Sin conexión (o si se pierde a mitad), los eventos se anotan en el diario
+ * tal como están, con su fecha y su usuario, detrás de los cambios de las
+ * tareas: se guardan al sincronizar (ver sincronizarDiario en data/tareas.js).
+ * Los que ya se hubieran guardado se reconocen por su _id.
+ *
+ * @param {Object[]} eventos - Eventos completos, con su _id y version
+ */
+export async function guardarEventos(eventos) {
+  const repo = repositorioAuditoria();
+  try {
+    if (obtenerEstadoConexion().enLinea) {
+      try {
+        for (const evento of eventos) {
+          await repo.insertar(evento);
+        }
+        return;
+      } catch (error) {
+        if (!repo.esErrorDeConexion(error)) throw error;
+      }
+    }
+    await registrarEntrada({ operacion: 'anexar', coleccion: COLECCION_AUDITORIA, documentos: eventos });
+  } catch (error) {
+    console.error(`⚠️  No se pudo registrar el cambio en la auditoría: ${error.message}`);
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * DIARIO DE CAMBIOS SIN CONEXIÓN (WRITE-AHEAD JOURNAL)
+ * ===================================================
+ *
+ * Cuando el almacenamiento no está disponible, los cambios no se pierden ni se
+ * aplican a ciegas: se anotan en un diario local de solo-anexado y se reproducen
+ * contra el almacenamiento real cuando vuelve la conexión.
+ *
+ * Archivos (en el directorio de estado, por defecto ~/.gestor-tareas/<perfil>):
+ * - diario-offline.jsonl: Una entrada por línea con la operación pendiente
+ * - instantanea.json: Copia de las tareas leída con conexión, para poder
+ *   seguir trabajando sin conexión con datos reales en lugar de una lista vacía.
+ *   Se escribe entera solo cuando se leen todas las tareas (la primera vez, y
+ *   en las operaciones que las necesitan todas)
+ * - instantanea-cambios.jsonl: Escrituras guardadas con conexión desde que se
+ *   escribió la copia, en el formato del diario. Al leer la instantánea se
+ *   aplican sobre ella; cuando crecen demasiado se incorporan a la copia
+ * - conflictos.jsonl: Entradas que no se pudieron aplicar porque la tarea
+ *   cambió en el almacenamiento mientras estábamos sin conexión
+ *
+ * Formato: EJSON (JSON extendido de MongoDB), que conserva los ObjectId.
+ *
+ * Cada entrada del diario tiene la forma:
+ *   { operacion: 'insertar' | 'actualizar' | 'eliminar',
+ *     documento,          // Documento completo (insertar/actualizar)
+ *     id,                 // _id de la tarea afectada
+ *     versionEsperada,    // Versión que debía tener en el almacenamiento
+ *     fecha }             // Momento en que se hizo el cambio
+ *
+ * Los documentos nuevos de una colección auxiliar (los eventos de auditoría de
+ * los cambios anteriores) se anotan como:
+ *   { operacion: 'anexar', coleccion, documentos, fecha }
+ * No son cambios de tareas: no cuentan como pendientes ni cambian la instantánea.
+ */
+
+import path from 'node:path';
+import _ from 'lodash';
+import { BSON } from 'mongodb';
+import { obtenerConfiguracionAlmacenamiento } from '../config/almacenamiento.js';
+import {
+  escribirArchivoAtomico,
+  agregarLineaArchivo,
+  leerArchivoOpcional,
+  eliminarArchivoOpcional,
+  tamanoArchivo
+} from '../utils/archivos.js';
+
+const { EJSON } = BSON;
+
+// Tamaño de los cambios anotados a partir del cual se incorporan a la copia
+const LIMITE_CAMBIOS_INSTANTANEA = 4 * 1024 * 1024;
+
+/**
+ * FUNCIÓN AUXILIAR: RUTAS DE LOS ARCHIVOS
+ * =======================================
+ */
+function rutas() {
+  const { directorioEstado } = obtenerConfiguracionAlmacenamiento();
+  return {
+    diario: path.join(directorioEstado, 'diario-offline.jsonl'),
+    instantanea: path.join(directorioEstado, 'instantanea.json'),
+    cambiosInstantanea: path.join(directorioEstado, 'instantanea-cambios.jsonl'),
+    conflictos: path.join(directorioEstado, 'conflictos.jsonl')
+  };
+}
+
+/**
+ * FUNCIÓN: RUTA DEL ARCHIVO DE CONFLICTOS
+ * =======================================
+ *
+ * Para indicar al usuario dónde revisar los cambios no aplicados.
+ */
+export function rutaConflictos() {
+  return rutas().conflictos;
+}
+
+/**
+ * FUNCIÓN: REGISTRAR ENTRADA
+ * ==========================
+ *
+ * Añade una operación al final del diario y la fuerza a disco.
+ *
+ * @param {Object} entrada - { operacion, documento?, id, versionEsperada }
+ */
+export async function registrarEntrada(entrada) {
+  const completa = { ...entrada, fecha: new Date().toISOString() };
+  await agregarLineaArchivo(rutas().diario, EJSON.stringify(completa));
+}
+
+/**
+ * FUNCIÓN: REGISTRAR VARIAS ENTRADAS
+ * ==================================
+ *
+ * Como registrarEntrada(), pero añade todas las operaciones de un lote
+ * (una por línea) en una sola escritura.
+ *
+ * @param {Object[]} entradas - [{ operacion, documento?, id, versionEsperada }]
+ */
+export async function registrarEntradas(entradas) {
+  const fecha = new Date().toISOString();
+  const lineas = entradas.map(entrada => EJSON.stringify({ ...entrada, fecha }));
+  await agregarLineaArchivo(rutas().diario, lineas.join('\n'));
+}
+
+/**
+ * FUNCIÓN: LEER ENTRADAS
+ * ======================
+ *
+ * Una última línea incompleta (corte durante la escritura) se ignora:
+ * esa operación nunca llegó a confirmarse al usuario.
+ *
+ * @returns {Promise<Object[]>} - Entradas pendientes, en orden
+ */
+export async function leerEntradas() {
+  return leerLineas(rutas().diario);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER LÍNEAS
+ * =============================
+ *
+ * Entradas de un archivo de solo-anexado, una por línea (ver leerEntradas).
+ */
+async function leerLineas(ruta) {
+  const contenido = await leerArchivoOpcional(ruta);
+  if (!contenido) return [];
+
+  const entradas = [];
+  for (const linea of contenido.split('\n')) {
+    if (linea.trim() === '') continue;
+    try {
+      entradas.push(EJSON.parse(linea));
+    } catch {
+      // Línea truncada: se descarta
+    }
+  }
+  return entradas;
+}
+
+/**
+ * FUNCIÓN: REEMPLAZAR ENTRADAS
+ * ============================
+ *
+ * Reescribe el diario con las entradas que siguen pendientes.
+ * Se usa durante la sincronización, tras aplicar cada entrada.
+ *
+ * @param {Object[]} entradas
+ */
+export async function reemplazarEntradas(entradas) {
+  const contenido = entradas.map(e => EJSON.stringify(e) + '\n').join('');
+  await escribirArchivoAtomico(rutas().diario, contenido);
+}
+
+/**
+ * FUNCIÓN: REGISTRAR CONFLICTO
+ * ============================
+ *
+ * Guarda una entrada que no se pudo aplicar, junto con el motivo.
+ *
+ * @param {Object} entrada - Entrada del diario
+ * @param {string} motivo - Explicación para el usuario
+ */
+export async function registrarConflicto(entrada, motivo) {
+  const registro = { ...entrada, motivo, fechaConflicto: new Date().toISOString() };
+  await agregarLineaArchivo(rutas().conflictos, EJSON.stringify(registro));
+}
+
+/**
+ * FUNCIÓN: ES ENTRADA DE TAREAS
+ * =============================
+ *
+ * @param {Object} entrada - Entrada del diario
+ * @returns {boolean} - false si anexa documentos a una colección auxiliar
+ */
+export function esEntradaDeTareas(entrada) {
+  return entrada.operacion !== 'anexar';
+}
+
+/**
+ * FUNCIÓN: GUARDAR INSTANTÁNEA
+ * ============================
+ *
+ * Escribe la copia entera y descarta los cambios anotados, que ya incluye.
+ *
+ * @param {Object[]} documentos - Estado completo leído del almacenamiento
+ */
+export async function guardarInstantanea(documentos) {
+  const { instantanea, cambiosInstantanea } = rutas();
+  await escribirArchivoAtomico(instantanea, EJSON.stringify(documentos));
+  await eliminarArchivoOpcional(cambiosInstantanea);
+}
+
+/**
+ * FUNCIÓN: EXISTE INSTANTÁNEA
+ * ===========================
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function existeInstantanea() {
+  return (await tamanoArchivo(rutas().instantanea)) !== null;
+}
+
+/**
+ * FUNCIÓN: ANOTAR EN LA INSTANTÁNEA
+ * =================================
+ *
+ * Añade a la instantánea unas escrituras guardadas en el almacenamiento sin
+ * reescribir la copia. Cuando los cambios anotados superan
+ * LIMITE_CAMBIOS_INSTANTANEA, se incorporan a la copia (de vez en cuando,
+ * no en cada escritura).
+ *
+ * @param {Object[]} entradas - [{ operacion, documento?, id }] como en el diario
+ */
+export async function anotarEnInstantanea(entradas) {
+  const { cambiosInstantanea } = rutas();
+  const lineas = entradas.map(({ operacion, documento, id }) => EJSON.stringify({ operacion, documento, id }));
+  await agregarLineaArchivo(cambiosInstantanea, lineas.join('\n'));
+
+  if ((await tamanoArchivo(cambiosInstantanea)) > LIMITE_CAMBIOS_INSTANTANEA) {
+    await guardarInstantanea(await leerInstantanea());
+  }
+}
+
+/**
+ * FUNCIÓN: LEER INSTANTÁNEA
+ * =========================
+ *
+ * La copia con los cambios anotados ya aplicados. Un cambio con una versión
+ * anterior a la de la copia se ignora: viene de antes de que se escribiera
+ * (el proceso terminó entre escribir la copia y descartar los cambios).
+ *
+ * @returns {Promise<Object[]>} - Última copia guardada (vacía si no hay)
+ */
+export async function leerInstantanea() {
+  const { instantanea, cambiosInstantanea } = rutas();
+  const contenido = await leerArchivoOpcional(instantanea);
+  const estado = new Map((contenido ? EJSON.parse(contenido) : []).map(doc => [String(doc._id), doc]));
+
+  for (const { operacion, documento, id } of await leerLineas(cambiosInstantanea)) {
+    const actual = estado.get(String(id));
+    if (operacion === 'eliminar') {
+      estado.delete(String(id));
+    } else if (!actual || (actual.version ?? 0) <= (documento.version ?? 0)) {
+      estado.set(String(id), documento);
+    }
+  }
+  return [...estado.values()];
+}
+
+/**
+ * FUNCIÓN: APLICAR ENTRADAS SOBRE DOCUMENTOS
+ * ==========================================
+ *
+ * Reconstruye, sin tocar el almacenamiento, el estado que resulta de aplicar
+ * las entradas del diario sobre una lista de documentos (la instantánea).
+ *
+ * @param {Object[]} documentos - Estado base
+ * @param {Object[]} entradas - Entradas del diario
+ * @returns {Object[]} - Nuevo estado
+ */
+export function aplicarEntradas(documentos, entradas) {
+  const estado = new Map(documentos.map(doc => [String(doc._id), doc]));
+
+  for (const entrada of entradas.filter(esEntradaDeTareas)) {
+    const clave = String(entrada.id);
+    if (entrada.operacion === 'eliminar') {
+      estado.delete(clave);
+    } else {
+      estado.set(clave, entrada.documento);
+    }
+  }
+
+  return [...estado.values()];
+}
+
+/**
+ * FUNCIÓN: ENTRADA YA APLICADA
+ * ============================
+ *
+ * Detecta entradas que ya se aplicaron en una sincronización anterior
+ * interrumpida (el proceso terminó antes de quitarlas del diario).
+ * Así reproducir el diario dos veces no genera falsos conflictos.
+ *
+ * @param {Object} entrada - Entrada del diario
+ * @param {Object|undefined} actual - Documento actual en el almacenamiento
+ * @returns {boolean}
+ */
+export function entradaYaAplicada(entrada, actual) {
+  if (entrada.operacion === 'eliminar') return !actual;
+  if (!actual) return false;
+  return _.isEqual(EJSON.serialize(actual), EJSON.serialize(entrada.documento));
+}
@@ -0,0 +1,176 @@
+/**
+ * HISTORIAL DE CAMBIOS - DESHACER Y REHACER
+ * =========================================
+ *
+ * Cada operación que modifica tareas (crear, editar, completar, eliminar,
+ * renombrar etiquetas...) deja una entrada con el estado anterior y posterior
+ * de las tareas afectadas (ver grabarCambios en data/tareas.js).
+ *
+ * Las entradas se guardan en el mismo almacenamiento que las tareas, en su
+ * colección auxiliar "historial" (tareas.historial en MongoDB,
+ * tareas.historial.json junto al archivo del backend json), así que se puede
+ * deshacer y rehacer también después de reiniciar la aplicación.
+ *
+ * Cada entrada tiene la forma:
+ *   { _id, descripcion,           // Texto para el usuario: 'Completar "Comprar pan"'
+ *     fecha,                      // Momento de la operación
+ *     estado: 'hecha' | 'deshecha',
+ *     cambios: [{ id, antes, despues }],  // Documentos de tarea (null = no existía)
+ *     usuarioId,                  // Cuenta que la hizo (null sin cuentas de usuario)
+ *     version }
+ *
+ * Las entradas forman una pila: deshacer toma la última 'hecha' y rehacer
+ * la primera 'deshecha'. Registrar una operación nueva descarta las deshechas
+ * (ya no se pueden rehacer), como en cualquier editor.
+ *
+ * Con cuentas de usuario cada uno tiene su propia pila: solo deshace y rehace
+ * sus operaciones, y el límite de entradas se aplica a cada usuario.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { ObjectId } from 'mongodb';
+// Repositorio activo y estado de conexión
+import { obtenerRepositorio, obtenerEstadoConexion } from './tareas.js';
+// Usuario de la sesión (cada uno tiene su pila)
+import { obtenerSesion } from './sesion.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Colección auxiliar del almacenamiento donde vive el historial
+const COLECCION_HISTORIAL = 'historial';
+
+// Operaciones que se conservan para deshacer (las más antiguas se descartan)
+const LIMITE_ENTRADAS = 50;
+
+/**
+ * FUNCIÓN AUXILIAR: REPOSITORIO DEL HISTORIAL
+ * ===========================================
+ */
+function repositorioHistorial() {
+  return obtenerRepositorio().auxiliar(COLECCION_HISTORIAL);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR CONEXIÓN
+ * =================================
+ *
+ * Sin conexión no se puede leer ni escribir el historial: los cambios
+ * hechos sin conexión se sincronizan después, pero no se pueden deshacer.
+ */
+function exigirConexion() {
+  if (!obtenerEstadoConexion().enLinea) {
+    throw new ErrorTarea('Deshacer y rehacer no están disponibles sin conexión', CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: USUARIO DE LA PILA
+ * ====================================
+ *
+ * @returns {ObjectId|null} - Cuenta de la sesión, o null sin cuentas de usuario
+ */
+function usuarioDeLaPila() {
+  return obtenerSesion().usuario?._id ?? null;
+}
+
+/**
+ * FUNCIÓN: CARGAR ENTRADAS
+ * ========================
+ *
+ * @returns {Promise<Object[]>} - Entradas del usuario de la sesión, en orden cronológico
+ */
+export async function cargarEntradas() {
+  exigirConexion();
+  try {
+    const usuarioId = String(usuarioDeLaPila());
+    const entradas = (await repositorioHistorial().cargarTodas())
+      .filter(e => String(e.usuarioId ?? null) === usuarioId);
+    return _.sortBy(entradas, ['fecha', e => String(e._id)]);
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo leer el historial de cambios: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN: GUARDAR EN EL HISTORIAL
+ * ================================
+ *
+ * Registra una operación recién hecha, descarta las que se habían deshecho
+ * y recorta el historial al límite.
+ *
+ * Un fallo aquí no debe hacer creer al usuario que la operación falló
+ * (ya está guardada): solo se avisa de que no se podrá deshacer.
+ *
+ * @param {string} descripcion - Texto de la operación
+ * @param {Object[]} cambios - [{ id, antes, despues }] (ver grabarCambios)
+ */
+export async function guardarEnHistorial(descripcion, cambios) {
+  if (!obtenerEstadoConexion().enLinea) {
+    console.error('📴 Sin conexión: esta operación no se podrá deshacer.');
+    return;
+  }
+
+  try {
+    const repo = repositorioHistorial();
+    const entradas = await cargarEntradas();
+
+    // Las deshechas ya no se pueden rehacer; las más antiguas salen del límite
+    const hechas = entradas.filter(e => e.estado === 'hecha');
+    const descartadas = [
+      ...entradas.filter(e => e.estado === 'deshecha'),
+      ...hechas.slice(0, Math.max(0, hechas.length + 1 - LIMITE_ENTRADAS))
+    ];
+    for (const entrada of descartadas) {
+      await repo.eliminar(entrada._id, entrada.version);
+    }
+
+    await repo.insertar({
+      _id: new ObjectId(),
+      descripcion,
+      fecha: new Date().toISOString(),
+      estado: 'hecha',
+      cambios,
+      usuarioId: usuarioDeLaPila(),
+      version: 1
+    });
+  } catch (error) {
+    console.error(`⚠️  No se pudo guardar en el historial (no se podrá deshacer): ${error.message}`);
+  }
+}
+
+/**
+ * FUNCIÓN: CONSULTAR PILA
+ * =======================
+ *
+ * @returns {Promise<{ deshacer: Object|null, rehacer: Object|null }>}
+ *   Entrada que se desharía y entrada que se reharía ahora mismo
+ */
+export async function consultarPila() {
+  const entradas = await cargarEntradas();
+  return {
+    deshacer: _.findLast(entradas, e => e.estado === 'hecha') ?? null,
+    rehacer: _.find(entradas, e => e.estado === 'deshecha') ?? null
+  };
+}
+
+/**
+ * FUNCIÓN: CAMBIAR ESTADO DE ENTRADA
+ * ==================================
+ *
+ * @param {Object} entrada - Entrada tal como se leyó
+ * @param {'hecha'|'deshecha'} estado - Nuevo estado
+ * @throws {ErrorTarea} - CONFLICTO si otro proceso la cambió mientras tanto
+ */
+export async function cambiarEstadoEntrada(entrada, estado) {
+  const actualizada = await repositorioHistorial().actualizar(
+    { ...entrada, estado, version: entrada.version + 1 },
+    entrada.version
+  );
+  if (!actualizada) {
+    throw new ErrorTarea(
+      `Otro proceso deshizo o rehízo "${entrada.descripcion}" mientras tanto`,
+      CODIGOS_ERROR.CONFLICTO
+    );
+  }
+}
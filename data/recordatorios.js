@@ -0,0 +1,69 @@
+/**
+ * ESTADO DE LOS RECORDATORIOS
+ * ===========================
+ *
+ * Qué avisos se enviaron ya y qué tareas tienen los avisos pospuestos,
+ * para que gestor recordatorios no repita un aviso en cada revisión
+ * ni después de reiniciarse. Se guarda en el directorio de estado
+ * (recordatorios.json), así que cada perfil tiene el suyo:
+ *   { enviados: { "<tareaId>|<tipo>|<fechaLimite>": { canales: ['consola', ...], fecha } },
+ *     pospuestos: { "<tareaId>": "ISO hasta el que no se avisa" } }
+ *
+ * La clave de un aviso incluye la fecha límite: si la tarea se cambia
+ * a otro día, el aviso de la nueva fecha es otro aviso.
+ */
+
+import path from 'node:path';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { obtenerConfiguracionAlmacenamiento } from '../config/almacenamiento.js';
+import { escribirArchivoAtomico, leerArchivoOpcional } from '../utils/archivos.js';
+
+/**
+ * FUNCIÓN AUXILIAR: RUTA DEL ARCHIVO DE ESTADO
+ * ============================================
+ */
+function rutaRecordatorios() {
+  return path.join(obtenerConfiguracionAlmacenamiento().directorioEstado, 'recordatorios.json');
+}
+
+/**
+ * FUNCIÓN: LEER ESTADO DE LOS RECORDATORIOS
+ * =========================================
+ *
+ * Un archivo inexistente o dañado equivale a un estado vacío.
+ *
+ * @returns {Promise<{ enviados: Object, pospuestos: Object }>}
+ */
+export async function leerEstadoRecordatorios() {
+  const vacio = { enviados: {}, pospuestos: {} };
+  const contenido = await leerArchivoOpcional(rutaRecordatorios());
+  if (!contenido) return vacio;
+  try {
+    const estado = JSON.parse(contenido);
+    return {
+      enviados: _.isPlainObject(estado.enviados) ? estado.enviados : {},
+      pospuestos: _.isPlainObject(estado.pospuestos) ? estado.pospuestos : {}
+    };
+  } catch {
+    return vacio;
+  }
+}
+
+/**
+ * FUNCIÓN: ACTUALIZAR ESTADO DE LOS RECORDATORIOS
+ * ===============================================
+ *
+ * Vuelve a leer el archivo justo antes de modificarlo, para no perder lo que
+ * otro proceso cambió mientras tanto (posponer un aviso desde la CLI con
+ * gestor recordatorios en marcha).
+ *
+ * @param {Function} cambio - Recibe el estado y lo modifica
+ * @returns {Promise<Object>} - Estado guardado
+ */
+export async function actualizarEstadoRecordatorios(cambio) {
+  const estado = await leerEstadoRecordatorios();
+  cambio(estado);
+  await escribirArchivoAtomico(rutaRecordatorios(), JSON.stringify(estado, null, 2));
+  return estado;
+}
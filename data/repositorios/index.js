@@ -0,0 +1,33 @@
+/**
+ * FÁBRICA DE REPOSITORIOS
+ * =======================
+ *
+ * Crea la implementación de RepositorioTareas que corresponde a la configuración.
+ */
+
+import { RepositorioMongo } from './repositorioMongo.js';
+import { RepositorioJson } from './repositorioJson.js';
+import { RepositorioMemoria } from './repositorioMemoria.js';
+
+export { RepositorioTareas } from './repositorioTareas.js';
+export { RepositorioMongo, RepositorioJson, RepositorioMemoria };
+
+/**
+ * FUNCIÓN: CREAR REPOSITORIO
+ * ==========================
+ *
+ * @param {{ tipo: string, archivoJson?: string }} configuracion
+ * @returns {RepositorioTareas}
+ */
+export function crearRepositorio(configuracion) {
+  switch (configuracion.tipo) {
+    case 'mongodb':
+      return new RepositorioMongo();
+    case 'json':
+      return new RepositorioJson(configuracion.archivoJson);
+    case 'memoria':
+      return new RepositorioMemoria();
+    default:
+      throw new Error(`Almacenamiento desconocido: "${configuracion.tipo}"`);
+  }
+}
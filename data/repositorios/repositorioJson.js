@@ -0,0 +1,237 @@
+/**
+ * REPOSITORIO DE TAREAS: ARCHIVO JSON
+ * ===================================
+ *
+ * Implementación que guarda las tareas en un archivo JSON local
+ * (por defecto data/tareas.json). Permite usar el gestor sin un servidor MongoDB.
+ *
+ * Garantías:
+ * - ESCRITURA ATÓMICA: Se escribe en un archivo temporal del mismo directorio,
+ *   se fuerza a disco y se renombra sobre el original. Un corte a mitad de
+ *   escritura nunca deja el archivo a medias.
+ * - BLOQUEO DE ARCHIVO: Cada operación de lectura-modificación-escritura se hace
+ *   con un archivo de bloqueo (<archivo>.lock) creado en modo exclusivo, de modo
+ *   que dos procesos del gestor no se pisen los cambios. Los bloqueos huérfanos
+ *   (de procesos que terminaron abruptamente) caducan tras unos segundos.
+ *
+ * Formato: un array de documentos; los _id (y las referencias a otras tareas,
+ * como padreId o serieId) se guardan como cadenas hexadecimales y se convierten
+ * de nuevo a ObjectId al leer.
+ *
+ * Los repositorios auxiliares se guardan en archivos vecinos
+ * (tareas.json → tareas.historial.json) en formato EJSON, que conserva
+ * los ObjectId en cualquier parte del documento sin tener que conocer su forma.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { setTimeout as esperar } from 'node:timers/promises';
+import { ObjectId, BSON } from 'mongodb';
+import { RepositorioTareas } from './repositorioTareas.js';
+import { escribirArchivoAtomico, leerArchivoOpcional } from '../../utils/archivos.js';
+
+const { EJSON } = BSON;
+
+// Parámetros del bloqueo de archivo
+const REINTENTOS_BLOQUEO = 50;      // Intentos antes de rendirse
+const ESPERA_BLOQUEO_MS = 100;      // Pausa entre intentos
+const CADUCIDAD_BLOQUEO_MS = 10000; // Antigüedad a partir de la cual un bloqueo se considera huérfano
+
+/**
+ * FUNCIÓN AUXILIAR: COINCIDENCIA POR ID Y VERSIÓN
+ * ===============================================
+ *
+ * Los documentos sin campo version se consideran versión 0.
+ */
+function coincide(documento, id, versionEsperada) {
+  return documento._id.equals(id) && (documento.version ?? 0) === versionEsperada;
+}
+
+export class RepositorioJson extends RepositorioTareas {
+  /**
+   * @param {string} rutaArchivo - Ruta del archivo JSON de tareas
+   * @param {Object} opciones - { extendido: guardar en EJSON (repositorios auxiliares) }
+   */
+  constructor(rutaArchivo, { extendido = false } = {}) {
+    super();
+    this.rutaArchivo = path.resolve(rutaArchivo);
+    this.rutaBloqueo = `${this.rutaArchivo}.lock`;
+    this.extendido = extendido;
+    this.auxiliares = new Map();
+  }
+
+  get descripcion() {
+    return `archivo JSON (${this.rutaArchivo})`;
+  }
+
+  async cargarTodas() {
+    return this.leer();
+  }
+
+  async insertar(documento) {
+    await this.conBloqueo(async () => {
+      const documentos = await this.leer();
+      if (documentos.some(doc => doc._id.equals(documento._id))) {
+        throw new Error(`Ya existe un documento con _id ${documento._id}`);
+      }
+      documentos.push(documento);
+      await this.escribir(documentos);
+    });
+  }
+
+  async actualizar(documento, versionEsperada) {
+    return this.conBloqueo(async () => {
+      const documentos = await this.leer();
+      const indice = documentos.findIndex(doc => coincide(doc, documento._id, versionEsperada));
+      if (indice === -1) return false;
+      documentos[indice] = documento;
+      await this.escribir(documentos);
+      return true;
+    });
+  }
+
+  async eliminar(id, versionEsperada) {
+    return this.conBloqueo(async () => {
+      const documentos = await this.leer();
+      const restantes = documentos.filter(doc => !coincide(doc, id, versionEsperada));
+      if (restantes.length === documentos.length) return false;
+      await this.escribir(restantes);
+      return true;
+    });
+  }
+
+  async aplicarLote(entradas) {
+    // Una sola lectura y una sola escritura del archivo para todo el lote
+    return this.conBloqueo(async () => {
+      const documentos = await this.leer();
+      const rechazadas = [];
+      for (const entrada of entradas) {
+        if (entrada.operacion === 'insertar') {
+          if (documentos.some(doc => doc._id.equals(entrada.documento._id))) {
+            throw new Error(`Ya existe un documento con _id ${entrada.documento._id}`);
+          }
+          documentos.push(entrada.documento);
+          continue;
+        }
+
+        const indice = documentos.findIndex(doc => coincide(doc, entrada.id, entrada.versionEsperada));
+        if (indice === -1) {
+          rechazadas.push(entrada);
+        } else if (entrada.operacion === 'actualizar') {
+          documentos[indice] = entrada.documento;
+        } else if (entrada.operacion === 'eliminar') {
+          documentos.splice(indice, 1);
+        } else {
+          throw new Error(`Operación desconocida en el lote: ${entrada.operacion}`);
+        }
+      }
+      if (rechazadas.length < entradas.length) await this.escribir(documentos);
+      return rechazadas;
+    });
+  }
+
+  auxiliar(nombre) {
+    if (!this.auxiliares.has(nombre)) {
+      const { dir, name } = path.parse(this.rutaArchivo);
+      this.auxiliares.set(nombre, new RepositorioJson(path.join(dir, `${name}.${nombre}.json`), { extendido: true }));
+    }
+    return this.auxiliares.get(nombre);
+  }
+
+  /**
+   * MÉTODO: LEER ARCHIVO
+   * ====================
+   *
+   * Un archivo inexistente o vacío equivale a una lista vacía.
+   * Un archivo con JSON inválido es un error: no se debe sobrescribir
+   * algo que no entendemos.
+   */
+  async leer() {
+    const contenido = await leerArchivoOpcional(this.rutaArchivo);
+    if (contenido === null || contenido.trim() === '') return [];
+
+    let documentos;
+    try {
+      documentos = this.extendido ? EJSON.parse(contenido) : JSON.parse(contenido);
+    } catch (error) {
+      throw new Error(`El archivo ${this.rutaArchivo} no contiene JSON válido: ${error.message}`);
+    }
+    if (!Array.isArray(documentos)) {
+      throw new Error(`El archivo ${this.rutaArchivo} debe contener un array de ${this.extendido ? 'documentos' : 'tareas'}`);
+    }
+    if (this.extendido) return documentos;
+
+    // Restaurar los _id y las referencias como ObjectId
+    return documentos.map(doc => ({
+      ...doc,
+      _id: new ObjectId(doc._id),
+      ...(doc.padreId && { padreId: new ObjectId(doc.padreId) }),
+      ...(doc.serieId && { serieId: new ObjectId(doc.serieId) }),
+      ...(doc.propietarioId && { propietarioId: new ObjectId(doc.propietarioId) })
+    }));
+  }
+
+  /**
+   * MÉTODO: ESCRIBIR ARCHIVO DE FORMA ATÓMICA
+   * =========================================
+   *
+   * JSON.stringify convierte los ObjectId a su representación hexadecimal
+   * (en EJSON se guardan como { "$oid": ... } para poder restaurarlos).
+   */
+  async escribir(documentos) {
+    const contenido = this.extendido ? EJSON.stringify(documentos, null, 2) : JSON.stringify(documentos, null, 2);
+    await escribirArchivoAtomico(this.rutaArchivo, contenido + '\n');
+  }
+
+  /**
+   * MÉTODO: EJECUTAR CON BLOQUEO
+   * ============================
+   *
+   * Adquiere el bloqueo, ejecuta la operación y lo libera siempre,
+   * incluso si la operación falla.
+   */
+  async conBloqueo(operacion) {
+    await this.adquirirBloqueo();
+    try {
+      return await operacion();
+    } finally {
+      await fs.rm(this.rutaBloqueo, { force: true });
+    }
+  }
+
+  /**
+   * MÉTODO: ADQUIRIR BLOQUEO
+   * ========================
+   *
+   * La bandera 'wx' hace que open() falle si el archivo ya existe,
+   * lo que convierte la creación del bloqueo en una operación atómica.
+   */
+  async adquirirBloqueo() {
+    await fs.mkdir(path.dirname(this.rutaBloqueo), { recursive: true });
+
+    for (let intento = 0; ; intento++) {
+      try {
+        await fs.writeFile(
+          this.rutaBloqueo,
+          JSON.stringify({ pid: process.pid, fecha: new Date().toISOString() }),
+          { flag: 'wx' }
+        );
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Bloqueo huérfano: el proceso que lo creó ya no lo va a liberar
+      const info = await fs.stat(this.rutaBloqueo).catch(() => null);
+      if (info && Date.now() - info.mtimeMs > CADUCIDAD_BLOQUEO_MS) {
+        await fs.rm(this.rutaBloqueo, { force: true });
+        continue;
+      }
+
+      if (intento >= REINTENTOS_BLOQUEO) {
+        throw new Error(`El archivo ${this.rutaArchivo} está bloqueado por otro proceso`);
+      }
+      await esperar(ESPERA_BLOQUEO_MS);
+    }
+  }
+}
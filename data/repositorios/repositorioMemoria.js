@@ -0,0 +1,69 @@
+/**
+ * REPOSITORIO DE TAREAS: MEMORIA
+ * ==============================
+ *
+ * Implementación que guarda los documentos en un Map mientras dura el proceso.
+ * No persiste nada: está pensada para pruebas y demostraciones.
+ *
+ * Los documentos se clonan al entrar y al salir para que los cambios
+ * hechos fuera del repositorio no lo modifiquen por accidente,
+ * igual que ocurriría con un backend real.
+ */
+
+import _ from 'lodash';
+import { RepositorioTareas } from './repositorioTareas.js';
+
+export class RepositorioMemoria extends RepositorioTareas {
+  /**
+   * @param {Object[]} documentosIniciales - Datos con los que arranca el repositorio
+   */
+  constructor(documentosIniciales = []) {
+    super();
+    this.documentos = new Map();
+    this.auxiliares = new Map();
+    documentosIniciales.forEach(doc => this.documentos.set(String(doc._id), _.cloneDeep(doc)));
+  }
+
+  get descripcion() {
+    return 'memoria (sin persistencia)';
+  }
+
+  async cargarTodas() {
+    return [...this.documentos.values()].map(doc => _.cloneDeep(doc));
+  }
+
+  async insertar(documento) {
+    const clave = String(documento._id);
+    if (this.documentos.has(clave)) {
+      throw new Error(`Ya existe un documento con _id ${clave}`);
+    }
+    this.documentos.set(clave, _.cloneDeep(documento));
+  }
+
+  async actualizar(documento, versionEsperada) {
+    const clave = String(documento._id);
+    if (!this.tieneVersion(clave, versionEsperada)) return false;
+    this.documentos.set(clave, _.cloneDeep(documento));
+    return true;
+  }
+
+  async eliminar(id, versionEsperada) {
+    const clave = String(id);
+    if (!this.tieneVersion(clave, versionEsperada)) return false;
+    return this.documentos.delete(clave);
+  }
+
+  auxiliar(nombre) {
+    if (!this.auxiliares.has(nombre)) this.auxiliares.set(nombre, new RepositorioMemoria());
+    return this.auxiliares.get(nombre);
+  }
+
+  /**
+   * Indica si existe el documento y su versión es la esperada
+   * (sin campo version se considera versión 0).
+   */
+  tieneVersion(clave, versionEsperada) {
+    const actual = this.documentos.get(clave);
+    return Boolean(actual) && (actual.version ?? 0) === versionEsperada;
+  }
+}
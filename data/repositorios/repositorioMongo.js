@@ -0,0 +1,304 @@
+/**
+ * REPOSITORIO DE TAREAS: MONGODB
+ * ==============================
+ *
+ * Implementación del repositorio sobre la colección de tareas de MongoDB.
+ * La conexión se gestiona en config/database.js.
+ *
+ * Los repositorios auxiliares usan otra colección de la misma base de datos
+ * y comparten la conexión, que se cierra desde el repositorio principal.
+ *
+ * Índices de la colección de tareas (ver prepararIndices):
+ * - completada_fechaCreacion: sirve los listados por orden de creación y
+ *   sus páginas sin ordenar en memoria
+ * - descripcion: único sin distinguir mayúsculas (colación) entre las tareas
+ *   activas de cada dueño, para que dos procesos no puedan guardar la misma tarea
+ * - descripcion_busqueda: la búsqueda de duplicados (buscarPorDescripcion)
+ * - padreId: las subtareas de las tareas que se cargan (ver data/tareas.js)
+ * - fechaEliminacion: el listado de la papelera y las que caducan
+ */
+
+import _ from 'lodash';
+import { BSON, MongoBulkWriteError } from 'mongodb';
+import { RepositorioTareas } from './repositorioTareas.js';
+import { obtenerColeccionTareas, obtenerColeccionAuxiliar, cerrarConexion } from '../../config/database.js';
+import { compilarConsultaMongo } from '../../utils/consulta.js';
+import { compilarPaginaMongo, cerrarPagina } from '../../utils/paginacion.js';
+import { compilarResumenMongo, cerrarResumen } from '../../utils/resumen.js';
+
+const { EJSON } = BSON;
+
+// Errores del driver que indican que el servidor no es alcanzable
+const ERRORES_DE_CONEXION = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+];
+
+// Código de error del servidor al repetir la clave de un índice único
+const CODIGO_CLAVE_DUPLICADA = 11000;
+
+// Comparación de descripciones sin distinguir mayúsculas (sí los acentos,
+// como _.toLower); las consultas deben usar la misma para aprovechar el índice
+const COLACION_DESCRIPCION = Object.freeze({ locale: 'es', strength: 2 });
+
+/**
+ * ÍNDICES DE LA COLECCIÓN DE TAREAS
+ * =================================
+ *
+ * El de descripción es único con el mismo padre y el mismo dueño y sin
+ * distinguir mayúsculas, como la comprobación de duplicados de la aplicación
+ * (que solo ve las tareas del usuario de la sesión): así tampoco se repiten
+ * cuando dos procesos (o un diario sin conexión al sincronizarse) guardan la
+ * misma tarea a la vez. Un índice parcial no puede filtrar por un campo que
+ * falta, así que solo cuentan los documentos marcados con descripcionUnica
+ * (ver marcarDescripcionUnica): quedan fuera la papelera y las ocurrencias de
+ * las series recurrentes, que comparten descripción a propósito.
+ * La búsqueda de duplicados usa un índice aparte que los incluye a todos.
+ */
+const INDICES_TAREAS = Object.freeze([
+  { key: { completada: 1, fechaCreacion: -1, _id: 1 }, name: 'completada_fechaCreacion' },
+  {
+    key: { descripcion: 1, padreId: 1, propietarioId: 1 },
+    name: 'descripcion',
+    collation: COLACION_DESCRIPCION,
+    unique: true,
+    partialFilterExpression: { descripcionUnica: true }
+  },
+  { key: { descripcion: 1, padreId: 1, _id: 1 }, name: 'descripcion_busqueda', collation: COLACION_DESCRIPCION },
+  { key: { padreId: 1 }, name: 'padreId' },
+  { key: { fechaEliminacion: 1 }, name: 'fechaEliminacion' }
+]);
+
+// La marca solo existe en la colección: nunca llega a la aplicación
+const SIN_MARCA = Object.freeze({ descripcionUnica: 0 });
+
+/**
+ * FUNCIÓN AUXILIAR: FILTRO POR ID Y VERSIÓN
+ * =========================================
+ *
+ * La versión 0 también debe coincidir con documentos sin campo version
+ * (creados antes del control de versiones); { $in: [0, null] } cubre ambos casos.
+ */
+function filtroVersion(id, versionEsperada) {
+  return {
+    _id: id,
+    version: versionEsperada === 0 ? { $in: [0, null] } : versionEsperada
+  };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: MARCAR DESCRIPCIÓN ÚNICA
+ * ==========================================
+ *
+ * Añade la marca del índice único a las tareas activas que no continúan una
+ * serie recurrente (la primera ocurrencia sí la lleva: una serie cuenta una vez).
+ */
+function marcarDescripcionUnica(documento) {
+  if (documento.fechaEliminacion || documento.serieId) return documento;
+  return { ...documento, descripcionUnica: true };
+}
+
+export class RepositorioMongo extends RepositorioTareas {
+  /**
+   * @param {string|null} nombreAuxiliar - Colección auxiliar, o null para la de tareas
+   */
+  constructor(nombreAuxiliar = null) {
+    super();
+    this.nombreAuxiliar = nombreAuxiliar;
+    this.auxiliares = new Map();
+  }
+
+  get descripcion() {
+    return 'MongoDB';
+  }
+
+  /**
+   * Colección sobre la que trabaja este repositorio.
+   */
+  async coleccion() {
+    return this.nombreAuxiliar ? obtenerColeccionAuxiliar(this.nombreAuxiliar) : obtenerColeccionTareas();
+  }
+
+  get remoto() {
+    return true;
+  }
+
+  /**
+   * Documento tal como se guarda en la colección de tareas (con la marca
+   * del índice único); los de las colecciones auxiliares no cambian.
+   */
+  paraGuardar(documento) {
+    return this.nombreAuxiliar ? documento : marcarDescripcionUnica(documento);
+  }
+
+  async conectar() {
+    // Obtener la colección abre la conexión (y falla si no hay servidor)
+    await this.coleccion();
+  }
+
+  async cargarTodas() {
+    const coleccion = await this.coleccion();
+    // find({}) sin filtros obtiene todos los documentos
+    return coleccion.find({}, { projection: SIN_MARCA }).toArray();
+  }
+
+  async buscar(consulta) {
+    const coleccion = await this.coleccion();
+    // La consulta se filtra en el servidor: solo viajan las tareas que la cumplen
+    return coleccion.find(compilarConsultaMongo(consulta), { projection: SIN_MARCA }).toArray();
+  }
+
+  async consultarPagina(consulta, { claves, limite, cursor = null }) {
+    const coleccion = await this.coleccion();
+    // Filtrar, ordenar y cortar en el servidor: solo viaja la página
+    const documentos = await coleccion.aggregate([
+      { $match: consulta ? compilarConsultaMongo(consulta) : {} },
+      ...compilarPaginaMongo(claves, { limite, cursor }),
+      { $project: SIN_MARCA }
+    ]).toArray();
+    const { elementos, siguiente } = cerrarPagina(documentos, claves, limite);
+    return { documentos: elementos, siguiente };
+  }
+
+  async buscarPorDescripcion(descripcion, consulta = null) {
+    const coleccion = await this.coleccion();
+    const filtro = consulta ? { $and: [{ descripcion }, compilarConsultaMongo(consulta)] } : { descripcion };
+    return coleccion.find(filtro, { projection: SIN_MARCA }).collation(COLACION_DESCRIPCION).toArray();
+  }
+
+  async resumir(consulta, opciones) {
+    const coleccion = await this.coleccion();
+    // Agregar en el servidor: solo viaja el resumen
+    const [facetas] = await coleccion.aggregate([
+      { $match: consulta ? compilarConsultaMongo(consulta) : {} },
+      ...compilarResumenMongo(opciones)
+    ]).toArray();
+    return cerrarResumen(facetas);
+  }
+
+  async prepararIndices() {
+    // Las colecciones auxiliares se consultan enteras: no necesitan índices
+    if (this.nombreAuxiliar) return;
+    const coleccion = await this.coleccion();
+
+    // PASO 1: Las colecciones de versiones anteriores tienen un índice de
+    // descripción que no es único (y sus tareas no llevan la marca) o que no
+    // distingue el dueño de la tarea
+    const existentes = await coleccion.listIndexes().toArray();
+    const anterior = existentes.find(indice => indice.name === 'descripcion');
+    const vigente = INDICES_TAREAS.find(indice => indice.name === 'descripcion');
+    if (anterior && !(anterior.unique && _.isEqual(anterior.key, vigente.key))) {
+      await coleccion.dropIndex('descripcion');
+    }
+    if (!anterior?.unique) {
+      await coleccion.updateMany(
+        { descripcionUnica: { $exists: false }, fechaEliminacion: null, serieId: null },
+        { $set: { descripcionUnica: true } }
+      );
+    }
+
+    // PASO 2: Crear los que falten
+    try {
+      await coleccion.createIndexes(INDICES_TAREAS.map(indice => ({ ...indice })));
+    } catch (error) {
+      if (!this.esErrorDeDuplicado(error)) throw error;
+      throw new Error(
+        'hay tareas activas repetidas (misma descripción, mismo padre y mismo dueño); ' +
+        `renombra o elimina una de cada pareja para activar el índice único (${error.message})`
+      );
+    }
+  }
+
+  async insertar(documento) {
+    const coleccion = await this.coleccion();
+    await coleccion.insertOne(this.paraGuardar(documento));
+  }
+
+  async actualizar(documento, versionEsperada) {
+    const coleccion = await this.coleccion();
+    // replaceOne (y no $set) para que desaparezcan los campos eliminados,
+    // como fechaCompletada al reabrir una tarea
+    const resultado = await coleccion.replaceOne(filtroVersion(documento._id, versionEsperada), this.paraGuardar(documento));
+    return resultado.matchedCount > 0;
+  }
+
+  async eliminar(id, versionEsperada) {
+    const coleccion = await this.coleccion();
+    const resultado = await coleccion.deleteOne(filtroVersion(id, versionEsperada));
+    return resultado.deletedCount > 0;
+  }
+
+  async aplicarLote(entradas) {
+    if (entradas.length === 0) return [];
+    const coleccion = await this.coleccion();
+    const operaciones = entradas.map(entrada => {
+      switch (entrada.operacion) {
+        case 'insertar':
+          return { insertOne: { document: this.paraGuardar(entrada.documento) } };
+        case 'actualizar':
+          return {
+            replaceOne: {
+              filter: filtroVersion(entrada.id, entrada.versionEsperada),
+              replacement: this.paraGuardar(entrada.documento)
+            }
+          };
+        case 'eliminar':
+          return { deleteOne: { filter: filtroVersion(entrada.id, entrada.versionEsperada) } };
+        default:
+          throw new Error(`Operación desconocida en el lote: ${entrada.operacion}`);
+      }
+    });
+
+    // ordered: false para que una escritura rechazada no detenga las demás.
+    // Las que repiten la descripción de otra tarea fallan en el índice único
+    // sin impedir el resto: se devuelven marcadas como duplicadas
+    let resultado;
+    let duplicadas = new Set();
+    try {
+      resultado = await coleccion.bulkWrite(operaciones, { ordered: false });
+    } catch (error) {
+      const errores = error instanceof MongoBulkWriteError ? _.castArray(error.writeErrors) : [];
+      if (_.isEmpty(errores) || !errores.every(fallo => this.esErrorDeDuplicado(fallo))) throw error;
+      resultado = error.result;
+      duplicadas = new Set(errores.map(fallo => fallo.index));
+    }
+    const rechazadas = entradas.filter((entrada, indice) => duplicadas.has(indice))
+      .map(entrada => ({ ...entrada, duplicada: true }));
+    const conVersion = entradas.filter((entrada, indice) => entrada.operacion !== 'insertar' && !duplicadas.has(indice));
+    if (resultado.matchedCount + resultado.deletedCount === conVersion.length) return rechazadas;
+
+    // bulkWrite solo dice cuántas coincidieron, no cuáles: se comprueba qué
+    // quedó guardado. Basta con comparar el contenido, porque si otro proceso
+    // dejó exactamente el mismo documento no hay nada que se haya perdido
+    const guardados = await coleccion.find(
+      { _id: { $in: conVersion.map(entrada => entrada.id) } },
+      { projection: SIN_MARCA }
+    ).toArray();
+    const porId = new Map(guardados.map(doc => [String(doc._id), doc]));
+    return [...rechazadas, ...conVersion.filter(entrada => {
+      const guardado = porId.get(String(entrada.id));
+      if (entrada.operacion === 'eliminar') return Boolean(guardado);
+      return !guardado || !_.isEqual(EJSON.serialize(guardado), EJSON.serialize(entrada.documento));
+    })];
+  }
+
+  auxiliar(nombre) {
+    if (!this.auxiliares.has(nombre)) this.auxiliares.set(nombre, new RepositorioMongo(nombre));
+    return this.auxiliares.get(nombre);
+  }
+
+  esErrorDeConexion(error) {
+    return ERRORES_DE_CONEXION.includes(error?.name);
+  }
+
+  esErrorDeDuplicado(error) {
+    return error?.code === CODIGO_CLAVE_DUPLICADA;
+  }
+
+  async cerrar() {
+    if (!this.nombreAuxiliar) await cerrarConexion();
+  }
+}
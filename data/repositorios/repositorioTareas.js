@@ -0,0 +1,232 @@
+/**
+ * INTERFAZ DE REPOSITORIO DE TAREAS
+ * =================================
+ *
+ * Define las operaciones que debe ofrecer cualquier backend de almacenamiento.
+ * La capa de datos (data/tareas.js) trabaja siempre contra esta interfaz,
+ * sin saber si los documentos viven en MongoDB, en un archivo JSON o en memoria.
+ *
+ * Todos los métodos trabajan con documentos planos (Tarea.toDocumento()),
+ * nunca con instancias de Tarea. Los _id se intercambian como ObjectId.
+ *
+ * Las escrituras son siempre por documento: no existe ninguna operación
+ * que reemplace el contenido completo, para que dos procesos trabajando
+ * sobre el mismo almacenamiento no se borren los cambios entre sí.
+ * Las escrituras en lote (aplicarLote) son varias de esas escrituras
+ * enviadas juntas, cada una con su propio control de versión.
+ *
+ * Cada backend ofrece además repositorios auxiliares (ver auxiliar()) con la
+ * misma interfaz, para otras colecciones que se guardan junto a las tareas,
+ * como el historial de cambios para deshacer y rehacer.
+ *
+ * Implementaciones disponibles:
+ * - RepositorioMongo: MongoDB con el driver nativo
+ * - RepositorioJson: Archivo JSON local con escrituras atómicas y bloqueo
+ * - RepositorioMemoria: Solo en memoria, pensado para pruebas
+ */
+
+import _ from 'lodash';
+import { cumpleConsulta } from '../../utils/consulta.js';
+import { paginar } from '../../utils/paginacion.js';
+import { resumirDocumentos } from '../../utils/resumen.js';
+
+/**
+ * CLASE BASE: REPOSITORIO DE TAREAS
+ * =================================
+ *
+ * Cada implementación sobrescribe todos los métodos.
+ * Los métodos de la clase base lanzan un error para detectar omisiones.
+ */
+export class RepositorioTareas {
+  /**
+   * Nombre legible del backend, usado en los mensajes al usuario.
+   * @returns {string}
+   */
+  get descripcion() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Indica si el backend depende de un servidor que puede no estar disponible.
+   * Solo los backends remotos usan el modo sin conexión (diario e instantánea local).
+   * @returns {boolean}
+   */
+  get remoto() {
+    return false;
+  }
+
+  /**
+   * Comprueba que el almacenamiento está disponible (y abre la conexión, si
+   * la hay) sin leer ningún documento. Falla como lo haría cualquier consulta.
+   * @returns {Promise<void>}
+   */
+  async conectar() {}
+
+  /**
+   * Carga todos los documentos almacenados.
+   * @returns {Promise<Object[]>}
+   */
+  async cargarTodas() {
+    throw new Error(`${this.constructor.name}.cargarTodas() no está implementado`);
+  }
+
+  /**
+   * Carga los documentos que cumplen una consulta (utils/consulta.js).
+   * Por defecto se evalúa en memoria sobre cargarTodas(); los backends que
+   * pueden filtrar en el servidor lo sobrescriben.
+   * @param {Object} consulta - Árbol devuelto por analizarConsulta()
+   * @returns {Promise<Object[]>}
+   */
+  async buscar(consulta) {
+    const documentos = await this.cargarTodas();
+    return documentos.filter(documento => cumpleConsulta(consulta, documento));
+  }
+
+  /**
+   * Carga una página de los documentos que cumplen una consulta, en el orden
+   * indicado (ver utils/paginacion.js). Por defecto se ordena y se corta en
+   * memoria; los backends que pueden hacerlo en el servidor lo sobrescriben.
+   * @param {Object|null} consulta - Árbol de analizarConsulta(), o null para todos
+   * @param {Object} opciones - { claves: una de CLAVES_ORDEN, limite, cursor? }
+   * @returns {Promise<{ documentos: Object[], siguiente: string|null }>} - siguiente
+   *   es el cursor de la página que sigue, o null si es la última
+   */
+  async consultarPagina(consulta, { claves, limite, cursor = null }) {
+    const documentos = consulta ? await this.buscar(consulta) : await this.cargarTodas();
+    const { elementos, siguiente } = paginar(documentos, claves, { limite, cursor });
+    return { documentos: elementos, siguiente };
+  }
+
+  /**
+   * Carga los documentos con una descripción dada (sin distinguir mayúsculas)
+   * que además cumplen una consulta. Es la búsqueda de los duplicados.
+   * @param {string} descripcion
+   * @param {Object|null} consulta - Árbol de condiciones, o null
+   * @returns {Promise<Object[]>}
+   */
+  async buscarPorDescripcion(descripcion, consulta = null) {
+    const documentos = consulta ? await this.buscar(consulta) : await this.cargarTodas();
+    return documentos.filter(documento => _.toLower(documento.descripcion) === _.toLower(descripcion));
+  }
+
+  /**
+   * Resume los documentos que cumplen una consulta para las estadísticas
+   * (ver utils/resumen.js). Por defecto se calcula en memoria; los backends
+   * que pueden agregar en el servidor lo sobrescriben.
+   * @param {Object|null} consulta - Árbol de condiciones, o null para todos
+   * @param {Object} opciones - { ahora, desde?, hasta? } (ver resumirDocumentos)
+   * @returns {Promise<Object>}
+   */
+  async resumir(consulta, opciones) {
+    const documentos = consulta ? await this.buscar(consulta) : await this.cargarTodas();
+    return resumirDocumentos(documentos, opciones);
+  }
+
+  /**
+   * Crea los índices que necesitan las consultas anteriores, si el backend
+   * los tiene. Se puede llamar varias veces: los que ya existen no cambian.
+   * @returns {Promise<void>}
+   */
+  async prepararIndices() {}
+
+  /**
+   * Inserta un documento nuevo.
+   * @param {Object} documento
+   * @returns {Promise<void>}
+   */
+  async insertar(documento) {
+    throw new Error(`${this.constructor.name}.insertar() no está implementado`);
+  }
+
+  /**
+   * Reemplaza un documento existente solo si su versión almacenada
+   * coincide con la esperada (concurrencia optimista).
+   * Los documentos sin campo version se consideran versión 0.
+   * @param {Object} documento - Documento completo, ya con su nueva versión
+   * @param {number} versionEsperada - Versión que debe tener el documento almacenado
+   * @returns {Promise<boolean>} - false si no existe o su versión es otra (conflicto)
+   */
+  async actualizar(documento, versionEsperada) {
+    throw new Error(`${this.constructor.name}.actualizar() no está implementado`);
+  }
+
+  /**
+   * Elimina un documento solo si su versión almacenada coincide con la esperada.
+   * @param {ObjectId} id
+   * @param {number} versionEsperada
+   * @returns {Promise<boolean>} - false si no existe o su versión es otra (conflicto)
+   */
+  async eliminar(id, versionEsperada) {
+    throw new Error(`${this.constructor.name}.eliminar() no está implementado`);
+  }
+
+  /**
+   * Aplica varias escrituras de una vez, en el formato del diario sin conexión:
+   * { operacion: 'insertar' | 'actualizar' | 'eliminar', documento?, id, versionEsperada }.
+   * Cada actualización o eliminación exige su versión, como actualizar() y
+   * eliminar(): las que no coinciden se rechazan y el resto se aplica igualmente.
+   * Por defecto se aplican una a una; los backends que pueden escribirlas
+   * de una sola vez lo sobrescriben.
+   * @param {Object[]} entradas
+   * @returns {Promise<Object[]>} - Entradas rechazadas por conflicto de versión o,
+   *   con duplicada: true, por repetir una clave única (ver esErrorDeDuplicado)
+   */
+  async aplicarLote(entradas) {
+    const rechazadas = [];
+    for (const entrada of entradas) {
+      switch (entrada.operacion) {
+        case 'insertar':
+          await this.insertar(entrada.documento);
+          break;
+        case 'actualizar':
+          if (!await this.actualizar(entrada.documento, entrada.versionEsperada)) rechazadas.push(entrada);
+          break;
+        case 'eliminar':
+          if (!await this.eliminar(entrada.id, entrada.versionEsperada)) rechazadas.push(entrada);
+          break;
+        default:
+          throw new Error(`Operación desconocida en el lote: ${entrada.operacion}`);
+      }
+    }
+    return rechazadas;
+  }
+
+  /**
+   * Devuelve un repositorio del mismo backend para otra colección de
+   * documentos guardada junto a las tareas (misma base de datos, archivo
+   * vecino...). Ofrece las mismas operaciones, con el mismo control de versión.
+   * @param {string} nombre - Nombre de la colección auxiliar ('historial', ...)
+   * @returns {RepositorioTareas}
+   */
+  auxiliar(nombre) {
+    throw new Error(`${this.constructor.name}.auxiliar() no está implementado`);
+  }
+
+  /**
+   * Indica si un error se debe a que el almacenamiento no está disponible
+   * (servidor caído, red cortada). Esos errores activan el modo sin conexión;
+   * el resto se consideran fallos reales de la operación.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  esErrorDeConexion(error) {
+    return false;
+  }
+
+  /**
+   * Indica si un error se debe a que la escritura repite la clave de un
+   * índice único (la descripción de otra tarea activa con el mismo padre).
+   * Solo los backends con índices únicos lo sobrescriben.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  esErrorDeDuplicado(error) {
+    return false;
+  }
+
+  /**
+   * Libera los recursos del backend (conexiones, archivos abiertos).
+   * @returns {Promise<void>}
+   */
+  async cerrar() {}
+}
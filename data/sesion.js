@@ -0,0 +1,148 @@
+/**
+ * SESIÓN DEL USUARIO ACTUAL
+ * =========================
+ *
+ * Cuando el almacenamiento tiene cuentas de usuario (ver data/usuarios.js),
+ * cada tarea lleva el _id de su propietario (propietarioId) y cada usuario
+ * solo ve las suyas. Los administradores pueden pedir ver las de todos.
+ *
+ * Este módulo guarda en memoria quién ha iniciado sesión y decide qué
+ * documentos son visibles; data/tareas.js lo consulta al cargar. Sin cuentas
+ * de usuario todo es visible, como antes de existir las cuentas.
+ *
+ * La sesión se guarda también en el directorio de estado (sesion.json, solo
+ * legible por el usuario del sistema) para no pedir la contraseña en cada
+ * ejecución:
+ *   { usuarioId, nombre, admin,
+ *     token,      // Secreto de la sesión; en la cuenta solo se guarda su hash
+ *     expira }    // Momento (ISO) a partir del cual hay que volver a entrar
+ */
+
+import path from 'node:path';
+import { BSON } from 'mongodb';
+import { obtenerConfiguracionAlmacenamiento } from '../config/almacenamiento.js';
+import { escribirArchivoAtomico, leerArchivoOpcional, eliminarArchivoOpcional } from '../utils/archivos.js';
+
+const { EJSON } = BSON;
+
+/**
+ * ESTADO DE LA SESIÓN
+ * ===================
+ *
+ * - cuentasActivas: El almacenamiento tiene al menos una cuenta de usuario
+ * - usuarioActual: { _id, nombre, admin } de quien inició sesión, o null
+ * - verTodas: Un administrador pidió ver las tareas de todos los usuarios
+ */
+let cuentasActivas = false;
+let usuarioActual = null;
+let verTodas = false;
+
+/**
+ * FUNCIÓN: OBTENER SESIÓN
+ * =======================
+ *
+ * @returns {{ cuentas: boolean, usuario: Object|null, verTodas: boolean }}
+ */
+export function obtenerSesion() {
+  return { cuentas: cuentasActivas, usuario: usuarioActual, verTodas };
+}
+
+/**
+ * FUNCIÓN: ESTABLECER SESIÓN
+ * ==========================
+ *
+ * Cambiar de usuario vuelve a mostrar solo las tareas propias.
+ *
+ * @param {Object} sesion - { cuentas: boolean, usuario: { _id, nombre, admin } | null }
+ */
+export function establecerSesion({ cuentas, usuario }) {
+  cuentasActivas = cuentas;
+  usuarioActual = usuario;
+  verTodas = false;
+}
+
+/**
+ * FUNCIÓN: ESTABLECER VER TODAS
+ * =============================
+ *
+ * @param {boolean} valor - true para ver las tareas de todos los usuarios
+ */
+export function establecerVerTodas(valor) {
+  verTodas = valor;
+}
+
+/**
+ * FUNCIÓN: ES VISIBLE
+ * ===================
+ *
+ * Con cuentas activas y sin sesión no se ve nada: así cerrar la sesión
+ * no deja a la vista las tareas de nadie.
+ *
+ * @param {Object} documento - Documento o instancia de tarea
+ * @returns {boolean}
+ */
+export function esVisible(documento) {
+  if (!cuentasActivas || verTodas) return true;
+  if (!usuarioActual) return false;
+  return String(documento.propietarioId) === String(usuarioActual._id);
+}
+
+/**
+ * FUNCIÓN: CONDICIÓN DE VISIBILIDAD
+ * =================================
+ *
+ * La misma regla que esVisible, como condición de consulta (ver
+ * utils/consulta.js), para que el servidor devuelva solo las tareas visibles.
+ *
+ * @returns {Object|null} - Condición, o null si todo es visible
+ */
+export function condicionDeVisibilidad() {
+  if (!cuentasActivas || verTodas) return null;
+  // Sin sesión, una condición que no cumple ningún documento
+  if (!usuarioActual) return { tipo: 'existe', campo: '_id', valor: false };
+  return { tipo: 'comparar', campo: 'propietarioId', operador: 'eq', valor: usuarioActual._id };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RUTA DE LA SESIÓN GUARDADA
+ * ============================================
+ */
+function rutaSesion() {
+  return path.join(obtenerConfiguracionAlmacenamiento().directorioEstado, 'sesion.json');
+}
+
+/**
+ * FUNCIÓN: LEER SESIÓN GUARDADA
+ * =============================
+ *
+ * Un archivo dañado se trata como si no hubiera sesión.
+ *
+ * @returns {Promise<Object|null>} - { usuarioId, nombre, admin, token, expira } o null
+ */
+export async function leerSesionGuardada() {
+  const contenido = await leerArchivoOpcional(rutaSesion());
+  if (!contenido) return null;
+  try {
+    return EJSON.parse(contenido);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * FUNCIÓN: GUARDAR SESIÓN
+ * =======================
+ *
+ * @param {Object} sesion - { usuarioId, nombre, admin, token, expira }
+ */
+export async function guardarSesion(sesion) {
+  await escribirArchivoAtomico(rutaSesion(), EJSON.stringify(sesion), { modo: 0o600 });
+}
+
+/**
+ * FUNCIÓN: BORRAR SESIÓN GUARDADA
+ * ===============================
+ */
+export async function borrarSesionGuardada() {
+  await eliminarArchivoOpcional(rutaSesion());
+}
@@ -1,30 +1,76 @@
 /**
- * GESTIÓN DE DATOS GLOBALES - ESTADO DE TAREAS CON MONGODB
- * ========================================================
+ * GESTIÓN DE DATOS GLOBALES - ESTADO DE TAREAS
+ * ============================================
  *
  * Este módulo maneja el estado global de las tareas en la aplicación.
- * Actúa como capa intermedia entre MongoDB y la lógica de negocio (controladores).
+ * Actúa como capa intermedia entre el almacenamiento y la lógica de negocio.
  *
  * Responsabilidades:
- * - Mantener el array global de tareas en memoria
- * - Inicializar datos desde MongoDB al arranque
- * - Persistir cambios automáticamente en MongoDB
+ * - Mantener el array global de tareas en memoria (y aparte, las de la papelera)
+ * - Inicializar datos desde el almacenamiento al arranque: todas las tareas
+ *   con un backend local; con uno remoto, solo la conexión (ver cargaCompleta)
+ * - Resolver en el servidor, cuando el backend es remoto, lo que necesita cada
+ *   vista: páginas de los listados, búsquedas, tareas por ID o prefijo (con su
+ *   árbol de subtareas), duplicados y el resumen de las estadísticas (con los
+ *   índices de RepositorioTareas.prepararIndices)
+ * - Persistir cada cambio de forma granular (documento a documento), también
+ *   cuando una operación en bloque guarda muchos de una vez
+ * - Detectar modificaciones concurrentes mediante versiones
+ * - Trabajar sin conexión con un diario de cambios (ver data/diarioOffline.js)
+ * - Grabar los cambios de cada operación para poder deshacerla y auditarla
+ *   (ver data/historial.js y data/auditoria.js)
+ * - Con cuentas de usuario, dejar a la vista solo las tareas del usuario
+ *   de la sesión (ver data/sesion.js) y asignarle las que crea
  * - Proporcionar interfaz consistente para acceso a datos
  *
- * Patrón utilizado: Repository Pattern simplificado
+ * Patrón utilizado: Repository Pattern
+ * El backend concreto (MongoDB, archivo JSON o memoria) se elige por configuración
+ * (ver config/almacenamiento.js) y se accede siempre a través de RepositorioTareas.
  */
 
-// Importar configuración de base de datos
-import { obtenerColeccionTareas } from '../config/database.js';
+// Importar configuración y fábrica de repositorios
+import { obtenerConfiguracionAlmacenamiento } from '../config/almacenamiento.js';
+import { crearRepositorio } from './repositorios/index.js';
 // Importar modelo de Tarea
 import { Tarea } from '../models/tarea.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// ObjectId: las consultas por ID completo comparan con los _id guardados
+import { ObjectId } from 'mongodb';
+// Diario de cambios e instantánea para el modo sin conexión
+import {
+  registrarEntrada,
+  registrarEntradas,
+  leerEntradas,
+  reemplazarEntradas,
+  registrarConflicto,
+  guardarInstantanea,
+  leerInstantanea,
+  aplicarEntradas,
+  esEntradaDeTareas,
+  entradaYaAplicada,
+  existeInstantanea,
+  anotarEnInstantanea
+} from './diarioOffline.js';
+// Usuario de la sesión y visibilidad de las tareas
+import { obtenerSesion, esVisible, condicionDeVisibilidad } from './sesion.js';
+// Evaluación en memoria de las consultas de búsqueda
+import { cumpleConsulta } from '../utils/consulta.js';
+// Paginación en memoria (sin servidor)
+import { paginar, CLAVES_ORDEN } from '../utils/paginacion.js';
+// Resumen en memoria de las estadísticas (sin servidor)
+import { resumirDocumentos } from '../utils/resumen.js';
 
 /**
  * ESTADO GLOBAL: ARRAY DE TAREAS
  * ==============================
  *
- * Este array contiene todas las tareas en memoria durante la ejecución.
- * Se inicializa vacío y se llena con datos del archivo en el arranque.
+ * Este array contiene las tareas activas en memoria durante la ejecución.
+ * Se inicializa vacío y se llena con datos del almacenamiento: todas en el
+ * arranque con un backend local o sin conexión; con un backend remoto, las
+ * que va necesitando cada operación (ver cargaCompleta).
  *
  * IMPORTANTE: Se exporta con 'let' para permitir modificaciones
  * desde otros módulos, pero manteniendo un punto central de acceso.
@@ -32,155 +78,1244 @@ import { Tarea } from '../models/tarea.js';
 export let tareas = [];
 
 /**
- * FUNCIÓN: INICIALIZAR SISTEMA DE TAREAS CON MONGODB
- * =================================================
+ * ESTADO GLOBAL: PAPELERA
+ * =======================
+ *
+ * Tareas eliminadas (con fechaEliminacion) que todavía se pueden restaurar.
+ * Se guardan en el mismo almacenamiento que las demás, pero en memoria se
+ * mantienen aparte: así los listados, búsquedas, estadísticas y comprobaciones
+ * de duplicados, que trabajan sobre "tareas", no las ven.
+ *
+ * Las escrituras de este módulo mueven cada tarea al array que le corresponde.
+ */
+export let papelera = [];
+
+/**
+ * ESTADO INTERNO: TAREAS DE OTROS USUARIOS
+ * ========================================
+ *
+ * Con cuentas de usuario, las tareas que no son visibles para la sesión
+ * (ver esVisible en data/sesion.js) no entran en "tareas" ni en "papelera",
+ * así que ningún listado, búsqueda o escritura las alcanza. Se conservan
+ * aquí por si la sesión cambia (ver actualizarVisibilidad).
+ */
+let tareasAjenas = [];
+
+/**
+ * ESTADO INTERNO: CARGA COMPLETA
+ * ==============================
+ *
+ * true cuando los arrays tienen todas las tareas del almacenamiento: con un
+ * backend local (se cargan al arranque) y en el modo sin conexión (la
+ * instantánea más el diario). Con un backend remoto y conexión, los arrays
+ * son una caché de lo que trajo cada consulta al servidor (ver incorporar):
+ * las vistas piden solo su página, las tareas por ID con su árbol
+ * (buscarTareasPorId, cargarArboles) o el resumen de las estadísticas
+ * (resumirTareasActivas), y las operaciones que trabajan con todas las
+ * tareas las cargan antes con asegurarTodasLasTareas().
+ */
+let cargaCompleta = false;
+
+/**
+ * FUNCIÓN: TODAS LAS TAREAS
+ * =========================
  *
- * Se ejecuta al arranque de la aplicación para cargar datos existentes desde MongoDB.
- * Limpia el array actual y lo repuebla con datos de la base de datos.
- * Esta función garantiza que siempre empecemos con un estado limpio.
+ * Con un backend remoto, solo las que ya están en memoria (ver asegurarTodasLasTareas).
+ *
+ * @returns {Tarea[]} - Las tareas activas y las de la papelera (visibles)
+ */
+export function todasLasTareas() {
+  return [...tareas, ...papelera];
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ARRAY DE UNA TAREA
+ * ====================================
+ */
+function arrayDe(tarea) {
+  return tarea.fechaEliminacion ? papelera : tareas;
+}
+
+/**
+ * REPOSITORIO ACTIVO
+ * ==================
+ *
+ * Se crea de forma perezosa la primera vez que se necesita,
+ * a partir de la configuración de almacenamiento.
+ */
+let repositorio = null;
+
+/**
+ * ESTADO DE CONEXIÓN
+ * ==================
+ *
+ * - modoOffline: El almacenamiento remoto no está disponible; los cambios
+ *   se anotan en el diario local en lugar de escribirse
+ * - entradasPendientes: Cambios anotados en el diario que aún no se sincronizaron
+ * - ultimaSincronizacion: Resultado de la última reproducción del diario
+ */
+let modoOffline = false;
+let entradasPendientes = 0;
+let ultimaSincronizacion = null;
+
+/**
+ * ESTADO INTERNO: ÍNDICES PREPARADOS
+ * ==================================
+ *
+ * Los índices del almacenamiento se crean (o se comprueban) una sola vez
+ * por proceso, en la primera carga con éxito.
+ */
+let indicesPreparados = false;
+
+/**
+ * FUNCIÓN: OBTENER REPOSITORIO
+ * ============================
+ *
+ * @returns {RepositorioTareas} - Repositorio configurado
+ */
+export function obtenerRepositorio() {
+  if (!repositorio) {
+    repositorio = crearRepositorio(obtenerConfiguracionAlmacenamiento());
+  }
+  return repositorio;
+}
+
+/**
+ * FUNCIÓN: ESTABLECER REPOSITORIO
+ * ===============================
+ *
+ * Sustituye el repositorio configurado por uno concreto.
+ * Útil para pruebas (por ejemplo, con un RepositorioMemoria precargado).
+ *
+ * @param {RepositorioTareas} nuevoRepositorio
+ */
+export function establecerRepositorio(nuevoRepositorio) {
+  repositorio = nuevoRepositorio;
+}
+
+/**
+ * FUNCIÓN: INICIALIZAR SISTEMA DE TAREAS
+ * ======================================
+ *
+ * Se ejecuta al arranque de la aplicación para cargar datos existentes
+ * (y también para recargar o reconectar más tarde).
+ * Limpia los arrays actuales y los repuebla según el backend.
  *
  * Flujo de inicialización:
- * 1. Limpiar array actual (por si se llama múltiples veces)
- * 2. Cargar datos desde MongoDB
- * 3. Convertir documentos a instancias de Tarea
- * 4. Poblar el array global con los datos cargados
+ * 1. Limpiar arrays actuales (por si se llama múltiples veces)
+ * 2. Backend local: cargar todos los documentos. Backend remoto: solo
+ *    comprobar la conexión; cada vista cargará lo que necesite
+ * 3. Si hay cambios anotados sin conexión, reproducirlos (sincronizar)
+ *    y anotar en la instantánea local cómo quedaron esas tareas
+ * 4. Si todavía no hay instantánea, crearla con todas las tareas (una vez:
+ *    después solo se le anotan los cambios, ver trasEscribir)
+ *
+ * Si el almacenamiento remoto no responde, se entra en MODO SIN CONEXIÓN:
+ * se parte de la última instantánea más los cambios pendientes del diario.
+ * Nunca se escribe nada en el almacenamiento a partir de un estado sin cargar.
+ *
+ * @returns {Promise<boolean>} - true si se pudo usar el almacenamiento
  */
 export async function inicializarTareas() {
+  // PASO 1: LIMPIAR ESTADO ACTUAL
+  vaciarMemoria();
+  let cargadas = false;
+
   try {
-    // PASO 1: LIMPIAR ESTADO ACTUAL
-    // .length = 0 es más eficiente que tareas = [] porque:
-    // - Mantiene la referencia del array original
-    // - Permite que otros módulos conserven su referencia
-    // - Es más rápido para arrays grandes
-    tareas.length = 0;
-
-    // PASO 2: OBTENER COLECCIÓN DE MONGODB
-    const coleccion = await obtenerColeccionTareas();
-
-    // PASO 3: CARGAR TODOS LOS DOCUMENTOS DESDE MONGODB
-    // find({}) sin filtros obtiene todos los documentos
-    // toArray() convierte el cursor en un array
-    const documentos = await coleccion.find({}).toArray();
-
-    // PASO 4: CONVERTIR DOCUMENTOS A INSTANCIAS DE TAREA
-    // Usamos el método estático desdeDocumento para crear instancias apropiadas
-    const tareasGuardadas = documentos.map(doc => Tarea.desdeDocumento(doc));
-
-    // PASO 5: POBLAR ARRAY GLOBAL
-    // Spread operator (...) es más eficiente que loop para arrays
-    // Agrega todos los elementos de tareasGuardadas al array tareas
-    tareas.push(...tareasGuardadas);
+    const repo = obtenerRepositorio();
+
+    if (repo.remoto) {
+      // PASO 2: COMPROBAR LA CONEXIÓN (las tareas se cargan según se necesiten)
+      await repo.conectar();
+      modoOffline = false;
+      await prepararIndices(repo);
+
+      // PASO 3: SINCRONIZAR DIARIO
+      const entradas = await leerEntradas();
+      if (entradas.length > 0) {
+        ultimaSincronizacion = await sincronizarDiario(repo, entradas);
+        await refrescarEnInstantanea(repo, entradas);
+      }
+      entradasPendientes = 0;
+
+      // PASO 4: PRIMERA INSTANTÁNEA
+      if (!await existeInstantanea()) await asegurarTodasLasTareas();
+    } else {
+      // PASO 2: CARGAR TODOS LOS DOCUMENTOS DEL BACKEND LOCAL
+      // Usamos el método estático desdeDocumento para crear instancias apropiadas;
+      // las eliminadas van a la papelera y las de otros usuarios quedan aparte
+      const documentos = await repo.cargarTodas();
+      modoOffline = false;
+      repartirTareas(documentos.map(doc => Tarea.desdeDocumento(doc)));
+      cargaCompleta = true;
+      await prepararIndices(repo);
+    }
+    cargadas = true;
 
   } catch (error) {
-    // MANEJO DE ERRORES: Si hay problemas de conexión, iniciar con array vacío
-    console.error('⚠️  Error cargando tareas desde MongoDB:', error.message);
-    console.log('📝 Iniciando con lista de tareas vacía');
-    tareas.length = 0;
+    console.error('⚠️  Error cargando tareas:', error.message);
+
+    if (repositorio?.remoto) {
+      await cargarSinConexion();
+    } else {
+      console.log('📝 Iniciando con lista de tareas vacía');
+      vaciarMemoria();
+      cargaCompleta = true;
+    }
+  }
+
+  return cargadas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VACIAR MEMORIA
+ * ================================
+ *
+ * .length = 0 es más eficiente que tareas = [] porque:
+ * - Mantiene la referencia del array original
+ * - Permite que otros módulos conserven su referencia
+ * - Es más rápido para arrays grandes
+ */
+function vaciarMemoria() {
+  tareas.length = 0;
+  papelera.length = 0;
+  tareasAjenas = [];
+  cargaCompleta = false;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CARGAR SIN CONEXIÓN
+ * =====================================
+ *
+ * Entra en el MODO SIN CONEXIÓN: todas las tareas pasan a memoria desde la
+ * última instantánea más los cambios pendientes del diario. Las que ya
+ * estaban en memoria se sustituyen (ver sustituirEnMemoria, que localiza
+ * por _id la tarea que se modifica).
+ */
+async function cargarSinConexion() {
+  modoOffline = true;
+  let documentos = [];
+  try {
+    const entradas = await leerEntradas();
+    entradasPendientes = entradas.filter(esEntradaDeTareas).length;
+    documentos = aplicarEntradas(await leerInstantanea(), entradas);
+  } catch (errorLocal) {
+    console.error('⚠️  Error leyendo los datos locales:', errorLocal.message);
   }
+
+  vaciarMemoria();
+  repartirTareas(documentos.map(doc => Tarea.desdeDocumento(doc)));
+  cargaCompleta = true;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PERDER CONEXIÓN
+ * =================================
+ *
+ * La conexión se cortó durante una operación: se sigue sin conexión.
+ */
+async function perderConexion() {
+  console.error('📴 Se perdió la conexión con el almacenamiento. Continuando sin conexión.');
+  await cargarSinConexion();
 }
 
 /**
- * FUNCIÓN: PERSISTIR CAMBIOS A MONGODB
+ * FUNCIÓN AUXILIAR: REPARTIR TAREAS
+ * =================================
+ *
+ * Coloca cada tarea en su array según la papelera y la sesión actual.
+ */
+function repartirTareas(lista) {
+  for (const tarea of lista) {
+    if (esVisible(tarea)) {
+      arrayDe(tarea).push(tarea);
+    } else {
+      tareasAjenas.push(tarea);
+    }
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: QUITAR DE MEMORIA
  * ===================================
  *
- * Guarda el estado actual de las tareas a MongoDB.
- * Se llama después de cada operación que modifica datos
- * (agregar, editar, completar, eliminar).
+ * Quita la tarea (por su _id) del array en el que esté.
+ */
+function quitarDeMemoria(tarea) {
+  const clave = String(tarea._id);
+  const esLaTarea = t => String(t._id) === clave;
+  _.remove(tareas, esLaTarea);
+  _.remove(papelera, esLaTarea);
+  _.remove(tareasAjenas, esLaTarea);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: INCORPORAR DOCUMENTOS
+ * =======================================
  *
- * Esta implementación reemplaza completamente la colección con el estado actual.
- * Para aplicaciones con muchos usuarios concurrentes, se recomendaría
- * operaciones más granulares (insertOne, updateOne, deleteOne).
+ * Lleva a memoria unos documentos traídos del servidor y devuelve sus
+ * instancias, en el orden de los documentos. Una tarea que ya estaba en
+ * memoria con la misma versión conserva su instancia; si cambió (otro
+ * proceso la modificó después), la nueva ocupa su lugar.
  *
- * @returns {Promise<boolean>} - true si se guardó exitosamente
+ * @param {Object[]} documentos
+ * @returns {Tarea[]}
  */
-export async function persistirTareas() {
-  try {
-    // PASO 1: OBTENER COLECCIÓN DE MONGODB
-    const coleccion = await obtenerColeccionTareas();
+function incorporar(documentos) {
+  const enMemoria = new Map([...todasLasTareas(), ...tareasAjenas].map(tarea => [String(tarea._id), tarea]));
+  return documentos.map(documento => {
+    const clave = String(documento._id);
+    const actual = enMemoria.get(clave);
+    if (actual && actual.version === (documento.version ?? 0)) return actual;
+
+    const tarea = Tarea.desdeDocumento(documento);
+    if (actual) quitarDeMemoria(actual);
+    repartirTareas([tarea]);
+    enMemoria.set(clave, tarea);
+    return tarea;
+  });
+}
 
-    // PASO 2: LIMPIAR COLECCIÓN ACTUAL
-    // deleteMany({}) elimina todos los documentos de la colección
-    await coleccion.deleteMany({});
+/**
+ * FUNCIÓN: ACTUALIZAR VISIBILIDAD
+ * ===============================
+ *
+ * Vuelve a repartir las tareas ya cargadas tras iniciar o cerrar sesión,
+ * o al cambiar entre ver las tareas propias y las de todos.
+ */
+export function actualizarVisibilidad() {
+  const lista = [...todasLasTareas(), ...tareasAjenas];
+  tareas.length = 0;
+  papelera.length = 0;
+  tareasAjenas = [];
+  repartirTareas(lista);
+}
+
+/**
+ * FUNCIÓN: RECONECTAR
+ * ===================
+ *
+ * Intenta volver a conectar con el almacenamiento. Si lo consigue,
+ * reproduce los cambios anotados sin conexión.
+ *
+ * @returns {Promise<Object>} - Estado de conexión resultante (ver obtenerEstadoConexion)
+ */
+export async function reconectar() {
+  ultimaSincronizacion = null;
+  await inicializarTareas();
+  return obtenerEstadoConexion();
+}
+
+/**
+ * FUNCIÓN: OBTENER ESTADO DE CONEXIÓN
+ * ===================================
+ *
+ * @returns {{ enLinea: boolean, pendientes: number, ultimaSincronizacion: Object|null }}
+ *   ultimaSincronizacion: { aplicadas, conflictos: [{ descripcion, motivo }] }
+ */
+export function obtenerEstadoConexion() {
+  return {
+    enLinea: !modoOffline,
+    pendientes: entradasPendientes,
+    ultimaSincronizacion
+  };
+}
 
-    // PASO 3: INSERTAR TODAS LAS TAREAS ACTUALES
-    // Si hay tareas en memoria, las insertamos
-    if (tareas.length > 0) {
-      // Convertir todas las tareas a documentos de MongoDB
-      const documentos = tareas.map(tarea => tarea.toDocumento());
+/**
+ * FUNCIÓN AUXILIAR: CONSULTA DE LAS TAREAS VISIBLES
+ * =================================================
+ *
+ * Limita una consulta al servidor a lo que la sesión puede ver (ver
+ * condicionDeVisibilidad) y a uno de los arrays: 'activas' (lo que hay en
+ * "tareas"), 'papelera', o null para los dos (los árboles de subtareas).
+ */
+function consultaVisibles(consulta, donde = 'activas') {
+  const hijos = [
+    consulta,
+    donde ? { tipo: 'existe', campo: 'fechaEliminacion', valor: donde === 'papelera' } : null,
+    condicionDeVisibilidad()
+  ].filter(Boolean);
+  return { tipo: 'y', hijos };
+}
 
-      // insertMany() inserta múltiples documentos en una sola operación
-      await coleccion.insertMany(documentos);
+/**
+ * FUNCIÓN AUXILIAR: CONSULTA POR VALORES
+ * ======================================
+ *
+ * Documentos cuyo campo (_id, padreId) es uno de los de unas tareas o IDs.
+ */
+function consultaPorValores(campo, valores) {
+  return { tipo: 'en', campo, valores: _.uniqBy(valores, String) };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONSULTAR EN EL SERVIDOR
+ * ==========================================
+ *
+ * Ejecuta una consulta contra el repositorio si es remoto y hay conexión.
+ *
+ * @param {Function} consulta - Recibe el repositorio y hace la consulta
+ * @returns {Promise<*>} - Su resultado, o undefined si hay que resolverla en
+ *   memoria (backend local, sin conexión o se acaba de perder la conexión:
+ *   en los tres casos todas las tareas están ya en memoria)
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor la rechaza
+ */
+async function consultarEnServidor(consulta) {
+  const repo = obtenerRepositorio();
+  if (modoOffline || !repo.remoto) return undefined;
+  try {
+    return await consulta(repo);
+  } catch (error) {
+    if (error instanceof ErrorTarea) throw error;
+    if (!repo.esErrorDeConexion(error)) {
+      throw new ErrorTarea(`No se pudo consultar las tareas: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
     }
+    await perderConexion();
+    return undefined;
+  }
+}
 
-    // PASO 4: Retornar éxito
-    return true;
+/**
+ * FUNCIÓN: ASEGURAR TODAS LAS TAREAS
+ * ==================================
+ *
+ * Carga en memoria todas las tareas, para las operaciones que trabajan con
+ * la colección entera (exportar, importar, renombrar un proyecto...).
+ * Con un backend remoto se hace una sola vez por proceso y, ya que se leen
+ * todas, se renueva la instantánea local. Las demás operaciones piden al
+ * servidor solo lo que necesitan.
+ *
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function asegurarTodasLasTareas() {
+  if (cargaCompleta) return;
+  const documentos = await consultarEnServidor(repo => repo.cargarTodas());
+  if (!documentos) return;
 
+  // Las que estaban en memoria y ya no existen (otro proceso las borró) se quitan
+  const existentes = new Set(documentos.map(documento => String(documento._id)));
+  [...todasLasTareas(), ...tareasAjenas]
+    .filter(tarea => !existentes.has(String(tarea._id)))
+    .forEach(quitarDeMemoria);
+  incorporar(documentos);
+  cargaCompleta = true;
+  await actualizarInstantanea(() => guardarInstantanea(documentos));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: BUSCAR TAREAS VISIBLES
+ * ========================================
+ *
+ * Resuelve una consulta en el servidor (si el backend es remoto) o en memoria.
+ *
+ * @param {Object|null} consulta - Árbol de condiciones, o null para todas
+ * @param {'activas'|'papelera'} donde - Array en el que buscar
+ */
+async function buscarVisibles(consulta, donde) {
+  const remotas = await consultarEnServidor(repo => repo.buscar(consultaVisibles(consulta, donde)));
+  if (remotas) return incorporar(remotas);
+
+  const lista = donde === 'papelera' ? papelera : tareas;
+  return consulta ? lista.filter(tarea => cumpleConsulta(consulta, tarea.toDocumento())) : [...lista];
+}
+
+/**
+ * FUNCIÓN: BUSCAR TAREAS ACTIVAS
+ * ==============================
+ *
+ * Resuelve una consulta (ver utils/consulta.js) sobre las tareas activas.
+ * En los backends remotos la filtra el servidor y las tareas encontradas
+ * pasan a memoria (solo las que la sesión puede ver). En los locales, o sin
+ * conexión, se evalúa en memoria.
+ *
+ * @param {Object} consulta - Árbol devuelto por analizarConsulta()
+ * @returns {Promise<Tarea[]>} - Tareas del array global
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function buscarTareasActivas(consulta) {
+  return buscarVisibles(consulta, 'activas');
+}
+
+/**
+ * FUNCIÓN: BUSCAR TAREAS EN LA PAPELERA
+ * =====================================
+ *
+ * Como buscarTareasActivas(), entre las tareas de la papelera.
+ *
+ * @param {Object|null} consulta - Árbol de condiciones, o null para todas
+ * @returns {Promise<Tarea[]>}
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function buscarTareasEnPapelera(consulta = null) {
+  return buscarVisibles(consulta, 'papelera');
+}
+
+/**
+ * FUNCIÓN: BUSCAR TAREAS POR ID
+ * =============================
+ *
+ * Tareas cuyo ID empieza por un texto (un ID completo también es su propio
+ * prefijo). En los backends remotos las busca el servidor por rango de IDs.
+ *
+ * @param {string} prefijo - ID o prefijo, en minúsculas
+ * @param {Object} opciones - { enPapelera: buscar entre las tareas eliminadas,
+ *   limite: cuántas como mucho (para saber si es ambiguo basta con dos) }
+ * @returns {Promise<Tarea[]>}
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function buscarTareasPorId(prefijo, { enPapelera = false, limite = 2 } = {}) {
+  // Los IDs son hexadecimales: cualquier otro texto no coincide con ninguno
+  if (!/^[0-9a-f]{1,24}$/.test(prefijo)) return [];
+
+  const consulta = consultaVisibles({ tipo: 'prefijo', campo: '_id', valor: prefijo }, enPapelera ? 'papelera' : 'activas');
+  const remota = await consultarEnServidor(repo => repo.consultarPagina(consulta, { claves: CLAVES_ORDEN.creacion, limite }));
+  if (remota) return incorporar(remota.documentos);
+
+  const lista = enPapelera ? papelera : tareas;
+  return lista.filter(tarea => String(tarea._id).startsWith(prefijo)).slice(0, limite);
+}
+
+/**
+ * FUNCIÓN: CARGAR TAREAS POR IDS
+ * ==============================
+ *
+ * Las tareas visibles (activas o en la papelera) con alguno de esos IDs
+ * completos, en una sola consulta. Los textos que no son un ID y los IDs
+ * que no existen no aparecen en el resultado.
+ *
+ * @param {Array<ObjectId|string>} ids
+ * @returns {Promise<Tarea[]>}
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function cargarTareasPorIds(ids) {
+  const validos = _.uniq(ids.map(id => _.toLower(String(id ?? '').trim()))).filter(id => /^[0-9a-f]{24}$/.test(id));
+  if (validos.length === 0) return [];
+
+  const consulta = consultaPorValores('_id', validos.map(id => ObjectId.createFromHexString(id)));
+  const remotas = await consultarEnServidor(repo => repo.buscar(consultaVisibles(consulta, null)));
+  if (remotas) return incorporar(remotas);
+
+  const buscados = new Set(validos);
+  return todasLasTareas().filter(tarea => buscados.has(String(tarea._id)));
+}
+
+/**
+ * FUNCIÓN: CARGAR ÁRBOLES
+ * =======================
+ *
+ * Con un backend remoto, trae a memoria el árbol completo de cada tarea:
+ * sus antecesoras hasta la tarea principal y todas las subtareas de esta
+ * (activas y en la papelera). Así las operaciones que recorren subtareas o
+ * padres (completar en cascada, eliminar, mover) los encuentran en memoria.
+ * Se hace una consulta por nivel. Con todas las tareas en memoria no hace nada.
+ *
+ * @param {Tarea[]} lista - Tareas de partida
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function cargarArboles(lista) {
+  const vistas = new Set();
+  const nuevas = grupo => _.uniqBy(grupo, t => String(t._id)).filter(t => !vistas.has(String(t._id)));
+
+  // PASO 1: Subir hasta las tareas principales
+  const raices = [];
+  let nivel = nuevas(lista);
+  while (!cargaCompleta && nivel.length > 0) {
+    nivel.forEach(tarea => vistas.add(String(tarea._id)));
+    raices.push(...nivel.filter(tarea => !tarea.padreId));
+    const idsPadres = nivel.filter(tarea => tarea.padreId).map(tarea => tarea.padreId);
+    if (idsPadres.length === 0) break;
+    const padres = await consultarEnServidor(repo => repo.buscar(consultaVisibles(consultaPorValores('_id', idsPadres), null)));
+    if (!padres) break;
+    // Una subtarea cuyo padre ya no existe (o no es visible) hace de raíz
+    const encontrados = new Set(padres.map(padre => String(padre._id)));
+    raices.push(...nivel.filter(tarea => tarea.padreId && !encontrados.has(String(tarea.padreId))));
+    nivel = nuevas(incorporar(padres));
+  }
+
+  // PASO 2: Bajar nivel a nivel desde ellas
+  vistas.clear();
+  nivel = nuevas(raices);
+  while (!cargaCompleta && nivel.length > 0) {
+    nivel.forEach(tarea => vistas.add(String(tarea._id)));
+    const ids = nivel.map(tarea => tarea._id);
+    const hijas = await consultarEnServidor(repo => repo.buscar(consultaVisibles(consultaPorValores('padreId', ids), null)));
+    if (!hijas) break;
+    nivel = nuevas(incorporar(hijas));
+  }
+}
+
+/**
+ * FUNCIÓN: CARGAR SUBTAREAS
+ * =========================
+ *
+ * Como cargarArboles(), pero solo las subtareas directas de cada tarea: lo
+ * que necesita un listado para mostrar el progreso ("3/5") de cada una.
+ *
+ * @param {Tarea[]} lista - Tareas de partida
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function cargarSubtareas(lista) {
+  if (cargaCompleta || _.isEmpty(lista)) return;
+  const hijas = await consultarEnServidor(repo =>
+    repo.buscar(consultaVisibles(consultaPorValores('padreId', lista.map(tarea => tarea._id)))));
+  if (hijas) incorporar(hijas);
+}
+
+/**
+ * FUNCIÓN: CONSULTAR PÁGINA DE TAREAS ACTIVAS
+ * ===========================================
+ *
+ * Una página de las tareas activas que cumplen una consulta, en el orden
+ * indicado (ver utils/paginacion.js). En los backends remotos el servidor
+ * filtra, ordena y corta, y solo viaja la página; en los locales, o sin
+ * conexión, se resuelve en memoria con el mismo resultado.
+ *
+ * @param {Object|null} consulta - Árbol de condiciones, o null para todas
+ * @param {Object} opciones - { claves: una de CLAVES_ORDEN, limite, cursor?: el de la página anterior }
+ * @returns {Promise<{ tareas: Tarea[], siguiente: string|null }>} - siguiente
+ *   es el cursor de la página que sigue (null en la última)
+ * @throws {ErrorTarea} - VALIDACION si el cursor no es válido; PERSISTENCIA
+ *   si el servidor rechaza la consulta
+ */
+export async function consultarPaginaActivas(consulta, { claves, limite, cursor = null }) {
+  const remota = await consultarEnServidor(repo => repo.consultarPagina(consultaVisibles(consulta), { claves, limite, cursor }));
+  if (remota) return { tareas: incorporar(remota.documentos), siguiente: remota.siguiente };
+
+  const candidatas = consulta ? tareas.filter(tarea => cumpleConsulta(consulta, tarea.toDocumento())) : tareas;
+  const { elementos, siguiente } = paginar(candidatas, claves, { limite, cursor });
+  return { tareas: elementos, siguiente };
+}
+
+/**
+ * FUNCIÓN: HAY TAREAS ACTIVAS
+ * ===========================
+ *
+ * Para los menús que no tienen sentido sin tareas, sin cargarlas todas.
+ *
+ * @param {Object|null} consulta - Árbol de condiciones, o null para cualquiera
+ * @returns {Promise<boolean>}
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function hayTareasActivas(consulta = null) {
+  const { tareas: primera } = await consultarPaginaActivas(consulta, { claves: CLAVES_ORDEN.creacion, limite: 1 });
+  return primera.length > 0;
+}
+
+/**
+ * FUNCIÓN: RESUMIR TAREAS ACTIVAS
+ * ===============================
+ *
+ * Los recuentos de las estadísticas y la analítica (ver utils/resumen.js).
+ * En los backends remotos los calcula el servidor con una agregación y solo
+ * viaja el resumen; en los locales, o sin conexión, se calculan en memoria.
+ *
+ * @param {Object} opciones - { ahora, desde?, hasta? } (ver resumirDocumentos)
+ * @returns {Promise<Object>}
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function resumirTareasActivas(opciones = {}) {
+  const remoto = await consultarEnServidor(repo => repo.resumir(consultaVisibles(null), opciones));
+  if (remoto) return remoto;
+  return resumirDocumentos(tareas.map(tarea => tarea.toDocumento()), opciones);
+}
+
+/**
+ * FUNCIÓN: BUSCAR TAREAS ACTIVAS POR DESCRIPCIÓN
+ * ==============================================
+ *
+ * Tareas activas con esa descripción (sin distinguir mayúsculas) que además
+ * cumplen una consulta: la base de la comprobación de duplicados. En los
+ * backends remotos la resuelve el servidor con su índice de descripciones.
+ *
+ * @param {string} descripcion - Descripción ya recortada
+ * @param {Object|null} consulta - Árbol de condiciones, o null
+ * @returns {Promise<Tarea[]>}
+ * @throws {ErrorTarea} - PERSISTENCIA si el servidor rechaza la consulta
+ */
+export async function buscarActivasPorDescripcion(descripcion, consulta = null) {
+  const remotas = await consultarEnServidor(repo => repo.buscarPorDescripcion(descripcion, consultaVisibles(consulta)));
+  if (remotas) return incorporar(remotas);
+
+  return tareas.filter(tarea =>
+    _.toLower(tarea.descripcion) === _.toLower(descripcion) &&
+    (!consulta || cumpleConsulta(consulta, tarea.toDocumento()))
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PREPARAR ÍNDICES
+ * ==================================
+ *
+ * Sin los índices todo funciona igual, solo más despacio: un fallo
+ * (por ejemplo, un usuario sin permiso para crearlos) solo se avisa.
+ */
+async function prepararIndices(repo) {
+  if (indicesPreparados) return;
+  indicesPreparados = true;
+  try {
+    await repo.prepararIndices();
   } catch (error) {
-    // MANEJO DE ERRORES CON LOG
-    // Mostramos el error al usuario pero no terminamos la aplicación
-    console.error('❌ Error al guardar tareas en MongoDB:', error.message);
-    return false;
+    console.error('⚠️  No se pudieron crear los índices del almacenamiento:', error.message);
   }
 }
 
 /**
- * FUNCIONES AUXILIARES PARA OPERACIONES ESPECÍFICAS
- * =================================================
+ * FUNCIÓN AUXILIAR: SINCRONIZAR DIARIO
+ * ====================================
+ *
+ * Reproduce en orden las entradas del diario contra el almacenamiento.
+ * Cada entrada exige la versión que tenía la tarea cuando se hizo el cambio:
+ * si la tarea cambió en el almacenamiento mientras estábamos sin conexión,
+ * la entrada NO se aplica y se guarda en el archivo de conflictos.
+ *
+ * Lo mismo ocurre si la entrada repite la descripción de una tarea que otro
+ * proceso guardó mientras tanto (ver RepositorioTareas.esErrorDeDuplicado).
+ *
+ * Los eventos de auditoría anotados sin conexión se guardan en su sitio del
+ * diario, con la fecha y el usuario originales, salvo los de tareas cuyo
+ * cambio acabó en conflicto (ver anexarDocumentos).
  *
- * Estas funciones proporcionan operaciones más eficientes para casos específicos
- * cuando no necesitamos reemplazar toda la colección.
+ * Tras procesar cada entrada se reescribe el diario con las restantes, de modo
+ * que una interrupción (por ejemplo, se vuelve a cortar la red) no repite ni
+ * pierde cambios. Las entradas que ya se aplicaron en un intento anterior
+ * se reconocen y se dan por buenas.
  */
+async function sincronizarDiario(repo, entradas) {
+  // Solo se leen del almacenamiento las tareas a las que se refiere el diario
+  const documentos = await repo.buscar(consultaPorValores('_id', idsDeEntradas(entradas)));
+  const actuales = new Map(documentos.map(doc => [String(doc._id), doc]));
+  const resultado = { aplicadas: 0, conflictos: [] };
+  const restantes = [...entradas];
+  const enConflicto = new Set();
+
+  for (const entrada of entradas) {
+    if (!esEntradaDeTareas(entrada)) {
+      await anexarDocumentos(repo, entrada, enConflicto);
+      restantes.shift();
+      await reemplazarEntradas(restantes);
+      continue;
+    }
+
+    const clave = String(entrada.id);
+    const actual = actuales.get(clave);
+
+    let aplicada = entradaYaAplicada(entrada, actual);
+    let duplicada = false;
+    if (!aplicada && !(entrada.operacion === 'insertar' && actual)) {
+      try {
+        aplicada = await aplicarEntrada(repo, entrada);
+      } catch (error) {
+        // Otro proceso guardó mientras tanto una tarea con la misma descripción
+        if (!repo.esErrorDeDuplicado(error)) throw error;
+        duplicada = true;
+      }
+    }
+
+    if (aplicada) {
+      resultado.aplicadas++;
+      if (entrada.operacion === 'eliminar') {
+        actuales.delete(clave);
+      } else {
+        actuales.set(clave, entrada.documento);
+      }
+    } else {
+      const motivo = duplicada
+        ? 'Ya existe otra tarea con la misma descripción en el almacenamiento'
+        : `La tarea ${actual ? 'cambió' : 'fue eliminada'} en el almacenamiento mientras estabas sin conexión`;
+      await registrarConflicto(entrada, motivo);
+      enConflicto.add(clave);
+      resultado.conflictos.push({
+        descripcion: entrada.documento?.descripcion ?? actual?.descripcion ?? clave,
+        motivo
+      });
+    }
+
+    restantes.shift();
+    await reemplazarEntradas(restantes);
+  }
+
+  return resultado;
+}
 
 /**
- * FUNCIÓN: AGREGAR UNA TAREA A MONGODB
+ * FUNCIÓN AUXILIAR: IDS DE LAS ENTRADAS
+ * =====================================
+ *
+ * Tareas a las que se refieren las entradas de tareas del diario.
+ */
+function idsDeEntradas(entradas) {
+  return _.uniqBy(entradas.filter(esEntradaDeTareas).map(entrada => entrada.id), String);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REFRESCAR EN LA INSTANTÁNEA
+ * =============================================
+ *
+ * Tras sincronizar el diario, anota en la instantánea cómo quedaron en el
+ * almacenamiento las tareas a las que se refería (con o sin conflicto).
+ */
+async function refrescarEnInstantanea(repo, entradas) {
+  const ids = idsDeEntradas(entradas);
+  const documentos = await repo.buscar(consultaPorValores('_id', ids));
+  const porId = new Map(documentos.map(doc => [String(doc._id), doc]));
+  await actualizarInstantanea(() => anotarEnInstantanea(ids.map(id => (porId.has(String(id))
+    ? { operacion: 'actualizar', documento: porId.get(String(id)), id }
+    : { operacion: 'eliminar', id }))));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ANEXAR DOCUMENTOS
  * ===================================
  *
- * Inserta una nueva tarea directamente en MongoDB sin afectar las demás.
+ * Guarda los documentos de una entrada 'anexar' en su colección auxiliar.
+ * Los de una tarea cuyo cambio no se aplicó se descartan: registrarían algo
+ * que no pasó. Los que ya se guardaron en un intento anterior se dan por buenos.
+ *
+ * @param {RepositorioTareas} repo - Repositorio de las tareas
+ * @param {Object} entrada - { coleccion, documentos }
+ * @param {Set<string>} enConflicto - IDs de las tareas con cambios no aplicados
+ */
+async function anexarDocumentos(repo, { coleccion, documentos }, enConflicto) {
+  const auxiliar = repo.auxiliar(coleccion);
+  for (const documento of documentos) {
+    if (enConflicto.has(String(documento.tareaId))) continue;
+    try {
+      await auxiliar.insertar(documento);
+    } catch (error) {
+      if (!auxiliar.esErrorDeDuplicado(error)) throw error;
+    }
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: APLICAR ENTRADA
+ * =================================
+ *
+ * Ejecuta una operación (en el formato del diario) contra el repositorio.
+ *
+ * @returns {Promise<boolean>} - false si hubo conflicto de versión
+ */
+async function aplicarEntrada(repo, entrada) {
+  switch (entrada.operacion) {
+    case 'insertar':
+      await repo.insertar(entrada.documento);
+      return true;
+    case 'actualizar':
+      return repo.actualizar(entrada.documento, entrada.versionEsperada);
+    case 'eliminar':
+      return repo.eliminar(entrada.id, entrada.versionEsperada);
+    default:
+      throw new Error(`Operación desconocida en el diario: ${entrada.operacion}`);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ACTUALIZAR INSTANTÁNEA
+ * ========================================
+ *
+ * Un fallo al guardar la instantánea no debe impedir la operación principal.
+ *
+ * @param {Function} actualizar - Escribe la instantánea o le anota cambios
  */
-export async function agregarTareaDB(tarea) {
+async function actualizarInstantanea(actualizar) {
   try {
-    const coleccion = await obtenerColeccionTareas();
-    await coleccion.insertOne(tarea.toDocumento());
-    return true;
+    await actualizar();
   } catch (error) {
-    console.error('❌ Error al agregar tarea a MongoDB:', error.message);
-    return false;
+    console.error('⚠️  No se pudo guardar la copia local de las tareas:', error.message);
   }
 }
 
 /**
- * FUNCIÓN: ACTUALIZAR UNA TAREA EN MONGODB
- * =======================================
+ * FUNCIÓN: CERRAR ALMACENAMIENTO
+ * ==============================
  *
- * Actualiza una tarea específica en MongoDB por su _id.
+ * Libera los recursos del repositorio activo (por ejemplo, la conexión a MongoDB).
+ * Se ejecuta al terminar la aplicación.
  */
-export async function actualizarTareaDB(tarea) {
+export async function cerrarAlmacenamiento() {
+  if (repositorio) {
+    await repositorio.cerrar();
+  }
+}
+
+/**
+ * GRABACIÓN DE CAMBIOS
+ * ====================
+ *
+ * Mientras hay una grabación activa, cada escritura con éxito anota el
+ * documento anterior y el posterior de la tarea afectada (null si no existía
+ * o si se eliminó). Así el historial puede deshacer cualquier operación sin
+ * que cada una tenga que saber cómo revertirse, y la auditoría sabe qué
+ * cambió en cada tarea.
+ *
+ * Si una misma tarea cambia varias veces, se conserva su estado inicial y el final.
+ */
+let cambiosGrabados = null;
+
+/**
+ * FUNCIÓN: GRABAR CAMBIOS
+ * =======================
+ *
+ * Ejecuta una operación grabando las escrituras que realiza. Los cambios se
+ * entregan también si la operación falla a medias, para poder deshacer lo
+ * que sí llegó a guardarse.
+ *
+ * Las grabaciones no se anidan: dentro de otra grabación, la operación
+ * se ejecuta sin más y sus cambios quedan en la grabación exterior.
+ *
+ * @param {Function} operacion - Función asíncrona que escribe tareas
+ * @param {Function} alTerminar - Recibe los cambios [{ antes, despues }] al acabar
+ * @returns {Promise<*>} - Lo que devuelva la operación
+ */
+export async function grabarCambios(operacion, alTerminar) {
+  if (cambiosGrabados) return operacion();
+
+  const cambios = cambiosGrabados = [];
   try {
-    const coleccion = await obtenerColeccionTareas();
-    const resultado = await coleccion.updateOne(
-      { _id: tarea._id },
-      { $set: tarea.toDocumento() }
-    );
-    return resultado.modifiedCount > 0;
+    return await operacion();
+  } finally {
+    cambiosGrabados = null;
+    await alTerminar(cambios.filter(c => c.antes || c.despues));
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ANOTAR CAMBIO
+ * ===============================
+ */
+function anotarCambio(id, antes, despues) {
+  if (!cambiosGrabados) return;
+  const previo = cambiosGrabados.find(c => String(c.id) === String(id));
+  if (previo) {
+    previo.despues = despues;
+  } else {
+    cambiosGrabados.push({ id, antes, despues });
+  }
+}
+
+/**
+ * ESCRITURAS GRANULARES CON CONCURRENCIA OPTIMISTA
+ * ================================================
+ *
+ * Cada operación escribe solo el documento afectado. Al actualizar o eliminar
+ * se exige que la versión almacenada sea la que teníamos en memoria: si otro
+ * proceso cambió la tarea mientras tanto, el repositorio no encuentra el
+ * documento con esa versión y la operación se rechaza en lugar de sobrescribir.
+ *
+ * Ante un conflicto se recargan las tareas desde el almacenamiento para que
+ * el usuario vea el estado real antes de volver a intentarlo.
+ *
+ * Sin conexión, la operación se anota en el diario (con la versión esperada)
+ * y el conflicto, si lo hay, se detecta al sincronizar.
+ *
+ * El estado en memoria solo se modifica cuando la escritura tuvo éxito.
+ */
+
+/**
+ * FUNCIÓN AUXILIAR: ESCRIBIR
+ * ==========================
+ *
+ * Aplica una operación en el almacenamiento o, sin conexión, la anota en el diario.
+ * Si la conexión se pierde justo durante la operación, se pasa al modo sin
+ * conexión (ver cargarSinConexion) y la operación se anota igualmente.
+ * Si el almacenamiento la rechaza por repetir la descripción de otra tarea,
+ * recarga las tareas y lanza DUPLICADA (ver resolverDuplicado).
+ * Convierte cualquier otro fallo en un ErrorTarea de persistencia.
+ *
+ * @param {Object} entrada - { operacion, documento?, id, versionEsperada }
+ * @returns {Promise<boolean>} - false si hubo conflicto de versión
+ */
+async function escribir(entrada) {
+  try {
+    if (!modoOffline) {
+      const repo = obtenerRepositorio();
+      try {
+        return await aplicarEntrada(repo, entrada);
+      } catch (error) {
+        if (repo.esErrorDeDuplicado(error)) return await resolverDuplicado(entrada.documento);
+        if (!repo.esErrorDeConexion(error)) throw error;
+        await perderConexion();
+      }
+    }
+
+    await registrarEntrada(entrada);
+    entradasPendientes++;
+    return true;
+
   } catch (error) {
-    console.error('❌ Error al actualizar tarea en MongoDB:', error.message);
-    return false;
+    if (error instanceof ErrorTarea) throw error;
+    throw new ErrorTarea(`No se pudieron guardar los cambios: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
   }
 }
 
 /**
- * FUNCIÓN: ELIMINAR UNA TAREA DE MONGODB
- * =====================================
+ * FUNCIÓN AUXILIAR: ESCRIBIR LOTE
+ * ===============================
  *
- * Elimina una tarea específica de MongoDB por su _id.
+ * Como escribir(), pero envía varias operaciones juntas
+ * (ver RepositorioTareas.aplicarLote). Sin conexión, todas se anotan
+ * en el diario de una vez.
+ *
+ * @param {Object[]} entradas - [{ operacion, documento?, id, versionEsperada }]
+ * @returns {Promise<Object[]>} - Entradas rechazadas por conflicto de versión
+ *   o, con duplicada: true, por repetir la descripción de otra tarea
  */
-export async function eliminarTareaDB(tareaId) {
+async function escribirLote(entradas) {
   try {
-    const coleccion = await obtenerColeccionTareas();
-    const resultado = await coleccion.deleteOne({ _id: tareaId });
-    return resultado.deletedCount > 0;
+    if (!modoOffline) {
+      const repo = obtenerRepositorio();
+      try {
+        return await repo.aplicarLote(entradas);
+      } catch (error) {
+        if (!repo.esErrorDeConexion(error)) throw error;
+        await perderConexion();
+      }
+    }
+
+    await registrarEntradas(entradas);
+    entradasPendientes += entradas.length;
+    return [];
+
   } catch (error) {
-    console.error('❌ Error al eliminar tarea de MongoDB:', error.message);
-    return false;
+    throw new ErrorTarea(`No se pudieron guardar los cambios: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TRAS ESCRIBIR
+ * ===============================
+ *
+ * Con el array global ya actualizado, anota en la instantánea local las
+ * escrituras que se guardaron, sin reescribirla entera (ver
+ * anotarEnInstantanea). Solo con conexión y en backends remotos: sin
+ * conexión la instantánea debe seguir reflejando el último estado conocido
+ * del almacenamiento, y los cambios ya están en el diario.
+ *
+ * @param {Object[]} entradas - Escrituras guardadas, en el formato del diario
+ */
+async function trasEscribir(entradas) {
+  if (!modoOffline && obtenerRepositorio().remoto && entradas.length > 0) {
+    await actualizarInstantanea(() => anotarEnInstantanea(entradas));
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RESOLVER CONFLICTO
+ * ====================================
+ *
+ * Recarga los datos y lanza el error de conflicto para informar al usuario.
+ *
+ * @param {Tarea} tarea - Tarea en conflicto (la primera, si son varias)
+ * @param {number} cantidad - Cuántas tareas de la operación tuvieron conflicto
+ */
+async function resolverConflicto(tarea, cantidad = 1) {
+  await inicializarTareas();
+  const afectadas = cantidad > 1
+    ? `${cantidad} de las tareas (entre ellas "${tarea.descripcion}") fueron modificadas o eliminadas`
+    : `La tarea "${tarea.descripcion}" fue modificada o eliminada`;
+  throw new ErrorTarea(
+    `${afectadas} por otro usuario. ` +
+    'Se recargaron las tareas; revisa los cambios y vuelve a intentarlo.',
+    CODIGOS_ERROR.CONFLICTO
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RESOLVER DUPLICADO
+ * ====================================
+ *
+ * Como resolverConflicto, cuando el almacenamiento rechaza la escritura por
+ * repetir la descripción de una tarea que otro proceso acaba de guardar.
+ *
+ * @param {Object} documento - Documento rechazado (el primero, si son varios)
+ * @param {number} cantidad - Cuántas tareas de la operación se rechazaron
+ */
+async function resolverDuplicado(documento, cantidad = 1) {
+  await inicializarTareas();
+  const afectadas = cantidad > 1
+    ? `${cantidad} de las tareas (entre ellas "${documento.descripcion}") repiten la descripción`
+    : `La tarea "${documento.descripcion}" repite la descripción`;
+  throw new ErrorTarea(
+    `${afectadas} de otra que se acaba de guardar con el mismo padre. ` +
+    'Se recargaron las tareas; revisa los cambios y vuelve a intentarlo.',
+    CODIGOS_ERROR.DUPLICADA
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SUSTITUIR EN MEMORIA
+ * ======================================
+ *
+ * Pone la copia guardada en el lugar de la tarea. Si la copia entra o sale
+ * de la papelera, pasa al array correspondiente.
+ */
+function sustituirEnMemoria(tarea, copia) {
+  // Por _id: la instancia en memoria puede ser otra (ver incorporar y cargarSinConexion)
+  const origen = arrayDe(tarea);
+  const indice = origen.findIndex(t => String(t._id) === String(tarea._id));
+  if (origen === arrayDe(copia) && indice !== -1) {
+    origen[indice] = copia;
+  } else {
+    quitarDeMemoria(tarea);
+    arrayDe(copia).push(copia);
+  }
+}
+
+/**
+ * FUNCIÓN: GUARDAR NUEVA TAREA
+ * ============================
+ *
+ * Inserta una tarea recién creada y, si tuvo éxito, la agrega al array global
+ * (o a la papelera, si el documento ya viene eliminado).
+ * Si la tarea no tiene propietario, pasa a ser del usuario de la sesión.
+ *
+ * @param {Tarea} tarea - Tarea nueva (versión 0)
+ * @returns {Promise<Tarea>} - La misma tarea, ya con versión 1
+ */
+export async function guardarNuevaTarea(tarea) {
+  tarea.propietarioId ??= obtenerSesion().usuario?._id ?? null;
+  const documento = { ...tarea.toDocumento(), version: 1 };
+  const entrada = { operacion: 'insertar', documento, id: tarea._id, versionEsperada: 0 };
+  await escribir(entrada);
+
+  tarea.version = 1;
+  arrayDe(tarea).push(tarea);
+  anotarCambio(tarea._id, null, documento);
+  await trasEscribir([entrada]);
+  return tarea;
+}
+
+/**
+ * FUNCIÓN: MODIFICAR TAREA
+ * ========================
+ *
+ * Aplica los cambios sobre una copia de la tarea, la guarda exigiendo la versión
+ * actual y, si tuvo éxito, sustituye la tarea del array global por la copia.
+ * Si la copia entra o sale de la papelera, pasa al array correspondiente.
+ *
+ * @param {Tarea} tarea - Tarea del array global o de la papelera
+ * @param {Function} aplicarCambios - Recibe la copia y la modifica
+ * @returns {Promise<Tarea>} - Tarea actualizada (nueva instancia)
+ * @throws {ErrorTarea} - CONFLICTO si otro proceso la modificó o eliminó
+ */
+export async function modificarTarea(tarea, aplicarCambios) {
+  const copia = Tarea.desdeDocumento(tarea.toDocumento());
+  aplicarCambios(copia);
+  copia.version = tarea.version + 1;
+
+  const entrada = {
+    operacion: 'actualizar',
+    documento: copia.toDocumento(),
+    id: tarea._id,
+    versionEsperada: tarea.version
+  };
+  const actualizada = await escribir(entrada);
+  if (!actualizada) {
+    return resolverConflicto(tarea);
+  }
+
+  sustituirEnMemoria(tarea, copia);
+  anotarCambio(tarea._id, tarea.toDocumento(), copia.toDocumento());
+  await trasEscribir([entrada]);
+  return copia;
+}
+
+/**
+ * FUNCIÓN: BORRAR TAREA
+ * =====================
+ *
+ * Elimina definitivamente la tarea exigiendo la versión actual y, si tuvo
+ * éxito, la quita del array global. Para enviarla a la papelera se usa
+ * modificarTarea() con moverAPapelera().
+ *
+ * @param {Tarea} tarea - Tarea del array global o de la papelera
+ * @throws {ErrorTarea} - CONFLICTO si otro proceso la modificó o eliminó
+ */
+export async function borrarTarea(tarea) {
+  const entrada = { operacion: 'eliminar', id: tarea._id, versionEsperada: tarea.version };
+  const eliminada = await escribir(entrada);
+  if (!eliminada) {
+    return resolverConflicto(tarea);
   }
-}
\ No newline at end of file
+
+  quitarDeMemoria(tarea);
+  anotarCambio(tarea._id, tarea.toDocumento(), null);
+  await trasEscribir([entrada]);
+}
+
+/**
+ * FUNCIÓN: GUARDAR LOTE
+ * =====================
+ *
+ * Guarda de una sola vez varias tareas nuevas y varias modificaciones
+ * (ver las operaciones en bloque de services/tareasService.js).
+ * Cada modificación es { tarea, aplicarCambios }, como en modificarTarea();
+ * si una tarea aparece varias veces, sus cambios se aplican en orden sobre
+ * la misma copia. Cada documento exige su versión actual.
+ *
+ * Si otro proceso modificó alguna de las tareas, o guardó otra con la misma
+ * descripción, esa parte se rechaza y el resto queda guardado: pasa al estado
+ * en memoria y se graba (para poder deshacerlo) antes de informar del conflicto.
+ *
+ * @param {Object} lote - { nuevas?: Tarea[] (versión 0), modificaciones?: [{ tarea, aplicarCambios }] }
+ * @returns {Promise<Object>} - { nuevas: Tarea[], modificadas: Tarea[] (una por
+ *                              tarea, nuevas instancias, en el orden recibido) }
+ * @throws {ErrorTarea} - CONFLICTO si se rechazó alguna modificación, o
+ *   DUPLICADA si alguna repetía la descripción de otra tarea
+ */
+export async function guardarLote({ nuevas = [], modificaciones = [] }) {
+  // PASO 1: Preparar una copia por tarea con todos sus cambios
+  const copias = new Map();
+  for (const { tarea, aplicarCambios } of modificaciones) {
+    const clave = String(tarea._id);
+    if (!copias.has(clave)) copias.set(clave, { tarea, copia: Tarea.desdeDocumento(tarea.toDocumento()) });
+    aplicarCambios(copias.get(clave).copia);
+  }
+  copias.forEach(({ tarea, copia }) => { copia.version = tarea.version + 1; });
+  nuevas.forEach(tarea => { tarea.propietarioId ??= obtenerSesion().usuario?._id ?? null; });
+
+  // PASO 2: Escribir todo junto
+  const entradas = [
+    ...nuevas.map(tarea => ({
+      operacion: 'insertar',
+      documento: { ...tarea.toDocumento(), version: 1 },
+      id: tarea._id,
+      versionEsperada: 0
+    })),
+    ...[...copias.values()].map(({ tarea, copia }) => ({
+      operacion: 'actualizar',
+      documento: copia.toDocumento(),
+      id: tarea._id,
+      versionEsperada: tarea.version
+    }))
+  ];
+  const rechazadas = await escribirLote(entradas);
+  const idsRechazados = new Set(rechazadas.map(entrada => String(entrada.id)));
+
+  // PASO 3: Llevar a memoria lo que se guardó
+  const guardadas = nuevas.filter(tarea => !idsRechazados.has(String(tarea._id)));
+  for (const tarea of guardadas) {
+    tarea.version = 1;
+    arrayDe(tarea).push(tarea);
+    anotarCambio(tarea._id, null, tarea.toDocumento());
+  }
+  const modificadas = [];
+  for (const [clave, { tarea, copia }] of copias) {
+    if (idsRechazados.has(clave)) continue;
+    sustituirEnMemoria(tarea, copia);
+    anotarCambio(tarea._id, tarea.toDocumento(), copia.toDocumento());
+    modificadas.push(copia);
+  }
+  await trasEscribir(entradas.filter(entrada => !idsRechazados.has(String(entrada.id))));
+
+  // PASO 4: Informar de lo que no se pudo guardar
+  const duplicadas = rechazadas.filter(entrada => entrada.duplicada);
+  if (duplicadas.length > 0) {
+    return resolverDuplicado(duplicadas[0].documento, duplicadas.length);
+  }
+  if (idsRechazados.size > 0) {
+    const { tarea } = copias.get([...idsRechazados][0]);
+    return resolverConflicto(tarea, idsRechazados.size);
+  }
+  return { nuevas: guardadas, modificadas };
+}
@@ -0,0 +1,94 @@
+/**
+ * CUENTAS DE USUARIO
+ * ==================
+ *
+ * Las cuentas se guardan en el mismo almacenamiento que las tareas, en su
+ * colección auxiliar "usuarios" (tareas.usuarios en MongoDB,
+ * tareas.usuarios.json con el backend json), así que todos los que comparten
+ * la base de datos comparten también las cuentas.
+ *
+ * Cada cuenta tiene la forma:
+ *   { _id, nombre,               // En minúsculas, único
+ *     contrasena,                // 'scrypt:<sal>:<hash>' (nunca la contraseña)
+ *     admin,                     // Puede ver las tareas de todos y crear cuentas
+ *     sesiones: [{ token, expira }],  // Hash de cada sesión abierta
+ *     fechaCreacion, version }
+ *
+ * La lógica (hash de contraseñas, permisos) está en services/usuariosService.js.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Repositorio activo
+import { obtenerRepositorio } from './tareas.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Colección auxiliar del almacenamiento donde viven las cuentas
+const COLECCION_USUARIOS = 'usuarios';
+
+/**
+ * FUNCIÓN AUXILIAR: REPOSITORIO DE USUARIOS
+ * =========================================
+ */
+function repositorioUsuarios() {
+  return obtenerRepositorio().auxiliar(COLECCION_USUARIOS);
+}
+
+/**
+ * FUNCIÓN: CARGAR USUARIOS
+ * ========================
+ *
+ * @returns {Promise<Object[]>} - Cuentas ordenadas por nombre
+ * @throws {ErrorTarea} - PERSISTENCIA si no se pueden leer
+ */
+export async function cargarUsuarios() {
+  try {
+    return _.sortBy(await repositorioUsuarios().cargarTodas(), 'nombre');
+  } catch (error) {
+    throw new ErrorTarea(`No se pudieron leer las cuentas de usuario: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN: GUARDAR NUEVO USUARIO
+ * ==============================
+ *
+ * @param {Object} usuario - Cuenta completa, con versión 1
+ */
+export async function guardarNuevoUsuario(usuario) {
+  try {
+    await repositorioUsuarios().insertar(usuario);
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo guardar la cuenta: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN: MODIFICAR USUARIO
+ * ==========================
+ *
+ * Igual que con las tareas, se exige la versión leída para no pisar
+ * los cambios de otro proceso (por ejemplo, otro inicio de sesión).
+ *
+ * @param {Object} usuario - Cuenta tal como se leyó
+ * @param {Object} cambios - Campos a sustituir
+ * @returns {Promise<Object>} - Cuenta actualizada
+ * @throws {ErrorTarea} - CONFLICTO si otro proceso la cambió mientras tanto
+ */
+export async function modificarUsuario(usuario, cambios) {
+  const actualizado = { ...usuario, ...cambios, version: usuario.version + 1 };
+  let guardado;
+  try {
+    guardado = await repositorioUsuarios().actualizar(actualizado, usuario.version);
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo guardar la cuenta: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+  if (!guardado) {
+    throw new ErrorTarea(
+      `La cuenta "${usuario.nombre}" cambió en otro proceso mientras tanto; vuelve a intentarlo`,
+      CODIGOS_ERROR.CONFLICTO
+    );
+  }
+  return actualizado;
+}
@@ -0,0 +1,109 @@
+/**
+ * ESTADO DE LOS WEBHOOKS
+ * ======================
+ *
+ * Dos archivos en el directorio de estado (cada perfil tiene los suyos),
+ * solo legibles por el usuario del sistema porque contienen los secretos
+ * de firma y los datos de las tareas:
+ *
+ * - webhooks.json: Los webhooks registrados
+ *     { webhooks: [{ id, url, eventos: ['tarea:creada', ...], secreto, fechaCreacion }] }
+ *
+ * - webhooks-bandeja.json: La bandeja de salida. Cada evento se anota aquí
+ *   antes de intentar entregarlo, así que no se pierde aunque el proceso
+ *   termine o se caiga antes de enviarlo:
+ *     { entregas: [{ id, webhookId, url, evento,
+ *                    cuerpo,           // JSON tal cual se envía (y se firma)
+ *                    estado,           // 'pendiente', 'entregada' o 'fallida'
+ *                    intentos, proximoIntento, enviandoHasta,
+ *                    ultimoCodigo, ultimoError, fechaCreacion, fechaEntrega }] }
+ *
+ * Como en data/recordatorios.js, cada modificación vuelve a leer el archivo
+ * justo antes de escribirlo, para no perder lo que otro proceso cambió.
+ */
+
+import path from 'node:path';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { obtenerConfiguracionAlmacenamiento } from '../config/almacenamiento.js';
+import { escribirArchivoAtomico, leerArchivoOpcional } from '../utils/archivos.js';
+
+/**
+ * FUNCIÓN AUXILIAR: RUTA DE UN ARCHIVO DE ESTADO
+ * ==============================================
+ */
+function rutaEstado(archivo) {
+  return path.join(obtenerConfiguracionAlmacenamiento().directorioEstado, archivo);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER LISTA
+ * ============================
+ *
+ * Un archivo inexistente o dañado equivale a una lista vacía.
+ */
+async function leerLista(archivo, clave) {
+  const contenido = await leerArchivoOpcional(rutaEstado(archivo));
+  if (!contenido) return [];
+  try {
+    const lista = JSON.parse(contenido)[clave];
+    return Array.isArray(lista) ? lista.filter(_.isPlainObject) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ACTUALIZAR LISTA
+ * ==================================
+ *
+ * @returns {Promise<*>} - Lo que devuelva la función de cambio
+ */
+async function actualizarLista(archivo, clave, cambio) {
+  const lista = await leerLista(archivo, clave);
+  const resultado = cambio(lista);
+  await escribirArchivoAtomico(rutaEstado(archivo), JSON.stringify({ [clave]: lista }, null, 2), { modo: 0o600 });
+  return resultado;
+}
+
+/**
+ * FUNCIÓN: LEER WEBHOOKS
+ * ======================
+ *
+ * @returns {Promise<Object[]>} - Webhooks registrados, en orden de registro
+ */
+export function leerWebhooks() {
+  return leerLista('webhooks.json', 'webhooks');
+}
+
+/**
+ * FUNCIÓN: ACTUALIZAR WEBHOOKS
+ * ============================
+ *
+ * @param {Function} cambio - Recibe la lista de webhooks y la modifica
+ * @returns {Promise<*>} - Lo que devuelva cambio
+ */
+export function actualizarWebhooks(cambio) {
+  return actualizarLista('webhooks.json', 'webhooks', cambio);
+}
+
+/**
+ * FUNCIÓN: LEER BANDEJA DE SALIDA
+ * ===============================
+ *
+ * @returns {Promise<Object[]>} - Entregas, en orden de creación
+ */
+export function leerBandeja() {
+  return leerLista('webhooks-bandeja.json', 'entregas');
+}
+
+/**
+ * FUNCIÓN: ACTUALIZAR BANDEJA DE SALIDA
+ * =====================================
+ *
+ * @param {Function} cambio - Recibe la lista de entregas y la modifica
+ * @returns {Promise<*>} - Lo que devuelva cambio
+ */
+export function actualizarBandeja(cambio) {
+  return actualizarLista('webhooks-bandeja.json', 'entregas', cambio);
+}
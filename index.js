@@ -1,12 +1,19 @@
+#!/usr/bin/env node
 /**
  * ARCHIVO PRINCIPAL DEL GESTOR DE TAREAS CLI
  * =========================================
  *
  * Este es el punto de entrada de la aplicación. Se encarga de:
  * - Inicializar el sistema de tareas
+ * - Iniciar sesión si hay cuentas de usuario
  * - Mostrar el menú principal
  * - Gestionar el flujo de navegación entre opciones
  * - Manejar errores globales de la aplicación
+ *
+ * Si se invoca con argumentos (por ejemplo `gestor list --json`),
+ * ejecuta el comando no interactivo correspondiente en lugar del menú.
+ * Las opciones de configuración (--perfil, --mongo-url, ...) se aplican
+ * en ambos casos: `gestor --perfil trabajo` abre el menú con ese perfil.
  */
 
 // Importamos la función que muestra el menú interactivo
@@ -16,18 +23,60 @@ import mostrarMenu from './utils/menu.js';
 // Estas funciones contienen la lógica de negocio para cada operación
 import {
   listarTareas,          // Lista tareas con diferentes filtros
+  listarPorVencimiento,  // Lista vencidas, para hoy o para esta semana
   agregarTarea,          // Crea una nueva tarea
   editarTarea,           // Modifica una tarea existente
-  eliminarTarea,         // Elimina una tarea con confirmación
-  completarTarea,        // Marca una tarea como completada
-  buscarTareas,          // Busca tareas por palabras clave
-  mostrarEstadisticas    // Muestra estadísticas del sistema
+  eliminarTarea,         // Elimina una o varias tareas con confirmación
+  completarTarea,        // Marca una o varias tareas como completadas
+  operarEnBloque,        // Completa, reabre, elimina, etiqueta o prioriza varias tareas
+  buscarTareas,          // Busca tareas con el lenguaje de consulta
+  mostrarEstadisticas,   // Muestra estadísticas del sistema
+  verHistorial,          // Muestra quién cambió qué y cuándo
+  mostrarEstadoConexion, // Informa del modo sin conexión y la sincronización
+  reintentarConexion,    // Reconecta y sincroniza los cambios pendientes
+  consultarDeshacerRehacer, // Qué se desharía / reharía (para el menú)
+  deshacerOperacion,     // Revierte la última operación
+  rehacerOperacion       // Vuelve a aplicar la última operación deshecha
 } from './controllers/tareasController.js';
+// Pantalla de gestión de etiquetas y proyectos
+import { gestionarOrganizacion } from './controllers/organizacionController.js';
+// Papelera: restaurar, borrar definitivamente y limpieza al arrancar
+import { gestionarPapelera, limpiarPapeleraAlArrancar } from './controllers/papeleraController.js';
+// Exportación e importación de tareas
+import { gestionarIntercambio } from './controllers/intercambioController.js';
+// Inicio de sesión y pantalla de cuenta de usuario
+import { iniciarSesionInteractiva, gestionarCuenta } from './controllers/cuentaController.js';
+// Usuario de la sesión (para el menú)
+import { obtenerSesion } from './data/sesion.js';
+// Control de tiempo: temporizador, registros y hoja de horas
+import { gestionarTiempo } from './controllers/tiempoController.js';
+// Webhooks: pantalla de gestión y reparto periódico de la bandeja de salida
+import { gestionarWebhooks, iniciarRepartoWebhooks } from './controllers/webhooksController.js';
+import { activarWebhooks } from './services/webhooksService.js';
+// Plugins: carga al arrancar y opciones que agregan al menú
+import {
+  cargarPluginsAlArrancar,
+  opcionesMenuDePlugins,
+  esOpcionDePlugin,
+  ejecutarOpcionDePlugin
+} from './controllers/pluginsController.js';
 
-// Importamos la función que carga las tareas desde MongoDB
-import { inicializarTareas } from './data/tareas.js';
-// Importamos la función para cerrar la conexión de MongoDB
-import { cerrarConexion } from './config/database.js';
+// Importamos las funciones que cargan las tareas, cierran el almacenamiento
+// y dan acceso al repositorio configurado (MongoDB, archivo JSON o memoria)
+import {
+  inicializarTareas,
+  cerrarAlmacenamiento,
+  obtenerRepositorio,
+  obtenerEstadoConexion
+} from './data/tareas.js';
+// Importamos el punto de entrada de los comandos no interactivos
+import { ejecutarComando, CODIGOS_SALIDA } from './controllers/cliController.js';
+// Importamos la configuración por capas (perfiles, opciones globales)
+import {
+  extraerOpcionesGlobales,
+  obtenerConfiguracion,
+  PERFIL_PREDETERMINADO
+} from './config/configuracion.js';
 
 /**
  * FUNCIÓN PRINCIPAL DE LA APLICACIÓN
@@ -39,11 +88,29 @@ import { cerrarConexion } from './config/database.js';
 async function main() {
   // Mensaje de bienvenida al usuario
   console.log('🚀 Iniciando Gestor de Tareas...');
+  const { perfil } = obtenerConfiguracion().origen;
+  if (perfil !== PERFIL_PREDETERMINADO) {
+    console.log(`👤 Perfil: ${perfil}`);
+  }
 
   // PASO 1: Inicializar el sistema
-  // Carga las tareas existentes desde MongoDB
-  // Si no puede conectar, comienza con una lista vacía
+  // Carga las tareas existentes desde el almacenamiento configurado
+  // Si no puede conectar, trabaja sin conexión con la última copia local
   await inicializarTareas();
+  mostrarEstadoConexion();
+  // Con cuentas de usuario, recupera la sesión guardada o pide iniciarla
+  if (!await iniciarSesionInteractiva()) {
+    console.log('👋 No se inició sesión. ¡Hasta pronto!');
+    await cerrarAlmacenamiento();
+    return;
+  }
+  // Borra las tareas que llevan demasiado tiempo en la papelera
+  await limpiarPapeleraAlArrancar();
+  // Carga los plugins del directorio configurado (ganchos y opciones de menú)
+  await cargarPluginsAlArrancar();
+  // Los cambios de las tareas se envían a los webhooks registrados
+  activarWebhooks();
+  iniciarRepartoWebhooks();
   console.log('✅ Sistema listo\n');
 
   // Variable de control para el bucle principal
@@ -53,7 +120,12 @@ async function main() {
   // Este bucle se ejecuta hasta que el usuario seleccione "Salir"
   while (!salir) {
     // Muestra el menú y espera la selección del usuario
-    const opcion = await mostrarMenu();
+    const opcion = await mostrarMenu(
+      obtenerEstadoConexion(),
+      await consultarDeshacerRehacer(),
+      obtenerSesion(),
+      opcionesMenuDePlugins()
+    );
 
     // SWITCH: Maneja cada opción del menú
     // Cada case corresponde a una funcionalidad específica
@@ -82,12 +154,30 @@ async function main() {
         await listarTareas('pendientes');
         break;
 
+      case '12':
+        // LISTAR TAREAS POR VENCIMIENTO
+        // Vencidas, para hoy o para esta semana, ordenadas por fecha límite
+        await listarPorVencimiento();
+        break;
+
       case '5':
-        // MARCAR TAREA COMO COMPLETADA
-        // Permite seleccionar una tarea pendiente y marcarla como terminada
+        // MARCAR TAREAS COMO COMPLETADAS
+        // Permite marcar una o varias tareas pendientes como terminadas
         await completarTarea();
         break;
 
+      case '21':
+        // OPERACIONES EN BLOQUE
+        // La misma acción sobre varias tareas (marcadas, o las de un filtro o búsqueda)
+        await operarEnBloque();
+        break;
+
+      case '22':
+        // CONTROL DE TIEMPO
+        // Iniciar y detener el temporizador, corregir registros y ver la hoja de horas
+        await gestionarTiempo();
+        break;
+
       case '6':
         // EDITAR TAREA EXISTENTE
         // Permite modificar la descripción de una tarea
@@ -102,27 +192,94 @@ async function main() {
 
       case '8':
         // MOSTRAR ESTADÍSTICAS
-        // Presenta un resumen completo del estado de las tareas
-        mostrarEstadisticas();
+        // Presenta un resumen completo del estado de las tareas y la analítica de productividad
+        await mostrarEstadisticas();
+        break;
+
+      case '16':
+        // VER HISTORIAL DE CAMBIOS
+        // Línea de tiempo de una tarea o últimos cambios de todas
+        await verHistorial();
+        break;
+
+      case '13':
+        // GESTIONAR ETIQUETAS Y PROYECTOS
+        // Ver tareas por proyecto o etiqueta, renombrar y fusionar
+        await gestionarOrganizacion();
+        break;
+
+      case '18':
+        // EXPORTAR E IMPORTAR
+        // A JSON, CSV, Markdown, todo.txt o iCalendar, con vista previa al importar
+        await gestionarIntercambio();
+        break;
+
+      case '20':
+        // WEBHOOKS
+        // Registrar, probar y eliminar webhooks; ver y reintentar las entregas
+        await gestionarWebhooks();
         break;
 
       case '9':
-        // ELIMINAR TAREA
-        // Elimina una tarea después de pedir confirmación
+        // ELIMINAR TAREAS
+        // Envía una o varias tareas a la papelera después de pedir confirmación
         await eliminarTarea();
         break;
 
+      case '17':
+        // PAPELERA
+        // Restaurar o borrar definitivamente las tareas eliminadas
+        await gestionarPapelera();
+        break;
+
+      case '14':
+        // DESHACER
+        // Revierte la última operación (también de ejecuciones anteriores)
+        await deshacerOperacion();
+        break;
+
+      case '15':
+        // REHACER
+        // Vuelve a aplicar la última operación deshecha
+        await rehacerOperacion();
+        break;
+
+      case '19':
+        // CUENTA DE USUARIO
+        // Contraseña, cuentas y tareas de todos (administradores); cerrar sesión sale
+        if (await gestionarCuenta()) {
+          salir = true;
+          await cerrarAlmacenamiento();
+        }
+        break;
+
+      case '11':
+        // REINTENTAR CONEXIÓN
+        // Solo aparece sin conexión; sincroniza los cambios pendientes
+        await reintentarConexion();
+        break;
+
       case '10':
         // SALIR DE LA APLICACIÓN
         // Cambia la variable de control para terminar el bucle
         salir = true;
         console.log('👋 ¡Gracias por usar el Gestor de Tareas!');
-        console.log('💾 Todas tus tareas han sido guardadas automáticamente en MongoDB.');
-        // Cerrar la conexión a MongoDB de forma segura
-        await cerrarConexion();
+        if (obtenerEstadoConexion().enLinea) {
+          console.log(`💾 Todas tus tareas han sido guardadas automáticamente en ${obtenerRepositorio().descripcion}.`);
+        } else {
+          console.log('💾 Tus cambios quedan en el diario local y se sincronizarán en la próxima conexión.');
+        }
+        // Cerrar el almacenamiento (conexión a MongoDB, etc.) de forma segura
+        await cerrarAlmacenamiento();
         break;
 
       default:
+        // OPCIONES DE LOS PLUGINS ('plugin:N')
+        // Cada plugin gestiona su propia pantalla; sus errores se muestran aquí
+        if (esOpcionDePlugin(opcion)) {
+          await ejecutarOpcionDePlugin(opcion);
+          break;
+        }
         // OPCIÓN INVÁLIDA
         // Maneja cualquier valor inesperado (aunque inquirer lo previene)
         console.log('❌ Opción no válida');
@@ -140,14 +297,27 @@ async function main() {
  * EJECUCIÓN Y MANEJO DE ERRORES GLOBALES
  * ======================================
  *
- * Ejecuta la función principal y captura cualquier error no manejado.
- * Si ocurre un error crítico, lo muestra y termina la aplicación con código de error.
+ * Primero se separan las opciones globales de configuración.
+ * Con argumentos restantes ejecuta un comando no interactivo y termina con su código de salida;
+ * sin ellos ejecuta la función principal (menú interactivo).
+ * Captura cualquier error no manejado: lo muestra y termina con código de error.
  */
-main().catch(async error => {
+let argumentos;
+try {
+  argumentos = extraerOpcionesGlobales(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(CODIGOS_SALIDA.USO);
+}
+const ejecucion = argumentos.length > 0
+  ? ejecutarComando(argumentos).then(codigo => { process.exitCode = codigo; })
+  : main();
+
+ejecucion.catch(async error => {
   console.error('❌ Error en la aplicación:', error.message);
   // Asegurar que la conexión se cierre incluso si hay error
   try {
-    await cerrarConexion();
+    await cerrarAlmacenamiento();
   } catch (closeError) {
     console.error('❌ Error cerrando conexión:', closeError.message);
   }
@@ -10,6 +10,13 @@
  * Características principales:
  * - Compatible con documentos MongoDB
  * - Timestamps ISO para trazabilidad
+ * - Número de versión para concurrencia optimista
+ * - Fecha límite y prioridad opcionales
+ * - Etiquetas (varias) y proyecto (uno) para organizar las tareas
+ * - Referencia a la tarea padre para formar subtareas anidadas
+ * - Regla de repetición opcional y enlace con las demás ocurrencias de la serie
+ * - Fecha de eliminación para las tareas que están en la papelera
+ * - Registros del tiempo dedicado, con el temporizador en marcha si lo hay
  * - Métodos para cambiar estado
  * - Validaciones estáticas
  */
@@ -18,6 +25,16 @@
 import _ from 'lodash';
 // Importamos ObjectId para generar IDs únicos de MongoDB
 import { ObjectId } from 'mongodb';
+// Importamos el cálculo del día local para comparar fechas límite
+import { diaLocal } from '../utils/fechas.js';
+
+/**
+ * PRIORIDADES DISPONIBLES
+ * =======================
+ *
+ * En orden de importancia: el índice se usa para ordenar.
+ */
+export const PRIORIDADES = Object.freeze(['alta', 'media', 'baja']);
 
 /**
  * CLASE TAREA
@@ -51,6 +68,151 @@ export class Tarea {
     // .toISOString() genera formato estándar internacional (ISO 8601)
     // Ejemplo: "2024-09-17T10:30:00.000Z"
     this.fechaCreacion = new Date().toISOString();
+
+    // VERSIÓN PARA CONCURRENCIA OPTIMISTA
+    // 0 significa "todavía no guardada". Cada escritura en el almacenamiento
+    // la incrementa; si al guardar la versión almacenada no coincide,
+    // otro proceso modificó la tarea mientras tanto
+    this.version = 0;
+
+    // CAMPOS OPCIONALES DE PLANIFICACIÓN
+    // fechaLimite: día 'AAAA-MM-DD' (ver utils/fechas.js) o null
+    // prioridad: 'alta' | 'media' | 'baja' o null (sin prioridad)
+    this.fechaLimite = null;
+    this.prioridad = null;
+
+    // CAMPOS DE ORGANIZACIÓN
+    // etiquetas: lista sin repetidos, normalizada con normalizarEtiqueta()
+    // proyecto: nombre del proyecto o null (sin proyecto)
+    this.etiquetas = [];
+    this.proyecto = null;
+
+    // SUBTAREAS
+    // padreId: ObjectId de la tarea padre, o null si es una tarea principal.
+    // Se guarda la referencia en la hija (no la lista de hijas en el padre)
+    // para que crear o borrar una subtarea sea una sola escritura
+    this.padreId = null;
+
+    // REPETICIÓN
+    // recurrencia: regla { tipo, cada?, dias?, dia? } (ver utils/recurrencia.js) o null
+    // serieId: _id de la primera ocurrencia; lo llevan las ocurrencias generadas
+    // al completar una tarea recurrente, así se conserva el historial de la serie
+    this.recurrencia = null;
+    this.serieId = null;
+
+    // PAPELERA
+    // fechaEliminacion: momento en que se envió a la papelera (ISO), o null
+    // si la tarea está activa. Las tareas de la papelera no se listan ni cuentan
+    this.fechaEliminacion = null;
+
+    // PROPIETARIO
+    // propietarioId: _id de la cuenta de usuario dueña de la tarea, o null si
+    // se creó sin cuentas de usuario (ver data/sesion.js)
+    this.propietarioId = null;
+
+    // CONTROL DE TIEMPO
+    // registrosTiempo: [{ inicio, fin }] (ISO) del tiempo dedicado a la tarea,
+    // del más antiguo al más reciente. fin es null mientras el temporizador
+    // está en marcha (como mucho uno entre todas las tareas, ver services/tiempoService.js)
+    this.registrosTiempo = [];
+  }
+
+  /**
+   * MÉTODO: CLAVE DE SERIE
+   * ======================
+   *
+   * Todas las ocurrencias de una tarea recurrente comparten la misma clave;
+   * una tarea que nunca se repitió forma una serie de un solo elemento.
+   *
+   * @returns {string}
+   */
+  claveSerie() {
+    return String(this.serieId ?? this._id);
+  }
+
+  /**
+   * MÉTODO: ES SUBTAREA DE
+   * ======================
+   *
+   * @param {ObjectId|string} id - ID de la posible tarea padre
+   * @returns {boolean}
+   */
+  esSubtareaDe(id) {
+    return this.padreId !== null && String(this.padreId) === String(id);
+  }
+
+  /**
+   * MÉTODO: TIENE ETIQUETA
+   * ======================
+   *
+   * @param {string} etiqueta - Etiqueta ya normalizada
+   * @returns {boolean}
+   */
+  tieneEtiqueta(etiqueta) {
+    return this.etiquetas.includes(etiqueta);
+  }
+
+  /**
+   * MÉTODO: PERTENECE AL PROYECTO
+   * =============================
+   *
+   * Los nombres de proyecto se comparan sin distinguir mayúsculas.
+   *
+   * @param {string} proyecto - Nombre del proyecto
+   * @returns {boolean}
+   */
+  perteneceAProyecto(proyecto) {
+    return Boolean(this.proyecto) && _.toLower(this.proyecto) === _.toLower(proyecto?.trim());
+  }
+
+  /**
+   * MÉTODO: ESTÁ VENCIDA
+   * ====================
+   *
+   * Una tarea está vencida si sigue pendiente y su fecha límite ya pasó.
+   * El mismo día de la fecha límite todavía no se considera vencida.
+   *
+   * @param {string} hoy - Día de referencia 'AAAA-MM-DD' (por defecto, hoy)
+   * @returns {boolean}
+   */
+  estaVencida(hoy = diaLocal()) {
+    return !this.completada && Boolean(this.fechaLimite) && this.fechaLimite < hoy;
+  }
+
+  /**
+   * MÉTODO: TEMPORIZADOR EN MARCHA
+   * ==============================
+   *
+   * @returns {Object|null} - El registro sin fin, o null si no se está midiendo
+   */
+  temporizadorEnMarcha() {
+    return _.find(this.registrosTiempo, registro => !registro.fin) ?? null;
+  }
+
+  /**
+   * MÉTODO: DETENER TEMPORIZADOR
+   * ============================
+   *
+   * @param {string} fin - Momento en que se detiene (ISO)
+   */
+  detenerTemporizador(fin = new Date().toISOString()) {
+    const enMarcha = this.temporizadorEnMarcha();
+    if (enMarcha) enMarcha.fin = fin;
+  }
+
+  /**
+   * MÉTODO: SEGUNDOS REGISTRADOS
+   * ============================
+   *
+   * Tiempo total de los registros; el del temporizador en marcha cuenta hasta ahora.
+   *
+   * @param {Date} ahora - Momento de referencia
+   * @returns {number}
+   */
+  segundosRegistrados(ahora = new Date()) {
+    return _.sumBy(this.registrosTiempo, ({ inicio, fin }) =>
+      Math.max(0, Math.round(((fin ? Date.parse(fin) : ahora.getTime()) - Date.parse(inicio)) / 1000))
+    );
   }
 
   /**
@@ -67,6 +229,9 @@ export class Tarea {
     // Registrar timestamp de cuando se completó
     // Útil para estadísticas y análisis de productividad
     this.fechaCompletada = new Date().toISOString();
+
+    // Una tarea terminada ya no acumula tiempo
+    this.detenerTemporizador(this.fechaCompletada);
   }
 
   /**
@@ -86,6 +251,26 @@ export class Tarea {
     delete this.fechaCompletada;
   }
 
+  /**
+   * MÉTODO: ENVIAR A LA PAPELERA
+   * ============================
+   *
+   * @param {string} fecha - Momento de la eliminación (ISO); las subtareas
+   *                         eliminadas junto con su padre comparten la misma
+   */
+  moverAPapelera(fecha = new Date().toISOString()) {
+    this.fechaEliminacion = fecha;
+    this.detenerTemporizador(fecha);
+  }
+
+  /**
+   * MÉTODO: SACAR DE LA PAPELERA
+   * ============================
+   */
+  restaurar() {
+    this.fechaEliminacion = null;
+  }
+
   /**
    * MÉTODO ESTÁTICO: VALIDAR DESCRIPCIÓN
    * ====================================
@@ -101,6 +286,32 @@ export class Tarea {
     return !_.isEmpty(descripcion?.trim());
   }
 
+  /**
+   * MÉTODO ESTÁTICO: VALIDAR PRIORIDAD
+   * ==================================
+   *
+   * null o undefined significan "sin prioridad" y también son válidos.
+   */
+  static validarPrioridad(prioridad) {
+    return prioridad == null || PRIORIDADES.includes(prioridad);
+  }
+
+  /**
+   * MÉTODO ESTÁTICO: NORMALIZAR ETIQUETA
+   * ====================================
+   *
+   * Las etiquetas se guardan en minúsculas y sin '#' inicial, de modo que
+   * "#Urgente" y "urgente" son la misma etiqueta.
+   * Solo se admiten letras, números y los signos - _ / : .
+   *
+   * @param {string} etiqueta - Texto escrito por el usuario
+   * @returns {string|null} - Etiqueta normalizada, o null si no es válida
+   */
+  static normalizarEtiqueta(etiqueta) {
+    const normalizada = _.toLower(String(etiqueta ?? '').trim()).replace(/^#/, '');
+    return /^[\p{L}\p{N}_\-/:.]+$/u.test(normalizada) ? normalizada : null;
+  }
+
   /**
    * MÉTODO ESTÁTICO FACTORY: CREAR TAREA
    * ====================================
@@ -133,12 +344,38 @@ export class Tarea {
     // Restaurar propiedades adicionales del documento
     tarea.completada = documento.completada || false;
     tarea.fechaCreacion = documento.fechaCreacion;
+    // Los documentos anteriores al control de versiones no tienen el campo
+    tarea.version = documento.version ?? 0;
 
     // Si existe fecha de completado, la restauramos
     if (documento.fechaCompletada) {
       tarea.fechaCompletada = documento.fechaCompletada;
     }
 
+    // Campos de planificación (ausentes en documentos antiguos)
+    tarea.fechaLimite = documento.fechaLimite ?? null;
+    tarea.prioridad = documento.prioridad ?? null;
+
+    // Campos de organización (ausentes en documentos antiguos)
+    tarea.etiquetas = documento.etiquetas ? [...documento.etiquetas] : [];
+    tarea.proyecto = documento.proyecto ?? null;
+
+    // Referencia a la tarea padre (ausente en tareas principales)
+    tarea.padreId = documento.padreId ?? null;
+
+    // Repetición (ausente en tareas no recurrentes)
+    tarea.recurrencia = documento.recurrencia ? _.cloneDeep(documento.recurrencia) : null;
+    tarea.serieId = documento.serieId ?? null;
+
+    // Papelera (ausente en tareas activas)
+    tarea.fechaEliminacion = documento.fechaEliminacion ?? null;
+
+    // Propietario (ausente en tareas creadas sin cuentas de usuario)
+    tarea.propietarioId = documento.propietarioId ?? null;
+
+    // Registros de tiempo (ausentes si nunca se midió)
+    tarea.registrosTiempo = (documento.registrosTiempo ?? []).map(({ inicio, fin }) => ({ inicio, fin: fin ?? null }));
+
     return tarea;
   }
 
@@ -154,7 +391,8 @@ export class Tarea {
       _id: this._id,
       descripcion: this.descripcion,
       completada: this.completada,
-      fechaCreacion: this.fechaCreacion
+      fechaCreacion: this.fechaCreacion,
+      version: this.version
     };
 
     // Solo incluir fechaCompletada si existe
@@ -162,6 +400,50 @@ export class Tarea {
       documento.fechaCompletada = this.fechaCompletada;
     }
 
+    // Igual con los campos opcionales de planificación
+    if (this.fechaLimite) {
+      documento.fechaLimite = this.fechaLimite;
+    }
+    if (this.prioridad) {
+      documento.prioridad = this.prioridad;
+    }
+
+    // Y con los de organización
+    if (!_.isEmpty(this.etiquetas)) {
+      documento.etiquetas = [...this.etiquetas];
+    }
+    if (this.proyecto) {
+      documento.proyecto = this.proyecto;
+    }
+
+    // Y con la referencia a la tarea padre
+    if (this.padreId) {
+      documento.padreId = this.padreId;
+    }
+
+    // Y con la repetición
+    if (this.recurrencia) {
+      documento.recurrencia = _.cloneDeep(this.recurrencia);
+    }
+    if (this.serieId) {
+      documento.serieId = this.serieId;
+    }
+
+    // Y con la fecha de eliminación
+    if (this.fechaEliminacion) {
+      documento.fechaEliminacion = this.fechaEliminacion;
+    }
+
+    // Y con el propietario
+    if (this.propietarioId) {
+      documento.propietarioId = this.propietarioId;
+    }
+
+    // Y con los registros de tiempo
+    if (!_.isEmpty(this.registrosTiempo)) {
+      documento.registrosTiempo = this.registrosTiempo.map(({ inicio, fin }) => ({ inicio, fin }));
+    }
+
     return documento;
   }
 }
\ No newline at end of file
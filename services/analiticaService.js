@@ -0,0 +1,213 @@
+/**
+ * SERVICIO DE ANALÍTICA - PRODUCTIVIDAD EN UN PERIODO
+ * ===================================================
+ *
+ * Complementa el resumen de calcularEstadisticas() (services/tareasService.js)
+ * con datos basados en cuándo se completó cada tarea (fechaCompletada):
+ * - Tiempo que se tarda en completar una tarea (promedio y mediana)
+ * - Rachas de días seguidos completando al menos una tarea
+ * - Tareas completadas por día y por semana
+ * - Antigüedad de las tareas pendientes, por tramos
+ *
+ * El periodo se elige con sus límites (desde/hasta, incluidos) y por defecto
+ * son los últimos 30 días. La antigüedad de las pendientes y la racha actual
+ * se refieren siempre al día de hoy.
+ *
+ * Se calcula sobre las tareas activas visibles para la sesión; las de la
+ * papelera no cuentan. Los recuentos salen de resumirTareasActivas()
+ * (data/tareas.js): con un backend remoto los calcula el servidor. Los gráficos están en utils/graficos.js y la
+ * presentación en formatearAnalitica() de utils/formato.js.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Resumen de las tareas activas
+import { resumirTareasActivas } from '../data/tareas.js';
+// Días locales, semanas y límites del periodo
+import { diaLocal, desdeDiaLocal, sumarDias, diasEntre, inicioDeSemana, interpretarDiaPasado } from '../utils/fechas.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Días del periodo cuando no se indica el inicio
+export const DIAS_PERIODO_POR_DEFECTO = 30;
+
+// Periodo más largo que se puede pedir (unos 10 años), para no generar series enormes
+const DIAS_PERIODO_MAXIMO = 3660;
+
+// Tramos de antigüedad de las pendientes: días desde su creación (máximo incluido)
+const TRAMOS_ANTIGUEDAD = Object.freeze([
+  { tramo: 'hoy', maximo: 0 },
+  { tramo: '1-6 días', maximo: 6 },
+  { tramo: '7-29 días', maximo: 29 },
+  { tramo: '30-89 días', maximo: 89 },
+  { tramo: '90 días o más', maximo: Infinity }
+]);
+
+/**
+ * FUNCIÓN: INTERPRETAR PERIODO
+ * ============================
+ *
+ * @param {Object} periodo - { desde?, hasta? } escritos por el usuario:
+ *   AAAA-MM-DD, hoy, ayer, +N o una antigüedad (30d, 2s, 6m)
+ * @param {Date} ahora - Momento de referencia
+ * @returns {{ desde: string, hasta: string }} - Días 'AAAA-MM-DD', ambos incluidos
+ * @throws {ErrorTarea} - VALIDACION si un límite no es válido o el periodo está invertido
+ */
+export function interpretarPeriodo({ desde, hasta } = {}, ahora = new Date()) {
+  const leer = (texto, nombre) => {
+    const dia = interpretarDiaPasado(texto, ahora);
+    if (!dia) {
+      throw new ErrorTarea(
+        `"${texto}" no es un ${nombre} de periodo válido. Usa AAAA-MM-DD, hoy, ayer o una antigüedad como 30d, 2s o 6m`,
+        CODIGOS_ERROR.VALIDACION
+      );
+    }
+    return dia;
+  };
+
+  const fin = _.isEmpty(hasta?.trim()) ? diaLocal(ahora) : leer(hasta, 'fin');
+  const inicio = _.isEmpty(desde?.trim())
+    ? diaLocal(sumarDias(desdeDiaLocal(fin), 1 - DIAS_PERIODO_POR_DEFECTO))
+    : leer(desde, 'inicio');
+
+  if (inicio > fin) {
+    throw new ErrorTarea(`El periodo empieza (${inicio}) después de terminar (${fin})`, CODIGOS_ERROR.VALIDACION);
+  }
+  if (diasEntre(inicio, fin) >= DIAS_PERIODO_MAXIMO) {
+    throw new ErrorTarea(`El periodo no puede superar los ${DIAS_PERIODO_MAXIMO} días`, CODIGOS_ERROR.VALIDACION);
+  }
+  return { desde: inicio, hasta: fin };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: MEDIANA
+ * =========================
+ */
+function mediana(valores) {
+  const ordenados = _.sortBy(valores);
+  const mitad = Math.floor(ordenados.length / 2);
+  return ordenados.length % 2 ? ordenados[mitad] : (ordenados[mitad - 1] + ordenados[mitad]) / 2;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REDONDEAR A UN DECIMAL
+ * ========================================
+ */
+function redondear(valor) {
+  return Math.round(valor * 10) / 10;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RACHA MÁS LARGA
+ * =================================
+ *
+ * @param {Object[]} porDia - [{ dia, cantidad }] de días consecutivos
+ * @returns {Object|null} - { dias, desde, hasta } de la primera racha más larga
+ */
+function rachaMasLarga(porDia) {
+  let mejor = null;
+  let inicio = null;
+
+  porDia.forEach(({ dia, cantidad }, i) => {
+    if (cantidad === 0) {
+      inicio = null;
+      return;
+    }
+    inicio ??= i;
+    const dias = i - inicio + 1;
+    if (!mejor || dias > mejor.dias) {
+      mejor = { dias, desde: porDia[inicio].dia, hasta: dia };
+    }
+  });
+  return mejor;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RACHA ACTUAL
+ * ==============================
+ *
+ * Días seguidos con alguna tarea completada hasta hoy. Si hoy todavía no se
+ * completó ninguna, la racha sigue viva y se cuenta hasta ayer.
+ *
+ * @param {Set<string>} diasConCompletadas - Días 'AAAA-MM-DD'
+ * @param {Date} ahora - Momento de referencia
+ * @returns {number}
+ */
+function rachaActual(diasConCompletadas, ahora) {
+  let dia = diasConCompletadas.has(diaLocal(ahora)) ? ahora : sumarDias(ahora, -1);
+  let dias = 0;
+  while (diasConCompletadas.has(diaLocal(dia))) {
+    dias++;
+    dia = sumarDias(dia, -1);
+  }
+  return dias;
+}
+
+/**
+ * FUNCIÓN: CALCULAR ANALÍTICA
+ * ===========================
+ *
+ * @param {Object} periodo - { desde?, hasta? } (ver interpretarPeriodo)
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Object>} - {
+ *     desde, hasta, completadas,
+ *     tiempoHastaCompletar: { tareas, promedioHoras, medianaHoras },
+ *     rachas: { actual, masLarga: { dias, desde, hasta } | null },
+ *     diaMasProductivo: { dia, cantidad } | null,
+ *     porDia: [{ dia, cantidad }], porSemana: [{ semana (lunes), cantidad }],
+ *     antiguedadPendientes: [{ tramo, cantidad }]
+ *   }
+ * @throws {ErrorTarea} - VALIDACION si el periodo no es válido
+ */
+export async function calcularAnalitica(periodo = {}, ahora = new Date()) {
+  const { desde, hasta } = interpretarPeriodo(periodo, ahora);
+  const resumen = await resumirTareasActivas({ ahora, desde, hasta });
+
+  // PASO 1: Días con tareas completadas (las antiguas sin fecha de completado no cuentan)
+  // Los días 'AAAA-MM-DD' se comparan directamente como texto
+  const enPeriodo = resumen.completadasPorDia.filter(({ dia }) => dia >= desde && dia <= hasta);
+
+  // PASO 2: Completadas por día (todos los días del periodo, también sin ninguna) y por semana
+  const cantidades = Object.fromEntries(enPeriodo.map(({ dia, cantidad }) => [dia, cantidad]));
+  const porDia = _.range(diasEntre(desde, hasta) + 1).map(n => {
+    const dia = diaLocal(sumarDias(desdeDiaLocal(desde), n));
+    return { dia, cantidad: cantidades[dia] ?? 0 };
+  });
+  const porSemana = _.map(
+    _.groupBy(porDia, ({ dia }) => inicioDeSemana(desdeDiaLocal(dia))),
+    (dias, semana) => ({ semana, cantidad: _.sumBy(dias, 'cantidad') })
+  );
+
+  // PASO 3: Tiempo desde la creación hasta el completado
+  const horas = resumen.horasHastaCompletar.filter(valor => valor >= 0);
+
+  // PASO 4: Antigüedad de las pendientes, por tramos
+  const hoy = diaLocal(ahora);
+  const edades = resumen.pendientesPorDiaCreacion.map(({ dia, cantidad }) => ({ edad: diasEntre(dia, hoy), cantidad }));
+  const antiguedadPendientes = TRAMOS_ANTIGUEDAD.map(({ tramo, maximo }, i) => {
+    const minimo = i === 0 ? -Infinity : TRAMOS_ANTIGUEDAD[i - 1].maximo + 1;
+    return { tramo, cantidad: _.sumBy(edades.filter(({ edad }) => edad >= minimo && edad <= maximo), 'cantidad') };
+  });
+
+  return {
+    desde,
+    hasta,
+    completadas: _.sumBy(enPeriodo, 'cantidad'),
+    tiempoHastaCompletar: {
+      tareas: horas.length,
+      promedioHoras: _.isEmpty(horas) ? null : redondear(_.mean(horas)),
+      medianaHoras: _.isEmpty(horas) ? null : redondear(mediana(horas))
+    },
+    rachas: {
+      actual: rachaActual(new Set(resumen.completadasPorDia.map(({ dia }) => dia)), ahora),
+      masLarga: rachaMasLarga(porDia)
+    },
+    diaMasProductivo: _.maxBy(_.filter(porDia, 'cantidad'), 'cantidad') ?? null,
+    porDia,
+    porSemana,
+    antiguedadPendientes
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * SERVICIO DE AUDITORÍA - HISTORIAL DE CAMBIOS POR TAREA
+ * ======================================================
+ *
+ * Convierte los cambios grabados de cada operación (ver grabarCambios en
+ * data/tareas.js) en eventos de auditoría: qué tarea cambió, cómo, quién
+ * y cuándo. Los guarda data/auditoria.js.
+ *
+ * Se registran también los cambios hechos al deshacer o rehacer: para la
+ * auditoría son cambios como cualquier otro.
+ *
+ * Con cuentas de usuario, cada uno consulta los cambios de las tareas que
+ * tiene a la vista y los que hizo él mismo (los de tareas ya borradas, por
+ * ejemplo); un administrador que ve las de todos consulta todos los cambios.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { ObjectId } from 'mongodb';
+// userInfo: usuario del sistema operativo que hace el cambio
+import { userInfo } from 'node:os';
+// Persistencia de la auditoría
+import { cargarEventos, guardarEventos } from '../data/auditoria.js';
+// Tareas a la vista y usuario de la sesión
+import { cargarTareasPorIds } from '../data/tareas.js';
+import { obtenerSesion } from '../data/sesion.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * TIPOS DE EVENTO
+ * ===============
+ */
+export const TIPOS_EVENTO = Object.freeze([
+  'creacion', 'edicion', 'completado', 'reapertura', 'papelera', 'restauracion', 'eliminacion'
+]);
+
+// Campos que no se listan como editados: los gestiona la aplicación
+// (el completado y la papelera tienen su propio tipo de evento)
+const CAMPOS_NO_AUDITADOS = Object.freeze([
+  '_id', 'version', 'fechaCreacion', 'completada', 'fechaCompletada', 'serieId', 'fechaEliminacion'
+]);
+
+/**
+ * FUNCIÓN AUXILIAR: USUARIO DEL SISTEMA
+ * =====================================
+ *
+ * userInfo() falla en algunos entornos (contenedores sin entrada en /etc/passwd).
+ */
+function usuarioDelSistema() {
+  try {
+    return userInfo().username;
+  } catch {
+    return process.env.USER ?? process.env.USERNAME ?? 'desconocido';
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EVENTOS VISIBLES
+ * ==================================
+ *
+ * @returns {Promise<Object[]>} - Eventos que puede consultar la sesión actual
+ */
+async function cargarEventosVisibles() {
+  const eventos = await cargarEventos();
+  const { cuentas, usuario, verTodas } = obtenerSesion();
+  if (!cuentas || verTodas) return eventos;
+
+  const tareasDeEventos = await cargarTareasPorIds(_.uniq(eventos.map(e => String(e.tareaId))));
+  const visibles = new Set(tareasDeEventos.map(t => String(t._id)));
+  return eventos.filter(e =>
+    visibles.has(String(e.tareaId)) || (usuario && String(e.usuarioId) === String(usuario._id))
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CAMPOS EDITADOS
+ * =================================
+ *
+ * @param {Object} antes - Documento anterior
+ * @param {Object} despues - Documento posterior
+ * @returns {Object[]} - [{ campo, antes, despues }] de los campos que cambiaron
+ */
+function camposEditados(antes, despues) {
+  const campos = _.difference(_.union(_.keys(antes), _.keys(despues)), CAMPOS_NO_AUDITADOS);
+  return campos
+    .filter(campo => !_.isEqual(
+      JSON.stringify(antes[campo] ?? null),
+      JSON.stringify(despues[campo] ?? null)
+    ))
+    .map(campo => ({ campo, antes: antes[campo] ?? null, despues: despues[campo] ?? null }));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TIPO DE EVENTO
+ * ================================
+ *
+ * @returns {string|null} - Tipo del cambio, o null si no cambió nada visible
+ */
+function tipoDeCambio({ antes, despues }, campos) {
+  if (!antes) return 'creacion';
+  if (!despues) return 'eliminacion';
+  if (!antes.fechaEliminacion && despues.fechaEliminacion) return 'papelera';
+  if (antes.fechaEliminacion && !despues.fechaEliminacion) return 'restauracion';
+  if (!antes.completada && despues.completada) return 'completado';
+  if (antes.completada && !despues.completada) return 'reapertura';
+  return _.isEmpty(campos) ? null : 'edicion';
+}
+
+/**
+ * FUNCIÓN: CLASIFICAR CAMBIO
+ * ==========================
+ *
+ * Qué le pasó a una tarea en un cambio grabado. También lo usan los
+ * eventos de los plugins (ver services/eventosService.js).
+ *
+ * @param {Object} cambio - { id, antes, despues } (ver grabarCambios)
+ * @returns {{ tipo: string, campos: Object[] }|null} - Tipo (TIPOS_EVENTO) y
+ *   campos editados, o null si no cambió nada visible
+ */
+export function clasificarCambio(cambio) {
+  const campos = cambio.antes && cambio.despues ? camposEditados(cambio.antes, cambio.despues) : [];
+  const tipo = tipoDeCambio(cambio, campos);
+  return tipo ? { tipo, campos } : null;
+}
+
+/**
+ * FUNCIÓN: REGISTRAR EN LA AUDITORÍA
+ * ==================================
+ *
+ * Un evento por cada tarea afectada por la operación.
+ *
+ * @param {string} operacion - Descripción de la operación ('Editar "Comprar pan"')
+ * @param {Object[]} cambios - [{ id, antes, despues }] (ver grabarCambios)
+ */
+export async function registrarEnAuditoria(operacion, cambios) {
+  const cuenta = obtenerSesion().usuario;
+  const usuario = cuenta?.nombre ?? usuarioDelSistema();
+  const fecha = new Date().toISOString();
+
+  const eventos = cambios.flatMap(cambio => {
+    const clasificacion = clasificarCambio(cambio);
+    if (!clasificacion) return [];
+    const { tipo, campos } = clasificacion;
+    return [{
+      _id: new ObjectId(),
+      tareaId: cambio.id,
+      tarea: (cambio.despues ?? cambio.antes).descripcion,
+      tipo,
+      campos,
+      operacion,
+      usuario,
+      usuarioId: cuenta?._id ?? null,
+      fecha,
+      version: 1
+    }];
+  });
+
+  if (!_.isEmpty(eventos)) await guardarEventos(eventos);
+}
+
+/**
+ * FUNCIÓN: HISTORIAL DE UNA TAREA
+ * ===============================
+ *
+ * Los eventos de una tarea, del más antiguo al más reciente.
+ * Como la tarea puede estar ya eliminada, el ID (o su prefijo) se busca
+ * entre los eventos y no entre las tareas actuales.
+ *
+ * @param {ObjectId|string} id - ID o prefijo del ID de la tarea
+ * @returns {Promise<Object[]>} - Eventos de la tarea
+ * @throws {ErrorTarea} - NO_ENCONTRADA o AMBIGUA
+ */
+export async function consultarHistorialTarea(id) {
+  const buscado = _.toLower(String(id ?? '').trim());
+  if (_.isEmpty(buscado)) {
+    throw new ErrorTarea('Debes indicar el ID de la tarea', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const porTarea = _.groupBy(await cargarEventosVisibles(), e => String(e.tareaId));
+  const coincidencias = porTarea[buscado]
+    ? [buscado]
+    : _.keys(porTarea).filter(tareaId => tareaId.startsWith(buscado));
+
+  if (coincidencias.length === 0) {
+    throw new ErrorTarea(`No hay cambios registrados de ninguna tarea con ID "${id}"`, CODIGOS_ERROR.NO_ENCONTRADA);
+  }
+  if (coincidencias.length > 1) {
+    throw new ErrorTarea(`El ID "${id}" coincide con ${coincidencias.length} tareas`, CODIGOS_ERROR.AMBIGUA);
+  }
+
+  return porTarea[coincidencias[0]];
+}
+
+/**
+ * FUNCIÓN: ÚLTIMOS CAMBIOS
+ * ========================
+ *
+ * @param {number} limite - Cantidad máxima de eventos
+ * @returns {Promise<Object[]>} - Eventos de todas las tareas, el más reciente primero
+ */
+export async function consultarUltimosCambios(limite = 20) {
+  const eventos = await cargarEventosVisibles();
+  return _.takeRight(eventos, limite).reverse();
+}
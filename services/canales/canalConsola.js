@@ -0,0 +1,36 @@
+/**
+ * CANAL DE CONSOLA
+ * ================
+ *
+ * Muestra el aviso en la terminal donde se ejecuta gestor recordatorios,
+ * con la campana de la terminal (\x07) si se pide, y lo anota en un archivo
+ * de registro si se indica uno (una línea por aviso).
+ */
+
+import { CanalNotificacion } from './canalNotificacion.js';
+import { agregarLineaArchivo } from '../../utils/archivos.js';
+
+// Carácter de control que hace sonar la campana de la terminal
+const CAMPANA = '\x07';
+
+export class CanalConsola extends CanalNotificacion {
+  /**
+   * @param {Object} opciones - { campana: boolean, archivo: string|null }
+   */
+  constructor({ campana = true, archivo = null } = {}) {
+    super();
+    this.campana = campana;
+    this.archivo = archivo;
+  }
+
+  get nombre() {
+    return 'consola';
+  }
+
+  async enviar({ titulo, mensaje }) {
+    console.log(`${this.campana ? CAMPANA : ''}${titulo}: ${mensaje}`);
+    if (this.archivo) {
+      await agregarLineaArchivo(this.archivo, `${new Date().toISOString()} ${titulo}: ${mensaje}`);
+    }
+  }
+}
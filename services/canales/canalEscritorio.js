@@ -0,0 +1,64 @@
+/**
+ * CANAL DE ESCRITORIO
+ * ===================
+ *
+ * Muestra una notificación del sistema ejecutando un comando local.
+ * El comando es una lista [programa, ...argumentos] en la que {titulo} y
+ * {mensaje} se sustituyen por los del aviso. Se ejecuta sin pasar por una
+ * shell, así que el texto de la tarea no puede inyectar órdenes.
+ *
+ * Comandos predeterminados:
+ * - Linux: notify-send (libnotify)
+ * - macOS: osascript con "display notification"
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { CanalNotificacion } from './canalNotificacion.js';
+
+const ejecutar = promisify(execFile);
+
+// Tiempo máximo que puede tardar el comando
+const TIEMPO_ESPERA_MS = 10000;
+
+// Comando de cada sistema cuando no se configura ninguno
+const COMANDOS_PREDETERMINADOS = Object.freeze({
+  linux: ['notify-send', '--app-name=gestor-tareas', '{titulo}', '{mensaje}'],
+  // Los textos llegan como argumentos del script, sin tener que escaparlos
+  darwin: [
+    'osascript',
+    '-e', 'on run argv',
+    '-e', 'display notification (item 2 of argv) with title (item 1 of argv)',
+    '-e', 'end run',
+    '{titulo}', '{mensaje}'
+  ]
+});
+
+export class CanalEscritorio extends CanalNotificacion {
+  /**
+   * @param {Object} opciones - { comando: string[]|null }
+   */
+  constructor({ comando = null } = {}) {
+    super();
+    this.comando = comando ?? COMANDOS_PREDETERMINADOS[process.platform] ?? null;
+  }
+
+  get nombre() {
+    return 'escritorio';
+  }
+
+  async enviar({ titulo, mensaje }) {
+    if (!this.comando) {
+      throw new Error(`No hay comando de notificaciones para ${process.platform} (recordatorios.escritorio.comando)`);
+    }
+    const [programa, ...argumentos] = this.comando.map(parte =>
+      parte.replaceAll('{titulo}', titulo).replaceAll('{mensaje}', mensaje)
+    );
+    try {
+      await ejecutar(programa, argumentos, { timeout: TIEMPO_ESPERA_MS });
+    } catch (error) {
+      const detalle = error.code === 'ENOENT' ? 'no está instalado' : (error.stderr?.trim() || error.message);
+      throw new Error(`${programa}: ${detalle}`);
+    }
+  }
+}
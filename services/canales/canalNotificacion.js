@@ -0,0 +1,47 @@
+/**
+ * INTERFAZ DE CANAL DE NOTIFICACIÓN
+ * =================================
+ *
+ * Define cómo se entrega un aviso (por ahora, los de los recordatorios:
+ * ver services/recordatoriosService.js). El servicio trabaja siempre contra
+ * esta interfaz, sin saber si el aviso acaba en la terminal, en el escritorio,
+ * en un correo o en otro servicio web.
+ *
+ * Un aviso es un objeto plano:
+ *   { clave, tipo, titulo, mensaje,
+ *     tarea: { id, descripcion, fechaLimite, prioridad, proyecto } }
+ *
+ * Implementaciones disponibles:
+ * - CanalConsola: Mensaje (y campana) en la terminal, y opcionalmente un archivo de registro
+ * - CanalEscritorio: Notificación del escritorio con un comando local (notify-send, osascript...)
+ * - CanalSmtp: Correo electrónico (ver utils/smtp.js)
+ * - CanalWebhook: Petición POST con el aviso en JSON a una URL
+ */
+
+/**
+ * CLASE BASE: CANAL DE NOTIFICACIÓN
+ * =================================
+ *
+ * Cada implementación sobrescribe nombre y enviar().
+ * Los métodos de la clase base lanzan un error para detectar omisiones.
+ */
+export class CanalNotificacion {
+  /**
+   * Nombre del canal en la configuración (recordatorios.canales).
+   * Sirve también para recordar por qué canales ya se envió cada aviso.
+   * @returns {string}
+   */
+  get nombre() {
+    throw new Error(`${this.constructor.name}.nombre no está implementado`);
+  }
+
+  /**
+   * Entrega un aviso.
+   * @param {Object} aviso - Aviso a entregar
+   * @returns {Promise<void>}
+   * @throws {Error} - Si no se pudo entregar (se volverá a intentar en la siguiente revisión)
+   */
+  async enviar(aviso) {
+    throw new Error(`${this.constructor.name}.enviar() no está implementado`);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * CANAL DE CORREO (SMTP)
+ * ======================
+ *
+ * Envía cada aviso como un correo de texto a los destinatarios configurados
+ * (recordatorios.smtp). El protocolo está en utils/smtp.js.
+ */
+
+import { CanalNotificacion } from './canalNotificacion.js';
+import { enviarCorreo } from '../../utils/smtp.js';
+
+export class CanalSmtp extends CanalNotificacion {
+  /**
+   * @param {Object} opciones - { host, puerto, seguridad, usuario, password, de, para }
+   */
+  constructor({ de, para, ...servidor }) {
+    super();
+    this.servidor = servidor;
+    this.de = de;
+    this.para = para;
+  }
+
+  get nombre() {
+    return 'smtp';
+  }
+
+  async enviar({ titulo, mensaje, tarea }) {
+    const lineas = [mensaje, ''];
+    if (tarea.fechaLimite) lineas.push(`Fecha límite: ${tarea.fechaLimite}`);
+    if (tarea.prioridad) lineas.push(`Prioridad: ${tarea.prioridad}`);
+    if (tarea.proyecto) lineas.push(`Proyecto: ${tarea.proyecto}`);
+    if (tarea.id) lineas.push(`ID: ${tarea.id}`);
+    lineas.push('', '— gestor-tareas');
+
+    await enviarCorreo(this.servidor, {
+      de: this.de,
+      para: this.para,
+      asunto: `${titulo}: ${tarea.descripcion}`,
+      texto: lineas.join('\n')
+    });
+  }
+}
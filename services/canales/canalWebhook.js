@@ -0,0 +1,46 @@
+/**
+ * CANAL WEBHOOK
+ * =============
+ *
+ * Envía el aviso en JSON con una petición POST a una URL, para conectarlo
+ * con cualquier servicio (chats, automatizaciones...). Cuerpo:
+ *   { "evento": "recordatorio", "tipo", "titulo", "mensaje", "tarea": { ... } }
+ * Cualquier respuesta 2xx se considera entregada.
+ */
+
+import { CanalNotificacion } from './canalNotificacion.js';
+
+// Tiempo máximo de espera de la respuesta
+const TIEMPO_ESPERA_MS = 10000;
+
+export class CanalWebhook extends CanalNotificacion {
+  /**
+   * @param {Object} opciones - { url, cabeceras: cabeceras HTTP adicionales }
+   */
+  constructor({ url, cabeceras = {} }) {
+    super();
+    this.url = url;
+    this.cabeceras = cabeceras;
+  }
+
+  get nombre() {
+    return 'webhook';
+  }
+
+  async enviar({ tipo, titulo, mensaje, tarea }) {
+    let respuesta;
+    try {
+      respuesta = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.cabeceras },
+        body: JSON.stringify({ evento: 'recordatorio', tipo, titulo, mensaje, tarea }),
+        signal: AbortSignal.timeout(TIEMPO_ESPERA_MS)
+      });
+    } catch (error) {
+      throw new Error(`No se pudo contactar con ${this.url}: ${error.cause?.message ?? error.message}`);
+    }
+    if (!respuesta.ok) {
+      throw new Error(`${this.url} respondió ${respuesta.status} ${respuesta.statusText}`);
+    }
+  }
+}
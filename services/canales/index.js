@@ -0,0 +1,48 @@
+/**
+ * FÁBRICA DE CANALES DE NOTIFICACIÓN
+ * ==================================
+ *
+ * Crea los canales activos según la configuración (recordatorios.canales).
+ */
+
+import { CanalConsola } from './canalConsola.js';
+import { CanalEscritorio } from './canalEscritorio.js';
+import { CanalSmtp } from './canalSmtp.js';
+import { CanalWebhook } from './canalWebhook.js';
+
+export { CanalNotificacion } from './canalNotificacion.js';
+export { CanalConsola, CanalEscritorio, CanalSmtp, CanalWebhook };
+
+/**
+ * FUNCIÓN: CREAR CANAL
+ * ====================
+ *
+ * @param {string} nombre - consola, escritorio, smtp o webhook
+ * @param {Object} configuracion - Sección recordatorios de la configuración
+ * @returns {CanalNotificacion}
+ */
+export function crearCanal(nombre, configuracion) {
+  switch (nombre) {
+    case 'consola':
+      return new CanalConsola(configuracion.consola);
+    case 'escritorio':
+      return new CanalEscritorio(configuracion.escritorio);
+    case 'smtp':
+      return new CanalSmtp(configuracion.smtp);
+    case 'webhook':
+      return new CanalWebhook(configuracion.webhook);
+    default:
+      throw new Error(`Canal de notificación desconocido: "${nombre}"`);
+  }
+}
+
+/**
+ * FUNCIÓN: CREAR CANALES
+ * ======================
+ *
+ * @param {Object} configuracion - Sección recordatorios de la configuración
+ * @returns {CanalNotificacion[]} - Uno por cada canal activo, en el orden configurado
+ */
+export function crearCanales(configuracion) {
+  return configuracion.canales.map(nombre => crearCanal(nombre, configuracion));
+}
@@ -0,0 +1,172 @@
+/**
+ * SERVICIO DE EVENTOS - CICLO DE VIDA DE LAS TAREAS
+ * =================================================
+ *
+ * Bus de eventos con el que los plugins (ver services/pluginsService.js)
+ * se enteran de lo que pasa con las tareas y pueden intervenir:
+ *
+ *   tarea:creada, tarea:editada, tarea:completada, tarea:reabierta, tarea:eliminada
+ *
+ * Cada evento tiene dos fases:
+ * - antes: se emite en las operaciones sobre una tarea (agregar, editar,
+ *   completar, reabrir, eliminar) antes de guardar nada. Los manejadores
+ *   reciben { evento, antes, despues }: la tarea tal como está y la tarea
+ *   tal como quedará, que pueden modificar. Si un manejador lanza un error,
+ *   la operación no se hace (ErrorTarea RECHAZADA con su motivo).
+ * - despues: se emite por cada tarea que cambió, sea cual sea la operación
+ *   (también importar, renombrar etiquetas, deshacer o restaurar de la
+ *   papelera), a partir de los cambios grabados (ver grabarCambios en
+ *   data/tareas.js). Los manejadores reciben además los campos editados y
+ *   la operación; lo que hagan ya no puede impedir nada.
+ *
+ * A diferencia de los demás servicios, informa por consola (stderr) de los
+ * fallos de los manejadores «después»: la operación ya se guardó y no hay
+ * a quién devolverle el error.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Qué le pasó a cada tarea en los cambios grabados
+import { clasificarCambio } from './auditoriaService.js';
+// Modelo de tarea (copias para los manejadores)
+import { Tarea } from '../models/tarea.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * EVENTOS DEL CICLO DE VIDA
+ * =========================
+ */
+export const EVENTOS_TAREA = Object.freeze([
+  'tarea:creada', 'tarea:editada', 'tarea:completada', 'tarea:reabierta', 'tarea:eliminada'
+]);
+
+// Fases de cada evento
+export const FASES_EVENTO = Object.freeze(['antes', 'despues']);
+
+/**
+ * EVENTO DE CADA TIPO DE CAMBIO
+ * =============================
+ *
+ * Tipos de services/auditoriaService.js. Una tarea restaurada de la papelera
+ * vuelve a existir (creada); borrar definitivamente una tarea que ya estaba
+ * en la papelera no emite nada (se emitió al enviarla).
+ */
+const EVENTO_DE_CAMBIO = Object.freeze({
+  creacion: 'tarea:creada',
+  restauracion: 'tarea:creada',
+  edicion: 'tarea:editada',
+  completado: 'tarea:completada',
+  reapertura: 'tarea:reabierta',
+  papelera: 'tarea:eliminada',
+  eliminacion: 'tarea:eliminada'
+});
+
+/**
+ * ESTADO INTERNO: MANEJADORES
+ * ===========================
+ *
+ * { antes: { 'tarea:creada': [{ manejador, origen }] }, despues: { ... } }
+ * En orden de suscripción, que es el orden en que se ejecutan.
+ */
+const manejadores = { antes: {}, despues: {} };
+
+/**
+ * FUNCIÓN: SUSCRIBIR
+ * ==================
+ *
+ * @param {string} evento - Uno de EVENTOS_TAREA
+ * @param {string} fase - 'antes' o 'despues'
+ * @param {Function} manejador - Recibe la carga del evento (puede ser asíncrono)
+ * @param {string} origen - Quién se suscribe, para los mensajes ('el plugin "x"')
+ * @returns {Function} - Anula la suscripción
+ * @throws {ErrorTarea} - VALIDACION si el evento, la fase o el manejador no son válidos
+ */
+export function suscribir(evento, fase, manejador, origen = 'la aplicación') {
+  if (!EVENTOS_TAREA.includes(evento)) {
+    throw new ErrorTarea(`Evento "${evento}" desconocido. Eventos: ${EVENTOS_TAREA.join(', ')}`, CODIGOS_ERROR.VALIDACION);
+  }
+  if (!FASES_EVENTO.includes(fase)) {
+    throw new ErrorTarea(`Fase "${fase}" no válida. Fases: ${FASES_EVENTO.join(', ')}`, CODIGOS_ERROR.VALIDACION);
+  }
+  if (!_.isFunction(manejador)) {
+    throw new ErrorTarea(`El manejador de ${evento} (${fase}) debe ser una función`, CODIGOS_ERROR.VALIDACION);
+  }
+
+  const suscripcion = { manejador, origen };
+  (manejadores[fase][evento] ??= []).push(suscripcion);
+  return () => _.pull(manejadores[fase][evento], suscripcion);
+}
+
+/**
+ * FUNCIÓN: EMITIR «ANTES»
+ * =======================
+ *
+ * Ejecuta en orden los manejadores «antes» del evento. Cada uno ve los
+ * cambios que hicieron los anteriores en la tarea propuesta. Quien llama
+ * debe volver a validar la propuesta (los manejadores pueden estropearla).
+ *
+ * @param {string} evento - Uno de EVENTOS_TAREA
+ * @param {Object} carga - {
+ *     antes: copia de la tarea actual (null al crear),
+ *     despues: tarea propuesta, modificable (null al eliminar)
+ *   }
+ * @throws {ErrorTarea} - RECHAZADA si algún manejador lanzó un error
+ *   (o el ErrorTarea que lanzó, tal cual)
+ */
+export async function emitirAntes(evento, { antes, despues }) {
+  for (const { manejador, origen } of [...(manejadores.antes[evento] ?? [])]) {
+    try {
+      await manejador({ evento, antes, despues });
+    } catch (error) {
+      if (error instanceof ErrorTarea) throw error;
+      throw new ErrorTarea(`Operación rechazada por ${origen}: ${error?.message ?? error}`, CODIGOS_ERROR.RECHAZADA);
+    }
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EMITIR «DESPUÉS»
+ * ==================================
+ *
+ * Un manejador que falla no impide que se ejecuten los demás.
+ */
+async function emitirDespues(evento, carga) {
+  for (const { manejador, origen } of [...(manejadores.despues[evento] ?? [])]) {
+    try {
+      await manejador(carga);
+    } catch (error) {
+      console.error(`⚠️  Falló ${origen} al procesar ${evento}: ${error?.message ?? error}`);
+    }
+  }
+}
+
+/**
+ * FUNCIÓN: NOTIFICAR CAMBIOS
+ * ==========================
+ *
+ * Emite el evento «después» de cada tarea que cambió en una operación.
+ * Nunca lanza: los fallos de los manejadores solo se informan.
+ *
+ * @param {string} operacion - Descripción de la operación ('Editar "Comprar pan"')
+ * @param {Object[]} cambios - [{ id, antes, despues }] (ver grabarCambios)
+ */
+export async function notificarCambios(operacion, cambios) {
+  if (_.every(manejadores.despues, _.isEmpty)) return;
+
+  for (const cambio of cambios) {
+    const clasificacion = clasificarCambio(cambio);
+    if (!clasificacion) continue;
+    const { tipo, campos } = clasificacion;
+    if (tipo === 'eliminacion' && cambio.antes.fechaEliminacion) continue;
+
+    const evento = EVENTO_DE_CAMBIO[tipo];
+    await emitirDespues(evento, {
+      evento,
+      antes: cambio.antes ? Tarea.desdeDocumento(cambio.antes) : null,
+      despues: cambio.despues ? Tarea.desdeDocumento(cambio.despues) : null,
+      campos,
+      operacion
+    });
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * SERVICIO DE HISTORIAL - DESHACER Y REHACER
+ * ==========================================
+ *
+ * Las operaciones que modifican tareas se ejecutan dentro de
+ * registrarOperacion(), que graba sus escrituras y las guarda en el
+ * historial (ver data/historial.js). Deshacer aplica los cambios grabados
+ * al revés; rehacer los vuelve a aplicar.
+ *
+ * Los mismos cambios se registran en la auditoría (ver services/auditoriaService.js)
+ * y se notifican a los plugins (ver services/eventosService.js), también los
+ * que se hacen al deshacer o rehacer.
+ *
+ * Antes de tocar nada se comprueba que las tareas afectadas siguen tal como
+ * las dejó la operación: si alguien las cambió después, deshacer pisaría ese
+ * trabajo, así que se rechaza con un error de CONFLICTO.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Estado de tareas y escrituras granulares (con su grabación)
+import {
+  todasLasTareas,
+  cargarTareasPorIds,
+  guardarNuevaTarea,
+  modificarTarea,
+  borrarTarea,
+  grabarCambios
+} from '../data/tareas.js';
+// Persistencia del historial
+import { guardarEnHistorial, consultarPila, cambiarEstadoEntrada } from '../data/historial.js';
+// Registro de auditoría
+import { registrarEnAuditoria } from './auditoriaService.js';
+// Eventos «después» para los plugins
+import { notificarCambios } from './eventosService.js';
+// Modelo de tarea (para reconstruir los documentos guardados)
+import { Tarea } from '../models/tarea.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * FUNCIÓN: REGISTRAR OPERACIÓN
+ * ============================
+ *
+ * Ejecuta una operación que modifica tareas, la guarda en el historial
+ * para poder deshacerla, registra sus cambios en la auditoría y los
+ * notifica a los plugins.
+ * Las operaciones que deben ser irreversibles (vaciar la papelera) se
+ * registran solo en la auditoría. Las operaciones que no llegan a escribir nada
+ * no dejan entrada. Dentro de otra operación registrada no se crea una
+ * entrada aparte: sus cambios forman parte de la exterior.
+ *
+ * @param {string} descripcion - Texto para el usuario ('Completar "Comprar pan"')
+ * @param {Function} operacion - Función asíncrona que realiza los cambios
+ * @param {Object} opciones - { deshacible: false para no guardarla en el historial }
+ * @returns {Promise<*>} - Lo que devuelva la operación
+ */
+export async function registrarOperacion(descripcion, operacion, { deshacible = true } = {}) {
+  return grabarCambios(operacion, async cambios => {
+    if (_.isEmpty(cambios)) return;
+    if (deshacible) await guardarEnHistorial(descripcion, cambios);
+    await registrarEnAuditoria(descripcion, cambios);
+    await notificarCambios(descripcion, cambios);
+  });
+}
+
+/**
+ * FUNCIÓN: CONSULTAR HISTORIAL
+ * ============================
+ *
+ * @returns {Promise<{ deshacer: string|null, rehacer: string|null }>}
+ *   Descripción de lo que se desharía y de lo que se reharía
+ */
+export async function consultarHistorial() {
+  const { deshacer, rehacer } = await consultarPila();
+  return { deshacer: deshacer?.descripcion ?? null, rehacer: rehacer?.descripcion ?? null };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DOCUMENTO COMPARABLE
+ * ======================================
+ *
+ * Documento sin versión (cambia en cada escritura, también al deshacer)
+ * y con los ObjectId como texto, para comparar contenidos.
+ */
+function comparable(documento) {
+  return JSON.parse(JSON.stringify(_.omit(documento, 'version')));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RESTAURAR CAMPOS
+ * ==================================
+ *
+ * Deja la copia de una tarea con los datos de un documento guardado.
+ * Si el documento era de una tarea pendiente, se reabre con marcarPendiente()
+ * (que quita la fecha de completado).
+ */
+function restaurarCampos(copia, documento) {
+  const original = Tarea.desdeDocumento(documento);
+  Object.assign(copia, _.omit(original, 'version'));
+  if (!original.completada) copia.marcarPendiente();
+}
+
+/**
+ * FUNCIÓN AUXILIAR: APLICAR TRANSICIONES
+ * ======================================
+ *
+ * Lleva cada tarea afectada del estado "desde" al estado "hacia".
+ * Primero se comprueba que todas están en el estado "desde";
+ * si alguna no lo está, no se cambia nada.
+ *
+ * @param {Object[]} transiciones - [{ id, desde, hacia }] en orden de aplicación
+ * @param {string} accion - 'deshacer' | 'rehacer' (para los mensajes)
+ */
+async function aplicarTransiciones(transiciones, accion) {
+  // Con un backend remoto, las tareas afectadas se traen antes a memoria
+  await cargarTareasPorIds(transiciones.map(({ id }) => id));
+  const actualDe = id => _.find(todasLasTareas(), t => String(t._id) === String(id));
+
+  // PASO 1: Comprobar que nadie cambió las tareas desde entonces
+  for (const { id, desde, hacia } of transiciones) {
+    const actual = actualDe(id);
+    const intacta = desde
+      ? Boolean(actual) && _.isEqual(comparable(actual.toDocumento()), comparable(desde))
+      : !actual;
+    if (!intacta) {
+      const nombre = (desde ?? hacia).descripcion;
+      throw new ErrorTarea(
+        `No se puede ${accion}: la tarea "${nombre}" cambió después de esa operación`,
+        CODIGOS_ERROR.CONFLICTO
+      );
+    }
+  }
+
+  // PASO 2: Aplicar los cambios
+  for (const { id, hacia } of transiciones) {
+    const actual = actualDe(id);
+    if (!hacia) {
+      await borrarTarea(actual);
+    } else if (!actual) {
+      await guardarNuevaTarea(Tarea.desdeDocumento({ ...hacia, version: 0 }));
+    } else {
+      await modificarTarea(actual, copia => restaurarCampos(copia, hacia));
+    }
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: MOVER EN LA PILA
+ * ==================================
+ *
+ * La entrada se marca antes de aplicar los cambios, para que dos procesos
+ * no deshagan la misma operación; si aplicar falla, se devuelve a su estado.
+ * Lo que se llegue a cambiar queda en la auditoría ('Deshacer: Completar "X"').
+ */
+async function moverEnLaPila(entrada, { estado, estadoAnterior, transiciones, accion }) {
+  await cambiarEstadoEntrada(entrada, estado);
+  try {
+    await grabarCambios(
+      () => aplicarTransiciones(transiciones, accion),
+      async cambios => {
+        if (_.isEmpty(cambios)) return;
+        const operacion = `${_.upperFirst(accion)}: ${entrada.descripcion}`;
+        await registrarEnAuditoria(operacion, cambios);
+        await notificarCambios(operacion, cambios);
+      }
+    );
+  } catch (error) {
+    await cambiarEstadoEntrada({ ...entrada, estado, version: entrada.version + 1 }, estadoAnterior)
+      .catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * FUNCIÓN: DESHACER
+ * =================
+ *
+ * Revierte la última operación hecha (los cambios, en orden inverso).
+ *
+ * @returns {Promise<string>} - Descripción de la operación deshecha
+ * @throws {ErrorTarea} - VALIDACION si no hay nada que deshacer,
+ *                        CONFLICTO si las tareas cambiaron después
+ */
+export async function deshacer() {
+  const { deshacer: entrada } = await consultarPila();
+  if (!entrada) {
+    throw new ErrorTarea('No hay ninguna operación que deshacer', CODIGOS_ERROR.VALIDACION);
+  }
+
+  await moverEnLaPila(entrada, {
+    estado: 'deshecha',
+    estadoAnterior: 'hecha',
+    accion: 'deshacer',
+    transiciones: [...entrada.cambios].reverse()
+      .map(({ id, antes, despues }) => ({ id, desde: despues, hacia: antes }))
+  });
+  return entrada.descripcion;
+}
+
+/**
+ * FUNCIÓN: REHACER
+ * ================
+ *
+ * Vuelve a aplicar la última operación deshecha.
+ *
+ * @returns {Promise<string>} - Descripción de la operación rehecha
+ * @throws {ErrorTarea} - VALIDACION si no hay nada que rehacer,
+ *                        CONFLICTO si las tareas cambiaron después
+ */
+export async function rehacer() {
+  const { rehacer: entrada } = await consultarPila();
+  if (!entrada) {
+    throw new ErrorTarea('No hay ninguna operación que rehacer', CODIGOS_ERROR.VALIDACION);
+  }
+
+  await moverEnLaPila(entrada, {
+    estado: 'hecha',
+    estadoAnterior: 'deshecha',
+    accion: 'rehacer',
+    transiciones: entrada.cambios.map(({ id, antes, despues }) => ({ id, desde: antes, hacia: despues }))
+  });
+  return entrada.descripcion;
+}
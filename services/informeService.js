@@ -0,0 +1,259 @@
+/**
+ * SERVICIO DE INFORMES - DOCUMENTOS DE UN PERIODO
+ * ===============================================
+ *
+ * Genera un informe autocontenido (Markdown o HTML) de un periodo:
+ * - Tareas completadas en el periodo (según fechaCompletada)
+ * - Tareas creadas en el periodo
+ * - Tareas que siguen pendientes y tareas vencidas
+ * - Resumen con las cifras de calcularEstadisticas() y de la analítica
+ *
+ * El periodo es una semana o un mes (PERIODOS_INFORME), o unos límites
+ * desde/hasta con la misma sintaxis que la analítica. Las plantillas
+ * predeterminadas están en utils/informe.js; se pueden sustituir por un
+ * archivo propio (informes.plantillaMarkdown / informes.plantillaHtml de
+ * la configuración, o una plantilla indicada al generar el informe).
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+import { readFile } from 'node:fs/promises';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Búsqueda de las tareas activas
+import { buscarTareasActivas } from '../data/tareas.js';
+// Usuario de la sesión
+import { obtenerSesion } from '../data/sesion.js';
+// Configuración (plantillas propias)
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Resumen y orden de las tareas
+import { calcularEstadisticas, ordenarTareas } from './tareasService.js';
+// Periodos y productividad
+import { interpretarPeriodo, calcularAnalitica } from './analiticaService.js';
+// Días locales y semanas
+import { diaLocal, desdeDiaLocal, sumarDias, diasEntre, inicioDeSemana } from '../utils/fechas.js';
+// Símbolos de prioridad y duraciones
+import { SIMBOLOS_PRIORIDAD, formatearDuracion } from '../utils/formato.js';
+// Plantillas
+import { renderizarPlantilla } from '../utils/plantillas.js';
+import { FORMATOS_INFORME, ESCAPAR_INFORME, PLANTILLAS_INFORME } from '../utils/informe.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * PERIODOS PREDEFINIDOS
+ * =====================
+ *
+ * - semana: desde el lunes de esta semana hasta hoy
+ * - semana-pasada: de lunes a domingo de la semana anterior
+ * - mes: desde el día 1 de este mes hasta hoy
+ * - mes-pasado: el mes anterior completo
+ */
+export const PERIODOS_INFORME = Object.freeze(['semana', 'semana-pasada', 'mes', 'mes-pasado']);
+
+// Periodo cuando no se indica ninguno
+export const PERIODO_INFORME_POR_DEFECTO = 'semana';
+
+// Clave de la configuración con la plantilla propia de cada formato
+const CLAVES_PLANTILLA = Object.freeze({ markdown: 'plantillaMarkdown', html: 'plantillaHtml' });
+
+/**
+ * FUNCIÓN: LÍMITES DEL PERIODO DE UN INFORME
+ * ==========================================
+ *
+ * @param {Object} opciones - { periodo?, desde?, hasta? }; desde/hasta
+ *   (ver interpretarPeriodo) no se combinan con un periodo predefinido
+ * @param {Date} ahora - Momento de referencia
+ * @returns {{ desde: string, hasta: string }} - Días 'AAAA-MM-DD', ambos incluidos
+ * @throws {ErrorTarea} - VALIDACION si el periodo no es válido
+ */
+export function periodoDeInforme({ periodo, desde, hasta } = {}, ahora = new Date()) {
+  const conLimites = !_.isEmpty(desde?.trim()) || !_.isEmpty(hasta?.trim());
+  if (conLimites) {
+    if (periodo) {
+      throw new ErrorTarea('Indica un periodo predefinido o sus límites (desde/hasta), no ambos', CODIGOS_ERROR.VALIDACION);
+    }
+    return interpretarPeriodo({ desde, hasta }, ahora);
+  }
+
+  const lunes = desdeDiaLocal(inicioDeSemana(ahora));
+  switch (periodo ?? PERIODO_INFORME_POR_DEFECTO) {
+    case 'semana':
+      return { desde: diaLocal(lunes), hasta: diaLocal(ahora) };
+    case 'semana-pasada':
+      return { desde: diaLocal(sumarDias(lunes, -7)), hasta: diaLocal(sumarDias(lunes, -1)) };
+    case 'mes':
+      return { desde: diaLocal(new Date(ahora.getFullYear(), ahora.getMonth(), 1)), hasta: diaLocal(ahora) };
+    case 'mes-pasado':
+      return {
+        desde: diaLocal(new Date(ahora.getFullYear(), ahora.getMonth() - 1, 1)),
+        // El día 0 de un mes es el último del anterior
+        hasta: diaLocal(new Date(ahora.getFullYear(), ahora.getMonth(), 0))
+      };
+    default:
+      throw new ErrorTarea(
+        `Periodo "${periodo}" no válido. Opciones: ${PERIODOS_INFORME.join(', ')}`,
+        CODIGOS_ERROR.VALIDACION
+      );
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER PLANTILLA
+ * ================================
+ *
+ * @param {string} formato - 'markdown' o 'html'
+ * @param {string|null} ruta - Archivo de la plantilla; si no se indica,
+ *   la configurada o la predeterminada
+ * @returns {Promise<{ texto: string, nombre: string }>}
+ */
+async function leerPlantilla(formato, ruta) {
+  const archivo = ruta || obtenerConfiguracion().informes[CLAVES_PLANTILLA[formato]];
+  if (!archivo) return { texto: PLANTILLAS_INFORME[formato], nombre: `predeterminada (${formato})` };
+
+  try {
+    return { texto: await readFile(archivo, 'utf8'), nombre: archivo };
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo leer la plantilla ${archivo}: ${error.message}`, CODIGOS_ERROR.VALIDACION);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TAREA PARA LA PLANTILLA
+ * =========================================
+ *
+ * Todos los campos están siempre presentes (vacíos si no aplican), para
+ * que un {{campo}} dentro de la lista no tome el valor del informe.
+ */
+function datosTarea(tarea, hoy) {
+  const vencida = tarea.estaVencida(hoy);
+  return {
+    id: String(tarea._id),
+    descripcion: tarea.descripcion,
+    prioridad: tarea.prioridad ?? '',
+    simboloPrioridad: SIMBOLOS_PRIORIDAD[tarea.prioridad] ?? '',
+    proyecto: tarea.proyecto ?? '',
+    etiquetas: tarea.etiquetas.map(etiqueta => `#${etiqueta}`).join(' '),
+    creada: diaLocal(new Date(tarea.fechaCreacion)),
+    completada: tarea.completada && tarea.fechaCompletada ? diaLocal(new Date(tarea.fechaCompletada)) : '',
+    vence: tarea.fechaLimite ?? '',
+    diasVencida: vencida ? diasEntre(tarea.fechaLimite, hoy) : ''
+  };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONSULTA DEL INFORME
+ * ======================================
+ *
+ * Las tareas que puede listar el informe: las pendientes y las completadas
+ * o creadas en el periodo. Las fechas se guardan en ISO (UTC), así que los
+ * días locales se traducen a los instantes en que empiezan.
+ *
+ * @returns {Object} - Árbol de condiciones (ver utils/consulta.js)
+ */
+function consultaDelInforme({ desde, hasta }) {
+  const inicio = desdeDiaLocal(desde).toISOString();
+  const fin = sumarDias(desdeDiaLocal(hasta), 1).toISOString();
+  const dentroDelPeriodo = campo => ({
+    tipo: 'y',
+    hijos: [
+      { tipo: 'comparar', campo, operador: 'gte', valor: inicio },
+      { tipo: 'comparar', campo, operador: 'lt', valor: fin }
+    ]
+  });
+  return {
+    tipo: 'o',
+    hijos: [
+      { tipo: 'comparar', campo: 'completada', operador: 'ne', valor: true },
+      dentroDelPeriodo('fechaCompletada'),
+      dentroDelPeriodo('fechaCreacion')
+    ]
+  };
+}
+
+/**
+ * FUNCIÓN: DATOS DEL INFORME
+ * ==========================
+ *
+ * @param {Object} limites - { desde, hasta } (ver periodoDeInforme)
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Object>} - Valores disponibles en las plantillas (ver utils/informe.js)
+ */
+export async function datosInforme({ desde, hasta }, ahora = new Date()) {
+  const hoy = diaLocal(ahora);
+  const tareas = await buscarTareasActivas(consultaDelInforme({ desde, hasta }));
+  // Los días 'AAAA-MM-DD' se comparan directamente como texto
+  const enPeriodo = fecha => Boolean(fecha) && diaLocal(new Date(fecha)) >= desde && diaLocal(new Date(fecha)) <= hasta;
+
+  // PASO 1: Listas de tareas
+  const completadas = _.sortBy(
+    _.filter(tareas, tarea => tarea.completada && enPeriodo(tarea.fechaCompletada)),
+    'fechaCompletada'
+  );
+  const creadas = _.sortBy(_.filter(tareas, tarea => enPeriodo(tarea.fechaCreacion)), 'fechaCreacion');
+  const vencidas = ordenarTareas(_.filter(tareas, tarea => tarea.estaVencida(hoy)), 'vencimiento');
+  const pendientes = ordenarTareas(_.filter(tareas, tarea => !tarea.completada && !tarea.estaVencida(hoy)), 'prioridad');
+
+  // PASO 2: Resumen
+  const estadisticas = await calcularEstadisticas();
+  const analitica = await calcularAnalitica({ desde, hasta }, ahora);
+  const { promedioHoras, medianaHoras } = analitica.tiempoHastaCompletar;
+  const { diaMasProductivo } = analitica;
+
+  return {
+    titulo: `Informe de tareas del ${desde} al ${hasta}`,
+    desde,
+    hasta,
+    generado: `${hoy} ${ahora.toTimeString().slice(0, 5)}`,
+    usuario: obtenerSesion().usuario?.nombre ?? '',
+    resumen: {
+      total: estadisticas.total,
+      completadas: estadisticas.completadas,
+      pendientes: estadisticas.pendientes,
+      vencidas: estadisticas.vencidas,
+      porcentajeCompletadas: estadisticas.porcentajeCompletadas,
+      completadasPeriodo: completadas.length,
+      creadasPeriodo: creadas.length,
+      tiempoPromedio: promedioHoras === null ? '' : formatearDuracion(promedioHoras),
+      tiempoMediana: medianaHoras === null ? '' : formatearDuracion(medianaHoras),
+      rachaActual: analitica.rachas.actual,
+      diaMasProductivo: diaMasProductivo ? `${diaMasProductivo.dia} (${diaMasProductivo.cantidad} tarea(s))` : ''
+    },
+    completadas: completadas.map(tarea => datosTarea(tarea, hoy)),
+    creadas: creadas.map(tarea => datosTarea(tarea, hoy)),
+    pendientes: pendientes.map(tarea => datosTarea(tarea, hoy)),
+    vencidas: vencidas.map(tarea => datosTarea(tarea, hoy))
+  };
+}
+
+/**
+ * FUNCIÓN: GENERAR INFORME
+ * ========================
+ *
+ * @param {Object} opciones - {
+ *     formato: 'markdown' (por defecto) o 'html',
+ *     periodo?, desde?, hasta? (ver periodoDeInforme),
+ *     plantilla?: archivo de plantilla (si no, la configurada o la predeterminada)
+ *   }
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<{ contenido: string, formato: string, desde: string, hasta: string }>}
+ * @throws {ErrorTarea} - VALIDACION si el formato, el periodo o la plantilla no son válidos
+ */
+export async function generarInforme({ formato = 'markdown', periodo, desde, hasta, plantilla } = {}, ahora = new Date()) {
+  if (!FORMATOS_INFORME.includes(formato)) {
+    throw new ErrorTarea(
+      `Formato de informe "${formato}" no válido. Opciones: ${FORMATOS_INFORME.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+
+  const limites = periodoDeInforme({ periodo, desde, hasta }, ahora);
+  const { texto, nombre } = await leerPlantilla(formato, plantilla);
+  const contenido = renderizarPlantilla(texto, await datosInforme(limites, ahora), {
+    escapar: ESCAPAR_INFORME[formato],
+    nombre
+  });
+
+  return { contenido, formato, ...limites };
+}
@@ -0,0 +1,359 @@
+/**
+ * SERVICIO DE INTERCAMBIO - EXPORTAR E IMPORTAR TAREAS
+ * ====================================================
+ *
+ * Exporta las tareas activas a JSON, CSV, Markdown, todo.txt o iCalendar e importa
+ * archivos de esos formatos (ver utils/intercambio.js).
+ *
+ * La importación se planifica fila a fila antes de escribir nada:
+ * - Cada fila se valida con las mismas reglas que al agregar una tarea;
+ *   las que no son válidas se informan y no se importan
+ * - Las tareas duplicadas (con el ID de una tarea existente, o con la misma
+ *   descripción sin distinguir mayúsculas y mismo padre, ver
+ *   buscarTareaDuplicada) se omiten, se fusionan con la existente o se
+ *   importan con otro nombre, según se elija
+ * - Las subtareas se importan bajo su padre; si el padre se omitió o se
+ *   fusionó, bajo la tarea existente
+ *
+ * Simulando, solo se devuelve el informe. Si no, todas las escrituras
+ * forman una sola operación: se deshace de una vez.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { ObjectId } from 'mongodb';
+// Tareas activas y escrituras granulares
+import { tareas, todasLasTareas, asegurarTodasLasTareas, guardarNuevaTarea, modificarTarea } from '../data/tareas.js';
+// Reglas compartidas con el alta de tareas
+import {
+  construirArbol,
+  buscarTareaDuplicada,
+  normalizarCamposOpcionales
+} from './tareasService.js';
+// Registro de operaciones para deshacer y rehacer
+import { registrarOperacion } from './historialService.js';
+// Modelo de tarea
+import { Tarea } from '../models/tarea.js';
+// Formatos de intercambio
+import { FORMATOS_INTERCAMBIO, exportarDocumentos, leerFilas, interpretarDelimitador } from '../utils/intercambio.js';
+// Reglas de repetición
+import { primeraFechaLimite } from '../utils/recurrencia.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * QUÉ HACER CON LAS TAREAS DUPLICADAS
+ * ===================================
+ *
+ * - omitir: no se importa; sus subtareas van bajo la tarea existente
+ * - fusionar: la tarea existente recibe los datos importados (fecha límite,
+ *   prioridad, proyecto y repetición si vienen; las etiquetas se suman;
+ *   si viene completada, se completa)
+ * - renombrar: se importa como "Descripción (2)"
+ */
+export const MODOS_DUPLICADAS = Object.freeze(['omitir', 'fusionar', 'renombrar']);
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR OPCIONES VÁLIDAS
+ * =========================================
+ *
+ * @returns {string} - El delimitador ya interpretado
+ */
+function exigirOpciones({ formato, delimitador, duplicadas = 'omitir' }) {
+  if (!FORMATOS_INTERCAMBIO.includes(formato)) {
+    throw new ErrorTarea(
+      `Formato no válido: "${formato}". Formatos: ${FORMATOS_INTERCAMBIO.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  if (!MODOS_DUPLICADAS.includes(duplicadas)) {
+    throw new ErrorTarea(
+      `Opción de duplicadas no válida: "${duplicadas}". Opciones: ${MODOS_DUPLICADAS.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  const caracter = interpretarDelimitador(delimitador ?? ',');
+  if (!caracter) {
+    throw new ErrorTarea(
+      `Delimitador no válido: "${delimitador}". Usa un solo carácter (o "tab")`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  return caracter;
+}
+
+/**
+ * FUNCIÓN: EXPORTAR TAREAS
+ * ========================
+ *
+ * Exporta todas las tareas activas (no las de la papelera) en el orden del
+ * listado: cada tarea seguida de sus subtareas.
+ *
+ * @param {Object} opciones - { formato, delimitador?: para csv (',' por defecto) }
+ * @returns {Promise<Object>} - { contenido: string, exportadas: number }
+ */
+export async function exportarTareas({ formato, delimitador }) {
+  const caracter = exigirOpciones({ formato, delimitador });
+  await asegurarTodasLasTareas();
+  const documentos = construirArbol(tareas).map(({ tarea }) => tarea.toDocumento());
+  return {
+    contenido: exportarDocumentos(documentos, formato, { delimitador: caracter }),
+    exportadas: documentos.length
+  };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ORDENAR FILAS
+ * ===============================
+ *
+ * Cada padre antes que sus subtareas (el archivo puede traerlas en cualquier
+ * orden). Las filas con referencias circulares pasan a ser errores.
+ */
+function ordenarFilas(filas) {
+  const porId = _.keyBy(filas.filter(f => f.datos?.idOrigen), f => f.datos.idOrigen);
+  const ordenadas = [];
+  const estado = new Map();
+
+  const visitar = fila => {
+    if (estado.get(fila) === 'hecha') return;
+    if (estado.get(fila) === 'visitando') {
+      fila.error = 'Referencia circular entre la tarea y sus subtareas';
+      return;
+    }
+    estado.set(fila, 'visitando');
+    const padre = porId[fila.datos?.padreOrigen];
+    if (padre) visitar(padre);
+    estado.set(fila, 'hecha');
+    ordenadas.push(fila);
+  };
+
+  filas.forEach(visitar);
+  return ordenadas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: FECHA ISO OPCIONAL
+ * ====================================
+ *
+ * @throws {ErrorTarea} - VALIDACION si el texto no es una fecha
+ */
+function fechaIso(texto, nombre) {
+  if (texto === undefined) return undefined;
+  const fecha = new Date(texto);
+  if (Number.isNaN(fecha.getTime())) {
+    throw new ErrorTarea(`${nombre} no válida: "${texto}"`, CODIGOS_ERROR.VALIDACION);
+  }
+  return fecha.toISOString();
+}
+
+/**
+ * FUNCIÓN AUXILIAR: FUSIONAR CAMPOS
+ * =================================
+ *
+ * Aplica los datos importados sobre una tarea (la existente o una ya
+ * planificada). Nunca reabre una tarea completada.
+ */
+function fusionarCampos(tarea, campos, datos) {
+  ['fechaLimite', 'prioridad', 'proyecto', 'recurrencia'].forEach(campo => {
+    if (campos[campo]) tarea[campo] = campos[campo];
+  });
+  if (campos.etiquetas) tarea.etiquetas = _.union(tarea.etiquetas, campos.etiquetas);
+  if (campos.recurrencia && !tarea.fechaLimite && !tarea.completada) {
+    tarea.fechaLimite = primeraFechaLimite(tarea.recurrencia);
+  }
+  if (datos.completada && !tarea.completada) {
+    tarea.completada = true;
+    tarea.fechaCompletada = datos.fechaCompletada ?? new Date().toISOString();
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PLANIFICAR IMPORTACIÓN
+ * ========================================
+ *
+ * Decide qué hacer con cada fila sin escribir nada.
+ *
+ * @returns {Promise<Object>} - { informe: [{ fila, accion, descripcion, mensaje?, tareaId? }],
+ *                                nuevas: Tarea[], fusionadas: Map<id, Tarea> }
+ */
+async function planificarImportacion(filas, duplicadas) {
+  const informe = [];
+  const nuevas = [];
+  // Copias de las tareas existentes con los datos fusionados, por ID
+  const fusionadas = new Map();
+  // idOrigen de cada fila → _id de la tarea que la representa (nueva o existente)
+  const destinos = new Map();
+  const filasPorOrigen = new Map();
+  const idsOcupados = new Set(todasLasTareas().map(t => String(t._id)));
+  // Serie de origen de cada tarea nueva: { clave, serieOrigen }. La serie se
+  // enlaza al final (la primera ocurrencia puede venir después en el archivo)
+  const series = new Map();
+
+  // Duplicadas entre las existentes y las que ya se van a crear; las
+  // ocurrencias de una misma serie comparten descripción a propósito
+  const buscarDuplicada = async (descripcion, padreId, clave) => {
+    const existente = await buscarTareaDuplicada(descripcion, padreId);
+    if (existente) return fusionadas.get(String(existente._id)) ?? existente;
+    return _.find(nuevas, t =>
+      !(clave && series.get(t).clave === clave) &&
+      String(t.padreId) === String(padreId) &&
+      _.toLower(t.descripcion) === _.toLower(descripcion.trim())
+    );
+  };
+
+  for (const entrada of ordenarFilas(filas)) {
+    const { fila, datos } = entrada;
+    const anotar = (accion, extra) => informe.push({ fila, accion, descripcion: datos?.descripcion ?? '', ...extra });
+
+    try {
+      if (entrada.error) throw new ErrorTarea(entrada.error, CODIGOS_ERROR.VALIDACION);
+
+      // PASO 1: Validar los datos con las reglas de siempre
+      if (datos.idOrigen && filasPorOrigen.has(datos.idOrigen)) {
+        throw new ErrorTarea(`ID repetido: ya aparece en la fila ${filasPorOrigen.get(datos.idOrigen)}`, CODIGOS_ERROR.VALIDACION);
+      }
+      if (datos.idOrigen) filasPorOrigen.set(datos.idOrigen, fila);
+      if (!Tarea.validarDescripcion(datos.descripcion)) {
+        throw new ErrorTarea('La descripción no puede estar vacía', CODIGOS_ERROR.VALIDACION);
+      }
+      const campos = await normalizarCamposOpcionales(_.pick(datos, ['fechaLimite', 'prioridad', 'etiquetas', 'proyecto', 'recurrencia']));
+      const fechaCreacion = fechaIso(datos.fechaCreacion, 'Fecha de creación');
+      const fechaCompletada = fechaIso(datos.fechaCompletada, 'Fecha de completado');
+
+      // PASO 2: Resolver la tarea padre (en el archivo o, por su ID, entre las existentes)
+      let padreId = null;
+      if (datos.padreOrigen) {
+        if (destinos.has(datos.padreOrigen)) {
+          padreId = destinos.get(datos.padreOrigen);
+        } else if (_.some(filas, f => f.datos?.idOrigen === datos.padreOrigen)) {
+          throw new ErrorTarea('Su tarea padre no se importó', CODIGOS_ERROR.VALIDACION);
+        } else {
+          const existente = _.find(tareas, t => String(t._id) === datos.padreOrigen);
+          if (!existente) {
+            throw new ErrorTarea(`La tarea padre "${datos.padreOrigen}" no está en el archivo`, CODIGOS_ERROR.VALIDACION);
+          }
+          padreId = existente._id;
+        }
+      }
+
+      // PASO 3: Duplicadas: la misma tarea (por su ID, p. ej. el UID de un
+      // calendario exportado antes) o una con la misma descripción
+      let descripcion = datos.descripcion.trim();
+      const clave = datos.serieOrigen ?? datos.idOrigen;
+      const mismaTarea = datos.idOrigen && _.find(tareas, t => String(t._id) === _.toLower(datos.idOrigen));
+      const duplicada = mismaTarea
+        ? fusionadas.get(String(mismaTarea._id)) ?? mismaTarea
+        : await buscarDuplicada(descripcion, padreId, clave);
+      if (duplicada && duplicadas !== 'renombrar') {
+        if (datos.idOrigen) destinos.set(datos.idOrigen, duplicada._id);
+        const esNueva = nuevas.includes(duplicada);
+
+        if (duplicadas === 'fusionar') {
+          const copia = esNueva ? duplicada : Tarea.desdeDocumento(duplicada.toDocumento());
+          const antes = JSON.stringify(copia.toDocumento());
+          fusionarCampos(copia, campos, { ...datos, fechaCompletada });
+          if (JSON.stringify(copia.toDocumento()) !== antes) {
+            if (!esNueva) fusionadas.set(String(copia._id), copia);
+            anotar('fusionar', { tareaId: copia._id, mensaje: `Fusionada con "${copia.descripcion}"` });
+            continue;
+          }
+        }
+        anotar('omitir', { tareaId: duplicada._id, mensaje: `Ya existe "${duplicada.descripcion}"` });
+        continue;
+      }
+      if (duplicada) {
+        const base = descripcion;
+        for (let n = 2; await buscarDuplicada(descripcion, padreId, clave); n++) descripcion = `${base} (${n})`;
+      }
+
+      // PASO 4: Crear la tarea (conserva su ID si no está en uso)
+      const idLibre = /^[0-9a-f]{24}$/i.test(datos.idOrigen ?? '') && !idsOcupados.has(_.toLower(datos.idOrigen));
+      const id = idLibre ? new ObjectId(datos.idOrigen) : new ObjectId();
+      idsOcupados.add(String(id));
+      if (datos.idOrigen) destinos.set(datos.idOrigen, id);
+
+      const tarea = Tarea.desdeDocumento({
+        _id: id,
+        descripcion,
+        completada: datos.completada,
+        fechaCreacion: fechaCreacion ?? new Date().toISOString(),
+        ...(datos.completada && { fechaCompletada: fechaCompletada ?? new Date().toISOString() }),
+        ...campos,
+        padreId,
+        version: 0
+      });
+      series.set(tarea, { clave, serieOrigen: datos.serieOrigen });
+      if (tarea.recurrencia && !tarea.fechaLimite && !tarea.completada) {
+        tarea.fechaLimite = primeraFechaLimite(tarea.recurrencia);
+      }
+      nuevas.push(tarea);
+
+      anotar(duplicada ? 'renombrar' : 'crear', {
+        descripcion,
+        tareaId: id,
+        ...(duplicada && { mensaje: `Ya existía "${datos.descripcion.trim()}"` })
+      });
+
+    } catch (error) {
+      if (!(error instanceof ErrorTarea)) throw error;
+      anotar('error', { mensaje: error.message });
+    }
+  }
+
+  // Las ocurrencias de una serie que no viene en el archivo quedan como serie propia
+  series.forEach(({ serieOrigen }, tarea) => {
+    tarea.serieId = serieOrigen ? destinos.get(serieOrigen) ?? null : null;
+  });
+
+  return { informe: _.sortBy(informe, 'fila'), nuevas, fusionadas };
+}
+
+/**
+ * FUNCIÓN: IMPORTAR TAREAS
+ * ========================
+ *
+ * @param {string} texto - Contenido del archivo
+ * @param {Object} opciones - { formato, delimitador?, duplicadas?: omitir|fusionar|renombrar,
+ *                              simular?: solo calcular el informe,
+ *                              origen?: nombre del archivo (para el historial) }
+ * @returns {Promise<Object>} - { simulacion, filas: [{ fila, accion, descripcion, mensaje?, tareaId? }],
+ *                                resumen: { leidas, creadas, renombradas, fusionadas, omitidas, errores } }
+ * @throws {ErrorTarea} - VALIDACION si las opciones no son válidas o el
+ *                        archivo no se puede leer en absoluto
+ */
+export async function importarTareas(texto, { formato, delimitador, duplicadas = 'omitir', simular = false, origen = formato }) {
+  const caracter = exigirOpciones({ formato, delimitador, duplicadas });
+  // Los IDs y padres del archivo se buscan entre todas las tareas
+  await asegurarTodasLasTareas();
+  const { informe, nuevas, fusionadas } = await planificarImportacion(
+    leerFilas(texto, formato, { delimitador: caracter }),
+    duplicadas
+  );
+
+  const contar = accion => _.filter(informe, { accion }).length;
+  const resumen = {
+    leidas: informe.length,
+    creadas: contar('crear'),
+    renombradas: contar('renombrar'),
+    fusionadas: contar('fusionar'),
+    omitidas: contar('omitir'),
+    errores: contar('error')
+  };
+  const resultado = { simulacion: simular, filas: informe, resumen };
+  if (simular || (_.isEmpty(nuevas) && fusionadas.size === 0)) return resultado;
+
+  await registrarOperacion(`Importar "${origen}"`, async () => {
+    // Las nuevas ya vienen ordenadas: cada padre antes que sus subtareas
+    for (const tarea of nuevas) {
+      await guardarNuevaTarea(tarea);
+    }
+    for (const [id, fusionada] of fusionadas) {
+      const actual = _.find(tareas, t => String(t._id) === id);
+      await modificarTarea(actual, copia => Object.assign(copia, _.omit(fusionada, ['_id', 'version'])));
+    }
+  });
+  return resultado;
+}
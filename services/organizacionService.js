@@ -0,0 +1,293 @@
+/**
+ * SERVICIO DE ORGANIZACIÓN - ETIQUETAS Y PROYECTOS
+ * ================================================
+ *
+ * Operaciones que afectan a muchas tareas a la vez a través de sus
+ * etiquetas o su proyecto: listar los existentes con su uso, renombrar
+ * y fusionar.
+ *
+ * Las etiquetas y los proyectos no se guardan aparte: existen mientras
+ * alguna tarea los use. Renombrar o fusionar es, por tanto, modificar
+ * cada tarea afectada (con su control de versión, como cualquier edición).
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea, y cada operación se registra en el historial
+ * como una sola entrada (se deshace de una vez).
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Importamos el array de tareas, sus consultas y la escritura granular
+import {
+  tareas,
+  asegurarTodasLasTareas,
+  buscarTareasActivas,
+  consultarPaginaActivas,
+  resumirTareasActivas,
+  modificarTarea
+} from '../data/tareas.js';
+// Normalización de nombres compartida con el alta y la edición de tareas
+import {
+  interpretarEtiquetas,
+  interpretarProyecto,
+  resumirPorProyecto,
+  ordenarTareas,
+  calcularEstadisticas
+} from './tareasService.js';
+// Orden por creación, para comprobar si un proyecto tiene alguna tarea
+import { CLAVES_ORDEN } from '../utils/paginacion.js';
+// Registro de operaciones para deshacer y rehacer
+import { registrarOperacion } from './historialService.js';
+// Importamos los errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * FUNCIÓN: LISTAR ETIQUETAS
+ * =========================
+ *
+ * @returns {Promise<Object[]>} - [{ etiqueta, total, pendientes }] ordenadas alfabéticamente
+ */
+export async function listarEtiquetas() {
+  const { porEtiqueta } = await resumirTareasActivas();
+  return _.sortBy(porEtiqueta, 'etiqueta');
+}
+
+/**
+ * FUNCIÓN: LISTAR PROYECTOS
+ * =========================
+ *
+ * Mismo resumen que las estadísticas por proyecto, sin el grupo "sin proyecto".
+ *
+ * @returns {Promise<Object[]>} - [{ proyecto, total, completadas, pendientes, porcentajeCompletadas }]
+ */
+export async function listarProyectos() {
+  const { porProyecto } = await calcularEstadisticas();
+  return porProyecto.filter(r => r.proyecto !== null);
+}
+
+/**
+ * FUNCIÓN: AGRUPAR TAREAS POR PROYECTO
+ * ====================================
+ *
+ * Para el listado por proyecto: cada grupo con su resumen y sus tareas
+ * ordenadas. Muestra todas las tareas, así que las carga todas.
+ *
+ * @returns {Promise<Object[]>} - [{ proyecto, total, completadas, pendientes, porcentajeCompletadas, tareas }]
+ */
+export async function agruparPorProyecto() {
+  await asegurarTodasLasTareas();
+  const grupos = _.groupBy(tareas, t => t.proyecto ?? '');
+  return resumirPorProyecto(tareas).map(resumen => ({
+    ...resumen,
+    tareas: ordenarTareas(grupos[resumen.proyecto ?? ''])
+  }));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR UNA ETIQUETA
+ * =====================================
+ *
+ * Normaliza un nombre de etiqueta y exige que sea exactamente uno.
+ */
+function exigirEtiqueta(valor) {
+  const [etiqueta, ...sobrantes] = interpretarEtiquetas(valor);
+  if (!etiqueta || sobrantes.length > 0) {
+    throw new ErrorTarea(`Indica una sola etiqueta, no "${valor}"`, CODIGOS_ERROR.VALIDACION);
+  }
+  return etiqueta;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: HAY TAREAS DEL PROYECTO
+ * =========================================
+ *
+ * Sin distinguir mayúsculas, como perteneceAProyecto().
+ */
+async function hayTareasDelProyecto(nombre) {
+  const { tareas: alguna } = await consultarPaginaActivas(
+    { tipo: 'igual', campo: 'proyecto', valor: nombre },
+    { claves: CLAVES_ORDEN.creacion, limite: 1 }
+  );
+  return alguna.length > 0;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: APLICAR A TAREAS AFECTADAS
+ * ============================================
+ *
+ * Modifica, una a una, las tareas que cumplen la condición. La consulta
+ * (ver utils/consulta.js) acota las que se traen del almacenamiento y la
+ * condición decide entre ellas.
+ * Si una escritura falla (por ejemplo por conflicto), las anteriores
+ * ya quedaron guardadas: se indica cuántas se llegaron a cambiar
+ * (y se pueden revertir deshaciendo la operación).
+ *
+ * @param {string} descripcion - Texto de la operación para el historial
+ * @param {Object} consulta - Árbol de condiciones que cumplen todas las afectadas
+ * @returns {Promise<number>} - Cantidad de tareas modificadas
+ */
+async function aplicarATareas(descripcion, consulta, condicion, aplicarCambios) {
+  const afectadas = _.filter(await buscarTareasActivas(consulta), condicion);
+
+  return registrarOperacion(descripcion, async () => {
+    let modificadas = 0;
+    for (const tarea of afectadas) {
+      try {
+        await modificarTarea(tarea, aplicarCambios);
+      } catch (error) {
+        if (modificadas > 0 && error instanceof ErrorTarea) {
+          error.message += ` (se modificaron ${modificadas} de ${afectadas.length} tareas antes del error)`;
+        }
+        throw error;
+      }
+      modificadas++;
+    }
+    return modificadas;
+  });
+}
+
+/**
+ * FUNCIÓN: FUSIONAR ETIQUETAS
+ * ===========================
+ *
+ * Sustituye las etiquetas de origen por la de destino en todas las tareas.
+ * La etiqueta de destino puede existir ya o ser nueva.
+ *
+ * @param {string[]} origenes - Etiquetas que desaparecen
+ * @param {string} destino - Etiqueta resultante
+ * @returns {Promise<number>} - Cantidad de tareas modificadas
+ * @throws {ErrorTarea} - NO_ENCONTRADA si alguna etiqueta de origen no se usa
+ */
+export async function fusionarEtiquetas(origenes, destino) {
+  const etiquetaDestino = exigirEtiqueta(destino);
+  const etiquetasOrigen = _.without(interpretarEtiquetas(origenes), etiquetaDestino);
+
+  if (_.isEmpty(etiquetasOrigen)) {
+    throw new ErrorTarea('Indica al menos una etiqueta distinta de la de destino', CODIGOS_ERROR.VALIDACION);
+  }
+  const existentes = (await listarEtiquetas()).map(e => e.etiqueta);
+  const inexistente = etiquetasOrigen.find(e => !existentes.includes(e));
+  if (inexistente) {
+    throw new ErrorTarea(`Ninguna tarea tiene la etiqueta "${inexistente}"`, CODIGOS_ERROR.NO_ENCONTRADA);
+  }
+
+  return aplicarATareas(
+    `Fusionar ${etiquetasOrigen.map(e => `#${e}`).join(', ')} en #${etiquetaDestino}`,
+    { tipo: 'o', hijos: etiquetasOrigen.map(e => ({ tipo: 'incluye', campo: 'etiquetas', valor: e })) },
+    t => etiquetasOrigen.some(e => t.tieneEtiqueta(e)),
+    copia => {
+      copia.etiquetas = _.uniq(copia.etiquetas.map(e => (etiquetasOrigen.includes(e) ? etiquetaDestino : e)));
+    }
+  );
+}
+
+/**
+ * FUNCIÓN: RENOMBRAR ETIQUETA
+ * ===========================
+ *
+ * Como fusionar, pero la nueva etiqueta no puede estar ya en uso
+ * (para eso está fusionarEtiquetas, y así no se fusiona por error).
+ *
+ * @param {string} actual - Etiqueta a renombrar
+ * @param {string} nueva - Nuevo nombre
+ * @returns {Promise<number>} - Cantidad de tareas modificadas
+ */
+export async function renombrarEtiqueta(actual, nueva) {
+  const etiquetaNueva = exigirEtiqueta(nueva);
+  if ((await listarEtiquetas()).some(e => e.etiqueta === etiquetaNueva)) {
+    throw new ErrorTarea(
+      `La etiqueta "${etiquetaNueva}" ya existe; usa fusionar para unirlas`,
+      CODIGOS_ERROR.DUPLICADA
+    );
+  }
+  const etiquetaActual = exigirEtiqueta(actual);
+  return registrarOperacion(
+    `Renombrar #${etiquetaActual} a #${etiquetaNueva}`,
+    () => fusionarEtiquetas([etiquetaActual], etiquetaNueva)
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR PROYECTO EXISTENTE
+ * ===========================================
+ *
+ * @returns {Promise<string>} - Nombre del proyecto tal como está guardado
+ */
+async function exigirProyectoExistente(nombre) {
+  const proyecto = await interpretarProyecto(nombre);
+  if (!proyecto) {
+    throw new ErrorTarea('Debes indicar el nombre del proyecto', CODIGOS_ERROR.VALIDACION);
+  }
+  if (!await hayTareasDelProyecto(proyecto)) {
+    throw new ErrorTarea(`No existe el proyecto "${nombre}"`, CODIGOS_ERROR.NO_ENCONTRADA);
+  }
+  return proyecto;
+}
+
+/**
+ * FUNCIÓN: FUSIONAR PROYECTOS
+ * ===========================
+ *
+ * Mueve al proyecto de destino todas las tareas de los proyectos de origen.
+ * El proyecto de destino puede existir ya o ser nuevo.
+ *
+ * @param {string[]} origenes - Proyectos que desaparecen
+ * @param {string} destino - Proyecto resultante
+ * @returns {Promise<number>} - Cantidad de tareas modificadas
+ */
+export async function fusionarProyectos(origenes, destino) {
+  const proyectoDestino = await interpretarProyecto(destino);
+  if (!proyectoDestino) {
+    throw new ErrorTarea('Debes indicar el proyecto de destino', CODIGOS_ERROR.VALIDACION);
+  }
+  const existentes = [];
+  for (const origen of _.castArray(origenes)) existentes.push(await exigirProyectoExistente(origen));
+  const proyectosOrigen = _.uniq(existentes).filter(p => p !== proyectoDestino);
+  if (_.isEmpty(proyectosOrigen)) {
+    throw new ErrorTarea('Indica al menos un proyecto distinto del de destino', CODIGOS_ERROR.VALIDACION);
+  }
+
+  return aplicarATareas(
+    `Fusionar ${proyectosOrigen.map(p => `"${p}"`).join(', ')} en el proyecto "${proyectoDestino}"`,
+    { tipo: 'o', hijos: proyectosOrigen.map(p => ({ tipo: 'igual', campo: 'proyecto', valor: p })) },
+    t => proyectosOrigen.includes(t.proyecto),
+    copia => { copia.proyecto = proyectoDestino; }
+  );
+}
+
+/**
+ * FUNCIÓN: RENOMBRAR PROYECTO
+ * ===========================
+ *
+ * El nuevo nombre no puede pertenecer a otro proyecto existente.
+ * Sí se permite cambiar solo mayúsculas ("casa" → "Casa").
+ *
+ * @param {string} actual - Proyecto a renombrar
+ * @param {string} nuevo - Nuevo nombre
+ * @returns {Promise<number>} - Cantidad de tareas modificadas
+ */
+export async function renombrarProyecto(actual, nuevo) {
+  const proyectoActual = await exigirProyectoExistente(actual);
+  const nombreNuevo = String(nuevo ?? '').trim().replace(/\s+/g, ' ');
+  if (nombreNuevo === '') {
+    throw new ErrorTarea('Debes indicar el nuevo nombre del proyecto', CODIGOS_ERROR.VALIDACION);
+  }
+  if (nombreNuevo === proyectoActual) {
+    throw new ErrorTarea('El nuevo nombre es igual al actual', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const mismoProyecto = _.toLower(nombreNuevo) === _.toLower(proyectoActual);
+  if (!mismoProyecto && await hayTareasDelProyecto(nombreNuevo)) {
+    throw new ErrorTarea(
+      `El proyecto "${nombreNuevo}" ya existe; usa fusionar para unirlos`,
+      CODIGOS_ERROR.DUPLICADA
+    );
+  }
+
+  return aplicarATareas(
+    `Renombrar el proyecto "${proyectoActual}" a "${nombreNuevo}"`,
+    { tipo: 'igual', campo: 'proyecto', valor: proyectoActual },
+    t => t.proyecto === proyectoActual,
+    copia => { copia.proyecto = nombreNuevo; }
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * SERVICIO DE PAPELERA - RESTAURAR Y VACIAR TAREAS ELIMINADAS
+ * ===========================================================
+ *
+ * Eliminar una tarea no la borra: la envía a la papelera con su fecha de
+ * eliminación (ver eliminarTareaPorId en services/tareasService.js).
+ * Desde aquí se puede restaurar o borrar definitivamente, y al arrancar se
+ * vacían las que llevan más días que los configurados en tareas.diasPapelera.
+ *
+ * Restaurar se puede deshacer como cualquier otra operación; el borrado
+ * definitivo no (se registra solo en la auditoría).
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Tareas activas, papelera, su búsqueda y escrituras granulares
+import {
+  tareas,
+  papelera,
+  buscarTareasEnPapelera,
+  cargarArboles,
+  modificarTarea,
+  borrarTarea,
+  obtenerEstadoConexion
+} from '../data/tareas.js';
+// Búsqueda por ID, subtareas y validación de duplicados compartidas con el resto de operaciones
+import { obtenerTareaPorId, obtenerDescendientes, validarDescripcionTarea } from './tareasService.js';
+// Registro de operaciones para deshacer y rehacer
+import { registrarOperacion } from './historialService.js';
+// Configuración (días de retención)
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Milisegundos de un día, para la retención
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * FUNCIÓN: FECHA DE VACIADO
+ * =========================
+ *
+ * @param {Tarea} tarea - Tarea de la papelera
+ * @returns {Date|null} - Cuándo se borrará automáticamente, o null si la
+ *                        papelera no se vacía sola (tareas.diasPapelera = 0)
+ */
+export function fechaDeVaciado(tarea) {
+  const { diasPapelera } = obtenerConfiguracion().tareas;
+  if (!diasPapelera) return null;
+  return new Date(new Date(tarea.fechaEliminacion).getTime() + diasPapelera * MS_POR_DIA);
+}
+
+/**
+ * FUNCIÓN: LISTAR PAPELERA
+ * ========================
+ *
+ * @returns {Promise<Tarea[]>} - Tareas eliminadas, la más reciente primero
+ */
+export async function listarPapelera() {
+  return _.orderBy(await buscarTareasEnPapelera(), ['fechaEliminacion', 'descripcion'], ['desc', 'asc']);
+}
+
+/**
+ * FUNCIÓN: RESTAURAR TAREA POR ID
+ * ===============================
+ *
+ * Devuelve una tarea de la papelera a las tareas activas, junto con las
+ * subtareas que se eliminaron con ella (las que comparten su fecha de eliminación).
+ * Si su tarea padre ya no está activa, se restaura como tarea principal.
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea en la papelera
+ * @returns {Promise<Object>} - { tarea, subtareasRestauradas }
+ * @throws {ErrorTarea} - DUPLICADA si ya hay otra tarea activa con su descripción
+ */
+export async function restaurarTareaPorId(id) {
+  const tarea = await obtenerTareaPorId(id, { enPapelera: true });
+  const padreActivo = tarea.padreId && _.some(tareas, t => String(t._id) === String(tarea.padreId));
+  const padreId = padreActivo ? tarea.padreId : null;
+
+  const resultado = await validarDescripcionTarea(tarea.descripcion, tarea._id, padreId);
+  if (resultado !== true) throw new ErrorTarea(resultado, CODIGOS_ERROR.DUPLICADA);
+
+  const subtareas = obtenerDescendientes(tarea, papelera)
+    .filter(t => t.fechaEliminacion === tarea.fechaEliminacion);
+
+  return registrarOperacion(`Restaurar "${tarea.descripcion}"`, async () => {
+    // De arriba abajo: nunca queda una subtarea activa bajo un padre en la papelera
+    const restaurada = await modificarTarea(tarea, copia => {
+      copia.restaurar();
+      copia.padreId = padreId;
+    });
+    const subtareasRestauradas = [];
+    for (const subtarea of subtareas) {
+      subtareasRestauradas.push(await modificarTarea(subtarea, copia => copia.restaurar()));
+    }
+    return { tarea: restaurada, subtareasRestauradas };
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: BORRAR DEFINITIVAMENTE
+ * ========================================
+ *
+ * Borra tareas de la papelera junto con sus subtareas que sigan en ella
+ * (primero las más profundas). No se puede deshacer.
+ *
+ * @returns {Promise<Tarea[]>} - Tareas borradas
+ */
+async function borrarDefinitivamente(descripcion, raices) {
+  return registrarOperacion(descripcion, async () => {
+    const borradas = [];
+    for (const raiz of raices) {
+      for (const tarea of [raiz, ...obtenerDescendientes(raiz, papelera)].reverse()) {
+        // Una subtarea puede ser también una de las raíces: ya borrada
+        if (!papelera.includes(tarea)) continue;
+        await borrarTarea(tarea);
+        borradas.push(tarea);
+      }
+    }
+    return borradas;
+  }, { deshacible: false });
+}
+
+/**
+ * FUNCIÓN: BORRAR DEFINITIVAMENTE POR ID
+ * ======================================
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea en la papelera
+ * @returns {Promise<Tarea[]>} - La tarea y sus subtareas borradas
+ */
+export async function vaciarTareaPorId(id) {
+  const tarea = await obtenerTareaPorId(id, { enPapelera: true });
+  return borrarDefinitivamente(`Borrar definitivamente "${tarea.descripcion}"`, [tarea]);
+}
+
+/**
+ * FUNCIÓN: VACIAR PAPELERA
+ * ========================
+ *
+ * @returns {Promise<Tarea[]>} - Tareas borradas
+ */
+export async function vaciarPapelera() {
+  // Con toda la papelera en memoria, las subtareas que siguen en ella también lo están
+  return borrarDefinitivamente('Vaciar la papelera', await buscarTareasEnPapelera());
+}
+
+/**
+ * FUNCIÓN: VACIAR TAREAS CADUCADAS
+ * ================================
+ *
+ * Borra las tareas que llevan en la papelera más días de los configurados.
+ * Se ejecuta al arrancar; sin conexión no hace nada (se hará en el
+ * siguiente arranque con conexión).
+ *
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Tarea[]>} - Tareas borradas
+ */
+export async function vaciarTareasCaducadas(ahora = new Date()) {
+  const { diasPapelera } = obtenerConfiguracion().tareas;
+  if (!obtenerEstadoConexion().enLinea || !diasPapelera) return [];
+
+  // Las eliminadas antes de este momento ya pasaron su fecha de vaciado
+  const limite = new Date(ahora.getTime() - diasPapelera * MS_POR_DIA).toISOString();
+  const caducadas = await buscarTareasEnPapelera({ tipo: 'comparar', campo: 'fechaEliminacion', operador: 'lte', valor: limite });
+  if (_.isEmpty(caducadas)) return [];
+  // Sus subtareas se borran con ellas aunque se eliminaran más tarde
+  await cargarArboles(caducadas);
+
+  return borrarDefinitivamente(`Vaciar la papelera (más de ${diasPapelera} días)`, caducadas);
+}
@@ -0,0 +1,212 @@
+/**
+ * SERVICIO DE PLUGINS - EXTENSIONES SIN TOCAR EL CÓDIGO
+ * =====================================================
+ *
+ * Carga los plugins del directorio configurado (plugins.directorio, por
+ * defecto ~/.gestor-tareas/plugins). Cada plugin es un módulo ES: un archivo
+ * .js o .mjs, o una carpeta con index.js. Su exportación por defecto es la
+ * función que lo registra, o un objeto { nombre, descripcion, registrar }:
+ *
+ *   export default {
+ *     nombre: 'urgentes',
+ *     registrar(gestor) {
+ *       gestor.antes('tarea:creada', ({ despues }) => {
+ *         if (despues.etiquetas.includes('urgente')) despues.prioridad = 'alta';
+ *       });
+ *       gestor.agregarOpcionMenu('🚨 Ver urgentes', async () => { ... });
+ *     }
+ *   };
+ *
+ * registrar() recibe (ver crearApi):
+ * - antes(evento, manejador) / despues(evento, manejador): suscribirse a los
+ *   eventos de las tareas (ver services/eventosService.js)
+ * - agregarOpcionMenu(texto, accion): una opción más en el menú principal
+ * - opciones: lo que haya en plugins.opciones.<nombre> de la configuración
+ * - tareas: las operaciones de services/tareasService.js, las mismas que
+ *   usan el menú, la CLI y la API
+ *
+ * Un plugin que no se puede cargar no impide arrancar: se informa y se
+ * sigue con los demás. Los plugins se cargan en orden alfabético de archivo.
+ */
+
+import { readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Configuración (directorio, desactivados y opciones)
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Bus de eventos
+import { suscribir, EVENTOS_TAREA } from './eventosService.js';
+// Operaciones que se ofrecen a los plugins
+import * as servicioTareas from './tareasService.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Extensiones de los archivos que se cargan como plugins
+const EXTENSIONES_PLUGIN = Object.freeze(['.js', '.mjs']);
+
+/**
+ * ESTADO INTERNO: PLUGINS CARGADOS
+ * ================================
+ *
+ * Resultado de cargarPlugins(): se cargan una sola vez por proceso.
+ */
+let carga = null;
+
+/**
+ * FUNCIÓN AUXILIAR: BUSCAR PLUGINS
+ * ================================
+ *
+ * @returns {Promise<Array<{ archivo: string, ruta: string }>>} - archivo es el
+ *   nombre dentro del directorio (sin extensión) y ruta, el módulo a importar
+ */
+async function buscarPlugins(directorio) {
+  let entradas;
+  try {
+    entradas = await readdir(directorio, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const encontrados = entradas
+    .filter(entrada => !entrada.name.startsWith('.'))
+    .flatMap(entrada => {
+      const ruta = path.join(directorio, entrada.name);
+      if (entrada.isDirectory()) {
+        const indice = path.join(ruta, 'index.js');
+        return existsSync(indice) ? [{ archivo: entrada.name, ruta: indice }] : [];
+      }
+      const extension = path.extname(entrada.name);
+      return EXTENSIONES_PLUGIN.includes(extension)
+        ? [{ archivo: path.basename(entrada.name, extension), ruta }]
+        : [];
+    });
+  return _.sortBy(encontrados, 'archivo');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DEFINICIÓN DEL PLUGIN
+ * =======================================
+ *
+ * @returns {{ nombre: string, descripcion: string|null, registrar: Function }}
+ * @throws {ErrorTarea} - VALIDACION si el módulo no exporta un plugin
+ */
+function definicionDe(modulo, archivo) {
+  const exportado = modulo.default;
+  if (_.isFunction(exportado)) {
+    return { nombre: archivo, descripcion: null, registrar: exportado };
+  }
+  if (_.isPlainObject(exportado) && _.isFunction(exportado.registrar)) {
+    const nombre = _.isEmpty(String(exportado.nombre ?? '').trim()) ? archivo : String(exportado.nombre).trim();
+    return { nombre, descripcion: exportado.descripcion ?? null, registrar: exportado.registrar };
+  }
+  throw new ErrorTarea(
+    'El módulo debe exportar por defecto una función registrar(gestor) o un objeto { nombre, registrar }',
+    CODIGOS_ERROR.VALIDACION
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CREAR API DEL PLUGIN
+ * ======================================
+ *
+ * Lo que recibe registrar(). Todo lo que registra el plugin queda anotado
+ * en "registro", para poder retirarlo si registrar() falla a medias.
+ */
+function crearApi(nombre, registro) {
+  const origen = `el plugin "${nombre}"`;
+  return Object.freeze({
+    nombre,
+    eventos: EVENTOS_TAREA,
+    opciones: _.cloneDeep(obtenerConfiguracion().plugins.opciones[nombre] ?? {}),
+    tareas: servicioTareas,
+    antes(evento, manejador) {
+      registro.bajas.push(suscribir(evento, 'antes', manejador, origen));
+      registro.ganchos++;
+    },
+    despues(evento, manejador) {
+      registro.bajas.push(suscribir(evento, 'despues', manejador, origen));
+      registro.ganchos++;
+    },
+    agregarOpcionMenu(texto, accion) {
+      if (_.isEmpty(String(texto ?? '').trim()) || !_.isFunction(accion)) {
+        throw new ErrorTarea('agregarOpcionMenu(texto, accion) necesita un texto y una función', CODIGOS_ERROR.VALIDACION);
+      }
+      registro.menu.push({ nombre: String(texto).trim(), plugin: nombre, accion });
+    }
+  });
+}
+
+/**
+ * FUNCIÓN: CARGAR PLUGINS
+ * =======================
+ *
+ * Importa y registra los plugins del directorio configurado (solo la
+ * primera vez; después devuelve el mismo resultado).
+ *
+ * @returns {Promise<Object>} - {
+ *     directorio,
+ *     cargados: [{ nombre, archivo, descripcion, ganchos, opcionesMenu }],
+ *     desactivados: [archivo o nombre],
+ *     fallidos: [{ archivo, error }],
+ *     menu: opciones de menú (ver opcionesMenuPlugins)
+ *   }
+ */
+export async function cargarPlugins() {
+  if (carga) return carga;
+
+  const { directorio, desactivados } = obtenerConfiguracion().plugins;
+  const resultado = { directorio, cargados: [], desactivados: [], fallidos: [], menu: [] };
+
+  let encontrados;
+  try {
+    encontrados = await buscarPlugins(directorio);
+  } catch (error) {
+    resultado.fallidos.push({ archivo: directorio, error: `No se pudo leer el directorio: ${error.message}` });
+    encontrados = [];
+  }
+
+  for (const { archivo, ruta } of encontrados) {
+    // Un plugin desactivado por su archivo ni siquiera se importa
+    if (desactivados.includes(archivo)) {
+      resultado.desactivados.push(archivo);
+      continue;
+    }
+
+    const registro = { bajas: [], menu: [], ganchos: 0 };
+    try {
+      const { nombre, descripcion, registrar } = definicionDe(await import(pathToFileURL(ruta).href), archivo);
+      if (desactivados.includes(nombre)) {
+        resultado.desactivados.push(nombre);
+        continue;
+      }
+      if (resultado.cargados.some(plugin => plugin.nombre === nombre)) {
+        throw new ErrorTarea(`Ya hay otro plugin llamado "${nombre}"`, CODIGOS_ERROR.VALIDACION);
+      }
+
+      await registrar(crearApi(nombre, registro));
+      resultado.cargados.push({ nombre, archivo, descripcion, ganchos: registro.ganchos, opcionesMenu: registro.menu.length });
+      resultado.menu.push(...registro.menu);
+    } catch (error) {
+      registro.bajas.forEach(baja => baja());
+      resultado.fallidos.push({ archivo, error: error?.message ?? String(error) });
+    }
+  }
+
+  carga = resultado;
+  return carga;
+}
+
+/**
+ * FUNCIÓN: OPCIONES DE MENÚ DE LOS PLUGINS
+ * ========================================
+ *
+ * @returns {Array<{ nombre: string, plugin: string, accion: Function }>} - En
+ *   orden de carga; vacío si los plugins no se han cargado
+ */
+export function opcionesMenuPlugins() {
+  return carga?.menu ?? [];
+}
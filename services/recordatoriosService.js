@@ -0,0 +1,298 @@
+/**
+ * SERVICIO DE RECORDATORIOS - AVISOS DE TAREAS QUE VENCEN
+ * =======================================================
+ *
+ * Decide qué tareas merecen un aviso y lo entrega por los canales
+ * configurados (ver services/canales):
+ * - Tareas pendientes que vencen hoy o en los próximos días
+ *   (recordatorios.diasAntelacion, por defecto 1: hoy y mañana)
+ * - Tareas vencidas
+ *
+ * Cada aviso se envía una sola vez por canal: el estado guardado
+ * (data/recordatorios.js) recuerda por qué canales salió. Un canal que
+ * falla se vuelve a intentar en la siguiente revisión, sin repetir los
+ * demás. Posponer los avisos de una tarea los silencia hasta la hora
+ * indicada y, pasada esa hora, se vuelven a enviar.
+ *
+ * La revisión periódica (gestor recordatorios) está en
+ * controllers/recordatoriosController.js.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Tareas activas que vencen y tareas por ID
+import { buscarTareasActivas, cargarTareasPorIds } from '../data/tareas.js';
+// Avisos enviados y pospuestos
+import { leerEstadoRecordatorios, actualizarEstadoRecordatorios } from '../data/recordatorios.js';
+// Configuración (antelación)
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Búsqueda por ID
+import { obtenerTareaPorId } from './tareasService.js';
+// Días locales
+import { diaLocal, sumarDias, diasEntre } from '../utils/fechas.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * TIPOS DE AVISO
+ * ==============
+ *
+ * - proxima: la tarea vence hoy o dentro de la antelación configurada
+ * - vencida: la fecha límite ya pasó
+ */
+export const TIPOS_AVISO = Object.freeze(['proxima', 'vencida']);
+
+// Unidades para posponer: 30min, 2h, 1d
+const UNIDADES_POSPONER = Object.freeze({ min: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 });
+
+/**
+ * FUNCIÓN AUXILIAR: CREAR AVISO
+ * =============================
+ */
+function crearAviso(tarea, tipo, hoy) {
+  const { fechaLimite } = tarea;
+  let titulo;
+  let mensaje = tarea.descripcion;
+
+  if (tipo === 'vencida') {
+    titulo = '⏰ Tarea vencida';
+    mensaje += ` (vencía el ${fechaLimite}, hace ${diasEntre(fechaLimite, hoy)} día(s))`;
+  } else if (fechaLimite === hoy) {
+    titulo = '📅 Vence hoy';
+  } else if (diasEntre(hoy, fechaLimite) === 1) {
+    titulo = '📅 Vence mañana';
+  } else {
+    titulo = `📅 Vence el ${fechaLimite}`;
+  }
+  if (tarea.proyecto) mensaje += ` · 📁 ${tarea.proyecto}`;
+
+  return {
+    clave: `${tarea._id}|${tipo}|${fechaLimite}`,
+    tipo,
+    titulo,
+    mensaje,
+    tarea: {
+      id: String(tarea._id),
+      descripcion: tarea.descripcion,
+      fechaLimite,
+      prioridad: tarea.prioridad ?? null,
+      proyecto: tarea.proyecto ?? null
+    }
+  };
+}
+
+/**
+ * FUNCIÓN: CALCULAR AVISOS
+ * ========================
+ *
+ * Avisos que corresponden ahora, sin tener en cuenta los ya enviados
+ * ni los pospuestos.
+ *
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Object[]>} - Avisos (ver services/canales/canalNotificacion.js),
+ *   las vencidas primero y luego por fecha límite
+ */
+export async function calcularAvisos(ahora = new Date()) {
+  const hoy = diaLocal(ahora);
+  const { diasAntelacion } = obtenerConfiguracion().recordatorios;
+  const limite = diaLocal(sumarDias(ahora, diasAntelacion));
+
+  // Pendientes que vencen hasta el límite (las vencidas también)
+  const conAviso = await buscarTareasActivas({
+    tipo: 'y',
+    hijos: [
+      { tipo: 'comparar', campo: 'completada', operador: 'ne', valor: true },
+      { tipo: 'existe', campo: 'fechaLimite', valor: true },
+      { tipo: 'comparar', campo: 'fechaLimite', operador: 'lte', valor: limite }
+    ]
+  });
+  const avisos = conAviso
+    .map(tarea => crearAviso(tarea, tarea.estaVencida(hoy) ? 'vencida' : 'proxima', hoy));
+
+  return _.sortBy(avisos, [aviso => (aviso.tipo === 'vencida' ? 0 : 1), 'tarea.fechaLimite']);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ¿POSPUESTA?
+ * =============================
+ */
+function estaPospuesta(pospuestos, tareaId, ahora) {
+  return Boolean(pospuestos[tareaId]) && new Date(pospuestos[tareaId]) > ahora;
+}
+
+/**
+ * FUNCIÓN: REVISAR RECORDATORIOS
+ * ==============================
+ *
+ * Envía los avisos pendientes por los canales que todavía no los entregaron
+ * y guarda el resultado. Olvida los avisos que ya no corresponden (tarea
+ * completada o con otra fecha límite) y los aplazamientos caducados.
+ *
+ * @param {CanalNotificacion[]} canales - Canales activos (ver crearCanales)
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Object>} - {
+ *     enviados: [{ aviso, canales: [nombre] }],
+ *     fallos: [{ aviso, canal, error }],
+ *     pospuestos: número de avisos silenciados
+ *   }
+ */
+export async function revisarRecordatorios(canales, ahora = new Date()) {
+  const avisos = await calcularAvisos(ahora);
+  const estado = await leerEstadoRecordatorios();
+  const resultado = { enviados: [], fallos: [], pospuestos: 0 };
+
+  // PASO 1: Enviar por cada canal que aún no entregó el aviso
+  for (const aviso of avisos) {
+    if (estaPospuesta(estado.pospuestos, aviso.tarea.id, ahora)) {
+      resultado.pospuestos++;
+      continue;
+    }
+    const yaEnviado = estado.enviados[aviso.clave]?.canales ?? [];
+    const entregado = [];
+    for (const canal of canales.filter(c => !yaEnviado.includes(c.nombre))) {
+      try {
+        await canal.enviar(aviso);
+        entregado.push(canal.nombre);
+      } catch (error) {
+        resultado.fallos.push({ aviso, canal: canal.nombre, error: error.message });
+      }
+    }
+    if (!_.isEmpty(entregado)) resultado.enviados.push({ aviso, canales: entregado });
+  }
+
+  // PASO 2: Guardar lo enviado y olvidar lo que ya no corresponde
+  const vigentes = new Set(avisos.map(aviso => aviso.clave));
+  await actualizarEstadoRecordatorios(actual => {
+    for (const { aviso, canales: entregado } of resultado.enviados) {
+      actual.enviados[aviso.clave] = {
+        canales: _.union(actual.enviados[aviso.clave]?.canales ?? [], entregado),
+        fecha: ahora.toISOString()
+      };
+    }
+    actual.enviados = _.pickBy(actual.enviados, (_valor, clave) => vigentes.has(clave));
+    actual.pospuestos = _.pickBy(actual.pospuestos, hasta => new Date(hasta) > ahora);
+  });
+
+  return resultado;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: INTERPRETAR DURACIÓN
+ * ======================================
+ *
+ * @param {string} texto - '30min', '2h' o '1d'
+ * @returns {number|null} - Milisegundos, o null si no es válida
+ */
+function interpretarDuracion(texto) {
+  const coincidencia = String(texto ?? '').trim().toLowerCase().match(/^(\d+)\s*(min|h|d)$/);
+  if (!coincidencia || Number(coincidencia[1]) === 0) return null;
+  return Number(coincidencia[1]) * UNIDADES_POSPONER[coincidencia[2]];
+}
+
+/**
+ * FUNCIÓN: POSPONER RECORDATORIO
+ * ==============================
+ *
+ * Silencia los avisos de una tarea durante un tiempo. Pasado ese tiempo
+ * se vuelven a enviar, aunque ya se hubieran enviado antes.
+ *
+ * @param {string} id - ID (o prefijo) de la tarea
+ * @param {string} duracion - '30min', '2h' o '1d'
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<{ tarea: Tarea, hasta: string }>} - hasta en ISO
+ * @throws {ErrorTarea} - NO_ENCONTRADA/AMBIGUA, o VALIDACION si la duración
+ *   no es válida o la tarea ya está completada
+ */
+export async function posponerRecordatorio(id, duracion, ahora = new Date()) {
+  const tarea = await obtenerTareaPorId(id);
+  if (tarea.completada) {
+    throw new ErrorTarea('La tarea ya está completada: no tiene avisos que posponer', CODIGOS_ERROR.VALIDACION);
+  }
+  const milisegundos = interpretarDuracion(duracion);
+  if (!milisegundos) {
+    throw new ErrorTarea(`Duración "${duracion}" no válida. Usa minutos, horas o días: 30min, 2h, 1d`, CODIGOS_ERROR.VALIDACION);
+  }
+
+  const hasta = new Date(ahora.getTime() + milisegundos).toISOString();
+  const tareaId = String(tarea._id);
+  await actualizarEstadoRecordatorios(estado => {
+    estado.pospuestos[tareaId] = hasta;
+    estado.enviados = _.omitBy(estado.enviados, (_valor, clave) => clave.startsWith(`${tareaId}|`));
+  });
+  return { tarea, hasta };
+}
+
+/**
+ * FUNCIÓN: REACTIVAR RECORDATORIO
+ * ===============================
+ *
+ * Anula el aplazamiento: los avisos de la tarea salen en la siguiente revisión.
+ *
+ * @param {string} id - ID (o prefijo) de la tarea
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Tarea>}
+ * @throws {ErrorTarea} - NO_ENCONTRADA/AMBIGUA, o VALIDACION si no estaba pospuesta
+ */
+export async function reactivarRecordatorio(id, ahora = new Date()) {
+  const tarea = await obtenerTareaPorId(id);
+  const tareaId = String(tarea._id);
+  const { pospuestos } = await leerEstadoRecordatorios();
+  if (!estaPospuesta(pospuestos, tareaId, ahora)) {
+    throw new ErrorTarea('Los avisos de esta tarea no están pospuestos', CODIGOS_ERROR.VALIDACION);
+  }
+
+  await actualizarEstadoRecordatorios(estado => {
+    delete estado.pospuestos[tareaId];
+  });
+  return tarea;
+}
+
+/**
+ * FUNCIÓN: LISTAR RECORDATORIOS POSPUESTOS
+ * ========================================
+ *
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Array<{ tarea: Tarea, hasta: string }>>} - De las tareas
+ *   visibles, los que terminan antes primero
+ */
+export async function listarPospuestos(ahora = new Date()) {
+  const { pospuestos } = await leerEstadoRecordatorios();
+  const vigentes = _.keys(pospuestos).filter(tareaId => estaPospuesta(pospuestos, tareaId, ahora));
+  const lista = (await cargarTareasPorIds(vigentes))
+    .filter(tarea => !tarea.fechaEliminacion)
+    .map(tarea => ({ tarea, hasta: pospuestos[String(tarea._id)] }));
+  return _.sortBy(lista, 'hasta');
+}
+
+/**
+ * FUNCIÓN: PROBAR CANALES
+ * =======================
+ *
+ * Envía un aviso de prueba por cada canal, sin guardar nada.
+ *
+ * @param {CanalNotificacion[]} canales - Canales a probar
+ * @returns {Promise<Array<{ canal: string, error: string|null }>>}
+ */
+export async function probarCanales(canales) {
+  const aviso = {
+    clave: 'prueba',
+    tipo: 'prueba',
+    titulo: '🔔 Prueba de recordatorios',
+    mensaje: 'Si ves este aviso, el canal funciona',
+    tarea: { id: null, descripcion: 'Prueba de recordatorios', fechaLimite: null, prioridad: null, proyecto: null }
+  };
+
+  const resultados = [];
+  for (const canal of canales) {
+    try {
+      await canal.enviar(aviso);
+      resultados.push({ canal: canal.nombre, error: null });
+    } catch (error) {
+      resultados.push({ canal: canal.nombre, error: error.message });
+    }
+  }
+  return resultados;
+}
@@ -0,0 +1,1531 @@
+/**
+ * SERVICIO DE TAREAS - OPERACIONES DE NEGOCIO
+ * ==========================================
+ *
+ * Este módulo contiene las operaciones de negocio sobre las tareas,
+ * separadas de cualquier interacción con el usuario (inquirer, consola).
+ *
+ * Lo utilizan tanto el menú interactivo (controllers/tareasController.js)
+ * como los comandos no interactivos (controllers/cliController.js),
+ * de modo que ambas interfaces aplican exactamente las mismas reglas.
+ *
+ * Convenciones:
+ * - Las funciones reciben datos ya capturados (descripciones, IDs)
+ * - Los errores de negocio se lanzan como ErrorTarea con su código
+ *   (incluido CONFLICTO cuando otro proceso modificó la tarea)
+ * - Nunca se escribe en consola desde este módulo
+ * - Cada operación que modifica tareas se registra en el historial
+ *   para poder deshacerla (ver services/historialService.js)
+ * - Las operaciones sobre una tarea consultan antes a los plugins, que
+ *   pueden modificarla o impedirlas (ver services/eventosService.js)
+ * - Las operaciones en bloque (varias tareas a la vez) guardan todos sus
+ *   cambios en una sola escritura (ver ACCIONES_EN_BLOQUE)
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Importamos el array de tareas y las escrituras granulares
+import {
+  tareas,
+  todasLasTareas,
+  guardarNuevaTarea,
+  modificarTarea,
+  guardarLote,
+  buscarTareasActivas,
+  buscarTareasPorId,
+  cargarTareasPorIds,
+  cargarArboles,
+  cargarSubtareas,
+  consultarPaginaActivas,
+  hayTareasActivas,
+  resumirTareasActivas,
+  buscarActivasPorDescripcion
+} from '../data/tareas.js';
+// Importamos el registro de operaciones para deshacer y rehacer
+import { registrarOperacion } from './historialService.js';
+// Importamos los eventos «antes» para los plugins
+import { emitirAntes } from './eventosService.js';
+// Importamos la configuración (autocompletado de tareas padre)
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Importamos la clase Tarea que define la estructura y comportamiento
+import { Tarea, PRIORIDADES } from '../models/tarea.js';
+// Importamos los errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+// Importamos las utilidades de fechas límite
+import { diaLocal, desdeDiaLocal, finDeSemana, interpretarFechaLimite } from '../utils/fechas.js';
+// Importamos las reglas de repetición de las tareas recurrentes
+import { interpretarRecurrencia, reglaComoTexto, primeraFechaLimite, siguienteFechaLimite } from '../utils/recurrencia.js';
+// Importamos el lenguaje de consulta de la búsqueda
+import { analizarConsulta } from '../utils/consulta.js';
+// Importamos los criterios de orden y la paginación por cursor
+import { CLAVES_ORDEN, ordenarPorClaves } from '../utils/paginacion.js';
+
+/**
+ * CRITERIOS DE ORDENAMIENTO
+ * =========================
+ *
+ * prioridad (por defecto), vencimiento o creacion; todos muestran las
+ * pendientes primero. Se definen en utils/paginacion.js para que el
+ * servidor ordene las páginas exactamente igual que la memoria.
+ */
+export const CRITERIOS_ORDEN = CLAVES_ORDEN;
+
+/**
+ * FILTROS DISPONIBLES
+ * ===================
+ *
+ * Los filtros por fecha límite solo incluyen tareas pendientes:
+ * una tarea completada ya no "vence".
+ */
+export const FILTROS = Object.freeze(['todas', 'completadas', 'pendientes', 'vencidas', 'hoy', 'semana']);
+
+/**
+ * FUNCIÓN: INTERPRETAR ETIQUETAS
+ * ==============================
+ *
+ * Acepta una lista o un texto separado por comas ("trabajo, #urgente")
+ * y devuelve las etiquetas normalizadas y sin repetir.
+ *
+ * @param {string|string[]} valor - Etiquetas escritas por el usuario
+ * @returns {string[]} - Etiquetas normalizadas
+ * @throws {ErrorTarea} - VALIDACION si alguna etiqueta no es válida
+ */
+export function interpretarEtiquetas(valor) {
+  const textos = _.castArray(valor ?? [])
+    .flatMap(texto => String(texto).split(','))
+    .map(texto => texto.trim())
+    .filter(texto => texto !== '');
+
+  return _.uniq(textos.map(texto => {
+    const etiqueta = Tarea.normalizarEtiqueta(texto);
+    if (!etiqueta) {
+      throw new ErrorTarea(
+        `Etiqueta no válida: "${texto}". Usa letras, números y los signos - _ / : .`,
+        CODIGOS_ERROR.VALIDACION
+      );
+    }
+    return etiqueta;
+  }));
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR PROYECTO
+ * =============================
+ *
+ * Normaliza el nombre de un proyecto. Si ya existe un proyecto con el mismo
+ * nombre (sin distinguir mayúsculas) se reutiliza su escritura, para no
+ * acabar con "Casa" y "casa" como proyectos distintos.
+ *
+ * @param {string|null} valor - Nombre escrito por el usuario
+ * @returns {Promise<string|null>} - Nombre del proyecto, o null si está vacío
+ */
+export async function interpretarProyecto(valor) {
+  const nombre = String(valor ?? '').trim().replace(/\s+/g, ' ');
+  if (nombre === '') return null;
+
+  // Basta con una tarea del proyecto (la más antigua, para que sea siempre la misma)
+  const { tareas: [existente] } = await consultarPaginaActivas(
+    { tipo: 'igual', campo: 'proyecto', valor: nombre },
+    { claves: CLAVES_ORDEN.creacion, limite: 1 }
+  );
+  return existente ? existente.proyecto : nombre;
+}
+
+/**
+ * FUNCIÓN: FILTRAR POR ORGANIZACIÓN
+ * =================================
+ *
+ * Se queda con las tareas que tienen todas las etiquetas indicadas
+ * y, si se indica, pertenecen al proyecto.
+ *
+ * @param {Tarea[]} lista - Tareas de partida
+ * @param {Object} organizacion - { etiquetas?: string|string[], proyecto?: string }
+ * @returns {Tarea[]} - Tareas que cumplen los criterios
+ */
+export function filtrarPorOrganizacion(lista, { etiquetas, proyecto } = {}) {
+  const requeridas = _.isEmpty(etiquetas) ? [] : interpretarEtiquetas(etiquetas);
+
+  return _.filter(lista, t =>
+    requeridas.every(etiqueta => t.tieneEtiqueta(etiqueta)) &&
+    (_.isEmpty(proyecto) || t.perteneceAProyecto(proyecto))
+  );
+}
+
+/**
+ * FUNCIÓN: ORDENAR TAREAS
+ * =======================
+ *
+ * Aplica uno de los criterios de ordenamiento de la aplicación.
+ *
+ * @param {Tarea[]} lista - Tareas a ordenar
+ * @param {string} criterio - Clave de CRITERIOS_ORDEN (por defecto 'prioridad')
+ * @returns {Tarea[]} - Nueva lista ordenada
+ */
+export function ordenarTareas(lista, criterio = 'prioridad') {
+  return ordenarPorClaves(lista, clavesDeOrden(criterio));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CLAVES DE UN CRITERIO DE ORDEN
+ * ================================================
+ *
+ * @throws {ErrorTarea} - VALIDACION si el criterio no existe
+ */
+function clavesDeOrden(criterio) {
+  const claves = CRITERIOS_ORDEN[criterio];
+  if (!claves) {
+    throw new ErrorTarea(
+      `Orden desconocido: "${criterio}". Valores válidos: ${Object.keys(CRITERIOS_ORDEN).join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  return claves;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONSULTA DE UN FILTRO
+ * =======================================
+ *
+ * Traduce un filtro y unas etiquetas/proyecto a condiciones del lenguaje de
+ * consulta (ver utils/consulta.js), que se pueden evaluar en memoria o
+ * enviar al servidor con el mismo resultado.
+ *
+ * @param {string} filtro - Uno de FILTROS
+ * @param {Object} organizacion - { etiquetas?, proyecto? } (ver filtrarPorOrganizacion)
+ * @returns {Object|null} - Árbol de condiciones, o null si no hay ninguna
+ * @throws {ErrorTarea} - VALIDACION si el filtro no existe
+ */
+function consultaDeFiltro(filtro, { etiquetas, proyecto } = {}) {
+  const hoy = diaLocal();
+  const pendiente = { tipo: 'comparar', campo: 'completada', operador: 'ne', valor: true };
+  const venceDesde = (operador, dia) => ({ tipo: 'comparar', campo: 'fechaLimite', operador, valor: dia });
+  const condiciones = {
+    todas: [],
+    completadas: [{ tipo: 'comparar', campo: 'completada', operador: 'eq', valor: true }],
+    pendientes: [pendiente],
+    vencidas: [pendiente, venceDesde('lt', hoy)],
+    hoy: [pendiente, venceDesde('eq', hoy)],
+    // Desde hoy hasta el domingo; las ya vencidas tienen su propio filtro
+    semana: [pendiente, venceDesde('gte', hoy), venceDesde('lte', finDeSemana())]
+  }[filtro];
+  if (!condiciones) {
+    throw new ErrorTarea(
+      `Filtro desconocido: "${filtro}". Valores válidos: ${FILTROS.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+
+  const requeridas = _.isEmpty(etiquetas) ? [] : interpretarEtiquetas(etiquetas);
+  const hijos = [
+    ...condiciones,
+    ...requeridas.map(etiqueta => ({ tipo: 'incluye', campo: 'etiquetas', valor: etiqueta })),
+    ...(_.isEmpty(proyecto) ? [] : [{ tipo: 'igual', campo: 'proyecto', valor: proyecto.trim() }])
+  ];
+  if (_.isEmpty(hijos)) return null;
+  return hijos.length === 1 ? hijos[0] : { tipo: 'y', hijos };
+}
+
+/**
+ * FUNCIÓN: FILTRAR TAREAS
+ * =======================
+ *
+ * Devuelve las tareas que cumplen el filtro indicado, ya ordenadas.
+ * Para listados que pueden ser muy largos, ver paginarTareas().
+ *
+ * @param {string} filtro - Uno de FILTROS
+ * @param {string} criterio - Criterio de ordenamiento (ver ordenarTareas)
+ * @param {Object} organizacion - { etiquetas?, proyecto? } (ver filtrarPorOrganizacion)
+ * @returns {Promise<Tarea[]>} - Tareas filtradas y ordenadas (con sus
+ *   subtareas directas en memoria, para calcularProgreso)
+ * @throws {ErrorTarea} - VALIDACION si el filtro o el orden no existen
+ */
+export async function filtrarTareas(filtro = 'todas', criterio = 'prioridad', organizacion = {}) {
+  const consulta = consultaDeFiltro(filtro, organizacion);
+  clavesDeOrden(criterio);
+  const resultado = await buscarTareasActivas(consulta);
+  await cargarSubtareas(resultado);
+  return ordenarTareas(resultado, criterio);
+}
+
+/**
+ * FUNCIÓN: HAY TAREAS
+ * ===================
+ *
+ * Para los menús que no tienen sentido sin tareas: basta con encontrar una,
+ * sin cargar las demás.
+ *
+ * @param {string} filtro - Uno de FILTROS
+ * @returns {Promise<boolean>}
+ * @throws {ErrorTarea} - VALIDACION si el filtro no existe
+ */
+export async function hayTareas(filtro = 'todas') {
+  return hayTareasActivas(consultaDeFiltro(filtro));
+}
+
+/**
+ * FUNCIÓN: PAGINAR TAREAS
+ * =======================
+ *
+ * Como filtrarTareas(), pero de página en página: con un backend remoto el
+ * servidor filtra, ordena y devuelve solo la página pedida (ver
+ * consultarPaginaActivas en data/tareas.js). Opcionalmente se limita además
+ * con una consulta del lenguaje de búsqueda o con un texto que debe
+ * aparecer en la descripción (el selector de tareas, mientras se escribe).
+ *
+ * @param {string} filtro - Uno de FILTROS
+ * @param {string} criterio - Criterio de ordenamiento (ver ordenarTareas)
+ * @param {Object} organizacion - { etiquetas?, proyecto? } (ver filtrarPorOrganizacion)
+ * @param {Object} opciones - { limite: tareas por página, cursor?: el de la página
+ *                            anterior, consulta?: texto de búsqueda, texto?: parte de la descripción }
+ * @returns {Promise<{ tareas: Tarea[], siguiente: string|null }>} - siguiente es
+ *   el cursor para pedir la página que sigue, o null en la última. Las
+ *   subtareas directas de la página quedan en memoria (para calcularProgreso)
+ * @throws {ErrorTarea} - VALIDACION si el filtro, el orden, la consulta, el
+ *   límite o el cursor no son válidos
+ */
+export async function paginarTareas(filtro = 'todas', criterio = 'prioridad', organizacion = {},
+  { limite, cursor = null, consulta, texto } = {}) {
+  if (!Number.isInteger(limite) || limite < 1) {
+    throw new ErrorTarea(`El tamaño de página debe ser un número entero positivo, no "${limite}"`, CODIGOS_ERROR.VALIDACION);
+  }
+  const hijos = [
+    consultaDeFiltro(filtro, organizacion),
+    _.isEmpty(consulta) ? null : analizarConsulta(consulta),
+    _.isEmpty(texto?.trim()) ? null : { tipo: 'texto', valor: texto.trim() }
+  ].filter(Boolean);
+  const arbol = hijos.length > 1 ? { tipo: 'y', hijos } : hijos[0] ?? null;
+
+  const pagina = await consultarPaginaActivas(arbol, { claves: clavesDeOrden(criterio), limite, cursor });
+  await cargarSubtareas(pagina.tareas);
+  return pagina;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LOCALIZAR TAREA
+ * =================================
+ *
+ * Como obtenerTareaPorId(), pero sin cargar el árbol de la tarea.
+ */
+async function localizarTarea(id, { enPapelera = false } = {}) {
+  const donde = enPapelera ? ' en la papelera' : '';
+  const buscado = _.toLower(String(id ?? '').trim());
+
+  if (_.isEmpty(buscado)) {
+    throw new ErrorTarea('Debes indicar el ID de la tarea', CODIGOS_ERROR.VALIDACION);
+  }
+
+  // Un ID completo es su propio prefijo: para saber si un prefijo es
+  // ambiguo basta con pedir dos coincidencias
+  const coincidencias = await buscarTareasPorId(buscado, { enPapelera, limite: 2 });
+
+  if (coincidencias.length === 0) {
+    throw new ErrorTarea(`No existe ninguna tarea${donde} con ID "${id}"`, CODIGOS_ERROR.NO_ENCONTRADA);
+  }
+  if (coincidencias.length > 1) {
+    throw new ErrorTarea(`El ID "${id}" coincide con varias tareas${donde}: escribe más caracteres`, CODIGOS_ERROR.AMBIGUA);
+  }
+
+  return coincidencias[0];
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LOCALIZAR PADRE
+ * =================================
+ *
+ * Como localizarTarea(), pero el padre es un dato de la tarea y no la tarea
+ * sobre la que se opera: si no existe, son los datos los que no son válidos.
+ *
+ * @throws {ErrorTarea} - VALIDACION si no existe, AMBIGUA si el prefijo no basta
+ */
+async function localizarPadre(id) {
+  try {
+    return await localizarTarea(id);
+  } catch (error) {
+    if (error.codigo !== CODIGOS_ERROR.NO_ENCONTRADA) throw error;
+    throw new ErrorTarea(`No existe la tarea padre "${id}"`, CODIGOS_ERROR.VALIDACION);
+  }
+}
+
+/**
+ * FUNCIÓN: OBTENER TAREA POR ID
+ * =============================
+ *
+ * Localiza una tarea a partir de su ID completo o de un prefijo único del mismo.
+ * Acepta tanto ObjectIds como cadenas, lo que permite usar los IDs
+ * escritos por el usuario en la línea de comandos.
+ *
+ * La tarea llega con su árbol (padres y subtareas) en memoria, para las
+ * operaciones que lo recorren (ver cargarArboles en data/tareas.js).
+ *
+ * @param {ObjectId|string} id - ID o prefijo del ID de la tarea
+ * @param {Object} opciones - { enPapelera: buscar entre las tareas eliminadas }
+ * @returns {Promise<Tarea>} - Tarea encontrada
+ * @throws {ErrorTarea} - NO_ENCONTRADA o AMBIGUA
+ */
+export async function obtenerTareaPorId(id, { enPapelera = false } = {}) {
+  const tarea = await localizarTarea(id, { enPapelera });
+  await cargarArboles([tarea]);
+  return tarea;
+}
+
+/**
+ * FUNCIÓN: BUSCAR TAREA DUPLICADA
+ * ===============================
+ *
+ * Busca otra tarea activa con la misma descripción (sin distinguir
+ * mayúsculas) y el mismo padre: dos proyectos distintos pueden tener
+ * cada uno su subtarea "Revisar".
+ * Al editar, las demás ocurrencias de la misma serie recurrente no
+ * cuentan como duplicados (comparten descripción a propósito).
+ *
+ * @param {string} descripcion - Descripción a comprobar (no vacía)
+ * @param {ObjectId|null} padreId - Padre de la tarea (null = tarea principal)
+ * @param {ObjectId|null} idExcluido - Tarea a ignorar (la que se edita o se restaura)
+ * @returns {Promise<Tarea|undefined>} - La tarea con la que coincide, si la hay
+ */
+export async function buscarTareaDuplicada(descripcion, padreId = null, idExcluido = null) {
+  const excluida = idExcluido
+    ? _.find(todasLasTareas(), t => t._id.equals(idExcluido)) ?? _.head(await cargarTareasPorIds([idExcluido]))
+    : null;
+  const mismoPadre = { tipo: 'comparar', campo: 'padreId', operador: 'eq', valor: padreId ?? null };
+  const coincidencias = await buscarActivasPorDescripcion(descripcion.trim(), mismoPadre);
+  return _.find(coincidencias, t => !(excluida && t.claveSerie() === excluida.claveSerie()));
+}
+
+/**
+ * FUNCIÓN: VALIDAR DESCRIPCIÓN DE TAREA
+ * =====================================
+ *
+ * Comprueba que la descripción no esté vacía y que no duplique la de
+ * otra tarea con el mismo padre (ver buscarTareaDuplicada).
+ * Sigue la convención de los validadores de inquirer:
+ * devuelve true si es válida o un mensaje de error si no lo es.
+ *
+ * @param {string} descripcion - Descripción a validar
+ * @param {ObjectId|null} idExcluido - Tarea a ignorar (la que se edita o se restaura)
+ * @param {ObjectId|null} padreId - Padre de la tarea (null = tarea principal)
+ * @returns {true|string} - true o mensaje de error
+ */
+export async function validarDescripcionTarea(descripcion, idExcluido = null, padreId = null) {
+  if (!Tarea.validarDescripcion(descripcion)) {
+    return 'La descripción no puede estar vacía';
+  }
+
+  if (await buscarTareaDuplicada(descripcion, padreId, idExcluido)) {
+    const lugar = padreId ? ' en esta tarea padre' : '';
+    return idExcluido
+      ? `Ya existe otra tarea con esa descripción${lugar}`
+      : `Ya existe una tarea con esa descripción${lugar}`;
+  }
+
+  return true;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR DESCRIPCIÓN VÁLIDA
+ * ===========================================
+ *
+ * Versión de validarDescripcionTarea que lanza un ErrorTarea
+ * con el código adecuado en lugar de devolver el mensaje.
+ */
+async function exigirDescripcionValida(descripcion, idExcluido = null, padreId = null) {
+  const resultado = await validarDescripcionTarea(descripcion, idExcluido, padreId);
+  if (resultado !== true) {
+    const codigo = Tarea.validarDescripcion(descripcion)
+      ? CODIGOS_ERROR.DUPLICADA
+      : CODIGOS_ERROR.VALIDACION;
+    throw new ErrorTarea(resultado, codigo);
+  }
+}
+
+/**
+ * FUNCIÓN: VALIDAR FECHA LÍMITE
+ * =============================
+ *
+ * Validador al estilo inquirer para el campo de fecha límite.
+ * Vacío es válido (sin fecha límite).
+ *
+ * @param {string} texto - Fecha escrita por el usuario
+ * @returns {true|string} - true o mensaje de error
+ */
+export function validarFechaLimite(texto) {
+  if (_.isEmpty(texto?.trim())) return true;
+  return interpretarFechaLimite(texto)
+    ? true
+    : 'Fecha no válida. Usa AAAA-MM-DD, "hoy", "mañana" o +N (días)';
+}
+
+/**
+ * FUNCIÓN: VALIDAR REGLA DE REPETICIÓN
+ * ====================================
+ *
+ * Validador al estilo inquirer para el campo de repetición.
+ * Vacío es válido (la tarea no se repite).
+ *
+ * @param {string} texto - Regla escrita por el usuario
+ * @returns {true|string} - true o mensaje de error
+ */
+export function validarRecurrencia(texto) {
+  if (_.isEmpty(texto?.trim())) return true;
+  return interpretarRecurrencia(texto)
+    ? true
+    : 'Repetición no válida. Usa diaria, diaria:N, semanal:lun,jue, mensual:D o tras:N';
+}
+
+/**
+ * FUNCIÓN: NORMALIZAR CAMPOS OPCIONALES
+ * =====================================
+ *
+ * Valida y normaliza fechaLimite, prioridad, etiquetas, proyecto y recurrencia.
+ * undefined = no cambiar; null o '' = quitar el valor.
+ * La usan también la importación (services/intercambioService.js).
+ *
+ * @returns {Promise<Object>} - Solo las claves recibidas, ya normalizadas
+ * @throws {ErrorTarea} - VALIDACION si algún valor no es válido
+ */
+export async function normalizarCamposOpcionales({ fechaLimite, prioridad, etiquetas, proyecto, recurrencia }) {
+  const resultado = {};
+
+  if (fechaLimite !== undefined) {
+    if (_.isEmpty(fechaLimite?.trim?.())) {
+      resultado.fechaLimite = null;
+    } else {
+      const validacion = validarFechaLimite(fechaLimite);
+      if (validacion !== true) throw new ErrorTarea(validacion, CODIGOS_ERROR.VALIDACION);
+      resultado.fechaLimite = interpretarFechaLimite(fechaLimite);
+    }
+  }
+
+  if (prioridad !== undefined) {
+    const valor = _.isEmpty(prioridad) ? null : _.toLower(prioridad);
+    if (!Tarea.validarPrioridad(valor)) {
+      throw new ErrorTarea(
+        `Prioridad no válida: "${prioridad}". Valores válidos: ${PRIORIDADES.join(', ')}`,
+        CODIGOS_ERROR.VALIDACION
+      );
+    }
+    resultado.prioridad = valor;
+  }
+
+  if (etiquetas !== undefined) {
+    resultado.etiquetas = interpretarEtiquetas(etiquetas);
+  }
+
+  if (proyecto !== undefined) {
+    resultado.proyecto = await interpretarProyecto(proyecto);
+  }
+
+  if (recurrencia !== undefined) {
+    const validacion = validarRecurrencia(recurrencia ?? '');
+    if (validacion !== true) throw new ErrorTarea(validacion, CODIGOS_ERROR.VALIDACION);
+    resultado.recurrencia = _.isEmpty(recurrencia?.trim()) ? null : interpretarRecurrencia(recurrencia);
+  }
+
+  return resultado;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: COPIAR TAREA
+ * ==============================
+ *
+ * Copia independiente, para que los plugins no toquen la tarea del array global.
+ */
+function copiarTarea(tarea) {
+  return Tarea.desdeDocumento(tarea.toDocumento());
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CAMPOS OPCIONALES DE UNA PROPUESTA
+ * ====================================================
+ *
+ * Los campos opcionales que un plugin cambió, escritos como los recibe
+ * normalizarCamposOpcionales(): una regla de repetición ya interpretada
+ * se pasa a su texto para volver a validarla.
+ *
+ * @throws {ErrorTarea} - VALIDACION si algún valor no es del tipo esperado
+ */
+function camposCambiadosPorPlugins(propuesta, original) {
+  const cambiados = _.pickBy(
+    _.pick(propuesta, ['fechaLimite', 'prioridad', 'etiquetas', 'proyecto', 'recurrencia']),
+    (valor, campo) => !_.isEqual(valor, original[campo])
+  );
+
+  return _.mapValues(cambiados, (valor, campo) => {
+    if (campo === 'recurrencia' && _.isPlainObject(valor)) {
+      const texto = _.attempt(reglaComoTexto, valor);
+      if (!_.isError(texto) && interpretarRecurrencia(texto)) return texto;
+    } else if (valor == null || _.isString(valor) || (campo === 'etiquetas' && _.isArray(valor))) {
+      return valor;
+    }
+    throw new ErrorTarea(`Valor no válido en "${campo}": ${JSON.stringify(valor)}`, CODIGOS_ERROR.VALIDACION);
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PADRE PROPUESTO POR LOS PLUGINS
+ * =================================================
+ *
+ * Como al crear una subtarea: el padre debe existir y estar pendiente, y
+ * no puede ser la propia tarea ni una de sus subtareas.
+ *
+ * @returns {Promise<Tarea|null>} - El nuevo padre (null = tarea principal)
+ * @throws {ErrorTarea} - AMBIGUA o VALIDACION
+ */
+async function padrePropuesto(propuesta, tarea) {
+  if (_.isEmpty(propuesta.padreId?.toString())) return null;
+
+  // Las subtareas de la tarea ya están en memoria (se obtuvo con su árbol)
+  const padre = await localizarPadre(propuesta.padreId);
+  if (padre.completada) {
+    throw new ErrorTarea(
+      `La tarea "${padre.descripcion}" ya está completada: no se le pueden agregar subtareas`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  if (tarea && (padre._id.equals(tarea._id) || obtenerDescendientes(tarea).includes(padre))) {
+    throw new ErrorTarea(
+      `"${tarea.descripcion}" no puede ser subtarea de sí misma ni de una de sus subtareas`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  return padre;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONSULTAR A LOS PLUGINS
+ * =========================================
+ *
+ * Emite el evento «antes» con la tarea propuesta y vuelve a validar
+ * lo que los plugins hayan cambiado en ella, con las mismas reglas que
+ * al escribirlo el usuario: "mañana" pasa a ser una fecha, "urgente" una
+ * lista de etiquetas, y lo que no se puede interpretar se rechaza.
+ *
+ * @param {string} evento - Uno de EVENTOS_TAREA
+ * @param {Tarea|null} tarea - Tarea actual (null al crear)
+ * @param {Tarea|null} propuesta - Cómo quedará (null al eliminar)
+ * @throws {ErrorTarea} - RECHAZADA si un plugin lo impide, o VALIDACION/DUPLICADA/
+ *   AMBIGUA si dejó la propuesta con datos no válidos
+ */
+async function consultarPlugins(evento, tarea, propuesta) {
+  const original = propuesta && copiarTarea(propuesta);
+  await emitirAntes(evento, { antes: tarea && copiarTarea(tarea), despues: propuesta });
+  if (!propuesta) return;
+
+  // PASO 1: Campos opcionales (fecha límite, prioridad, etiquetas, proyecto, repetición)
+  const campos = await normalizarCamposOpcionales(camposCambiadosPorPlugins(propuesta, original));
+  Object.assign(propuesta, campos);
+  if (campos.recurrencia && !propuesta.fechaLimite && !propuesta.completada) {
+    propuesta.fechaLimite = primeraFechaLimite(propuesta.recurrencia);
+  }
+
+  // PASO 2: Padre (una subtarea es del dueño de su padre)
+  const cambiaPadre = String(propuesta.padreId ?? '') !== String(original.padreId ?? '');
+  if (cambiaPadre) {
+    const padre = await padrePropuesto(propuesta, tarea);
+    propuesta.padreId = padre?._id ?? null;
+    if (!tarea) propuesta.propietarioId = padre?.propietarioId ?? null;
+    if (tarea && padre && String(padre.propietarioId ?? '') !== String(tarea.propietarioId ?? '')) {
+      throw new ErrorTarea(`"${padre.descripcion}" es de otro usuario`, CODIGOS_ERROR.VALIDACION);
+    }
+  }
+
+  // PASO 3: Descripción (no vacía ni duplicada con su padre)
+  if (propuesta.descripcion !== original.descripcion || cambiaPadre) {
+    if (!_.isString(propuesta.descripcion)) {
+      throw new ErrorTarea('La descripción debe ser un texto', CODIGOS_ERROR.VALIDACION);
+    }
+    await exigirDescripcionValida(propuesta.descripcion, tarea?._id ?? null, propuesta.padreId);
+    propuesta.descripcion = propuesta.descripcion.trim();
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: APLICAR PROPUESTA
+ * ===================================
+ *
+ * Para modificarTarea(): deja la copia igual que la propuesta aceptada,
+ * incluidos los campos que se quitaron (fechaCompletada al reabrir).
+ */
+function aplicarPropuesta(propuesta) {
+  return copia => {
+    _.difference(_.keys(copia), _.keys(propuesta)).forEach(campo => delete copia[campo]);
+    Object.assign(copia, _.omit(propuesta, 'version'));
+  };
+}
+
+/**
+ * FUNCIÓN: REGISTRAR NUEVA TAREA
+ * ==============================
+ *
+ * Valida los datos, crea la tarea y la inserta en el almacenamiento.
+ *
+ * Con padreId se crea como subtarea de otra tarea pendiente.
+ * Una tarea recurrente sin fecha límite recibe la de su primera ocurrencia.
+ *
+ * @param {string} descripcion - Descripción de la nueva tarea
+ * @param {Object} opcionales - { fechaLimite?, prioridad?, etiquetas?, proyecto?, recurrencia?, padreId? }
+ * @returns {Promise<Tarea>} - Tarea creada
+ * @throws {ErrorTarea} - VALIDACION si los datos no son válidos (también si
+ *   el padre no existe), AMBIGUA o DUPLICADA
+ */
+export async function registrarTarea(descripcion, { padreId, ...opcionales } = {}) {
+  const padre = _.isEmpty(padreId?.toString()) ? null : await localizarPadre(padreId);
+  if (padre?.completada) {
+    throw new ErrorTarea(
+      `La tarea "${padre.descripcion}" ya está completada: no se le pueden agregar subtareas`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  await exigirDescripcionValida(descripcion, null, padre?._id ?? null);
+  const campos = await normalizarCamposOpcionales(opcionales);
+
+  const tarea = Tarea.crearTarea(descripcion);
+  // Una subtarea es del dueño de su padre (aunque la cree un administrador)
+  Object.assign(tarea, campos, { padreId: padre?._id ?? null, propietarioId: padre?.propietarioId ?? null });
+  if (tarea.recurrencia && !tarea.fechaLimite) {
+    tarea.fechaLimite = primeraFechaLimite(tarea.recurrencia);
+  }
+  await consultarPlugins('tarea:creada', null, tarea);
+  return registrarOperacion(`Agregar "${tarea.descripcion}"`, () => guardarNuevaTarea(tarea));
+}
+
+/**
+ * FUNCIÓN: ACTUALIZAR TAREA
+ * =========================
+ *
+ * Cambia la descripción, la fecha límite, la prioridad, las etiquetas,
+ * el proyecto y/o la repetición de una tarea.
+ * Los campos no indicados (undefined) no se modifican; null quita
+ * la fecha límite, la prioridad, el proyecto o la repetición
+ * ([] o null quita las etiquetas).
+ * Los cambios afectan solo a esta ocurrencia y a las que se generen
+ * a partir de ella: las ya completadas conservan sus datos.
+ *
+ * @param {ObjectId|string} id - ID de la tarea
+ * @param {Object} cambios - { descripcion?, fechaLimite?, prioridad?, etiquetas?, proyecto?, recurrencia? }
+ * @returns {Promise<Tarea>} - Tarea actualizada
+ */
+export async function actualizarTarea(id, { descripcion, ...opcionales }) {
+  const tarea = await obtenerTareaPorId(id);
+  if (descripcion !== undefined) await exigirDescripcionValida(descripcion, tarea._id, tarea.padreId);
+  const campos = await normalizarCamposOpcionales(opcionales);
+
+  const propuesta = copiarTarea(tarea);
+  if (descripcion !== undefined) propuesta.descripcion = descripcion.trim();
+  Object.assign(propuesta, campos);
+  // Al convertirla en recurrente sin fecha límite, recibe la de su primera ocurrencia
+  if (campos.recurrencia && !propuesta.fechaLimite && !propuesta.completada) {
+    propuesta.fechaLimite = primeraFechaLimite(propuesta.recurrencia);
+  }
+  await consultarPlugins('tarea:editada', tarea, propuesta);
+
+  return registrarOperacion(`Editar "${tarea.descripcion}"`, () => modificarTarea(tarea, aplicarPropuesta(propuesta)));
+}
+
+/**
+ * FUNCIÓN: ACTUALIZAR DESCRIPCIÓN
+ * ===============================
+ *
+ * Cambia solo la descripción de una tarea existente validando duplicados
+ * (excluyendo la propia tarea).
+ *
+ * @param {ObjectId|string} id - ID de la tarea
+ * @param {string} nuevaDescripcion - Nueva descripción
+ * @returns {Promise<Tarea>} - Tarea actualizada
+ */
+export async function actualizarDescripcion(id, nuevaDescripcion) {
+  return actualizarTarea(id, { descripcion: nuevaDescripcion });
+}
+
+/**
+ * FUNCIÓN: OBTENER SUBTAREAS
+ * ==========================
+ *
+ * @param {Tarea} tarea - Tarea padre
+ * @param {Tarea[]} lista - Dónde buscarlas (las tareas activas, o la papelera)
+ * @returns {Tarea[]} - Subtareas directas (un solo nivel)
+ */
+export function obtenerSubtareas(tarea, lista = tareas) {
+  return _.filter(lista, t => t.esSubtareaDe(tarea._id));
+}
+
+/**
+ * FUNCIÓN: OBTENER DESCENDIENTES
+ * ==============================
+ *
+ * Subtareas de todos los niveles, de arriba abajo (cada padre antes que sus hijas).
+ *
+ * @param {Tarea} tarea - Tarea raíz
+ * @param {Tarea[]} lista - Dónde buscarlas (las tareas activas, o la papelera)
+ * @returns {Tarea[]} - Descendientes
+ */
+export function obtenerDescendientes(tarea, lista = tareas) {
+  return obtenerSubtareas(tarea, lista).flatMap(hija => [hija, ...obtenerDescendientes(hija, lista)]);
+}
+
+/**
+ * FUNCIÓN: CALCULAR PROGRESO
+ * ==========================
+ *
+ * Avance de una tarea según sus subtareas directas ("3/5").
+ *
+ * @param {Tarea} tarea - Tarea padre
+ * @returns {{ completadas: number, total: number }|null} - null si no tiene subtareas
+ */
+export function calcularProgreso(tarea) {
+  const subtareas = obtenerSubtareas(tarea);
+  if (_.isEmpty(subtareas)) return null;
+  return { completadas: _.filter(subtareas, 'completada').length, total: subtareas.length };
+}
+
+/**
+ * FUNCIÓN: CONSTRUIR ÁRBOL
+ * ========================
+ *
+ * Convierte una lista de tareas en un árbol aplanado para mostrarlo indentado.
+ * Cada subtarea aparece debajo de su padre; si el padre no está en la lista
+ * (por ejemplo, porque un filtro lo excluyó), la subtarea se muestra como raíz.
+ *
+ * @param {Tarea[]} lista - Tareas a mostrar
+ * @param {string} criterio - Criterio de ordenamiento entre hermanas (ver ordenarTareas)
+ * @returns {Object[]} - [{ tarea, nivel, numero: '1.2', progreso }] en orden de pantalla
+ */
+export function construirArbol(lista, criterio = 'prioridad') {
+  const ids = new Set(lista.map(t => String(t._id)));
+  const hijasPorPadre = _.groupBy(lista, t => (t.padreId && ids.has(String(t.padreId)) ? String(t.padreId) : ''));
+
+  const recorrer = (hermanas, nivel, prefijo) =>
+    ordenarTareas(hermanas, criterio).flatMap((tarea, i) => {
+      const numero = `${prefijo}${i + 1}`;
+      return [
+        { tarea, nivel, numero, progreso: calcularProgreso(tarea) },
+        ...recorrer(hijasPorPadre[String(tarea._id)] ?? [], nivel + 1, `${numero}.`)
+      ];
+    });
+
+  return recorrer(hijasPorPadre[''] ?? [], 0, '');
+}
+
+/**
+ * ACCIONES SOBRE SUBTAREAS ABIERTAS
+ * =================================
+ *
+ * Al completar una tarea con subtareas pendientes:
+ * - completar: se completan también todas sus subtareas pendientes
+ * - mantener: solo se completa la tarea; las subtareas siguen abiertas
+ *
+ * Al eliminar una tarea con subtareas:
+ * - eliminar: se eliminan también todas sus subtareas
+ * - conservar: las subtareas pasan a depender del padre de la tarea eliminada
+ */
+export const ACCIONES_SUBTAREAS = Object.freeze({
+  completar: ['completar', 'mantener'],
+  eliminar: ['eliminar', 'conservar']
+});
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR ACCIÓN SOBRE SUBTAREAS
+ * ===============================================
+ */
+function exigirAccionSubtareas(operacion, accion, cantidad, { varias = false } = {}) {
+  const validas = ACCIONES_SUBTAREAS[operacion];
+  if (accion === undefined) {
+    const detalle = operacion === 'completar' ? 'subtarea(s) pendiente(s)' : 'subtarea(s)';
+    throw new ErrorTarea(
+      `${varias ? 'Las tareas tienen' : 'La tarea tiene'} ${cantidad} ${detalle}: indica qué hacer con ellas (${validas.join(' o ')})`,
+      CODIGOS_ERROR.SUBTAREAS_PENDIENTES
+    );
+  }
+  if (!validas.includes(accion)) {
+    throw new ErrorTarea(
+      `Acción sobre subtareas no válida: "${accion}". Valores válidos: ${validas.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: GENERAR SIGUIENTE OCURRENCIA
+ * ==============================================
+ *
+ * Crea la ocurrencia que sigue a una tarea recurrente recién completada:
+ * misma descripción, prioridad, organización, padre y regla, con la
+ * siguiente fecha límite. La completada queda como historial de la serie.
+ *
+ * No pasa por la validación de duplicados: repetir la descripción de
+ * las ocurrencias anteriores es justamente lo esperado.
+ *
+ * @param {Tarea} completada - Ocurrencia recién completada
+ * @returns {Promise<Tarea>} - Nueva ocurrencia pendiente
+ */
+async function generarSiguienteOcurrencia(completada) {
+  return guardarNuevaTarea(crearSiguienteOcurrencia(completada));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CREAR SIGUIENTE OCURRENCIA
+ * ============================================
+ *
+ * La ocurrencia de generarSiguienteOcurrencia(), todavía sin guardar.
+ */
+function crearSiguienteOcurrencia(completada) {
+  const siguiente = Tarea.crearTarea(completada.descripcion);
+  Object.assign(siguiente, {
+    prioridad: completada.prioridad,
+    etiquetas: [...completada.etiquetas],
+    proyecto: completada.proyecto,
+    padreId: completada.padreId,
+    recurrencia: _.cloneDeep(completada.recurrencia),
+    serieId: completada.serieId ?? completada._id,
+    propietarioId: completada.propietarioId,
+    fechaLimite: siguienteFechaLimite(completada.recurrencia, completada)
+  });
+  return siguiente;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PROPUESTAS DE COMPLETAR
+ * =========================================
+ *
+ * Consulta a los plugins por cada tarea que se completará (también las
+ * subtareas y los padres que se completan con ella): cualquiera puede
+ * impedir la operación entera.
+ *
+ * @returns {Promise<Map<string, Tarea>>} - Propuesta aceptada de cada tarea, por ID
+ * @throws {ErrorTarea} - RECHAZADA si un plugin lo impide (ver consultarPlugins)
+ */
+async function propuestasDeCompletar(lista) {
+  const propuestas = new Map();
+  for (const tarea of lista) {
+    const propuesta = copiarTarea(tarea);
+    propuesta.marcarCompletada();
+    await consultarPlugins('tarea:completada', tarea, propuesta);
+    propuestas.set(String(tarea._id), propuesta);
+  }
+  return propuestas;
+}
+
+/**
+ * FUNCIÓN: COMPLETAR TAREA POR ID
+ * ===============================
+ *
+ * Marca como completada una tarea pendiente.
+ * Si tiene subtareas pendientes hay que indicar qué hacer con ellas
+ * (ver ACCIONES_SUBTAREAS); si no se indica, no se cambia nada.
+ * Las tareas recurrentes que se completan (la tarea, las subtareas que se
+ * completan con ella o los padres que se autocompletan) generan su
+ * siguiente ocurrencia.
+ *
+ * @param {ObjectId|string} id - ID de la tarea
+ * @param {Object} opciones - { subtareas?: 'completar' | 'mantener' }
+ * @returns {Promise<Object>} - { tarea, subtareasCompletadas, padresCompletados,
+ *                              siguienteOcurrencia (la de la tarea, Tarea o null),
+ *                              siguientesOcurrencias (todas, Tarea[]) }
+ * @throws {ErrorTarea} - SUBTAREAS_PENDIENTES si falta la decisión, RECHAZADA si
+ *   un plugin impide completar alguna de las tareas
+ */
+export async function completarTareaPorId(id, { subtareas } = {}) {
+  const tarea = await obtenerTareaPorId(id);
+
+  if (tarea.completada) {
+    throw new ErrorTarea('La tarea ya está completada', CODIGOS_ERROR.VALIDACION);
+  }
+
+  // PASO 1: Decidir qué pasa con las subtareas pendientes y qué padres se completan
+  const pendientes = obtenerDescendientes(tarea).filter(t => !t.completada);
+  if (pendientes.length > 0) exigirAccionSubtareas('completar', subtareas, pendientes.length);
+  const cascada = subtareas === 'completar' ? pendientes : [];
+  const padres = padresQueSeCompletan([tarea, ...cascada]);
+
+  // PASO 2: Consultar a los plugins por cada una
+  const propuestas = await propuestasDeCompletar([tarea, ...cascada, ...padres]);
+  const completar = t => modificarTarea(t, aplicarPropuesta(propuestas.get(String(t._id))));
+
+  return registrarOperacion(`Completar "${tarea.descripcion}"`, async () => {
+    // PASO 3: Completar de abajo arriba: las subtareas, la tarea y sus padres
+    const subtareasCompletadas = [];
+    for (const subtarea of [...cascada].reverse()) subtareasCompletadas.push(await completar(subtarea));
+    const completada = await completar(tarea);
+    const padresCompletados = [];
+    for (const padre of padres) padresCompletados.push(await completar(padre));
+
+    // PASO 4: Generar la siguiente ocurrencia de las recurrentes (la de la tarea, primero)
+    const siguientesOcurrencias = [];
+    for (const recurrente of [completada, ...subtareasCompletadas, ...padresCompletados]) {
+      if (recurrente.recurrencia) siguientesOcurrencias.push(await generarSiguienteOcurrencia(recurrente));
+    }
+    const siguienteOcurrencia = completada.recurrencia ? siguientesOcurrencias[0] : null;
+
+    return { tarea: completada, subtareasCompletadas, padresCompletados, siguienteOcurrencia, siguientesOcurrencias };
+  });
+}
+
+/**
+ * FUNCIÓN: REABRIR TAREA POR ID
+ * =============================
+ *
+ * Vuelve a dejar pendiente una tarea completada. Solo cambia esa tarea:
+ * sus subtareas, su padre y la siguiente ocurrencia (si era recurrente)
+ * quedan como están.
+ *
+ * @param {ObjectId|string} id - ID de la tarea
+ * @returns {Promise<Tarea>} - Tarea reabierta
+ * @throws {ErrorTarea} - VALIDACION si no está completada
+ */
+export async function reabrirTareaPorId(id) {
+  const tarea = await obtenerTareaPorId(id);
+  if (!tarea.completada) {
+    throw new ErrorTarea('La tarea no está completada', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const propuesta = copiarTarea(tarea);
+  propuesta.marcarPendiente();
+  await consultarPlugins('tarea:reabierta', tarea, propuesta);
+
+  return registrarOperacion(`Reabrir "${tarea.descripcion}"`, () => modificarTarea(tarea, aplicarPropuesta(propuesta)));
+}
+
+/**
+ * FUNCIÓN: ELIMINAR TAREA POR ID
+ * ==============================
+ *
+ * Envía una tarea a la papelera (ver services/papeleraService.js), de donde
+ * se puede restaurar hasta que se vacíe.
+ * Si tiene subtareas hay que indicar qué hacer con ellas (ver ACCIONES_SUBTAREAS):
+ * las que se eliminan van a la papelera con ella, con la misma fecha de eliminación.
+ * La confirmación es responsabilidad de la interfaz que llama.
+ *
+ * @param {ObjectId|string} id - ID de la tarea
+ * @param {Object} opciones - { subtareas?: 'eliminar' | 'conservar' }
+ * @returns {Promise<Object>} - { tarea, subtareasEliminadas, subtareasConservadas }
+ * @throws {ErrorTarea} - SUBTAREAS_PENDIENTES si falta la decisión, DUPLICADA si
+ *   una subtarea conservada repetiría la descripción de otra en su nuevo nivel
+ */
+export async function eliminarTareaPorId(id, { subtareas } = {}) {
+  const tarea = await obtenerTareaPorId(id);
+  const descendientes = obtenerDescendientes(tarea);
+  const hijas = obtenerSubtareas(tarea);
+  if (hijas.length > 0) exigirAccionSubtareas('eliminar', subtareas, descendientes.length);
+  if (subtareas === 'conservar') {
+    await exigirConservadasSinRepetir(hijas.map(hija => [hija, tarea.padreId]), new Set([String(tarea._id)]));
+  }
+  await consultarPlugins('tarea:eliminada', tarea, null);
+
+  return registrarOperacion(`Eliminar "${tarea.descripcion}"`, async () => {
+    const resultado = { tarea, subtareasEliminadas: [], subtareasConservadas: [] };
+    const fechaEliminacion = new Date().toISOString();
+
+    if (subtareas === 'eliminar') {
+      // De abajo arriba: nunca queda una subtarea activa bajo un padre ya eliminado
+      for (const subtarea of [...descendientes].reverse()) {
+        resultado.subtareasEliminadas.push(
+          await modificarTarea(subtarea, copia => copia.moverAPapelera(fechaEliminacion))
+        );
+      }
+      resultado.tarea = await modificarTarea(tarea, copia => copia.moverAPapelera(fechaEliminacion));
+    } else {
+      // La tarea sale primero: una hija con su misma descripción ocupa su lugar.
+      // Las hijas directas suben un nivel; sus propias subtareas las acompañan
+      resultado.tarea = await modificarTarea(tarea, copia => copia.moverAPapelera(fechaEliminacion));
+      for (const hija of hijas) {
+        resultado.subtareasConservadas.push(
+          await modificarTarea(hija, copia => { copia.padreId = tarea.padreId; })
+        );
+      }
+    }
+
+    return resultado;
+  });
+}
+
+/**
+ * OPERACIONES EN BLOQUE
+ * =====================
+ *
+ * La misma acción sobre varias tareas elegidas de una vez (marcadas en una
+ * lista, o todas las que cumplen un filtro o una búsqueda). Siguen las reglas
+ * de las operaciones sobre una tarea, con estas diferencias:
+ * - Todo se prepara y se valida antes de escribir: si un plugin rechaza una
+ *   de las tareas o falta decidir qué hacer con las subtareas, no cambia ninguna
+ * - Los cambios se guardan juntos, en una sola escritura (ver guardarLote),
+ *   y quedan en el historial como una sola operación que se deshace entera
+ * - Las tareas que ya están como pide la acción (completar una completada)
+ *   se omiten en lugar de dar error: al elegir todas las de un filtro es lo esperado
+ *
+ * Acciones y sus opciones:
+ * - completar: { subtareas?: 'completar' | 'mantener' } (ver ACCIONES_SUBTAREAS)
+ * - reabrir
+ * - eliminar: { subtareas?: 'eliminar' | 'conservar' }
+ * - etiquetar: { agregar?, quitar? } (etiquetas, como en interpretarEtiquetas)
+ * - priorizar: { prioridad } (null o '' la quita)
+ */
+export const ACCIONES_EN_BLOQUE = Object.freeze(['completar', 'reabrir', 'eliminar', 'etiquetar', 'priorizar']);
+
+// Para la descripción en el historial ('Completar 7 tareas')
+const VERBOS_EN_BLOQUE = Object.freeze({
+  completar: 'Completar',
+  reabrir: 'Reabrir',
+  eliminar: 'Eliminar',
+  etiquetar: 'Etiquetar',
+  priorizar: 'Cambiar la prioridad de'
+});
+
+// Evento «antes» que se consulta a los plugins por cada tarea elegida
+const EVENTOS_EN_BLOQUE = Object.freeze({
+  completar: 'tarea:completada',
+  reabrir: 'tarea:reabierta',
+  eliminar: 'tarea:eliminada',
+  etiquetar: 'tarea:editada',
+  priorizar: 'tarea:editada'
+});
+
+/**
+ * FUNCIÓN AUXILIAR: TAREAS ELEGIDAS
+ * =================================
+ *
+ * Los IDs completos (los que llegan de un selector) se cargan en una sola
+ * consulta; los prefijos, uno a uno.
+ *
+ * @returns {Promise<Tarea[]>} - Las tareas de los IDs (o prefijos), sin repetir
+ * @throws {ErrorTarea} - VALIDACION si no hay ninguna; NO_ENCONTRADA o AMBIGUA
+ */
+async function tareasElegidas(ids) {
+  const textos = _.castArray(ids ?? []).map(id => _.toLower(String(id ?? '').trim()));
+  const porId = new Map((await cargarTareasPorIds(textos))
+    .filter(t => !t.fechaEliminacion)
+    .map(t => [String(t._id), t]));
+
+  const encontradas = [];
+  for (const texto of textos) encontradas.push(porId.get(texto) ?? await localizarTarea(texto));
+  const elegidas = _.uniqBy(encontradas, t => String(t._id));
+  if (_.isEmpty(elegidas)) {
+    throw new ErrorTarea('No se eligió ninguna tarea', CODIGOS_ERROR.VALIDACION);
+  }
+  return elegidas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DECIDIR SOBRE LAS SUBTAREAS
+ * =============================================
+ *
+ * Sin decisión, anota en el plan cuántas subtareas la necesitan.
+ *
+ * @returns {string|null} - La acción sobre las subtareas, o null si no hay ninguna o falta decidir
+ */
+function decidirSubtareas(plan, accion, afectadas) {
+  if (afectadas.length === 0) return null;
+  if (accion === undefined) {
+    plan.subtareasSinDecidir = afectadas.length;
+    return null;
+  }
+  exigirAccionSubtareas(plan.accion, accion, afectadas.length, { varias: true });
+  return accion;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PADRES QUE SE COMPLETAN
+ * =========================================
+ *
+ * Los padres que se quedarán sin subtareas pendientes cuando se completen
+ * las tareas indicadas, y que por tanto se completan también (subiendo por
+ * el árbol). Se calculan de antemano para consultarlos a los plugins.
+ * La siguiente ocurrencia de una subtarea recurrente mantiene abierto a su padre.
+ * Se puede desactivar con la opción tareas.autocompletarPadres.
+ *
+ * @param {Tarea[]} completadas - Tareas que se completan
+ * @returns {Tarea[]} - Padres que se autocompletan, de abajo arriba
+ */
+function padresQueSeCompletan(completadas) {
+  if (!obtenerConfiguracion().tareas.autocompletarPadres) return [];
+
+  const cerradas = new Set(completadas.map(t => String(t._id)));
+  const conNuevaOcurrencia = new Set(completadas.filter(t => t.recurrencia).map(t => String(t.padreId)));
+  const padres = [];
+  const porRevisar = [...completadas];
+  while (porRevisar.length > 0) {
+    const { padreId } = porRevisar.shift();
+    const padre = padreId && _.find(tareas, t => String(t._id) === String(padreId));
+    if (!padre || padre.completada || cerradas.has(String(padre._id)) || conNuevaOcurrencia.has(String(padre._id))) continue;
+    if (obtenerSubtareas(padre).some(t => !t.completada && !cerradas.has(String(t._id)))) continue;
+    cerradas.add(String(padre._id));
+    if (padre.recurrencia) conNuevaOcurrencia.add(String(padre.padreId));
+    padres.push(padre);
+    porRevisar.push(padre);
+  }
+  return padres;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PRIMER ANCESTRO CONSERVADO
+ * ============================================
+ *
+ * Al eliminar conservando las subtareas, estas pasan a depender del primer
+ * ancestro que no se elimina (null si se eliminan todos).
+ */
+function primerAncestroConservado(tarea, eliminadas) {
+  let padreId = tarea.padreId;
+  while (padreId && eliminadas.has(String(padreId))) {
+    padreId = _.find(tareas, t => String(t._id) === String(padreId))?.padreId ?? null;
+  }
+  return padreId ?? null;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR CONSERVADAS SIN REPETIR
+ * ================================================
+ *
+ * Al subir de nivel, una subtarea no puede quedar junto a otra activa con su
+ * misma descripción (ver buscarTareaDuplicada), ni junto a otra que sube con
+ * ella. Se comprueba antes de escribir nada.
+ *
+ * @param {Array<[Tarea, ObjectId|null]>} movimientos - [subtarea, nuevo padre]
+ * @param {Set<string>} eliminadas - IDs de las tareas que van a la papelera
+ * @throws {ErrorTarea} - DUPLICADA
+ */
+async function exigirConservadasSinRepetir(movimientos, eliminadas) {
+  const nuevas = new Set();
+  for (const [hija, padreId] of movimientos) {
+    const mismoPadre = { tipo: 'comparar', campo: 'padreId', operador: 'eq', valor: padreId ?? null };
+    const coincidencias = await buscarActivasPorDescripcion(hija.descripcion, mismoPadre);
+    const clave = `${padreId ?? ''}|${_.toLower(hija.descripcion)}`;
+    const repetida = nuevas.has(clave) || coincidencias.some(t =>
+      !eliminadas.has(String(t._id)) && t.claveSerie() !== hija.claveSerie()
+    );
+    if (repetida) {
+      throw new ErrorTarea(
+        `La subtarea "${hija.descripcion}" no puede subir de nivel: ya existe otra tarea con esa descripción allí`,
+        CODIGOS_ERROR.DUPLICADA
+      );
+    }
+    nuevas.add(clave);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ETIQUETAS TRAS EL CAMBIO
+ * ==========================================
+ */
+function etiquetasTras(tarea, { agregar, quitar }) {
+  return _.uniq([..._.difference(tarea.etiquetas, quitar), ...agregar]);
+}
+
+/**
+ * FUNCIÓN: PLANIFICAR OPERACIÓN EN BLOQUE
+ * =======================================
+ *
+ * Calcula qué hará una operación en bloque sin cambiar nada, para resumir
+ * su efecto antes de confirmarla. Si hace falta decidir qué hacer con las
+ * subtareas y no se indicó, el plan lo dice en subtareasSinDecidir.
+ *
+ * @param {string} accion - Una de ACCIONES_EN_BLOQUE
+ * @param {Array<ObjectId|string>} ids - IDs (o prefijos) de las tareas elegidas
+ * @param {Object} opciones - Las de la acción (ver ACCIONES_EN_BLOQUE)
+ * @returns {Promise<Object>} - {
+ *     accion,
+ *     tareas: elegidas que cambian, omitidas: elegidas que ya estaban así,
+ *     subtareas: otras subtareas que se completan, se eliminan o suben de nivel,
+ *     subtareasSinDecidir: cuántas subtareas necesitan una decisión (0 si ninguna),
+ *     padres: padres que se autocompletan,
+ *     recurrentes: las que se completan (elegidas, subtareas o padres) y se repetirán,
+ *     cambios: { subtareas } al completar o eliminar (la decisión, o null),
+ *              { agregar, quitar } al etiquetar y { prioridad } al priorizar
+ *   }
+ * @throws {ErrorTarea} - VALIDACION si la acción o sus opciones no son válidas
+ */
+export async function planificarEnBloque(accion, ids, { subtareas, agregar, quitar, prioridad } = {}) {
+  if (!ACCIONES_EN_BLOQUE.includes(accion)) {
+    throw new ErrorTarea(
+      `Acción en bloque desconocida: "${accion}". Valores válidos: ${ACCIONES_EN_BLOQUE.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  const elegidas = await tareasElegidas(ids);
+  // Completar y eliminar recorren las subtareas y los padres de las elegidas
+  if (accion === 'completar' || accion === 'eliminar') await cargarArboles(elegidas);
+  const plan = {
+    accion, tareas: elegidas, omitidas: [], subtareas: [], subtareasSinDecidir: 0, padres: [], recurrentes: [], cambios: {}
+  };
+  const omitir = yaEsta => {
+    plan.omitidas = elegidas.filter(yaEsta);
+    plan.tareas = elegidas.filter(t => !yaEsta(t));
+  };
+
+  switch (accion) {
+    case 'completar': {
+      omitir(t => t.completada);
+      const elegidasIds = new Set(plan.tareas.map(t => String(t._id)));
+      const pendientes = _.uniqBy(plan.tareas.flatMap(t => obtenerDescendientes(t)), t => String(t._id))
+        .filter(t => !t.completada && !elegidasIds.has(String(t._id)));
+      plan.cambios = { subtareas: decidirSubtareas(plan, subtareas, pendientes) };
+      if (plan.cambios.subtareas === 'completar') plan.subtareas = pendientes;
+      plan.padres = padresQueSeCompletan([...plan.tareas, ...plan.subtareas]);
+      plan.recurrentes = [...plan.tareas, ...plan.subtareas, ...plan.padres].filter(t => t.recurrencia);
+      break;
+    }
+
+    case 'reabrir':
+      omitir(t => !t.completada);
+      break;
+
+    case 'eliminar': {
+      const eliminadas = new Set(elegidas.map(t => String(t._id)));
+      const descendientes = _.uniqBy(elegidas.flatMap(t => obtenerDescendientes(t)), t => String(t._id))
+        .filter(t => !eliminadas.has(String(t._id)));
+      plan.cambios = { subtareas: decidirSubtareas(plan, subtareas, descendientes) };
+      if (plan.cambios.subtareas === 'eliminar') plan.subtareas = descendientes;
+      // Al conservarlas, solo suben las hijas directas; sus propias subtareas las acompañan
+      if (plan.cambios.subtareas === 'conservar') plan.subtareas = descendientes.filter(t => eliminadas.has(String(t.padreId)));
+      break;
+    }
+
+    case 'etiquetar': {
+      plan.cambios = { agregar: interpretarEtiquetas(agregar), quitar: interpretarEtiquetas(quitar) };
+      if (_.isEmpty(plan.cambios.agregar) && _.isEmpty(plan.cambios.quitar)) {
+        throw new ErrorTarea('Indica alguna etiqueta que agregar o quitar', CODIGOS_ERROR.VALIDACION);
+      }
+      omitir(t => _.isEmpty(_.xor(etiquetasTras(t, plan.cambios), t.etiquetas)));
+      break;
+    }
+
+    case 'priorizar':
+      if (prioridad === undefined) {
+        throw new ErrorTarea('Indica la prioridad (o vacía para quitarla)', CODIGOS_ERROR.VALIDACION);
+      }
+      plan.cambios = await normalizarCamposOpcionales({ prioridad });
+      omitir(t => (t.prioridad ?? null) === plan.cambios.prioridad);
+      break;
+  }
+
+  return plan;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PROPUESTA EN BLOQUE
+ * =====================================
+ *
+ * Cómo quedará cada tarea elegida (null al eliminar), para consultarlo a los plugins.
+ */
+function propuestaEnBloque(plan, tarea) {
+  if (plan.accion === 'eliminar') return null;
+
+  const propuesta = copiarTarea(tarea);
+  switch (plan.accion) {
+    case 'completar':
+      propuesta.marcarCompletada();
+      break;
+    case 'reabrir':
+      propuesta.marcarPendiente();
+      break;
+    case 'etiquetar':
+      propuesta.etiquetas = etiquetasTras(tarea, plan.cambios);
+      break;
+    case 'priorizar':
+      propuesta.prioridad = plan.cambios.prioridad;
+      break;
+  }
+  return propuesta;
+}
+
+/**
+ * FUNCIÓN: APLICAR OPERACIÓN EN BLOQUE
+ * ====================================
+ *
+ * Realiza una operación en bloque (ver ACCIONES_EN_BLOQUE) con una sola
+ * escritura. La confirmación es responsabilidad de la interfaz que llama,
+ * que puede resumirla antes con planificarEnBloque().
+ * Si todas las tareas elegidas se omiten, no se escribe nada.
+ *
+ * @param {string} accion - Una de ACCIONES_EN_BLOQUE
+ * @param {Array<ObjectId|string>} ids - IDs (o prefijos) de las tareas elegidas
+ * @param {Object} opciones - Las de la acción (ver ACCIONES_EN_BLOQUE)
+ * @returns {Promise<Object>} - El plan (ver planificarEnBloque) con las tareas ya
+ *                              actualizadas, más siguientesOcurrencias (Tarea[])
+ * @throws {ErrorTarea} - SUBTAREAS_PENDIENTES si falta la decisión, RECHAZADA si
+ *   un plugin lo impide, CONFLICTO si otro proceso modificó alguna tarea,
+ *   DUPLICADA si una subtarea conservada repetiría la descripción de otra
+ */
+export async function aplicarEnBloque(accion, ids, opciones = {}) {
+  // PASO 1: Preparar la operación y consultar a los plugins por cada tarea
+  const plan = await planificarEnBloque(accion, ids, opciones);
+  if (plan.subtareasSinDecidir > 0) {
+    exigirAccionSubtareas(accion, undefined, plan.subtareasSinDecidir, { varias: true });
+  }
+  if (plan.cambios.subtareas === 'conservar') {
+    const eliminadas = new Set(plan.tareas.map(t => String(t._id)));
+    await exigirConservadasSinRepetir(
+      plan.subtareas.map(hija => [hija, primerAncestroConservado(hija, eliminadas)]),
+      eliminadas
+    );
+  }
+  const propuestas = new Map();
+  for (const tarea of plan.tareas) {
+    const propuesta = propuestaEnBloque(plan, tarea);
+    await consultarPlugins(EVENTOS_EN_BLOQUE[accion], tarea, propuesta);
+    propuestas.set(String(tarea._id), propuesta);
+  }
+  // Al completar, también las subtareas y los padres que se completan con ellas
+  if (accion === 'completar' && !_.isEmpty(plan.tareas)) {
+    for (const [id, propuesta] of await propuestasDeCompletar([...plan.subtareas, ...plan.padres])) {
+      propuestas.set(id, propuesta);
+    }
+  }
+  if (_.isEmpty(plan.tareas)) return { ...plan, siguientesOcurrencias: [] };
+
+  const cantidad = plan.tareas.length;
+  const descripcion = `${VERBOS_EN_BLOQUE[accion]} ${cantidad === 1 ? `"${plan.tareas[0].descripcion}"` : `${cantidad} tareas`}`;
+
+  return registrarOperacion(descripcion, async () => {
+    // PASO 2: Reunir todos los cambios
+    const modificaciones = [];
+    const cambiar = (lista, aplicarCambios) =>
+      lista.forEach(tarea => modificaciones.push({ tarea, aplicarCambios: aplicarCambios(tarea) }));
+    let nuevas = [];
+
+    if (accion === 'eliminar') {
+      const fechaEliminacion = new Date().toISOString();
+      const eliminadas = new Set(plan.tareas.map(t => String(t._id)));
+      if (plan.cambios.subtareas === 'conservar') {
+        // Las elegidas salen antes (ver eliminarTareaPorId)
+        cambiar(plan.tareas, () => copia => copia.moverAPapelera(fechaEliminacion));
+        cambiar(plan.subtareas, hija => copia => { copia.padreId = primerAncestroConservado(hija, eliminadas); });
+      } else {
+        cambiar(plan.subtareas, () => copia => copia.moverAPapelera(fechaEliminacion));
+        cambiar(plan.tareas, () => copia => copia.moverAPapelera(fechaEliminacion));
+      }
+    } else {
+      const propuestaDe = tarea => aplicarPropuesta(propuestas.get(String(tarea._id)));
+      cambiar(plan.subtareas, propuestaDe);
+      cambiar(plan.tareas, propuestaDe);
+      cambiar(plan.padres, propuestaDe);
+      // Las ocurrencias se crean a partir de la propuesta aceptada por los plugins
+      nuevas = plan.recurrentes.map(tarea => crearSiguienteOcurrencia(propuestas.get(String(tarea._id))));
+    }
+
+    // PASO 3: Guardarlos de una vez y devolver las tareas actualizadas
+    const { modificadas } = await guardarLote({ nuevas, modificaciones });
+    const porId = _.keyBy(modificadas, t => String(t._id));
+    const actualizar = lista => lista.map(t => porId[String(t._id)] ?? t);
+    return {
+      ...plan,
+      tareas: actualizar(plan.tareas),
+      subtareas: actualizar(plan.subtareas),
+      padres: actualizar(plan.padres),
+      siguientesOcurrencias: nuevas
+    };
+  });
+}
+
+/**
+ * FUNCIÓN: BUSCAR POR CONSULTA
+ * ============================
+ *
+ * Devuelve las tareas activas que cumplen una consulta del lenguaje de
+ * búsqueda (ver utils/consulta.js): texto libre, "frases exactas", campos
+ * como estado:pendiente o vence<7d, exclusiones con "-" y OR. Opcionalmente
+ * se limitan además a unas etiquetas y/o a un proyecto.
+ *
+ * @param {string} consulta - Texto de la consulta
+ * @param {Object} organizacion - { etiquetas?, proyecto? } (ver filtrarPorOrganizacion)
+ * @returns {Promise<Tarea[]>} - Tareas encontradas (con sus subtareas directas
+ *   en memoria, para calcularProgreso)
+ * @throws {ErrorTarea} - VALIDACION si la consulta no es válida (con el motivo y la posición)
+ */
+export async function buscarPorConsulta(consulta, organizacion = {}) {
+  const arbol = analizarConsulta(consulta);
+  const encontradas = filtrarPorOrganizacion(await buscarTareasActivas(arbol), organizacion);
+  await cargarSubtareas(encontradas);
+  return encontradas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: COMPLETAR EL RESUMEN POR PROYECTO
+ * ===================================================
+ *
+ * Añade las pendientes y el porcentaje a los recuentos de cada proyecto y
+ * los ordena; las tareas sin proyecto (proyecto: null) van al final.
+ *
+ * @param {Object[]} grupos - [{ proyecto, total, completadas }] (ver utils/resumen.js)
+ * @returns {Object[]} - [{ proyecto, total, completadas, pendientes, porcentajeCompletadas }]
+ */
+function completarResumenPorProyecto(grupos) {
+  const resumen = grupos.map(({ proyecto, total, completadas }) => ({
+    proyecto,
+    total,
+    completadas,
+    pendientes: total - completadas,
+    porcentajeCompletadas: Math.round((completadas / total) * 100)
+  }));
+
+  return _.orderBy(resumen, [r => r.proyecto === null, r => _.toLower(r.proyecto)], ['asc', 'asc']);
+}
+
+/**
+ * FUNCIÓN: RESUMIR POR PROYECTO
+ * =============================
+ *
+ * Agrupa las tareas por proyecto y calcula el avance de cada uno.
+ * Las tareas sin proyecto forman su propio grupo (proyecto: null), al final.
+ *
+ * @param {Tarea[]} lista - Tareas a resumir
+ * @returns {Object[]} - [{ proyecto, total, completadas, pendientes, porcentajeCompletadas }]
+ */
+export function resumirPorProyecto(lista) {
+  const grupos = _.groupBy(lista, t => t.proyecto ?? '');
+  return completarResumenPorProyecto(Object.entries(grupos).map(([proyecto, grupo]) => ({
+    proyecto: proyecto || null,
+    total: grupo.length,
+    completadas: _.filter(grupo, 'completada').length
+  })));
+}
+
+/**
+ * FUNCIÓN: CALCULAR ESTADÍSTICAS
+ * ==============================
+ *
+ * Calcula el resumen del estado de las tareas. El día más productivo es
+ * el día en que más tareas se completaron (la analítica por periodos
+ * está en services/analiticaService.js).
+ *
+ * El tiempo medio por tarea completada solo tiene en cuenta las completadas
+ * con tiempo registrado (ver services/tiempoService.js).
+ *
+ * Los recuentos salen de resumirTareasActivas() (data/tareas.js): con un
+ * backend remoto los calcula el servidor, sin cargar las tareas.
+ *
+ * @returns {Promise<Object>} - { total, completadas, pendientes, vencidas, porcentajeCompletadas,
+ *                      diaMasProductivo, porProyecto,
+ *                      tiempo: { segundos, completadasConTiempo, segundosPorCompletada (o null) } }
+ */
+export async function calcularEstadisticas() {
+  const resumen = await resumirTareasActivas({ ahora: new Date() });
+  const { segundos, completadasConTiempo, segundosCompletadas } = resumen.tiempo;
+  const stats = {
+    total: resumen.total,
+    completadas: resumen.completadas,
+    pendientes: resumen.total - resumen.completadas,
+    vencidas: resumen.vencidas,
+    porcentajeCompletadas: 0,
+    diaMasProductivo: null,
+    porProyecto: completarResumenPorProyecto(resumen.porProyecto),
+    tiempo: {
+      segundos,
+      completadasConTiempo,
+      segundosPorCompletada: completadasConTiempo === 0 ? null : Math.round(segundosCompletadas / completadasConTiempo)
+    }
+  };
+
+  if (stats.total > 0) {
+    stats.porcentajeCompletadas = Math.round((stats.completadas / stats.total) * 100);
+
+    // El día con más tareas completadas (con empate, el más antiguo)
+    const diaConMasTareas = _.maxBy(resumen.completadasPorDia, 'cantidad');
+    if (diaConMasTareas) {
+      stats.diaMasProductivo = {
+        fecha: desdeDiaLocal(diaConMasTareas.dia).toISOString(),
+        cantidad: diaConMasTareas.cantidad
+      };
+    }
+  }
+
+  return stats;
+}
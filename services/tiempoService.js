@@ -0,0 +1,432 @@
+/**
+ * SERVICIO DE CONTROL DE TIEMPO - TEMPORIZADORES Y HOJA DE HORAS
+ * ==============================================================
+ *
+ * Mide el tiempo dedicado a cada tarea para poder facturarlo:
+ * - Temporizador: se inicia y se detiene sobre una tarea. Solo puede haber
+ *   uno en marcha: iniciar otro detiene el anterior en la misma operación
+ * - Registros: cada tramo medido ({ inicio, fin }), que también se puede
+ *   agregar a mano, corregir o borrar
+ * - Hoja de horas: el tiempo de un periodo por día, tarea y proyecto,
+ *   que se puede exportar a CSV para facturarlo
+ *
+ * Los registros se guardan en la propia tarea (registrosTiempo, ver
+ * models/tarea.js): el temporizador en marcha sigue ahí aunque se cierre la
+ * aplicación, y cada cambio se puede deshacer y queda en la auditoría.
+ * Completar una tarea o enviarla a la papelera detiene su temporizador.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Búsqueda de las tareas activas (y de la papelera, para la hoja de horas) y escrituras granulares
+import { buscarTareasActivas, buscarTareasEnPapelera, modificarTarea, guardarLote } from '../data/tareas.js';
+// Búsqueda por ID compartida con el resto de operaciones
+import { obtenerTareaPorId } from './tareasService.js';
+// Registro de operaciones para deshacer y rehacer
+import { registrarOperacion } from './historialService.js';
+// Periodos predefinidos (semana, mes...), los mismos que los informes
+import { periodoDeInforme } from './informeService.js';
+// Días locales y lectura de las horas escritas por el usuario
+import { diaLocal, desdeDiaLocal, sumarDias, interpretarMomento } from '../utils/fechas.js';
+// CSV de la hoja de horas
+import { exportarHojaHoras, interpretarDelimitador } from '../utils/intercambio.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+/**
+ * FUNCIÓN AUXILIAR: SEGUNDOS DE UN REGISTRO
+ * =========================================
+ *
+ * El registro en marcha cuenta hasta ahora.
+ */
+function segundosDe({ inicio, fin }, ahora = new Date()) {
+  return Math.max(0, Math.round(((fin ? Date.parse(fin) : ahora.getTime()) - Date.parse(inicio)) / 1000));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONSULTA DE REGISTROS
+ * =======================================
+ *
+ * Tareas con algún registro de tiempo que cumple la condición.
+ *
+ * @param {Object} condicion - Árbol de condiciones sobre { inicio, fin }
+ * @returns {Object} - Árbol de condiciones sobre la tarea (ver utils/consulta.js)
+ */
+function consultaDeRegistros(condicion) {
+  return { tipo: 'alguno', campo: 'registrosTiempo', condicion };
+}
+
+/**
+ * FUNCIÓN: TEMPORIZADOR EN MARCHA
+ * ===============================
+ *
+ * @returns {Promise<{ tarea: Tarea, inicio: string }|null>} - La tarea que se
+ *   está midiendo y desde cuándo, o null si no hay ningún temporizador en marcha
+ */
+export async function obtenerTemporizadorEnMarcha() {
+  const [tarea] = await buscarTareasActivas(
+    consultaDeRegistros({ tipo: 'comparar', campo: 'fin', operador: 'eq', valor: null })
+  );
+  return tarea ? { tarea, inicio: tarea.temporizadorEnMarcha().inicio } : null;
+}
+
+/**
+ * FUNCIÓN: INICIAR TEMPORIZADOR
+ * =============================
+ *
+ * Si había otro en marcha, se detiene en el mismo momento y en la misma
+ * escritura (y se deshacen juntos).
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea
+ * @returns {Promise<{ tarea: Tarea, detenida: Tarea|null }>} - La tarea que
+ *   se empieza a medir y, si la había, la que se dejó de medir
+ * @throws {ErrorTarea} - VALIDACION si la tarea está completada o ya se está midiendo
+ */
+export async function iniciarTemporizador(id) {
+  const tarea = await obtenerTareaPorId(id);
+  if (tarea.completada) {
+    throw new ErrorTarea(
+      `La tarea "${tarea.descripcion}" ya está completada: reábrela para seguir midiendo su tiempo`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  const anterior = await obtenerTemporizadorEnMarcha();
+  if (anterior?.tarea === tarea) {
+    throw new ErrorTarea(`El temporizador de "${tarea.descripcion}" ya está en marcha`, CODIGOS_ERROR.VALIDACION);
+  }
+
+  const ahora = new Date().toISOString();
+  return registrarOperacion(`Iniciar el temporizador de "${tarea.descripcion}"`, async () => {
+    const { modificadas } = await guardarLote({
+      modificaciones: [
+        ...(anterior ? [{ tarea: anterior.tarea, aplicarCambios: copia => copia.detenerTemporizador(ahora) }] : []),
+        { tarea, aplicarCambios: copia => copia.registrosTiempo.push({ inicio: ahora, fin: null }) }
+      ]
+    });
+    return { tarea: _.last(modificadas), detenida: anterior ? modificadas[0] : null };
+  });
+}
+
+/**
+ * FUNCIÓN: DETENER TEMPORIZADOR
+ * =============================
+ *
+ * @returns {Promise<{ tarea: Tarea, segundos: number }>} - La tarea y la
+ *   duración del tramo que se acaba de cerrar
+ * @throws {ErrorTarea} - NO_ENCONTRADA si no hay ningún temporizador en marcha
+ */
+export async function detenerTemporizador() {
+  const enMarcha = await obtenerTemporizadorEnMarcha();
+  if (!enMarcha) {
+    throw new ErrorTarea('No hay ningún temporizador en marcha', CODIGOS_ERROR.NO_ENCONTRADA);
+  }
+
+  const { tarea, inicio } = enMarcha;
+  const fin = new Date().toISOString();
+  const actualizada = await registrarOperacion(`Detener el temporizador de "${tarea.descripcion}"`, () =>
+    modificarTarea(tarea, copia => copia.detenerTemporizador(fin))
+  );
+  return { tarea: actualizada, segundos: segundosDe({ inicio, fin }) };
+}
+
+/**
+ * FUNCIÓN: LISTAR REGISTROS DE TIEMPO
+ * ===================================
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea
+ * @returns {Promise<Object>} - { tarea, registros: [{ numero, inicio, fin, segundos }]
+ *                       (numero empieza en 1), segundos: total }
+ */
+export async function listarRegistros(id) {
+  const tarea = await obtenerTareaPorId(id);
+  const ahora = new Date();
+  const registros = tarea.registrosTiempo.map((registro, i) => ({
+    numero: i + 1,
+    ...registro,
+    segundos: segundosDe(registro, ahora)
+  }));
+  return { tarea, registros, segundos: _.sumBy(registros, 'segundos') };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER MOMENTO
+ * ==============================
+ *
+ * @param {string} texto - Momento escrito por el usuario (ver interpretarMomento)
+ * @param {string} nombre - 'inicio' o 'fin', para los mensajes
+ * @returns {string} - Fecha y hora ISO
+ * @throws {ErrorTarea} - VALIDACION si no es válido o es futuro
+ */
+function leerMomento(texto, nombre, ahora) {
+  const momento = interpretarMomento(texto, ahora);
+  if (!momento) {
+    throw new ErrorTarea(
+      `"${texto}" no es un ${nombre} válido. Usa una hora (09:30), con el día delante si no es hoy ` +
+      '(ayer 18:00, 2026-10-01 08:15), o "ahora"',
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  if (Date.parse(momento) > ahora.getTime()) {
+    throw new ErrorTarea(`El ${nombre} (${texto}) todavía no ha llegado`, CODIGOS_ERROR.VALIDACION);
+  }
+  return momento;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR REGISTROS VÁLIDOS
+ * ==========================================
+ *
+ * Cada registro termina después de empezar y no se solapa con otro de la
+ * misma tarea (el tiempo no se cobraría dos veces). El que está en marcha
+ * llega hasta ahora.
+ *
+ * @param {Object[]} registros - Registros de la tarea, ya con el cambio
+ * @throws {ErrorTarea} - VALIDACION si alguno no es válido
+ */
+function exigirRegistrosValidos(registros, ahora) {
+  const tramos = _.sortBy(
+    registros.map(({ inicio, fin }) => ({ inicio: Date.parse(inicio), fin: fin ? Date.parse(fin) : ahora.getTime(), abierto: !fin })),
+    'inicio'
+  );
+  if (tramos.some(tramo => !tramo.abierto && tramo.fin <= tramo.inicio)) {
+    throw new ErrorTarea('Un registro de tiempo debe terminar después de empezar', CODIGOS_ERROR.VALIDACION);
+  }
+  if (tramos.some((tramo, i) => i > 0 && tramo.inicio < tramos[i - 1].fin)) {
+    throw new ErrorTarea('El registro se solapa con otro registro de la misma tarea', CODIGOS_ERROR.VALIDACION);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CAMBIAR REGISTROS
+ * ===================================
+ *
+ * Aplica un cambio a los registros de una tarea, los valida, los deja en
+ * orden cronológico y lo guarda como operación que se puede deshacer.
+ *
+ * @param {Tarea} tarea - Tarea del array global
+ * @param {string} descripcion - Texto de la operación para el historial
+ * @param {Function} cambio - Recibe la lista de registros (una copia) y la modifica
+ * @returns {Promise<Tarea>} - Tarea actualizada
+ */
+async function cambiarRegistros(tarea, descripcion, cambio, ahora) {
+  const registros = tarea.registrosTiempo.map(registro => ({ ...registro }));
+  cambio(registros);
+  exigirRegistrosValidos(registros, ahora);
+  const ordenados = _.sortBy(registros, 'inicio');
+
+  return registrarOperacion(descripcion, () =>
+    modificarTarea(tarea, copia => { copia.registrosTiempo = ordenados; })
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR NÚMERO DE REGISTRO
+ * ===========================================
+ *
+ * @returns {number} - Posición del registro (base 0)
+ * @throws {ErrorTarea} - NO_ENCONTRADA si la tarea no tiene ese registro
+ */
+function exigirNumeroRegistro(tarea, numero) {
+  const posicion = Number(numero) - 1;
+  if (!Number.isInteger(posicion) || !tarea.registrosTiempo[posicion]) {
+    const cantidad = tarea.registrosTiempo.length;
+    throw new ErrorTarea(
+      `La tarea "${tarea.descripcion}" no tiene el registro de tiempo "${numero}"` +
+      (cantidad ? ` (tiene del 1 al ${cantidad})` : ' (no tiene ninguno)'),
+      CODIGOS_ERROR.NO_ENCONTRADA
+    );
+  }
+  return posicion;
+}
+
+/**
+ * FUNCIÓN: AGREGAR REGISTRO DE TIEMPO
+ * ===================================
+ *
+ * Para el tiempo que no se midió con el temporizador.
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea
+ * @param {Object} momentos - { inicio, fin } escritos por el usuario (ver interpretarMomento)
+ * @returns {Promise<Tarea>} - Tarea actualizada
+ * @throws {ErrorTarea} - VALIDACION si algún momento no es válido o el registro se solapa
+ */
+export async function agregarRegistro(id, { inicio, fin }) {
+  const tarea = await obtenerTareaPorId(id);
+  const ahora = new Date();
+  const registro = { inicio: leerMomento(inicio, 'inicio', ahora), fin: leerMomento(fin, 'fin', ahora) };
+  return cambiarRegistros(tarea, `Agregar tiempo a "${tarea.descripcion}"`, registros => registros.push(registro), ahora);
+}
+
+/**
+ * FUNCIÓN: EDITAR REGISTRO DE TIEMPO
+ * ==================================
+ *
+ * Los momentos no indicados no cambian. Indicar el fin del registro en
+ * marcha detiene el temporizador.
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea
+ * @param {number|string} numero - Número del registro (ver listarRegistros)
+ * @param {Object} momentos - { inicio?, fin? } escritos por el usuario
+ * @returns {Promise<Tarea>} - Tarea actualizada
+ * @throws {ErrorTarea} - NO_ENCONTRADA si no existe el registro, o VALIDACION
+ */
+export async function editarRegistro(id, numero, { inicio, fin } = {}) {
+  const tarea = await obtenerTareaPorId(id);
+  const posicion = exigirNumeroRegistro(tarea, numero);
+  if (_.isEmpty(inicio?.trim()) && _.isEmpty(fin?.trim())) {
+    throw new ErrorTarea('Indica el nuevo inicio y/o el nuevo fin del registro', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const ahora = new Date();
+  const cambios = _.omitBy({
+    inicio: _.isEmpty(inicio?.trim()) ? undefined : leerMomento(inicio, 'inicio', ahora),
+    fin: _.isEmpty(fin?.trim()) ? undefined : leerMomento(fin, 'fin', ahora)
+  }, _.isUndefined);
+  return cambiarRegistros(tarea, `Corregir el tiempo de "${tarea.descripcion}"`,
+    registros => Object.assign(registros[posicion], cambios), ahora);
+}
+
+/**
+ * FUNCIÓN: BORRAR REGISTRO DE TIEMPO
+ * ==================================
+ *
+ * @param {ObjectId|string} id - ID (o prefijo) de la tarea
+ * @param {number|string} numero - Número del registro (ver listarRegistros)
+ * @returns {Promise<Tarea>} - Tarea actualizada
+ * @throws {ErrorTarea} - NO_ENCONTRADA si no existe el registro
+ */
+export async function borrarRegistro(id, numero) {
+  const tarea = await obtenerTareaPorId(id);
+  const posicion = exigirNumeroRegistro(tarea, numero);
+  return cambiarRegistros(tarea, `Borrar tiempo de "${tarea.descripcion}"`,
+    registros => registros.splice(posicion, 1), new Date());
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REPARTIR POR DÍA
+ * ==================================
+ *
+ * Un registro que pasa de medianoche cuenta en cada día lo que le toca.
+ *
+ * @param {number} inicio - Milisegundos
+ * @param {number} fin - Milisegundos
+ * @returns {Array<{ dia: string, ms: number }>}
+ */
+function repartirPorDia(inicio, fin) {
+  const tramos = [];
+  for (let desde = inicio; desde < fin;) {
+    const dia = diaLocal(new Date(desde));
+    const hasta = Math.min(fin, sumarDias(desdeDiaLocal(dia), 1).getTime());
+    tramos.push({ dia, ms: hasta - desde });
+    desde = hasta;
+  }
+  return tramos;
+}
+
+/**
+ * FUNCIÓN: CALCULAR HOJA DE HORAS
+ * ===============================
+ *
+ * Tiempo registrado en un periodo, por día y tarea, con los totales por
+ * día, por tarea y por proyecto. El temporizador en marcha cuenta hasta ahora.
+ * Incluye las tareas que están en la papelera: el tiempo ya se trabajó.
+ * Las filas que no llegan a un minuto se descartan, como en el CSV (que
+ * exporta minutos enteros).
+ *
+ * @param {Object} opciones - { periodo?, desde?, hasta? } como en los informes
+ *   (ver periodoDeInforme; por defecto, esta semana)
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Object>} - { desde, hasta, segundos,
+ *   filas: [{ dia, tareaId, tarea, proyecto, enPapelera, segundos }] (por día y después por proyecto y tarea),
+ *   porDia: [{ dia, segundos }], porTarea: [{ tareaId, tarea, proyecto, segundos }],
+ *   porProyecto: [{ proyecto, segundos }] (proyecto null = sin proyecto) }
+ * @throws {ErrorTarea} - VALIDACION si el periodo no es válido
+ */
+export async function calcularHojaHoras(opciones = {}, ahora = new Date()) {
+  const { desde, hasta } = periodoDeInforme(opciones, ahora);
+  const inicioPeriodo = desdeDiaLocal(desde).getTime();
+  const finPeriodo = Math.min(sumarDias(desdeDiaLocal(hasta), 1).getTime(), ahora.getTime());
+
+  // PASO 1: Buscar las tareas con algún registro que se solapa con el periodo
+  const solapados = consultaDeRegistros({
+    tipo: 'y',
+    hijos: [
+      { tipo: 'comparar', campo: 'inicio', operador: 'lt', valor: new Date(finPeriodo).toISOString() },
+      {
+        tipo: 'o',
+        hijos: [
+          { tipo: 'comparar', campo: 'fin', operador: 'eq', valor: null },
+          { tipo: 'comparar', campo: 'fin', operador: 'gt', valor: new Date(inicioPeriodo).toISOString() }
+        ]
+      }
+    ]
+  });
+  const conTiempo = [...await buscarTareasActivas(solapados), ...await buscarTareasEnPapelera(solapados)];
+
+  // PASO 2: Repartir cada registro (recortado al periodo) entre sus días
+  const acumulado = new Map();
+  for (const tarea of conTiempo) {
+    for (const { inicio, fin } of tarea.registrosTiempo) {
+      const tramo = [Math.max(Date.parse(inicio), inicioPeriodo), Math.min(fin ? Date.parse(fin) : ahora.getTime(), finPeriodo)];
+      for (const { dia, ms } of repartirPorDia(...tramo)) {
+        const clave = `${dia}|${tarea._id}`;
+        if (!acumulado.has(clave)) {
+          acumulado.set(clave, {
+            dia,
+            tareaId: String(tarea._id),
+            tarea: tarea.descripcion,
+            proyecto: tarea.proyecto,
+            enPapelera: Boolean(tarea.fechaEliminacion),
+            ms: 0
+          });
+        }
+        acumulado.get(clave).ms += ms;
+      }
+    }
+  }
+
+  // PASO 3: Filas en segundos (de al menos un minuto, como en el CSV) y totales
+  const filas = _.sortBy(
+    [...acumulado.values()].map(({ ms, ...fila }) => ({ ...fila, segundos: Math.round(ms / 1000) })),
+    ['dia', fila => fila.proyecto ?? '', 'tarea']
+  ).filter(fila => Math.round(fila.segundos / 60) > 0);
+  const sumar = (grupos, campos) => Object.values(grupos).map(grupo => ({
+    ..._.pick(grupo[0], campos),
+    segundos: _.sumBy(grupo, 'segundos')
+  }));
+
+  return {
+    desde,
+    hasta,
+    segundos: _.sumBy(filas, 'segundos'),
+    filas,
+    porDia: sumar(_.groupBy(filas, 'dia'), ['dia']),
+    porTarea: _.orderBy(sumar(_.groupBy(filas, 'tareaId'), ['tareaId', 'tarea', 'proyecto', 'enPapelera']), 'segundos', 'desc'),
+    porProyecto: _.orderBy(sumar(_.groupBy(filas, fila => fila.proyecto ?? ''), ['proyecto']), 'segundos', 'desc')
+  };
+}
+
+/**
+ * FUNCIÓN: EXPORTAR HOJA DE HORAS A CSV
+ * =====================================
+ *
+ * @param {Object} opciones - { periodo?, desde?, hasta? } (ver calcularHojaHoras)
+ *   y { delimitador?: ',' por defecto, o "tab" }
+ * @param {Date} ahora - Momento de referencia
+ * @returns {Promise<Object>} - La hoja (ver calcularHojaHoras) con su contenido en CSV
+ * @throws {ErrorTarea} - VALIDACION si el periodo o el delimitador no son válidos
+ */
+export async function exportarHojaHorasCsv({ delimitador, ...opciones } = {}, ahora = new Date()) {
+  const caracter = interpretarDelimitador(delimitador ?? ',');
+  if (!caracter) {
+    throw new ErrorTarea(
+      `Delimitador no válido: "${delimitador}". Usa un solo carácter (o "tab")`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  const hoja = await calcularHojaHoras(opciones, ahora);
+  return { ...hoja, contenido: exportarHojaHoras(hoja.filas, { delimitador: caracter }) };
+}
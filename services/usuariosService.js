@@ -0,0 +1,425 @@
+/**
+ * SERVICIO DE CUENTAS DE USUARIO - SESIONES Y PROPIEDAD DE LAS TAREAS
+ * ===================================================================
+ *
+ * Mientras el almacenamiento no tiene ninguna cuenta, el gestor funciona como
+ * siempre: sin contraseñas y con todas las tareas a la vista. La primera
+ * cuenta que se crea es de administrador y se queda con las tareas que ya
+ * existían; desde entonces hay que iniciar sesión y cada usuario ve solo
+ * las suyas (ver data/sesion.js). Los administradores pueden ver las de todos
+ * y crear cuentas nuevas.
+ *
+ * Las contraseñas se guardan con scrypt (node:crypto) y una sal aleatoria.
+ * Al iniciar sesión se genera un token que se guarda en local
+ * (sesion.json en el directorio de estado) y, como hash, en la cuenta; las
+ * siguientes ejecuciones lo comprueban en lugar de pedir la contraseña hasta
+ * que caduca (cuentas.diasSesion) o se cierra la sesión.
+ *
+ * Sin conexión no se pueden comprobar las cuentas: se acepta la sesión
+ * guardada tal cual, ya que solo da acceso a la copia local.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { ObjectId } from 'mongodb';
+// scrypt para las contraseñas; hash y bytes aleatorios para los tokens de sesión
+import { scrypt, randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+// Cuentas de usuario
+import { cargarUsuarios, guardarNuevoUsuario, modificarUsuario } from '../data/usuarios.js';
+// Sesión actual y sesión guardada en local
+import {
+  obtenerSesion,
+  establecerSesion,
+  establecerVerTodas,
+  leerSesionGuardada,
+  guardarSesion,
+  borrarSesionGuardada
+} from '../data/sesion.js';
+// Tareas cargadas, escrituras y estado de conexión
+import { todasLasTareas, asegurarTodasLasTareas, modificarTarea, actualizarVisibilidad, obtenerEstadoConexion } from '../data/tareas.js';
+// Registro de operaciones (la asignación inicial de tareas queda en la auditoría)
+import { registrarOperacion } from './historialService.js';
+// Configuración (duración de las sesiones)
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+const scryptAsync = promisify(scrypt);
+
+// Longitud mínima de las contraseñas
+export const LONGITUD_MINIMA_CONTRASENA = 8;
+
+// Nombres de usuario: minúsculas, números, punto, guion y guion bajo
+const PATRON_NOMBRE_USUARIO = /^[a-z0-9._-]{2,32}$/;
+
+// Bytes de la sal de cada contraseña y de la clave derivada por scrypt
+const BYTES_SAL = 16;
+const BYTES_CLAVE = 64;
+
+// Sal y clave de un hash guardado: hexadecimal con la longitud de calcularHashContrasena()
+const PATRON_SAL = new RegExp(`^[0-9a-f]{${BYTES_SAL * 2}}$`, 'i');
+const PATRON_CLAVE = new RegExp(`^[0-9a-f]{${BYTES_CLAVE * 2}}$`, 'i');
+
+// Milisegundos de un día, para la caducidad de las sesiones
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * FUNCIÓN AUXILIAR: CALCULAR HASH DE CONTRASEÑA
+ * =============================================
+ *
+ * @returns {Promise<string>} - 'scrypt:<sal>:<clave>' en hexadecimal
+ */
+async function calcularHashContrasena(contrasena) {
+  const sal = randomBytes(BYTES_SAL);
+  const clave = await scryptAsync(contrasena, sal, BYTES_CLAVE);
+  return `scrypt:${sal.toString('hex')}:${clave.toString('hex')}`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONTRASEÑA CORRECTA
+ * =====================================
+ *
+ * Compara en tiempo constante para no dar pistas sobre la clave guardada.
+ * Un hash mal formado no acepta ninguna contraseña: Buffer.from() descarta lo
+ * que no es hexadecimal y dos claves vacías serían iguales.
+ */
+async function contrasenaCorrecta(contrasena, guardada) {
+  const [algoritmo, sal, clave] = String(guardada ?? '').split(':');
+  if (algoritmo !== 'scrypt' || !PATRON_SAL.test(sal ?? '') || !PATRON_CLAVE.test(clave ?? '')) return false;
+
+  const esperada = Buffer.from(clave, 'hex');
+  const calculada = await scryptAsync(contrasena, Buffer.from(sal, 'hex'), BYTES_CLAVE);
+  return timingSafeEqual(calculada, esperada);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: HASH DE TOKEN
+ * ===============================
+ *
+ * En la cuenta solo se guarda el hash: quien lea el almacenamiento
+ * no puede usar las sesiones abiertas.
+ */
+function hashDeToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VISTA PÚBLICA DE UNA CUENTA
+ * =============================================
+ *
+ * @returns {{ _id, nombre, admin, fechaCreacion }} - Sin contraseña ni sesiones
+ */
+function vistaPublica(usuario) {
+  return _.pick(usuario, ['_id', 'nombre', 'admin', 'fechaCreacion']);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: NOMBRE DE USUARIO VÁLIDO
+ * ==========================================
+ *
+ * @returns {string} - Nombre normalizado (sin espacios, en minúsculas)
+ */
+function exigirNombreUsuario(nombre) {
+  const normalizado = _.toLower(String(nombre ?? '').trim());
+  if (!PATRON_NOMBRE_USUARIO.test(normalizado)) {
+    throw new ErrorTarea(
+      'El nombre de usuario debe tener de 2 a 32 letras minúsculas, números, ".", "-" o "_"',
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  return normalizado;
+}
+
+/**
+ * FUNCIÓN: VALIDAR CONTRASEÑA
+ * ===========================
+ *
+ * También la usa el menú para validar mientras se escribe.
+ *
+ * @param {string} contrasena - Contraseña nueva
+ * @returns {string|null} - Mensaje de error, o null si es válida
+ */
+export function validarContrasena(contrasena) {
+  if (String(contrasena ?? '').length < LONGITUD_MINIMA_CONTRASENA) {
+    return `La contraseña debe tener al menos ${LONGITUD_MINIMA_CONTRASENA} caracteres`;
+  }
+  return null;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR CONTRASEÑA VÁLIDA
+ * ==========================================
+ */
+function exigirContrasenaValida(contrasena) {
+  const error = validarContrasena(contrasena);
+  if (error) throw new ErrorTarea(error, CODIGOS_ERROR.VALIDACION);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR CONEXIÓN
+ * =================================
+ */
+function exigirConexion() {
+  if (!obtenerEstadoConexion().enLinea) {
+    throw new ErrorTarea('Las cuentas de usuario no están disponibles sin conexión', CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR ADMINISTRADOR
+ * ======================================
+ */
+function exigirAdministrador(accion) {
+  if (!obtenerSesion().usuario?.admin) {
+    throw new ErrorTarea(`Solo un administrador puede ${accion}`, CODIGOS_ERROR.NO_AUTORIZADO);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR SESIÓN
+ * ===============================
+ *
+ * @returns {Object} - Usuario de la sesión
+ */
+function exigirSesion() {
+  const { usuario } = obtenerSesion();
+  if (!usuario) {
+    throw new ErrorTarea('No has iniciado sesión', CODIGOS_ERROR.NO_AUTORIZADO);
+  }
+  return usuario;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ABRIR SESIÓN
+ * ==============================
+ *
+ * Registra un token nuevo en la cuenta (descartando los caducados),
+ * lo guarda en local y deja a la vista las tareas del usuario.
+ */
+async function abrirSesion(usuario) {
+  const { diasSesion } = obtenerConfiguracion().cuentas;
+  const ahora = new Date();
+  const token = randomBytes(32).toString('hex');
+  const expira = new Date(ahora.getTime() + diasSesion * MS_POR_DIA).toISOString();
+
+  const vigentes = (usuario.sesiones ?? []).filter(s => new Date(s.expira) > ahora);
+  const actualizado = await modificarUsuario(usuario, {
+    sesiones: [...vigentes, { token: hashDeToken(token), expira }]
+  });
+
+  try {
+    await guardarSesion({ usuarioId: usuario._id, nombre: usuario.nombre, admin: usuario.admin, token, expira });
+  } catch (error) {
+    throw new ErrorTarea(`No se pudo guardar la sesión: ${error.message}`, CODIGOS_ERROR.PERSISTENCIA);
+  }
+
+  establecerSesion({ cuentas: true, usuario: vistaPublica(actualizado) });
+  actualizarVisibilidad();
+  return vistaPublica(actualizado);
+}
+
+/**
+ * FUNCIÓN: RESTAURAR SESIÓN
+ * =========================
+ *
+ * Se ejecuta al arrancar, con las tareas ya cargadas: averigua si hay
+ * cuentas de usuario y, si la sesión guardada sigue siendo válida, la
+ * recupera. Una sesión caducada o cerrada en otro equipo se descarta.
+ *
+ * @returns {Promise<{ cuentas: boolean, usuario: Object|null }>}
+ *   cuentas: si hay que iniciar sesión; usuario: la sesión recuperada
+ */
+export async function restaurarSesion() {
+  const guardada = await leerSesionGuardada();
+  const vigente = guardada && new Date(guardada.expira) > new Date() ? guardada : null;
+
+  // SIN CONEXIÓN: se confía en la sesión guardada. Sin ella, si las tareas
+  // locales tienen propietario es que hay cuentas y no se muestra ninguna
+  if (!obtenerEstadoConexion().enLinea) {
+    const cuentas = Boolean(vigente) || todasLasTareas().some(t => t.propietarioId);
+    const usuario = vigente ? { _id: vigente.usuarioId, nombre: vigente.nombre, admin: vigente.admin } : null;
+    establecerSesion({ cuentas, usuario });
+    actualizarVisibilidad();
+    return { cuentas, usuario };
+  }
+
+  const usuarios = await cargarUsuarios();
+  const cuentas = usuarios.length > 0;
+  const usuario = vigente && usuarios.find(u =>
+    String(u._id) === String(vigente.usuarioId) &&
+    (u.sesiones ?? []).some(s => s.token === hashDeToken(vigente.token) && new Date(s.expira) > new Date())
+  );
+
+  if (guardada && !usuario) await borrarSesionGuardada();
+
+  establecerSesion({ cuentas, usuario: usuario ? vistaPublica(usuario) : null });
+  actualizarVisibilidad();
+  return obtenerSesion();
+}
+
+/**
+ * FUNCIÓN: INICIAR SESIÓN
+ * =======================
+ *
+ * Con un usuario inexistente también se calcula un hash, para que el tiempo
+ * de respuesta no revele qué nombres existen.
+ *
+ * @param {string} nombre - Nombre de usuario
+ * @param {string} contrasena - Contraseña
+ * @returns {Promise<Object>} - { _id, nombre, admin, fechaCreacion }
+ * @throws {ErrorTarea} - NO_AUTORIZADO si el usuario o la contraseña no son correctos
+ */
+export async function iniciarSesion(nombre, contrasena) {
+  exigirConexion();
+  const buscado = _.toLower(String(nombre ?? '').trim());
+  const usuario = (await cargarUsuarios()).find(u => u.nombre === buscado);
+
+  const correcta = usuario
+    ? await contrasenaCorrecta(String(contrasena ?? ''), usuario.contrasena)
+    : (await calcularHashContrasena(String(contrasena ?? '')), false);
+  if (!correcta) {
+    throw new ErrorTarea('Usuario o contraseña incorrectos', CODIGOS_ERROR.NO_AUTORIZADO);
+  }
+
+  return abrirSesion(usuario);
+}
+
+/**
+ * FUNCIÓN: CERRAR SESIÓN
+ * ======================
+ *
+ * Borra la sesión local y, con conexión, invalida su token en la cuenta.
+ * Tras cerrarla no queda ninguna tarea a la vista.
+ *
+ * @returns {Promise<string|null>} - Nombre del usuario que salió, o null si no había sesión
+ */
+export async function cerrarSesion() {
+  const { cuentas, usuario } = obtenerSesion();
+  const guardada = await leerSesionGuardada();
+
+  if (guardada && obtenerEstadoConexion().enLinea) {
+    const cuenta = (await cargarUsuarios()).find(u => String(u._id) === String(guardada.usuarioId));
+    if (cuenta) {
+      await modificarUsuario(cuenta, {
+        sesiones: (cuenta.sesiones ?? []).filter(s => s.token !== hashDeToken(guardada.token))
+      });
+    }
+  }
+  await borrarSesionGuardada();
+
+  establecerSesion({ cuentas, usuario: null });
+  actualizarVisibilidad();
+  return usuario?.nombre ?? guardada?.nombre ?? null;
+}
+
+/**
+ * FUNCIÓN: CREAR USUARIO
+ * ======================
+ *
+ * La primera cuenta siempre es de administrador, inicia sesión y se queda
+ * con todas las tareas que todavía no tienen propietario (la asignación
+ * queda en la auditoría, pero no se puede deshacer). Las siguientes solo
+ * las puede crear un administrador.
+ *
+ * @param {string} nombre - Nombre de usuario
+ * @param {string} contrasena - Contraseña inicial
+ * @param {Object} opciones - { admin: true para crear un administrador }
+ * @returns {Promise<Object>} - { usuario, primera, asignadas (cantidad de tareas) }
+ * @throws {ErrorTarea} - VALIDACION, DUPLICADA o NO_AUTORIZADO
+ */
+export async function crearUsuario(nombre, contrasena, { admin = false } = {}) {
+  exigirConexion();
+  const normalizado = exigirNombreUsuario(nombre);
+  exigirContrasenaValida(contrasena);
+
+  const usuarios = await cargarUsuarios();
+  const primera = usuarios.length === 0;
+  if (!primera) exigirAdministrador('crear cuentas de usuario');
+  if (usuarios.some(u => u.nombre === normalizado)) {
+    throw new ErrorTarea(`Ya existe el usuario "${normalizado}"`, CODIGOS_ERROR.DUPLICADA);
+  }
+
+  const usuario = {
+    _id: new ObjectId(),
+    nombre: normalizado,
+    contrasena: await calcularHashContrasena(contrasena),
+    admin: primera || admin,
+    sesiones: [],
+    fechaCreacion: new Date().toISOString(),
+    version: 1
+  };
+  await guardarNuevoUsuario(usuario);
+  if (!primera) return { usuario: vistaPublica(usuario), primera, asignadas: 0 };
+
+  // PRIMERA CUENTA: se asigna las tareas existentes a su nombre (con la
+  // sesión ya establecida, para que la auditoría la registre como autora)
+  establecerSesion({ cuentas: true, usuario: vistaPublica(usuario) });
+  await asegurarTodasLasTareas();
+  const sinPropietario = todasLasTareas().filter(t => !t.propietarioId);
+  await registrarOperacion(`Asignar las tareas existentes a "${normalizado}"`, async () => {
+    for (const tarea of sinPropietario) {
+      await modificarTarea(tarea, copia => { copia.propietarioId = usuario._id; });
+    }
+  }, { deshacible: false });
+
+  return { usuario: await abrirSesion(usuario), primera, asignadas: sinPropietario.length };
+}
+
+/**
+ * FUNCIÓN: LISTAR USUARIOS
+ * ========================
+ *
+ * @returns {Promise<Object[]>} - [{ _id, nombre, admin, fechaCreacion }]
+ * @throws {ErrorTarea} - NO_AUTORIZADO si no es un administrador
+ */
+export async function listarUsuarios() {
+  exigirConexion();
+  exigirAdministrador('ver las cuentas de usuario');
+  return (await cargarUsuarios()).map(vistaPublica);
+}
+
+/**
+ * FUNCIÓN: CAMBIAR CONTRASEÑA
+ * ===========================
+ *
+ * Cierra las sesiones abiertas en otros equipos; la actual sigue abierta.
+ *
+ * @param {string} actual - Contraseña actual
+ * @param {string} nueva - Contraseña nueva
+ * @throws {ErrorTarea} - NO_AUTORIZADO si la actual no es correcta
+ */
+export async function cambiarContrasena(actual, nueva) {
+  exigirConexion();
+  const { _id } = exigirSesion();
+  exigirContrasenaValida(nueva);
+
+  const usuario = (await cargarUsuarios()).find(u => String(u._id) === String(_id));
+  if (!usuario || !await contrasenaCorrecta(String(actual ?? ''), usuario.contrasena)) {
+    throw new ErrorTarea('La contraseña actual no es correcta', CODIGOS_ERROR.NO_AUTORIZADO);
+  }
+
+  const guardada = await leerSesionGuardada();
+  const tokenActual = guardada ? hashDeToken(guardada.token) : null;
+  await modificarUsuario(usuario, {
+    contrasena: await calcularHashContrasena(nueva),
+    sesiones: (usuario.sesiones ?? []).filter(s => s.token === tokenActual)
+  });
+}
+
+/**
+ * FUNCIÓN: VER TAREAS DE TODOS
+ * ============================
+ *
+ * @param {boolean} valor - true para ver las de todos los usuarios, false solo las propias
+ * @throws {ErrorTarea} - NO_AUTORIZADO si no es un administrador
+ */
+export function verTareasDeTodos(valor) {
+  if (!obtenerSesion().cuentas) return;
+  exigirAdministrador('ver las tareas de todos los usuarios');
+  establecerVerTodas(valor);
+  actualizarVisibilidad();
+}
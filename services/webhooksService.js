@@ -0,0 +1,535 @@
+/**
+ * SERVICIO DE WEBHOOKS - AVISOS A OTROS SERVICIOS
+ * ===============================================
+ *
+ * Envía los eventos de las tareas (ver services/eventosService.js) a las URL
+ * registradas, para que un bot de chat, un panel de integración continua, etc.
+ * reaccionen cuando se crea, completa... una tarea. Cada webhook elige los
+ * eventos que le interesan.
+ *
+ * Cada entrega es una petición POST con un documento JSON:
+ *   { "id": "<id de la entrega>", "evento": "tarea:completada", "fecha": "ISO",
+ *     "operacion": "Completar \"Comprar pan\"", "campos": [...],
+ *     "tarea": { ...Tarea.toDocumento() }, "anterior": { ... } | null }
+ * firmado con HMAC-SHA256 del cuerpo exacto y el secreto del webhook:
+ *   X-Gestor-Firma: sha256=<hex>
+ * (además de X-Gestor-Evento y X-Gestor-Entrega). Cualquier respuesta 2xx
+ * se considera entregada.
+ *
+ * Los eventos pasan por una bandeja de salida persistente (data/webhooks.js):
+ * se anotan antes de enviarlos y cada intento fallido se repite más tarde,
+ * con una espera que se duplica en cada intento (webhooks.esperaInicialSegundos,
+ * hasta webhooks.esperaMaximaMinutos). Tras webhooks.intentosMaximos la
+ * entrega queda fallida y se puede reintentar a mano. La entrega es «al menos
+ * una vez»: si un proceso se cae justo después de enviar, el evento se vuelve
+ * a enviar con el mismo id, y el receptor puede descartar los repetidos.
+ *
+ * Con cuentas de usuario, los webhooks reciben las tareas de todos, así que
+ * gestionarlos es cosa de administradores.
+ *
+ * Mismas convenciones que services/tareasService.js: sin consola,
+ * errores como ErrorTarea.
+ */
+
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Webhooks registrados y bandeja de salida
+import { leerWebhooks, actualizarWebhooks, leerBandeja, actualizarBandeja } from '../data/webhooks.js';
+// Sesión (solo los administradores gestionan los webhooks)
+import { obtenerSesion } from '../data/sesion.js';
+// Política de reintentos
+import { obtenerConfiguracion } from '../config/configuracion.js';
+// Eventos del ciclo de vida de las tareas
+import { suscribir, EVENTOS_TAREA } from './eventosService.js';
+// Errores de dominio
+import { ErrorTarea, CODIGOS_ERROR } from '../utils/errores.js';
+
+// Estados de una entrega en la bandeja de salida
+export const ESTADOS_ENTREGA = Object.freeze(['pendiente', 'entregada', 'fallida']);
+
+// Prefijo común de los eventos, que se puede omitir al registrar un webhook
+const PREFIJO_EVENTO = 'tarea:';
+
+// Cómo nombrar lo que no se encontró (ver buscarPorId)
+const WEBHOOK = Object.freeze({ ninguno: 'ningún webhook', varios: 'webhooks' });
+const ENTREGA = Object.freeze({ ninguno: 'ninguna entrega', varios: 'entregas' });
+
+/**
+ * ESTADO INTERNO: WEBHOOKS ACTIVADOS
+ * ==================================
+ *
+ * Si la bandeja ya está suscrita a los eventos (ver activarWebhooks).
+ */
+let activados = false;
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR ADMINISTRADOR
+ * ======================================
+ */
+function exigirAdministrador() {
+  const { cuentas, usuario } = obtenerSesion();
+  if (cuentas && !usuario?.admin) {
+    throw new ErrorTarea('Solo un administrador puede gestionar los webhooks', CODIGOS_ERROR.NO_AUTORIZADO);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: BUSCAR POR PREFIJO DE ID
+ * ==========================================
+ *
+ * @throws {ErrorTarea} - NO_ENCONTRADA o AMBIGUA
+ */
+function buscarPorId(lista, id, { ninguno, varios }) {
+  const buscado = _.toLower(String(id ?? '').trim());
+  const coincidencias = _.isEmpty(buscado) ? [] : lista.filter(elemento => elemento.id.startsWith(buscado));
+
+  if (coincidencias.length === 0) {
+    throw new ErrorTarea(`No existe ${ninguno} con ID "${id}"`, CODIGOS_ERROR.NO_ENCONTRADA);
+  }
+  if (coincidencias.length > 1) {
+    throw new ErrorTarea(`El ID "${id}" coincide con ${coincidencias.length} ${varios}`, CODIGOS_ERROR.AMBIGUA);
+  }
+  return coincidencias[0];
+}
+
+/**
+ * FUNCIÓN AUXILIAR: INTERPRETAR EVENTOS
+ * =====================================
+ *
+ * Admite los nombres completos (tarea:creada) o sin prefijo (creada).
+ *
+ * @throws {ErrorTarea} - VALIDACION si falta o no existe alguno
+ */
+function interpretarEventos(eventos) {
+  const nombres = _.uniq(_.castArray(eventos ?? [])
+    .flatMap(texto => String(texto).split(','))
+    .map(texto => _.toLower(texto.trim()))
+    .filter(Boolean)
+    .map(texto => (texto.startsWith(PREFIJO_EVENTO) ? texto : `${PREFIJO_EVENTO}${texto}`)));
+
+  if (_.isEmpty(nombres)) {
+    throw new ErrorTarea(`Indica al menos un evento: ${EVENTOS_TAREA.join(', ')}`, CODIGOS_ERROR.VALIDACION);
+  }
+  const desconocidos = _.difference(nombres, EVENTOS_TAREA);
+  if (!_.isEmpty(desconocidos)) {
+    throw new ErrorTarea(
+      `Evento "${desconocidos.join('", "')}" desconocido. Eventos: ${EVENTOS_TAREA.join(', ')}`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  return EVENTOS_TAREA.filter(evento => nombres.includes(evento));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXIGIR URL VÁLIDA
+ * ===================================
+ */
+function exigirUrlValida(url) {
+  let direccion;
+  try {
+    direccion = new URL(String(url ?? '').trim());
+  } catch {
+    throw new ErrorTarea(`"${url}" no es una URL válida`, CODIGOS_ERROR.VALIDACION);
+  }
+  if (!['http:', 'https:'].includes(direccion.protocol)) {
+    throw new ErrorTarea('La URL del webhook debe empezar por http:// o https://', CODIGOS_ERROR.VALIDACION);
+  }
+  return direccion.href;
+}
+
+/**
+ * FUNCIÓN: FIRMAR CUERPO
+ * ======================
+ *
+ * Lo que va en la cabecera X-Gestor-Firma. El receptor calcula lo mismo
+ * con el cuerpo recibido (sin volver a serializarlo) y lo compara.
+ *
+ * @param {string} cuerpo - Cuerpo exacto de la petición
+ * @param {string} secreto - Secreto del webhook
+ * @returns {string} - 'sha256=<hex>'
+ */
+export function firmarCuerpo(cuerpo, secreto) {
+  return `sha256=${createHmac('sha256', secreto).update(cuerpo, 'utf8').digest('hex')}`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ENVIAR PETICIÓN
+ * =================================
+ *
+ * @returns {Promise<number>} - Código HTTP de la respuesta (2xx)
+ * @throws {Error} - Si no hubo respuesta o no fue 2xx (con el código en error.codigoHttp)
+ */
+async function enviarPeticion({ url, secreto, id, evento, cuerpo }) {
+  const { tiempoEsperaSegundos } = obtenerConfiguracion().webhooks;
+  let respuesta;
+  try {
+    respuesta = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'gestor-tareas-webhooks',
+        'X-Gestor-Evento': evento,
+        'X-Gestor-Entrega': id,
+        'X-Gestor-Firma': firmarCuerpo(cuerpo, secreto)
+      },
+      body: cuerpo,
+      signal: AbortSignal.timeout(tiempoEsperaSegundos * 1000)
+    });
+  } catch (error) {
+    throw new Error(`No se pudo contactar con ${url}: ${error.cause?.message ?? error.message}`);
+  }
+  // El cuerpo de la respuesta no interesa, pero hay que consumirlo para liberar la conexión
+  await respuesta.arrayBuffer().catch(() => {});
+  if (!respuesta.ok) {
+    throw Object.assign(new Error(`${url} respondió ${respuesta.status} ${respuesta.statusText}`), {
+      codigoHttp: respuesta.status
+    });
+  }
+  return respuesta.status;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ESPERA ANTES DEL SIGUIENTE INTENTO
+ * ====================================================
+ *
+ * Exponencial: esperaInicial, el doble, el cuádruple... hasta esperaMaxima.
+ *
+ * @param {number} intentos - Intentos ya hechos (1 o más)
+ * @returns {number} - Milisegundos
+ */
+function esperaTrasIntentos(intentos) {
+  const { esperaInicialSegundos, esperaMaximaMinutos } = obtenerConfiguracion().webhooks;
+  return Math.min(esperaInicialSegundos * 1000 * 2 ** (intentos - 1), esperaMaximaMinutos * 60 * 1000);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VISTA DE UN WEBHOOK
+ * =====================================
+ *
+ * El secreto solo se muestra al registrarlo.
+ */
+function vistaWebhook({ secreto, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VISTA DE UNA ENTREGA
+ * ======================================
+ *
+ * Sin el cuerpo completo, pero con la tarea a la que se refiere.
+ */
+function vistaEntrega({ cuerpo, enviandoHasta, ...entrega }) {
+  let tarea = null;
+  try {
+    const { _id, descripcion } = JSON.parse(cuerpo).tarea ?? {};
+    tarea = { id: String(_id), descripcion };
+  } catch {
+    // Un cuerpo dañado no impide listar la entrega
+  }
+  return { ...entrega, tarea };
+}
+
+/**
+ * FUNCIÓN: REGISTRAR WEBHOOK
+ * ==========================
+ *
+ * @param {string} url - Dirección a la que se envían los eventos (http o https)
+ * @param {string|string[]} eventos - Eventos que interesan ('tarea:creada' o 'creada')
+ * @param {Object} opciones - { secreto: para firmar; si no se indica, se genera uno }
+ * @returns {Promise<Object>} - { id, url, eventos, secreto, fechaCreacion }
+ * @throws {ErrorTarea} - VALIDACION, DUPLICADA o NO_AUTORIZADO
+ */
+export async function registrarWebhook(url, eventos, { secreto } = {}) {
+  exigirAdministrador();
+  const direccion = exigirUrlValida(url);
+  const suscritos = interpretarEventos(eventos);
+  if (secreto !== undefined && _.isEmpty(String(secreto).trim())) {
+    throw new ErrorTarea('El secreto no puede estar vacío', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const webhook = {
+    id: randomBytes(4).toString('hex'),
+    url: direccion,
+    eventos: suscritos,
+    secreto: secreto === undefined ? randomBytes(24).toString('hex') : String(secreto).trim(),
+    fechaCreacion: new Date().toISOString()
+  };
+  await actualizarWebhooks(webhooks => {
+    if (webhooks.some(w => w.url === direccion)) {
+      throw new ErrorTarea(`Ya hay un webhook registrado para ${direccion}`, CODIGOS_ERROR.DUPLICADA);
+    }
+    webhooks.push(webhook);
+  });
+  return webhook;
+}
+
+/**
+ * FUNCIÓN: LISTAR WEBHOOKS
+ * ========================
+ *
+ * @returns {Promise<Object[]>} - [{ id, url, eventos, fechaCreacion, pendientes, fallidas }]
+ * @throws {ErrorTarea} - NO_AUTORIZADO
+ */
+export async function listarWebhooks() {
+  exigirAdministrador();
+  const [webhooks, entregas] = await Promise.all([leerWebhooks(), leerBandeja()]);
+  return webhooks.map(webhook => {
+    const propias = entregas.filter(e => e.webhookId === webhook.id);
+    return {
+      ...vistaWebhook(webhook),
+      pendientes: propias.filter(e => e.estado === 'pendiente').length,
+      fallidas: propias.filter(e => e.estado === 'fallida').length
+    };
+  });
+}
+
+/**
+ * FUNCIÓN: ELIMINAR WEBHOOK
+ * =========================
+ *
+ * Descarta también sus entregas pendientes; las terminadas se conservan
+ * para poder consultarlas.
+ *
+ * @param {string} id - ID o prefijo del ID del webhook
+ * @returns {Promise<Object>} - Webhook eliminado (sin el secreto)
+ * @throws {ErrorTarea} - NO_ENCONTRADA, AMBIGUA o NO_AUTORIZADO
+ */
+export async function eliminarWebhook(id) {
+  exigirAdministrador();
+  const webhook = await actualizarWebhooks(webhooks => {
+    const encontrado = buscarPorId(webhooks, id, WEBHOOK);
+    _.pull(webhooks, encontrado);
+    return encontrado;
+  });
+  await actualizarBandeja(entregas => {
+    _.remove(entregas, e => e.webhookId === webhook.id && e.estado === 'pendiente');
+  });
+  return vistaWebhook(webhook);
+}
+
+/**
+ * FUNCIÓN: PROBAR WEBHOOK
+ * =======================
+ *
+ * Envía en el momento (sin pasar por la bandeja) un evento "ping" firmado
+ * como los demás, para comprobar la URL y la verificación de la firma.
+ *
+ * @param {string} id - ID o prefijo del ID del webhook
+ * @returns {Promise<{ webhook: Object, codigo: number }>}
+ * @throws {ErrorTarea} - NO_ENCONTRADA, AMBIGUA, NO_AUTORIZADO o PERSISTENCIA si
+ *   el receptor no respondió con 2xx
+ */
+export async function probarWebhook(id) {
+  exigirAdministrador();
+  const webhook = buscarPorId(await leerWebhooks(), id, WEBHOOK);
+  const entrega = { id: randomUUID(), evento: 'ping' };
+  const cuerpo = JSON.stringify({ ...entrega, fecha: new Date().toISOString(), webhook: vistaWebhook(webhook) });
+
+  try {
+    const codigo = await enviarPeticion({ ...entrega, url: webhook.url, secreto: webhook.secreto, cuerpo });
+    return { webhook: vistaWebhook(webhook), codigo };
+  } catch (error) {
+    throw new ErrorTarea(error.message, CODIGOS_ERROR.PERSISTENCIA);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ENCOLAR EVENTO
+ * ================================
+ *
+ * Manejador «después» de los eventos: anota una entrega por cada webhook
+ * interesado. Se envían después (ver entregarPendientes).
+ */
+async function encolarEvento({ evento, antes, despues, campos, operacion }) {
+  const destinos = (await leerWebhooks()).filter(webhook => webhook.eventos?.includes(evento));
+  if (_.isEmpty(destinos)) return;
+
+  const fecha = new Date().toISOString();
+  const documento = {
+    evento,
+    fecha,
+    operacion,
+    campos,
+    tarea: (despues ?? antes).toDocumento(),
+    anterior: antes?.toDocumento() ?? null
+  };
+  await actualizarBandeja(entregas => {
+    destinos.forEach(webhook => {
+      const id = randomUUID();
+      entregas.push({
+        id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        evento,
+        cuerpo: JSON.stringify({ id, ...documento }),
+        estado: 'pendiente',
+        intentos: 0,
+        proximoIntento: fecha,
+        ultimoCodigo: null,
+        ultimoError: null,
+        fechaCreacion: fecha,
+        fechaEntrega: null
+      });
+    });
+  });
+}
+
+/**
+ * FUNCIÓN: ACTIVAR WEBHOOKS
+ * =========================
+ *
+ * Suscribe la bandeja de salida a todos los eventos de las tareas (una sola
+ * vez por proceso). Sin webhooks registrados, cada evento solo cuesta leer
+ * webhooks.json.
+ */
+export function activarWebhooks() {
+  if (activados) return;
+  EVENTOS_TAREA.forEach(evento => suscribir(evento, 'despues', encolarEvento, 'la bandeja de los webhooks'));
+  activados = true;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ENTREGAS EN ESPERA
+ * ====================================
+ *
+ * Las pendientes que esperan su próximo intento (o que está enviando otro
+ * proceso): no se han perdido, aunque esta vez no tocara enviarlas.
+ *
+ * @returns {Object} - { cantidad, proximoIntento: fecha ISO del primero, o null }
+ */
+function entregasEnEspera(entregas) {
+  const pendientes = entregas.filter(entrega => entrega.estado === 'pendiente');
+  return { cantidad: pendientes.length, proximoIntento: _.min(pendientes.map(entrega => entrega.proximoIntento)) ?? null };
+}
+
+/**
+ * FUNCIÓN: ENTREGAR PENDIENTES
+ * ============================
+ *
+ * Intenta (a la vez) las entregas pendientes cuyo momento ya llegó y anota
+ * el resultado. Mientras se envía, la entrega queda reservada para que otro
+ * proceso no la envíe también; si el proceso se cae, la reserva caduca y
+ * otro la retoma. Aprovecha para olvidar las entregas terminadas hace más
+ * de webhooks.diasConservar días.
+ *
+ * @returns {Promise<Object>} - { entregadas, reintentos, fallidas }: entregas
+ *   (ver listarEntregas) según cómo terminó cada intento, y enEspera: las que
+ *   siguen pendientes después (ver entregasEnEspera)
+ */
+export async function entregarPendientes() {
+  const resultado = { entregadas: [], reintentos: [], fallidas: [], enEspera: entregasEnEspera([]) };
+  const { tiempoEsperaSegundos, intentosMaximos, diasConservar } = obtenerConfiguracion().webhooks;
+  const listaParaEnviar = (entrega, ahora) => entrega.estado === 'pendiente' &&
+    Date.parse(entrega.proximoIntento) <= ahora &&
+    !(Date.parse(entrega.enviandoHasta) > ahora);
+
+  // PASO 1: Reservar las entregas que toca intentar (sin escribir si no hay ninguna)
+  const inicio = Date.now();
+  const bandeja = await leerBandeja();
+  if (!bandeja.some(entrega => listaParaEnviar(entrega, inicio))) {
+    return { ...resultado, enEspera: entregasEnEspera(bandeja) };
+  }
+  const reservadas = await actualizarBandeja(entregas => {
+    const ahora = Date.now();
+    const hasta = new Date(ahora + 2 * tiempoEsperaSegundos * 1000).toISOString();
+    return entregas.filter(entrega => listaParaEnviar(entrega, ahora)).map(entrega => {
+      entrega.enviandoHasta = hasta;
+      return { ...entrega };
+    });
+  });
+  if (_.isEmpty(reservadas)) return { ...resultado, enEspera: entregasEnEspera(await leerBandeja()) };
+
+  // PASO 2: Enviar (un webhook eliminado mientras tanto ya no tiene secreto)
+  const webhooks = _.keyBy(await leerWebhooks(), 'id');
+  const intentos = await Promise.all(reservadas.map(async entrega => {
+    const webhook = webhooks[entrega.webhookId];
+    if (!webhook) return { entrega, error: 'El webhook ya no existe', definitivo: true };
+    try {
+      return { entrega, codigo: await enviarPeticion({ ...entrega, url: webhook.url, secreto: webhook.secreto }) };
+    } catch (error) {
+      return { entrega, error: error.message, codigo: error.codigoHttp ?? null };
+    }
+  }));
+
+  // PASO 3: Anotar los resultados y olvidar las entregas antiguas
+  await actualizarBandeja(entregas => {
+    const ahora = Date.now();
+    for (const { entrega: enviada, codigo = null, error = null, definitivo = false } of intentos) {
+      const entrega = entregas.find(e => e.id === enviada.id);
+      if (!entrega) continue;
+      delete entrega.enviandoHasta;
+      entrega.intentos++;
+      entrega.ultimoCodigo = codigo;
+      entrega.ultimoError = error;
+
+      if (!error) {
+        entrega.estado = 'entregada';
+        entrega.fechaEntrega = new Date(ahora).toISOString();
+        resultado.entregadas.push(vistaEntrega(entrega));
+      } else if (definitivo || entrega.intentos >= intentosMaximos) {
+        entrega.estado = 'fallida';
+        resultado.fallidas.push(vistaEntrega(entrega));
+      } else {
+        entrega.proximoIntento = new Date(ahora + esperaTrasIntentos(entrega.intentos)).toISOString();
+        resultado.reintentos.push(vistaEntrega(entrega));
+      }
+    }
+
+    const limite = ahora - diasConservar * 24 * 60 * 60 * 1000;
+    _.remove(entregas, e => e.estado !== 'pendiente' && Date.parse(e.fechaEntrega ?? e.fechaCreacion) < limite);
+    resultado.enEspera = entregasEnEspera(entregas);
+  });
+  return resultado;
+}
+
+/**
+ * FUNCIÓN: LISTAR ENTREGAS
+ * ========================
+ *
+ * @param {Object} filtro - { estado: uno de ESTADOS_ENTREGA, limite: cuántas como máximo }
+ * @returns {Promise<Object[]>} - Entregas sin el cuerpo, de la más reciente a la más antigua:
+ *   [{ id, webhookId, url, evento, estado, intentos, proximoIntento, ultimoCodigo,
+ *      ultimoError, fechaCreacion, fechaEntrega, tarea: { id, descripcion } }]
+ * @throws {ErrorTarea} - VALIDACION o NO_AUTORIZADO
+ */
+export async function listarEntregas({ estado, limite } = {}) {
+  exigirAdministrador();
+  if (estado !== undefined && !ESTADOS_ENTREGA.includes(estado)) {
+    throw new ErrorTarea(`Estado "${estado}" no válido (${ESTADOS_ENTREGA.join(', ')})`, CODIGOS_ERROR.VALIDACION);
+  }
+  const entregas = (await leerBandeja())
+    .filter(entrega => estado === undefined || entrega.estado === estado)
+    .reverse()
+    .map(vistaEntrega);
+  return limite === undefined ? entregas : entregas.slice(0, limite);
+}
+
+/**
+ * FUNCIÓN: REINTENTAR ENTREGAS FALLIDAS
+ * =====================================
+ *
+ * Las vuelve a dejar pendientes, con los intentos a cero, para que se
+ * envíen en el próximo reparto.
+ *
+ * @param {string} [id] - ID o prefijo de una entrega fallida; sin él, todas las fallidas
+ * @returns {Promise<number>} - Cantidad de entregas que se reintentarán
+ * @throws {ErrorTarea} - NO_ENCONTRADA, AMBIGUA, VALIDACION (no está fallida) o NO_AUTORIZADO
+ */
+export async function reintentarEntregas(id) {
+  exigirAdministrador();
+  return actualizarBandeja(entregas => {
+    const elegidas = id === undefined
+      ? entregas.filter(e => e.estado === 'fallida')
+      : [buscarPorId(entregas, id, ENTREGA)];
+    if (elegidas.some(e => e.estado !== 'fallida')) {
+      throw new ErrorTarea(`La entrega ${elegidas[0].id} no está fallida`, CODIGOS_ERROR.VALIDACION);
+    }
+
+    const ahora = new Date().toISOString();
+    elegidas.forEach(entrega => {
+      Object.assign(entrega, { estado: 'pendiente', intentos: 0, proximoIntento: ahora, ultimoError: null });
+    });
+    return elegidas.length;
+  });
+}
@@ -0,0 +1,259 @@
+/**
+ * PRUEBAS: LENGUAJE DE CONSULTA
+ * =============================
+ *
+ * cumpleConsulta y compilarConsultaMongo deben seleccionar las mismas
+ * tareas: se evalúa cada consulta de dos formas sobre los mismos documentos,
+ * en memoria y con el filtro compilado. Para el filtro se usa un evaluador
+ * mínimo con la semántica de MongoDB (campos ausentes, arrays, ObjectId), ya
+ * que las pruebas no tienen un servidor.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import _ from 'lodash';
+import { ObjectId } from 'mongodb';
+import { analizarConsulta, cumpleConsulta, compilarConsultaMongo } from '../utils/consulta.js';
+
+// Fecha de referencia de las consultas (hoy, ayer, 7d...), a mediodía local
+const HOY = new Date(2026, 2, 15, 12);
+
+const PADRE = new ObjectId();
+const OTRO_PADRE = new ObjectId();
+
+/**
+ * DOCUMENTOS DE PRUEBA
+ * ====================
+ *
+ * Con campos ausentes, nulos y vacíos, que es donde las dos formas pueden
+ * diferir.
+ */
+const DOCUMENTOS = [
+  {
+    _id: new ObjectId('65f000000000000000000001'),
+    descripcion: 'Comprar pan integral',
+    completada: false,
+    fechaCreacion: new Date(2026, 2, 14, 9).toISOString(),
+    fechaLimite: '2026-03-10',
+    prioridad: 'alta',
+    etiquetas: ['casa', 'compras'],
+    proyecto: 'Hogar'
+  },
+  {
+    _id: new ObjectId('65f000000000000000000002'),
+    descripcion: 'Llamar al banco',
+    completada: true,
+    fechaCreacion: new Date(2026, 1, 20, 18).toISOString(),
+    fechaCompletada: new Date(2026, 2, 12, 10).toISOString(),
+    fechaLimite: '2026-03-15',
+    prioridad: 'media',
+    etiquetas: [],
+    proyecto: '',
+    padreId: PADRE
+  },
+  {
+    _id: new ObjectId('65f0000000000000000000a3'),
+    descripcion: 'Revisar el PAN de la cocina',
+    completada: false,
+    fechaCreacion: new Date(2026, 2, 15, 0, 30).toISOString(),
+    fechaLimite: null,
+    prioridad: null,
+    proyecto: 'hogar',
+    padreId: OTRO_PADRE,
+    registrosTiempo: [{ inicio: '2026-03-15T08:00:00.000Z', fin: '2026-03-15T09:00:00.000Z' }]
+  },
+  {
+    _id: new ObjectId('65f1000000000000000000b4'),
+    descripcion: 'Preparar informe (trimestral)',
+    completada: false,
+    fechaCreacion: new Date(2025, 11, 1, 8).toISOString(),
+    fechaLimite: '2026-03-20',
+    prioridad: 'baja',
+    etiquetas: ['trabajo'],
+    proyecto: 'Oficina',
+    registrosTiempo: [{ inicio: '2026-03-14T08:00:00.000Z', fin: null }]
+  },
+  {
+    _id: new ObjectId('65f1000000000000000000b5'),
+    descripcion: 'Sin nada más',
+    completada: false,
+    fechaCreacion: new Date(2026, 2, 8, 23, 59).toISOString()
+  }
+];
+
+/**
+ * FUNCIÓN AUXILIAR: IGUALDAD DE MONGODB
+ * =====================================
+ *
+ * Un campo ausente es igual a null; los ObjectId se comparan por valor.
+ */
+function igualEnMongo(valor, esperado) {
+  if (_.isNil(valor) || _.isNil(esperado)) return _.isNil(valor) && _.isNil(esperado);
+  if (valor instanceof ObjectId || esperado instanceof ObjectId) return String(valor) === String(esperado);
+  return _.isEqual(valor, esperado);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TIPO COMPARABLE
+ * =================================
+ *
+ * MongoDB solo compara con $gt, $lt... valores del mismo tipo.
+ */
+function mismoTipo(valor, esperado) {
+  if (esperado instanceof ObjectId) return valor instanceof ObjectId;
+  return !_.isNil(valor) && typeof valor === typeof esperado;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ALGÚN VALOR CUMPLE
+ * ====================================
+ *
+ * Sobre un array, la condición vale si la cumple el array o cualquiera de sus elementos.
+ */
+function algunValor(valor, prueba) {
+  return prueba(valor) || (Array.isArray(valor) && valor.some(prueba));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CUMPLE UNA CONDICIÓN DE CAMPO
+ * ===============================================
+ */
+function cumpleCondicion(valor, condicion) {
+  const esOperadores = _.isPlainObject(condicion) && Object.keys(condicion).every(clave => clave.startsWith('$'));
+  if (!esOperadores) return algunValor(valor, elemento => igualEnMongo(elemento, condicion));
+
+  return Object.entries(condicion).every(([operador, esperado]) => {
+    switch (operador) {
+      case '$eq': return algunValor(valor, elemento => igualEnMongo(elemento, esperado));
+      case '$ne': return !algunValor(valor, elemento => igualEnMongo(elemento, esperado));
+      case '$gt': return algunValor(valor, elemento => mismoTipo(elemento, esperado) && String(elemento) > String(esperado));
+      case '$gte': return algunValor(valor, elemento => mismoTipo(elemento, esperado) && String(elemento) >= String(esperado));
+      case '$lt': return algunValor(valor, elemento => mismoTipo(elemento, esperado) && String(elemento) < String(esperado));
+      case '$lte': return algunValor(valor, elemento => mismoTipo(elemento, esperado) && String(elemento) <= String(esperado));
+      case '$in': return esperado.some(posible => cumpleCondicion(valor, { $eq: posible }));
+      case '$nin': return !esperado.some(posible => cumpleCondicion(valor, { $eq: posible }));
+      case '$exists': return (valor !== undefined) === esperado;
+      case '$regex': {
+        const patron = new RegExp(esperado, condicion.$options ?? '');
+        return algunValor(valor, elemento => typeof elemento === 'string' && patron.test(elemento));
+      }
+      case '$options': return true;
+      case '$elemMatch': return Array.isArray(valor) && valor.some(elemento => cumpleFiltro(esperado, elemento));
+      default: throw new Error(`Operador no soportado en la prueba: ${operador}`);
+    }
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CUMPLE UN FILTRO DE MONGODB
+ * =============================================
+ */
+function cumpleFiltro(filtro, documento) {
+  return Object.entries(filtro).every(([clave, condicion]) => {
+    switch (clave) {
+      case '$and': return condicion.every(hijo => cumpleFiltro(hijo, documento));
+      case '$or': return condicion.some(hijo => cumpleFiltro(hijo, documento));
+      case '$nor': return !condicion.some(hijo => cumpleFiltro(hijo, documento));
+      default: return cumpleCondicion(documento[clave], condicion);
+    }
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SELECCIÓN DE LAS DOS FORMAS
+ * =============================================
+ *
+ * @returns {{ memoria: string[], mongo: string[] }} - IDs que selecciona cada una
+ */
+function seleccion(arbol) {
+  const filtro = compilarConsultaMongo(arbol);
+  return {
+    memoria: DOCUMENTOS.filter(documento => cumpleConsulta(arbol, documento)).map(documento => String(documento._id)),
+    mongo: DOCUMENTOS.filter(documento => cumpleFiltro(filtro, documento)).map(documento => String(documento._id))
+  };
+}
+
+describe('cumpleConsulta y compilarConsultaMongo', () => {
+  const consultas = [
+    'pan',
+    '"pan integral"',
+    'PAN -integral',
+    '(informe)',
+    'estado:pendiente',
+    'estado:completadas',
+    'estado:vencida',
+    'prioridad:alta',
+    'prioridad:ninguna',
+    'etiqueta:casa',
+    'etiqueta:ninguna',
+    'proyecto:hogar',
+    'proyecto:ninguno',
+    'creada:hoy',
+    'creada>=2026-03-08',
+    'creada<7d',
+    'creada>ayer',
+    'completada<7d',
+    'completada:2026-03-12',
+    'vence<=hoy',
+    'vence>mañana',
+    'vence:+5',
+    'vence<7d',
+    '-vence<7d',
+    'pan OR banco',
+    '(prioridad:alta OR prioridad:baja) estado:pendiente',
+    '-(etiqueta:casa OR proyecto:ninguno) AND creada>2026-01-01'
+  ];
+
+  for (const texto of consultas) {
+    it(`seleccionan lo mismo con "${texto}"`, () => {
+      const { memoria, mongo } = seleccion(analizarConsulta(texto, { hoy: HOY }));
+      assert.deepEqual(mongo, memoria);
+    });
+  }
+
+  it('seleccionan lo mismo con las condiciones internas de la capa de datos', () => {
+    const arboles = [
+      { tipo: 'en', campo: '_id', valores: [DOCUMENTOS[0]._id, new ObjectId(String(DOCUMENTOS[3]._id))] },
+      { tipo: 'en', campo: 'padreId', valores: [PADRE, OTRO_PADRE] },
+      { tipo: 'en', campo: 'padreId', valores: [null] },
+      { tipo: 'prefijo', campo: '_id', valor: '65f1' },
+      { tipo: 'prefijo', campo: '_id', valor: '65f0000000000000000000a' },
+      { tipo: 'alguno', campo: 'registrosTiempo', condicion: { tipo: 'comparar', campo: 'fin', operador: 'eq', valor: null } },
+      { tipo: 'alguno', campo: 'registrosTiempo', condicion: { tipo: 'comparar', campo: 'inicio', operador: 'gte', valor: '2026-03-15' } },
+      { tipo: 'existe', campo: 'registrosTiempo', valor: true }
+    ];
+    for (const arbol of arboles) {
+      const { memoria, mongo } = seleccion(arbol);
+      assert.deepEqual(mongo, memoria, JSON.stringify(arbol));
+    }
+  });
+
+  it('no son pruebas vacías: las consultas seleccionan lo esperado', () => {
+    const ids = texto => seleccion(analizarConsulta(texto, { hoy: HOY })).memoria.map(id => id.slice(-2));
+    assert.deepEqual(ids('pan'), ['01', 'a3']);
+    assert.deepEqual(ids('estado:vencida'), ['01']);
+    assert.deepEqual(ids('proyecto:hogar'), ['01', 'a3']);
+    assert.deepEqual(ids('creada:hoy'), ['a3']);
+    assert.deepEqual(ids('completada<7d'), ['02']);
+    assert.deepEqual(ids('vence<7d'), ['01', '02', 'b4']);
+  });
+});
+
+describe('analizarConsulta', () => {
+  it('da prioridad a AND sobre OR y aplica "-" al término que sigue', () => {
+    assert.deepEqual(analizarConsulta('a b OR -c', { hoy: HOY }), {
+      tipo: 'o',
+      hijos: [
+        { tipo: 'y', hijos: [{ tipo: 'texto', valor: 'a' }, { tipo: 'texto', valor: 'b' }] },
+        { tipo: 'no', hijo: { tipo: 'texto', valor: 'c' } }
+      ]
+    });
+  });
+
+  it('rechaza los errores de sintaxis indicando la posición', () => {
+    assert.throws(() => analizarConsulta('(pan', { hoy: HOY }), { codigo: 'VALIDACION', message: /posición 1.*cerrar el paréntesis/ });
+    assert.throws(() => analizarConsulta('pan OR', { hoy: HOY }), { message: /posición 7.*después de OR/ });
+    assert.throws(() => analizarConsulta('estdo:pendiente', { hoy: HOY }), { message: /quisiste decir "estado"/ });
+    assert.throws(() => analizarConsulta('etiqueta>casa', { hoy: HOY }), { message: /solo admite ":"/ });
+  });
+});
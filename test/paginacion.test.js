@@ -0,0 +1,156 @@
+/**
+ * PRUEBAS: ORDEN Y PAGINACIÓN POR CURSOR
+ * ======================================
+ *
+ * Recorrer un listado página a página, siguiendo los cursores, debe dar las
+ * mismas tareas y en el mismo orden que ordenarlo entero, aunque entre una
+ * página y otra se creen o borren tareas.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import {
+  CLAVES_ORDEN,
+  ordenarPorClaves,
+  paginar,
+  codificarCursor,
+  decodificarCursor,
+  compilarPaginaMongo
+} from '../utils/paginacion.js';
+
+/**
+ * FUNCIÓN AUXILIAR: DOCUMENTO DE PRUEBA
+ * =====================================
+ */
+function documento(numero, campos = {}) {
+  return {
+    _id: new ObjectId(numero.toString(16).padStart(24, '0')),
+    descripcion: `Tarea ${numero}`,
+    completada: false,
+    fechaCreacion: `2026-03-${String(numero % 28 + 1).padStart(2, '0')}T10:00:00.000Z`,
+    ...campos
+  };
+}
+
+// Con empates en todas las claves, para que el _id tenga que desempatar
+const DOCUMENTOS = [
+  documento(1, { prioridad: 'alta', fechaLimite: '2026-04-01' }),
+  documento(2, { prioridad: 'baja' }),
+  documento(3, { completada: true, prioridad: 'alta' }),
+  documento(4, { fechaLimite: '2026-03-20' }),
+  documento(5, { prioridad: 'alta', fechaLimite: '2026-03-20' }),
+  documento(6, { prioridad: 'media', fechaLimite: '2026-04-01' }),
+  documento(7, { completada: true }),
+  documento(8, { prioridad: 'alta', fechaLimite: '2026-04-01', fechaCreacion: '2026-03-02T10:00:00.000Z' }),
+  documento(29, { prioridad: 'baja', fechaCreacion: '2026-03-02T10:00:00.000Z' }),
+  documento(30)
+];
+
+/**
+ * FUNCIÓN AUXILIAR: RECORRER TODAS LAS PÁGINAS
+ * ============================================
+ *
+ * @param {Function} antesDePagina - Recibe la lista antes de pedir cada página (para cambiarla)
+ * @returns {{ numeros: number[], paginas: number }}
+ */
+function recorrer(lista, claves, limite, antesDePagina = () => {}) {
+  const numeros = [];
+  let cursor = null;
+  let paginas = 0;
+  do {
+    antesDePagina(lista, paginas);
+    const pagina = paginar(lista, claves, { limite, cursor });
+    assert.ok(pagina.elementos.length <= limite);
+    numeros.push(...pagina.elementos.map(elemento => parseInt(String(elemento._id), 16)));
+    cursor = pagina.siguiente;
+    paginas++;
+  } while (cursor);
+  return { numeros, paginas };
+}
+
+const numerosDe = lista => lista.map(elemento => parseInt(String(elemento._id), 16));
+
+describe('ordenarPorClaves', () => {
+  it('ordena por prioridad las pendientes primero, luego por vencimiento y creación', () => {
+    assert.deepEqual(numerosDe(ordenarPorClaves(DOCUMENTOS, CLAVES_ORDEN.prioridad)), [5, 1, 8, 6, 2, 29, 4, 30, 3, 7]);
+  });
+
+  it('ordena por vencimiento dejando al final las que no tienen fecha límite', () => {
+    assert.deepEqual(numerosDe(ordenarPorClaves(DOCUMENTOS, CLAVES_ORDEN.vencimiento)), [5, 4, 1, 8, 6, 2, 29, 30, 3, 7]);
+  });
+
+  it('desempata por _id las tareas con las mismas claves', () => {
+    assert.deepEqual(numerosDe(ordenarPorClaves(DOCUMENTOS, CLAVES_ORDEN.creacion)), [6, 5, 4, 2, 30, 1, 8, 29, 7, 3]);
+  });
+});
+
+describe('paginar', () => {
+  for (const [nombre, claves] of Object.entries(CLAVES_ORDEN)) {
+    it(`recorre por cursor el mismo orden que el listado completo (${nombre})`, () => {
+      const completo = numerosDe(ordenarPorClaves(DOCUMENTOS, claves));
+      for (const limite of [1, 3, 4, 10, 25]) {
+        const { numeros, paginas } = recorrer(DOCUMENTOS, claves, limite);
+        assert.deepEqual(numeros, completo, `limite ${limite}`);
+        assert.equal(paginas, Math.max(1, Math.ceil(DOCUMENTOS.length / limite)));
+      }
+    });
+  }
+
+  it('la última página no tiene cursor, aunque quede justo llena', () => {
+    const pagina = paginar(DOCUMENTOS, CLAVES_ORDEN.prioridad, { limite: DOCUMENTOS.length });
+    assert.equal(pagina.elementos.length, DOCUMENTOS.length);
+    assert.equal(pagina.siguiente, null);
+    assert.deepEqual(paginar([], CLAVES_ORDEN.prioridad, { limite: 5 }), { elementos: [], siguiente: null });
+  });
+
+  it('no repite ni salta tareas si se crean o borran tareas entre páginas', () => {
+    const claves = CLAVES_ORDEN.prioridad;
+    const lista = [...DOCUMENTOS];
+    const { numeros } = recorrer(lista, claves, 3, (actual, paginas) => {
+      if (paginas !== 1) return;
+      // Antes de la segunda página: se borra una ya vista y otra por ver, y se crean dos
+      actual.splice(actual.findIndex(d => parseInt(String(d._id), 16) === 5), 1);
+      actual.splice(actual.findIndex(d => parseInt(String(d._id), 16) === 30), 1);
+      actual.push(documento(40, { prioridad: 'alta', fechaLimite: '2026-03-01' }));
+      actual.push(documento(41, { completada: true }));
+    });
+    // La creada por delante de la posición del cursor no aparece; la de detrás sí
+    assert.deepEqual(numeros, [5, 1, 8, 6, 2, 29, 4, 3, 41, 7]);
+  });
+
+  it('rechaza los cursores dañados o de otro criterio de orden', () => {
+    const { siguiente } = paginar(DOCUMENTOS, CLAVES_ORDEN.creacion, { limite: 2 });
+    assert.throws(() => paginar(DOCUMENTOS, CLAVES_ORDEN.prioridad, { limite: 2, cursor: siguiente }), { codigo: 'VALIDACION' });
+    assert.throws(() => decodificarCursor('no es un cursor', CLAVES_ORDEN.creacion), { codigo: 'VALIDACION' });
+    assert.throws(() => decodificarCursor(codificarCursor([false, '2026', 'xyz']), CLAVES_ORDEN.creacion), { codigo: 'VALIDACION' });
+    assert.throws(() => decodificarCursor(codificarCursor([false, { $gt: '' }, String(new ObjectId())]), CLAVES_ORDEN.creacion), { codigo: 'VALIDACION' });
+  });
+});
+
+describe('compilarPaginaMongo', () => {
+  it('sin claves calculadas ordena por los campos tal cual, para usar el índice', () => {
+    assert.deepEqual(compilarPaginaMongo(CLAVES_ORDEN.creacion, { limite: 20 }), [
+      { $sort: { completada: 1, fechaCreacion: -1, _id: 1 } },
+      { $limit: 21 }
+    ]);
+  });
+
+  it('traduce el cursor a "posterior a la última tarea vista" con los mismos valores', () => {
+    const claves = CLAVES_ORDEN.prioridad;
+    const { siguiente, elementos } = paginar(DOCUMENTOS, claves, { limite: 3 });
+    const ultima = elementos[elementos.length - 1];
+    const [calcular, desde, ordenar, cortar, limpiar] = compilarPaginaMongo(claves, { limite: 3, cursor: siguiente });
+
+    assert.deepEqual(Object.keys(calcular.$addFields), ['_orden1', '_orden2']);
+    assert.deepEqual(ordenar.$sort, { completada: 1, _orden1: 1, _orden2: 1, fechaCreacion: -1, _id: 1 });
+    assert.deepEqual(cortar, { $limit: 4 });
+    assert.deepEqual(limpiar, { $project: { _orden1: 0, _orden2: 0 } });
+
+    const [porCompletada, porPrioridad, , , porId] = desde.$match.$or;
+    assert.deepEqual(porCompletada, { completada: { $gt: false } });
+    assert.deepEqual(porPrioridad, { completada: false, _orden1: { $gt: 0 } });
+    assert.ok(porId._id.$gt.equals(ultima._id));
+    assert.equal(porId.fechaCreacion, ultima.fechaCreacion);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * PRUEBAS: REGLAS DE REPETICIÓN
+ * =============================
+ *
+ * Las fechas se construyen en hora local, como las usa la aplicación
+ * (ver utils/fechas.js): el 15 de marzo de 2026 es domingo.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  interpretarRecurrencia,
+  reglaComoTexto,
+  describirRecurrencia,
+  primeraFechaLimite,
+  siguienteFechaLimite
+} from '../utils/recurrencia.js';
+
+// Instante de completado a media tarde del día indicado (mes desde 1)
+const completadaEl = (anio, mes, dia) => new Date(anio, mes - 1, dia, 18).toISOString();
+
+describe('interpretarRecurrencia', () => {
+  it('normaliza las reglas válidas', () => {
+    assert.deepEqual(interpretarRecurrencia('diaria'), { tipo: 'diaria', cada: 1 });
+    assert.deepEqual(interpretarRecurrencia(' Diaria:3 '), { tipo: 'diaria', cada: 3 });
+    assert.deepEqual(interpretarRecurrencia('semanal:jueves,LUN,jue'), { tipo: 'semanal', dias: [1, 4] });
+    assert.deepEqual(interpretarRecurrencia('semanal:miércoles,sabado'), { tipo: 'semanal', dias: [3, 6] });
+    assert.deepEqual(interpretarRecurrencia('mensual:31'), { tipo: 'mensual', dia: 31 });
+    assert.deepEqual(interpretarRecurrencia('tras:10'), { tipo: 'tras', cada: 10 });
+  });
+
+  it('rechaza las reglas mal escritas o fuera de rango', () => {
+    for (const texto of ['', 'anual', 'diaria:0', 'diaria:366', 'diaria:1.5', 'diaria:3:x', 'semanal',
+      'semanal:', 'semanal:lun,xyz', 'mensual', 'mensual:0', 'mensual:32', 'tras', 'tras:-2', null, undefined]) {
+      assert.equal(interpretarRecurrencia(texto), null, String(texto));
+    }
+  });
+
+  it('reglaComoTexto es su inversa', () => {
+    for (const texto of ['diaria', 'diaria:3', 'semanal:lun,jue', 'semanal:dom,sab', 'mensual:1', 'tras:10']) {
+      assert.equal(reglaComoTexto(interpretarRecurrencia(texto)), texto);
+    }
+    assert.equal(reglaComoTexto(null), '');
+  });
+
+  it('describe las reglas de forma legible', () => {
+    assert.equal(describirRecurrencia(interpretarRecurrencia('diaria')), 'todos los días');
+    assert.equal(describirRecurrencia(interpretarRecurrencia('diaria:2')), 'cada 2 días');
+    assert.equal(describirRecurrencia(interpretarRecurrencia('semanal:lun,mie,vie')), 'cada lunes, miércoles y viernes');
+    assert.equal(describirRecurrencia(interpretarRecurrencia('semanal:dom')), 'cada domingo');
+    assert.equal(describirRecurrencia(interpretarRecurrencia('mensual:5')), 'el día 5 de cada mes');
+  });
+});
+
+describe('primeraFechaLimite', () => {
+  const domingo = new Date(2026, 2, 15, 12);
+
+  it('es el primer día de la regla desde hoy, incluido', () => {
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('diaria:5'), domingo), '2026-03-15');
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('semanal:lun,jue'), domingo), '2026-03-16');
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('semanal:dom'), domingo), '2026-03-15');
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('mensual:15'), domingo), '2026-03-15');
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('mensual:14'), domingo), '2026-04-14');
+  });
+
+  it('ajusta el día del mes a los meses más cortos', () => {
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('mensual:31'), new Date(2026, 1, 10)), '2026-02-28');
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('mensual:30'), new Date(2028, 1, 10)), '2028-02-29');
+  });
+
+  it('las reglas "tras" no tienen fecha hasta completarse', () => {
+    assert.equal(primeraFechaLimite(interpretarRecurrencia('tras:3'), domingo), null);
+  });
+});
+
+describe('siguienteFechaLimite', () => {
+  it('diaria: avanza desde la fecha límite de "cada" en "cada" días', () => {
+    const regla = interpretarRecurrencia('diaria:3');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-03-10', fechaCompletada: completadaEl(2026, 3, 10) }), '2026-03-13');
+    // Completada antes de tiempo: sigue contando desde la fecha límite
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-03-20', fechaCompletada: completadaEl(2026, 3, 11) }), '2026-03-23');
+  });
+
+  it('diaria: si se completa con retraso, no genera ocurrencias ya vencidas', () => {
+    assert.equal(siguienteFechaLimite(interpretarRecurrencia('diaria'), { fechaLimite: '2026-03-10', fechaCompletada: completadaEl(2026, 3, 15) }), '2026-03-16');
+    assert.equal(siguienteFechaLimite(interpretarRecurrencia('diaria:3'), { fechaLimite: '2026-03-10', fechaCompletada: completadaEl(2026, 3, 14) }), '2026-03-16');
+    // Sin fecha límite cuenta desde el día en que se completó
+    assert.equal(siguienteFechaLimite(interpretarRecurrencia('diaria:2'), { fechaLimite: null, fechaCompletada: completadaEl(2026, 3, 14) }), '2026-03-16');
+  });
+
+  it('semanal: el siguiente día de la regla posterior a la fecha límite', () => {
+    const regla = interpretarRecurrencia('semanal:lun,jue');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-03-16', fechaCompletada: completadaEl(2026, 3, 16) }), '2026-03-19');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-03-19', fechaCompletada: completadaEl(2026, 3, 17) }), '2026-03-23');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-03-16', fechaCompletada: completadaEl(2026, 3, 20) }), '2026-03-23');
+  });
+
+  it('mensual: no se queda en el día ajustado de un mes corto', () => {
+    const regla = interpretarRecurrencia('mensual:31');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-01-31', fechaCompletada: completadaEl(2026, 1, 31) }), '2026-02-28');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-02-28', fechaCompletada: completadaEl(2026, 2, 27) }), '2026-03-31');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-12-31', fechaCompletada: completadaEl(2026, 12, 31) }), '2027-01-31');
+  });
+
+  it('tras: cuenta desde el día en que se completó', () => {
+    const regla = interpretarRecurrencia('tras:10');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: '2026-03-01', fechaCompletada: completadaEl(2026, 3, 15) }), '2026-03-25');
+    assert.equal(siguienteFechaLimite(regla, { fechaLimite: null, fechaCompletada: completadaEl(2026, 3, 25) }), '2026-04-04');
+  });
+});
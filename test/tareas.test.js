@@ -0,0 +1,326 @@
+/**
+ * PRUEBAS: ESTADO GLOBAL DE TAREAS Y MODO SIN CONEXIÓN
+ * ====================================================
+ *
+ * Se usa un RepositorioMemoria que se presenta como remoto, para recorrer
+ * el camino de un servidor real: diario sin conexión, instantánea local y
+ * concurrencia optimista. Los archivos locales van a un directorio temporal.
+ */
+
+import { describe, it, before, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, readFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import _ from 'lodash';
+import { Tarea } from '../models/tarea.js';
+import { RepositorioMemoria } from '../data/repositorios/repositorioMemoria.js';
+import { leerEntradas, registrarEntrada, leerInstantanea, rutaConflictos } from '../data/diarioOffline.js';
+import {
+  tareas,
+  papelera,
+  establecerRepositorio,
+  inicializarTareas,
+  reconectar,
+  obtenerEstadoConexion,
+  asegurarTodasLasTareas,
+  cargarTareasPorIds,
+  modificarTarea,
+  borrarTarea,
+  guardarNuevaTarea,
+  guardarLote
+} from '../data/tareas.js';
+
+/**
+ * CLASE DE PRUEBA: REPOSITORIO REMOTO
+ * ===================================
+ *
+ * Con caido = true, conectar(), las lecturas y las actualizaciones fallan
+ * como un servidor que no responde.
+ */
+class RepositorioRemoto extends RepositorioMemoria {
+  caido = false;
+
+  get remoto() {
+    return true;
+  }
+
+  comprobarConexion() {
+    if (this.caido) throw new Error('connect ECONNREFUSED');
+  }
+
+  async conectar() {
+    this.comprobarConexion();
+  }
+
+  async cargarTodas() {
+    this.comprobarConexion();
+    return super.cargarTodas();
+  }
+
+  async actualizar(documento, versionEsperada) {
+    this.comprobarConexion();
+    return super.actualizar(documento, versionEsperada);
+  }
+
+  esErrorDeConexion(error) {
+    return /ECONNREFUSED/.test(error.message);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DOCUMENTO GUARDADO
+ * ====================================
+ */
+function documento(descripcion, campos = {}) {
+  return { ...new Tarea(descripcion).toDocumento(), version: 1, ...campos };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CAMBIO DE OTRO PROCESO
+ * ========================================
+ *
+ * Modifica el documento directamente en el almacenamiento, subiendo su versión.
+ */
+function cambiarDesdeOtroProceso(repo, id, cambios) {
+  const actual = repo.documentos.get(String(id));
+  repo.documentos.set(String(id), { ...actual, ...cambios, version: actual.version + 1 });
+}
+
+const enMemoria = descripcion => tareas.find(tarea => tarea.descripcion === descripcion);
+const guardado = (repo, id) => repo.documentos.get(String(id));
+
+let directorio;
+
+before(async () => {
+  directorio = await mkdtemp(path.join(os.tmpdir(), 'gestor-pruebas-'));
+  process.env.HOME = directorio;
+  process.env.GESTOR_ALMACENAMIENTO = 'memoria';
+  process.env.GESTOR_DIRECTORIO_ESTADO = path.join(directorio, 'estado');
+  // Los avisos de conexión perdida no interesan en la salida de las pruebas
+  mock.method(console, 'error', () => {});
+});
+
+beforeEach(async () => {
+  await rm(process.env.GESTOR_DIRECTORIO_ESTADO, { recursive: true, force: true });
+  await mkdir(process.env.GESTOR_DIRECTORIO_ESTADO, { recursive: true });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await rm(directorio, { recursive: true, force: true });
+});
+
+describe('sincronización del diario sin conexión', () => {
+  it('reproduce al reconectar los cambios hechos sin conexión y aparta los que chocan', async () => {
+    const pan = documento('Comprar pan');
+    const banco = documento('Llamar al banco');
+    const plantas = documento('Regar');
+    const repo = new RepositorioRemoto([pan, banco, plantas]);
+    establecerRepositorio(repo);
+    assert.equal(await inicializarTareas(), true);
+
+    // PASO 1: Sin conexión se trabaja sobre la instantánea y se anota en el diario
+    repo.caido = true;
+    assert.equal((await reconectar()).enLinea, false);
+    assert.equal(tareas.length, 3);
+    await modificarTarea(enMemoria('Comprar pan'), tarea => { tarea.prioridad = 'alta'; });
+    await borrarTarea(enMemoria('Llamar al banco'));
+    await modificarTarea(enMemoria('Regar'), tarea => { tarea.completada = true; });
+    const luz = await guardarNuevaTarea(new Tarea('Pagar la luz'));
+    assert.equal(obtenerEstadoConexion().pendientes, 4);
+    assert.equal(guardado(repo, pan._id).version, 1);
+
+    // PASO 2: Mientras tanto, otro proceso cambia una de ellas
+    cambiarDesdeOtroProceso(repo, plantas._id, { descripcion: 'Regar las plantas' });
+
+    // PASO 3: Al volver la conexión se aplica lo que no choca
+    repo.caido = false;
+    const estado = await reconectar();
+    assert.equal(estado.enLinea, true);
+    assert.equal(estado.pendientes, 0);
+    assert.deepEqual(estado.ultimaSincronizacion, {
+      aplicadas: 3,
+      conflictos: [{ descripcion: 'Regar', motivo: 'La tarea cambió en el almacenamiento mientras estabas sin conexión' }]
+    });
+
+    assert.equal(guardado(repo, pan._id).prioridad, 'alta');
+    assert.equal(guardado(repo, pan._id).version, 2);
+    assert.equal(guardado(repo, banco._id), undefined);
+    assert.equal(guardado(repo, luz._id).descripcion, 'Pagar la luz');
+    assert.equal(guardado(repo, plantas._id).descripcion, 'Regar las plantas');
+    assert.equal(guardado(repo, plantas._id).completada, false);
+
+    // El diario queda vacío, el cambio rechazado en conflictos y la instantánea al día
+    assert.deepEqual(await leerEntradas(), []);
+    const conflictos = (await readFile(rutaConflictos(), 'utf8')).trim().split('\n');
+    assert.equal(conflictos.length, 1);
+    assert.match(conflictos[0], /"descripcion":"Regar"/);
+    const instantanea = _.keyBy(await leerInstantanea(), documento => String(documento._id));
+    assert.equal(instantanea[String(plantas._id)].descripcion, 'Regar las plantas');
+    assert.equal(instantanea[String(pan._id)].version, 2);
+    assert.equal(instantanea[String(banco._id)], undefined);
+  });
+
+  it('da por buenas las entradas que ya se aplicaron en un intento interrumpido', async () => {
+    const pan = documento('Comprar pan', { prioridad: 'alta', version: 2 });
+    const luz = documento('Pagar la luz');
+    const repetida = documento('Sacar la basura');
+    const repo = new RepositorioRemoto([pan, luz, { ...repetida, descripcion: 'Otra cosa' }]);
+    const banco = documento('Llamar al banco');
+
+    // El proceso anterior aplicó estas tres antes de cortarse, sin llegar a quitarlas del diario
+    await registrarEntrada({ operacion: 'actualizar', documento: pan, id: pan._id, versionEsperada: 1 });
+    await registrarEntrada({ operacion: 'eliminar', id: banco._id, versionEsperada: 1 });
+    await registrarEntrada({ operacion: 'insertar', documento: luz, id: luz._id, versionEsperada: 0 });
+    // Esta no: con ese _id ya hay otra cosa
+    await registrarEntrada({ operacion: 'insertar', documento: repetida, id: repetida._id, versionEsperada: 0 });
+
+    establecerRepositorio(repo);
+    await inicializarTareas();
+    assert.deepEqual(obtenerEstadoConexion().ultimaSincronizacion, {
+      aplicadas: 3,
+      conflictos: [{ descripcion: 'Sacar la basura', motivo: 'La tarea cambió en el almacenamiento mientras estabas sin conexión' }]
+    });
+    assert.equal(repo.documentos.size, 3);
+    assert.equal(guardado(repo, pan._id).version, 2);
+    assert.equal(guardado(repo, repetida._id).descripcion, 'Otra cosa');
+    assert.deepEqual(await leerEntradas(), []);
+  });
+});
+
+describe('conflictos de versión con conexión', () => {
+  it('rechaza la escritura sobre una versión antigua y recarga las tareas', async () => {
+    const pan = documento('Comprar pan');
+    const repo = new RepositorioRemoto([pan]);
+    establecerRepositorio(repo);
+    await inicializarTareas();
+
+    const [antigua] = await cargarTareasPorIds([pan._id]);
+    cambiarDesdeOtroProceso(repo, pan._id, { prioridad: 'baja' });
+
+    await assert.rejects(
+      modificarTarea(antigua, tarea => { tarea.prioridad = 'alta'; }),
+      { codigo: 'CONFLICTO', message: /^La tarea "Comprar pan" fue modificada o eliminada por otro usuario\. Se recargaron/ }
+    );
+    assert.equal(guardado(repo, pan._id).prioridad, 'baja');
+    assert.ok(!tareas.includes(antigua));
+
+    // Tras la recarga se trabaja sobre la versión actual
+    const [actual] = await cargarTareasPorIds([pan._id]);
+    assert.equal(actual.version, 2);
+    await modificarTarea(actual, tarea => { tarea.prioridad = 'alta'; });
+    assert.equal(guardado(repo, pan._id).prioridad, 'alta');
+    assert.equal(guardado(repo, pan._id).version, 3);
+  });
+
+  it('en un lote guarda lo que no choca e informa de lo que sí', async () => {
+    const pan = documento('Comprar pan');
+    const luz = documento('Pagar la luz');
+    const banco = documento('Llamar al banco');
+    const repo = new RepositorioRemoto([pan, luz, banco]);
+    establecerRepositorio(repo);
+    await inicializarTareas();
+
+    const cargadas = await cargarTareasPorIds([pan._id, luz._id, banco._id]);
+    cambiarDesdeOtroProceso(repo, luz._id, {});
+    cambiarDesdeOtroProceso(repo, banco._id, {});
+
+    const completar = tarea => ({ tarea, aplicarCambios: copia => { copia.completada = true; } });
+    await assert.rejects(
+      guardarLote({ modificaciones: _.sortBy(cargadas, 'descripcion').map(completar) }),
+      { codigo: 'CONFLICTO', message: /^2 de las tareas \(entre ellas "Llamar al banco"\) fueron modificadas/ }
+    );
+    assert.equal(guardado(repo, pan._id).completada, true);
+    assert.equal(guardado(repo, luz._id).completada, false);
+    assert.equal(guardado(repo, banco._id).completada, false);
+  });
+});
+
+describe('carga bajo demanda con un backend remoto', () => {
+  it('asegurarTodasLasTareas completa una carga parcial con el estado del servidor', async () => {
+    const pan = documento('Comprar pan');
+    const banco = documento('Llamar al banco');
+    const plantas = documento('Regar');
+    const borrada = documento('Tirar el sofá', { fechaEliminacion: new Date().toISOString() });
+    const repo = new RepositorioRemoto([pan, banco, plantas, borrada]);
+    establecerRepositorio(repo);
+    await inicializarTareas();
+
+    // PASO 1: Con la instantánea ya escrita, el arranque no carga nada
+    await reconectar();
+    assert.equal(tareas.length, 0);
+    const cargadas = _.keyBy(await cargarTareasPorIds([pan._id, banco._id, plantas._id]), 'descripcion');
+    assert.equal(tareas.length, 3);
+
+    // PASO 2: Otro proceso cambia una, borra otra y crea una nueva
+    cambiarDesdeOtroProceso(repo, pan._id, { prioridad: 'alta' });
+    repo.documentos.delete(String(banco._id));
+    const nueva = documento('Pagar la luz');
+    repo.documentos.set(String(nueva._id), nueva);
+
+    // PASO 3: Al cargarlas todas, la caché queda igual que el servidor
+    await asegurarTodasLasTareas();
+    assert.deepEqual(_.sortBy(tareas.map(tarea => tarea.descripcion)), ['Comprar pan', 'Pagar la luz', 'Regar']);
+    assert.deepEqual(papelera.map(tarea => tarea.descripcion), ['Tirar el sofá']);
+    assert.equal(enMemoria('Comprar pan').prioridad, 'alta');
+    assert.equal(enMemoria('Comprar pan').version, 2);
+    // Las que no cambiaron conservan su instancia
+    assert.equal(enMemoria('Regar'), cargadas.Regar);
+
+    // La instantánea se renueva entera con lo leído
+    const instantanea = await leerInstantanea();
+    assert.deepEqual(_.sortBy(instantanea.map(doc => String(doc._id))), _.sortBy([...repo.documentos.keys()]));
+
+    // Se cargan una sola vez por proceso: después se trabaja sobre la caché
+    repo.documentos.set(String(documento('Otra más')._id), documento('Otra más'));
+    await asegurarTodasLasTareas();
+    assert.equal(tareas.length, 3);
+  });
+
+  it('al perder la conexión con una carga parcial reproduce el diario sobre la instantánea completa', async () => {
+    const pan = documento('Comprar pan');
+    const banco = documento('Llamar al banco');
+    const plantas = documento('Regar');
+    const repo = new RepositorioRemoto([pan, banco, plantas]);
+    establecerRepositorio(repo);
+    await inicializarTareas();
+    await reconectar();
+
+    // PASO 1: Con conexión solo se carga una tarea y se modifica otra ya cargada
+    const [cargada] = await cargarTareasPorIds([plantas._id]);
+    await modificarTarea(cargada, tarea => { tarea.etiquetas = ['jardin']; });
+    const [antigua] = await cargarTareasPorIds([pan._id]);
+    assert.equal(tareas.length, 2);
+
+    // PASO 2: La conexión se corta durante la escritura
+    repo.caido = true;
+    const modificada = await modificarTarea(antigua, tarea => { tarea.prioridad = 'alta'; });
+    assert.equal(obtenerEstadoConexion().enLinea, false);
+    assert.equal(obtenerEstadoConexion().pendientes, 1);
+
+    // Sin conexión están todas: la instantánea, sus cambios anotados y el diario
+    assert.deepEqual(_.sortBy(tareas.map(tarea => tarea.descripcion)), ['Comprar pan', 'Llamar al banco', 'Regar']);
+    assert.equal(enMemoria('Comprar pan'), modificada);
+    assert.equal(enMemoria('Comprar pan').prioridad, 'alta');
+    assert.deepEqual(enMemoria('Regar').etiquetas, ['jardin']);
+    await modificarTarea(enMemoria('Llamar al banco'), tarea => { tarea.completada = true; });
+
+    // PASO 3: Al volver, el diario se aplica y la caché vuelve a llenarse bajo demanda
+    repo.caido = false;
+    const estado = await reconectar();
+    assert.deepEqual(estado.ultimaSincronizacion, { aplicadas: 2, conflictos: [] });
+    assert.equal(tareas.length, 0);
+    const actuales = _.keyBy(await cargarTareasPorIds([pan._id, banco._id, plantas._id]), 'descripcion');
+    assert.equal(actuales['Comprar pan'].prioridad, 'alta');
+    assert.equal(actuales['Llamar al banco'].completada, true);
+    assert.deepEqual(actuales.Regar.etiquetas, ['jardin']);
+
+    // La instantánea sigue teniendo todas, al día
+    const instantanea = _.keyBy(await leerInstantanea(), 'descripcion');
+    assert.deepEqual(_.sortBy(Object.keys(instantanea)), ['Comprar pan', 'Llamar al banco', 'Regar']);
+    assert.equal(instantanea['Comprar pan'].version, 2);
+    assert.equal(instantanea['Llamar al banco'].completada, true);
+    assert.deepEqual(instantanea.Regar.etiquetas, ['jardin']);
+  });
+});
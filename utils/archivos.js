@@ -0,0 +1,104 @@
+/**
+ * UTILIDAD: ESCRITURA SEGURA DE ARCHIVOS
+ * ======================================
+ *
+ * Funciones compartidas por los módulos que guardan datos en disco
+ * (repositorio JSON, diario sin conexión, instantáneas).
+ *
+ * - escribirArchivoAtomico(): temporal + fsync + rename. El rename dentro del
+ *   mismo directorio es atómico: el archivo nunca queda escrito a medias.
+ * - agregarLineaArchivo(): añade una línea al final y la fuerza a disco,
+ *   adecuado para registros de solo-anexado (append-only).
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * FUNCIÓN: ESCRIBIR ARCHIVO DE FORMA ATÓMICA
+ * ==========================================
+ *
+ * @param {string} ruta - Archivo destino (se crean los directorios que falten)
+ * @param {string} contenido - Contenido completo del archivo
+ * @param {Object} opciones - { modo: permisos del archivo, p. ej. 0o600 para datos privados }
+ */
+export async function escribirArchivoAtomico(ruta, contenido, { modo = 0o666 } = {}) {
+  await fs.mkdir(path.dirname(ruta), { recursive: true });
+
+  const rutaTemporal = `${ruta}.${process.pid}.${Date.now()}.tmp`;
+  const archivo = await fs.open(rutaTemporal, 'w', modo);
+  try {
+    await archivo.writeFile(contenido, 'utf8');
+    await archivo.sync();
+  } finally {
+    await archivo.close();
+  }
+
+  try {
+    await fs.rename(rutaTemporal, ruta);
+  } catch (error) {
+    await fs.rm(rutaTemporal, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * FUNCIÓN: AGREGAR LÍNEA A UN ARCHIVO
+ * ===================================
+ *
+ * @param {string} ruta - Archivo destino (se crea si no existe)
+ * @param {string} linea - Texto sin salto de línea final
+ */
+export async function agregarLineaArchivo(ruta, linea) {
+  await fs.mkdir(path.dirname(ruta), { recursive: true });
+
+  const archivo = await fs.open(ruta, 'a');
+  try {
+    await archivo.write(`${linea}\n`);
+    await archivo.sync();
+  } finally {
+    await archivo.close();
+  }
+}
+
+/**
+ * FUNCIÓN: LEER ARCHIVO DE TEXTO OPCIONAL
+ * =======================================
+ *
+ * @param {string} ruta - Archivo a leer
+ * @returns {Promise<string|null>} - Contenido, o null si el archivo no existe
+ */
+export async function leerArchivoOpcional(ruta) {
+  try {
+    return await fs.readFile(ruta, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * FUNCIÓN: ELIMINAR ARCHIVO OPCIONAL
+ * ==================================
+ *
+ * @param {string} ruta - Archivo a eliminar (no es error que no exista)
+ */
+export async function eliminarArchivoOpcional(ruta) {
+  await fs.rm(ruta, { force: true });
+}
+
+/**
+ * FUNCIÓN: TAMAÑO DE UN ARCHIVO
+ * =============================
+ *
+ * @param {string} ruta - Archivo a consultar
+ * @returns {Promise<number|null>} - Bytes, o null si el archivo no existe
+ */
+export async function tamanoArchivo(ruta) {
+  try {
+    return (await fs.stat(ruta)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
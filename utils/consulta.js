@@ -0,0 +1,517 @@
+/**
+ * UTILIDAD: LENGUAJE DE CONSULTA DE TAREAS
+ * ========================================
+ *
+ * Convierte una búsqueda escrita por el usuario en un árbol de condiciones
+ * que se puede evaluar en memoria (cumpleConsulta) o traducir a un filtro
+ * de MongoDB (compilarConsultaMongo). Las dos formas dan el mismo resultado:
+ * el análisis reduce cada término a unas pocas condiciones elementales
+ * (comparar, contener texto...) y cada backend solo sabe evaluar esas.
+ *
+ * Sintaxis:
+ *   pan                    Descripción que contiene "pan" (sin distinguir mayúsculas)
+ *   "pan integral"         Descripción que contiene la frase exacta
+ *   estado:pendiente       pendiente, completada o vencida
+ *   prioridad:alta         alta, media, baja o ninguna
+ *   etiqueta:casa          Tiene la etiqueta (ninguna = sin etiquetas)
+ *   proyecto:Hogar         Pertenece al proyecto (ninguno = sin proyecto); admite comillas
+ *   creada>2026-01-01      Fechas de creación, de completado y límite (creada,
+ *   completada<7d          completada, vence) con :, >, >=, < o <=. Valores:
+ *   vence<=mañana          AAAA-MM-DD, hoy, ayer, mañana, +N o una antigüedad
+ *                          Nd / Ns / Nm (días, semanas, meses)
+ *   -palabra               Excluye lo que cumple el término (vale con cualquiera)
+ *   a OR b                 Cualquiera de los dos; sin OR, todos los términos
+ *                          deben cumplirse (AND explícito también se admite)
+ *   (a OR b) c             Paréntesis para agrupar
+ *
+ * Con las antigüedades, < y > se refieren a la distancia a hoy:
+ * completada<7d son las completadas hace menos de 7 días y vence<7d las que
+ * vencen dentro de menos de 7 días (incluidas las ya vencidas).
+ *
+ * Las fechas se comparan por día local, igual que las fechas límite.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// ObjectId: los prefijos de ID se buscan como un rango de identificadores
+import { ObjectId } from 'mongodb';
+import { Tarea, PRIORIDADES } from '../models/tarea.js';
+import { diaLocal, desdeDiaLocal, sumarDias, interpretarFechaLimite, interpretarAntiguedad } from './fechas.js';
+import { ErrorTarea, CODIGOS_ERROR } from './errores.js';
+
+/**
+ * CAMPOS DE CONSULTA
+ * ==================
+ *
+ * Nombre del campo → documento de tarea y operadores que admite.
+ */
+export const CAMPOS_CONSULTA = Object.freeze({
+  estado: { operadores: [':'] },
+  prioridad: { operadores: [':'] },
+  etiqueta: { operadores: [':'] },
+  proyecto: { operadores: [':'] },
+  creada: { operadores: [':', '>', '>=', '<', '<='], documento: 'fechaCreacion', instante: true, pasado: true },
+  completada: { operadores: [':', '>', '>=', '<', '<='], documento: 'fechaCompletada', instante: true, pasado: true },
+  vence: { operadores: [':', '>', '>=', '<', '<='], documento: 'fechaLimite', instante: false, pasado: false }
+});
+
+// Valores de estado:, con su forma en plural
+const ESTADOS = Object.freeze(['pendiente', 'completada', 'vencida']);
+
+// Operador escrito → operador de comparación, y su inverso (para las antigüedades)
+const OPERADORES = Object.freeze({ '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' });
+const INVERSOS = Object.freeze({ '>': '<', '>=': '<=', '<': '>', '<=': '>=' });
+
+// campo + operador + valor: "estado:pendiente", "creada>=2026-01-01"
+const PATRON_CAMPO = /^([a-záéíóúñ]+)(>=|<=|:|>|<|=)(.*)$/is;
+
+/**
+ * FUNCIÓN AUXILIAR: ERROR DE CONSULTA
+ * ===================================
+ *
+ * @param {string} mensaje - Qué falla
+ * @param {number} posicion - Posición (desde 0) del texto donde falla
+ */
+function errorConsulta(mensaje, posicion) {
+  return new ErrorTarea(`Consulta no válida (posición ${posicion + 1}): ${mensaje}`, CODIGOS_ERROR.VALIDACION);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DISTANCIA DE EDICIÓN
+ * ======================================
+ *
+ * Para sugerir el campo más parecido a uno mal escrito.
+ */
+function distancia(a, b) {
+  let anterior = _.range(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    anterior = actual;
+  }
+  return anterior[b.length];
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SUGERENCIA
+ * ============================
+ *
+ * @returns {string} - ' (¿quisiste decir "x"?)' o '' si nada se parece
+ */
+function sugerencia(texto, opciones) {
+  const cercana = _.minBy(opciones, opcion => distancia(texto, opcion));
+  return cercana && distancia(texto, cercana) <= 2 ? ` (¿quisiste decir "${cercana}"?)` : '';
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SEPARAR EN PIEZAS
+ * ===================================
+ *
+ * Piezas: { tipo: 'termino' | 'abre' | 'cierra' | 'o' | 'y', texto, frase, negado, posicion }
+ * - frase: el término entero iba entre comillas (siempre es texto a buscar)
+ * - Dentro de un término, las comillas permiten espacios: proyecto:"Casa nueva"
+ */
+function separarEnPiezas(texto) {
+  const piezas = [];
+  let i = 0;
+
+  while (i < texto.length) {
+    if (/\s/.test(texto[i])) {
+      i++;
+      continue;
+    }
+    const posicion = i;
+
+    // Negación: el "-" va pegado a lo que excluye
+    let negado = false;
+    if (texto[i] === '-') {
+      if (i + 1 >= texto.length || /[\s)]/.test(texto[i + 1])) {
+        throw errorConsulta('el "-" debe ir pegado al término que excluye (-palabra)', posicion);
+      }
+      negado = true;
+      i++;
+    }
+
+    if (texto[i] === '(' || texto[i] === ')') {
+      if (negado && texto[i] === ')') throw errorConsulta('"-" delante de ")"', posicion);
+      piezas.push({ tipo: texto[i] === '(' ? 'abre' : 'cierra', negado, posicion });
+      i++;
+      continue;
+    }
+
+    // Término: hasta un espacio o paréntesis fuera de comillas
+    let valor = '';
+    let frase = texto[i] === '"';
+    while (i < texto.length && !/[\s()]/.test(texto[i])) {
+      if (texto[i] === '"') {
+        const cierre = texto.indexOf('"', i + 1);
+        if (cierre === -1) throw errorConsulta('faltan las comillas de cierre', i);
+        valor += texto.slice(i + 1, cierre);
+        i = cierre + 1;
+      } else {
+        valor += texto[i];
+        frase = false;
+        i++;
+      }
+    }
+
+    if (!negado && !frase && (valor === 'OR' || valor === 'AND')) {
+      piezas.push({ tipo: valor === 'OR' ? 'o' : 'y', posicion });
+    } else {
+      piezas.push({ tipo: 'termino', texto: valor, frase, negado, posicion });
+    }
+  }
+  return piezas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DÍA DE UN VALOR DE FECHA
+ * ==========================================
+ *
+ * @returns {{ dia: string, invertir: boolean }} - Día local e indicación de
+ *   invertir el operador (antigüedades en campos del pasado)
+ */
+function diaDeValor(valor, definicion, hoy, posicion) {
+  const texto = _.toLower(valor.trim());
+  if (texto === 'ayer') return { dia: diaLocal(sumarDias(hoy, -1)), invertir: false };
+
+  const antiguedad = interpretarAntiguedad(texto, hoy, definicion.pasado ? -1 : 1);
+  if (antiguedad) return { dia: antiguedad, invertir: definicion.pasado };
+
+  const dia = interpretarFechaLimite(texto, hoy);
+  if (!dia) {
+    throw errorConsulta(
+      `"${valor}" no es una fecha válida. Usa AAAA-MM-DD, hoy, ayer, mañana, +N o una antigüedad como 7d, 2s o 1m`,
+      posicion
+    );
+  }
+  return { dia, invertir: false };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONDICIÓN DE FECHA
+ * ====================================
+ *
+ * Los campos con hora (fechaCreacion, fechaCompletada) se guardan como
+ * instante ISO: el día se convierte en el intervalo [medianoche, medianoche
+ * siguiente). Las fechas límite son días y se comparan tal cual.
+ */
+function condicionDeFecha(definicion, operador, valor, hoy, posicion) {
+  const { dia, invertir } = diaDeValor(valor, definicion, hoy, posicion);
+  const efectivo = invertir && operador !== ':' ? INVERSOS[operador] : operador;
+  const campo = definicion.documento;
+
+  if (!definicion.instante) {
+    return efectivo === ':'
+      ? { tipo: 'comparar', campo, operador: 'eq', valor: dia }
+      : { tipo: 'comparar', campo, operador: OPERADORES[efectivo], valor: dia };
+  }
+
+  const inicio = desdeDiaLocal(dia).toISOString();
+  const siguiente = sumarDias(desdeDiaLocal(dia), 1).toISOString();
+  switch (efectivo) {
+    case ':':
+      return {
+        tipo: 'y',
+        hijos: [
+          { tipo: 'comparar', campo, operador: 'gte', valor: inicio },
+          { tipo: 'comparar', campo, operador: 'lt', valor: siguiente }
+        ]
+      };
+    case '>': return { tipo: 'comparar', campo, operador: 'gte', valor: siguiente };
+    case '>=': return { tipo: 'comparar', campo, operador: 'gte', valor: inicio };
+    case '<': return { tipo: 'comparar', campo, operador: 'lt', valor: inicio };
+    default: return { tipo: 'comparar', campo, operador: 'lt', valor: siguiente };
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONDICIÓN DE UN CAMPO
+ * =======================================
+ *
+ * Traduce "campo operador valor" a condiciones elementales.
+ */
+function condicionDeCampo(nombre, operador, valor, hoy, posicion) {
+  const definicion = CAMPOS_CONSULTA[nombre];
+  if (!definicion.operadores.includes(operador)) {
+    throw errorConsulta(`el campo ${nombre} solo admite ":" (${nombre}:valor), no "${operador}"`, posicion);
+  }
+  const texto = _.toLower(valor.trim());
+
+  switch (nombre) {
+    case 'estado': {
+      const estado = texto.replace(/s$/, '');
+      if (estado === 'pendiente') return { tipo: 'comparar', campo: 'completada', operador: 'ne', valor: true };
+      if (estado === 'completada') return { tipo: 'comparar', campo: 'completada', operador: 'eq', valor: true };
+      if (estado === 'vencida') {
+        return {
+          tipo: 'y',
+          hijos: [
+            { tipo: 'comparar', campo: 'completada', operador: 'ne', valor: true },
+            { tipo: 'comparar', campo: 'fechaLimite', operador: 'lt', valor: diaLocal(hoy) }
+          ]
+        };
+      }
+      throw errorConsulta(`estado "${valor}" desconocido${sugerencia(estado, ESTADOS)}. Valores: ${ESTADOS.join(', ')}`, posicion);
+    }
+
+    case 'prioridad':
+      if (texto === 'ninguna') return { tipo: 'existe', campo: 'prioridad', valor: false };
+      if (!PRIORIDADES.includes(texto)) {
+        throw errorConsulta(
+          `prioridad "${valor}" desconocida${sugerencia(texto, PRIORIDADES)}. Valores: ${PRIORIDADES.join(', ')} o ninguna`,
+          posicion
+        );
+      }
+      return { tipo: 'comparar', campo: 'prioridad', operador: 'eq', valor: texto };
+
+    case 'etiqueta': {
+      if (texto === 'ninguna') return { tipo: 'existe', campo: 'etiquetas', valor: false };
+      const etiqueta = Tarea.normalizarEtiqueta(valor);
+      if (!etiqueta) throw errorConsulta(`etiqueta no válida: "${valor}"`, posicion);
+      return { tipo: 'incluye', campo: 'etiquetas', valor: etiqueta };
+    }
+
+    case 'proyecto':
+      if (texto === 'ninguno') return { tipo: 'existe', campo: 'proyecto', valor: false };
+      return { tipo: 'igual', campo: 'proyecto', valor: valor.trim() };
+
+    default:
+      return condicionDeFecha(definicion, operador, valor, hoy, posicion);
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONDICIÓN DE UN TÉRMINO
+ * =========================================
+ */
+function condicionDeTermino(pieza, hoy) {
+  if (pieza.frase) {
+    return { tipo: 'texto', valor: pieza.texto };
+  }
+
+  const partes = pieza.texto.match(PATRON_CAMPO);
+  if (!partes) return { tipo: 'texto', valor: pieza.texto };
+
+  const [, escrito, operador, valor] = partes;
+  const nombre = _.toLower(escrito);
+  if (!CAMPOS_CONSULTA[nombre]) {
+    const campos = Object.keys(CAMPOS_CONSULTA);
+    throw errorConsulta(
+      `campo desconocido "${escrito}"${sugerencia(nombre, campos)}. Campos: ${campos.join(', ')}. ` +
+      `Para buscar el texto tal cual, ponlo entre comillas: "${pieza.texto}"`,
+      pieza.posicion
+    );
+  }
+  if (_.isEmpty(valor.trim())) {
+    throw errorConsulta(`falta el valor de ${nombre} (${nombre}${operador}valor)`, pieza.posicion);
+  }
+  return condicionDeCampo(nombre, operador === '=' ? ':' : operador, valor, hoy, pieza.posicion);
+}
+
+/**
+ * CLASE INTERNA: ANALIZADOR
+ * =========================
+ *
+ * Descenso recursivo sobre las piezas. Precedencia: "-" > AND (implícito) > OR.
+ *   o      := y (OR y)*
+ *   y      := unario (AND? unario)*
+ *   unario := término | ( o )       (con su "-" delante, si lo lleva)
+ */
+class Analizador {
+  constructor(piezas, hoy, longitud) {
+    this.piezas = piezas;
+    this.hoy = hoy;
+    this.longitud = longitud;
+    this.indice = 0;
+  }
+
+  siguiente() {
+    return this.piezas[this.indice];
+  }
+
+  // Posición de la pieza actual o, al final, del final del texto
+  posicionActual() {
+    return this.siguiente()?.posicion ?? this.longitud;
+  }
+
+  analizarO() {
+    const hijos = [this.analizarY()];
+    while (this.siguiente()?.tipo === 'o') {
+      this.indice++;
+      hijos.push(this.analizarY('OR'));
+    }
+    return hijos.length === 1 ? hijos[0] : { tipo: 'o', hijos };
+  }
+
+  analizarY(despuesDe = null) {
+    const hijos = [];
+    while (this.siguiente() && !['o', 'cierra'].includes(this.siguiente().tipo)) {
+      if (this.siguiente().tipo === 'y') {
+        this.indice++;
+        if (!this.siguiente() || ['o', 'y', 'cierra'].includes(this.siguiente().tipo)) {
+          throw errorConsulta('falta un término después de AND', this.posicionActual());
+        }
+      }
+      hijos.push(this.analizarUnario());
+    }
+
+    if (_.isEmpty(hijos)) {
+      const motivo = despuesDe
+        ? `falta un término después de ${despuesDe}`
+        : this.siguiente()?.tipo === 'o'
+          ? 'falta un término antes de OR'
+          : 'los paréntesis están vacíos';
+      throw errorConsulta(motivo, this.posicionActual());
+    }
+    return hijos.length === 1 ? hijos[0] : { tipo: 'y', hijos };
+  }
+
+  analizarUnario() {
+    const pieza = this.siguiente();
+    this.indice++;
+
+    let nodo;
+    if (pieza.tipo === 'abre') {
+      nodo = this.analizarO();
+      if (this.siguiente()?.tipo !== 'cierra') {
+        throw errorConsulta('falta cerrar el paréntesis', pieza.posicion);
+      }
+      this.indice++;
+    } else {
+      nodo = condicionDeTermino(pieza, this.hoy);
+    }
+    return pieza.negado ? { tipo: 'no', hijo: nodo } : nodo;
+  }
+}
+
+/**
+ * FUNCIÓN: ANALIZAR CONSULTA
+ * ==========================
+ *
+ * @param {string} texto - Consulta escrita por el usuario
+ * @param {Object} opciones - { hoy: fecha de referencia para hoy, ayer, 7d... }
+ * @returns {Object} - Árbol de condiciones (ver cumpleConsulta)
+ * @throws {ErrorTarea} - VALIDACION, indicando la posición y cómo corregirlo
+ */
+export function analizarConsulta(texto, { hoy = new Date() } = {}) {
+  const consulta = String(texto ?? '');
+  if (_.isEmpty(consulta.trim())) {
+    throw new ErrorTarea('Debes ingresar un término de búsqueda', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const analizador = new Analizador(separarEnPiezas(consulta), hoy, consulta.length);
+  const arbol = analizador.analizarO();
+  if (analizador.siguiente()) {
+    throw errorConsulta('sobra un ")" que no cierra ningún paréntesis', analizador.posicionActual());
+  }
+  return arbol;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TIENE VALOR
+ * =============================
+ *
+ * Un campo vacío ('' o []) cuenta como ausente.
+ */
+function tieneValor(valor) {
+  if (_.isNil(valor)) return false;
+  return !((_.isString(valor) || _.isArray(valor)) && _.isEmpty(valor));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SON IGUALES
+ * =============================
+ *
+ * Igualdad de MongoDB: un campo ausente es igual a null y los ObjectId
+ * (padreId, propietarioId...) se comparan por valor.
+ */
+function sonIguales(a, b) {
+  if (_.isNil(a) || _.isNil(b)) return _.isNil(a) && _.isNil(b);
+  return a === b || (_.isFunction(a.equals) && a.equals(b));
+}
+
+/**
+ * FUNCIÓN: CUMPLE LA CONSULTA
+ * ===========================
+ *
+ * Evalúa el árbol en memoria sobre un documento de tarea (toDocumento()).
+ * Un campo ausente no cumple ninguna comparación salvo la de desigualdad,
+ * igual que en MongoDB.
+ *
+ * Además de las condiciones que produce el análisis, la capa de datos
+ * (data/tareas.js) usa otras que no se pueden escribir en una búsqueda:
+ * - en: el campo es igual a uno de los valores (IDs de tareas o de padres)
+ * - prefijo: el ID empieza por un texto hexadecimal (los IDs abreviados)
+ * - alguno: algún elemento de una lista cumple la condición (registrosTiempo)
+ *
+ * @param {Object} arbol - Resultado de analizarConsulta()
+ * @param {Object} documento - Documento de tarea
+ * @returns {boolean}
+ */
+export function cumpleConsulta(arbol, documento) {
+  const valor = documento[arbol.campo];
+
+  switch (arbol.tipo) {
+    case 'y': return arbol.hijos.every(hijo => cumpleConsulta(hijo, documento));
+    case 'o': return arbol.hijos.some(hijo => cumpleConsulta(hijo, documento));
+    case 'no': return !cumpleConsulta(arbol.hijo, documento);
+    case 'texto': return _.includes(_.toLower(documento.descripcion), _.toLower(arbol.valor));
+    case 'incluye': return _.includes(valor ?? [], arbol.valor);
+    case 'igual': return tieneValor(valor) && _.toLower(valor) === _.toLower(arbol.valor);
+    case 'existe': return tieneValor(valor) === arbol.valor;
+    case 'en': return arbol.valores.some(posible => sonIguales(valor, posible));
+    case 'prefijo': return String(valor ?? '').startsWith(arbol.valor);
+    case 'alguno': return _.some(valor, elemento => cumpleConsulta(arbol.condicion, elemento));
+    case 'comparar':
+      switch (arbol.operador) {
+        case 'eq': return sonIguales(valor, arbol.valor);
+        case 'ne': return !sonIguales(valor, arbol.valor);
+        case 'gt': return !_.isNil(valor) && valor > arbol.valor;
+        case 'gte': return !_.isNil(valor) && valor >= arbol.valor;
+        case 'lt': return !_.isNil(valor) && valor < arbol.valor;
+        default: return !_.isNil(valor) && valor <= arbol.valor;
+      }
+    default:
+      throw new Error(`Condición de consulta desconocida: ${arbol.tipo}`);
+  }
+}
+
+/**
+ * FUNCIÓN: COMPILAR CONSULTA A MONGODB
+ * ====================================
+ *
+ * Traduce el árbol a un filtro de find(). Los textos se buscan con
+ * expresiones regulares escapadas e insensibles a mayúsculas.
+ *
+ * @param {Object} arbol - Resultado de analizarConsulta()
+ * @returns {Object} - Filtro de MongoDB
+ */
+export function compilarConsultaMongo(arbol) {
+  const { campo, valor } = arbol;
+
+  switch (arbol.tipo) {
+    case 'y': return { $and: arbol.hijos.map(compilarConsultaMongo) };
+    case 'o': return { $or: arbol.hijos.map(compilarConsultaMongo) };
+    case 'no': return { $nor: [compilarConsultaMongo(arbol.hijo)] };
+    case 'texto': return { descripcion: { $regex: _.escapeRegExp(valor), $options: 'i' } };
+    case 'incluye': return { [campo]: valor };
+    case 'igual': return { [campo]: { $regex: `^${_.escapeRegExp(valor)}$`, $options: 'i' } };
+    case 'existe': {
+      const presente = { [campo]: { $exists: true, $nin: [null, '', []] } };
+      return valor ? presente : { $nor: [presente] };
+    }
+    case 'en': return { [campo]: { $in: arbol.valores } };
+    // Los ObjectId se ordenan por sus bytes: un prefijo es el rango que va de
+    // completarlo con ceros a completarlo con efes
+    case 'prefijo': return {
+      [campo]: { $gte: new ObjectId(valor.padEnd(24, '0')), $lte: new ObjectId(valor.padEnd(24, 'f')) }
+    };
+    case 'alguno': return { [campo]: { $elemMatch: compilarConsultaMongo(arbol.condicion) } };
+    case 'comparar': return { [campo]: { [`$${arbol.operador}`]: valor } };
+    default:
+      throw new Error(`Condición de consulta desconocida: ${arbol.tipo}`);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * UTILIDAD: ERRORES DE DOMINIO
+ * ============================
+ *
+ * Define los errores que lanza la lógica de negocio de tareas.
+ * Cada error lleva un código que permite a las distintas interfaces
+ * (menú interactivo, comandos no interactivos) reaccionar de forma adecuada:
+ * mostrar un mensaje, devolver un código de salida concreto, etc.
+ */
+
+/**
+ * CÓDIGOS DE ERROR
+ * ================
+ *
+ * - VALIDACION: Datos de entrada inválidos (descripción vacía, etc.)
+ * - DUPLICADA: Ya existe una tarea con la misma descripción
+ * - NO_ENCONTRADA: No existe ninguna tarea con el identificador indicado
+ * - AMBIGUA: El identificador abreviado coincide con varias tareas
+ * - PERSISTENCIA: No se pudieron guardar los cambios
+ * - CONFLICTO: Otro proceso modificó o eliminó la tarea mientras tanto
+ * - SUBTAREAS_PENDIENTES: La operación afecta a subtareas abiertas y no se
+ *   indicó qué hacer con ellas
+ * - NO_AUTORIZADO: Falta iniciar sesión, la contraseña no es correcta o la
+ *   operación es solo para administradores
+ * - RECHAZADA: Un plugin impidió la operación (ver services/eventosService.js)
+ */
+export const CODIGOS_ERROR = Object.freeze({
+  VALIDACION: 'VALIDACION',
+  DUPLICADA: 'DUPLICADA',
+  NO_ENCONTRADA: 'NO_ENCONTRADA',
+  AMBIGUA: 'AMBIGUA',
+  PERSISTENCIA: 'PERSISTENCIA',
+  CONFLICTO: 'CONFLICTO',
+  SUBTAREAS_PENDIENTES: 'SUBTAREAS_PENDIENTES',
+  NO_AUTORIZADO: 'NO_AUTORIZADO',
+  RECHAZADA: 'RECHAZADA'
+});
+
+/**
+ * CLASE ERRORTAREA
+ * ================
+ *
+ * Error de negocio con un código asociado.
+ * Se distingue de los errores inesperados (bugs, fallos de red)
+ * para que la interfaz pueda mostrarlos como mensajes normales.
+ */
+export class ErrorTarea extends Error {
+  constructor(mensaje, codigo = CODIGOS_ERROR.VALIDACION) {
+    super(mensaje);
+    this.name = 'ErrorTarea';
+    this.codigo = codigo;
+  }
+}
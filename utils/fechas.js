@@ -0,0 +1,202 @@
+/**
+ * UTILIDAD: FECHAS LÍMITE
+ * =======================
+ *
+ * Las fechas límite se guardan como día local en formato 'AAAA-MM-DD'
+ * (sin hora): una tarea "vence el viernes", no "el viernes a las 00:00 UTC".
+ * Al ser texto con formato fijo, se pueden comparar y ordenar directamente.
+ *
+ * Formatos aceptados al escribir una fecha límite:
+ * - 'AAAA-MM-DD'        Fecha exacta (2024-09-30)
+ * - 'hoy' / 'mañana'    Relativas al día actual
+ * - '+N'                Dentro de N días (+3)
+ *
+ * Los límites de un periodo (por ejemplo, el de la analítica) admiten además
+ * 'ayer' y antigüedades: '30d', '2s', '6m' (hace 30 días, 2 semanas, 6 meses).
+ *
+ * Los momentos de los registros de tiempo son un día de los anteriores
+ * (opcional, por defecto hoy) y una hora: '09:30', 'ayer 18:00',
+ * '2024-09-30 08:15', o 'ahora'.
+ */
+
+/**
+ * FUNCIÓN: DÍA LOCAL EN FORMATO ISO
+ * =================================
+ *
+ * @param {Date} fecha - Fecha a convertir (por defecto, ahora)
+ * @returns {string} - 'AAAA-MM-DD' según la zona horaria local
+ */
+export function diaLocal(fecha = new Date()) {
+  const anio = fecha.getFullYear();
+  const mes = String(fecha.getMonth() + 1).padStart(2, '0');
+  const dia = String(fecha.getDate()).padStart(2, '0');
+  return `${anio}-${mes}-${dia}`;
+}
+
+/**
+ * FUNCIÓN: FECHA A PARTIR DE UN DÍA LOCAL
+ * =======================================
+ *
+ * Inversa de diaLocal(): medianoche local del día indicado.
+ *
+ * @param {string} dia - 'AAAA-MM-DD'
+ * @returns {Date}
+ */
+export function desdeDiaLocal(dia) {
+  const [anio, mes, numero] = dia.split('-').map(Number);
+  return new Date(anio, mes - 1, numero);
+}
+
+/**
+ * FUNCIÓN: SUMAR DÍAS
+ * ===================
+ *
+ * @param {Date} fecha - Fecha de partida
+ * @param {number} dias - Días a sumar (pueden ser negativos)
+ * @returns {Date} - Nueva fecha
+ */
+export function sumarDias(fecha, dias) {
+  const resultado = new Date(fecha);
+  resultado.setDate(resultado.getDate() + dias);
+  return resultado;
+}
+
+/**
+ * FUNCIÓN: FIN DE LA SEMANA
+ * =========================
+ *
+ * La semana va de lunes a domingo.
+ *
+ * @param {Date} fecha - Día de referencia
+ * @returns {string} - Domingo de esa semana en formato 'AAAA-MM-DD'
+ */
+export function finDeSemana(fecha = new Date()) {
+  // getDay(): 0 = domingo ... 6 = sábado
+  const diasHastaDomingo = (7 - fecha.getDay()) % 7;
+  return diaLocal(sumarDias(fecha, diasHastaDomingo));
+}
+
+/**
+ * FUNCIÓN: INICIO DE LA SEMANA
+ * ============================
+ *
+ * @param {Date} fecha - Día de referencia
+ * @returns {string} - Lunes de esa semana en formato 'AAAA-MM-DD'
+ */
+export function inicioDeSemana(fecha = new Date()) {
+  // getDay(): 0 = domingo ... 6 = sábado
+  const diasDesdeLunes = (fecha.getDay() + 6) % 7;
+  return diaLocal(sumarDias(fecha, -diasDesdeLunes));
+}
+
+/**
+ * FUNCIÓN: DÍAS ENTRE DOS DÍAS
+ * ============================
+ *
+ * @param {string} desde - 'AAAA-MM-DD'
+ * @param {string} hasta - 'AAAA-MM-DD'
+ * @returns {number} - Días de calendario de desde a hasta (negativo si hasta es anterior)
+ */
+export function diasEntre(desde, hasta) {
+  // Math.round absorbe la hora de diferencia de los cambios de horario
+  return Math.round((desdeDiaLocal(hasta) - desdeDiaLocal(desde)) / 86_400_000);
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR ANTIGÜEDAD
+ * ===============================
+ *
+ * Desplaza el día de referencia una cantidad escrita como 'Nd' (días),
+ * 'Ns' (semanas) o 'Nm' (meses).
+ *
+ * @param {string} texto - Cantidad escrita por el usuario (7d, 2s, 1m)
+ * @param {Date} hoy - Día de referencia
+ * @param {number} sentido - -1 hacia el pasado, 1 hacia el futuro
+ * @returns {string|null} - 'AAAA-MM-DD', o null si el texto no es una antigüedad
+ */
+export function interpretarAntiguedad(texto, hoy = new Date(), sentido = -1) {
+  const antiguedad = String(texto ?? '').trim().toLowerCase().match(/^(\d{1,4})([dsm])$/);
+  if (!antiguedad) return null;
+
+  const cantidad = Number(antiguedad[1]) * sentido;
+  const fecha = new Date(hoy);
+  if (antiguedad[2] === 'm') {
+    fecha.setMonth(fecha.getMonth() + cantidad);
+  } else {
+    fecha.setDate(fecha.getDate() + cantidad * (antiguedad[2] === 's' ? 7 : 1));
+  }
+  return diaLocal(fecha);
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR DÍA PASADO
+ * ===============================
+ *
+ * Para los límites de un periodo: además de los formatos de las fechas
+ * límite, acepta 'ayer' y antigüedades hacia el pasado (30d = hace 30 días).
+ *
+ * @param {string} texto - Día escrito por el usuario
+ * @param {Date} hoy - Día de referencia
+ * @returns {string|null} - 'AAAA-MM-DD', o null si el texto no es un día válido
+ */
+export function interpretarDiaPasado(texto, hoy = new Date()) {
+  const valor = String(texto ?? '').trim().toLowerCase();
+  if (valor === 'ayer') return diaLocal(sumarDias(hoy, -1));
+  return interpretarAntiguedad(valor, hoy, -1) ?? interpretarFechaLimite(valor, hoy);
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR FECHA LÍMITE
+ * =================================
+ *
+ * Convierte lo que escribe el usuario en una fecha límite normalizada.
+ *
+ * @param {string} texto - Fecha escrita por el usuario
+ * @param {Date} hoy - Día de referencia para las fechas relativas
+ * @returns {string|null} - 'AAAA-MM-DD', o null si el texto no es una fecha válida
+ */
+export function interpretarFechaLimite(texto, hoy = new Date()) {
+  const valor = String(texto ?? '').trim().toLowerCase();
+
+  if (valor === 'hoy') return diaLocal(hoy);
+  if (valor === 'mañana' || valor === 'manana') return diaLocal(sumarDias(hoy, 1));
+
+  const relativa = valor.match(/^\+(\d{1,4})$/);
+  if (relativa) return diaLocal(sumarDias(hoy, Number(relativa[1])));
+
+  const exacta = valor.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!exacta) return null;
+
+  // Comprobamos que el día exista (rechaza 2024-02-30)
+  const [, anio, mes, dia] = exacta.map(Number);
+  const fecha = new Date(anio, mes - 1, dia);
+  if (fecha.getFullYear() !== anio || fecha.getMonth() !== mes - 1 || fecha.getDate() !== dia) {
+    return null;
+  }
+  return valor;
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR MOMENTO
+ * ============================
+ *
+ * Para el inicio y el fin de los registros de tiempo.
+ *
+ * @param {string} texto - Momento escrito por el usuario ('09:30', 'ayer 18:00', 'ahora')
+ * @param {Date} ahora - Momento de referencia
+ * @returns {string|null} - Fecha y hora ISO, o null si el texto no es un momento válido
+ */
+export function interpretarMomento(texto, ahora = new Date()) {
+  const valor = String(texto ?? '').trim().toLowerCase().replace(/^(\d{4}-\d{2}-\d{2})t/, '$1 ');
+  if (valor === 'ahora') return ahora.toISOString();
+
+  const partes = valor.match(/^(?:(\S+)\s+)?(\d{1,2}):(\d{2})$/);
+  if (!partes) return null;
+  const [, textoDia, horas, minutos] = partes;
+  const dia = textoDia ? interpretarDiaPasado(textoDia, ahora) : diaLocal(ahora);
+  if (!dia || Number(horas) > 23 || Number(minutos) > 59) return null;
+
+  const momento = desdeDiaLocal(dia);
+  momento.setHours(Number(horas), Number(minutos));
+  return momento.toISOString();
+}
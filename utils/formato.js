@@ -0,0 +1,665 @@
+/**
+ * UTILIDAD: FORMATO DE TAREAS PARA CONSOLA
+ * ========================================
+ *
+ * Centraliza la forma en que se muestran las tareas (y los eventos de su
+ * historial de cambios, el efecto de las operaciones en bloque, la analítica
+ * de productividad, las entregas de los webhooks y el tiempo registrado) en
+ * pantalla, tanto en el
+ * menú interactivo como en los comandos no interactivos.
+ *
+ * Las tareas vencidas se destacan siempre con ⏰ y, si la salida es una
+ * terminal, además en rojo. Con NO_COLOR definido (o al redirigir la salida
+ * a un archivo) no se emiten códigos de color.
+ */
+
+// Importamos el cálculo del día local para detectar tareas vencidas
+import { diaLocal } from './fechas.js';
+// Importamos la descripción de las reglas de repetición
+import { describirRecurrencia, reglaComoTexto } from './recurrencia.js';
+// Importamos los gráficos de texto de la analítica
+import { graficoBarras, sparkline } from './graficos.js';
+
+// Símbolo de cada prioridad (también en la exportación a Markdown)
+export const SIMBOLOS_PRIORIDAD = Object.freeze({
+  alta: '🔴',
+  media: '🟡',
+  baja: '🟢'
+});
+
+// Códigos ANSI para resaltar en rojo
+const ROJO = '\x1b[31m';
+const NORMAL = '\x1b[0m';
+
+/**
+ * FUNCIÓN AUXILIAR: ¿USAR COLORES?
+ * ================================
+ */
+function usarColores() {
+  return Boolean(process.stdout.isTTY) && !('NO_COLOR' in process.env);
+}
+
+/**
+ * FUNCIÓN: SÍMBOLO DE ESTADO
+ * ==========================
+ *
+ * @param {Tarea} tarea - Tarea a representar
+ * @returns {string} - '✅' si está completada, '❌' si está pendiente
+ */
+export function simboloEstado(tarea) {
+  return tarea.completada ? '✅' : '❌';
+}
+
+/**
+ * FUNCIÓN: SÍMBOLO DE PRIORIDAD
+ * =============================
+ *
+ * @param {Tarea} tarea - Tarea a representar
+ * @returns {string} - Símbolo seguido de espacio, o '' si no tiene prioridad
+ */
+export function simboloPrioridad(tarea) {
+  return tarea.prioridad ? `${SIMBOLOS_PRIORIDAD[tarea.prioridad]} ` : '';
+}
+
+/**
+ * FUNCIÓN: RESALTAR SI ESTÁ VENCIDA
+ * =================================
+ *
+ * @param {Tarea} tarea - Tarea a la que pertenece el texto
+ * @param {string} texto - Texto ya formateado
+ * @returns {string} - El texto en rojo si la tarea está vencida
+ */
+function resaltarVencida(tarea, texto) {
+  return tarea.estaVencida() && usarColores() ? `${ROJO}${texto}${NORMAL}` : texto;
+}
+
+/**
+ * FUNCIÓN: TEXTO DE FECHA LÍMITE
+ * ==============================
+ *
+ * @param {Tarea} tarea - Tarea a representar
+ * @returns {string} - ' 📅 vence AAAA-MM-DD', ' ⏰ VENCIDA (AAAA-MM-DD)' o ''
+ */
+export function textoFechaLimite(tarea) {
+  if (!tarea.fechaLimite) return '';
+  if (tarea.estaVencida()) return ` ⏰ VENCIDA (${tarea.fechaLimite})`;
+  if (!tarea.completada && tarea.fechaLimite === diaLocal()) return ' 📅 vence hoy';
+  return ` 📅 vence ${tarea.fechaLimite}`;
+}
+
+/**
+ * FUNCIÓN: TEXTO DE REPETICIÓN
+ * ============================
+ *
+ * Solo se muestra en la ocurrencia pendiente: las completadas de la serie
+ * son historial y ya no se repiten.
+ *
+ * @param {Tarea} tarea - Tarea a representar
+ * @returns {string} - ' 🔁 cada lunes', o '' si no se repite
+ */
+export function textoRecurrencia(tarea) {
+  return tarea.recurrencia && !tarea.completada ? ` 🔁 ${describirRecurrencia(tarea.recurrencia)}` : '';
+}
+
+/**
+ * FUNCIÓN: TEXTO DE TIEMPO REGISTRADO
+ * ===================================
+ *
+ * @param {Tarea} tarea - Tarea a representar
+ * @returns {string} - ' ⏱️ 1 h 05 min' (con ▶️ si su temporizador está en
+ *   marcha), o '' si no tiene tiempo registrado
+ */
+export function textoTiempo(tarea) {
+  const enMarcha = tarea.temporizadorEnMarcha();
+  const segundos = tarea.segundosRegistrados();
+  if (segundos === 0 && !enMarcha) return '';
+  return ` ⏱️ ${formatearTiempo(segundos)}${enMarcha ? ' ▶️' : ''}`;
+}
+
+/**
+ * FUNCIÓN: TEXTO DE ORGANIZACIÓN
+ * ==============================
+ *
+ * @param {Tarea} tarea - Tarea a representar
+ * @returns {string} - ' #etiqueta #otra 📁 Proyecto', o '' si no tiene ninguno
+ */
+export function textoOrganizacion(tarea) {
+  const etiquetas = tarea.etiquetas.map(e => ` #${e}`).join('');
+  const proyecto = tarea.proyecto ? ` 📁 ${tarea.proyecto}` : '';
+  return `${etiquetas}${proyecto}`;
+}
+
+/**
+ * FUNCIÓN: FORMATEAR OPCIÓN DE TAREA
+ * ==================================
+ *
+ * Texto corto para las listas de selección de inquirer.
+ * Formato: `[✅/❌] 🔴 Descripción #etiqueta 📁 Proyecto ⏰ VENCIDA (fecha) 🔁 regla`
+ *
+ * @param {Tarea} tarea - Tarea a formatear
+ * @returns {string} - Texto de la opción
+ */
+export function formatearOpcionTarea(tarea) {
+  return resaltarVencida(
+    tarea,
+    `[${simboloEstado(tarea)}] ${simboloPrioridad(tarea)}${tarea.descripcion}${textoOrganizacion(tarea)}${textoFechaLimite(tarea)}${textoRecurrencia(tarea)}`
+  );
+}
+
+/**
+ * FUNCIÓN: FORMATEAR LÍNEA DE TAREA
+ * =================================
+ *
+ * Genera la línea de listado de una tarea.
+ * Formato: `1. [✅/❌] 🔴 Descripción #etiqueta 📁 Proyecto (fecha) 📅 vence AAAA-MM-DD 🔁 regla ⏱️ 1 h 05 min`
+ *
+ * @param {Tarea} tarea - Tarea a formatear
+ * @param {number} indice - Posición en el listado (base 0)
+ * @param {Object} opciones - { conId: incluir el ID para usarlo en comandos }
+ * @returns {string} - Línea formateada
+ */
+export function formatearLineaTarea(tarea, indice, { conId = false } = {}) {
+  const fecha = new Date(tarea.fechaCreacion).toLocaleDateString();
+  const id = conId ? ` {${tarea._id}}` : '';
+  return resaltarVencida(
+    tarea,
+    `${indice + 1}. [${simboloEstado(tarea)}] ${simboloPrioridad(tarea)}${tarea.descripcion}${textoOrganizacion(tarea)} (${fecha})` +
+    `${textoFechaLimite(tarea)}${textoRecurrencia(tarea)}${textoTiempo(tarea)}${id}`
+  );
+}
+
+/**
+ * FUNCIÓN: FORMATEAR TAREA ELIMINADA
+ * ==================================
+ *
+ * Línea del listado de la papelera.
+ * Formato: `1. [✅/❌] 🔴 Descripción #etiqueta 📁 Proyecto · eliminada el 19/10/2026 (se borrará el 18/11/2026)`
+ *
+ * @param {Tarea} tarea - Tarea de la papelera
+ * @param {number} indice - Posición en el listado (base 0)
+ * @param {Object} opciones - { vaciado: fecha de borrado automático (o null),
+ *                              conId: incluir el ID para usarlo en comandos }
+ * @returns {string} - Línea formateada
+ */
+export function formatearTareaEliminada(tarea, indice, { vaciado = null, conId = false } = {}) {
+  const eliminada = new Date(tarea.fechaEliminacion).toLocaleDateString();
+  const borrado = vaciado ? ` (se borrará el ${vaciado.toLocaleDateString()})` : '';
+  const id = conId ? ` {${tarea._id}}` : '';
+  return `${indice + 1}. [${simboloEstado(tarea)}] ${simboloPrioridad(tarea)}${tarea.descripcion}${textoOrganizacion(tarea)} · eliminada el ${eliminada}${borrado}${id}`;
+}
+
+/**
+ * FUNCIÓN: TEXTO DE PROGRESO
+ * ==========================
+ *
+ * @param {Object|null} progreso - { completadas, total } (ver calcularProgreso)
+ * @returns {string} - ' [3/5]', o '' si la tarea no tiene subtareas
+ */
+export function textoProgreso(progreso) {
+  return progreso ? ` [${progreso.completadas}/${progreso.total}]` : '';
+}
+
+/**
+ * FUNCIÓN: FORMATEAR NODO DEL ÁRBOL
+ * =================================
+ *
+ * Línea de listado de una tarea dentro del árbol de subtareas:
+ * indentada según su nivel, numerada como 1.2 y con el progreso
+ * de sus subtareas.
+ * Formato: `   1.2. [❌] 🔴 Descripción [3/5] #etiqueta (fecha) 📅 vence AAAA-MM-DD`
+ *
+ * @param {Object} nodo - { tarea, nivel, numero, progreso } (ver construirArbol)
+ * @param {Object} opciones - { conId: incluir el ID para usarlo en comandos }
+ * @returns {string} - Línea formateada
+ */
+export function formatearNodoArbol({ tarea, nivel, numero, progreso }, { conId = false } = {}) {
+  const fecha = new Date(tarea.fechaCreacion).toLocaleDateString();
+  const id = conId ? ` {${tarea._id}}` : '';
+  return '   '.repeat(nivel) + resaltarVencida(
+    tarea,
+    `${numero}. [${simboloEstado(tarea)}] ${simboloPrioridad(tarea)}${tarea.descripcion}${textoProgreso(progreso)}` +
+    `${textoOrganizacion(tarea)} (${fecha})${textoFechaLimite(tarea)}${textoRecurrencia(tarea)}${textoTiempo(tarea)}${id}`
+  );
+}
+
+/**
+ * FUNCIÓN: FORMATEAR OPCIÓN DEL ÁRBOL
+ * ===================================
+ *
+ * Igual que formatearOpcionTarea, indentada según el nivel y con el progreso,
+ * para que las listas de selección muestren de quién es cada subtarea.
+ *
+ * @param {Object} nodo - { tarea, nivel, progreso } (ver construirArbol)
+ * @returns {string} - Texto de la opción
+ */
+export function formatearOpcionArbol({ tarea, nivel, progreso }) {
+  const sangria = nivel > 0 ? `${'  '.repeat(nivel - 1)}└ ` : '';
+  return sangria + resaltarVencida(
+    tarea,
+    `[${simboloEstado(tarea)}] ${simboloPrioridad(tarea)}${tarea.descripcion}${textoProgreso(progreso)}` +
+    `${textoOrganizacion(tarea)}${textoFechaLimite(tarea)}${textoRecurrencia(tarea)}`
+  );
+}
+
+/**
+ * NOMBRES DE LOS FILTROS PARA MOSTRAR
+ * ===================================
+ */
+const NOMBRES_FILTRO = Object.freeze({
+  todas: 'todas',
+  completadas: 'completadas',
+  pendientes: 'pendientes',
+  vencidas: 'vencidas',
+  hoy: 'para hoy',
+  semana: 'para esta semana'
+});
+
+/**
+ * FUNCIÓN: DESCRIBIR ORGANIZACIÓN
+ * ===============================
+ *
+ * @param {Object} organizacion - { etiquetas?, proyecto? }
+ * @returns {string} - ' del proyecto X con #a' o '' si no hay criterios
+ */
+export function describirOrganizacion({ etiquetas, proyecto } = {}) {
+  const partes = [];
+  if (proyecto) partes.push(`del proyecto ${proyecto}`);
+  if (etiquetas?.length) partes.push(`con ${[].concat(etiquetas).map(e => `#${e}`).join(' ')}`);
+  return partes.length ? ` ${partes.join(' ')}` : '';
+}
+
+/**
+ * FUNCIÓN: DESCRIBIR FILTRO
+ * =========================
+ *
+ * @param {string} filtro - Clave del filtro (ver FILTROS en el servicio)
+ * @returns {string} - Texto para títulos y mensajes ("Lista de tareas para hoy")
+ */
+export function describirFiltro(filtro) {
+  return NOMBRES_FILTRO[filtro] ?? filtro;
+}
+
+/**
+ * EVENTOS DE AUDITORÍA PARA MOSTRAR
+ * =================================
+ */
+const NOMBRES_EVENTO = Object.freeze({
+  creacion: '➕ Creada',
+  edicion: '✏️ Editada',
+  completado: '✅ Completada',
+  reapertura: '🔄 Reabierta',
+  papelera: '🗑️ Enviada a la papelera',
+  restauracion: '♻️ Restaurada',
+  eliminacion: '❌ Borrada definitivamente'
+});
+
+const NOMBRES_CAMPO = Object.freeze({
+  descripcion: 'descripción',
+  fechaLimite: 'fecha límite',
+  recurrencia: 'repetición',
+  padreId: 'tarea padre',
+  propietarioId: 'propietario',
+  registrosTiempo: 'tiempo'
+});
+
+/**
+ * FUNCIÓN AUXILIAR: VALOR DE UN CAMPO
+ * ===================================
+ */
+function textoValor(campo, valor) {
+  if (valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0)) return '(nada)';
+  if (campo === 'recurrencia') return reglaComoTexto(valor);
+  if (campo === 'etiquetas') return valor.map(e => `#${e}`).join(' ');
+  if (campo === 'descripcion') return `"${valor}"`;
+  if (campo === 'registrosTiempo') {
+    const cerrados = valor.filter(registro => registro.fin);
+    const segundos = cerrados.reduce((suma, { inicio, fin }) => suma + (Date.parse(fin) - Date.parse(inicio)) / 1000, 0);
+    return `${formatearTiempo(segundos)}${cerrados.length < valor.length ? ' ▶️' : ''}`;
+  }
+  return String(valor);
+}
+
+/**
+ * FUNCIÓN: FORMATEAR EVENTO DE AUDITORÍA
+ * ======================================
+ *
+ * Formato: `19/10/2026 18:30 · ana · ✏️ Editada: prioridad alta → media`
+ *
+ * @param {Object} evento - Evento (ver data/auditoria.js)
+ * @param {Object} opciones - { conTarea: incluir la descripción y el ID de la tarea }
+ * @returns {string} - Línea formateada
+ */
+export function formatearEvento(evento, { conTarea = false } = {}) {
+  const fecha = new Date(evento.fecha);
+  const cuando = `${fecha.toLocaleDateString()} ${fecha.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  const tarea = conTarea ? ` "${evento.tarea}" {${evento.tareaId}}` : '';
+  const campos = evento.campos
+    .map(({ campo, antes, despues }) =>
+      `${NOMBRES_CAMPO[campo] ?? campo} ${textoValor(campo, antes)} → ${textoValor(campo, despues)}`)
+    .join(', ');
+  return `${cuando} · ${evento.usuario} · ${NOMBRES_EVENTO[evento.tipo] ?? evento.tipo}${tarea}${campos ? `: ${campos}` : ''}`;
+}
+
+/**
+ * ACCIONES DE LA IMPORTACIÓN PARA MOSTRAR
+ * =======================================
+ */
+const NOMBRES_ACCION_IMPORTACION = Object.freeze({
+  crear: '➕ Nueva',
+  renombrar: '✏️ Nueva con otro nombre',
+  fusionar: '🔗 Fusionada',
+  omitir: '⏭️ Omitida',
+  error: '❌ Error'
+});
+
+/**
+ * FUNCIÓN: FORMATEAR FILA IMPORTADA
+ * =================================
+ *
+ * Formato: `Fila 3 · ⏭️ Omitida: "Comprar pan" (Ya existe "Comprar pan")`
+ *
+ * @param {Object} fila - { fila, accion, descripcion, mensaje? } (ver importarTareas)
+ * @returns {string} - Línea formateada
+ */
+export function formatearFilaImportada({ fila, accion, descripcion, mensaje }) {
+  const texto = descripcion ? ` "${descripcion}"` : '';
+  return `Fila ${fila} · ${NOMBRES_ACCION_IMPORTACION[accion] ?? accion}:${texto}${mensaje ? ` (${mensaje})` : ''}`;
+}
+
+/**
+ * FUNCIÓN: DESCRIBIR RESUMEN DE IMPORTACIÓN
+ * =========================================
+ *
+ * @param {Object} resumen - { leidas, creadas, renombradas, fusionadas, omitidas, errores }
+ * @returns {string} - '5 fila(s): 3 nueva(s), 1 omitida(s), 1 con error'
+ */
+export function describirResumenImportacion(resumen) {
+  const partes = [
+    [resumen.creadas, 'nueva(s)'],
+    [resumen.renombradas, 'nueva(s) con otro nombre'],
+    [resumen.fusionadas, 'fusionada(s)'],
+    [resumen.omitidas, 'omitida(s)'],
+    [resumen.errores, 'con error']
+  ].filter(([cantidad]) => cantidad > 0).map(([cantidad, texto]) => `${cantidad} ${texto}`);
+  return `${resumen.leidas} fila(s)${partes.length ? `: ${partes.join(', ')}` : ''}`;
+}
+
+/**
+ * TEXTOS DE LAS OPERACIONES EN BLOQUE
+ * ===================================
+ *
+ * Para cada acción (ver ACCIONES_EN_BLOQUE en services/tareasService.js):
+ * lo que hará / lo que hizo, y por qué se omite una tarea elegida.
+ */
+const TEXTOS_EN_BLOQUE = Object.freeze({
+  completar: { icono: '✅', futuro: 'Se completarán', pasado: 'Se completaron', omitidas: 'ya estaban completadas' },
+  reabrir: { icono: '↩️', futuro: 'Se reabrirán', pasado: 'Se reabrieron', omitidas: 'ya estaban pendientes' },
+  eliminar: { icono: '🗑️', futuro: 'Irán a la papelera', pasado: 'Se enviaron a la papelera', omitidas: '' },
+  etiquetar: { icono: '🏷️', futuro: 'Se etiquetarán', pasado: 'Se etiquetaron', omitidas: 'ya tenían esas etiquetas' },
+  priorizar: { icono: '🎯', futuro: 'Cambiará la prioridad de', pasado: 'Cambió la prioridad de', omitidas: 'ya tenían esa prioridad' }
+});
+
+/**
+ * FUNCIÓN: DESCRIBIR OPERACIÓN EN BLOQUE
+ * ======================================
+ *
+ * Resume el efecto de una operación en bloque, antes de confirmarla (en
+ * futuro) o una vez hecha (en pasado):
+ *
+ *   ✅ Se completarán 7 tarea(s)
+ *   ⏭️ Se omiten 2 que ya estaban completadas
+ *   ☑️ También se completarán 3 subtarea(s)
+ *   🔁 Se creará la siguiente repetición de 1 tarea(s) recurrente(s)
+ *
+ * @param {Object} plan - Resultado de planificarEnBloque() o de aplicarEnBloque()
+ * @param {Object} opciones - { hecho: true para describirla ya realizada }
+ * @returns {string[]} - Líneas del resumen
+ */
+export function describirOperacionEnBloque(plan, { hecho = false } = {}) {
+  const textos = TEXTOS_EN_BLOQUE[plan.accion];
+  const tiempo = (futuro, pasado) => (hecho ? pasado : futuro);
+  const { subtareas: decision, agregar, quitar, prioridad } = plan.cambios;
+
+  let detalle = '';
+  if (plan.accion === 'etiquetar') {
+    detalle = `: ${[...agregar.map(e => `+#${e}`), ...quitar.map(e => `-#${e}`)].join(' ')}`;
+  } else if (plan.accion === 'priorizar') {
+    detalle = prioridad ? ` a ${SIMBOLOS_PRIORIDAD[prioridad]} ${prioridad}` : ' (sin prioridad)';
+  }
+
+  const lineas = [plan.tareas.length > 0
+    ? `${textos.icono} ${tiempo(textos.futuro, textos.pasado)} ${plan.tareas.length} tarea(s)${detalle}`
+    : 'ℹ️ No hay nada que cambiar'];
+  if (plan.omitidas.length > 0) {
+    lineas.push(`⏭️ ${tiempo('Se omiten', 'Se omitieron')} ${plan.omitidas.length} que ${textos.omitidas}`);
+  }
+  if (plan.subtareas.length > 0) {
+    const cantidad = `${plan.subtareas.length} subtarea(s)`;
+    lineas.push({
+      completar: `☑️ También ${tiempo('se completarán', 'se completaron')} ${cantidad}`,
+      eliminar: `🗑️ También ${tiempo('irán', 'fueron')} a la papelera ${cantidad}`,
+      conservar: `↪️ ${cantidad} ${tiempo('subirán', 'subieron')} un nivel`
+    }[decision]);
+  }
+  if (plan.padres.length > 0) {
+    lineas.push(`🏁 ${plan.padres.length} tarea(s) padre ${tiempo('se completarán', 'se completaron')} al quedarse sin pendientes`);
+  }
+  if (plan.recurrentes.length > 0) {
+    lineas.push(`🔁 ${tiempo('Se creará', 'Se creó')} la siguiente repetición de ${plan.recurrentes.length} tarea(s) recurrente(s)`);
+  }
+  return lineas;
+}
+
+/**
+ * ESTADOS DE LAS ENTREGAS DE WEBHOOKS PARA MOSTRAR
+ * ================================================
+ */
+const SIMBOLOS_ENTREGA = Object.freeze({
+  pendiente: '⏳',
+  entregada: '✅',
+  fallida: '❌'
+});
+
+/**
+ * FUNCIÓN: FORMATEAR WEBHOOK
+ * ==========================
+ *
+ * Formato: `🪝 {a1b2c3d4} http://localhost:9000/hook · tarea:creada, tarea:completada · 2 pendiente(s)`
+ *
+ * @param {Object} webhook - { id, url, eventos, pendientes?, fallidas? } (ver listarWebhooks)
+ * @returns {string} - Línea formateada
+ */
+export function formatearWebhook({ id, url, eventos, pendientes = 0, fallidas = 0 }) {
+  const bandeja = [[pendientes, 'pendiente(s)'], [fallidas, 'fallida(s)']]
+    .filter(([cantidad]) => cantidad > 0)
+    .map(([cantidad, texto]) => ` · ${cantidad} ${texto}`)
+    .join('');
+  return `🪝 {${id}} ${url} · ${eventos.join(', ')}${bandeja}`;
+}
+
+/**
+ * FUNCIÓN: FORMATEAR ENTREGA DE WEBHOOK
+ * =====================================
+ *
+ * Formato: `❌ 19/10/2026 18:30 · tarea:completada "Comprar pan" → http://... · 8 intento(s): respondió 500`
+ * Las fallidas se destacan en rojo (si la salida es una terminal).
+ *
+ * @param {Object} entrega - Entrega (ver listarEntregas en services/webhooksService.js)
+ * @returns {string} - Línea formateada
+ */
+export function formatearEntrega(entrega) {
+  const fecha = new Date(entrega.fechaCreacion);
+  const cuando = `${fecha.toLocaleDateString()} ${fecha.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  const tarea = entrega.tarea?.descripcion ? ` "${entrega.tarea.descripcion}"` : '';
+  let detalle = '';
+  if (entrega.estado === 'pendiente' && entrega.intentos > 0) {
+    detalle = ` · ${entrega.intentos} intento(s), próximo ${new Date(entrega.proximoIntento).toLocaleTimeString()}`;
+  } else if (entrega.estado === 'fallida') {
+    detalle = ` · ${entrega.intentos} intento(s)`;
+  }
+  const error = entrega.ultimoError && entrega.estado !== 'entregada' ? `: ${entrega.ultimoError}` : '';
+  const linea = `${SIMBOLOS_ENTREGA[entrega.estado] ?? entrega.estado} ${cuando} · ${entrega.evento}${tarea} → ` +
+    `${entrega.url}${detalle}${error} {${entrega.id.slice(0, 8)}}`;
+  return entrega.estado === 'fallida' && usarColores() ? `${ROJO}${linea}${NORMAL}` : linea;
+}
+
+/**
+ * FUNCIÓN: FORMATEAR ENTREGAS EN ESPERA
+ * =====================================
+ *
+ * Formato: `⏳ 3 entrega(s) en espera; próximo intento el 19/10/2026 a las 18:45`
+ *
+ * @param {Object} enEspera - { cantidad, proximoIntento } (ver entregarPendientes)
+ * @returns {string|null} - Línea formateada, o null si no hay ninguna
+ */
+export function formatearEntregasEnEspera({ cantidad, proximoIntento }) {
+  if (cantidad === 0) return null;
+  const fecha = new Date(proximoIntento);
+  const hora = fecha.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const cuando = fecha.getTime() <= Date.now() ? 'ya en curso' : `el ${fecha.toLocaleDateString()} a las ${hora}`;
+  return `⏳ ${cantidad} entrega(s) en espera; próximo intento ${cuando}`;
+}
+
+// Días a partir de los cuales la sparkline diaria se dibuja por semanas
+const DIAS_SPARKLINE_DIARIA = 92;
+
+// Semanas que se muestran en el gráfico de barras (las últimas del periodo)
+const SEMANAS_GRAFICO = 12;
+
+/**
+ * FUNCIÓN: FORMATEAR DURACIÓN
+ * ===========================
+ *
+ * @param {number} horas - Duración en horas
+ * @returns {string} - '35 min', '5 h' o '2,5 días'
+ */
+export function formatearDuracion(horas) {
+  if (horas < 1) return `${Math.round(horas * 60)} min`;
+  if (horas < 48) return `${Math.round(horas)} h`;
+  return `${(horas / 24).toLocaleString('es', { maximumFractionDigits: 1 })} días`;
+}
+
+/**
+ * FUNCIÓN: FORMATEAR TIEMPO REGISTRADO
+ * ====================================
+ *
+ * Más fino que formatearDuracion: es tiempo que se factura.
+ *
+ * @param {number} segundos - Duración en segundos
+ * @returns {string} - '0 min', '< 1 min', '45 min', '2 h' o '2 h 05 min'
+ */
+export function formatearTiempo(segundos) {
+  const minutos = Math.floor(segundos / 60);
+  if (minutos < 1) return segundos > 0 ? '< 1 min' : '0 min';
+  if (minutos < 60) return `${minutos} min`;
+  const resto = minutos % 60;
+  return `${Math.floor(minutos / 60)} h${resto ? ` ${String(resto).padStart(2, '0')} min` : ''}`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: HORA LOCAL
+ * ============================
+ */
+function horaLocal(fecha) {
+  return fecha.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * FUNCIÓN: FORMATEAR REGISTRO DE TIEMPO
+ * =====================================
+ *
+ * La fecha del fin solo se repite si es otro día.
+ * Formato: `2. 19/10/2026 09:30 → 10:45 · 1 h 15 min` (o `→ en marcha`)
+ *
+ * @param {Object} registro - { numero, inicio, fin, segundos } (ver listarRegistros)
+ * @returns {string} - Línea formateada
+ */
+export function formatearRegistroTiempo({ numero, inicio, fin, segundos }) {
+  const desde = new Date(inicio);
+  const hasta = fin ? new Date(fin) : null;
+  const textoFin = !hasta
+    ? 'en marcha'
+    : diaLocal(hasta) === diaLocal(desde) ? horaLocal(hasta) : `${hasta.toLocaleDateString()} ${horaLocal(hasta)}`;
+  return `${numero}. ${desde.toLocaleDateString()} ${horaLocal(desde)} → ${textoFin} · ${formatearTiempo(segundos)}`;
+}
+
+/**
+ * FUNCIÓN: FORMATEAR HOJA DE HORAS
+ * ================================
+ *
+ * Tiempo de cada día desglosado por tarea, y los totales por proyecto.
+ *
+ * @param {Object} hoja - Resultado de calcularHojaHoras()
+ * @returns {string[]} - Líneas a mostrar
+ */
+export function formatearHojaHoras(hoja) {
+  const lineas = [`⏱️ Hoja de horas del ${hoja.desde} al ${hoja.hasta}: ${formatearTiempo(hoja.segundos)}`];
+  if (hoja.filas.length === 0) return [...lineas, '   No hay tiempo registrado en el periodo.'];
+
+  // PASO 1: Cada día con sus tareas
+  for (const { dia, segundos } of hoja.porDia) {
+    lineas.push('', `📅 ${dia}: ${formatearTiempo(segundos)}`);
+    hoja.filas
+      .filter(fila => fila.dia === dia)
+      .forEach(fila => lineas.push(`   ${formatearTiempo(fila.segundos).padStart(10)}  ${fila.tarea}` +
+        `${fila.proyecto ? ` 📁 ${fila.proyecto}` : ''}${fila.enPapelera ? ' 🗑️' : ''}`));
+  }
+
+  // PASO 2: Totales por proyecto
+  lineas.push('', '📁 Por proyecto:');
+  hoja.porProyecto.forEach(({ proyecto, segundos }) =>
+    lineas.push(`   ${formatearTiempo(segundos).padStart(10)}  ${proyecto ?? '(sin proyecto)'}`));
+  return lineas;
+}
+
+/**
+ * FUNCIÓN: FORMATEAR ANALÍTICA
+ * ============================
+ *
+ * Resumen, sparkline de completadas por día (por semana en periodos largos)
+ * y gráficos de barras de las últimas semanas y de la antigüedad de las
+ * pendientes.
+ *
+ * @param {Object} analitica - Resultado de calcularAnalitica()
+ * @returns {string[]} - Líneas a mostrar
+ */
+export function formatearAnalitica(analitica) {
+  const { tiempoHastaCompletar: tiempo, rachas, diaMasProductivo } = analitica;
+  const lineas = [`📈 Productividad del ${analitica.desde} al ${analitica.hasta}:`];
+
+  // PASO 1: Resumen
+  lineas.push(`   Completadas: ${analitica.completadas}`);
+  if (tiempo.tareas > 0) {
+    lineas.push(
+      `   Tiempo hasta completar: ${formatearDuracion(tiempo.promedioHoras)} de promedio, ` +
+      `${formatearDuracion(tiempo.medianaHoras)} de mediana`
+    );
+  }
+  const masLarga = rachas.masLarga
+    ? `${rachas.masLarga.dias} día(s), del ${rachas.masLarga.desde} al ${rachas.masLarga.hasta}`
+    : 'ninguna';
+  lineas.push(`   Racha actual: ${rachas.actual} día(s) · Racha más larga del periodo: ${masLarga}`);
+  if (diaMasProductivo) {
+    lineas.push(`   Día más productivo: ${diaMasProductivo.dia} (${diaMasProductivo.cantidad} tareas)`);
+  }
+
+  // PASO 2: Evolución (sparkline) y últimas semanas (barras)
+  const porSemanas = analitica.porDia.length > DIAS_SPARKLINE_DIARIA;
+  const serie = porSemanas ? analitica.porSemana : analitica.porDia;
+  const maximo = Math.max(0, ...serie.map(s => s.cantidad));
+  lineas.push('', `📅 Completadas por ${porSemanas ? 'semana' : 'día'} (máximo ${maximo}):`);
+  lineas.push(`   ${sparkline(serie.map(s => s.cantidad))}`);
+
+  const semanas = analitica.porSemana.slice(-SEMANAS_GRAFICO);
+  lineas.push('', `📆 Completadas por semana${analitica.porSemana.length > SEMANAS_GRAFICO ? ` (últimas ${SEMANAS_GRAFICO})` : ''}:`);
+  graficoBarras(semanas.map(s => ({ etiqueta: `semana del ${s.semana}`, valor: s.cantidad })))
+    .forEach(linea => lineas.push(`   ${linea}`));
+
+  // PASO 3: Antigüedad de las pendientes
+  if (analitica.antiguedadPendientes.some(t => t.cantidad > 0)) {
+    lineas.push('', '⏳ Antigüedad de las tareas pendientes:');
+    graficoBarras(analitica.antiguedadPendientes.map(t => ({ etiqueta: t.tramo, valor: t.cantidad })))
+      .forEach(linea => lineas.push(`   ${linea}`));
+  }
+  return lineas;
+}
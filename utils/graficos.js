@@ -0,0 +1,61 @@
+/**
+ * UTILIDAD: GRÁFICOS DE TEXTO
+ * ===========================
+ *
+ * Gráficos para la terminal hechos solo con caracteres, para la analítica
+ * de productividad (ver services/analiticaService.js):
+ * - Barras horizontales: una fila por elemento, con su valor al final
+ * - Sparklines: una serie de valores en una sola línea (▁▂▃▄▅▆▇█)
+ *
+ * Funcionan igual con la salida redirigida a un archivo: no usan colores
+ * ni mueven el cursor.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+
+// Niveles de una sparkline, de menor a mayor
+const NIVELES_SPARKLINE = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Carácter de las barras
+const BLOQUE = '█';
+
+/**
+ * FUNCIÓN: GRÁFICO DE BARRAS
+ * ==========================
+ *
+ * La barra más larga ocupa el ancho indicado y el resto son proporcionales.
+ * Un valor mayor que 0 siempre dibuja al menos un bloque, para distinguirlo
+ * de los ceros.
+ *
+ * @param {Object[]} filas - [{ etiqueta, valor }]
+ * @param {Object} opciones - { ancho: bloques de la barra más larga }
+ * @returns {string[]} - Una línea por fila, con las etiquetas alineadas
+ */
+export function graficoBarras(filas, { ancho = 30 } = {}) {
+  const maximo = _.max(_.map(filas, 'valor')) || 0;
+  const anchoEtiqueta = _.max(filas.map(fila => fila.etiqueta.length)) || 0;
+
+  return filas.map(({ etiqueta, valor }) => {
+    const bloques = maximo > 0 ? Math.max(valor > 0 ? 1 : 0, Math.round((valor / maximo) * ancho)) : 0;
+    return `${etiqueta.padEnd(anchoEtiqueta)} │${BLOQUE.repeat(bloques)} ${valor}`;
+  });
+}
+
+/**
+ * FUNCIÓN: SPARKLINE
+ * ==================
+ *
+ * Los ceros se dibujan con el nivel más bajo y el máximo con el más alto.
+ *
+ * @param {number[]} valores - Serie de valores (no negativos)
+ * @returns {string} - Un carácter por valor
+ */
+export function sparkline(valores) {
+  const maximo = _.max(valores) || 0;
+  const ultimo = NIVELES_SPARKLINE.length - 1;
+
+  return valores
+    .map(valor => NIVELES_SPARKLINE[maximo > 0 ? Math.round((valor / maximo) * ultimo) : 0])
+    .join('');
+}
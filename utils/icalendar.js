@@ -0,0 +1,403 @@
+/**
+ * UTILIDAD: ICALENDAR (RFC 5545) - TAREAS COMO VTODO
+ * ==================================================
+ *
+ * Formato "ics" de la exportación e importación (ver utils/intercambio.js):
+ * cada tarea es un componente VTODO que entienden las aplicaciones de
+ * calendario (Thunderbird, Apple Recordatorios, Nextcloud Tasks...).
+ *
+ * Correspondencia de campos:
+ *   UID                 <_id>@gestor-tareas (estable: al volver a exportar,
+ *                       el calendario actualiza la tarea en vez de duplicarla)
+ *   SUMMARY             descripcion
+ *   STATUS / COMPLETED  completada / fechaCompletada (NEEDS-ACTION o COMPLETED)
+ *   DUE;VALUE=DATE      fechaLimite
+ *   PRIORITY            1 = alta, 5 = media, 9 = baja (al leer: 1-4, 5, 6-9)
+ *   CATEGORIES          etiquetas
+ *   RELATED-TO          UID de la tarea padre
+ *   CREATED             fechaCreacion
+ *   RRULE               recurrencia diaria, semanal o mensual
+ *   X-GESTOR-PROYECTO   proyecto
+ *   X-GESTOR-REPETICION recurrencia tal cual (las reglas 'tras' no tienen RRULE)
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Errores de dominio (archivos que no son calendarios)
+import { ErrorTarea, CODIGOS_ERROR } from './errores.js';
+// Días locales 'AAAA-MM-DD'
+import { diaLocal } from './fechas.js';
+// Reglas de repetición como texto
+import { reglaComoTexto } from './recurrencia.js';
+
+// Sufijo de los UID: distingue nuestras tareas de las creadas en otras aplicaciones
+const DOMINIO_UID = 'gestor-tareas';
+
+// Días de la semana en RRULE, en el orden de Date.getDay() (0 = domingo)
+const DIAS_RRULE = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+// PRIORITY de cada prioridad (1 es la más alta, 0 = sin prioridad)
+const PRIORIDADES_ICS = Object.freeze({ alta: 1, media: 5, baja: 9 });
+
+// Longitud máxima de una línea antes de plegarla (en octetos)
+const LONGITUD_LINEA = 75;
+
+/**
+ * FUNCIÓN: UID DE UNA TAREA
+ * =========================
+ *
+ * @param {ObjectId|string} id - _id de la tarea
+ * @returns {string} - '66e9a1...@gestor-tareas'
+ */
+export function uidDeTarea(id) {
+  return `${id}@${DOMINIO_UID}`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ID A PARTIR DE UN UID
+ * =======================================
+ *
+ * Los UID propios recuperan el _id original; los de otras aplicaciones se
+ * usan tal cual (solo sirven para enlazar subtareas dentro del archivo).
+ */
+function idDeUid(uid) {
+  const propio = uid.match(new RegExp(`^([0-9a-f]{24})@${DOMINIO_UID}$`, 'i'));
+  return propio ? _.toLower(propio[1]) : uid;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ESCAPAR TEXTO
+ * ===============================
+ */
+function escaparTexto(texto) {
+  return String(texto)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DESESCAPAR TEXTO
+ * ==================================
+ */
+function desescaparTexto(texto) {
+  return texto.replace(/\\([\\;,nN])/g, (_coincidencia, caracter) =>
+    (_.toLower(caracter) === 'n' ? '\n' : caracter)
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SEPARAR LISTA
+ * ===============================
+ *
+ * Separa por las comas no escapadas (CATEGORIES:a,b\,c → ['a', 'b,c']).
+ */
+function separarLista(valor) {
+  return valor.split(/(?<!\\),/).map(desescaparTexto).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PLEGAR LÍNEA
+ * ==============================
+ *
+ * Las líneas de más de 75 octetos se parten y continúan con un espacio
+ * al principio. Se corta entre caracteres, nunca en medio de uno.
+ */
+function plegarLinea(linea) {
+  const partes = [];
+  let actual = '';
+  let octetos = 0;
+  for (const caracter of linea) {
+    const tamano = Buffer.byteLength(caracter);
+    // La primera parte tiene 75 octetos; las siguientes, 74 más el espacio
+    if (octetos + tamano > LONGITUD_LINEA - (partes.length > 0 ? 1 : 0)) {
+      partes.push(actual);
+      actual = '';
+      octetos = 0;
+    }
+    actual += caracter;
+    octetos += tamano;
+  }
+  partes.push(actual);
+  return partes.join('\r\n ');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: FECHA Y HORA UTC
+ * ==================================
+ *
+ * @param {string|Date} fecha - Fecha ISO
+ * @returns {string} - '20240917T103000Z'
+ */
+function fechaHoraUtc(fecha) {
+  return new Date(fecha).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: INTERPRETAR FECHA DE ICALENDAR
+ * ================================================
+ *
+ * Acepta fechas (20240917) y fechas con hora, en UTC (…Z) o locales.
+ *
+ * @returns {Date|null}
+ */
+function interpretarFechaIcs(valor) {
+  const partes = valor.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!partes) return null;
+  const [, anio, mes, dia, hora = '00', minuto = '00', segundo = '00', utc] = partes;
+  const numeros = [anio, mes - 1, dia, hora, minuto, segundo].map(Number);
+  return utc ? new Date(Date.UTC(...numeros)) : new Date(...numeros);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RRULE DE UNA REGLA
+ * ====================================
+ *
+ * @returns {string|null} - null para las reglas sin equivalente ('tras')
+ */
+function rruleDe(recurrencia) {
+  switch (recurrencia.tipo) {
+    case 'diaria': return `FREQ=DAILY;INTERVAL=${recurrencia.cada}`;
+    case 'semanal': return `FREQ=WEEKLY;BYDAY=${recurrencia.dias.map(d => DIAS_RRULE[d]).join(',')}`;
+    case 'mensual': return `FREQ=MONTHLY;BYMONTHDAY=${recurrencia.dia}`;
+    default: return null;
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REGLA A PARTIR DE UNA RRULE
+ * =============================================
+ *
+ * Solo las RRULE que tienen equivalente exacto.
+ *
+ * @returns {string|null} - Regla como texto ('semanal:lun,jue'), o null
+ */
+function reglaDeRrule(rrule) {
+  const partes = _.fromPairs(rrule.split(';').map(parte => parte.split('=')));
+  const intervalo = Number(partes.INTERVAL ?? 1);
+  const admitidas = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'WKST'];
+  if (!Number.isInteger(intervalo) || _.keys(partes).some(clave => !admitidas.includes(clave))) return null;
+
+  if (partes.FREQ === 'DAILY' && !partes.BYDAY && !partes.BYMONTHDAY) {
+    return reglaComoTexto({ tipo: 'diaria', cada: intervalo });
+  }
+  if (partes.FREQ === 'WEEKLY' && intervalo === 1 && partes.BYDAY && !partes.BYMONTHDAY) {
+    const dias = partes.BYDAY.split(',').map(dia => DIAS_RRULE.indexOf(dia));
+    return dias.includes(-1) ? null : reglaComoTexto({ tipo: 'semanal', dias: _.sortBy(_.uniq(dias)) });
+  }
+  if (partes.FREQ === 'MONTHLY' && intervalo === 1 && /^\d{1,2}$/.test(partes.BYMONTHDAY ?? '') && !partes.BYDAY) {
+    return reglaComoTexto({ tipo: 'mensual', dia: Number(partes.BYMONTHDAY) });
+  }
+  return null;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PROPIEDADES DE UN VTODO
+ * =========================================
+ */
+function propiedadesVtodo(documento, dtstamp) {
+  const propiedades = [
+    ['UID', uidDeTarea(documento._id)],
+    ['DTSTAMP', dtstamp],
+    ['CREATED', fechaHoraUtc(documento.fechaCreacion)],
+    ['SUMMARY', escaparTexto(documento.descripcion)],
+    ['STATUS', documento.completada ? 'COMPLETED' : 'NEEDS-ACTION']
+  ];
+
+  if (documento.completada && documento.fechaCompletada) {
+    propiedades.push(['COMPLETED', fechaHoraUtc(documento.fechaCompletada)], ['PERCENT-COMPLETE', '100']);
+  }
+  if (documento.fechaLimite) {
+    propiedades.push(['DUE;VALUE=DATE', documento.fechaLimite.replace(/-/g, '')]);
+  }
+  if (documento.prioridad) {
+    propiedades.push(['PRIORITY', String(PRIORIDADES_ICS[documento.prioridad])]);
+  }
+  if (!_.isEmpty(documento.etiquetas)) {
+    propiedades.push(['CATEGORIES', documento.etiquetas.map(escaparTexto).join(',')]);
+  }
+  if (documento.proyecto) {
+    propiedades.push(['X-GESTOR-PROYECTO', escaparTexto(documento.proyecto)]);
+  }
+  if (documento.padreId) {
+    propiedades.push(['RELATED-TO;RELTYPE=PARENT', uidDeTarea(documento.padreId)]);
+  }
+  if (documento.recurrencia) {
+    const rrule = rruleDe(documento.recurrencia);
+    if (rrule) propiedades.push(['RRULE', rrule]);
+    propiedades.push(['X-GESTOR-REPETICION', reglaComoTexto(documento.recurrencia)]);
+  }
+
+  return propiedades;
+}
+
+/**
+ * FUNCIÓN: EXPORTAR A ICALENDAR
+ * =============================
+ *
+ * @param {Object[]} documentos - Documentos de las tareas (toDocumento)
+ * @param {Object} opciones - { ahora: momento de la exportación (DTSTAMP) }
+ * @returns {string} - Contenido del archivo .ics (líneas CRLF)
+ */
+export function exportarIcs(documentos, { ahora = new Date() } = {}) {
+  const dtstamp = fechaHoraUtc(ahora);
+  const lineas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${DOMINIO_UID}//Gestor de Tareas//ES`,
+    'CALSCALE:GREGORIAN',
+    ...documentos.flatMap(documento => [
+      'BEGIN:VTODO',
+      ...propiedadesVtodo(documento, dtstamp).map(([nombre, valor]) => `${nombre}:${valor}`),
+      'END:VTODO'
+    ]),
+    'END:VCALENDAR'
+  ];
+  return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DESPLEGAR LÍNEAS
+ * ==================================
+ *
+ * Une las líneas plegadas (las que empiezan por espacio o tabulador
+ * continúan la anterior) y analiza cada propiedad.
+ *
+ * @returns {Object[]} - [{ linea, nombre, parametros, valor }]
+ */
+function propiedadesIcs(texto) {
+  const propiedades = [];
+  texto.split(/\r?\n/).forEach((contenido, i) => {
+    if (/^[ \t]/.test(contenido) && propiedades.length > 0) {
+      _.last(propiedades).bruto += contenido.slice(1);
+    } else if (contenido.trim() !== '') {
+      propiedades.push({ linea: i + 1, bruto: contenido });
+    }
+  });
+
+  return propiedades.map(({ linea, bruto }) => {
+    // El nombre y los parámetros acaban en los primeros ':' fuera de comillas
+    const separador = bruto.match(/^((?:[^:"]|"[^"]*")*):/);
+    const cabecera = separador ? separador[1] : bruto;
+    const [nombre, ...parametros] = cabecera.split(';');
+    return {
+      linea,
+      nombre: _.toUpper(nombre.trim()),
+      parametros: _.fromPairs(parametros.map(p => {
+        const [clave, ...valor] = p.split('=');
+        return [_.toUpper(clave), valor.join('=').replace(/^"|"$/g, '')];
+      })),
+      valor: separador ? bruto.slice(separador[0].length) : ''
+    };
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DATOS DE UN VTODO
+ * ===================================
+ *
+ * @param {Object[]} propiedades - Propiedades del VTODO (sin componentes anidados)
+ * @returns {Object} - { datos } o { error }
+ */
+function datosDeVtodo(propiedades) {
+  const valor = nombre => _.find(propiedades, { nombre })?.valor;
+  const datos = { completada: false, etiquetas: [] };
+
+  const uid = valor('UID');
+  if (uid) datos.idOrigen = idDeUid(uid.trim());
+  datos.descripcion = desescaparTexto(valor('SUMMARY') ?? '');
+
+  // Estado
+  const estado = _.toUpper(valor('STATUS') ?? '');
+  if (estado === 'CANCELLED') {
+    return { error: 'Las tareas canceladas (STATUS:CANCELLED) no se importan' };
+  }
+  const completado = valor('COMPLETED');
+  datos.completada = estado === 'COMPLETED' || Boolean(completado) || valor('PERCENT-COMPLETE') === '100';
+  if (completado) {
+    const fecha = interpretarFechaIcs(completado);
+    if (!fecha) return { error: `Fecha de completado no válida: "${completado}"` };
+    datos.fechaCompletada = fecha.toISOString();
+  }
+
+  // Fecha límite: solo el día (las horas se descartan)
+  const vence = valor('DUE');
+  if (vence) {
+    const fecha = interpretarFechaIcs(vence);
+    if (!fecha) return { error: `Fecha límite no válida: "${vence}"` };
+    datos.fechaLimite = vence.endsWith('Z') ? diaLocal(fecha) : `${vence.slice(0, 4)}-${vence.slice(4, 6)}-${vence.slice(6, 8)}`;
+  }
+
+  const creada = valor('CREATED') ?? valor('DTSTAMP');
+  if (creada && interpretarFechaIcs(creada)) datos.fechaCreacion = interpretarFechaIcs(creada).toISOString();
+
+  // PRIORITY: 1-4 alta, 5 media, 6-9 baja, 0 sin prioridad
+  const prioridad = Number(valor('PRIORITY') ?? 0);
+  if (prioridad >= 1 && prioridad <= 4) datos.prioridad = 'alta';
+  if (prioridad === 5) datos.prioridad = 'media';
+  if (prioridad >= 6 && prioridad <= 9) datos.prioridad = 'baja';
+
+  // Las categorías de otras aplicaciones pueden tener espacios: se cambian por guiones
+  _.filter(propiedades, { nombre: 'CATEGORIES' }).forEach(({ valor: lista }) =>
+    datos.etiquetas.push(...separarLista(lista).map(c => c.replace(/\s+/g, '-')))
+  );
+
+  const proyecto = valor('X-GESTOR-PROYECTO');
+  if (proyecto) datos.proyecto = desescaparTexto(proyecto);
+
+  const padre = _.find(propiedades, p => p.nombre === 'RELATED-TO' && _.toUpper(p.parametros.RELTYPE ?? 'PARENT') === 'PARENT');
+  if (padre) datos.padreOrigen = idDeUid(padre.valor.trim());
+
+  // Repetición: la propia si viene; si no, la RRULE
+  const repeticion = valor('X-GESTOR-REPETICION');
+  const rrule = valor('RRULE');
+  if (repeticion) {
+    datos.recurrencia = repeticion;
+  } else if (rrule) {
+    datos.recurrencia = reglaDeRrule(_.toUpper(rrule));
+    if (!datos.recurrencia) return { error: `Repetición no compatible: "${rrule}"` };
+  }
+
+  return { datos };
+}
+
+/**
+ * FUNCIÓN: LEER ICALENDAR
+ * =======================
+ *
+ * Lee los VTODO del archivo; el resto de componentes (VEVENT, VTIMEZONE...)
+ * y los anidados (VALARM) se ignoran.
+ *
+ * @param {string} texto - Contenido del archivo .ics
+ * @returns {Object[]} - [{ fila, datos } | { fila, error }] (fila = línea del BEGIN:VTODO)
+ * @throws {ErrorTarea} - VALIDACION si no es un calendario
+ */
+export function leerIcs(texto) {
+  if (!/^BEGIN:VCALENDAR\s*$/i.test(texto.trimStart().split(/\r?\n/)[0])) {
+    throw new ErrorTarea('El archivo no es un calendario iCalendar (debe empezar por BEGIN:VCALENDAR)', CODIGOS_ERROR.VALIDACION);
+  }
+
+  const filas = [];
+  let actual = null;
+  // Profundidad de los componentes anidados dentro del VTODO
+  let anidados = 0;
+
+  for (const propiedad of propiedadesIcs(texto)) {
+    const componente = _.toUpper(propiedad.valor.trim());
+    if (!actual) {
+      if (propiedad.nombre === 'BEGIN' && componente === 'VTODO') actual = { fila: propiedad.linea, propiedades: [] };
+    } else if (propiedad.nombre === 'BEGIN') {
+      anidados++;
+    } else if (propiedad.nombre === 'END' && anidados > 0) {
+      anidados--;
+    } else if (propiedad.nombre === 'END' && componente === 'VTODO') {
+      filas.push({ fila: actual.fila, ...datosDeVtodo(actual.propiedades) });
+      actual = null;
+    } else if (anidados === 0) {
+      actual.propiedades.push(propiedad);
+    }
+  }
+
+  return filas;
+}
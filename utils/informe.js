@@ -0,0 +1,224 @@
+/**
+ * UTILIDAD: FORMATOS DE LOS INFORMES
+ * ==================================
+ *
+ * Plantillas predeterminadas (Markdown y HTML autocontenido, con los estilos
+ * incluidos) de los informes de services/informeService.js y el escapado de
+ * los valores de cada formato. Las plantillas usan la sintaxis de
+ * utils/plantillas.js y se pueden sustituir por otras (ver informes.* en
+ * config/configuracion.js).
+ *
+ * Valores disponibles en una plantilla:
+ *   titulo, desde, hasta, generado ('AAAA-MM-DD HH:MM'), usuario (o vacío)
+ *   resumen: total, completadas, pendientes, vencidas, porcentajeCompletadas,
+ *            completadasPeriodo, creadasPeriodo, tiempoPromedio, tiempoMediana
+ *            (texto, vacíos si no hay datos), rachaActual, diaMasProductivo
+ *            (texto o vacío)
+ *   completadas, creadas, pendientes, vencidas: listas de tareas con
+ *            id, descripcion, prioridad, simboloPrioridad, proyecto, etiquetas
+ *            ('#a #b'), creada, completada y vence (días 'AAAA-MM-DD'),
+ *            diasVencida (solo en vencidas)
+ *   pendientes no incluye las vencidas, que tienen su propia lista.
+ */
+
+import path from 'node:path';
+
+// Formatos de informe disponibles
+export const FORMATOS_INFORME = Object.freeze(['markdown', 'html']);
+
+// Extensión de archivo de cada formato
+const EXTENSIONES = Object.freeze({ markdown: '.md', html: '.html' });
+
+/**
+ * FUNCIÓN: EXTENSIÓN DE UN FORMATO DE INFORME
+ * ===========================================
+ */
+export function extensionDeInforme(formato) {
+  return EXTENSIONES[formato];
+}
+
+/**
+ * FUNCIÓN: FORMATO DE INFORME DE UN ARCHIVO
+ * =========================================
+ *
+ * @param {string} ruta - Archivo de destino
+ * @returns {string|null} - 'markdown', 'html' o null si la extensión no es de informe
+ */
+export function formatoInformeDeArchivo(ruta) {
+  const extension = path.extname(ruta ?? '').toLowerCase();
+  if (['.md', '.markdown'].includes(extension)) return 'markdown';
+  if (['.html', '.htm'].includes(extension)) return 'html';
+  return null;
+}
+
+/**
+ * ESCAPADO DE CADA FORMATO
+ * ========================
+ *
+ * Los valores {{...}} se escapan para que una descripción con "*", "<" o "|"
+ * no rompa el documento; {{{...}}} los deja tal cual.
+ */
+export const ESCAPAR_INFORME = Object.freeze({
+  markdown: texto => texto.replace(/([\\`*_[\]<>|])/g, '\\$1'),
+  html: texto => texto
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+});
+
+// Plantilla Markdown predeterminada
+const PLANTILLA_MARKDOWN = `# {{titulo}}
+
+Del **{{desde}}** al **{{hasta}}**{{#usuario}} · {{usuario}}{{/usuario}} · generado el {{generado}}
+
+## 📊 Resumen
+
+| Indicador | Valor |
+|-----------|-------|
+| Completadas en el periodo | {{resumen.completadasPeriodo}} |
+| Creadas en el periodo | {{resumen.creadasPeriodo}} |
+| Pendientes | {{resumen.pendientes}} |
+| Vencidas | {{resumen.vencidas}} |
+| Total de tareas | {{resumen.total}} ({{resumen.porcentajeCompletadas}}% completadas) |
+{{#resumen.tiempoPromedio}}
+| Tiempo hasta completar | {{resumen.tiempoPromedio}} de promedio, {{resumen.tiempoMediana}} de mediana |
+{{/resumen.tiempoPromedio}}
+| Racha actual | {{resumen.rachaActual}} día(s) |
+{{#resumen.diaMasProductivo}}
+| Día más productivo | {{resumen.diaMasProductivo}} |
+{{/resumen.diaMasProductivo}}
+
+## ✅ Completadas ({{completadas.length}})
+
+{{#completadas}}
+- [x] {{descripcion}} — {{completada}}{{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}{{#etiquetas}} · {{etiquetas}}{{/etiquetas}}
+{{/completadas}}
+{{^completadas}}
+_Ninguna en el periodo._
+{{/completadas}}
+
+## ➕ Creadas ({{creadas.length}})
+
+{{#creadas}}
+- [{{#completada}}x{{/completada}}{{^completada}} {{/completada}}] {{descripcion}} — {{creada}}{{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}
+{{/creadas}}
+{{^creadas}}
+_Ninguna en el periodo._
+{{/creadas}}
+
+## ⏰ Vencidas ({{vencidas.length}})
+
+{{#vencidas}}
+- [ ] {{#simboloPrioridad}}{{simboloPrioridad}} {{/simboloPrioridad}}{{descripcion}} — vencía el {{vence}} (hace {{diasVencida}} día(s)){{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}
+{{/vencidas}}
+{{^vencidas}}
+_Ninguna._
+{{/vencidas}}
+
+## ⏳ Pendientes ({{pendientes.length}})
+
+{{#pendientes}}
+- [ ] {{#simboloPrioridad}}{{simboloPrioridad}} {{/simboloPrioridad}}{{descripcion}}{{#vence}} — vence el {{vence}}{{/vence}}{{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}{{#etiquetas}} · {{etiquetas}}{{/etiquetas}}
+{{/pendientes}}
+{{^pendientes}}
+_Ninguna._
+{{/pendientes}}
+`;
+
+// Plantilla HTML predeterminada (un solo archivo, sin recursos externos)
+const PLANTILLA_HTML = `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{{titulo}}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  h1 { margin-bottom: .25rem; }
+  .periodo { color: #666; margin-top: 0; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #ddd; padding: .3rem .7rem; text-align: left; }
+  li { margin: .2rem 0; }
+  .meta { color: #666; font-size: .9em; }
+  .vencida { color: #b00020; }
+  .vacio { color: #888; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>{{titulo}}</h1>
+<p class="periodo">Del <strong>{{desde}}</strong> al <strong>{{hasta}}</strong>{{#usuario}} · {{usuario}}{{/usuario}} · generado el {{generado}}</p>
+
+<h2>📊 Resumen</h2>
+<table>
+  <tr><th>Completadas en el periodo</th><td>{{resumen.completadasPeriodo}}</td></tr>
+  <tr><th>Creadas en el periodo</th><td>{{resumen.creadasPeriodo}}</td></tr>
+  <tr><th>Pendientes</th><td>{{resumen.pendientes}}</td></tr>
+  <tr><th>Vencidas</th><td>{{resumen.vencidas}}</td></tr>
+  <tr><th>Total de tareas</th><td>{{resumen.total}} ({{resumen.porcentajeCompletadas}}% completadas)</td></tr>
+  {{#resumen.tiempoPromedio}}
+  <tr><th>Tiempo hasta completar</th><td>{{resumen.tiempoPromedio}} de promedio, {{resumen.tiempoMediana}} de mediana</td></tr>
+  {{/resumen.tiempoPromedio}}
+  <tr><th>Racha actual</th><td>{{resumen.rachaActual}} día(s)</td></tr>
+  {{#resumen.diaMasProductivo}}
+  <tr><th>Día más productivo</th><td>{{resumen.diaMasProductivo}}</td></tr>
+  {{/resumen.diaMasProductivo}}
+</table>
+
+<h2>✅ Completadas ({{completadas.length}})</h2>
+{{#completadas.length}}
+<ul>
+  {{#completadas}}
+  <li>{{descripcion}} <span class="meta">— {{completada}}{{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}{{#etiquetas}} · {{etiquetas}}{{/etiquetas}}</span></li>
+  {{/completadas}}
+</ul>
+{{/completadas.length}}
+{{^completadas}}
+<p class="vacio">Ninguna en el periodo.</p>
+{{/completadas}}
+
+<h2>➕ Creadas ({{creadas.length}})</h2>
+{{#creadas.length}}
+<ul>
+  {{#creadas}}
+  <li>{{#completada}}✅ {{/completada}}{{descripcion}} <span class="meta">— {{creada}}{{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}</span></li>
+  {{/creadas}}
+</ul>
+{{/creadas.length}}
+{{^creadas}}
+<p class="vacio">Ninguna en el periodo.</p>
+{{/creadas}}
+
+<h2>⏰ Vencidas ({{vencidas.length}})</h2>
+{{#vencidas.length}}
+<ul>
+  {{#vencidas}}
+  <li class="vencida">{{#simboloPrioridad}}{{simboloPrioridad}} {{/simboloPrioridad}}{{descripcion}} <span class="meta">— vencía el {{vence}} (hace {{diasVencida}} día(s)){{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}</span></li>
+  {{/vencidas}}
+</ul>
+{{/vencidas.length}}
+{{^vencidas}}
+<p class="vacio">Ninguna.</p>
+{{/vencidas}}
+
+<h2>⏳ Pendientes ({{pendientes.length}})</h2>
+{{#pendientes.length}}
+<ul>
+  {{#pendientes}}
+  <li>{{#simboloPrioridad}}{{simboloPrioridad}} {{/simboloPrioridad}}{{descripcion}} <span class="meta">{{#vence}}— vence el {{vence}}{{/vence}}{{#proyecto}} · 📁 {{proyecto}}{{/proyecto}}{{#etiquetas}} · {{etiquetas}}{{/etiquetas}}</span></li>
+  {{/pendientes}}
+</ul>
+{{/pendientes.length}}
+{{^pendientes}}
+<p class="vacio">Ninguna.</p>
+{{/pendientes}}
+</body>
+</html>
+`;
+
+// Plantillas predeterminadas de cada formato
+export const PLANTILLAS_INFORME = Object.freeze({
+  markdown: PLANTILLA_MARKDOWN,
+  html: PLANTILLA_HTML
+});
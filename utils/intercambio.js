@@ -0,0 +1,669 @@
+/**
+ * UTILIDAD: FORMATOS DE INTERCAMBIO (EXPORTAR E IMPORTAR)
+ * =======================================================
+ *
+ * Convierte los documentos de las tareas (ver Tarea.toDocumento) a texto en
+ * varios formatos, y el texto de esos formatos a filas que luego valida e
+ * importa services/intercambioService.js.
+ *
+ * Formatos:
+ * - json      Lista de documentos tal cual: no se pierde nada
+ * - csv       Una fila por tarea con cabecera; delimitador configurable
+ * - markdown  Lista de casillas (- [x] ...), subtareas indentadas y una
+ *             sección (## Proyecto) por proyecto
+ * - todotxt   Formato todo.txt (http://todotxt.org): una línea por tarea,
+ *             sin subtareas
+ * - ics       iCalendar: una tarea VTODO por tarea (ver utils/icalendar.js)
+ *
+ * Cada fila leída tiene la forma { fila, datos } o { fila, error }, donde
+ * fila es el número de línea (o de elemento, en json) y datos:
+ *   { idOrigen?, padreOrigen?, serieOrigen?, descripcion, completada,
+ *     fechaCreacion?, fechaCompletada?,
+ *     fechaLimite?, prioridad?, etiquetas?, proyecto?, recurrencia? }
+ * con los campos opcionales como texto, igual que los escribe el usuario.
+ *
+ * La hoja de horas (ver services/tiempoService.js) también se exporta a CSV,
+ * con las mismas reglas de comillas y delimitador.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Errores de dominio (archivos que no se pueden leer en absoluto)
+import { ErrorTarea, CODIGOS_ERROR } from './errores.js';
+// Prioridades disponibles
+import { PRIORIDADES } from '../models/tarea.js';
+// Días locales 'AAAA-MM-DD' (fechas de todo.txt)
+import { diaLocal, desdeDiaLocal } from './fechas.js';
+// Reglas de repetición como texto
+import { reglaComoTexto } from './recurrencia.js';
+// Símbolos de prioridad (los mismos que se ven en pantalla)
+import { SIMBOLOS_PRIORIDAD } from './formato.js';
+// Formato iCalendar
+import { exportarIcs, leerIcs } from './icalendar.js';
+
+/**
+ * FORMATOS DISPONIBLES
+ * ====================
+ */
+export const FORMATOS_INTERCAMBIO = Object.freeze(['json', 'csv', 'markdown', 'todotxt', 'ics']);
+
+// Extensión de archivo de cada formato (la primera es la que se propone al exportar)
+const EXTENSIONES = Object.freeze({
+  json: ['.json'],
+  csv: ['.csv', '.tsv'],
+  markdown: ['.md', '.markdown'],
+  todotxt: ['.txt'],
+  ics: ['.ics']
+});
+
+// Columnas del CSV, en orden
+const COLUMNAS_CSV = Object.freeze([
+  'id', 'descripcion', 'completada', 'prioridad', 'fechaLimite', 'etiquetas', 'proyecto',
+  'recurrencia', 'padreId', 'serieId', 'fechaCreacion', 'fechaCompletada'
+]);
+
+// Columnas del CSV de la hoja de horas, en orden
+const COLUMNAS_HOJA_HORAS = Object.freeze(['dia', 'tareaId', 'tarea', 'proyecto', 'minutos', 'horas']);
+
+// Valores aceptados en la columna "completada"
+const VALORES_SI = Object.freeze(['true', 'sí', 'si', 'x', '1']);
+const VALORES_NO = Object.freeze(['', 'false', 'no', '0']);
+
+// Prioridades de todo.txt: (A) alta, (B) media, (C) o menor baja
+const PRIORIDADES_TODOTXT = Object.freeze({ alta: 'A', media: 'B', baja: 'C' });
+
+/**
+ * FUNCIÓN: EXTENSIÓN DE UN FORMATO
+ * ================================
+ *
+ * @param {string} formato - Uno de FORMATOS_INTERCAMBIO
+ * @returns {string} - '.json', '.csv', ...
+ */
+export function extensionDeFormato(formato) {
+  return EXTENSIONES[formato][0];
+}
+
+/**
+ * FUNCIÓN: FORMATO DE UN ARCHIVO
+ * ==============================
+ *
+ * @param {string} ruta - Nombre o ruta del archivo
+ * @returns {string|null} - Formato según la extensión, o null si no se reconoce
+ */
+export function formatoDeArchivo(ruta) {
+  const nombre = _.toLower(String(ruta ?? ''));
+  return _.findKey(EXTENSIONES, extensiones => extensiones.some(ext => nombre.endsWith(ext))) ?? null;
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR DELIMITADOR
+ * ================================
+ *
+ * @param {string} texto - Un carácter, o 'tab' / '\t' para el tabulador
+ * @returns {string|null} - El delimitador, o null si no es válido
+ */
+export function interpretarDelimitador(texto) {
+  const valor = String(texto ?? '');
+  if (_.toLower(valor) === 'tab' || valor === '\\t') return '\t';
+  return valor.length === 1 && !['"', '\n', '\r'].includes(valor) ? valor : null;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: NIVELES DEL ÁRBOL
+ * ===================================
+ *
+ * Profundidad de cada documento según su padreId (0 = tarea principal).
+ * Una subtarea cuyo padre no está en la lista cuenta como principal.
+ */
+function nivelesDe(documentos) {
+  const porId = _.keyBy(documentos, d => String(d._id));
+  const niveles = {};
+  const nivelDe = documento => {
+    const id = String(documento._id);
+    if (niveles[id] === undefined) {
+      const padre = documento.padreId ? porId[String(documento.padreId)] : null;
+      niveles[id] = padre ? nivelDe(padre) + 1 : 0;
+    }
+    return niveles[id];
+  };
+  documentos.forEach(nivelDe);
+  return niveles;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXPORTAR JSON
+ * ===============================
+ *
+ * Los ObjectId se escriben como texto (igual que la salida --json de la CLI).
+ */
+function exportarJson(documentos) {
+  return `${JSON.stringify(documentos, null, 2)}\n`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER JSON
+ * ===========================
+ */
+function leerJson(texto) {
+  let documentos;
+  try {
+    documentos = JSON.parse(texto);
+  } catch (error) {
+    throw new ErrorTarea(`El archivo no es un JSON válido: ${error.message}`, CODIGOS_ERROR.VALIDACION);
+  }
+  if (!Array.isArray(documentos)) {
+    throw new ErrorTarea('El JSON debe ser una lista de tareas', CODIGOS_ERROR.VALIDACION);
+  }
+
+  return documentos.map((documento, i) => {
+    const fila = i + 1;
+    if (!_.isPlainObject(documento)) return { fila, error: 'El elemento no es una tarea' };
+
+    const recurrencia = documento.recurrencia ? reglaComoTexto(documento.recurrencia) : undefined;
+    if (recurrencia === '') return { fila, error: 'Repetición no válida' };
+
+    return {
+      fila,
+      datos: _.omitBy({
+        idOrigen: documento._id == null ? undefined : String(documento._id),
+        padreOrigen: documento.padreId == null ? undefined : String(documento.padreId),
+        serieOrigen: documento.serieId == null ? undefined : String(documento.serieId),
+        descripcion: String(documento.descripcion ?? ''),
+        completada: documento.completada === true,
+        fechaCreacion: documento.fechaCreacion,
+        fechaCompletada: documento.fechaCompletada,
+        fechaLimite: documento.fechaLimite,
+        prioridad: documento.prioridad,
+        etiquetas: documento.etiquetas,
+        proyecto: documento.proyecto,
+        recurrencia
+      }, _.isNil)
+    };
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CAMPO CSV
+ * ===========================
+ *
+ * Entre comillas solo si hace falta (contiene el delimitador, comillas o saltos de línea).
+ */
+function campoCsv(valor, delimitador) {
+  const texto = String(valor ?? '');
+  return texto.includes(delimitador) || /["\r\n]/.test(texto)
+    ? `"${texto.replace(/"/g, '""')}"`
+    : texto;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXPORTAR CSV
+ * ==============================
+ *
+ * Las etiquetas van separadas por espacios (no pueden contenerlos).
+ */
+function exportarCsv(documentos, { delimitador }) {
+  const filas = documentos.map(documento => [
+    documento._id,
+    documento.descripcion,
+    documento.completada,
+    documento.prioridad,
+    documento.fechaLimite,
+    (documento.etiquetas ?? []).join(' '),
+    documento.proyecto,
+    reglaComoTexto(documento.recurrencia),
+    documento.padreId,
+    documento.serieId,
+    documento.fechaCreacion,
+    documento.fechaCompletada
+  ]);
+  return textoCsv([COLUMNAS_CSV, ...filas], delimitador);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: TEXTO CSV
+ * ===========================
+ *
+ * @param {Array[]} filas - Cabecera y filas, cada una como lista de valores
+ * @returns {string} - Líneas terminadas en CRLF (RFC 4180)
+ */
+function textoCsv(filas, delimitador) {
+  return filas
+    .map(fila => fila.map(valor => campoCsv(valor, delimitador)).join(delimitador))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SEPARAR REGISTROS CSV
+ * =======================================
+ *
+ * Analizador de CSV (RFC 4180): campos entre comillas con "" como comilla
+ * escapada y saltos de línea dentro de las comillas.
+ *
+ * @returns {Object[]} - [{ linea, campos }] con la línea donde empieza cada registro
+ */
+function registrosCsv(texto, delimitador) {
+  const registros = [];
+  let campos = [];
+  let campo = '';
+  let entreComillas = false;
+  let linea = 1;
+  let lineaInicio = 1;
+
+  const cerrarRegistro = () => {
+    campos.push(campo);
+    // Las líneas en blanco no son registros
+    if (campos.length > 1 || campos[0] !== '') registros.push({ linea: lineaInicio, campos });
+    campos = [];
+    campo = '';
+    lineaInicio = linea;
+  };
+
+  for (let i = 0; i < texto.length; i++) {
+    const caracter = texto[i];
+    if (entreComillas) {
+      if (caracter === '"' && texto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        if (caracter === '\n') linea++;
+        campo += caracter;
+      }
+    } else if (caracter === '"' && campo === '') {
+      entreComillas = true;
+    } else if (caracter === delimitador) {
+      campos.push(campo);
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && texto[i + 1] === '\n') i++;
+      linea++;
+      cerrarRegistro();
+    } else {
+      campo += caracter;
+    }
+  }
+  if (campo !== '' || campos.length > 0) cerrarRegistro();
+
+  if (entreComillas) {
+    throw new ErrorTarea(`Comillas sin cerrar en el registro de la línea ${lineaInicio}`, CODIGOS_ERROR.VALIDACION);
+  }
+  return registros;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER CSV
+ * ==========================
+ *
+ * La primera fila es la cabecera: solo es obligatoria la columna
+ * "descripcion"; las columnas desconocidas se ignoran.
+ */
+function leerCsv(texto, { delimitador }) {
+  const [cabecera, ...registros] = registrosCsv(texto, delimitador);
+  const columnas = (cabecera?.campos ?? []).map(nombre => nombre.trim());
+  if (!columnas.includes('descripcion')) {
+    throw new ErrorTarea(
+      `La primera fila debe ser la cabecera y tener la columna "descripcion" (¿el delimitador es "${delimitador}"?)`,
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+
+  return registros.map(({ linea, campos }) => {
+    const valores = _.zipObject(columnas, campos);
+    const completada = _.toLower(valores.completada?.trim() ?? '');
+    if (!VALORES_SI.includes(completada) && !VALORES_NO.includes(completada)) {
+      return { fila: linea, error: `Valor de "completada" no válido: "${valores.completada}"` };
+    }
+
+    const opcional = nombre => (_.isEmpty(valores[nombre]?.trim()) ? undefined : valores[nombre].trim());
+    return {
+      fila: linea,
+      datos: _.omitBy({
+        idOrigen: opcional('id'),
+        padreOrigen: opcional('padreId'),
+        serieOrigen: opcional('serieId'),
+        descripcion: valores.descripcion ?? '',
+        completada: VALORES_SI.includes(completada),
+        fechaCreacion: opcional('fechaCreacion'),
+        fechaCompletada: opcional('fechaCompletada'),
+        fechaLimite: opcional('fechaLimite'),
+        prioridad: opcional('prioridad'),
+        etiquetas: opcional('etiquetas')?.split(/[\s,]+/),
+        proyecto: opcional('proyecto'),
+        recurrencia: opcional('recurrencia')
+      }, _.isUndefined)
+    };
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LÍNEA DE MARKDOWN
+ * ===================================
+ *
+ * Formato: `- [x] 🔴 Descripción #etiqueta 📅 2024-09-20 🔁 semanal:lun ✅ 2024-09-18`
+ */
+function lineaMarkdown(documento, nivel) {
+  const partes = [
+    `${'  '.repeat(nivel)}- [${documento.completada ? 'x' : ' '}]`,
+    documento.prioridad ? SIMBOLOS_PRIORIDAD[documento.prioridad] : null,
+    documento.descripcion,
+    ...(documento.etiquetas ?? []).map(e => `#${e}`),
+    documento.fechaLimite ? `📅 ${documento.fechaLimite}` : null,
+    documento.recurrencia ? `🔁 ${reglaComoTexto(documento.recurrencia)}` : null,
+    documento.fechaCompletada ? `✅ ${diaLocal(new Date(documento.fechaCompletada))}` : null
+  ];
+  return partes.filter(Boolean).join(' ');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXPORTAR MARKDOWN
+ * ===================================
+ *
+ * Las tareas sin proyecto van primero; después, una sección por proyecto.
+ * Cada tarea principal aparece en la sección de su proyecto con todas sus
+ * subtareas debajo (el proyecto propio de las subtareas no se exporta).
+ */
+function exportarMarkdown(documentos) {
+  const niveles = nivelesDe(documentos);
+  const lineas = ['# Tareas', ''];
+
+  // Bloques: cada tarea principal con sus subtareas (vienen justo detrás)
+  const bloques = [];
+  documentos.forEach(documento => {
+    if (niveles[String(documento._id)] === 0) bloques.push([]);
+    _.last(bloques).push(documento);
+  });
+
+  const porProyecto = _.groupBy(bloques, bloque => bloque[0].proyecto ?? '');
+  const proyectos = _.sortBy(_.keys(porProyecto), p => [p !== '', _.toLower(p)]);
+  proyectos.forEach(proyecto => {
+    if (proyecto !== '') lineas.push(`## ${proyecto}`, '');
+    porProyecto[proyecto].flat().forEach(documento =>
+      lineas.push(lineaMarkdown(documento, niveles[String(documento._id)]))
+    );
+    lineas.push('');
+  });
+
+  return lineas.join('\n');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER MARKDOWN
+ * ===============================
+ *
+ * Solo se leen las casillas (- [ ], * [x], + [X]); el resto de líneas se
+ * ignora. Los títulos de sección (##, ###, ...) marcan el proyecto de las
+ * tareas principales que siguen; el título del documento (#) no.
+ * Más sangría que la casilla anterior = subtarea de ella.
+ * Al final de la línea se reconocen #etiqueta, 📅 fecha, 🔁 regla y
+ * ✅ fecha de completado; al principio, el símbolo de prioridad.
+ */
+function leerMarkdown(texto) {
+  const filas = [];
+  let proyecto;
+  // Pila de casillas abiertas: [{ sangria, idOrigen }]
+  let pila = [];
+
+  texto.split(/\r?\n/).forEach((contenido, i) => {
+    const linea = i + 1;
+
+    const titulo = contenido.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (titulo) {
+      proyecto = titulo[1].length > 1 ? titulo[2] : undefined;
+      pila = [];
+      return;
+    }
+
+    const casilla = contenido.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+    if (!casilla) return;
+
+    const sangria = casilla[1].replace(/\t/g, '    ').length;
+    while (pila.length > 0 && _.last(pila).sangria >= sangria) pila.pop();
+
+    let resto = casilla[3].trim();
+    const datos = {
+      idOrigen: `md:${linea}`,
+      padreOrigen: _.last(pila)?.idOrigen,
+      completada: casilla[2] !== ' ',
+      proyecto: pila.length === 0 ? proyecto : undefined,
+      etiquetas: []
+    };
+
+    // Símbolo de prioridad al principio
+    const prioridad = _.findKey(SIMBOLOS_PRIORIDAD, simbolo => resto.startsWith(`${simbolo} `));
+    if (prioridad) {
+      datos.prioridad = prioridad;
+      resto = resto.slice(SIMBOLOS_PRIORIDAD[prioridad].length).trim();
+    }
+
+    // Marcas al final, de derecha a izquierda
+    for (;;) {
+      const marca = resto.match(/\s(#(\S+)|📅\s*(\S+)|🔁\s*(\S+)|✅\s*(\S+))$/u);
+      if (!marca) break;
+      if (marca[2]) datos.etiquetas.unshift(marca[2]);
+      if (marca[3]) datos.fechaLimite = marca[3];
+      if (marca[4]) datos.recurrencia = marca[4];
+      if (marca[5]) datos.fechaCompletada = marca[5];
+      resto = resto.slice(0, marca.index).trim();
+    }
+
+    datos.descripcion = resto;
+    pila.push({ sangria, idOrigen: datos.idOrigen });
+    filas.push({ fila: linea, datos: _.omitBy(datos, _.isUndefined) });
+  });
+
+  return filas;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LÍNEA DE TODO.TXT
+ * ===================================
+ *
+ * Formato: `x 2024-09-18 2024-09-16 (A) Descripción +Proyecto @etiqueta due:2024-09-20 rec:semanal:lun`
+ * En las completadas la prioridad va como pri:A (así lo indica el formato).
+ * Los espacios del proyecto se escriben como _.
+ */
+function lineaTodoTxt(documento) {
+  const prioridad = documento.prioridad ? PRIORIDADES_TODOTXT[documento.prioridad] : null;
+  const partes = documento.completada
+    ? ['x', documento.fechaCompletada ? diaLocal(new Date(documento.fechaCompletada)) : null]
+    : [prioridad ? `(${prioridad})` : null];
+
+  partes.push(
+    documento.fechaCreacion ? diaLocal(new Date(documento.fechaCreacion)) : null,
+    documento.descripcion,
+    documento.proyecto ? `+${documento.proyecto.replace(/\s+/g, '_')}` : null,
+    ...(documento.etiquetas ?? []).map(e => `@${e}`),
+    documento.fechaLimite ? `due:${documento.fechaLimite}` : null,
+    documento.recurrencia ? `rec:${reglaComoTexto(documento.recurrencia)}` : null,
+    documento.completada && prioridad ? `pri:${prioridad}` : null
+  );
+  return partes.filter(Boolean).join(' ');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: EXPORTAR TODO.TXT
+ * ===================================
+ *
+ * todo.txt no tiene subtareas: todas se escriben como tareas sueltas.
+ */
+function exportarTodoTxt(documentos) {
+  return documentos.map(lineaTodoTxt).join('\n') + '\n';
+}
+
+/**
+ * FUNCIÓN AUXILIAR: REGLA DE TODO.TXT
+ * ===================================
+ *
+ * Además de las reglas propias (rec:semanal:lun) se aceptan las de la
+ * extensión rec: de todo.txt en días y semanas:
+ * rec:3d / rec:2w = tras:N (desde que se completa),
+ * rec:+3d / rec:+2w = diaria:N (desde la fecha límite).
+ */
+function reglaTodoTxt(valor) {
+  const extension = valor.match(/^(\+?)(\d{1,3})([dw])$/i);
+  if (!extension) return valor;
+  const dias = Number(extension[2]) * (_.toLower(extension[3]) === 'w' ? 7 : 1);
+  return extension[1] ? `diaria:${dias}` : `tras:${dias}`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: FECHA DE TODO.TXT
+ * ===================================
+ *
+ * todo.txt guarda días sin hora: se convierten a la medianoche local.
+ *
+ * @returns {string|undefined} - ISO, o el texto tal cual si no es un día
+ *                               válido (la validación lo rechazará)
+ */
+function fechaTodoTxt(dia) {
+  if (!dia) return undefined;
+  const valido = /^\d{4}-\d{2}-\d{2}$/.test(dia) && diaLocal(desdeDiaLocal(dia)) === dia;
+  return valido ? desdeDiaLocal(dia).toISOString() : dia;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PRIORIDAD DE TODO.TXT
+ * =======================================
+ */
+function prioridadTodoTxt(letra) {
+  if (!letra) return undefined;
+  return _.findKey(PRIORIDADES_TODOTXT, l => l === letra) ?? _.last(PRIORIDADES);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: LEER TODO.TXT
+ * ===============================
+ *
+ * (A) = alta, (B) = media, (C) a (Z) = baja. +Proyecto (el primero) es el
+ * proyecto, @contexto son etiquetas y due:, rec: y pri: se reconocen;
+ * cualquier otra palabra (también otros clave:valor) forma la descripción.
+ */
+function leerTodoTxt(texto) {
+  const filas = [];
+
+  texto.split(/\r?\n/).forEach((contenido, i) => {
+    const linea = i + 1;
+    if (_.isEmpty(contenido.trim())) return;
+
+    let resto = contenido.trim();
+    const datos = { completada: false, etiquetas: [] };
+
+    // Cabecera: x, fecha de completado, (prioridad), fecha de creación
+    const completada = resto.match(/^x\s+(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+    if (completada) {
+      datos.completada = true;
+      datos.fechaCompletada = completada[1];
+      resto = resto.slice(completada[0].length);
+    }
+    const prioridad = resto.match(/^\(([A-Z])\)\s+/);
+    if (prioridad) {
+      datos.prioridad = prioridad[1];
+      resto = resto.slice(prioridad[0].length);
+    }
+    const creacion = resto.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+    if (creacion) {
+      datos.fechaCreacion = creacion[1];
+      resto = resto.slice(creacion[0].length);
+    }
+
+    const palabras = resto.split(/\s+/).filter(palabra => {
+      const [clave, ...valor] = palabra.split(':');
+      if (palabra.length > 1 && palabra.startsWith('+') && datos.proyecto === undefined) {
+        datos.proyecto = palabra.slice(1).replace(/_/g, ' ');
+      } else if (palabra.length > 1 && palabra.startsWith('@')) {
+        datos.etiquetas.push(palabra.slice(1));
+      } else if (clave === 'due' && valor.length > 0) {
+        datos.fechaLimite = valor.join(':');
+      } else if (clave === 'rec' && valor.length > 0) {
+        datos.recurrencia = reglaTodoTxt(valor.join(':'));
+      } else if (clave === 'pri' && /^[A-Z]$/.test(valor.join(':'))) {
+        datos.prioridad = valor[0];
+      } else {
+        return true;
+      }
+      return false;
+    });
+
+    filas.push({
+      fila: linea,
+      datos: _.omitBy({
+        ...datos,
+        descripcion: palabras.join(' '),
+        prioridad: prioridadTodoTxt(datos.prioridad),
+        fechaCompletada: fechaTodoTxt(datos.fechaCompletada),
+        fechaCreacion: fechaTodoTxt(datos.fechaCreacion)
+      }, _.isUndefined)
+    });
+  });
+
+  return filas;
+}
+
+/**
+ * EXPORTADORES Y LECTORES DE CADA FORMATO
+ * =======================================
+ */
+const EXPORTADORES = Object.freeze({
+  json: exportarJson,
+  csv: exportarCsv,
+  markdown: exportarMarkdown,
+  todotxt: exportarTodoTxt,
+  ics: exportarIcs
+});
+
+const LECTORES = Object.freeze({
+  json: leerJson,
+  csv: leerCsv,
+  markdown: leerMarkdown,
+  todotxt: leerTodoTxt,
+  ics: leerIcs
+});
+
+/**
+ * FUNCIÓN: EXPORTAR DOCUMENTOS
+ * ============================
+ *
+ * @param {Object[]} documentos - Documentos de las tareas (toDocumento), cada
+ *                                padre antes que sus subtareas
+ * @param {string} formato - Uno de FORMATOS_INTERCAMBIO
+ * @param {Object} opciones - { delimitador: para csv }
+ * @returns {string} - Contenido del archivo
+ */
+export function exportarDocumentos(documentos, formato, { delimitador = ',' } = {}) {
+  return EXPORTADORES[formato](documentos, { delimitador });
+}
+
+/**
+ * FUNCIÓN: LEER FILAS
+ * ===================
+ *
+ * @param {string} texto - Contenido del archivo
+ * @param {string} formato - Uno de FORMATOS_INTERCAMBIO
+ * @param {Object} opciones - { delimitador: para csv }
+ * @returns {Object[]} - [{ fila, datos } | { fila, error }]
+ * @throws {ErrorTarea} - VALIDACION si el archivo no se puede leer en absoluto
+ */
+export function leerFilas(texto, formato, { delimitador = ',' } = {}) {
+  // Marca de orden de bytes que añaden algunos editores (y Excel en CSV)
+  return LECTORES[formato](texto.replace(/^\uFEFF/, ''), { delimitador });
+}
+
+/**
+ * FUNCIÓN: EXPORTAR HOJA DE HORAS
+ * ===============================
+ *
+ * Una fila por día y tarea; las horas con dos decimales (1.25 = 1 h 15 min)
+ * para facturar directamente.
+ *
+ * @param {Object[]} filas - [{ dia, tareaId, tarea, proyecto, segundos }] (ver calcularHojaHoras)
+ * @param {Object} opciones - { delimitador }
+ * @returns {string} - Contenido del CSV
+ */
+export function exportarHojaHoras(filas, { delimitador = ',' } = {}) {
+  return textoCsv([
+    COLUMNAS_HOJA_HORAS,
+    ...filas.map(({ dia, tareaId, tarea, proyecto, segundos }) =>
+      [dia, tareaId, tarea, proyecto, Math.round(segundos / 60), (segundos / 3600).toFixed(2)])
+  ], delimitador);
+}
@@ -11,6 +11,15 @@
  * - Emojis para mejor experiencia visual
  * - Opciones organizadas lógicamente
  * - Valores de retorno consistentes
+ * - Indicador de conexión (en línea / sin conexión)
+ * - Deshacer y rehacer, indicando qué operación afectan
+ * - Historial de cambios (auditoría)
+ * - Operaciones en bloque sobre varias tareas
+ * - Control del tiempo dedicado a cada tarea
+ * - Papelera de tareas eliminadas
+ * - Webhooks y sus entregas
+ * - Cuenta de usuario (quién ha iniciado sesión)
+ * - Opciones que agregan los plugins (ver services/pluginsService.js)
  * - Interfaz intuitiva y amigable
  */
 
@@ -25,9 +34,27 @@ import inquirer from 'inquirer';
  * Utiliza el tipo 'list' de Inquirer para una navegación fluida con flechas.
  * Cada opción incluye un emoji descriptivo y un texto explicativo.
  *
+ * @param {Object} estadoConexion - { enLinea, pendientes } (ver obtenerEstadoConexion)
+ * @param {Object} historial - { deshacer, rehacer }: descripción de la operación
+ *                             que se desharía / reharía, o null si no hay
+ * @param {Object} sesion - { usuario, verTodas } (ver obtenerSesion en data/sesion.js)
+ * @param {Object[]} opcionesPlugins - [{ name, value }] de los plugins
+ *                                     (ver opcionesMenuDePlugins en controllers/pluginsController.js)
  * @returns {Promise<string>} - Valor numérico como string de la opción seleccionada
+ *                              (o 'plugin:N' para las opciones de los plugins)
  */
-export default async function mostrarMenu() {
+export default async function mostrarMenu(
+  estadoConexion = { enLinea: true, pendientes: 0 },
+  historial = { deshacer: null, rehacer: null },
+  sesion = { usuario: null, verTodas: false },
+  opcionesPlugins = []
+) {
+  // INDICADOR DE CONEXIÓN
+  // Sin conexión se muestra cuántos cambios esperan a sincronizarse
+  const indicador = estadoConexion.enLinea
+    ? '🟢 En línea'
+    : `📴 Sin conexión · ${estadoConexion.pendientes} cambio(s) pendiente(s)`;
+
   // CONFIGURACIÓN DEL PROMPT INTERACTIVO
   const { opcion } = await inquirer.prompt([
     {
@@ -36,7 +63,7 @@ export default async function mostrarMenu() {
       // NOMBRE: Clave del objeto retornado
       name: 'opcion',
       // MENSAJE: Pregunta mostrada al usuario
-      message: '📋 ¿Qué deseas hacer?',
+      message: `📋 ¿Qué deseas hacer? [${indicador}]`,
 
       // OPCIONES DEL MENÚ: Array de objetos con nombre visual y valor retornado
       choices: [
@@ -57,32 +84,93 @@ export default async function mostrarMenu() {
           name: '⏳ Listar tareas pendientes',
           value: '4' // Filtrar solo tareas por hacer
         },
+        {
+          name: '📅 Tareas por vencimiento',
+          value: '12' // Vencidas, para hoy o para esta semana
+        },
 
         // GRUPO 2: OPERACIONES DE MODIFICACIÓN
         {
-          name: '🎯 Marcar tarea como completada',
-          value: '5' // Cambiar estado de pendiente a completada
+          name: '🎯 Marcar tareas como completadas',
+          value: '5' // Cambiar estado de pendiente a completada (una o varias)
         },
         {
           name: '✏️ Editar tarea',
           value: '6' // Modificar descripción de tarea existente
         },
+        {
+          name: '🧺 Operaciones en bloque',
+          value: '21' // Completar, reabrir, eliminar, etiquetar o priorizar varias a la vez
+        },
+        {
+          name: '⏱️ Control de tiempo',
+          value: '22' // Temporizador, registros de tiempo y hoja de horas
+        },
 
         // GRUPO 3: OPERACIONES DE BÚSQUEDA Y ANÁLISIS
         {
           name: '🔍 Buscar tareas',
-          value: '7' // Buscar por palabras clave
+          value: '7' // Buscar con el lenguaje de consulta
         },
         {
-          name: '📊 Ver estadísticas',
+          name: '📊 Ver estadísticas y productividad',
           value: '8' // Mostrar análisis completo del sistema
         },
+        {
+          name: '📜 Ver historial',
+          value: '16' // Cambios de una tarea o últimos cambios de todas
+        },
+        {
+          name: '🏷️ Etiquetas y proyectos',
+          value: '13' // Ver por proyecto, renombrar y fusionar
+        },
+        {
+          name: '📦 Exportar / importar / informes',
+          value: '18' // JSON, CSV, Markdown, todo.txt, iCalendar e informes
+        },
+        {
+          name: '🪝 Webhooks',
+          value: '20' // Avisar a otros servicios de los cambios y ver las entregas
+        },
+
+        // GRUPO 4: OPERACIONES DESTRUCTIVAS
+        {
+          name: '🗑️ Eliminar tareas',
+          value: '9' // Eliminar una o varias tareas con confirmación
+        },
+        {
+          name: '♻️ Papelera',
+          value: '17' // Restaurar o borrar definitivamente tareas eliminadas
+        },
+
+        // GRUPO 5: DESHACER Y REHACER (solo si hay algo que deshacer o rehacer)
+        ...(historial.deshacer ? [{
+          name: `↩️ Deshacer: ${historial.deshacer}`,
+          value: '14' // Revertir la última operación
+        }] : []),
+        ...(historial.rehacer ? [{
+          name: `↪️ Rehacer: ${historial.rehacer}`,
+          value: '15' // Volver a aplicar la última operación deshecha
+        }] : []),
 
-        // GRUPO 4: OPERACIONES DESTRUCTIVAS Y SALIDA
+        // GRUPO 6: CONEXIÓN (solo sin conexión)
+        ...(estadoConexion.enLinea ? [] : [{
+          name: '🔌 Reintentar conexión',
+          value: '11' // Reconectar y sincronizar los cambios pendientes
+        }]),
+
+        // GRUPO 7: PLUGINS (solo si alguno agregó opciones)
+        ...opcionesPlugins,
+
+        // GRUPO 8: CUENTA DE USUARIO
         {
-          name: '🗑️ Eliminar tarea',
-          value: '9' // Eliminar tarea con confirmación
+          name: sesion.usuario
+            ? `👤 Cuenta: ${sesion.usuario.nombre}${sesion.verTodas ? ' (viendo todas las tareas)' : ''}`
+            : '👤 Cuentas de usuario',
+          value: '19' // Contraseña, sesión y, para administradores, cuentas
         },
+
+        // SALIDA
         {
           name: '👋 Salir',
           value: '10' // Terminar la aplicación
@@ -0,0 +1,476 @@
+/**
+ * UTILIDAD: DESCRIPCIÓN OPENAPI DE LA API REST
+ * ============================================
+ *
+ * Documento OpenAPI 3.0 de la API que sirve `gestor serve`
+ * (ver controllers/apiController.js). Se publica en GET /openapi.json,
+ * así que cualquier cliente o generador de código puede leerlo del propio
+ * servidor. Las listas de valores (filtros, criterios, prioridades) salen
+ * de las mismas constantes que usa el resto de la aplicación.
+ */
+
+// Prioridades disponibles
+import { PRIORIDADES } from '../models/tarea.js';
+// Filtros, criterios de orden y acciones sobre subtareas
+import { FILTROS, CRITERIOS_ORDEN, ACCIONES_SUBTAREAS } from '../services/tareasService.js';
+// Periodos y formatos de los informes
+import { PERIODOS_INFORME, PERIODO_INFORME_POR_DEFECTO } from '../services/informeService.js';
+import { FORMATOS_INFORME } from './informe.js';
+// Códigos de error de dominio
+import { CODIGOS_ERROR } from './errores.js';
+
+// Tamaño de página por defecto y máximo de GET /tareas
+export const POR_PAGINA_POR_DEFECTO = 20;
+export const POR_PAGINA_MAXIMO = 100;
+
+/**
+ * FUNCIÓN AUXILIAR: RESPUESTA JSON
+ * ================================
+ */
+function respuestaJson(descripcion, esquema) {
+  return { description: descripcion, content: { 'application/json': { schema: { $ref: `#/components/schemas/${esquema}` } } } };
+}
+
+/**
+ * FUNCIÓN AUXILIAR: RESPUESTA DE ERROR
+ * ====================================
+ */
+function respuestaError(descripcion) {
+  return respuestaJson(descripcion, 'Error');
+}
+
+// Respuesta cuando un plugin impide la operación (ver services/eventosService.js)
+const RESPUESTA_RECHAZADA = respuestaError('Un plugin rechazó la operación');
+
+// Parámetro :id de las rutas de una tarea (admite un prefijo único, como la CLI)
+const PARAMETRO_ID = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'ID de la tarea o un prefijo único del mismo',
+  schema: { type: 'string' }
+};
+
+// Campos que se pueden indicar al crear o editar una tarea
+const CAMPOS_EDITABLES = {
+  descripcion: { type: 'string', minLength: 1 },
+  fechaLimite: {
+    type: 'string',
+    nullable: true,
+    description: 'AAAA-MM-DD, "hoy", "mañana" o "+N" (días). null o "" la quita'
+  },
+  prioridad: { type: 'string', enum: [...PRIORIDADES], nullable: true },
+  etiquetas: {
+    type: 'array',
+    items: { type: 'string' },
+    nullable: true,
+    description: 'Se guardan en minúsculas y sin "#". Al editar sustituye a las actuales'
+  },
+  proyecto: { type: 'string', nullable: true },
+  recurrencia: {
+    type: 'string',
+    nullable: true,
+    description: 'diaria, diaria:N, semanal:lun,jue, mensual:D o tras:N'
+  }
+};
+
+/**
+ * DOCUMENTO OPENAPI
+ * =================
+ */
+export const DOCUMENTO_OPENAPI = Object.freeze({
+  openapi: '3.0.3',
+  info: {
+    title: 'Gestor de Tareas',
+    version: '1.0.0',
+    description: 'API REST sobre las mismas tareas y reglas que el menú y la línea de comandos. ' +
+      'Los errores se devuelven como { error, codigo }. Las operaciones que modifican una tarea ' +
+      'responden 422 (RECHAZADA) si un plugin las impide.'
+  },
+  paths: {
+    '/tareas': {
+      get: {
+        summary: 'Lista las tareas activas (no las de la papelera)',
+        parameters: [
+          { name: 'estado', in: 'query', schema: { type: 'string', enum: [...FILTROS], default: 'todas' } },
+          { name: 'orden', in: 'query', schema: { type: 'string', enum: Object.keys(CRITERIOS_ORDEN), default: 'prioridad' } },
+          {
+            name: 'etiqueta',
+            in: 'query',
+            description: 'Solo las tareas que tienen todas las etiquetas indicadas (repetible)',
+            schema: { type: 'array', items: { type: 'string' } },
+            explode: true
+          },
+          { name: 'proyecto', in: 'query', schema: { type: 'string' } },
+          {
+            name: 'q',
+            in: 'query',
+            description: 'Consulta de búsqueda, como en "gestor search": texto, "frases exactas", ' +
+              'campos (estado:pendiente, prioridad:alta, etiqueta:casa, proyecto:Hogar, ' +
+              'creada>2026-01-01, completada<7d, vence<=+3), -exclusiones, OR y paréntesis. ' +
+              'Una consulta no válida responde 400 con el motivo y la posición',
+            schema: { type: 'string' },
+            example: 'estado:pendiente vence<7d -etiqueta:casa'
+          },
+          { name: 'pagina', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          {
+            name: 'porPagina',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: POR_PAGINA_MAXIMO, default: POR_PAGINA_POR_DEFECTO }
+          },
+          {
+            name: 'cursor',
+            in: 'query',
+            description: 'Paginación por cursor, en lugar de "pagina": vacío pide la primera página y ' +
+              'cada respuesta trae en "siguiente" el cursor de la que sigue (con los mismos filtros y orden). ' +
+              'No calcula el total, así que no recorre las páginas anteriores',
+            schema: { type: 'string' }
+          }
+        ],
+        responses: {
+          200: respuestaJson('Una página de tareas', 'ListaTareas'),
+          400: respuestaError('Parámetro no válido')
+        }
+      },
+      post: {
+        summary: 'Crea una tarea (o una subtarea con padreId)',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/NuevaTarea' } } }
+        },
+        responses: {
+          201: {
+            ...respuestaJson('Tarea creada', 'Tarea'),
+            headers: { Location: { schema: { type: 'string' }, description: 'Ruta de la tarea creada' } }
+          },
+          400: respuestaError('Datos no válidos (también si la tarea padre no existe)'),
+          409: respuestaError('Ya existe una tarea con esa descripción (y el mismo padre)'),
+          422: RESPUESTA_RECHAZADA
+        }
+      }
+    },
+    '/tareas/{id}': {
+      parameters: [PARAMETRO_ID],
+      get: {
+        summary: 'Obtiene una tarea',
+        responses: {
+          200: respuestaJson('La tarea', 'Tarea'),
+          404: respuestaError('La tarea no existe')
+        }
+      },
+      patch: {
+        summary: 'Cambia los campos indicados de una tarea',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/CambiosTarea' } } }
+        },
+        responses: {
+          200: respuestaJson('Tarea actualizada', 'Tarea'),
+          400: respuestaError('Datos no válidos'),
+          404: respuestaError('La tarea no existe'),
+          409: respuestaError('Descripción duplicada, o la tarea cambió en otro proceso'),
+          422: RESPUESTA_RECHAZADA
+        }
+      },
+      delete: {
+        summary: 'Envía una tarea a la papelera',
+        parameters: [{
+          name: 'subtareas',
+          in: 'query',
+          description: 'Obligatorio si tiene subtareas',
+          schema: { type: 'string', enum: [...ACCIONES_SUBTAREAS.eliminar] }
+        }],
+        responses: {
+          200: respuestaJson('Tarea eliminada', 'ResultadoEliminar'),
+          404: respuestaError('La tarea no existe'),
+          409: respuestaError('Tiene subtareas y falta el parámetro subtareas, o la tarea cambió en otro proceso'),
+          422: RESPUESTA_RECHAZADA
+        }
+      }
+    },
+    '/tareas/{id}/completar': {
+      parameters: [PARAMETRO_ID],
+      post: {
+        summary: 'Marca una tarea como completada',
+        parameters: [{
+          name: 'subtareas',
+          in: 'query',
+          description: 'Obligatorio si tiene subtareas pendientes',
+          schema: { type: 'string', enum: [...ACCIONES_SUBTAREAS.completar] }
+        }],
+        responses: {
+          200: respuestaJson('Tarea completada', 'ResultadoCompletar'),
+          400: respuestaError('La tarea ya estaba completada'),
+          404: respuestaError('La tarea no existe'),
+          409: respuestaError('Tiene subtareas pendientes y falta el parámetro subtareas, o la tarea cambió en otro proceso'),
+          422: RESPUESTA_RECHAZADA
+        }
+      }
+    },
+    '/tareas/{id}/reabrir': {
+      parameters: [PARAMETRO_ID],
+      post: {
+        summary: 'Vuelve a dejar pendiente una tarea completada',
+        responses: {
+          200: respuestaJson('Tarea reabierta', 'Tarea'),
+          400: respuestaError('La tarea no estaba completada'),
+          404: respuestaError('La tarea no existe'),
+          409: respuestaError('La tarea cambió en otro proceso'),
+          422: RESPUESTA_RECHAZADA
+        }
+      }
+    },
+    '/estadisticas': {
+      get: {
+        summary: 'Resumen del estado de las tareas y analítica de productividad de un periodo',
+        parameters: [
+          {
+            name: 'desde',
+            in: 'query',
+            description: 'Inicio del periodo (incluido): AAAA-MM-DD, hoy, ayer o una antigüedad como 30d, 2s o 6m. ' +
+              'Por defecto, 30 días antes del fin',
+            schema: { type: 'string' }
+          },
+          { name: 'hasta', in: 'query', description: 'Fin del periodo (incluido); por defecto hoy', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: respuestaJson('Estadísticas', 'Estadisticas'),
+          400: respuestaError('Periodo no válido')
+        }
+      }
+    },
+    '/informe': {
+      get: {
+        summary: 'Informe de un periodo (completadas, creadas, pendientes, vencidas y resumen) como documento',
+        description: 'Usa la plantilla configurada para el formato (informes.plantillaMarkdown / informes.plantillaHtml) ' +
+          'o la predeterminada. El periodo se indica con periodo o con desde/hasta, no con ambos.',
+        parameters: [
+          { name: 'formato', in: 'query', schema: { type: 'string', enum: [...FORMATOS_INFORME], default: 'markdown' } },
+          {
+            name: 'periodo',
+            in: 'query',
+            description: 'semana y mes van desde el lunes o el día 1 hasta hoy; semana-pasada y mes-pasado son completos',
+            schema: { type: 'string', enum: [...PERIODOS_INFORME], default: PERIODO_INFORME_POR_DEFECTO }
+          },
+          { name: 'desde', in: 'query', description: 'Inicio del periodo (como en /estadisticas)', schema: { type: 'string' } },
+          { name: 'hasta', in: 'query', description: 'Fin del periodo (incluido); por defecto hoy', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Documento del informe',
+            content: { 'text/markdown': { schema: { type: 'string' } }, 'text/html': { schema: { type: 'string' } } }
+          },
+          400: respuestaError('Formato, periodo o plantilla no válidos')
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'Este documento',
+        responses: { 200: { description: 'Documento OpenAPI', content: { 'application/json': {} } } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Tarea: {
+        type: 'object',
+        required: ['_id', 'descripcion', 'completada', 'fechaCreacion', 'version'],
+        properties: {
+          _id: { type: 'string' },
+          descripcion: { type: 'string' },
+          completada: { type: 'boolean' },
+          fechaCreacion: { type: 'string', format: 'date-time' },
+          fechaCompletada: { type: 'string', format: 'date-time' },
+          fechaLimite: { type: 'string', format: 'date' },
+          prioridad: { type: 'string', enum: [...PRIORIDADES] },
+          etiquetas: { type: 'array', items: { type: 'string' } },
+          proyecto: { type: 'string' },
+          padreId: { type: 'string' },
+          recurrencia: {
+            type: 'object',
+            description: '{ tipo: diaria|semanal|mensual|tras, cada?, dias?, dia? }',
+            properties: {
+              tipo: { type: 'string' },
+              cada: { type: 'integer' },
+              dias: { type: 'array', items: { type: 'integer' } },
+              dia: { type: 'integer' }
+            }
+          },
+          serieId: { type: 'string' },
+          propietarioId: { type: 'string', description: 'Cuenta dueña de la tarea (solo con cuentas de usuario)' },
+          registrosTiempo: {
+            type: 'array',
+            description: 'Tiempo dedicado (solo si se ha medido); fin es null mientras el temporizador está en marcha',
+            items: {
+              type: 'object',
+              properties: {
+                inicio: { type: 'string', format: 'date-time' },
+                fin: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          },
+          version: { type: 'integer' }
+        }
+      },
+      NuevaTarea: {
+        type: 'object',
+        required: ['descripcion'],
+        additionalProperties: false,
+        properties: { ...CAMPOS_EDITABLES, padreId: { type: 'string', nullable: true } }
+      },
+      CambiosTarea: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: CAMPOS_EDITABLES
+      },
+      ListaTareas: {
+        type: 'object',
+        properties: {
+          tareas: { type: 'array', items: { $ref: '#/components/schemas/Tarea' } },
+          total: { type: 'integer', description: 'Tareas que cumplen los filtros (todas las páginas; no con cursor)' },
+          pagina: { type: 'integer', description: 'No con cursor' },
+          porPagina: { type: 'integer' },
+          paginas: { type: 'integer', description: 'No con cursor' },
+          siguiente: {
+            type: 'string',
+            nullable: true,
+            description: 'Con cursor: el de la página siguiente, o null en la última'
+          }
+        }
+      },
+      ResultadoCompletar: {
+        type: 'object',
+        properties: {
+          tarea: { $ref: '#/components/schemas/Tarea' },
+          subtareasCompletadas: { type: 'array', items: { $ref: '#/components/schemas/Tarea' } },
+          padresCompletados: { type: 'array', items: { $ref: '#/components/schemas/Tarea' } },
+          siguienteOcurrencia: { allOf: [{ $ref: '#/components/schemas/Tarea' }], nullable: true },
+          siguientesOcurrencias: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Tarea' },
+            description: 'Las de todas las recurrentes completadas (también subtareas y padres)'
+          }
+        }
+      },
+      ResultadoEliminar: {
+        type: 'object',
+        properties: {
+          tarea: { $ref: '#/components/schemas/Tarea' },
+          subtareasEliminadas: { type: 'array', items: { $ref: '#/components/schemas/Tarea' } },
+          subtareasConservadas: { type: 'array', items: { $ref: '#/components/schemas/Tarea' } }
+        }
+      },
+      Estadisticas: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          completadas: { type: 'integer' },
+          pendientes: { type: 'integer' },
+          vencidas: { type: 'integer' },
+          porcentajeCompletadas: { type: 'integer' },
+          diaMasProductivo: {
+            type: 'object',
+            nullable: true,
+            description: 'Día en que más tareas se completaron',
+            properties: { fecha: { type: 'string', format: 'date-time' }, cantidad: { type: 'integer' } }
+          },
+          porProyecto: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                proyecto: { type: 'string', nullable: true },
+                total: { type: 'integer' },
+                completadas: { type: 'integer' },
+                pendientes: { type: 'integer' },
+                porcentajeCompletadas: { type: 'integer' }
+              }
+            }
+          },
+          tiempo: {
+            type: 'object',
+            description: 'Tiempo registrado (el temporizador en marcha cuenta hasta ahora)',
+            properties: {
+              segundos: { type: 'integer' },
+              completadasConTiempo: { type: 'integer' },
+              segundosPorCompletada: {
+                type: 'integer',
+                nullable: true,
+                description: 'Media de las completadas con tiempo registrado'
+              }
+            }
+          },
+          analitica: { $ref: '#/components/schemas/Analitica' }
+        }
+      },
+      Analitica: {
+        type: 'object',
+        properties: {
+          desde: { type: 'string', format: 'date' },
+          hasta: { type: 'string', format: 'date' },
+          completadas: { type: 'integer', description: 'Completadas en el periodo' },
+          tiempoHastaCompletar: {
+            type: 'object',
+            properties: {
+              tareas: { type: 'integer' },
+              promedioHoras: { type: 'number', nullable: true },
+              medianaHoras: { type: 'number', nullable: true }
+            }
+          },
+          rachas: {
+            type: 'object',
+            properties: {
+              actual: { type: 'integer', description: 'Días seguidos completando tareas hasta hoy (o ayer)' },
+              masLarga: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  dias: { type: 'integer' },
+                  desde: { type: 'string', format: 'date' },
+                  hasta: { type: 'string', format: 'date' }
+                }
+              }
+            }
+          },
+          diaMasProductivo: {
+            type: 'object',
+            nullable: true,
+            properties: { dia: { type: 'string', format: 'date' }, cantidad: { type: 'integer' } }
+          },
+          porDia: {
+            type: 'array',
+            items: { type: 'object', properties: { dia: { type: 'string', format: 'date' }, cantidad: { type: 'integer' } } }
+          },
+          porSemana: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                semana: { type: 'string', format: 'date', description: 'Lunes de la semana' },
+                cantidad: { type: 'integer' }
+              }
+            }
+          },
+          antiguedadPendientes: {
+            type: 'array',
+            items: { type: 'object', properties: { tramo: { type: 'string' }, cantidad: { type: 'integer' } } }
+          }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['error', 'codigo'],
+        properties: {
+          error: { type: 'string', description: 'Mensaje para el usuario' },
+          codigo: {
+            type: 'string',
+            enum: [...Object.values(CODIGOS_ERROR), 'RUTA_DESCONOCIDA', 'METODO_NO_PERMITIDO',
+              'TIPO_NO_ADMITIDO', 'CUERPO_DEMASIADO_GRANDE', 'INTERNO']
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,260 @@
+/**
+ * UTILIDAD: ORDEN Y PAGINACIÓN POR CURSOR
+ * =======================================
+ *
+ * Define los criterios de orden de las tareas como claves calculadas a partir
+ * del documento, y sirve los resultados por páginas. Cada página termina con
+ * un cursor que resume la posición de su última tarea (sus claves de orden y
+ * su _id): la página siguiente empieza justo después. A diferencia de saltarse
+ * las N primeras, el servidor no tiene que recorrer las páginas anteriores, y
+ * una tarea creada o borrada mientras tanto no desplaza las demás.
+ *
+ * Como utils/consulta.js, se puede evaluar en memoria (paginar) o traducir a
+ * etapas de una agregación de MongoDB (compilarPaginaMongo), con el mismo
+ * resultado: ambas comparan los mismos valores en el mismo orden.
+ *
+ * El cursor es opaco para quien lo recibe (JSON en base64url) y solo vale
+ * para el mismo criterio de orden con el que se obtuvo.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { ObjectId } from 'mongodb';
+import { PRIORIDADES } from '../models/tarea.js';
+import { ErrorTarea, CODIGOS_ERROR } from './errores.js';
+
+/**
+ * CLAVES DE ORDEN
+ * ===============
+ *
+ * Cada clave es { campo, sentido: 1 (ascendente) | -1 (descendente), rango?, ausente? }:
+ * - rango: valores en orden de importancia; se ordena por su posición y los
+ *   que no están (o faltan) van detrás de todos
+ * - ausente: valor que se usa cuando el documento no tiene el campo
+ * El _id, ascendente, desempata siempre al final.
+ */
+const COMPLETADA = Object.freeze({ campo: 'completada', sentido: 1 });
+const PRIORIDAD = Object.freeze({ campo: 'prioridad', sentido: 1, rango: PRIORIDADES });
+const VENCIMIENTO = Object.freeze({ campo: 'fechaLimite', sentido: 1, ausente: '9999-12-31' });
+const CREACION = Object.freeze({ campo: 'fechaCreacion', sentido: -1 });
+
+/**
+ * CRITERIOS DE ORDENAMIENTO
+ * =========================
+ *
+ * Todos muestran las pendientes primero. Dentro de cada grupo:
+ * - prioridad (por defecto): más importantes arriba, luego las que vencen antes
+ * - vencimiento: las que vencen antes arriba, luego por prioridad
+ * - creacion: las más recientes arriba (orden original de la aplicación)
+ */
+export const CLAVES_ORDEN = Object.freeze({
+  prioridad: Object.freeze([COMPLETADA, PRIORIDAD, VENCIMIENTO, CREACION]),
+  vencimiento: Object.freeze([COMPLETADA, VENCIMIENTO, PRIORIDAD, CREACION]),
+  creacion: Object.freeze([COMPLETADA, CREACION])
+});
+
+/**
+ * FUNCIÓN AUXILIAR: ¿CLAVE CALCULADA?
+ * ===================================
+ *
+ * Las claves con rango o valor para los ausentes no se pueden ordenar por
+ * el campo tal cual: en MongoDB se calculan antes de ordenar.
+ */
+function esCalculada(clave) {
+  return Boolean(clave.rango) || clave.ausente !== undefined;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: VALOR DE UNA CLAVE
+ * ====================================
+ */
+function valorDeClave(elemento, clave) {
+  const valor = elemento[clave.campo];
+  if (clave.rango) {
+    const posicion = clave.rango.indexOf(valor);
+    return posicion === -1 ? clave.rango.length : posicion;
+  }
+  return valor ?? clave.ausente ?? null;
+}
+
+/**
+ * FUNCIÓN: VALORES DE ORDEN
+ * =========================
+ *
+ * @param {Object} elemento - Documento o instancia de Tarea
+ * @param {Object[]} claves - Una de CLAVES_ORDEN
+ * @returns {Array} - El valor de cada clave y, al final, el _id en hexadecimal
+ */
+export function valoresDeOrden(elemento, claves) {
+  return [...claves.map(clave => valorDeClave(elemento, clave)), String(elemento._id)];
+}
+
+/**
+ * FUNCIÓN AUXILIAR: COMPARAR VALORES DE ORDEN
+ * ===========================================
+ *
+ * Los nulos van antes que cualquier valor, como en MongoDB.
+ */
+function compararValores(a, b, claves) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    const sentido = claves[i]?.sentido ?? 1;
+    if (_.isNil(a[i])) return -sentido;
+    if (_.isNil(b[i])) return sentido;
+    return a[i] < b[i] ? -sentido : sentido;
+  }
+  return 0;
+}
+
+/**
+ * FUNCIÓN: ORDENAR POR CLAVES
+ * ===========================
+ *
+ * @param {Object[]} lista - Documentos o instancias de Tarea
+ * @param {Object[]} claves - Una de CLAVES_ORDEN
+ * @returns {Object[]} - Nueva lista ordenada
+ */
+export function ordenarPorClaves(lista, claves) {
+  return lista
+    .map(elemento => ({ elemento, valores: valoresDeOrden(elemento, claves) }))
+    .sort((a, b) => compararValores(a.valores, b.valores, claves))
+    .map(({ elemento }) => elemento);
+}
+
+/**
+ * FUNCIÓN: CODIFICAR CURSOR
+ * =========================
+ *
+ * @param {Array} valores - Valores de orden de la última tarea de la página
+ * @returns {string}
+ */
+export function codificarCursor(valores) {
+  return Buffer.from(JSON.stringify(valores)).toString('base64url');
+}
+
+/**
+ * FUNCIÓN: DECODIFICAR CURSOR
+ * ===========================
+ *
+ * @param {string} cursor - Cursor devuelto con una página anterior
+ * @param {Object[]} claves - Criterio de orden con el que se pide la página
+ * @returns {Array} - Valores de orden (ver valoresDeOrden)
+ * @throws {ErrorTarea} - VALIDACION si el cursor está dañado o es de otro orden
+ */
+export function decodificarCursor(cursor, claves) {
+  let valores;
+  try {
+    valores = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    valores = null;
+  }
+  const valido = Array.isArray(valores) &&
+    valores.length === claves.length + 1 &&
+    ObjectId.isValid(String(_.last(valores))) &&
+    valores.slice(0, -1).every(valor => _.isNil(valor) || ['string', 'number', 'boolean'].includes(typeof valor));
+  if (!valido) {
+    throw new ErrorTarea(
+      'El cursor de paginación no es válido (¿es de otro listado u otro orden?). Vuelve a pedir la primera página',
+      CODIGOS_ERROR.VALIDACION
+    );
+  }
+  return valores;
+}
+
+/**
+ * FUNCIÓN: CERRAR PÁGINA
+ * ======================
+ *
+ * Recibe hasta limite + 1 elementos ya ordenados (el de sobra solo indica
+ * que hay más) y devuelve la página con el cursor de la siguiente.
+ *
+ * @param {Object[]} elementos - Resultados ordenados, desde el cursor
+ * @param {Object[]} claves - Criterio de orden
+ * @param {number} limite - Tamaño de la página
+ * @returns {{ elementos: Object[], siguiente: string|null }} - siguiente es null en la última página
+ */
+export function cerrarPagina(elementos, claves, limite) {
+  const pagina = elementos.slice(0, limite);
+  const siguiente = elementos.length > limite
+    ? codificarCursor(valoresDeOrden(_.last(pagina), claves))
+    : null;
+  return { elementos: pagina, siguiente };
+}
+
+/**
+ * FUNCIÓN: PAGINAR EN MEMORIA
+ * ===========================
+ *
+ * @param {Object[]} lista - Documentos o instancias de Tarea, en cualquier orden
+ * @param {Object[]} claves - Una de CLAVES_ORDEN
+ * @param {Object} opciones - { limite: tamaño de la página, cursor?: el de la página anterior }
+ * @returns {{ elementos: Object[], siguiente: string|null }}
+ */
+export function paginar(lista, claves, { limite, cursor = null }) {
+  const desde = cursor ? decodificarCursor(cursor, claves) : null;
+  const ordenados = lista
+    .map(elemento => ({ elemento, valores: valoresDeOrden(elemento, claves) }))
+    .filter(({ valores }) => !desde || compararValores(valores, desde, claves) > 0)
+    .sort((a, b) => compararValores(a.valores, b.valores, claves));
+  return cerrarPagina(ordenados.slice(0, limite + 1).map(({ elemento }) => elemento), claves, limite);
+}
+
+/**
+ * FUNCIÓN: COMPILAR PÁGINA A MONGODB
+ * ==================================
+ *
+ * Etapas de agregación que, tras el $match de la consulta, ordenan y cortan
+ * la página (pidiendo una tarea de más para saber si hay otra página; ver
+ * cerrarPagina). Las claves calculadas se añaden como campos temporales
+ * (_orden0, _orden1...) y se quitan al final; el orden por creación no
+ * necesita ninguna y puede servirse directamente del índice
+ * { completada, fechaCreacion, _id }.
+ *
+ * El cursor se traduce a "posterior a la última tarea vista": para cada
+ * clave, igual en todas las anteriores y posterior en esa.
+ *
+ * @param {Object[]} claves - Una de CLAVES_ORDEN
+ * @param {Object} opciones - { limite, cursor? }
+ * @returns {Object[]} - Etapas de la agregación
+ */
+export function compilarPaginaMongo(claves, { limite, cursor = null }) {
+  const campos = [...claves.map((clave, i) => (esCalculada(clave) ? `_orden${i}` : clave.campo)), '_id'];
+  const sentidos = [...claves.map(clave => clave.sentido), 1];
+  const calculadas = claves.flatMap((clave, i) => (esCalculada(clave) ? [i] : []));
+  const etapas = [];
+
+  // PASO 1: Calcular las claves que no son un campo tal cual
+  if (!_.isEmpty(calculadas)) {
+    etapas.push({
+      $addFields: Object.fromEntries(calculadas.map(i => {
+        const { campo, rango, ausente } = claves[i];
+        const expresion = rango
+          ? { $switch: { branches: rango.map((valor, posicion) => ({ case: { $eq: [`$${campo}`, valor] }, then: posicion })), default: rango.length } }
+          : { $ifNull: [`$${campo}`, ausente] };
+        return [`_orden${i}`, expresion];
+      }))
+    });
+  }
+
+  // PASO 2: Empezar después de la última tarea de la página anterior
+  if (cursor) {
+    const valores = decodificarCursor(cursor, claves);
+    valores[valores.length - 1] = new ObjectId(_.last(valores));
+    etapas.push({
+      $match: {
+        $or: campos.map((campo, i) => ({
+          ...Object.fromEntries(campos.slice(0, i).map((anterior, j) => [anterior, valores[j]])),
+          [campo]: { [sentidos[i] > 0 ? '$gt' : '$lt']: valores[i] }
+        }))
+      }
+    });
+  }
+
+  // PASO 3: Ordenar, cortar y quitar los campos temporales
+  etapas.push({ $sort: Object.fromEntries(campos.map((campo, i) => [campo, sentidos[i]])) });
+  etapas.push({ $limit: limite + 1 });
+  if (!_.isEmpty(calculadas)) {
+    etapas.push({ $project: Object.fromEntries(calculadas.map(i => [`_orden${i}`, 0])) });
+  }
+  return etapas;
+}
@@ -0,0 +1,161 @@
+/**
+ * UTILIDAD: PLANTILLAS DE TEXTO
+ * =============================
+ *
+ * Motor de plantillas mínimo, con la sintaxis habitual de Mustache,
+ * para los informes (ver utils/informe.js):
+ *   {{nombre}}              Valor escapado según el formato (HTML, Markdown)
+ *   {{{nombre}}}            Valor sin escapar
+ *   {{resumen.total}}       Acceso con puntos; {{lista.length}} cuenta elementos
+ *   {{.}}                   El elemento actual dentro de una sección
+ *   {{#lista}}...{{/lista}} Se repite por cada elemento (cuyos campos pasan a
+ *                           estar a mano); con un valor que no es lista, se
+ *                           muestra una vez si no está vacío (ni es 0 ni false)
+ *   {{^lista}}...{{/lista}} Se muestra si la lista está vacía o el valor es vacío
+ *   {{! comentario }}       No produce nada
+ *
+ * Las etiquetas de sección y los comentarios que ocupan una línea
+ * ellos solos no dejan esa línea en el resultado.
+ *
+ * Un nombre que no existe produce texto vacío. Los errores de sintaxis
+ * (secciones sin cerrar, cierres que no corresponden) indican la línea.
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { ErrorTarea, CODIGOS_ERROR } from './errores.js';
+
+// Etiquetas: {{{raw}}}, {{#abre}}, {{^inversa}}, {{/cierra}}, {{!comentario}}, {{valor}}
+const PATRON_ETIQUETA = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * FUNCIÓN AUXILIAR: ERROR DE PLANTILLA
+ * ====================================
+ */
+function errorPlantilla(mensaje, plantilla, posicion, nombre) {
+  const linea = plantilla.slice(0, posicion).split('\n').length;
+  return new ErrorTarea(`Plantilla ${nombre} no válida (línea ${linea}): ${mensaje}`, CODIGOS_ERROR.VALIDACION);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ANALIZAR PLANTILLA
+ * ====================================
+ *
+ * Convierte el texto en un árbol de nodos:
+ *   { tipo: 'texto', texto } | { tipo: 'valor', nombre, escapar }
+ *   { tipo: 'seccion' | 'inversa', nombre, hijos }
+ */
+function analizarPlantilla(plantilla, nombre) {
+  const raiz = { hijos: [] };
+  const abiertas = [raiz];
+  let ultimo = 0;
+
+  for (const coincidencia of plantilla.matchAll(PATRON_ETIQUETA)) {
+    const actual = _.last(abiertas);
+    const [, sinEscapar, marca, etiqueta] = coincidencia;
+    const fin = coincidencia.index + coincidencia[0].length;
+
+    // Las etiquetas de sección y los comentarios solos en su línea se llevan
+    // la línea entera, para no dejar líneas en blanco en el documento
+    const inicioLinea = plantilla.lastIndexOf('\n', coincidencia.index - 1) + 1;
+    const finLinea = plantilla.indexOf('\n', fin) === -1 ? plantilla.length : plantilla.indexOf('\n', fin) + 1;
+    const sola = Boolean(marca) && inicioLinea >= ultimo &&
+      /^[ \t]*$/.test(plantilla.slice(inicioLinea, coincidencia.index)) &&
+      /^[ \t]*\r?\n?$/.test(plantilla.slice(fin, finLinea));
+
+    const finTexto = sola ? inicioLinea : coincidencia.index;
+    if (finTexto > ultimo) {
+      actual.hijos.push({ tipo: 'texto', texto: plantilla.slice(ultimo, finTexto) });
+    }
+    ultimo = sola ? finLinea : fin;
+
+    if (sinEscapar !== undefined) {
+      actual.hijos.push({ tipo: 'valor', nombre: sinEscapar, escapar: false });
+    } else if (marca === '!') {
+      continue;
+    } else if (_.isEmpty(etiqueta)) {
+      throw errorPlantilla(`etiqueta vacía "${coincidencia[0]}"`, plantilla, coincidencia.index, nombre);
+    } else if (marca === '#' || marca === '^') {
+      const seccion = { tipo: marca === '#' ? 'seccion' : 'inversa', nombre: etiqueta, hijos: [], posicion: coincidencia.index };
+      actual.hijos.push(seccion);
+      abiertas.push(seccion);
+    } else if (marca === '/') {
+      if (abiertas.length === 1 || actual.nombre !== etiqueta) {
+        const esperado = abiertas.length === 1 ? 'no hay ninguna sección abierta' : `se esperaba {{/${actual.nombre}}}`;
+        throw errorPlantilla(`{{/${etiqueta}}} no cierra nada: ${esperado}`, plantilla, coincidencia.index, nombre);
+      }
+      abiertas.pop();
+    } else {
+      actual.hijos.push({ tipo: 'valor', nombre: etiqueta, escapar: true });
+    }
+  }
+
+  if (abiertas.length > 1) {
+    const pendiente = _.last(abiertas);
+    throw errorPlantilla(`falta cerrar {{#${pendiente.nombre}}} con {{/${pendiente.nombre}}}`, plantilla, pendiente.posicion, nombre);
+  }
+  if (ultimo < plantilla.length) raiz.hijos.push({ tipo: 'texto', texto: plantilla.slice(ultimo) });
+  return raiz.hijos;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: BUSCAR VALOR
+ * ==============================
+ *
+ * Busca el nombre desde el contexto más interno hacia afuera, como Mustache.
+ */
+function buscarValor(nombre, contextos) {
+  if (nombre === '.') return _.last(contextos);
+  const [primero] = nombre.split('.');
+  const contexto = _.findLast(contextos, c => _.isObjectLike(c) && primero in Object(c));
+  return contexto === undefined ? undefined : _.get(contexto, nombre);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: ¿VALOR VACÍO?
+ * ===============================
+ */
+function esVacio(valor) {
+  return _.isNil(valor) || valor === false || valor === '' || valor === 0 || (Array.isArray(valor) && valor.length === 0);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: GENERAR
+ * =========================
+ */
+function generar(nodos, contextos, escapar) {
+  return nodos.map(nodo => {
+    if (nodo.tipo === 'texto') return nodo.texto;
+
+    const valor = buscarValor(nodo.nombre, contextos);
+    switch (nodo.tipo) {
+      case 'valor': {
+        const texto = _.isNil(valor) ? '' : String(valor);
+        return nodo.escapar ? escapar(texto) : texto;
+      }
+      case 'inversa':
+        return esVacio(valor) ? generar(nodo.hijos, contextos, escapar) : '';
+      default:
+        if (esVacio(valor)) return '';
+        if (Array.isArray(valor)) {
+          return valor.map(elemento => generar(nodo.hijos, [...contextos, elemento], escapar)).join('');
+        }
+        return generar(nodo.hijos, _.isObjectLike(valor) ? [...contextos, valor] : contextos, escapar);
+    }
+  }).join('');
+}
+
+/**
+ * FUNCIÓN: RENDERIZAR PLANTILLA
+ * =============================
+ *
+ * @param {string} plantilla - Texto de la plantilla
+ * @param {Object} datos - Valores disponibles
+ * @param {Object} opciones - { escapar: función que escapa los {{valores}},
+ *                              nombre: para los mensajes de error }
+ * @returns {string} - Documento generado
+ * @throws {ErrorTarea} - VALIDACION si la plantilla no es válida
+ */
+export function renderizarPlantilla(plantilla, datos, { escapar = _.identity, nombre = '' } = {}) {
+  return generar(analizarPlantilla(plantilla, nombre), [datos], escapar);
+}
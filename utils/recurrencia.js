@@ -0,0 +1,231 @@
+/**
+ * UTILIDAD: REGLAS DE REPETICIÓN
+ * ==============================
+ *
+ * Una tarea recurrente guarda su regla de repetición; al completarla se
+ * genera la siguiente ocurrencia con la fecha límite que indique la regla
+ * (ver completarTareaPorId en services/tareasService.js).
+ *
+ * Formatos aceptados al escribir una regla:
+ * - 'diaria'            Todos los días
+ * - 'diaria:3'          Cada 3 días
+ * - 'semanal:lun,jue'   Los lunes y los jueves
+ * - 'mensual:1'         El día 1 de cada mes (31 = último día en los meses más cortos)
+ * - 'tras:10'           10 días después de completarla
+ *
+ * Se guardan como objeto: { tipo, cada?, dias?, dia? }
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+// Utilidades de fechas (días locales 'AAAA-MM-DD')
+import { diaLocal, desdeDiaLocal, sumarDias } from './fechas.js';
+
+/**
+ * TIPOS DE REGLA
+ * ==============
+ */
+export const TIPOS_RECURRENCIA = Object.freeze(['diaria', 'semanal', 'mensual', 'tras']);
+
+// Abreviaturas de los días en el orden de Date.getDay() (0 = domingo)
+const DIAS_SEMANA = Object.freeze(['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab']);
+const NOMBRES_DIAS = Object.freeze(['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado']);
+
+/**
+ * FUNCIÓN AUXILIAR: NÚMERO ENTERO EN RANGO
+ * ========================================
+ *
+ * @returns {number|null} - El número, o null si el texto no es un entero del rango
+ */
+function enteroEnRango(texto, minimo, maximo) {
+  if (!/^\d{1,4}$/.test(texto ?? '')) return null;
+  const numero = Number(texto);
+  return numero >= minimo && numero <= maximo ? numero : null;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DÍA DE LA SEMANA
+ * ==================================
+ *
+ * Acepta la abreviatura ('lun') o el nombre completo, con o sin tilde.
+ *
+ * @returns {number} - 0 (domingo) a 6 (sábado), o -1 si no se reconoce
+ */
+function numeroDiaSemana(texto) {
+  const limpio = _.deburr(texto.trim());
+  return DIAS_SEMANA.findIndex((abreviatura, i) =>
+    limpio === abreviatura || limpio === _.deburr(NOMBRES_DIAS[i])
+  );
+}
+
+/**
+ * FUNCIÓN: INTERPRETAR REGLA DE REPETICIÓN
+ * ========================================
+ *
+ * Convierte lo que escribe el usuario en una regla normalizada.
+ *
+ * @param {string} texto - Regla escrita por el usuario ('semanal:lun,jue', ...)
+ * @returns {Object|null} - { tipo, cada?, dias?, dia? }, o null si no es válida
+ */
+export function interpretarRecurrencia(texto) {
+  const [tipo, parametro, ...sobrantes] = _.toLower(String(texto ?? '').trim()).split(':');
+  if (sobrantes.length > 0) return null;
+
+  switch (tipo) {
+    case 'diaria': {
+      const cada = parametro === undefined ? 1 : enteroEnRango(parametro, 1, 365);
+      return cada ? { tipo, cada } : null;
+    }
+    case 'semanal': {
+      const dias = _.sortBy(_.uniq((parametro ?? '').split(',').map(numeroDiaSemana)));
+      return dias.length > 0 && !dias.includes(-1) ? { tipo, dias } : null;
+    }
+    case 'mensual': {
+      const dia = enteroEnRango(parametro, 1, 31);
+      return dia ? { tipo, dia } : null;
+    }
+    case 'tras': {
+      const cada = enteroEnRango(parametro, 1, 365);
+      return cada ? { tipo, cada } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * FUNCIÓN: REGLA COMO TEXTO
+ * =========================
+ *
+ * Inversa de interpretarRecurrencia(): el texto que se escribiría para
+ * obtener la regla (para editarla o mostrarla en la línea de comandos).
+ *
+ * @param {Object|null} recurrencia - Regla normalizada
+ * @returns {string} - 'semanal:lun,jue', ..., o '' si no hay regla
+ */
+export function reglaComoTexto(recurrencia) {
+  if (!recurrencia) return '';
+  switch (recurrencia.tipo) {
+    case 'diaria': return recurrencia.cada === 1 ? 'diaria' : `diaria:${recurrencia.cada}`;
+    case 'semanal': return `semanal:${recurrencia.dias.map(d => DIAS_SEMANA[d]).join(',')}`;
+    case 'mensual': return `mensual:${recurrencia.dia}`;
+    case 'tras': return `tras:${recurrencia.cada}`;
+    default: return '';
+  }
+}
+
+/**
+ * FUNCIÓN: DESCRIBIR REGLA
+ * ========================
+ *
+ * @param {Object} recurrencia - Regla normalizada
+ * @returns {string} - Descripción legible ('cada lunes y jueves', ...)
+ */
+export function describirRecurrencia(recurrencia) {
+  switch (recurrencia.tipo) {
+    case 'diaria':
+      return recurrencia.cada === 1 ? 'todos los días' : `cada ${recurrencia.cada} días`;
+    case 'semanal': {
+      const nombres = recurrencia.dias.map(d => NOMBRES_DIAS[d]);
+      return `cada ${nombres.length > 1 ? `${_.initial(nombres).join(', ')} y ${_.last(nombres)}` : nombres[0]}`;
+    }
+    case 'mensual':
+      return `el día ${recurrencia.dia} de cada mes`;
+    case 'tras':
+      return `${recurrencia.cada} día(s) después de completarla`;
+    default:
+      return recurrencia.tipo;
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DÍA DEL MES AJUSTADO
+ * ======================================
+ *
+ * El día indicado del mes de la fecha, o el último si el mes es más corto
+ * (mensual:31 en febrero cae el 28 o 29).
+ */
+function diaDelMes(anio, mes, dia) {
+  const ultimo = new Date(anio, mes + 1, 0).getDate();
+  return new Date(anio, mes, Math.min(dia, ultimo));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PRIMER DÍA QUE CUMPLE LA REGLA
+ * ================================================
+ *
+ * Para las reglas de calendario (semanal y mensual).
+ *
+ * @param {Object} recurrencia - Regla normalizada
+ * @param {Date} desde - Primer día candidato (incluido)
+ * @returns {string} - 'AAAA-MM-DD'
+ */
+function primerDiaDeCalendario(recurrencia, desde) {
+  if (recurrencia.tipo === 'semanal') {
+    let fecha = desde;
+    while (!recurrencia.dias.includes(fecha.getDay())) fecha = sumarDias(fecha, 1);
+    return diaLocal(fecha);
+  }
+
+  // mensual: el de este mes si aún no pasó; si no, el del mes siguiente
+  const esteMes = diaDelMes(desde.getFullYear(), desde.getMonth(), recurrencia.dia);
+  return diaLocal(esteMes >= desde
+    ? esteMes
+    : diaDelMes(desde.getFullYear(), desde.getMonth() + 1, recurrencia.dia));
+}
+
+/**
+ * FUNCIÓN: PRIMERA FECHA LÍMITE
+ * =============================
+ *
+ * Fecha límite de la primera ocurrencia cuando la tarea se crea sin ella:
+ * el primer día, desde hoy incluido, que cumple la regla.
+ *
+ * @param {Object} recurrencia - Regla normalizada
+ * @param {Date} hoy - Día de referencia
+ * @returns {string|null} - 'AAAA-MM-DD', o null en las reglas 'tras'
+ *                          (no tienen fecha hasta que se completa la tarea)
+ */
+export function primeraFechaLimite(recurrencia, hoy = new Date()) {
+  switch (recurrencia.tipo) {
+    case 'diaria': return diaLocal(hoy);
+    case 'tras': return null;
+    default: return primerDiaDeCalendario(recurrencia, desdeDiaLocal(diaLocal(hoy)));
+  }
+}
+
+/**
+ * FUNCIÓN: SIGUIENTE FECHA LÍMITE
+ * ===============================
+ *
+ * Fecha límite de la ocurrencia que sigue a una tarea recién completada.
+ * Siempre es posterior al día en que se completó: si la tarea se completa
+ * con retraso, no se generan ocurrencias ya vencidas.
+ * - diaria: se avanza desde la fecha límite de 'cada' en 'cada' días
+ * - semanal y mensual: el primer día de la regla posterior a la fecha límite
+ * - tras: 'cada' días después de completarla
+ *
+ * @param {Object} recurrencia - Regla normalizada
+ * @param {Object} ocurrencia - { fechaLimite, fechaCompletada } de la tarea completada
+ * @returns {string} - 'AAAA-MM-DD'
+ */
+export function siguienteFechaLimite(recurrencia, { fechaLimite, fechaCompletada }) {
+  const completada = diaLocal(new Date(fechaCompletada));
+
+  if (recurrencia.tipo === 'tras') {
+    return diaLocal(sumarDias(desdeDiaLocal(completada), recurrencia.cada));
+  }
+
+  // Referencia: la fecha límite, salvo que la tarea se completara después
+  const referencia = fechaLimite && fechaLimite > completada ? fechaLimite : completada;
+
+  if (recurrencia.tipo === 'diaria') {
+    let fecha = desdeDiaLocal(fechaLimite ?? completada);
+    do {
+      fecha = sumarDias(fecha, recurrencia.cada);
+    } while (diaLocal(fecha) <= referencia);
+    return diaLocal(fecha);
+  }
+
+  return primerDiaDeCalendario(recurrencia, sumarDias(desdeDiaLocal(referencia), 1));
+}
@@ -0,0 +1,231 @@
+/**
+ * UTILIDAD: RESUMEN DE LAS TAREAS PARA LAS ESTADÍSTICAS
+ * =====================================================
+ *
+ * Reduce un conjunto de tareas a los recuentos que necesitan las
+ * estadísticas (calcularEstadisticas en services/tareasService.js) y la
+ * analítica (services/analiticaService.js): totales, avance por proyecto y
+ * por etiqueta, tiempo registrado y completadas por día. Así esas pantallas no necesitan
+ * tener todas las tareas en memoria.
+ *
+ * Como utils/paginacion.js, se puede evaluar en memoria (resumirDocumentos)
+ * o traducir a una agregación de MongoDB (compilarResumenMongo + cerrarResumen)
+ * con el mismo resultado: los días se cuentan en la zona horaria local y los
+ * segundos de cada registro se redondean igual que en Tarea.segundosRegistrados().
+ *
+ * Resultado (ver resumirDocumentos):
+ *   { total, completadas, vencidas,
+ *     porProyecto: [{ proyecto (null = sin proyecto), total, completadas }],
+ *     porEtiqueta: [{ etiqueta, total, pendientes }],
+ *     tiempo: { segundos, completadasConTiempo, segundosCompletadas },
+ *     completadasPorDia: [{ dia, cantidad }],        // por día de completado
+ *     pendientesPorDiaCreacion: [{ dia, cantidad }],
+ *     horasHastaCompletar: number[] }                // completadas entre desde y hasta
+ */
+
+// Lodash: Librería de utilidades para manipulación de datos
+import _ from 'lodash';
+import { diaLocal } from './fechas.js';
+
+// Milisegundos de una hora, para los tiempos hasta completar
+const MS_POR_HORA = 60 * 60 * 1000;
+
+/**
+ * FUNCIÓN AUXILIAR: ZONA HORARIA LOCAL
+ * ====================================
+ *
+ * La del proceso, para que el servidor agrupe por los mismos días que diaLocal().
+ */
+function zonaHoraria() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SEGUNDOS DE UN DOCUMENTO
+ * ==========================================
+ *
+ * Como Tarea.segundosRegistrados(): el registro en marcha cuenta hasta ahora.
+ */
+function segundosDe(documento, ahora) {
+  return _.sumBy(documento.registrosTiempo ?? [], ({ inicio, fin }) =>
+    Math.max(0, Math.round(((fin ? Date.parse(fin) : ahora.getTime()) - Date.parse(inicio)) / 1000))
+  );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONTAR POR DÍA
+ * ================================
+ *
+ * @returns {Object[]} - [{ dia, cantidad }], del día más antiguo al más reciente
+ */
+function contarPorDia(documentos, campo) {
+  const cantidades = _.countBy(documentos, documento => diaLocal(new Date(documento[campo])));
+  return _.sortBy(Object.entries(cantidades).map(([dia, cantidad]) => ({ dia, cantidad })), 'dia');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: USOS DE LAS ETIQUETAS
+ * =======================================
+ *
+ * @returns {Object[]} - [{ etiqueta, completada }], uno por etiqueta de cada documento
+ */
+function usosDeEtiquetas(documentos) {
+  return documentos.flatMap(documento =>
+    (documento.etiquetas ?? []).map(etiqueta => ({ etiqueta, completada: Boolean(documento.completada) })));
+}
+
+/**
+ * FUNCIÓN: RESUMIR DOCUMENTOS
+ * ===========================
+ *
+ * @param {Object[]} documentos - Documentos de tarea (toDocumento())
+ * @param {Object} opciones - { ahora: momento de referencia, desde?, hasta?: días
+ *   'AAAA-MM-DD' (incluidos) de los tiempos hasta completar }
+ * @returns {Object} - Resumen (ver la cabecera del módulo)
+ */
+export function resumirDocumentos(documentos, { ahora = new Date(), desde = null, hasta = null } = {}) {
+  const hoy = diaLocal(ahora);
+  const completadas = documentos.filter(documento => documento.completada);
+  // Las antiguas sin fecha de completado no cuentan por día
+  const conFecha = completadas.filter(documento => documento.fechaCompletada);
+  const conTiempo = completadas.filter(documento => !_.isEmpty(documento.registrosTiempo));
+  // Los días 'AAAA-MM-DD' se comparan directamente como texto
+  const enPeriodo = desde && hasta
+    ? conFecha.filter(documento => {
+      const dia = diaLocal(new Date(documento.fechaCompletada));
+      return dia >= desde && dia <= hasta;
+    })
+    : [];
+
+  return {
+    total: documentos.length,
+    completadas: completadas.length,
+    vencidas: documentos.filter(documento => !documento.completada && documento.fechaLimite && documento.fechaLimite < hoy).length,
+    porProyecto: _.map(_.groupBy(documentos, documento => documento.proyecto ?? ''), (grupo, proyecto) => ({
+      proyecto: proyecto || null,
+      total: grupo.length,
+      completadas: _.filter(grupo, 'completada').length
+    })),
+    porEtiqueta: _.map(_.groupBy(usosDeEtiquetas(documentos), 'etiqueta'), (usos, etiqueta) => ({
+      etiqueta,
+      total: usos.length,
+      pendientes: usos.filter(uso => !uso.completada).length
+    })),
+    tiempo: {
+      segundos: _.sumBy(documentos, documento => segundosDe(documento, ahora)),
+      completadasConTiempo: conTiempo.length,
+      segundosCompletadas: _.sumBy(conTiempo, documento => segundosDe(documento, ahora))
+    },
+    completadasPorDia: contarPorDia(conFecha, 'fechaCompletada'),
+    pendientesPorDiaCreacion: contarPorDia(documentos.filter(documento => !documento.completada), 'fechaCreacion'),
+    horasHastaCompletar: enPeriodo.map(documento =>
+      (Date.parse(documento.fechaCompletada) - Date.parse(documento.fechaCreacion)) / MS_POR_HORA)
+  };
+}
+
+/**
+ * FUNCIÓN: COMPILAR RESUMEN A MONGODB
+ * ===================================
+ *
+ * Etapas de una agregación que, tras el $match de las tareas, calculan el
+ * resumen en un solo documento ($facet). Se completa con cerrarResumen().
+ *
+ * @param {Object} opciones - { ahora, desde?, hasta? } (ver resumirDocumentos)
+ * @returns {Object[]} - Etapas de la agregación
+ */
+export function compilarResumenMongo({ ahora = new Date(), desde = null, hasta = null } = {}) {
+  const timezone = zonaHoraria();
+  const fecha = campo => ({ $dateFromString: { dateString: campo } });
+  const dia = campo => ({ $dateToString: { format: '%Y-%m-%d', date: fecha(campo), timezone } });
+  const contar = condicion => ({ $sum: { $cond: [condicion, 1, 0] } });
+  const completada = { $eq: ['$completada', true] };
+  const porDia = campo => [{ $group: { _id: dia(campo), cantidad: { $sum: 1 } } }, { $sort: { _id: 1 } }];
+  const completadasConFecha = { completada: true, fechaCompletada: { $nin: [null, ''] } };
+
+  // Segundos de los registros: la diferencia redondea como Math.round (el
+  // $round de MongoDB redondea los medios al par)
+  const segundos = {
+    $reduce: {
+      input: { $ifNull: ['$registrosTiempo', []] },
+      initialValue: 0,
+      in: {
+        $add: ['$$value', {
+          $max: [0, {
+            $floor: {
+              $add: [{
+                $divide: [{
+                  $subtract: [fecha({ $ifNull: ['$$this.fin', ahora.toISOString()] }), fecha('$$this.inicio')]
+                }, 1000]
+              }, 0.5]
+            }
+          }]
+        }]
+      }
+    }
+  };
+
+  return [
+    { $project: { completada: 1, fechaLimite: 1, proyecto: 1, etiquetas: 1, fechaCreacion: 1, fechaCompletada: 1, segundos,
+      conTiempo: { $gt: [{ $size: { $ifNull: ['$registrosTiempo', []] } }, 0] } } },
+    {
+      $facet: {
+        totales: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            completadas: contar(completada),
+            vencidas: contar({ $and: [{ $not: [completada] }, { $gt: ['$fechaLimite', ''] }, { $lt: ['$fechaLimite', diaLocal(ahora)] }] }),
+            segundos: { $sum: '$segundos' },
+            completadasConTiempo: contar({ $and: [completada, '$conTiempo'] }),
+            segundosCompletadas: { $sum: { $cond: [{ $and: [completada, '$conTiempo'] }, '$segundos', 0] } }
+          }
+        }],
+        porProyecto: [{
+          $group: { _id: { $ifNull: ['$proyecto', ''] }, total: { $sum: 1 }, completadas: contar(completada) }
+        }],
+        porEtiqueta: [
+          { $unwind: '$etiquetas' },
+          { $group: { _id: '$etiquetas', total: { $sum: 1 }, pendientes: contar({ $not: [completada] }) } }
+        ],
+        completadasPorDia: [{ $match: completadasConFecha }, ...porDia('$fechaCompletada')],
+        pendientesPorDiaCreacion: [{ $match: { completada: { $ne: true } } }, ...porDia('$fechaCreacion')],
+        horasHastaCompletar: desde && hasta
+          ? [
+            { $match: completadasConFecha },
+            { $match: { $expr: { $and: [{ $gte: [dia('$fechaCompletada'), desde] }, { $lte: [dia('$fechaCompletada'), hasta] }] } } },
+            { $project: { _id: 0, horas: { $divide: [{ $subtract: [fecha('$fechaCompletada'), fecha('$fechaCreacion')] }, MS_POR_HORA] } } }
+          ]
+          : [{ $limit: 0 }]
+      }
+    }
+  ];
+}
+
+/**
+ * FUNCIÓN: CERRAR RESUMEN
+ * =======================
+ *
+ * Da al documento que devuelve compilarResumenMongo() la forma de resumirDocumentos().
+ *
+ * @param {Object} facetas - Único documento de la agregación
+ * @returns {Object} - Resumen (ver la cabecera del módulo)
+ */
+export function cerrarResumen({ totales, porProyecto, porEtiqueta, completadasPorDia, pendientesPorDiaCreacion, horasHastaCompletar }) {
+  const [totalesGlobales = {}] = totales;
+  const aDias = grupos => grupos.map(({ _id, cantidad }) => ({ dia: _id, cantidad }));
+  return {
+    total: totalesGlobales.total ?? 0,
+    completadas: totalesGlobales.completadas ?? 0,
+    vencidas: totalesGlobales.vencidas ?? 0,
+    porProyecto: porProyecto.map(({ _id, total, completadas }) => ({ proyecto: _id || null, total, completadas })),
+    porEtiqueta: porEtiqueta.map(({ _id, total, pendientes }) => ({ etiqueta: _id, total, pendientes })),
+    tiempo: {
+      segundos: totalesGlobales.segundos ?? 0,
+      completadasConTiempo: totalesGlobales.completadasConTiempo ?? 0,
+      segundosCompletadas: totalesGlobales.segundosCompletadas ?? 0
+    },
+    completadasPorDia: aDias(completadasPorDia),
+    pendientesPorDiaCreacion: aDias(pendientesPorDiaCreacion),
+    horasHastaCompletar: horasHastaCompletar.map(({ horas }) => horas)
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * UTILIDAD: ENVÍO DE CORREO POR SMTP
+ * ==================================
+ *
+ * Cliente SMTP mínimo (RFC 5321) para los avisos por correo de los
+ * recordatorios, sin dependencias externas:
+ * - Conexión sin cifrar, con STARTTLS o directamente por TLS (puerto 465)
+ * - Autenticación PLAIN o LOGIN si se indica usuario
+ * - Un mensaje de texto en UTF-8 (asunto y cuerpo codificados en base64)
+ *
+ * Cada envío abre su propia conexión y la cierra al terminar: los avisos
+ * son pocos y espaciados, no compensa mantenerla abierta.
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import { randomUUID } from 'node:crypto';
+
+// Tiempo máximo de espera de cada respuesta del servidor
+const TIEMPO_ESPERA_MS = 15000;
+
+/**
+ * CLASE INTERNA: CONEXIÓN SMTP
+ * ============================
+ *
+ * Envía comandos y lee las respuestas (de una o varias líneas: "250-..." sigue,
+ * "250 ..." termina) sobre un socket, que puede pasar a TLS con STARTTLS.
+ */
+class ConexionSmtp {
+  constructor(socket) {
+    this.pendiente = '';
+    this.lineas = [];
+    this.respuestas = [];
+    this.espera = null;
+    this.error = null;
+    this.alRecibir = datos => this.recibir(datos);
+    this.alFallar = error => this.fallar(error);
+    this.alCerrar = () => this.fallar(new Error('El servidor SMTP cerró la conexión'));
+    this.usar(socket);
+  }
+
+  usar(socket) {
+    if (this.socket) {
+      this.socket.off('data', this.alRecibir);
+      this.socket.off('error', this.alFallar);
+      this.socket.off('close', this.alCerrar);
+    }
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(TIEMPO_ESPERA_MS, () =>
+      socket.destroy(new Error('Tiempo de espera agotado con el servidor SMTP'))
+    );
+    socket.on('data', this.alRecibir);
+    socket.on('error', this.alFallar);
+    socket.on('close', this.alCerrar);
+  }
+
+  recibir(datos) {
+    this.pendiente += datos;
+    let fin;
+    while ((fin = this.pendiente.indexOf('\n')) !== -1) {
+      const linea = this.pendiente.slice(0, fin).replace(/\r$/, '');
+      this.pendiente = this.pendiente.slice(fin + 1);
+      this.lineas.push(linea);
+      // Última línea de la respuesta: código seguido de espacio (o solo el código)
+      if (/^\d{3}( |$)/.test(linea)) {
+        this.respuestas.push({
+          codigo: Number(linea.slice(0, 3)),
+          texto: this.lineas.map(l => l.slice(4)).join('\n')
+        });
+        this.lineas = [];
+      }
+    }
+    this.entregar();
+  }
+
+  fallar(error) {
+    this.error ??= error;
+    this.entregar();
+  }
+
+  entregar() {
+    if (!this.espera) return;
+    const { resolve, reject } = this.espera;
+    if (this.respuestas.length > 0) {
+      this.espera = null;
+      resolve(this.respuestas.shift());
+    } else if (this.error) {
+      this.espera = null;
+      reject(this.error);
+    }
+  }
+
+  leerRespuesta() {
+    return new Promise((resolve, reject) => {
+      this.espera = { resolve, reject };
+      this.entregar();
+    });
+  }
+
+  /**
+   * Envía un comando (o nada, para leer el saludo) y exige uno de los códigos esperados.
+   * @returns {Promise<{ codigo: number, texto: string }>}
+   */
+  async comando(linea, esperados, descripcion = linea?.split(' ')[0]) {
+    if (linea !== null) this.socket.write(`${linea}\r\n`);
+    const respuesta = await this.leerRespuesta();
+    if (!esperados.includes(respuesta.codigo)) {
+      throw new Error(`El servidor SMTP respondió ${respuesta.codigo} a ${descripcion}: ${respuesta.texto}`);
+    }
+    return respuesta;
+  }
+
+  cerrar() {
+    this.socket.off('close', this.alCerrar);
+    this.socket.destroy();
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: NOMBRE DEL SERVIDOR PARA TLS (SNI)
+ * ====================================================
+ *
+ * Una dirección IP no se puede indicar como nombre del servidor.
+ */
+function nombreServidor(host) {
+  return net.isIP(host) ? undefined : host;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: CONECTAR
+ * ==========================
+ */
+function conectar({ host, puerto, seguridad }) {
+  return new Promise((resolve, reject) => {
+    const socket = seguridad === 'tls'
+      ? tls.connect({ host, port: puerto, servername: nombreServidor(host) })
+      : net.connect({ host, port: puerto });
+    socket.once(seguridad === 'tls' ? 'secureConnect' : 'connect', () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: PASAR A TLS (STARTTLS)
+ * ========================================
+ */
+function pasarATls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const seguro = tls.connect({ socket, servername: nombreServidor(host) }, () => {
+      seguro.off('error', reject);
+      resolve(seguro);
+    });
+    seguro.once('error', reject);
+  });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: SALUDAR (EHLO)
+ * ================================
+ *
+ * @returns {Promise<string[]>} - Extensiones que anuncia el servidor (en mayúsculas)
+ */
+async function saludar(conexion) {
+  const { texto } = await conexion.comando(`EHLO ${os.hostname() || 'localhost'}`, [250], 'EHLO');
+  return texto.split('\n').slice(1).map(linea => linea.toUpperCase());
+}
+
+/**
+ * FUNCIÓN AUXILIAR: AUTENTICAR
+ * ============================
+ */
+async function autenticar(conexion, extensiones, usuario, password) {
+  const metodos = extensiones.find(linea => linea.startsWith('AUTH'))?.split(/\s+/).slice(1) ?? [];
+  const base64 = texto => Buffer.from(texto, 'utf8').toString('base64');
+
+  if (metodos.includes('PLAIN')) {
+    await conexion.comando(`AUTH PLAIN ${base64(`\0${usuario}\0${password ?? ''}`)}`, [235], 'AUTH PLAIN');
+  } else if (metodos.includes('LOGIN')) {
+    await conexion.comando('AUTH LOGIN', [334]);
+    await conexion.comando(base64(usuario), [334], 'el usuario');
+    await conexion.comando(base64(password ?? ''), [235], 'la contraseña');
+  } else {
+    throw new Error('El servidor SMTP no ofrece autenticación PLAIN ni LOGIN');
+  }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: DIRECCIÓN DE UN REMITENTE O DESTINATARIO
+ * ==========================================================
+ *
+ * "Gestor <gestor@ejemplo.com>" → "gestor@ejemplo.com"
+ */
+function direccion(texto) {
+  return texto.match(/<([^>]+)>/)?.[1] ?? texto.trim();
+}
+
+/**
+ * FUNCIÓN AUXILIAR: COMPONER MENSAJE
+ * ==================================
+ *
+ * El cuerpo va en base64, así que ninguna línea empieza por "." y no hace
+ * falta duplicar puntos antes del final de DATA.
+ */
+function componerMensaje({ de, para, asunto, texto }) {
+  const base64 = Buffer.from(texto, 'utf8').toString('base64').match(/.{1,76}/g) ?? [];
+  return [
+    `From: ${de}`,
+    `To: ${para.join(', ')}`,
+    `Subject: =?UTF-8?B?${Buffer.from(asunto, 'utf8').toString('base64')}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${os.hostname() || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...base64
+  ].join('\r\n');
+}
+
+/**
+ * FUNCIÓN: ENVIAR CORREO
+ * ======================
+ *
+ * @param {Object} servidor - { host, puerto, seguridad: 'ninguna'|'starttls'|'tls', usuario?, password? }
+ * @param {Object} mensaje - { de, para: string[], asunto, texto }
+ * @throws {Error} - Si no se pudo conectar o el servidor rechazó algún paso
+ */
+export async function enviarCorreo(servidor, mensaje) {
+  const conexion = new ConexionSmtp(await conectar(servidor));
+
+  try {
+    // PASO 1: Saludo y, si se pide, paso a TLS
+    await conexion.comando(null, [220], 'la conexión');
+    let extensiones = await saludar(conexion);
+    if (servidor.seguridad === 'starttls') {
+      if (!extensiones.includes('STARTTLS')) throw new Error('El servidor SMTP no admite STARTTLS');
+      await conexion.comando('STARTTLS', [220]);
+      conexion.usar(await pasarATls(conexion.socket, servidor.host));
+      extensiones = await saludar(conexion);
+    }
+
+    // PASO 2: Autenticación
+    if (servidor.usuario) await autenticar(conexion, extensiones, servidor.usuario, servidor.password);
+
+    // PASO 3: Sobre y contenido
+    await conexion.comando(`MAIL FROM:<${direccion(mensaje.de)}>`, [250], 'MAIL FROM');
+    for (const destinatario of mensaje.para) {
+      await conexion.comando(`RCPT TO:<${direccion(destinatario)}>`, [250, 251], `RCPT TO ${destinatario}`);
+    }
+    await conexion.comando('DATA', [354]);
+    await conexion.comando(`${componerMensaje(mensaje)}\r\n.`, [250], 'el mensaje');
+    await conexion.comando('QUIT', [221]).catch(() => {});
+  } finally {
+    conexion.cerrar();
+  }
+}